@@ -7,9 +7,11 @@
 
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { authenticator } = require('otplib');
 const logger = require('./logger');
+const mailer = require('./mailer');
 const db = require('./database/query-helpers');
-const { ROLE_PRIVILEGE_DEFAULTS, getEffectiveScope } = require('./privileges');
+const { ROLE_PRIVILEGE_DEFAULTS, VERIFIED_EMAIL_PRIVILEGES, getEffectiveScope } = require('./privileges');
 
 /**
  * Hash a password using bcrypt
@@ -39,10 +41,729 @@ function generateSessionToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
+/**
+ * Hash a one-time token for storage. Only the hash is persisted so a
+ * database leak does not expose usable tokens.
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Issue a password reset token for a user
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User the token resets
+ * @param {string|null} requestedBy - User who requested it (null for self-service)
+ * @param {Object} req - Express request object
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @returns {Promise<string>} - Raw token to email to the user
+ */
+async function createPasswordResetToken(dbInstance, userId, requestedBy, req, ttlMinutes = 60) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await dbInstance.run(`
+        INSERT INTO password_reset_tokens ("userId", "tokenHash", "expiresAt", "requestedBy", "requestIp")
+        VALUES ($1, $2, NOW() + ($3 || ' minutes')::interval, $4, $5)
+    `, [userId, hashToken(token), String(ttlMinutes), requestedBy, req.ip || null]);
+    return token;
+}
+
+/**
+ * Issue an email verification token for a user
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User whose address is being verified
+ * @param {number} ttlHours - Hours until the token expires
+ * @returns {Promise<string>} - Raw token to email to the user
+ */
+async function createEmailVerificationToken(dbInstance, userId, ttlHours = 48) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await dbInstance.run(`
+        INSERT INTO email_verification_tokens ("userId", "tokenHash", "expiresAt")
+        VALUES ($1, $2, NOW() + ($3 || ' hours')::interval)
+    `, [userId, hashToken(token), String(ttlHours)]);
+    return token;
+}
+
+/**
+ * Check whether the session user has a verified email address (or does not need one).
+ * Positive results are cached on the session since verification cannot be undone.
+ * @param {Object} req - Express request with session.userId
+ * @returns {Promise<boolean>} - True if the user may use verified-only features
+ */
+async function hasVerifiedEmail(req) {
+    if (req.session.emailVerified) {
+        return true;
+    }
+
+    const user = await db.getOne(
+        'SELECT "emailVerified", "emailVerificationRequired" FROM users WHERE id = $1',
+        [req.session.userId]
+    );
+    const verified = !!user && (user.emailVerified || !user.emailVerificationRequired);
+    if (verified) {
+        req.session.emailVerified = true;
+    }
+    return verified;
+}
+
+const EMAIL_NOT_VERIFIED_ERROR = {
+    error: 'Please verify your email address to use this feature',
+    code: 'EMAIL_NOT_VERIFIED'
+};
+
+/**
+ * Middleware to block accounts that have not verified their email address
+ */
+function requireVerifiedEmail(req, res, next) {
+    return (async () => {
+        try {
+            if (await hasVerifiedEmail(req)) {
+                return next();
+            }
+            return res.status(403).json(EMAIL_NOT_VERIFIED_ERROR);
+        } catch (error) {
+            logger.error('Email verification check failed', { error: error.message, userId: req.session.userId });
+            res.status(500).json({ error: 'Authorization check failed' });
+        }
+    })();
+}
+
+// ============================================================================
+// Parental Consent (COPPA)
+// ============================================================================
+
+// Lifecycle: pending -> requested -> granted -> revoked. Non-minors have no status.
+const CONSENT_STATUSES = ['pending', 'requested', 'granted', 'revoked'];
+const CONSENT_METHODS = ['email_link', 'parent_account', 'signed_form', 'in_person'];
+
+// Write endpoints a minor may still call while consent is outstanding
+const CONSENT_EXEMPT_WRITE_PATHS = ['/auth/', '/consent/', '/notifications/'];
+
+/**
+ * Append an entry to a minor's consent trail and update their current consent status
+ * @param {Object} dbInstance - Database query helpers, or a client inside the caller's transaction
+ * @param {string} userId - The minor's user ID
+ * @param {string} status - One of CONSENT_STATUSES
+ * @param {Object} details - { method, parentUserId, parentName, parentEmail, notes, recordedBy, req }
+ * @returns {Promise<Object>} - The inserted consent record
+ */
+async function recordParentalConsent(dbInstance, userId, status, details = {}) {
+    if (!CONSENT_STATUSES.includes(status)) {
+        throw new Error(`Invalid consent status: ${status}`);
+    }
+    if (details.method && !CONSENT_METHODS.includes(details.method)) {
+        throw new Error(`Invalid consent method: ${details.method}`);
+    }
+
+    const req = details.req || {};
+    const ipAddress = req.ip || null;
+    const userAgent = req.get ? req.get('user-agent') : null;
+
+    const inTransaction = (work) => (typeof dbInstance.transaction === 'function' ? dbInstance.transaction(work) : work(dbInstance));
+    return inTransaction(async (client) => {
+        const result = await client.query(`
+            INSERT INTO parental_consent_records (
+                "userId", status, method, "parentUserId", "parentName", "parentEmail",
+                notes, "recordedBy", "ipAddress", "userAgent"
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            userId, status, details.method || null, details.parentUserId || null,
+            details.parentName || null, details.parentEmail || null, details.notes || null,
+            details.recordedBy || null, ipAddress, userAgent
+        ]);
+
+        await client.query(`
+            UPDATE users
+            SET "parentalConsentStatus" = $1,
+                "parentConsentDate" = CASE WHEN $1 = 'granted' THEN NOW() ELSE "parentConsentDate" END,
+                "parentConsentIP" = CASE WHEN $1 = 'granted' THEN $2 ELSE "parentConsentIP" END,
+                "isActive" = CASE WHEN $1 = 'granted' THEN true ELSE "isActive" END
+            WHERE id = $3
+        `, [status, ipAddress, userId]);
+
+        return result.rows[0];
+    });
+}
+
+/**
+ * Email a consent request link to a minor's parent/guardian and mark consent as requested
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - The minor's user ID
+ * @param {string} parentEmail - Parent/guardian email address
+ * @param {Object} options - { requestedBy, req, ttlHours }
+ * @returns {Promise<void>}
+ */
+async function requestParentalConsent(dbInstance, userId, parentEmail, options = {}) {
+    const { requestedBy = null, req = null, ttlHours = 168 } = options;
+    const scout = await dbInstance.getOne('SELECT "firstName" FROM users WHERE id = $1', [userId]);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Only the newest link is valid
+    await dbInstance.run(`
+        UPDATE parental_consent_requests SET "respondedAt" = NOW()
+        WHERE "userId" = $1 AND "respondedAt" IS NULL
+    `, [userId]);
+    await dbInstance.run(`
+        INSERT INTO parental_consent_requests ("userId", "parentEmail", "tokenHash", "expiresAt", "requestedBy")
+        VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::interval, $5)
+    `, [userId, parentEmail, hashToken(token), String(ttlHours), requestedBy]);
+
+    await mailer.queueEmail({
+        to: parentEmail,
+        template: 'parental_consent',
+        data: { scoutFirstName: scout ? scout.firstName : '', token, expiresInDays: Math.round(ttlHours / 24) }
+    });
+
+    await recordParentalConsent(dbInstance, userId, 'requested', {
+        method: 'email_link',
+        parentEmail,
+        recordedBy: requestedBy,
+        req
+    });
+}
+
+/**
+ * Anonymize a user's personal data, deactivate the account and end their sessions
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User to anonymize
+ * @returns {Promise<void>}
+ */
+async function anonymizeUser(dbInstance, userId) {
+    const anonymizedEmail = `deleted-${userId.substring(0, 8)}@anonymized.local`;
+
+    await dbInstance.run(`
+        UPDATE users SET
+            email = $1,
+            "firstName" = 'Deleted',
+            "lastName" = 'User',
+            "photoUrl" = NULL,
+            "googleId" = NULL,
+            "parentEmail" = NULL,
+            "isActive" = FALSE
+        WHERE id = $2
+    `, [anonymizedEmail, userId]);
+
+    // Also clean up sessions
+    await dbInstance.run('DELETE FROM sessions WHERE "userId" = $1', [userId]);
+}
+
+/**
+ * Revoke parental consent for a minor. The consent trail is kept; the account is anonymized.
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - The minor's user ID
+ * @param {Object} details - Same shape as recordParentalConsent details
+ * @returns {Promise<Object>} - The inserted consent record
+ */
+async function revokeParentalConsent(dbInstance, userId, details = {}) {
+    const record = await recordParentalConsent(dbInstance, userId, 'revoked', details);
+    await dbInstance.run(`
+        UPDATE parental_consent_requests SET "respondedAt" = NOW()
+        WHERE "userId" = $1 AND "respondedAt" IS NULL
+    `, [userId]);
+    await anonymizeUser(dbInstance, userId);
+    return record;
+}
+
+/**
+ * Middleware to block writes by minors whose parental consent has not been granted.
+ * Mounted on /api/ so req.path is relative to it. Adult accounts are cached on the session.
+ */
+function requireParentalConsentForWrites(req, res, next) {
+    if (!req.session || !req.session.userId || req.session.consentNotRequired ||
+        ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+        CONSENT_EXEMPT_WRITE_PATHS.some(prefix => req.path.startsWith(prefix))) {
+        return next();
+    }
+
+    return (async () => {
+        try {
+            const user = await db.getOne(
+                'SELECT "isMinor", "parentalConsentStatus" FROM users WHERE id = $1',
+                [req.session.userId]
+            );
+            if (!user || !user.isMinor) {
+                req.session.consentNotRequired = true;
+                return next();
+            }
+            if (user.parentalConsentStatus === 'granted') {
+                return next();
+            }
+            return res.status(403).json({
+                error: 'A parent or guardian must provide consent before this account can make changes',
+                code: 'PARENTAL_CONSENT_REQUIRED',
+                consentStatus: user.parentalConsentStatus || 'pending'
+            });
+        } catch (error) {
+            logger.error('Parental consent check failed', { error: error.message, userId: req.session.userId });
+            res.status(500).json({ error: 'Authorization check failed' });
+        }
+    })();
+}
+
+// ============================================================================
+// Two-Factor Authentication (TOTP)
+// ============================================================================
+
+const TWO_FACTOR_ISSUER = 'Apex Scout Manager';
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept codes from one step either side to allow for phone clock drift
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+/**
+ * Generate a new base32 TOTP secret
+ * @returns {string}
+ */
+function generateTotpSecret() {
+    return authenticator.generateSecret();
+}
+
+/**
+ * Build the otpauth:// URI encoded in the enrollment QR code
+ * @param {string} email - Account label shown in the authenticator app
+ * @param {string} secret - Base32 TOTP secret
+ * @returns {string}
+ */
+function buildTotpUri(email, secret) {
+    return authenticator.keyuri(email, TWO_FACTOR_ISSUER, secret);
+}
+
+/**
+ * Find the time step a code was generated for
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} - Absolute time step, or null if the code is invalid
+ */
+function matchTotpStep(secret, code) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!secret || !/^\d{6}$/.test(token)) {
+        return null;
+    }
+    const delta = authenticator.checkDelta(token, secret);
+    if (delta === null) {
+        return null;
+    }
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+}
+
+/**
+ * Verify a TOTP code for a user with 2FA enabled. Each code is accepted once.
+ * @param {Object} dbInstance - Database query helpers
+ * @param {Object} user - User row with id, totpSecret and totpLastStep
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCode(dbInstance, user, code) {
+    const step = matchTotpStep(user.totpSecret, code);
+    if (step === null) {
+        return false;
+    }
+    // Compare-and-set so the same code cannot be replayed, even concurrently
+    const rowCount = await dbInstance.run(`
+        UPDATE users SET "totpLastStep" = $1
+        WHERE id = $2 AND ("totpLastStep" IS NULL OR "totpLastStep" < $1)
+    `, [step, user.id]);
+    return rowCount > 0;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Raw codes to show the user once
+ */
+async function createRecoveryCodes(dbInstance, userId) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    await dbInstance.transaction(async (client) => {
+        await client.query('DELETE FROM user_recovery_codes WHERE "userId" = $1', [userId]);
+        for (const code of codes) {
+            await client.query(
+                'INSERT INTO user_recovery_codes ("userId", "codeHash") VALUES ($1, $2)',
+                [userId, hashToken(code)]
+            );
+        }
+    });
+
+    return codes;
+}
+
+/**
+ * Consume a recovery code
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User ID
+ * @param {string} code - Recovery code as entered (case and spacing ignored)
+ * @returns {Promise<boolean>} - True if the code was valid and unused
+ */
+async function useRecoveryCode(dbInstance, userId, code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+    if (normalized.length !== 10) {
+        return false;
+    }
+    const rowCount = await dbInstance.run(`
+        UPDATE user_recovery_codes SET "usedAt" = NOW()
+        WHERE "userId" = $1 AND "codeHash" = $2 AND "usedAt" IS NULL
+    `, [userId, hashToken(`${normalized.slice(0, 5)}-${normalized.slice(5)}`)]);
+    return rowCount > 0;
+}
+
+/**
+ * Check whether the two_factor_required_roles system setting applies to a user.
+ * Matches the account role, any active troop role, and "admin" for system admins.
+ * @param {Object} dbInstance - Database query helpers
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(dbInstance, userId) {
+    const setting = await dbInstance.getOne(
+        'SELECT value FROM system_settings WHERE key = $1',
+        ['two_factor_required_roles']
+    );
+    const requiredRoles = setting && Array.isArray(setting.value) ? setting.value : [];
+    if (requiredRoles.length === 0) {
+        return false;
+    }
+
+    const user = await dbInstance.getOne('SELECT role FROM users WHERE id = $1', [userId]);
+    if (user && requiredRoles.includes(user.role)) {
+        return true;
+    }
+
+    const troopRoles = await dbInstance.getAll(
+        'SELECT DISTINCT role FROM troop_members WHERE "userId" = $1 AND status = \'active\'',
+        [userId]
+    );
+    if (troopRoles.some(r => requiredRoles.includes(r.role))) {
+        return true;
+    }
+
+    return requiredRoles.includes('admin') && await isAdmin(dbInstance, userId);
+}
+
+/**
+ * Middleware to block sessions whose role requires 2FA until the user enrolls.
+ * Mounted on /api/; only the /api/auth/ routes (including 2FA setup) stay reachable.
+ */
+function requireTwoFactorEnrollment(req, res, next) {
+    if (req.session && req.session.twoFactorEnrollmentRequired && !req.path.startsWith('/auth/')) {
+        return res.status(403).json({
+            error: 'Two-factor authentication is required for your role. Set it up under Settings.',
+            code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+        });
+    }
+    next();
+}
+
+// ============================================================================
+// Login Tracking & Account Lockout
+// ============================================================================
+
+const LOCKOUT_BASE_MINUTES = 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 5;
+
+/**
+ * Read the max_login_attempts system setting
+ * @param {Object} dbInstance - Database query helpers
+ * @returns {Promise<number>}
+ */
+async function getMaxLoginAttempts(dbInstance) {
+    const setting = await dbInstance.getOne(
+        'SELECT value FROM system_settings WHERE key = $1',
+        ['max_login_attempts']
+    ).catch(() => null);
+    const max = setting ? parseInt(setting.value) : NaN;
+    return max > 0 ? max : DEFAULT_MAX_LOGIN_ATTEMPTS;
+}
+
+/**
+ * Minutes remaining on an account lockout
+ * @param {Object} user - User row with lockedUntil
+ * @returns {number} - 0 when not locked
+ */
+function getLockoutMinutesRemaining(user) {
+    if (!user.lockedUntil) return 0;
+    const remainingMs = new Date(user.lockedUntil).getTime() - Date.now();
+    return remainingMs > 0 ? Math.ceil(remainingMs / 60000) : 0;
+}
+
+/**
+ * Append a row to login_history
+ * @param {Object} dbInstance - Database query helpers
+ * @param {Object} entry - { userId, email, success, failureReason, method, req }
+ * @returns {Promise<void>}
+ */
+async function recordLoginAttempt(dbInstance, entry) {
+    const req = entry.req;
+    const userAgent = req.get('user-agent') || null;
+    try {
+        await dbInstance.run(`
+            INSERT INTO login_history ("userId", email, success, "failureReason", method, "ipAddress", "userAgent", "deviceHash")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            entry.userId || null,
+            entry.email || null,
+            entry.success,
+            entry.failureReason || null,
+            entry.method || 'local',
+            req.ip || null,
+            userAgent,
+            userAgent ? hashToken(userAgent) : null
+        ]);
+    } catch (error) {
+        logger.error('Failed to record login attempt', { error: error.message });
+    }
+}
+
+/**
+ * Count a failed password or 2FA attempt and lock the account once the limit is reached.
+ * Each successive lockout doubles in length (15 min, 30 min, 1 h ... up to 24 h).
+ * @param {Object} dbInstance - Database query helpers
+ * @param {Object} user - User row
+ * @param {Object} req - Express request
+ * @param {string} failureReason - Stored in login_history
+ * @returns {Promise<number>} - Lockout minutes if this attempt locked the account, else 0
+ */
+async function recordFailedLogin(dbInstance, user, req, failureReason) {
+    const maxAttempts = await getMaxLoginAttempts(dbInstance);
+
+    const updated = await dbInstance.getOne(`
+        UPDATE users SET "failedLoginAttempts" = COALESCE("failedLoginAttempts", 0) + 1
+        WHERE id = $1
+        RETURNING "failedLoginAttempts", COALESCE("lockoutCount", 0) as "lockoutCount"
+    `, [user.id]);
+
+    await recordLoginAttempt(dbInstance, { userId: user.id, email: user.email, success: false, failureReason, req });
+
+    if (!updated || updated.failedLoginAttempts < maxAttempts) {
+        return 0;
+    }
+
+    const lockMinutes = Math.min(LOCKOUT_BASE_MINUTES * Math.pow(2, updated.lockoutCount), LOCKOUT_MAX_MINUTES);
+    await dbInstance.run(`
+        UPDATE users
+        SET "lockedUntil" = NOW() + ($1 || ' minutes')::interval,
+            "lockoutCount" = COALESCE("lockoutCount", 0) + 1,
+            "failedLoginAttempts" = 0
+        WHERE id = $2
+    `, [String(lockMinutes), user.id]);
+
+    await logAuditEvent(dbInstance, user.id, 'account_locked', req, {
+        resourceType: 'user',
+        resourceId: user.id,
+        lockMinutes
+    });
+    logger.warn('Account locked after failed logins', { userId: user.id, lockMinutes });
+
+    return lockMinutes;
+}
+
+/**
+ * Record a completed sign-in: reset lockout counters, log history, stamp the session
+ * with IP/user-agent and notify the user when the device has not been seen before.
+ * @param {Object} dbInstance - Database query helpers
+ * @param {Object} user - User row
+ * @param {Object} req - Express request (session already established)
+ * @param {string} method - local | google
+ * @returns {Promise<void>}
+ */
+async function recordSuccessfulLogin(dbInstance, user, req, method) {
+    const userAgent = req.get('user-agent') || null;
+    req.session.ip = req.ip;
+    req.session.userAgent = userAgent;
+    req.session.loginAt = new Date().toISOString();
+
+    try {
+        await dbInstance.run(`
+            UPDATE users SET "failedLoginAttempts" = 0, "lockoutCount" = 0, "lockedUntil" = NULL
+            WHERE id = $1
+        `, [user.id]);
+
+        const history = await dbInstance.getOne(`
+            SELECT COUNT(*)::int as "total",
+                   COUNT(*) FILTER (WHERE "deviceHash" = $2)::int as "sameDevice"
+            FROM login_history
+            WHERE "userId" = $1 AND success = true
+        `, [user.id, userAgent ? hashToken(userAgent) : null]);
+
+        await recordLoginAttempt(dbInstance, { userId: user.id, email: user.email, success: true, method, req });
+
+        // First ever login is not "new"; only alert once the account has a known device
+        if (history.total > 0 && history.sameDevice === 0) {
+            await createNotification(
+                dbInstance,
+                user.id,
+                'warning',
+                'New sign-in to your account',
+                `Your account was signed in from a new device (${userAgent || 'unknown browser'}, IP ${req.ip}). ` +
+                    'If this was not you, change your password and contact your troop leader.'
+            );
+        }
+    } catch (error) {
+        logger.error('Failed to record successful login', { error: error.message, userId: user.id });
+    }
+}
+
+// ============================================================================
+// Personal Access Tokens
+// ============================================================================
+
+const API_TOKEN_PREFIX = 'asm_';
+
+/**
+ * Generate a new raw API token
+ * @returns {string}
+ */
+function generateApiToken() {
+    return API_TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Authenticate "Authorization: Bearer asm_..." requests. Mounted on /api/ before
+ * express-session: a plain stand-in req.session makes express-session skip the
+ * request, so token calls never create a stored session or set a cookie.
+ */
+function authenticateApiToken(req, res, next) {
+    const header = req.get('authorization') || '';
+    if (!header.startsWith('Bearer ') || req.path.startsWith('/auth/')) {
+        return next();
+    }
+
+    return (async () => {
+        try {
+            const token = header.slice(7).trim();
+            const record = await db.getOne(`
+                SELECT t.id, t."userId", t."troopId", t.scopes, u.email, u.role
+                FROM api_tokens t
+                JOIN users u ON u.id = t."userId"
+                WHERE t."tokenHash" = $1 AND t."revokedAt" IS NULL AND t."expiresAt" > NOW()
+                  AND u."isActive" = true
+            `, [hashToken(token)]);
+
+            if (!record) {
+                return res.status(401).json({ error: 'Invalid or expired API token' });
+            }
+
+            await db.run(
+                'UPDATE api_tokens SET "lastUsedAt" = NOW(), "lastUsedIp" = $1 WHERE id = $2',
+                [req.ip || null, record.id]
+            );
+
+            req.apiToken = { id: record.id, troopId: record.troopId, scopes: record.scopes || [] };
+            req.session = {
+                userId: record.userId,
+                userEmail: record.email,
+                userRole: record.role,
+                apiTokenId: record.id
+            };
+
+            if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+                await logAuditEvent(db, record.userId, 'api_token_request', req, {
+                    resourceType: 'api_token',
+                    resourceId: record.id,
+                    method: req.method,
+                    path: req.originalUrl
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('API token authentication failed', { error: error.message });
+            res.status(500).json({ error: 'Authentication failed' });
+        }
+    })();
+}
+
+/**
+ * Check whether the matched route runs a requirePrivilege* middleware.
+ * API tokens are only honoured on such routes so their scopes always apply.
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function routeChecksPrivilege(req) {
+    return !!(req.route && req.route.stack.some(layer => layer.handle && layer.handle.checksPrivilege));
+}
+
+/**
+ * Authorize an API token request for a privilege. The troop is fixed by the token,
+ * the privilege must be one of the token's scopes, and the owner must still hold it.
+ * Sets req.troopId, req.troopRole, req.effectiveScope etc. like the session path.
+ *
+ * @param {Object} req - Express request with apiToken
+ * @param {string} privilegeCode - The privilege code to check
+ * @param {string} requestedTroopId - Troop named by the request, if any
+ * @returns {Promise<{status: number, error: string}|null>} - Denial, or null when allowed
+ */
+async function authorizeApiToken(req, privilegeCode, requestedTroopId) {
+    const token = req.apiToken;
+
+    if (!token.scopes.includes(privilegeCode)) {
+        return { status: 403, error: 'API token does not include this privilege' };
+    }
+    if (requestedTroopId && String(requestedTroopId) !== String(token.troopId)) {
+        return { status: 403, error: 'API token is not valid for this troop' };
+    }
+
+    req.troopId = token.troopId;
+
+    // Same admin test as token creation (getGrantablePrivileges), so a revoked
+    // admin's tokens lose admin reach with them
+    if (await isAdmin(db, req.session.userId)) {
+        req.effectiveScope = 'T';
+        req.troopRole = 'admin';
+        return null;
+    }
+
+    if (VERIFIED_EMAIL_PRIVILEGES.includes(privilegeCode) && !(await hasVerifiedEmail(req))) {
+        return { status: 403, error: EMAIL_NOT_VERIFIED_ERROR.error };
+    }
+
+    const member = await db.getOne(`
+        SELECT role, den, "linkedParentId", "linkedScoutId"
+        FROM troop_members
+        WHERE "troopId" = $1 AND "userId" = $2 AND status = 'active'
+    `, [token.troopId, req.session.userId]);
+
+    if (!member) {
+        return { status: 403, error: 'Not a member of this troop' };
+    }
+
+    req.troopRole = member.role;
+    req.memberDen = member.den;
+    req.linkedParentId = member.linkedParentId;
+    req.linkedScoutId = member.linkedScoutId;
+
+    const overrides = await db.getAll(
+        'SELECT "privilegeCode", scope FROM privilege_overrides WHERE "troopId" = $1 AND "userId" = $2',
+        [token.troopId, req.session.userId]
+    );
+
+    const effectiveScope = getEffectiveScope(member.role, overrides, privilegeCode);
+    if (effectiveScope === 'none') {
+        return { status: 403, error: 'Insufficient privileges' };
+    }
+
+    req.effectiveScope = (effectiveScope === 'D' && !member.den) ? 'S' : effectiveScope;
+    return null;
+}
+
 /**
  * Middleware to check if user is authenticated
  */
 function isAuthenticated(req, res, next) {
+    if (req.apiToken) {
+        if (routeChecksPrivilege(req)) {
+            return next();
+        }
+        return res.status(403).json({ error: 'API tokens cannot be used for this endpoint', code: 'API_TOKEN_NOT_ALLOWED' });
+    }
     if (req.session && req.session.userId) {
         return next();
     }
@@ -120,6 +841,47 @@ function canAccessResource(req, res, next) {
 // Privilege Enforcement Middleware
 // ============================================================================
 
+/**
+ * Check a privilege in a troop from inside a route handler, by the same rules
+ * as requirePrivilege: API token scopes and troop, the admin bypass, email
+ * verification, role defaults and privilege overrides. Leaves req unchanged.
+ *
+ * @param {Object} req - Express request
+ * @param {string} troopId - Troop to check the privilege in
+ * @param {string} privilegeCode - The privilege code to check
+ * @returns {Promise<boolean>} True when the effective scope is not 'none'
+ */
+async function hasPrivilege(req, troopId, privilegeCode) {
+    if (!troopId) {
+        return false;
+    }
+
+    if (req.apiToken) {
+        const denied = await authorizeApiToken({ apiToken: req.apiToken, session: req.session }, privilegeCode, troopId);
+        return !denied;
+    }
+
+    if (req.session.userRole === 'admin') {
+        return true;
+    }
+    if (VERIFIED_EMAIL_PRIVILEGES.includes(privilegeCode) && !(await hasVerifiedEmail(req))) {
+        return false;
+    }
+
+    const member = await db.getOne(
+        'SELECT role FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
+        [troopId, req.session.userId]
+    );
+    if (!member) {
+        return false;
+    }
+    const overrides = await db.getAll(
+        'SELECT "privilegeCode", scope FROM privilege_overrides WHERE "troopId" = $1 AND "userId" = $2',
+        [troopId, req.session.userId]
+    );
+    return getEffectiveScope(member.role, overrides, privilegeCode) !== 'none';
+}
+
 /**
  * Middleware factory: require a specific privilege for troop-scoped endpoints.
  * Expects troopId in req.params, req.body, or req.query.
@@ -131,8 +893,15 @@ function canAccessResource(req, res, next) {
  * @returns {Function} Express middleware
  */
 function requirePrivilege(privilegeCode) {
-    return async (req, res, next) => {
+    const middleware = async (req, res, next) => {
         try {
+            // 1. API tokens are evaluated against their own scopes and troop
+            if (req.apiToken) {
+                const requestedTroopId = req.params.troopId || (req.body && req.body.troopId) || (req.query && req.query.troopId);
+                const denied = await authorizeApiToken(req, privilegeCode, requestedTroopId);
+                return denied ? res.status(denied.status).json({ error: denied.error }) : next();
+            }
+
             // 2. Admin bypass
             if (req.session.userRole === 'admin') {
                 req.effectiveScope = 'T';
@@ -140,6 +909,11 @@ function requirePrivilege(privilegeCode) {
                 return next();
             }
 
+            // Unverified accounts cannot use write privileges
+            if (VERIFIED_EMAIL_PRIVILEGES.includes(privilegeCode) && !(await hasVerifiedEmail(req))) {
+                return res.status(403).json(EMAIL_NOT_VERIFIED_ERROR);
+            }
+
             // 3. Resolve troopId
             const troopId = req.params.troopId || (req.body && req.body.troopId) || (req.query && req.query.troopId);
             if (!troopId) {
@@ -190,6 +964,8 @@ function requirePrivilege(privilegeCode) {
             res.status(500).json({ error: 'Authorization check failed' });
         }
     };
+    middleware.checksPrivilege = true;
+    return middleware;
 }
 
 /**
@@ -200,10 +976,22 @@ function requirePrivilege(privilegeCode) {
  * @returns {Function} Express middleware
  */
 function requirePrivilegeForUser(privilegeCode) {
-    return async (req, res, next) => {
+    const middleware = async (req, res, next) => {
         try {
             const targetUserId = req.params.userId;
 
+            // 1. API tokens are evaluated in the token's troop only
+            if (req.apiToken) {
+                const denied = await authorizeApiToken(req, privilegeCode, null);
+                if (denied) {
+                    return res.status(denied.status).json({ error: denied.error });
+                }
+                if (targetUserId !== req.session.userId && !(await isTargetInScope(req, targetUserId))) {
+                    return res.status(403).json({ error: 'Target user is outside your access scope' });
+                }
+                return next();
+            }
+
             // 2. Admin bypass
             if (req.session.userRole === 'admin') {
                 req.effectiveScope = 'T';
@@ -211,6 +999,11 @@ function requirePrivilegeForUser(privilegeCode) {
                 return next();
             }
 
+            // Unverified accounts cannot use write privileges
+            if (VERIFIED_EMAIL_PRIVILEGES.includes(privilegeCode) && !(await hasVerifiedEmail(req))) {
+                return res.status(403).json(EMAIL_NOT_VERIFIED_ERROR);
+            }
+
             // 3. If accessing own data, find any troop membership and check privilege
             if (targetUserId === req.session.userId) {
                 const membership = await db.getOne(`
@@ -288,6 +1081,8 @@ function requirePrivilegeForUser(privilegeCode) {
             res.status(500).json({ error: 'Authorization check failed' });
         }
     };
+    middleware.checksPrivilege = true;
+    return middleware;
 }
 
 /**
@@ -298,14 +1093,25 @@ function requirePrivilegeForUser(privilegeCode) {
  * @returns {Function} Express middleware
  */
 function requirePrivilegeAnyTroop(privilegeCode) {
-    return async (req, res, next) => {
+    const middleware = async (req, res, next) => {
         try {
+            // 1. API tokens only ever act in the token's troop
+            if (req.apiToken) {
+                const denied = await authorizeApiToken(req, privilegeCode, null);
+                return denied ? res.status(denied.status).json({ error: denied.error }) : next();
+            }
+
             // 2. Admin bypass
             if (req.session.userRole === 'admin') {
                 req.effectiveScope = 'T';
                 return next();
             }
 
+            // Unverified accounts cannot use write privileges
+            if (VERIFIED_EMAIL_PRIVILEGES.includes(privilegeCode) && !(await hasVerifiedEmail(req))) {
+                return res.status(403).json(EMAIL_NOT_VERIFIED_ERROR);
+            }
+
             // 3. Check all active troop memberships
             const memberships = await db.getAll(
                 'SELECT "troopId", role FROM troop_members WHERE "userId" = $1 AND status = \'active\'',
@@ -334,6 +1140,8 @@ function requirePrivilegeAnyTroop(privilegeCode) {
             res.status(500).json({ error: 'Authorization check failed' });
         }
     };
+    middleware.checksPrivilege = true;
+    return middleware;
 }
 
 // ============================================================================
@@ -528,20 +1336,36 @@ function validatePassword(password) {
 }
 
 /**
- * Create notification for user
+ * Create notification for user and email a copy to their address on file
  * @param {Object} dbInstance - Database query helpers
  * @param {string} userId - User ID (UUID)
  * @param {string} type - Notification type
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {string} actionUrl - Optional action URL
+ * @param {Object} options - { sendEmail: false } to skip the email copy
  */
-async function createNotification(dbInstance, userId, type, title, message, actionUrl = null) {
+async function createNotification(dbInstance, userId, type, title, message, actionUrl = null, options = {}) {
     try {
         await dbInstance.run(`
             INSERT INTO notifications ("userId", type, title, message, "actionUrl")
             VALUES ($1, $2, $3, $4, $5)
         `, [userId, type, title, message, actionUrl]);
+
+        if (options.sendEmail !== false) {
+            const recipient = await dbInstance.getOne(
+                'SELECT email FROM users WHERE id = $1 AND "isActive" = true',
+                [userId]
+            );
+            if (recipient && recipient.email) {
+                await mailer.queueEmail({
+                    to: recipient.email,
+                    userId,
+                    template: 'notification',
+                    data: { type, title, message, actionUrl }
+                });
+            }
+        }
     } catch (error) {
         logger.error('Failed to create notification:', error);
     }
@@ -589,7 +1413,16 @@ function requireAdmin(req, res, next) {
                 return res.status(403).json({ error: 'Admin access required' });
             }
 
-            // 3. Store admin role in request for logging/auditing
+            // 3. When two_factor_required_roles covers this admin, the session
+            //    must have completed the second factor
+            if (!req.session.twoFactorVerified && await isTwoFactorRequired(db, req.session.userId)) {
+                return res.status(403).json({
+                    error: 'Admin access requires two-factor authentication. Set it up under Settings, or sign in again with your code.',
+                    code: 'TWO_FACTOR_REQUIRED'
+                });
+            }
+
+            // 4. Store admin role in request for logging/auditing
             req.adminRole = adminRecord.role;
             req.adminId = adminRecord.id;
 
@@ -643,6 +1476,9 @@ module.exports = {
     hashPassword,
     comparePassword,
     generateSessionToken,
+    hashToken,
+    createPasswordResetToken,
+    createEmailVerificationToken,
     isAuthenticated,
     hasRole,
     canAccessResource,
@@ -656,12 +1492,41 @@ module.exports = {
     hasPermissionLevel,
     ROLE_LEVELS,
     // Privilege enforcement
+    hasPrivilege,
     requirePrivilege,
     requirePrivilegeForUser,
     requirePrivilegeAnyTroop,
     getHouseholdUserIds,
     isTargetInScope,
     buildScopeFilter,
+    // Email verification
+    hasVerifiedEmail,
+    requireVerifiedEmail,
+    // Personal access tokens
+    generateApiToken,
+    authenticateApiToken,
+    // Login tracking & lockout
+    getLockoutMinutesRemaining,
+    recordLoginAttempt,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    // Two-factor authentication
+    generateTotpSecret,
+    buildTotpUri,
+    matchTotpStep,
+    verifyTotpCode,
+    createRecoveryCodes,
+    useRecoveryCode,
+    isTwoFactorRequired,
+    requireTwoFactorEnrollment,
+    // Parental consent (COPPA)
+    CONSENT_STATUSES,
+    CONSENT_METHODS,
+    recordParentalConsent,
+    requestParentalConsent,
+    revokeParentalConsent,
+    anonymizeUser,
+    requireParentalConsentForWrites,
     // Admin access
     requireAdmin,
     isAdmin
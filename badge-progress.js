@@ -0,0 +1,705 @@
+/**
+ * Badge requirement steps for Apex Scout Manager
+ *
+ * A badge's requirements are broken into numbered steps (badge_requirements).
+ * Steps belong to the badge catalog, so every troop sees the same steps for a
+ * badge. As a scout works through a badge, a parent or leader checks off each
+ * step with the date it was done and an optional note or photo
+ * (scout_badge_steps).
+ *
+ * When the last step is checked off, the badge is awarded straight away if the
+ * person checking it off can award badges. Otherwise it waits in the troop's
+ * ready-for-award queue until a leader awards it.
+ *
+ * A parent can also claim a whole badge at once, with a note or photo as
+ * evidence (badge_claims). The claim waits in the troop's review queue until a
+ * leader approves it, which awards the badge, or rejects it with a reason.
+ *
+ * An awarded badge is "recognized" once the scout has been handed the physical
+ * badge, usually at a ceremony (scout_badges."recognizedDate"). The
+ * recognition list tells leaders which badges to buy from the council shop.
+ */
+
+const ExcelJS = require('exceljs');
+const logger = require('./logger');
+const db = require('./database/query-helpers');
+
+const MAX_STEPS = 20;
+
+// "1. Do this", "Step 2: Do that", "3) And this"
+const NUMBERED_STEP = /^\s*(?:step\s*)?(\d{1,2})\s*[.):-]\s*(.+)$/i;
+
+function badgeError(message, status = 400, extra = {}) {
+    return Object.assign(new Error(message), { status }, extra);
+}
+
+// Photos are stored and served back, so only these image types are kept, and
+// the type is read from the file's first bytes rather than the upload's claim
+const IMAGE_TYPES = {
+    'image/png': { extension: 'png', matches: b => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    'image/jpeg': { extension: 'jpg', matches: b => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/gif': { extension: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.subarray(0, 6).toString('latin1')) },
+    'image/webp': { extension: 'webp', matches: b => b.length >= 12 && b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+};
+
+/**
+ * The image type of a file's bytes
+ * @param {Buffer} data - File contents
+ * @returns {{type: string, extension: string}|null} null when it is not one of IMAGE_TYPES
+ */
+function detectImageType(data) {
+    if (!Buffer.isBuffer(data)) return null;
+    const type = Object.keys(IMAGE_TYPES).find(key => IMAGE_TYPES[key].matches(data));
+    return type ? { type, extension: IMAGE_TYPES[type].extension } : null;
+}
+
+// The verified type of an uploaded photo; rejects anything else
+function uploadedImageType(file) {
+    const image = detectImageType(file.buffer);
+    if (!image) throw badgeError('Photos must be PNG, JPEG, GIF or WebP images');
+    return image.type;
+}
+
+// A YYYY-MM-DD date that is not in the future; defaults to today
+function parsePastDate(value, field) {
+    const date = value || new Date().toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) throw badgeError(`${field} must be a date (YYYY-MM-DD)`);
+    if (date > new Date().toISOString().split('T')[0]) throw badgeError(`${field} cannot be in the future`);
+    return date;
+}
+
+/**
+ * Split a badge's free-text requirements into steps. Only text written as a
+ * numbered list of at least two lines produces steps.
+ * @param {string} text - badges.requirements
+ * @returns {Array<{title: string}>} Steps in order, or an empty array
+ */
+function parseRequirementSteps(text) {
+    if (!text) return [];
+    const steps = [];
+    for (const line of String(text).split(/\r?\n/)) {
+        const match = line.match(NUMBERED_STEP);
+        if (match) steps.push({ title: match[2].trim().slice(0, 255) });
+    }
+    return steps.length >= 2 ? steps.slice(0, MAX_STEPS) : [];
+}
+
+/**
+ * Give badges whose requirements text is a numbered list their steps, for
+ * badges that have none yet. Safe to run on every startup.
+ */
+async function seedRequirementSteps() {
+    try {
+        const badges = await db.getAll(`
+            SELECT b.id, b.requirements FROM badges b
+            WHERE b.requirements ~ '\\n'
+              AND NOT EXISTS (SELECT 1 FROM badge_requirements br WHERE br."badgeId" = b.id)
+        `);
+        let seeded = 0;
+        for (const badge of badges) {
+            const steps = parseRequirementSteps(badge.requirements);
+            if (steps.length === 0) continue;
+            await db.transaction(client => replaceSteps(client, badge.id, steps));
+            seeded++;
+        }
+        if (seeded > 0) logger.info('Badge requirement steps seeded', { badges: seeded });
+    } catch (error) {
+        logger.warn('Badge requirement step seeding had issues (non-fatal)', { error: error.message });
+    }
+}
+
+// ============================================================================
+// Steps
+// ============================================================================
+
+/**
+ * The steps of a badge, in order
+ * @param {Object} client - pg client or query helpers
+ * @param {string} badgeId - Badge ID
+ * @returns {Promise<Object[]>} badge_requirements rows
+ */
+async function getSteps(client, badgeId) {
+    const result = await client.query(
+        'SELECT * FROM badge_requirements WHERE "badgeId" = $1 ORDER BY "stepNumber"',
+        [badgeId]
+    );
+    return result.rows;
+}
+
+/**
+ * Set a badge's steps. Steps are matched by number, so progress recorded on a
+ * step survives a change of wording. Steps that scouts have already checked
+ * off cannot be removed.
+ * @param {Object} client - Transaction client
+ * @param {string} badgeId - Badge ID
+ * @param {Array<{title: string, description?: string}>} steps - Steps in order
+ * @returns {Promise<Object[]>} The badge's steps
+ */
+async function replaceSteps(client, badgeId, steps) {
+    if (!Array.isArray(steps)) throw badgeError('steps must be an array');
+    if (steps.length > MAX_STEPS) throw badgeError(`A badge can have at most ${MAX_STEPS} steps`);
+    const cleaned = steps.map(step => ({
+        title: String(step.title || '').trim(),
+        description: step.description ? String(step.description).trim() : null
+    }));
+    if (cleaned.some(step => !step.title)) throw badgeError('Every step needs a title');
+
+    const removed = await client.query(`
+        SELECT br."stepNumber" FROM badge_requirements br
+        WHERE br."badgeId" = $1 AND br."stepNumber" > $2
+          AND EXISTS (SELECT 1 FROM scout_badge_steps sbs WHERE sbs."requirementId" = br.id)
+        ORDER BY br."stepNumber"
+    `, [badgeId, cleaned.length]);
+    if (removed.rows.length > 0) {
+        throw badgeError(`Step ${removed.rows[0].stepNumber} has been checked off by scouts and cannot be removed`, 409, { code: 'STEP_IN_USE' });
+    }
+
+    await client.query('DELETE FROM badge_requirements WHERE "badgeId" = $1 AND "stepNumber" > $2', [badgeId, cleaned.length]);
+    for (const [index, step] of cleaned.entries()) {
+        await client.query(`
+            INSERT INTO badge_requirements ("badgeId", "stepNumber", title, description)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT ("badgeId", "stepNumber") DO UPDATE SET
+                title = EXCLUDED.title, description = EXCLUDED.description, "updatedAt" = NOW()
+        `, [badgeId, index + 1, step.title, step.description]);
+    }
+    return getSteps(client, badgeId);
+}
+
+// ============================================================================
+// Progress
+// ============================================================================
+
+/**
+ * A scout's step progress, one entry per badge that has steps and that the
+ * scout has started or earned (or just the one badge asked for)
+ * @param {Object} client - pg client or query helpers
+ * @param {string} userId - Scout's user ID
+ * @param {Object} [options] - { badgeId }
+ * @returns {Promise<Object[]>} [{ badgeId, badgeName, badgeType, imageUrl, earnedDate, stepCount, completedCount, isComplete, steps }]
+ */
+async function getProgress(client, userId, { badgeId = null } = {}) {
+    const params = [userId];
+    let badgeFilter = `br."badgeId" IN (
+        SELECT "badgeId" FROM scout_badge_steps WHERE "userId" = $1
+        UNION SELECT "badgeId" FROM scout_badges WHERE "userId" = $1
+    )`;
+    if (badgeId) {
+        params.push(badgeId);
+        badgeFilter = `br."badgeId" = $${params.length}`;
+    }
+    const rows = (await client.query(`
+        SELECT b.id AS "badgeId", b."badgeName", b."badgeType", b."imageUrl",
+               (SELECT MIN(sb."earnedDate") FROM scout_badges sb WHERE sb."userId" = $1 AND sb."badgeId" = b.id) AS "earnedDate",
+               br.id AS "requirementId", br."stepNumber", br.title, br.description,
+               to_char(sbs."completedDate", 'YYYY-MM-DD') AS "completedDate", sbs.notes, (sbs."photoData" IS NOT NULL) AS "hasPhoto",
+               sbs."recordedAt", u."firstName" || ' ' || u."lastName" AS "recordedByName"
+        FROM badge_requirements br
+        JOIN badges b ON b.id = br."badgeId"
+        LEFT JOIN scout_badge_steps sbs ON sbs."requirementId" = br.id AND sbs."userId" = $1
+        LEFT JOIN users u ON u.id = sbs."recordedBy"
+        WHERE ${badgeFilter}
+        ORDER BY b."badgeName", br."stepNumber"
+    `, params)).rows;
+
+    const badges = new Map();
+    for (const row of rows) {
+        if (!badges.has(row.badgeId)) {
+            badges.set(row.badgeId, {
+                badgeId: row.badgeId,
+                badgeName: row.badgeName,
+                badgeType: row.badgeType,
+                imageUrl: row.imageUrl,
+                earnedDate: row.earnedDate,
+                stepCount: 0,
+                completedCount: 0,
+                steps: []
+            });
+        }
+        const badge = badges.get(row.badgeId);
+        badge.stepCount++;
+        if (row.completedDate) badge.completedCount++;
+        badge.steps.push({
+            requirementId: row.requirementId,
+            stepNumber: row.stepNumber,
+            title: row.title,
+            description: row.description,
+            completedDate: row.completedDate,
+            notes: row.notes,
+            hasPhoto: row.hasPhoto,
+            recordedAt: row.recordedAt,
+            recordedByName: row.recordedByName
+        });
+    }
+    return [...badges.values()].map(badge => ({ ...badge, isComplete: badge.completedCount === badge.stepCount }));
+}
+
+/**
+ * Check off a step for a scout, or update the date, note or photo of one
+ * already checked off
+ * @param {Object} client - Transaction client
+ * @param {Object} step - { userId, troopId, requirement, completedDate, notes, photo, recordedBy }; photo is a multer file
+ * @returns {Promise<Object>} The scout_badge_steps row, without the photo bytes
+ */
+async function recordStep(client, { userId, troopId, requirement, completedDate, notes, photo, recordedBy }) {
+    const date = parsePastDate(completedDate, 'completedDate');
+    const photoType = photo ? uploadedImageType(photo) : null;
+
+    const result = await client.query(`
+        INSERT INTO scout_badge_steps ("userId", "badgeId", "requirementId", "troopId", "completedDate", notes,
+            "photoData", "photoType", "recordedBy")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT ("userId", "requirementId") DO UPDATE SET
+            "completedDate" = EXCLUDED."completedDate",
+            notes = EXCLUDED.notes,
+            "photoData" = COALESCE(EXCLUDED."photoData", scout_badge_steps."photoData"),
+            "photoType" = COALESCE(EXCLUDED."photoType", scout_badge_steps."photoType"),
+            "recordedBy" = EXCLUDED."recordedBy",
+            "recordedAt" = NOW()
+        RETURNING id, "userId", "badgeId", "requirementId", "troopId", "completedDate", notes,
+                  ("photoData" IS NOT NULL) AS "hasPhoto", "recordedBy", "recordedAt"
+    `, [userId, requirement.badgeId, requirement.id, troopId, date, notes ? String(notes).trim() || null : null,
+        photo ? photo.buffer : null, photoType, recordedBy]);
+    return result.rows[0];
+}
+
+/**
+ * Whether the scout has checked off every step of the badge and has not yet
+ * been awarded it
+ * @param {Object} client - pg client or query helpers
+ * @param {string} userId - Scout's user ID
+ * @param {string} badgeId - Badge ID
+ * @returns {Promise<{ready: boolean, completedDate: string|null}>} completedDate is the date of the last step
+ */
+async function checkCompletion(client, userId, badgeId) {
+    const row = (await client.query(`
+        SELECT (SELECT COUNT(*) FROM badge_requirements WHERE "badgeId" = $2)::int AS "stepCount",
+               COUNT(sbs.id)::int AS "completedCount",
+               to_char(MAX(sbs."completedDate"), 'YYYY-MM-DD') AS "completedDate",
+               EXISTS (SELECT 1 FROM scout_badges WHERE "userId" = $1 AND "badgeId" = $2) AS awarded
+        FROM scout_badge_steps sbs
+        WHERE sbs."userId" = $1 AND sbs."badgeId" = $2
+    `, [userId, badgeId])).rows[0];
+    const ready = row.stepCount > 0 && row.completedCount === row.stepCount && !row.awarded;
+    return { ready, completedDate: ready ? row.completedDate : null };
+}
+
+/**
+ * Scouts of a troop who have checked off every step of a badge they have not
+ * been awarded, oldest first
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @returns {Promise<Object[]>} [{ userId, scoutName, badgeId, badgeName, badgeType, stepCount, completedDate }]
+ */
+async function getReadyForAward(client, troopId) {
+    const result = await client.query(`
+        SELECT sbs."userId", u."firstName" || ' ' || u."lastName" AS "scoutName",
+               sbs."badgeId", b."badgeName", b."badgeType",
+               COUNT(*)::int AS "stepCount",
+               to_char(MAX(sbs."completedDate"), 'YYYY-MM-DD') AS "completedDate"
+        FROM scout_badge_steps sbs
+        JOIN users u ON u.id = sbs."userId"
+        JOIN badges b ON b.id = sbs."badgeId"
+        WHERE sbs."troopId" = $1
+          AND NOT EXISTS (SELECT 1 FROM scout_badges sb WHERE sb."userId" = sbs."userId" AND sb."badgeId" = sbs."badgeId")
+        GROUP BY sbs."userId", u."firstName", u."lastName", sbs."badgeId", b."badgeName", b."badgeType"
+        HAVING COUNT(*) = (SELECT COUNT(*) FROM badge_requirements br WHERE br."badgeId" = sbs."badgeId")
+        ORDER BY MAX(sbs."completedDate"), u."lastName", u."firstName"
+    `, [troopId]);
+    return result.rows;
+}
+
+// ============================================================================
+// Awards
+// ============================================================================
+
+const MAX_BULK_AWARD = 100;
+
+/**
+ * Award a badge to a scout
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} award - { userId, badgeId, troopId, earnedDate, verifiedBy, notes, eventId }
+ * @returns {Promise<Object>} The scout_badges row
+ */
+async function awardBadge(client, { userId, badgeId, troopId, earnedDate, verifiedBy, notes, eventId = null }) {
+    try {
+        const result = await client.query(`
+            INSERT INTO scout_badges ("userId", "badgeId", "troopId", "earnedDate", "verifiedBy", "verifiedDate", notes, "eventId")
+            VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6, $7)
+            RETURNING *
+        `, [userId, badgeId, troopId, earnedDate, verifiedBy, notes || null, eventId]);
+        return result.rows[0];
+    } catch (error) {
+        if (error.code === '23505') throw badgeError('Badge already awarded on this date', 409, { code: 'ALREADY_AWARDED' });
+        throw error;
+    }
+}
+
+/**
+ * Award one badge to several scouts of a troop with the same earned date, for
+ * example everyone who finished it at a meeting. Scouts who already have the
+ * badge, or who are not active members of the troop, are skipped rather than
+ * failing the batch.
+ * @param {Object} client - Transaction client
+ * @param {Object} batch - { troopId, badgeId, userIds, earnedDate, eventId, notes, verifiedBy }
+ * @returns {Promise<{badge: Object, event: Object|null, awarded: Object[], skipped: Object[]}>}
+ *   awarded: [{ userId, scoutName, scoutBadge }]; skipped: [{ userId, scoutName, reason, earnedDate }]
+ */
+async function awardBadgeToScouts(client, { troopId, badgeId, userIds, earnedDate, eventId, notes, verifiedBy }) {
+    if (!badgeId) throw badgeError('badgeId is required');
+    if (!Array.isArray(userIds) || userIds.length === 0) throw badgeError('Select at least one scout');
+    const ids = [...new Set(userIds)];
+    if (ids.length > MAX_BULK_AWARD) throw badgeError(`At most ${MAX_BULK_AWARD} scouts can be awarded at once`);
+
+    const badge = (await client.query('SELECT id, "badgeName" FROM badges WHERE id = $1', [badgeId])).rows[0];
+    if (!badge) throw badgeError('Badge not found', 404);
+
+    let event = null;
+    if (eventId) {
+        event = (await client.query(`
+            SELECT id, "eventName", to_char("eventDate", 'YYYY-MM-DD') AS "eventDate"
+            FROM events WHERE id = $1 AND "troopId" = $2
+        `, [eventId, troopId])).rows[0];
+        if (!event) throw badgeError('Event not found', 404);
+    }
+    const date = parsePastDate(earnedDate || (event && event.eventDate), 'earnedDate');
+
+    const scouts = (await client.query(`
+        SELECT u.id, u."firstName" || ' ' || u."lastName" AS "scoutName",
+               to_char(MIN(sb."earnedDate"), 'YYYY-MM-DD') AS "earnedDate"
+        FROM users u
+        JOIN troop_members tm ON tm."userId" = u.id AND tm."troopId" = $1 AND tm.status = 'active'
+        LEFT JOIN scout_badges sb ON sb."userId" = u.id AND sb."badgeId" = $2
+        WHERE u.id = ANY($3)
+        GROUP BY u.id, u."firstName", u."lastName"
+    `, [troopId, badgeId, ids])).rows;
+    const byId = new Map(scouts.map(scout => [scout.id, scout]));
+
+    const awarded = [];
+    const skipped = [];
+    for (const userId of ids) {
+        const scout = byId.get(userId);
+        if (!scout) {
+            skipped.push({ userId, scoutName: null, reason: 'not_in_troop', earnedDate: null });
+            continue;
+        }
+        if (scout.earnedDate) {
+            skipped.push({ userId, scoutName: scout.scoutName, reason: 'already_awarded', earnedDate: scout.earnedDate });
+            continue;
+        }
+        const scoutBadge = (await client.query(`
+            INSERT INTO scout_badges ("userId", "badgeId", "troopId", "earnedDate", "verifiedBy", "verifiedDate", notes, "eventId")
+            VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, $6, $7)
+            ON CONFLICT ON CONSTRAINT unique_badge_per_scout DO NOTHING
+            RETURNING *
+        `, [userId, badgeId, troopId, date, verifiedBy, notes ? String(notes).trim() || null : null, event ? event.id : null])).rows[0];
+        if (scoutBadge) awarded.push({ userId, scoutName: scout.scoutName, scoutBadge });
+        else skipped.push({ userId, scoutName: scout.scoutName, reason: 'already_awarded', earnedDate: date });
+    }
+    return { badge, event, awarded, skipped };
+}
+
+// ============================================================================
+// Claims
+// ============================================================================
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected'];
+
+const CLAIM_COLUMNS = `
+    c.id, c."userId", su."firstName" || ' ' || su."lastName" AS "scoutName",
+    c."badgeId", b."badgeName", b."badgeType", c."troopId",
+    to_char(c."earnedDate", 'YYYY-MM-DD') AS "earnedDate", c.notes,
+    (c."evidenceData" IS NOT NULL) AS "hasEvidence",
+    c.status, c."submittedBy", pu."firstName" || ' ' || pu."lastName" AS "submittedByName", c."createdAt",
+    c."reviewedBy", ru."firstName" || ' ' || ru."lastName" AS "reviewedByName", c."reviewedAt",
+    c."rejectionReason", c."scoutBadgeId"
+`;
+
+const CLAIM_JOINS = `
+    JOIN users su ON su.id = c."userId"
+    JOIN badges b ON b.id = c."badgeId"
+    LEFT JOIN users pu ON pu.id = c."submittedBy"
+    LEFT JOIN users ru ON ru.id = c."reviewedBy"
+`;
+
+/**
+ * Submit a claim that a scout has earned a badge. A claim needs evidence: a
+ * note describing the work, a photo, or both.
+ * @param {Object} client - Transaction client
+ * @param {Object} claim - { userId, troopId, badgeId, earnedDate, notes, evidence, submittedBy }; evidence is a multer file
+ * @returns {Promise<Object>} The claim
+ */
+async function submitClaim(client, { userId, troopId, badgeId, earnedDate, notes, evidence, submittedBy }) {
+    if (!badgeId) throw badgeError('badgeId is required');
+    const date = parsePastDate(earnedDate, 'earnedDate');
+    const note = notes ? String(notes).trim() || null : null;
+    if (!note && !evidence) throw badgeError('Describe the work or attach a photo as evidence');
+    const evidenceType = evidence ? uploadedImageType(evidence) : null;
+
+    const badge = (await client.query('SELECT id FROM badges WHERE id = $1', [badgeId])).rows[0];
+    if (!badge) throw badgeError('Badge not found', 404);
+
+    const earned = await client.query('SELECT 1 FROM scout_badges WHERE "userId" = $1 AND "badgeId" = $2', [userId, badgeId]);
+    if (earned.rows.length > 0) throw badgeError('The scout has already been awarded this badge', 409, { code: 'ALREADY_AWARDED' });
+
+    let inserted;
+    try {
+        inserted = (await client.query(`
+            INSERT INTO badge_claims ("userId", "badgeId", "troopId", "earnedDate", notes, "evidenceData", "evidenceType", "submittedBy")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id
+        `, [userId, badgeId, troopId, date, note, evidence ? evidence.buffer : null, evidenceType, submittedBy])).rows[0];
+    } catch (error) {
+        if (error.code === '23505') throw badgeError('A claim for this badge is already waiting for review', 409, { code: 'CLAIM_PENDING' });
+        throw error;
+    }
+    return getClaim(client, inserted.id);
+}
+
+/**
+ * A claim, without the evidence bytes
+ * @param {Object} client - pg client or query helpers
+ * @param {string} claimId - Claim ID
+ * @returns {Promise<Object|null>} The claim
+ */
+async function getClaim(client, claimId) {
+    const result = await client.query(`SELECT ${CLAIM_COLUMNS} FROM badge_claims c ${CLAIM_JOINS} WHERE c.id = $1`, [claimId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * A troop's claims, pending ones oldest first, reviewed ones most recent first
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} [options] - { status }
+ * @returns {Promise<Object[]>} Claims
+ */
+async function listClaims(client, troopId, { status = null } = {}) {
+    if (status && !CLAIM_STATUSES.includes(status)) throw badgeError(`status must be one of: ${CLAIM_STATUSES.join(', ')}`);
+    const params = [troopId];
+    let statusFilter = '';
+    if (status) {
+        params.push(status);
+        statusFilter = `AND c.status = $${params.length}`;
+    }
+    const result = await client.query(`
+        SELECT ${CLAIM_COLUMNS} FROM badge_claims c ${CLAIM_JOINS}
+        WHERE c."troopId" = $1 ${statusFilter}
+        ORDER BY c.status = 'pending' DESC,
+                 CASE WHEN c.status = 'pending' THEN c."createdAt" END,
+                 c."reviewedAt" DESC
+    `, params);
+    return result.rows;
+}
+
+/**
+ * A scout's claims, most recent first
+ * @param {Object} client - pg client or query helpers
+ * @param {string} userId - Scout's user ID
+ * @returns {Promise<Object[]>} Claims
+ */
+async function getScoutClaims(client, userId) {
+    const result = await client.query(`
+        SELECT ${CLAIM_COLUMNS} FROM badge_claims c ${CLAIM_JOINS}
+        WHERE c."userId" = $1
+        ORDER BY c."createdAt" DESC
+    `, [userId]);
+    return result.rows;
+}
+
+/**
+ * Approve or reject a pending claim. Approving awards the badge on the claimed
+ * date with the reviewer as verifier.
+ * @param {Object} client - Transaction client
+ * @param {Object} review - { claimId, troopId, approve, reason, reviewedBy }
+ * @returns {Promise<{claim: Object, award: Object|null}>}
+ */
+async function reviewClaim(client, { claimId, troopId, approve, reason, reviewedBy }) {
+    const pending = (await client.query(
+        'SELECT *, to_char("earnedDate", \'YYYY-MM-DD\') AS "claimedDate" FROM badge_claims WHERE id = $1 AND "troopId" = $2 FOR UPDATE',
+        [claimId, troopId]
+    )).rows[0];
+    if (!pending) throw badgeError('Claim not found', 404);
+    if (pending.status !== 'pending') throw badgeError(`This claim has already been ${pending.status}`, 409, { code: 'CLAIM_REVIEWED' });
+
+    let award = null;
+    if (approve) {
+        award = await awardBadge(client, {
+            userId: pending.userId,
+            badgeId: pending.badgeId,
+            troopId,
+            earnedDate: pending.claimedDate,
+            verifiedBy: reviewedBy,
+            notes: pending.notes
+        });
+        await client.query(`
+            UPDATE badge_claims SET status = 'approved', "reviewedBy" = $2, "reviewedAt" = NOW(), "scoutBadgeId" = $3
+            WHERE id = $1
+        `, [claimId, reviewedBy, award.id]);
+    } else {
+        const why = reason ? String(reason).trim() : '';
+        if (!why) throw badgeError('A reason is required to reject a claim');
+        await client.query(`
+            UPDATE badge_claims SET status = 'rejected', "reviewedBy" = $2, "reviewedAt" = NOW(), "rejectionReason" = $3
+            WHERE id = $1
+        `, [claimId, reviewedBy, why]);
+    }
+    return { claim: await getClaim(client, claimId), award };
+}
+
+// ============================================================================
+// Recognition
+// ============================================================================
+
+const RECOGNITION_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * A troop's awarded badges that have not been handed out yet, oldest first
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @returns {Promise<Object[]>} [{ scoutBadgeId, userId, scoutName, badgeId, badgeName, badgeType, badgeCode, earnedDate }]
+ */
+async function getUnrecognizedBadges(client, troopId) {
+    const result = await client.query(`
+        SELECT sb.id AS "scoutBadgeId", sb."userId", u."firstName" || ' ' || u."lastName" AS "scoutName",
+               sb."badgeId", b."badgeName", b."badgeType", b."badgeCode",
+               to_char(sb."earnedDate", 'YYYY-MM-DD') AS "earnedDate"
+        FROM scout_badges sb
+        JOIN users u ON u.id = sb."userId"
+        JOIN badges b ON b.id = sb."badgeId"
+        WHERE sb."troopId" = $1 AND sb."recognizedDate" IS NULL
+        ORDER BY sb."earnedDate", u."lastName", u."firstName"
+    `, [troopId]);
+    return result.rows;
+}
+
+/**
+ * Group unrecognized badges into a shopping list, one entry per badge
+ * @param {Object[]} rows - From getUnrecognizedBadges
+ * @returns {Object[]} [{ badgeId, badgeName, badgeType, badgeCode, quantity, scouts }], by type then name
+ */
+function groupRecognitionList(rows) {
+    const byBadge = new Map();
+    for (const row of rows) {
+        if (!byBadge.has(row.badgeId)) {
+            byBadge.set(row.badgeId, {
+                badgeId: row.badgeId,
+                badgeName: row.badgeName,
+                badgeType: row.badgeType,
+                badgeCode: row.badgeCode,
+                quantity: 0,
+                scouts: []
+            });
+        }
+        const entry = byBadge.get(row.badgeId);
+        entry.quantity++;
+        entry.scouts.push({ scoutBadgeId: row.scoutBadgeId, userId: row.userId, scoutName: row.scoutName, earnedDate: row.earnedDate });
+    }
+    return [...byBadge.values()].sort((a, b) =>
+        String(a.badgeType || '').localeCompare(String(b.badgeType || '')) || a.badgeName.localeCompare(b.badgeName));
+}
+
+// Names and codes are typed by users; a cell starting with one of these would run
+// as a formula when the file is opened in a spreadsheet, so it is kept as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function spreadsheetText(value) {
+    return typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(spreadsheetText(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The shopping list as a file to order from the council shop. The XLSX
+ * workbook has a second sheet listing who gets each badge.
+ * @param {Object[]} list - From groupRecognitionList
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<{buffer: Buffer, contentType: string, extension: string}>}
+ */
+async function buildRecognitionExport(list, format) {
+    if (!RECOGNITION_EXPORT_FORMATS.includes(format)) {
+        throw badgeError(`format must be one of: ${RECOGNITION_EXPORT_FORMATS.join(', ')}`);
+    }
+    const header = ['Badge', 'Type', 'Badge Code', 'Quantity', 'Scouts'];
+    const rows = list.map(entry => [
+        entry.badgeName,
+        entry.badgeType,
+        entry.badgeCode,
+        entry.quantity,
+        entry.scouts.map(scout => scout.scoutName).join(', ')
+    ]);
+
+    if (format === 'csv') {
+        const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+        return { buffer: Buffer.from(csv, 'utf8'), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const shopping = workbook.addWorksheet('Shopping List');
+    shopping.addRow(header).font = { bold: true };
+    rows.forEach(row => shopping.addRow(row.map(spreadsheetText)));
+    shopping.addRow(['Total', null, null, list.reduce((sum, entry) => sum + entry.quantity, 0), null]).font = { bold: true };
+    shopping.columns.forEach((column, index) => { column.width = [30, 12, 14, 10, 60][index]; });
+
+    const byScout = workbook.addWorksheet('By Scout');
+    byScout.addRow(['Scout', 'Badge', 'Earned']).font = { bold: true };
+    list.flatMap(entry => entry.scouts.map(scout => [scout.scoutName, entry.badgeName, scout.earnedDate]))
+        .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]))
+        .forEach(row => byScout.addRow(row.map(spreadsheetText)));
+    byScout.columns.forEach((column, index) => { column.width = [25, 30, 12][index]; });
+
+    return {
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    };
+}
+
+/**
+ * Stamp badges as handed out to their scouts
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} recognition - { scoutBadgeIds, recognizedDate }; recognizedDate defaults to today
+ * @returns {Promise<string[]>} IDs of the badges stamped; ones already recognized are left alone
+ */
+async function markRecognized(client, troopId, { scoutBadgeIds, recognizedDate }) {
+    if (!Array.isArray(scoutBadgeIds) || scoutBadgeIds.length === 0) throw badgeError('Select at least one badge');
+    const date = parsePastDate(recognizedDate, 'recognizedDate');
+    const result = await client.query(`
+        UPDATE scout_badges SET "recognizedDate" = $3
+        WHERE "troopId" = $1 AND id = ANY($2) AND "recognizedDate" IS NULL AND "earnedDate" <= $3
+        RETURNING id
+    `, [troopId, scoutBadgeIds, date]);
+    return result.rows.map(row => row.id);
+}
+
+module.exports = {
+    MAX_STEPS,
+    MAX_BULK_AWARD,
+    CLAIM_STATUSES,
+    RECOGNITION_EXPORT_FORMATS,
+    IMAGE_TYPES,
+    detectImageType,
+    parseRequirementSteps,
+    seedRequirementSteps,
+    getSteps,
+    replaceSteps,
+    getProgress,
+    recordStep,
+    checkCompletion,
+    getReadyForAward,
+    awardBadge,
+    awardBadgeToScouts,
+    submitClaim,
+    getClaim,
+    listClaims,
+    getScoutClaims,
+    reviewClaim,
+    getUnrecognizedBadges,
+    groupRecognitionList,
+    buildRecognitionExport,
+    markRecognized
+};
@@ -0,0 +1,314 @@
+/**
+ * Booth location registry for Apex Scout Manager
+ *
+ * The stores and sites a troop runs booths at, with the store contact, the
+ * hours booths are permitted and any restrictions. booth_events link to a
+ * location through "locationId". The booth's own location, locationAddress and
+ * locationNotes text is still filled in, so screens that read it keep working.
+ *
+ * Performance is computed from booths that have been counted (reconciling or
+ * completed): boxes from booth_inventory."soldQty", money from booth_payments,
+ * and hours from the actual start and end times when both were recorded,
+ * otherwise the scheduled ones.
+ */
+
+// Columns that can be set from a request body
+const LOCATION_FIELDS = ['name', 'address', 'contactName', 'contactPhone', 'contactEmail',
+    'permittedHours', 'restrictions', 'notes', 'isActive'];
+
+// Booth statuses whose sold counts are final enough to measure
+const COUNTED_STATUSES = ['reconciling', 'completed'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function locationError(message, status = 400, extra = {}) {
+    return Object.assign(new Error(message), { status }, extra);
+}
+
+const clean = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+/**
+ * Check and tidy location fields from a request body
+ * @param {Object} fields - Any of LOCATION_FIELDS
+ * @param {boolean} [partial] - Only the fields present are returned
+ * @returns {Object} Cleaned fields
+ */
+function normalizeFields(fields, partial = false) {
+    const result = {};
+    for (const key of LOCATION_FIELDS) {
+        if (partial && fields[key] === undefined) continue;
+        if (key === 'isActive') result[key] = fields[key] !== false;
+        else result[key] = clean(fields[key]);
+    }
+    if ((!partial || result.name !== undefined) && !result.name) throw locationError('name is required');
+    if (result.contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(result.contactEmail)) {
+        throw locationError('contactEmail is not a valid address');
+    }
+    return result;
+}
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+async function findByName(client, troopId, name, excludeId = null) {
+    const result = await client.query(`
+        SELECT * FROM booth_locations
+        WHERE "troopId" = $1 AND lower(name) = lower($2) AND ($3::uuid IS NULL OR id <> $3)
+    `, [troopId, name, excludeId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Add a location to the troop's registry
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} fields - Location fields
+ * @param {string} userId - User adding it
+ * @returns {Promise<Object>} The new location; throws 409 DUPLICATE_LOCATION with locationId
+ */
+async function createLocation(client, troopId, fields, userId) {
+    const location = normalizeFields(fields);
+    const existing = await findByName(client, troopId, location.name);
+    if (existing) {
+        throw locationError(`${existing.name} is already in the registry`, 409, { code: 'DUPLICATE_LOCATION', locationId: existing.id });
+    }
+    const result = await client.query(`
+        INSERT INTO booth_locations ("troopId", name, address, "contactName", "contactPhone", "contactEmail",
+            "permittedHours", restrictions, notes, "isActive", "createdBy")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+    `, [troopId, location.name, location.address, location.contactName, location.contactPhone, location.contactEmail,
+        location.permittedHours, location.restrictions, location.notes, location.isActive, userId]);
+    return result.rows[0];
+}
+
+/**
+ * Update a location. A new name or address is copied to the location's booths
+ * that have not happened yet.
+ * @param {Object} client - Transaction client
+ * @param {Object} location - booth_locations row being edited
+ * @param {Object} changes - Any of LOCATION_FIELDS
+ * @returns {Promise<Object>} The updated location
+ */
+async function updateLocation(client, location, changes) {
+    const fields = normalizeFields(changes, true);
+    const merged = { ...location, ...fields };
+    if (fields.name && await findByName(client, location.troopId, fields.name, location.id)) {
+        throw locationError(`Another location is already named ${fields.name}`, 409, { code: 'DUPLICATE_LOCATION' });
+    }
+    const result = await client.query(`
+        UPDATE booth_locations SET name = $1, address = $2, "contactName" = $3, "contactPhone" = $4,
+            "contactEmail" = $5, "permittedHours" = $6, restrictions = $7, notes = $8, "isActive" = $9,
+            "updatedAt" = NOW()
+        WHERE id = $10
+        RETURNING *
+    `, [merged.name, merged.address, merged.contactName, merged.contactPhone, merged.contactEmail,
+        merged.permittedHours, merged.restrictions, merged.notes, merged.isActive, location.id]);
+
+    await client.query(`
+        UPDATE booth_events SET location = $1, "locationAddress" = COALESCE($2, "locationAddress"), "updatedAt" = NOW()
+        WHERE "locationId" = $3 AND status IN ('planning', 'scheduled')
+    `, [merged.name, merged.address, location.id]);
+    return result.rows[0];
+}
+
+/**
+ * Work out the registry location of a booth being created or edited. A chosen
+ * locationId must be in the troop's registry; a typed location name is matched
+ * to the registry, and added to it when it is new.
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} booth - { locationId, location, locationAddress }
+ * @param {string} userId - User saving the booth
+ * @returns {Promise<Object|null>} { locationId, location, locationAddress } to store on the booth, or null without a location
+ */
+async function resolveBoothLocation(client, troopId, booth, userId) {
+    let location = null;
+    if (booth.locationId) {
+        location = (await client.query(
+            'SELECT * FROM booth_locations WHERE id = $1 AND "troopId" = $2',
+            [booth.locationId, troopId]
+        )).rows[0];
+        if (!location) throw locationError('Booth location not found', 404);
+    } else {
+        const name = clean(booth.location);
+        if (!name) return null;
+        location = await findByName(client, troopId, name)
+            || await createLocation(client, troopId, { name, address: booth.locationAddress }, userId);
+    }
+    return {
+        locationId: location.id,
+        location: location.name,
+        locationAddress: clean(booth.locationAddress) || location.address
+    };
+}
+
+// ============================================================================
+// Performance
+// ============================================================================
+
+/**
+ * WHERE clause for the counted booths of a troop
+ * @param {Object} filters - { troopId, locationId, season }
+ * @returns {{clause: string, params: Array}} Clause on booth_events be
+ */
+function countedBoothFilter({ troopId, locationId = null, season = null }) {
+    const params = [troopId, COUNTED_STATUSES];
+    let clause = 'be."troopId" = $1 AND be."locationId" IS NOT NULL AND be.status = ANY($2::text[])';
+    if (locationId) {
+        params.push(locationId);
+        clause += ` AND be."locationId" = $${params.length}`;
+    }
+    if (season) {
+        params.push(season);
+        clause += ` AND EXISTS (SELECT 1 FROM seasons se WHERE se.year = $${params.length}
+            AND be."startDateTime"::date BETWEEN se."startDate" AND se."endDate")`;
+    }
+    return { clause, params };
+}
+
+// One row per counted booth: hours, boxes, money and distinct shift blocks
+const BOOTH_STATS_SQL = (clause) => `
+    SELECT be.id, be."locationId", be."eventName", be."eventType", be.status, be."startDateTime", be."endDateTime",
+           GREATEST(EXTRACT(EPOCH FROM (
+               CASE WHEN be."actualStartTime" IS NOT NULL AND be."actualEndTime" IS NOT NULL
+                    THEN be."actualEndTime" - be."actualStartTime"
+                    ELSE be."endDateTime" - be."startDateTime" END
+           )) / 3600, 0) AS hours,
+           COALESCE((SELECT SUM(bi."soldQty") FROM booth_inventory bi WHERE bi."boothEventId" = be.id), 0)::int AS "boxesSold",
+           COALESCE((SELECT SUM(bi."soldQty" * cp."pricePerBox") FROM booth_inventory bi
+                     JOIN cookie_products cp ON cp.id = bi."productId"
+                     WHERE bi."boothEventId" = be.id), 0) AS "salesValue",
+           COALESCE((SELECT SUM(bp.amount) FROM booth_payments bp WHERE bp."boothEventId" = be.id), 0) AS revenue,
+           GREATEST((SELECT COUNT(DISTINCT (bs."startTime", bs."endTime")) FROM booth_shifts bs
+                     WHERE bs."boothEventId" = be.id AND bs.status NOT IN ('no_show', 'waitlisted')), 1)::int AS shifts
+    FROM booth_events be
+    WHERE ${clause}
+`;
+
+function summarize(rows) {
+    const totals = rows.reduce((sum, row) => ({
+        boothCount: sum.boothCount + 1,
+        hours: sum.hours + parseFloat(row.hours),
+        shiftCount: sum.shiftCount + row.shifts,
+        boxesSold: sum.boxesSold + row.boxesSold,
+        revenue: sum.revenue + parseFloat(row.revenue),
+        salesValue: sum.salesValue + parseFloat(row.salesValue)
+    }), { boothCount: 0, hours: 0, shiftCount: 0, boxesSold: 0, revenue: 0, salesValue: 0 });
+    return {
+        boothCount: totals.boothCount,
+        hours: round2(totals.hours),
+        shiftCount: totals.shiftCount,
+        boxesSold: totals.boxesSold,
+        revenue: round2(totals.revenue),
+        salesValue: round2(totals.salesValue),
+        boxesPerHour: totals.hours > 0 ? round2(totals.boxesSold / totals.hours) : null,
+        revenuePerHour: totals.hours > 0 ? round2(totals.revenue / totals.hours) : null,
+        revenuePerShift: totals.shiftCount > 0 ? round2(totals.revenue / totals.shiftCount) : null,
+        boxesPerBooth: totals.boothCount > 0 ? round2(totals.boxesSold / totals.boothCount) : null
+    };
+}
+
+/**
+ * Performance of each location with counted booths
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} filters - { troopId, locationId, season }
+ * @returns {Promise<Map<string, Object>>} locationId -> { boothCount, hours, shiftCount, boxesSold, revenue, salesValue, boxesPerHour, revenuePerHour, revenuePerShift, boxesPerBooth, lastCountedAt }
+ */
+async function getLocationStats(client, filters) {
+    const { clause, params } = countedBoothFilter(filters);
+    const rows = (await client.query(BOOTH_STATS_SQL(clause), params)).rows;
+    const byLocation = new Map();
+    for (const row of rows) {
+        if (!byLocation.has(row.locationId)) byLocation.set(row.locationId, []);
+        byLocation.get(row.locationId).push(row);
+    }
+    return new Map([...byLocation.entries()].map(([locationId, booths]) => [locationId, {
+        ...summarize(booths),
+        lastCountedAt: booths.reduce((latest, b) => (!latest || b.startDateTime > latest ? b.startDateTime : latest), null)
+    }]));
+}
+
+/**
+ * Boxes sold per product at each location, best sellers first. Products are
+ * grouped by name so seasons can be compared.
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} filters - { troopId, locationId, season }
+ * @returns {Promise<Map<string, Object[]>>} locationId -> [{ cookieName, boxesSold, share }]
+ */
+async function getBestSellers(client, filters) {
+    const { clause, params } = countedBoothFilter(filters);
+    const rows = (await client.query(`
+        SELECT be."locationId", cp."cookieName", SUM(bi."soldQty")::int AS "boxesSold"
+        FROM booth_inventory bi
+        JOIN booth_events be ON be.id = bi."boothEventId"
+        JOIN cookie_products cp ON cp.id = bi."productId"
+        WHERE ${clause} AND bi."soldQty" > 0
+        GROUP BY be."locationId", cp."cookieName"
+        ORDER BY "boxesSold" DESC, cp."cookieName"
+    `, params)).rows;
+    const byLocation = new Map();
+    for (const row of rows) {
+        if (!byLocation.has(row.locationId)) byLocation.set(row.locationId, []);
+        byLocation.get(row.locationId).push({ cookieName: row.cookieName, boxesSold: row.boxesSold });
+    }
+    for (const products of byLocation.values()) {
+        const total = products.reduce((sum, p) => sum + p.boxesSold, 0);
+        for (const product of products) product.share = round2(product.boxesSold / total);
+    }
+    return byLocation;
+}
+
+/**
+ * Every booth held or planned at one location, newest first, with the
+ * performance of the counted ones and how they did by day of the week
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {string} locationId - booth_locations ID
+ * @returns {Promise<{booths: Object[], byWeekday: Object[]}>}
+ */
+async function getLocationHistory(client, troopId, locationId) {
+    const booths = (await client.query(`
+        SELECT be.id, be."eventName", be."eventType", be.status, be."startDateTime", be."endDateTime",
+               (SELECT string_agg(DISTINCT u."firstName" || ' ' || u."lastName", ', ')
+                FROM booth_shifts bs JOIN users u ON u.id = bs."scoutId"
+                WHERE bs."boothEventId" = be.id AND bs.status NOT IN ('no_show', 'waitlisted')) AS scouts
+        FROM booth_events be
+        WHERE be."troopId" = $1 AND be."locationId" = $2
+        ORDER BY be."startDateTime" DESC
+    `, [troopId, locationId])).rows;
+
+    const { clause, params } = countedBoothFilter({ troopId, locationId });
+    const counted = new Map((await client.query(BOOTH_STATS_SQL(clause), params)).rows.map(row => [row.id, row]));
+
+    const weekdays = new Map();
+    for (const booth of booths) {
+        const stats = counted.get(booth.id);
+        if (!stats) continue;
+        Object.assign(booth, summarize([stats]));
+        delete booth.boothCount;
+        delete booth.boxesPerBooth;
+
+        const day = new Date(booth.startDateTime).getDay();
+        if (!weekdays.has(day)) weekdays.set(day, []);
+        weekdays.get(day).push(stats);
+    }
+    const byWeekday = [...weekdays.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([day, rows]) => ({ weekday: WEEKDAYS[day], ...summarize(rows) }));
+
+    return { booths, byWeekday };
+}
+
+module.exports = {
+    COUNTED_STATUSES,
+    createLocation,
+    updateLocation,
+    resolveBoothLocation,
+    getLocationStats,
+    getBestSellers,
+    getLocationHistory
+};
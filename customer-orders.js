@@ -0,0 +1,476 @@
+/**
+ * Customer orders for Apex Scout Manager
+ *
+ * An order is what one customer asked a scout for: several products, a
+ * delivery date and any number of partial payments. Orders move through
+ *   pending -> ready -> delivered -> paid
+ * and can be cancelled until they are delivered.
+ *
+ * Delivering an order is when the boxes leave the scout: it posts a `sale`
+ * from the scout to the customer in the inventory ledger and writes one
+ * sales row per line (tagged with customerOrderId) so existing dashboards and
+ * reports count it. Taking the order back from delivered reverses the sale and
+ * removes those rows. A delivered order becomes paid once its payments cover
+ * the total, and drops back to delivered if a payment is removed.
+ */
+
+const inventoryLedger = require('./inventory-ledger');
+const customers = require('./customers');
+
+const ORDER_STATUSES = ['pending', 'ready', 'delivered', 'paid', 'cancelled'];
+
+// Statuses a user can move an order to from each status. paid is also reached
+// automatically when a delivered order is paid in full.
+const STATUS_TRANSITIONS = {
+    pending: ['ready', 'delivered', 'cancelled'],
+    ready: ['pending', 'delivered', 'cancelled'],
+    delivered: ['ready', 'paid'],
+    paid: ['ready'],
+    cancelled: ['pending']
+};
+
+const OPEN_STATUSES = ['pending', 'ready'];
+const DELIVERED_STATUSES = ['delivered', 'paid'];
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+function orderError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Load orders with their items, payments and totals
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {string[]} orderIds - Orders to load
+ * @returns {Promise<Object[]>} Orders in the order of orderIds
+ */
+async function getOrders(client, troopId, orderIds) {
+    if (orderIds.length === 0) return [];
+    const orders = (await client.query(`
+        SELECT o.*, su."firstName" || ' ' || su."lastName" AS "scoutName",
+               du."firstName" || ' ' || du."lastName" AS "deliveredByName"
+        FROM customer_orders o
+        JOIN users su ON su.id = o."scoutId"
+        LEFT JOIN users du ON du.id = o."deliveredBy"
+        WHERE o."troopId" = $1 AND o.id = ANY($2::uuid[])
+    `, [troopId, orderIds])).rows;
+    const items = (await client.query(`
+        SELECT i.*, cp."cookieName"
+        FROM customer_order_items i
+        JOIN cookie_products cp ON cp.id = i."productId"
+        WHERE i."orderId" = ANY($1::uuid[])
+        ORDER BY cp."sortOrder", cp."cookieName"
+    `, [orderIds])).rows;
+    const payments = (await client.query(`
+        SELECT p.*, u."firstName" || ' ' || u."lastName" AS "receivedByName"
+        FROM customer_order_payments p
+        LEFT JOIN users u ON u.id = p."receivedBy"
+        WHERE p."orderId" = ANY($1::uuid[])
+        ORDER BY p."receivedAt"
+    `, [orderIds])).rows;
+
+    const byId = new Map(orders.map(order => {
+        const orderItems = items.filter(i => i.orderId === order.id);
+        const orderPayments = payments.filter(p => p.orderId === order.id);
+        const totalCents = orderItems.reduce((sum, i) => sum + i.quantity * toCents(i.unitPrice), 0);
+        const paidCents = orderPayments.reduce((sum, p) => sum + toCents(p.amount), 0);
+        return [order.id, {
+            ...order,
+            items: orderItems,
+            payments: orderPayments,
+            totalBoxes: orderItems.reduce((sum, i) => sum + i.quantity, 0),
+            totalAmount: totalCents / 100,
+            amountPaid: paidCents / 100,
+            balanceDue: (totalCents - paidCents) / 100
+        }];
+    }));
+    return orderIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Load one order
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {string} orderId - Order ID
+ * @param {boolean} [forUpdate] - Lock the order row for the rest of the transaction
+ * @returns {Promise<Object>} The order with items, payments and totals
+ */
+async function getOrder(client, troopId, orderId, forUpdate = false) {
+    const locked = (await client.query(
+        `SELECT id FROM customer_orders WHERE id = $1 AND "troopId" = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+        [orderId, troopId]
+    )).rows[0];
+    if (!locked) throw orderError('Order not found', 404);
+    return (await getOrders(client, troopId, [orderId]))[0];
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+/**
+ * Check order lines and price them at the products' current price
+ * @param {Object} client - Transaction client
+ * @param {Array<{productId: string, quantity: number}>} items - Requested lines
+ * @returns {Promise<{items: Object[], season: string|null}>} Lines with unitPrice, and the products' season
+ */
+async function priceItems(client, items) {
+    if (!Array.isArray(items) || items.length === 0) throw orderError('An order needs at least one product');
+    if (items.some(i => !i.productId || !Number.isInteger(i.quantity) || i.quantity <= 0)) {
+        throw orderError('Items must be { productId, quantity } with whole positive quantities');
+    }
+    const productIds = items.map(i => i.productId);
+    if (new Set(productIds).size !== productIds.length) throw orderError('Each product can appear on an order once');
+
+    const products = (await client.query(`
+        SELECT cp.id, cp."pricePerBox", cp.season, se."archivedAt"
+        FROM cookie_products cp
+        LEFT JOIN seasons se ON se.year = cp.season
+        WHERE cp.id = ANY($1::uuid[])
+    `, [productIds])).rows;
+    if (products.length !== productIds.length) throw orderError('One or more products were not found');
+    const seasons = new Set(products.map(p => p.season));
+    if (seasons.size > 1) throw orderError('All products on an order must be from the same season');
+    const archived = products.find(p => p.archivedAt);
+    if (archived) throw orderError(`The ${archived.season} season is archived and read-only`, 409);
+
+    return {
+        items: items.map(i => ({
+            productId: i.productId,
+            quantity: i.quantity,
+            unitPrice: parseFloat(products.find(p => p.id === i.productId).pricePerBox || 0)
+        })),
+        season: products[0].season
+    };
+}
+
+async function insertItems(client, orderId, items) {
+    for (const item of items) {
+        await client.query(
+            'INSERT INTO customer_order_items ("orderId", "productId", quantity, "unitPrice") VALUES ($1, $2, $3, $4)',
+            [orderId, item.productId, item.quantity, item.unitPrice]
+        );
+    }
+}
+
+const clean = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+// Fill details left blank on the order from the customer's address book entry
+function withCustomerDetails(fields, customer) {
+    if (!customer) return { ...fields, customerId: null };
+    return {
+        ...fields,
+        customerId: customer.id,
+        customerName: clean(fields.customerName) || customer.name,
+        customerPhone: clean(fields.customerPhone) || customer.phone,
+        customerEmail: clean(fields.customerEmail) || customer.email,
+        customerAddress: clean(fields.customerAddress) || customer.address
+    };
+}
+
+function customerFields(fields) {
+    const customerName = fields.customerName && String(fields.customerName).trim();
+    if (!customerName) throw orderError('customerName is required');
+    if (fields.deliveryDate && isNaN(new Date(fields.deliveryDate).getTime())) throw orderError('deliveryDate is not a valid date');
+    return [
+        customerName,
+        (fields.customerPhone && String(fields.customerPhone).trim()) || null,
+        (fields.customerEmail && String(fields.customerEmail).trim()) || null,
+        (fields.customerAddress && String(fields.customerAddress).trim()) || null,
+        fields.deliveryDate || null,
+        (fields.notes && String(fields.notes).trim()) || null
+    ];
+}
+
+/**
+ * Create an order and give it the troop's next order number
+ * @param {Object} client - Transaction client
+ * @param {Object} order
+ * @param {string} order.troopId - Troop ID
+ * @param {string} order.scoutId - Scout taking the order
+ * @param {string} [order.customerId] - Customer from the scout's address book
+ * @param {string} order.customerName - Required unless customerId is given
+ * @param {string} [order.customerPhone]
+ * @param {string} [order.customerEmail]
+ * @param {string} [order.customerAddress]
+ * @param {string} [order.deliveryDate] - Date the scout plans to deliver
+ * @param {string} [order.notes]
+ * @param {Array<{productId: string, quantity: number}>} order.items
+ * @param {Object} [order.payment] - { amount, paymentMethod } taken with the order
+ * @param {string} order.createdBy - User recording the order
+ * @returns {Promise<Object>} The order with items, payments and totals
+ */
+async function createOrder(client, order) {
+    const customer = await customers.resolveSaleCustomer(client, order.scoutId, order);
+    const details = withCustomerDetails(order, customer);
+    const fields = customerFields(details);
+    const priced = await priceItems(client, order.items);
+
+    // Order numbers run per troop; lock the troop row so two orders cannot share one
+    await client.query('SELECT id FROM troops WHERE id = $1 FOR UPDATE', [order.troopId]);
+    const next = (await client.query(
+        'SELECT COALESCE(MAX("orderNumber"), 0) + 1 AS number FROM customer_orders WHERE "troopId" = $1',
+        [order.troopId]
+    )).rows[0].number;
+
+    const created = (await client.query(`
+        INSERT INTO customer_orders ("troopId", "scoutId", "orderNumber", "customerName", "customerPhone",
+            "customerEmail", "customerAddress", "deliveryDate", notes, season, "createdBy", "customerId")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+    `, [order.troopId, order.scoutId, next, ...fields, priced.season, order.createdBy, details.customerId])).rows[0];
+    await insertItems(client, created.id, priced.items);
+
+    if (order.payment && order.payment.amount) {
+        await addPayment(client, order.troopId, created.id, order.payment, order.createdBy);
+    }
+    return getOrder(client, order.troopId, created.id);
+}
+
+/**
+ * Change the customer, delivery date, notes or lines of an order that has not been delivered
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} orderId - Order ID
+ * @param {Object} changes - Any of the createOrder fields; items replaces every line
+ * @returns {Promise<Object>} The updated order
+ */
+async function updateOrder(client, troopId, orderId, changes) {
+    const order = await getOrder(client, troopId, orderId, true);
+    if (!OPEN_STATUSES.includes(order.status)) {
+        throw orderError('Only pending or ready orders can be changed', 409);
+    }
+
+    let details = { ...order, ...changes };
+    if (changes.customerId !== undefined || changes.customerName !== undefined) {
+        const customer = await customers.resolveSaleCustomer(client, order.scoutId, details);
+        details = withCustomerDetails(details, customer);
+    }
+    const fields = customerFields(details);
+    await client.query(`
+        UPDATE customer_orders SET "customerName" = $1, "customerPhone" = $2, "customerEmail" = $3,
+            "customerAddress" = $4, "deliveryDate" = $5, notes = $6, "customerId" = $7, "updatedAt" = NOW()
+        WHERE id = $8
+    `, [...fields, details.customerId, orderId]);
+
+    if (changes.items !== undefined) {
+        const priced = await priceItems(client, changes.items);
+        // Lines kept from before keep the price the customer was quoted
+        const keptPrices = new Map(order.items.map(i => [i.productId, parseFloat(i.unitPrice)]));
+        const items = priced.items.map(i => keptPrices.has(i.productId) ? { ...i, unitPrice: keptPrices.get(i.productId) } : i);
+        const totalCents = items.reduce((sum, i) => sum + i.quantity * toCents(i.unitPrice), 0);
+        if (totalCents < toCents(order.amountPaid)) {
+            throw orderError('The order would total less than has already been paid');
+        }
+        await client.query('DELETE FROM customer_order_items WHERE "orderId" = $1', [orderId]);
+        await insertItems(client, orderId, items);
+        await client.query('UPDATE customer_orders SET season = $1 WHERE id = $2', [priced.season, orderId]);
+    }
+    return getOrder(client, troopId, orderId);
+}
+
+/**
+ * Bring the sales rows of a delivered order in line with its lines and payments.
+ * Each line keeps one sales row, matched on the product, which is updated in
+ * place so its ID stays the same. Payments are applied to the lines in order;
+ * rows are removed for lines that are gone, and all of them when the order is
+ * no longer delivered.
+ * @param {Object} client - Transaction client
+ * @param {Object} order - Order from getOrder
+ * @returns {Promise<Object[]>} The sales rows written
+ */
+async function syncOrderSales(client, order) {
+    if (!DELIVERED_STATUSES.includes(order.status)) {
+        await client.query('DELETE FROM sales WHERE "customerOrderId" = $1', [order.id]);
+        return [];
+    }
+
+    const existing = new Map((await client.query(
+        'SELECT id, "productId" FROM sales WHERE "customerOrderId" = $1',
+        [order.id]
+    )).rows.map(row => [row.productId, row.id]));
+    const keptIds = order.items.map(i => existing.get(i.productId)).filter(Boolean);
+    await client.query(
+        'DELETE FROM sales WHERE "customerOrderId" = $1 AND NOT (id = ANY($2::uuid[]))',
+        [order.id, keptIds]
+    );
+
+    const lastPayment = order.payments[order.payments.length - 1];
+    let unappliedCents = toCents(order.amountPaid);
+    const sales = [];
+    for (const item of order.items) {
+        const lineCents = item.quantity * toCents(item.unitPrice);
+        const collectedCents = Math.min(lineCents, unappliedCents);
+        unappliedCents -= collectedCents;
+        const values = [
+            item.cookieName, item.productId, item.quantity, order.customerName, order.deliveredAt,
+            order.customerAddress, order.customerPhone, order.customerEmail,
+            collectedCents / 100, (lineCents - collectedCents) / 100, lastPayment ? lastPayment.paymentMethod : null,
+            `CO-${order.orderNumber}`, order.status === 'paid' ? 'Paid' : 'Delivered', order.scoutId, order.season, order.id,
+            order.customerId
+        ];
+        const saleId = existing.get(item.productId);
+        sales.push((await client.query(saleId ? `
+            UPDATE sales SET
+                "cookieType" = $1, "productId" = $2, quantity = $3, "customerName" = $4, date = $5,
+                "customerAddress" = $6, "customerPhone" = $7, "customerEmail" = $8,
+                "amountCollected" = $9, "amountDue" = $10, "paymentMethod" = $11,
+                "orderNumber" = $12, "orderStatus" = $13, "userId" = $14, season = $15, "customerOrderId" = $16, "customerId" = $17
+            WHERE id = $18
+            RETURNING *
+        ` : `
+            INSERT INTO sales (
+                "cookieType", "productId", quantity, "customerName", date, "saleType",
+                "customerAddress", "customerPhone", "customerEmail", "unitType",
+                "amountCollected", "amountDue", "paymentMethod",
+                "orderNumber", "orderType", "orderStatus", "userId", season, "customerOrderId", "customerId"
+            ) VALUES ($1, $2, $3, $4, $5, 'individual_inperson', $6, $7, $8, 'box', $9, $10, $11, $12, 'customer_order', $13, $14, $15, $16, $17)
+            RETURNING *
+        `, saleId ? [...values, saleId] : values)).rows[0]);
+    }
+    return sales;
+}
+
+/**
+ * Move an order to a new status. Delivering posts the sale out of the scout's
+ * inventory; taking a delivered order back to ready reverses it.
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} orderId - Order ID
+ * @param {string} status - New status
+ * @param {string} userId - User changing the status
+ * @returns {Promise<{order: Object, previousStatus: string, sales: Object[]}>}
+ *          sales holds the rows written when the order was delivered, otherwise empty
+ */
+async function changeStatus(client, troopId, orderId, status, userId) {
+    if (!ORDER_STATUSES.includes(status)) {
+        throw orderError(`status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+    const order = await getOrder(client, troopId, orderId, true);
+    const previousStatus = order.status;
+    if (status === previousStatus) return { order, previousStatus, sales: [] };
+    if (!STATUS_TRANSITIONS[previousStatus].includes(status)) {
+        throw orderError(`A ${previousStatus} order cannot be moved to ${status}`, 409);
+    }
+    if (status === 'cancelled' && order.payments.length > 0) {
+        throw orderError('Remove the payments on this order before cancelling it', 409);
+    }
+    if (status === 'paid' && order.balanceDue > 0) {
+        throw orderError(`$${order.balanceDue.toFixed(2)} is still due on this order`, 409);
+    }
+
+    const reference = { referenceType: 'customer_order', referenceId: order.id };
+    let newStatus = status;
+    if (status === 'delivered' && !DELIVERED_STATUSES.includes(previousStatus)) {
+        const sale = await inventoryLedger.postTransaction(client, {
+            troopId,
+            type: 'sale',
+            from: { type: 'scout', userId: order.scoutId },
+            to: { type: 'customer' },
+            items: order.items.map(i => ({ productId: i.productId, quantity: i.quantity })),
+            reason: `Customer order #${order.orderNumber}`,
+            createdBy: userId,
+            ...reference
+        });
+        await client.query(`
+            UPDATE customer_orders SET "saleTransactionId" = $1, "deliveredAt" = NOW(), "deliveredBy" = $2
+            WHERE id = $3
+        `, [sale.id, userId, orderId]);
+        if (order.balanceDue <= 0) newStatus = 'paid';
+    } else if (OPEN_STATUSES.includes(status) && DELIVERED_STATUSES.includes(previousStatus)) {
+        const reversed = order.saleTransactionId && (await client.query(
+            'SELECT id FROM inventory_transactions WHERE "reversesId" = $1', [order.saleTransactionId]
+        )).rows.length > 0;
+        if (order.saleTransactionId && !reversed) {
+            await inventoryLedger.reverseTransaction(client, troopId, order.saleTransactionId,
+                `Delivery of customer order #${order.orderNumber} taken back`, userId);
+        }
+        await client.query(`
+            UPDATE customer_orders SET "saleTransactionId" = NULL, "deliveredAt" = NULL, "deliveredBy" = NULL
+            WHERE id = $1
+        `, [orderId]);
+    }
+
+    await client.query('UPDATE customer_orders SET status = $1, "updatedAt" = NOW() WHERE id = $2', [newStatus, orderId]);
+    const updated = await getOrder(client, troopId, orderId);
+    const sales = await syncOrderSales(client, updated);
+    return { order: updated, previousStatus, sales: DELIVERED_STATUSES.includes(previousStatus) ? [] : sales };
+}
+
+// Keep paid in step with the balance after a payment is added or removed
+async function settleOrder(client, troopId, orderId) {
+    let order = await getOrder(client, troopId, orderId);
+    const settled = order.status === 'delivered' && order.balanceDue <= 0 ? 'paid'
+        : order.status === 'paid' && order.balanceDue > 0 ? 'delivered'
+            : order.status;
+    if (settled !== order.status) {
+        await client.query('UPDATE customer_orders SET status = $1, "updatedAt" = NOW() WHERE id = $2', [settled, orderId]);
+        order = await getOrder(client, troopId, orderId);
+    }
+    await syncOrderSales(client, order);
+    return order;
+}
+
+/**
+ * Record money a customer paid toward an order
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} orderId - Order ID
+ * @param {Object} payment - { amount, paymentMethod, notes }
+ * @param {string} userId - User recording the payment
+ * @returns {Promise<Object>} The updated order
+ */
+async function addPayment(client, troopId, orderId, payment, userId) {
+    const order = await getOrder(client, troopId, orderId, true);
+    if (order.status === 'cancelled') throw orderError('This order has been cancelled', 409);
+
+    const amount = Number(payment.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+        throw orderError('amount must be a positive number of dollars');
+    }
+    if (toCents(amount) > toCents(order.balanceDue)) {
+        throw orderError(`Only $${order.balanceDue.toFixed(2)} is still due on this order`);
+    }
+
+    await client.query(`
+        INSERT INTO customer_order_payments ("orderId", amount, "paymentMethod", notes, "receivedBy")
+        VALUES ($1, $2, $3, $4, $5)
+    `, [orderId, amount, (payment.paymentMethod && String(payment.paymentMethod).trim()) || null,
+        (payment.notes && String(payment.notes).trim()) || null, userId]);
+    return settleOrder(client, troopId, orderId);
+}
+
+/**
+ * Remove a payment recorded by mistake
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} orderId - Order ID
+ * @param {string} paymentId - customer_order_payments ID
+ * @returns {Promise<{order: Object, payment: Object}>} The updated order and the removed payment
+ */
+async function removePayment(client, troopId, orderId, paymentId) {
+    await getOrder(client, troopId, orderId, true);
+    const payment = (await client.query(
+        'DELETE FROM customer_order_payments WHERE id = $1 AND "orderId" = $2 RETURNING *',
+        [paymentId, orderId]
+    )).rows[0];
+    if (!payment) throw orderError('Payment not found', 404);
+    return { order: await settleOrder(client, troopId, orderId), payment };
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    STATUS_TRANSITIONS,
+    getOrders,
+    getOrder,
+    createOrder,
+    updateOrder,
+    changeStatus,
+    addPayment,
+    removePayment
+};
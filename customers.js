@@ -0,0 +1,273 @@
+/**
+ * Customer address book for Apex Scout Manager
+ *
+ * Each scout keeps their own customers. A customer belongs to the user who
+ * records the sales (customers."scoutId"), so the existing S/H/T scopes decide
+ * who can see the contact details: a scout sees their own, a parent their
+ * household's, leaders their troop's.
+ *
+ * Sales and customer orders link to a customer through "customerId". When a
+ * sale names a customer without picking one from the book, the name, phone and
+ * email are matched against the scout's existing customers before a new one is
+ * added, so the same neighbour is not entered twice.
+ */
+
+const CONTACT_PREFERENCES = ['any', 'phone', 'text', 'email', 'in_person'];
+
+// Names recorded on sales that are not a real customer
+const ANONYMOUS_NAMES = ['walk-in customer'];
+
+// Columns that can be set from a request body
+const CUSTOMER_FIELDS = ['name', 'phone', 'email', 'address', 'contactPreference', 'doNotContact', 'notes'];
+
+function customerError(message, status = 400, extra = {}) {
+    return Object.assign(new Error(message), { status }, extra);
+}
+
+const clean = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+/**
+ * Check and tidy customer fields from a request body
+ * @param {Object} fields - Any of CUSTOMER_FIELDS
+ * @param {boolean} [partial] - Only the fields present are returned
+ * @returns {Object} Cleaned fields
+ */
+function normalizeFields(fields, partial = false) {
+    const result = {};
+    for (const key of CUSTOMER_FIELDS) {
+        if (partial && fields[key] === undefined) continue;
+        if (key === 'doNotContact') result[key] = fields[key] === true;
+        else result[key] = clean(fields[key]);
+    }
+    if ((!partial || result.name !== undefined) && !result.name) throw customerError('name is required');
+    if (result.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(result.email)) throw customerError('email is not a valid address');
+    if (!partial && !result.contactPreference) result.contactPreference = 'any';
+    if (result.contactPreference && !CONTACT_PREFERENCES.includes(result.contactPreference)) {
+        throw customerError(`contactPreference must be one of: ${CONTACT_PREFERENCES.join(', ')}`);
+    }
+    return result;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Find a customer of the scout who is the same person: the same phone number
+ * or email, or the same name where the phone numbers do not disagree
+ * @param {Object} client - pg client or query helpers
+ * @param {string} scoutId - Owner of the address book
+ * @param {Object} fields - { name, phone, email }
+ * @param {string} [excludeId] - Customer to leave out (when editing)
+ * @returns {Promise<Object|null>} The matching customer
+ */
+async function findMatch(client, scoutId, fields, excludeId = null) {
+    const phoneDigits = (fields.phone || '').replace(/\D/g, '') || null;
+    const email = fields.email ? fields.email.toLowerCase() : null;
+    const name = fields.name ? fields.name.toLowerCase() : null;
+    const result = await client.query(`
+        SELECT * FROM customers c
+        WHERE c."scoutId" = $1 AND ($5::uuid IS NULL OR c.id <> $5)
+          AND (
+              ($2::text IS NOT NULL AND regexp_replace(COALESCE(c.phone, ''), '\\D', '', 'g') = $2)
+              OR ($3::text IS NOT NULL AND lower(c.email) = $3)
+              OR (lower(c.name) = $4 AND ($2::text IS NULL OR c.phone IS NULL
+                  OR regexp_replace(c.phone, '\\D', '', 'g') = $2))
+          )
+        ORDER BY
+            (regexp_replace(COALESCE(c.phone, ''), '\\D', '', 'g') = COALESCE($2, '')) DESC,
+            (lower(c.email) = $3) DESC NULLS LAST,
+            c."createdAt"
+        LIMIT 1
+    `, [scoutId, phoneDigits, email, name, excludeId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Add a customer to a scout's address book, refusing a duplicate
+ * @param {Object} client - pg client or query helpers
+ * @param {string} scoutId - Owner of the address book
+ * @param {Object} fields - Customer fields
+ * @returns {Promise<Object>} The new customer; throws 409 DUPLICATE_CUSTOMER with customerId
+ */
+async function createCustomer(client, scoutId, fields) {
+    const customer = normalizeFields(fields);
+    const existing = await findMatch(client, scoutId, customer);
+    if (existing) {
+        throw customerError(`${existing.name} is already in the address book`, 409, { code: 'DUPLICATE_CUSTOMER', customerId: existing.id });
+    }
+    const result = await client.query(`
+        INSERT INTO customers ("scoutId", name, phone, email, address, "contactPreference", "doNotContact", notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+    `, [scoutId, customer.name, customer.phone, customer.email, customer.address,
+        customer.contactPreference, customer.doNotContact, customer.notes]);
+    return result.rows[0];
+}
+
+/**
+ * Resolve the customer a sale or order is for. A chosen customerId must be in
+ * the scout's book; otherwise a named customer is matched or added. Details
+ * typed on the sale fill in what the book is missing.
+ * @param {Object} client - pg client or query helpers
+ * @param {string} scoutId - Owner of the address book
+ * @param {Object} sale - { customerId, customerName, customerPhone, customerEmail, customerAddress }
+ * @returns {Promise<Object|null>} The customer, or null for an anonymous sale
+ */
+async function resolveSaleCustomer(client, scoutId, sale) {
+    if (sale.customerId) {
+        const chosen = (await client.query(
+            'SELECT * FROM customers WHERE id = $1 AND "scoutId" = $2',
+            [sale.customerId, scoutId]
+        )).rows[0];
+        if (!chosen) throw customerError('Customer not found in this address book', 404);
+        return chosen;
+    }
+
+    const name = clean(sale.customerName);
+    if (!name || ANONYMOUS_NAMES.includes(name.toLowerCase())) return null;
+    const fields = {
+        name,
+        phone: clean(sale.customerPhone),
+        email: clean(sale.customerEmail),
+        address: clean(sale.customerAddress)
+    };
+    const existing = await findMatch(client, scoutId, fields);
+    if (!existing) {
+        return (await client.query(`
+            INSERT INTO customers ("scoutId", name, phone, email, address)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [scoutId, fields.name, fields.phone, fields.email, fields.address])).rows[0];
+    }
+    return (await client.query(`
+        UPDATE customers SET phone = COALESCE(phone, $1), email = COALESCE(email, $2),
+            address = COALESCE(address, $3), "updatedAt" = NOW()
+        WHERE id = $4
+        RETURNING *
+    `, [fields.phone, fields.email, fields.address, existing.id])).rows[0];
+}
+
+// ============================================================================
+// Editing
+// ============================================================================
+
+/**
+ * Update a customer's details
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} customer - customers row being edited
+ * @param {Object} changes - Any of CUSTOMER_FIELDS
+ * @returns {Promise<Object>} The updated customer; throws 409 DUPLICATE_CUSTOMER if it now matches another
+ */
+async function updateCustomer(client, customer, changes) {
+    const fields = normalizeFields(changes, true);
+    const merged = { ...customer, ...fields };
+    const duplicate = await findMatch(client, customer.scoutId, merged, customer.id);
+    if (duplicate) {
+        throw customerError(`This matches ${duplicate.name}; merge the two instead`, 409, { code: 'DUPLICATE_CUSTOMER', customerId: duplicate.id });
+    }
+    const result = await client.query(`
+        UPDATE customers SET name = $1, phone = $2, email = $3, address = $4,
+            "contactPreference" = $5, "doNotContact" = $6, notes = $7, "updatedAt" = NOW()
+        WHERE id = $8
+        RETURNING *
+    `, [merged.name, merged.phone, merged.email, merged.address,
+        merged.contactPreference, merged.doNotContact, merged.notes, customer.id]);
+    return result.rows[0];
+}
+
+/**
+ * Fold a duplicate customer into another: its sales and orders move over,
+ * details the kept customer is missing are copied, and the duplicate is deleted
+ * @param {Object} client - Transaction client
+ * @param {Object} keep - customers row that stays
+ * @param {Object} duplicate - customers row that goes
+ * @returns {Promise<Object>} The kept customer
+ */
+async function mergeCustomers(client, keep, duplicate) {
+    if (keep.id === duplicate.id) throw customerError('A customer cannot be merged into itself');
+    if (keep.scoutId !== duplicate.scoutId) throw customerError('Only customers in the same address book can be merged');
+
+    await client.query('UPDATE sales SET "customerId" = $1 WHERE "customerId" = $2', [keep.id, duplicate.id]);
+    await client.query('UPDATE customer_orders SET "customerId" = $1 WHERE "customerId" = $2', [keep.id, duplicate.id]);
+    await client.query('DELETE FROM customers WHERE id = $1', [duplicate.id]);
+    const result = await client.query(`
+        UPDATE customers SET phone = COALESCE(phone, $1), email = COALESCE(email, $2),
+            address = COALESCE(address, $3), notes = COALESCE(notes, $4),
+            "doNotContact" = "doNotContact" OR $5,
+            "lastContactedAt" = GREATEST("lastContactedAt", $6),
+            "updatedAt" = NOW()
+        WHERE id = $7
+        RETURNING *
+    `, [duplicate.phone, duplicate.email, duplicate.address, duplicate.notes,
+        duplicate.doNotContact, duplicate.lastContactedAt, keep.id]);
+    return result.rows[0];
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Lifetime purchase totals per customer, from the sales linked to them
+ * @param {Object} client - pg client or query helpers
+ * @param {string[]} customerIds - Customers to total
+ * @returns {Promise<Map<string, Object>>} customerId -> { totalBoxes, totalSpent, saleCount, firstPurchaseAt, lastPurchaseAt, seasons }
+ */
+async function getPurchaseTotals(client, customerIds) {
+    if (customerIds.length === 0) return new Map();
+    const result = await client.query(`
+        SELECT s."customerId",
+               SUM(s.quantity)::int AS "totalBoxes",
+               SUM(COALESCE(s."amountCollected", 0) + COALESCE(s."amountDue", 0)) AS "totalSpent",
+               COUNT(*)::int AS "saleCount",
+               MIN(s.date) AS "firstPurchaseAt",
+               MAX(s.date) AS "lastPurchaseAt",
+               array_agg(DISTINCT s.season) FILTER (WHERE s.season IS NOT NULL) AS seasons
+        FROM sales s
+        WHERE s."customerId" = ANY($1::uuid[])
+        GROUP BY s."customerId"
+    `, [customerIds]);
+    return new Map(result.rows.map(row => [row.customerId, { ...row, totalSpent: parseFloat(row.totalSpent) }]));
+}
+
+/**
+ * Every purchase of one customer, newest first, with per-product totals
+ * @param {Object} client - pg client or query helpers
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<{sales: Object[], products: Object[], orders: Object[]}>}
+ */
+async function getPurchaseHistory(client, customerId) {
+    const sales = (await client.query(`
+        SELECT s.id, s.date, s."cookieType", s."productId", s.quantity, s."unitType", s."saleType",
+               s."amountCollected", s."amountDue", s."orderNumber", s."orderStatus", s.season, s."customerOrderId"
+        FROM sales s
+        WHERE s."customerId" = $1
+        ORDER BY s.date DESC, s."cookieType"
+    `, [customerId])).rows;
+    const products = (await client.query(`
+        SELECT s."cookieType", SUM(s.quantity)::int AS "totalBoxes", MAX(s.date) AS "lastPurchaseAt"
+        FROM sales s
+        WHERE s."customerId" = $1
+        GROUP BY s."cookieType"
+        ORDER BY "totalBoxes" DESC
+    `, [customerId])).rows;
+    const orders = (await client.query(`
+        SELECT id, "orderNumber", status, "deliveryDate", "deliveredAt", season, "createdAt"
+        FROM customer_orders
+        WHERE "customerId" = $1 AND status IN ('pending', 'ready')
+        ORDER BY "createdAt" DESC
+    `, [customerId])).rows;
+    return { sales, products, orders };
+}
+
+module.exports = {
+    CONTACT_PREFERENCES,
+    findMatch,
+    createCustomer,
+    resolveSaleCustomer,
+    updateCustomer,
+    mergeCustomers,
+    getPurchaseTotals,
+    getPurchaseHistory
+};
@@ -0,0 +1,461 @@
+/**
+ * Inventory ledger for Apex Scout Manager
+ *
+ * Double-entry record of every box that moves in a troop. A transaction moves
+ * one or more products from one location to another; each item becomes two
+ * entries (-quantity at the source, +quantity at the destination), so every
+ * transaction sums to zero per product. Transactions are never edited or
+ * deleted: mistakes are corrected by posting a reversal.
+ *
+ * Locations:
+ *   troop      - troop stock (the cookie cupboard)
+ *   scout      - boxes held by a scout (userId)
+ *   booth      - boxes out at a booth (boothEventId)
+ *   supplier   - council/baker, the source of received stock
+ *   customer   - sold (booth close-out)
+ *   damaged    - written off
+ *   adjustment - a count corrected without a physical movement
+ *   carryover  - stock moved onto the next season's products at rollover
+ *
+ * Balances are computed from the entries. scout_inventory is kept as a running
+ * total for existing screens and is updated in the same database transaction.
+ */
+
+const logger = require('./logger');
+const db = require('./database/query-helpers');
+
+const HOLDER_LOCATIONS = ['troop', 'scout', 'booth'];
+const LOCATION_TYPES = [...HOLDER_LOCATIONS, 'supplier', 'customer', 'damaged', 'adjustment', 'carryover'];
+
+// Allowed source and destination locations for transactions recorded by leaders
+const TRANSACTION_RULES = {
+    receive:  { from: ['supplier'], to: ['troop'] },
+    issue:    { from: ['troop'], to: ['scout', 'booth'] },
+    return:   { from: ['scout', 'booth'], to: ['troop'] },
+    transfer: { from: ['scout', 'booth'], to: ['scout', 'booth'] },
+    sale:     { from: ['scout', 'booth'], to: ['customer'] },
+    damage:   { from: HOLDER_LOCATIONS, to: ['damaged'] },
+    adjust:   { from: [...HOLDER_LOCATIONS, 'adjustment'], to: [...HOLDER_LOCATIONS, 'adjustment'] }
+};
+const TRANSACTION_TYPES = [...Object.keys(TRANSACTION_RULES), 'opening', 'carry_forward', 'reversal'];
+
+function ledgerError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============================================================================
+// Posting
+// ============================================================================
+
+/**
+ * Normalize a location from a request body
+ * @param {Object} location - { type, userId, boothEventId }
+ * @returns {{type: string, userId: string|null, boothEventId: string|null}}
+ */
+function normalizeLocation(location) {
+    if (!location || !LOCATION_TYPES.includes(location.type)) {
+        throw ledgerError(`Location type must be one of: ${LOCATION_TYPES.join(', ')}`);
+    }
+    const normalized = {
+        type: location.type,
+        userId: location.type === 'scout' ? location.userId || null : null,
+        boothEventId: location.type === 'booth' ? location.boothEventId || null : null
+    };
+    if (normalized.type === 'scout' && !normalized.userId) throw ledgerError('A scout location needs a userId');
+    if (normalized.type === 'booth' && !normalized.boothEventId) throw ledgerError('A booth location needs a boothEventId');
+    return normalized;
+}
+
+function sameLocation(a, b) {
+    return a.type === b.type && a.userId === b.userId && a.boothEventId === b.boothEventId;
+}
+
+/**
+ * Check that scouts and booths named in entries belong to the troop
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Array} entries - Ledger entries
+ */
+async function validateLocations(client, troopId, entries) {
+    const userIds = [...new Set(entries.filter(e => e.userId).map(e => e.userId))];
+    const boothIds = [...new Set(entries.filter(e => e.boothEventId).map(e => e.boothEventId))];
+
+    if (userIds.length > 0) {
+        const members = await client.query(
+            'SELECT "userId" FROM troop_members WHERE "troopId" = $1 AND "userId" = ANY($2::uuid[])',
+            [troopId, userIds]
+        );
+        if (members.rows.length !== userIds.length) throw ledgerError('Scout is not a member of this troop');
+    }
+    if (boothIds.length > 0) {
+        const booths = await client.query(
+            'SELECT id FROM booth_events WHERE "troopId" = $1 AND id = ANY($2::uuid[])',
+            [troopId, boothIds]
+        );
+        if (booths.rows.length !== boothIds.length) throw ledgerError('Booth not found in this troop');
+    }
+}
+
+/**
+ * Check products exist and, unless allowed, belong to a season that is not archived
+ * @param {Object} client - Transaction client
+ * @param {Array<string>} productIds - Product IDs
+ * @param {boolean} allowArchived - Allow products of archived seasons (system transactions)
+ */
+async function validateProducts(client, productIds, allowArchived) {
+    const ids = [...new Set(productIds)];
+    const products = await client.query(`
+        SELECT cp.id, se."archivedAt"
+        FROM cookie_products cp
+        LEFT JOIN seasons se ON se.year = cp.season
+        WHERE cp.id = ANY($1::uuid[])
+    `, [ids]);
+    if (products.rows.length !== ids.length) throw ledgerError('Invalid productId');
+    if (!allowArchived && products.rows.some(p => p.archivedAt)) {
+        throw ledgerError('Stock of an archived season cannot be moved', 409);
+    }
+}
+
+/**
+ * Write a transaction and its entries. Holder locations (troop, scout, booth)
+ * may not go below zero.
+ * @param {Object} client - Transaction client
+ * @param {Object} header - { troopId, type, reason, createdBy, referenceType, referenceId, reversesId }
+ * @param {Array} entries - { productId, type, userId, boothEventId, quantity }
+ * @param {Object} [options]
+ * @param {boolean} [options.updateProjections=true] - Apply the entries to scout_inventory
+ * @returns {Promise<Object>} Transaction row with its entries
+ */
+async function insertTransaction(client, header, entries, { updateProjections = true } = {}) {
+    // One writer per troop at a time, so balance checks cannot race
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [header.troopId]);
+
+    // Net change per holder location and product
+    const deltas = new Map();
+    for (const entry of entries) {
+        if (!HOLDER_LOCATIONS.includes(entry.type)) continue;
+        const key = [entry.type, entry.userId, entry.boothEventId, entry.productId].join('|');
+        const current = deltas.get(key) || { ...entry, quantity: 0 };
+        current.quantity += entry.quantity;
+        deltas.set(key, current);
+    }
+
+    for (const delta of deltas.values()) {
+        if (delta.quantity >= 0) continue;
+        const balance = await client.query(`
+            SELECT COALESCE(SUM(quantity), 0)::int AS quantity
+            FROM inventory_ledger_entries
+            WHERE "troopId" = $1 AND "locationType" = $2 AND "productId" = $3
+              AND "userId" IS NOT DISTINCT FROM $4 AND "boothEventId" IS NOT DISTINCT FROM $5
+        `, [header.troopId, delta.type, delta.productId, delta.userId, delta.boothEventId]);
+        if (balance.rows[0].quantity + delta.quantity < 0) {
+            throw ledgerError(`Not enough stock: the ${delta.type} holds ${balance.rows[0].quantity} of this product`);
+        }
+    }
+
+    const transaction = (await client.query(`
+        INSERT INTO inventory_transactions
+            ("troopId", "transactionType", reason, "referenceType", "referenceId", "reversesId", "createdBy")
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [
+        header.troopId, header.type, header.reason || null, header.referenceType || null,
+        header.referenceId || null, header.reversesId || null, header.createdBy || null
+    ])).rows[0];
+
+    transaction.entries = [];
+    for (const entry of entries) {
+        const row = (await client.query(`
+            INSERT INTO inventory_ledger_entries
+                ("transactionId", "troopId", "productId", "locationType", "userId", "boothEventId", quantity)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [transaction.id, header.troopId, entry.productId, entry.type, entry.userId, entry.boothEventId, entry.quantity])).rows[0];
+        transaction.entries.push(row);
+
+        if (updateProjections && entry.type === 'scout') {
+            await client.query(`
+                INSERT INTO scout_inventory ("userId", "productId", quantity, "lastUpdated")
+                VALUES ($1, $2, $3, NOW())
+                ON CONFLICT ("userId", "productId")
+                DO UPDATE SET quantity = scout_inventory.quantity + EXCLUDED.quantity, "lastUpdated" = NOW()
+            `, [entry.userId, entry.productId, entry.quantity]);
+        }
+    }
+
+    return transaction;
+}
+
+/**
+ * Record a movement of stock between two locations
+ * @param {Object} client - Transaction client
+ * @param {Object} movement
+ * @param {string} movement.troopId - Troop ID
+ * @param {string} movement.type - One of TRANSACTION_RULES
+ * @param {Object} movement.from - Source location
+ * @param {Object} movement.to - Destination location
+ * @param {Array<{productId: string, quantity: number}>} movement.items - Positive quantities
+ * @param {string} [movement.reason] - Why the stock moved
+ * @param {string} movement.createdBy - User recording the movement
+ * @param {string} [movement.referenceType] - e.g. fulfillment_order
+ * @param {string} [movement.referenceId] - ID of the referenced record
+ * @returns {Promise<Object>} Transaction row with its entries
+ */
+async function postTransaction(client, movement) {
+    const rules = TRANSACTION_RULES[movement.type];
+    if (!rules) throw ledgerError(`Transaction type must be one of: ${Object.keys(TRANSACTION_RULES).join(', ')}`);
+
+    const from = normalizeLocation(movement.from);
+    const to = normalizeLocation(movement.to);
+    if (!rules.from.includes(from.type) || !rules.to.includes(to.type)) {
+        throw ledgerError(`A ${movement.type} moves stock from ${rules.from.join('/')} to ${rules.to.join('/')}`);
+    }
+    if (sameLocation(from, to)) throw ledgerError('Source and destination are the same');
+    if (movement.type === 'adjust' && (from.type === 'adjustment') === (to.type === 'adjustment')) {
+        throw ledgerError('An adjustment moves stock between one holder and "adjustment"');
+    }
+    if (['damage', 'adjust'].includes(movement.type) && !movement.reason) {
+        throw ledgerError('A reason is required');
+    }
+
+    const items = Array.isArray(movement.items) ? movement.items : [];
+    if (items.length === 0 || items.some(i => !i.productId || !Number.isInteger(i.quantity) || i.quantity <= 0)) {
+        throw ledgerError('Items must be a non-empty array of { productId, quantity } with whole positive quantities');
+    }
+
+    const entries = [];
+    for (const item of items) {
+        entries.push({ ...from, productId: item.productId, quantity: -item.quantity });
+        entries.push({ ...to, productId: item.productId, quantity: item.quantity });
+    }
+
+    await validateProducts(client, items.map(i => i.productId), false);
+    await validateLocations(client, movement.troopId, entries);
+
+    return insertTransaction(client, {
+        troopId: movement.troopId,
+        type: movement.type,
+        reason: movement.reason,
+        createdBy: movement.createdBy,
+        referenceType: movement.referenceType,
+        referenceId: movement.referenceId
+    }, entries);
+}
+
+/**
+ * Post the mirror image of a transaction
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} transactionId - Transaction to reverse
+ * @param {string} reason - Why it is being reversed
+ * @param {string} userId - User reversing it
+ * @returns {Promise<Object>} The reversal transaction
+ */
+async function reverseTransaction(client, troopId, transactionId, reason, userId) {
+    if (!reason) throw ledgerError('A reason is required');
+
+    const original = (await client.query(
+        'SELECT * FROM inventory_transactions WHERE id = $1 AND "troopId" = $2',
+        [transactionId, troopId]
+    )).rows[0];
+    if (!original) throw ledgerError('Transaction not found', 404);
+    if (original.transactionType === 'reversal') throw ledgerError('A reversal cannot itself be reversed');
+
+    const existing = await client.query('SELECT id FROM inventory_transactions WHERE "reversesId" = $1', [transactionId]);
+    if (existing.rows.length > 0) throw ledgerError('This transaction has already been reversed', 409);
+
+    const originalEntries = (await client.query(
+        'SELECT * FROM inventory_ledger_entries WHERE "transactionId" = $1',
+        [transactionId]
+    )).rows;
+    const entries = originalEntries.map(e => ({
+        productId: e.productId,
+        type: e.locationType,
+        userId: e.userId,
+        boothEventId: e.boothEventId,
+        quantity: -e.quantity
+    }));
+
+    return insertTransaction(client, {
+        troopId,
+        type: 'reversal',
+        reason,
+        createdBy: userId,
+        reversesId: transactionId,
+        referenceType: original.referenceType,
+        referenceId: original.referenceId
+    }, entries);
+}
+
+/**
+ * Move every scout's stock of one season's products onto the same-named product
+ * of the next season. Used by the season rollover.
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} fromYear - Season being closed
+ * @param {string} toYear - Season being opened
+ * @param {string} userId - User running the rollover
+ * @returns {Promise<number>} Number of scout/product balances carried
+ */
+async function postCarryForward(client, troopId, fromYear, toYear, userId) {
+    const balances = (await client.query(`
+        SELECT e."userId", e."productId" AS "oldProductId", np.id AS "newProductId", SUM(e.quantity)::int AS quantity
+        FROM inventory_ledger_entries e
+        JOIN cookie_products op ON op.id = e."productId" AND op.season = $2
+        JOIN cookie_products np ON np.season = $3 AND np."cookieName" = op."cookieName"
+        WHERE e."troopId" = $1 AND e."locationType" = 'scout' AND e."userId" IS NOT NULL
+        GROUP BY e."userId", e."productId", np.id
+        HAVING SUM(e.quantity) > 0
+    `, [troopId, fromYear, toYear])).rows;
+    if (balances.length === 0) return 0;
+
+    const entries = [];
+    for (const b of balances) {
+        entries.push({ type: 'scout', userId: b.userId, boothEventId: null, productId: b.oldProductId, quantity: -b.quantity });
+        entries.push({ type: 'carryover', userId: null, boothEventId: null, productId: b.oldProductId, quantity: b.quantity });
+        entries.push({ type: 'carryover', userId: null, boothEventId: null, productId: b.newProductId, quantity: -b.quantity });
+        entries.push({ type: 'scout', userId: b.userId, boothEventId: null, productId: b.newProductId, quantity: b.quantity });
+    }
+
+    await insertTransaction(client, {
+        troopId,
+        type: 'carry_forward',
+        reason: `Season rollover ${fromYear} → ${toYear}`,
+        createdBy: userId
+    }, entries);
+    return balances.length;
+}
+
+// ============================================================================
+// Balances
+// ============================================================================
+
+/**
+ * Current holdings of a troop, computed from the ledger
+ * @param {string} troopId - Troop ID
+ * @param {Object} [options]
+ * @param {string} [options.season] - Only products of this season
+ * @returns {Promise<Array>} One row per location and product with a non-zero balance
+ */
+async function getBalances(troopId, { season = null } = {}) {
+    const params = [troopId];
+    let seasonClause = '';
+    if (season) {
+        params.push(season);
+        seasonClause = ` AND cp.season = $${params.length}`;
+    }
+
+    return db.getAll(`
+        SELECT e."locationType", e."userId", e."boothEventId", e."productId",
+               SUM(e.quantity)::int AS quantity, MAX(e."createdAt") AS "lastMovementAt",
+               cp."cookieName", cp."shortName", cp."sortOrder",
+               u."firstName", u."lastName", be."eventName"
+        FROM inventory_ledger_entries e
+        JOIN cookie_products cp ON cp.id = e."productId"
+        LEFT JOIN users u ON u.id = e."userId"
+        LEFT JOIN booth_events be ON be.id = e."boothEventId"
+        WHERE e."troopId" = $1 AND e."locationType" = ANY($${params.length + 1})${seasonClause}
+        GROUP BY e."locationType", e."userId", e."boothEventId", e."productId",
+                 cp."cookieName", cp."shortName", cp."sortOrder", u."firstName", u."lastName", be."eventName"
+        HAVING SUM(e.quantity) <> 0
+        ORDER BY e."locationType", u."lastName", u."firstName", be."eventName", cp."sortOrder"
+    `, [...params, [...HOLDER_LOCATIONS, 'damaged']]);
+}
+
+/**
+ * Stock held at one location, per product
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Object} location - { type, userId, boothEventId }
+ * @returns {Promise<Map<string, number>>} productId -> quantity, non-zero balances only
+ */
+async function getLocationBalance(client, troopId, location) {
+    const { type, userId, boothEventId } = normalizeLocation(location);
+    const result = await client.query(`
+        SELECT "productId", SUM(quantity)::int AS quantity
+        FROM inventory_ledger_entries
+        WHERE "troopId" = $1 AND "locationType" = $2
+          AND "userId" IS NOT DISTINCT FROM $3 AND "boothEventId" IS NOT DISTINCT FROM $4
+        GROUP BY "productId"
+        HAVING SUM(quantity) <> 0
+    `, [troopId, type, userId, boothEventId]);
+    return new Map(result.rows.map(r => [r.productId, r.quantity]));
+}
+
+// ============================================================================
+// Opening balances
+// ============================================================================
+
+/**
+ * Give every troop without ledger history an opening transaction matching the
+ * stock recorded before the ledger existed (troop rows of inventory_balances and
+ * scout_inventory). A scout in several troops is opened in the troop they joined first.
+ */
+async function seedOpeningBalances() {
+    try {
+        const troops = await db.getAll(`
+            SELECT t.id FROM troops t
+            WHERE NOT EXISTS (SELECT 1 FROM inventory_transactions it WHERE it."troopId" = t.id)
+        `);
+
+        let seeded = 0;
+        for (const troop of troops) {
+            const posted = await db.transaction(async (client) => {
+                const troopStock = (await client.query(`
+                    SELECT "productId", quantity FROM inventory_balances
+                    WHERE "troopId" = $1 AND "inventoryType" = 'troop' AND "userId" IS NULL AND quantity > 0
+                `, [troop.id])).rows;
+
+                const scoutStock = (await client.query(`
+                    SELECT si."userId", si."productId", si.quantity
+                    FROM scout_inventory si
+                    JOIN (
+                        SELECT DISTINCT ON ("userId") "userId", "troopId"
+                        FROM troop_members
+                        WHERE status = 'active'
+                        ORDER BY "userId", "joinDate", id
+                    ) home ON home."userId" = si."userId"
+                    WHERE home."troopId" = $1 AND si.quantity > 0
+                `, [troop.id])).rows;
+
+                if (troopStock.length === 0 && scoutStock.length === 0) return false;
+
+                const entries = [];
+                for (const s of troopStock) {
+                    entries.push({ type: 'adjustment', userId: null, boothEventId: null, productId: s.productId, quantity: -s.quantity });
+                    entries.push({ type: 'troop', userId: null, boothEventId: null, productId: s.productId, quantity: s.quantity });
+                }
+                for (const s of scoutStock) {
+                    entries.push({ type: 'adjustment', userId: null, boothEventId: null, productId: s.productId, quantity: -s.quantity });
+                    entries.push({ type: 'scout', userId: s.userId, boothEventId: null, productId: s.productId, quantity: s.quantity });
+                }
+
+                // scout_inventory already holds these quantities
+                await insertTransaction(client, {
+                    troopId: troop.id,
+                    type: 'opening',
+                    reason: 'Opening balance from stock recorded before the inventory ledger'
+                }, entries, { updateProjections: false });
+                return true;
+            });
+            if (posted) seeded++;
+        }
+
+        if (seeded > 0) logger.info('Inventory ledger opening balances recorded', { troops: seeded });
+    } catch (error) {
+        logger.error('Failed to seed inventory ledger opening balances', { error: error.message });
+    }
+}
+
+module.exports = {
+    LOCATION_TYPES,
+    HOLDER_LOCATIONS,
+    TRANSACTION_TYPES,
+    TRANSACTION_RULES,
+    postTransaction,
+    reverseTransaction,
+    postCarryForward,
+    getBalances,
+    getLocationBalance,
+    seedOpeningBalances
+};
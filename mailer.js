@@ -0,0 +1,477 @@
+/**
+ * Outbound email delivery for Apex Scout Manager
+ *
+ * Messages are rendered from templates, written to the email_queue table and
+ * delivered by a background worker with retries. Every delivery attempt is
+ * recorded in email_delivery_log. A message's body is cleared once it is sent,
+ * and once it fails for good if its template carries a one-time token, so the
+ * queue does not keep working reset, verification or consent links.
+ *
+ * Transports (MAIL_TRANSPORT):
+ * - smtp:     SMTP relay (SMTP_* env vars, falling back to the smtp_config system setting)
+ * - file:     writes each message as an .eml file under MAIL_FILE_DIR (development/tests)
+ * - disabled: messages are queued and logged but never delivered
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const db = require('./database/query-helpers');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// Templates whose links carry a one-time token
+const TOKEN_TEMPLATES = ['password_reset', 'email_verification', 'parental_consent'];
+
+let cachedTransport = null;
+let workerTimer = null;
+let processing = false;
+
+// ============================================================================
+// Templates
+// ============================================================================
+
+/**
+ * Escape text for safe inclusion in HTML email bodies
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get the public base URL used to build links in emails
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl() {
+    return (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * Resolve a relative app path to an absolute URL
+ * @param {string} urlPath - Path such as /login.html
+ * @returns {string} Absolute URL
+ */
+function buildUrl(urlPath) {
+    if (!urlPath) return getBaseUrl();
+    if (/^https?:\/\//i.test(urlPath)) return urlPath;
+    return `${getBaseUrl()}${urlPath.startsWith('/') ? '' : '/'}${urlPath}`;
+}
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {string} heading - Heading text
+ * @param {string} bodyHtml - Inner HTML
+ * @returns {string} Full HTML document
+ */
+function layout(heading, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #1a7f3c;">${escapeHtml(heading)}</h2>
+    ${bodyHtml}
+    <p style="font-size: 12px; color: #888; margin-top: 32px;">Sent by Apex Scout Manager. Please do not reply to this message.</p>
+</body>
+</html>`;
+}
+
+/**
+ * Render a call-to-action link
+ * @param {string} url - Link target
+ * @param {string} label - Button label
+ * @returns {string} HTML
+ */
+function button(url, label) {
+    return `<p><a href="${escapeHtml(url)}" style="display: inline-block; background: #1a7f3c; color: #fff; padding: 10px 20px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>
+    <p style="font-size: 12px; color: #888;">Or paste this link into your browser: ${escapeHtml(url)}</p>`;
+}
+
+const TEMPLATES = {
+    password_reset: (data) => {
+        const url = buildUrl(`/login.html?resetToken=${encodeURIComponent(data.token)}`);
+        return {
+            subject: 'Reset your Apex Scout Manager password',
+            text: `Hi ${data.firstName || ''},\n\nA password reset was requested for your account. ` +
+                `Use the link below within ${data.expiresInMinutes} minutes to choose a new password:\n\n${url}\n\n` +
+                'If you did not request this, you can ignore this email.',
+            html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(data.firstName || '')},</p>
+    <p>A password reset was requested for your account. Use the button below within ${escapeHtml(data.expiresInMinutes)} minutes to choose a new password.</p>
+    ${button(url, 'Reset Password')}
+    <p>If you did not request this, you can ignore this email.</p>`)
+        };
+    },
+
+    email_verification: (data) => {
+        const url = buildUrl(`/api/auth/verify-email?token=${encodeURIComponent(data.token)}`);
+        return {
+            subject: 'Verify your Apex Scout Manager email address',
+            text: `Hi ${data.firstName || ''},\n\nPlease confirm this is your email address by opening the link below:\n\n${url}\n\n` +
+                'Until your address is verified you will not be able to record sales or accept troop invitations.',
+            html: layout('Verify your email address', `
+    <p>Hi ${escapeHtml(data.firstName || '')},</p>
+    <p>Please confirm this is your email address.</p>
+    ${button(url, 'Verify Email')}
+    <p>Until your address is verified you will not be able to record sales or accept troop invitations.</p>`)
+        };
+    },
+
+    parental_consent: (data) => {
+        const url = buildUrl(`/consent.html?token=${encodeURIComponent(data.token)}`);
+        return {
+            subject: 'Parental consent needed for your scout\'s Apex Scout Manager account',
+            text: `${data.scoutFirstName || 'Your scout'} has an Apex Scout Manager account. Because they are under 13, ` +
+                'federal law (COPPA) requires a parent or guardian to consent before they can record sales or update their information.\n\n' +
+                `Review and provide consent within ${data.expiresInDays} days:\n\n${url}\n\n` +
+                'If you do not recognize this account, you can ignore this email and the account will stay restricted.',
+            html: layout('Parental consent needed', `
+    <p>${escapeHtml(data.scoutFirstName || 'Your scout')} has an Apex Scout Manager account. Because they are under 13, federal law (COPPA) requires a parent or guardian to consent before they can record sales or update their information.</p>
+    ${button(url, 'Review and Consent')}
+    <p>This link expires in ${escapeHtml(data.expiresInDays)} days. If you do not recognize this account, you can ignore this email and the account will stay restricted.</p>`)
+        };
+    },
+
+    troop_invitation: (data) => {
+        const url = buildUrl(data.hasAccount
+            ? '/login.html'
+            : `/register.html?email=${encodeURIComponent(data.email)}`);
+        const action = data.hasAccount ? 'Sign in to accept' : 'Create your account';
+        return {
+            subject: `You're invited to join Troop ${data.troopNumber}`,
+            text: `${data.inviterName} has invited you to join Troop ${data.troopNumber} as a ${data.role}.\n\n` +
+                `${action}: ${url}\n\nThis invitation expires on ${data.expiresOn}.`,
+            html: layout(`Join Troop ${data.troopNumber}`, `
+    <p>${escapeHtml(data.inviterName)} has invited you to join <strong>Troop ${escapeHtml(data.troopNumber)}</strong> as a <strong>${escapeHtml(data.role)}</strong>.</p>
+    ${button(url, action)}
+    <p>This invitation expires on ${escapeHtml(data.expiresOn)}.</p>`)
+        };
+    },
+
+    notification: (data) => {
+        const url = data.actionUrl ? buildUrl(data.actionUrl) : null;
+        return {
+            subject: data.title,
+            text: `${data.message}${url ? `\n\n${url}` : ''}`,
+            html: layout(data.title, `
+    <p>${escapeHtml(data.message)}</p>
+    ${url ? button(url, 'Open Apex Scout Manager') : ''}`)
+        };
+    },
+
+    test: () => ({
+        subject: 'Apex Scout Manager test email',
+        text: 'This is a test message. If you received it, outbound email is configured correctly.',
+        html: layout('Test email', '<p>This is a test message. If you received it, outbound email is configured correctly.</p>')
+    })
+};
+
+/**
+ * Render a named template
+ * @param {string} template - Template name (key of TEMPLATES)
+ * @param {Object} data - Template variables
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderTemplate(template, data = {}) {
+    const render = TEMPLATES[template];
+    if (!render) {
+        throw new Error(`Unknown email template: ${template}`);
+    }
+    return render(data);
+}
+
+// ============================================================================
+// Transport
+// ============================================================================
+
+/**
+ * Load a JSON system setting, returning null when missing or unreadable
+ * @param {string} key - Setting key
+ * @returns {Promise<any>}
+ */
+async function getSetting(key) {
+    try {
+        const row = await db.getOne('SELECT value FROM system_settings WHERE key = $1', [key]);
+        return row ? row.value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the configured transport name
+ * @returns {string} smtp | file | disabled
+ */
+function getTransportName() {
+    return (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+}
+
+/**
+ * Build (or reuse) the nodemailer transport for the configured MAIL_TRANSPORT
+ * @returns {Promise<Object|null>} Transport, or null when delivery is disabled/unconfigured
+ */
+async function getTransport() {
+    if (cachedTransport) return cachedTransport;
+
+    const name = getTransportName();
+
+    if (name === 'disabled') {
+        return null;
+    }
+
+    if (name === 'file') {
+        cachedTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        return cachedTransport;
+    }
+
+    // SMTP: environment variables take precedence over the admin-managed setting
+    let smtp = await getSetting('smtp_config');
+    if (typeof smtp === 'string') {
+        try { smtp = JSON.parse(smtp); } catch (e) { smtp = null; }
+    }
+    smtp = smtp || {};
+
+    const host = process.env.SMTP_HOST || smtp.host;
+    if (!host) {
+        return null;
+    }
+
+    const user = process.env.SMTP_USER || smtp.user;
+    const pass = process.env.SMTP_PASS || smtp.pass;
+
+    cachedTransport = nodemailer.createTransport({
+        host,
+        port: parseInt(process.env.SMTP_PORT) || parseInt(smtp.port) || 587,
+        secure: (process.env.SMTP_SECURE || String(smtp.secure)) === 'true',
+        auth: user ? { user, pass } : undefined
+    });
+    return cachedTransport;
+}
+
+/**
+ * Drop the cached transport so the next send picks up new settings
+ */
+function resetTransport() {
+    cachedTransport = null;
+}
+
+/**
+ * Resolve the From address
+ * @returns {Promise<string>}
+ */
+async function getFromAddress() {
+    if (process.env.MAIL_FROM) return process.env.MAIL_FROM;
+    const sender = await getSetting('email_sender_address');
+    return sender || 'noreply@apexscout.com';
+}
+
+/**
+ * Deliver one queued message through the active transport
+ * @param {Object} message - email_queue row
+ * @returns {Promise<string|null>} Transport message ID
+ */
+async function deliver(message) {
+    const transport = await getTransport();
+    if (!transport) {
+        throw new Error(getTransportName() === 'disabled'
+            ? 'Email delivery is disabled (MAIL_TRANSPORT=disabled)'
+            : 'SMTP is not configured');
+    }
+
+    const info = await transport.sendMail({
+        from: await getFromAddress(),
+        to: message.toAddress,
+        subject: message.subject,
+        text: message.bodyText,
+        html: message.bodyHtml
+    });
+
+    if (getTransportName() === 'file') {
+        const dir = process.env.MAIL_FILE_DIR || path.join(process.env.DATA_DIR || '/data', 'mail');
+        fs.mkdirSync(dir, { recursive: true });
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.id}.eml`;
+        fs.writeFileSync(path.join(dir, filename), info.message);
+    }
+
+    return info.messageId || null;
+}
+
+// ============================================================================
+// Queue
+// ============================================================================
+
+/**
+ * Render a template and add it to the send queue
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name
+ * @param {Object} [options.data] - Template variables
+ * @param {string} [options.userId] - Recipient user ID, if known
+ * @returns {Promise<Object|null>} Queued row, or null if it could not be queued
+ */
+async function queueEmail({ to, template, data = {}, userId = null }) {
+    if (!to) {
+        return null;
+    }
+
+    try {
+        const rendered = renderTemplate(template, data);
+        const queued = await db.getOne(`
+            INSERT INTO email_queue ("userId", "toAddress", template, subject, "bodyText", "bodyHtml", "maxAttempts")
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id, "toAddress", template, status, "createdAt"
+        `, [userId, to, template, rendered.subject, rendered.text, rendered.html, MAX_ATTEMPTS]);
+
+        // Deliver promptly rather than waiting for the next worker tick
+        setImmediate(() => processQueue());
+
+        return queued;
+    } catch (error) {
+        logger.error('Failed to queue email', { error: error.message, template });
+        return null;
+    }
+}
+
+/**
+ * Record a delivery attempt
+ * @param {Object} message - email_queue row
+ * @param {string} status - sent | failed
+ * @param {Object} details - { messageId, error }
+ */
+async function logAttempt(message, status, details = {}) {
+    await db.run(`
+        INSERT INTO email_delivery_log ("queueId", "attemptNumber", status, transport, "messageId", error)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [message.id, message.attempts + 1, status, getTransportName(), details.messageId || null, details.error || null]);
+}
+
+/**
+ * Send every due message in the queue. Failed sends are retried with
+ * exponential backoff (1, 2, 4, 8... minutes) until maxAttempts is reached.
+ * @returns {Promise<number>} Number of messages processed
+ */
+async function processQueue() {
+    if (processing) return 0;
+    processing = true;
+
+    try {
+        const batch = await db.getAll(`
+            UPDATE email_queue SET status = 'sending', "updatedAt" = NOW()
+            WHERE id IN (
+                SELECT id FROM email_queue
+                WHERE status = 'pending' AND "nextAttemptAt" <= NOW()
+                ORDER BY "createdAt"
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [BATCH_SIZE]);
+
+        for (const message of batch) {
+            try {
+                const messageId = await deliver(message);
+                await db.run(`
+                    UPDATE email_queue
+                    SET status = 'sent', attempts = attempts + 1, "sentAt" = NOW(), "lastError" = NULL,
+                        "bodyText" = NULL, "bodyHtml" = NULL, "updatedAt" = NOW()
+                    WHERE id = $1
+                `, [message.id]);
+                await logAttempt(message, 'sent', { messageId });
+                logger.info('Email sent', { queueId: message.id, template: message.template });
+            } catch (error) {
+                const attempts = message.attempts + 1;
+                const exhausted = attempts >= message.maxAttempts;
+                const delayMinutes = Math.pow(2, attempts - 1);
+                const clearBody = exhausted && TOKEN_TEMPLATES.includes(message.template);
+                await db.run(`
+                    UPDATE email_queue
+                    SET status = $1, attempts = $2, "lastError" = $3,
+                        "nextAttemptAt" = NOW() + ($4 || ' minutes')::interval,
+                        "bodyText" = CASE WHEN $6 THEN NULL ELSE "bodyText" END,
+                        "bodyHtml" = CASE WHEN $6 THEN NULL ELSE "bodyHtml" END,
+                        "updatedAt" = NOW()
+                    WHERE id = $5
+                `, [exhausted ? 'failed' : 'pending', attempts, error.message, String(delayMinutes), message.id, clearBody]);
+                await logAttempt(message, 'failed', { error: error.message });
+                logger.warn('Email delivery failed', {
+                    queueId: message.id, template: message.template, attempts, exhausted, error: error.message
+                });
+            }
+        }
+
+        return batch.length;
+    } catch (error) {
+        logger.error('Email queue processing failed', { error: error.message });
+        return 0;
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Put a failed message back on the queue for immediate delivery. Token
+ * messages whose body has been cleared cannot be retried; the user requests
+ * a new link instead.
+ * @param {string} queueId - email_queue ID
+ * @returns {Promise<boolean>} True if the message was requeued
+ */
+async function retryEmail(queueId) {
+    const rowCount = await db.run(`
+        UPDATE email_queue
+        SET status = 'pending', attempts = 0, "nextAttemptAt" = NOW(), "updatedAt" = NOW()
+        WHERE id = $1 AND status = 'failed' AND "bodyText" IS NOT NULL
+    `, [queueId]);
+    if (rowCount > 0) {
+        resetTransport();
+        setImmediate(() => processQueue());
+    }
+    return rowCount > 0;
+}
+
+/**
+ * Start the background queue worker
+ */
+function startWorker() {
+    if (workerTimer) return;
+
+    // Messages left in 'sending' by a crashed process go back on the queue
+    db.run(`
+        UPDATE email_queue SET status = 'pending'
+        WHERE status = 'sending' AND "updatedAt" < NOW() - INTERVAL '10 minutes'
+    `).catch(() => {});
+
+    workerTimer = setInterval(processQueue, WORKER_INTERVAL_MS);
+    workerTimer.unref();
+    logger.info('Email queue worker started', { transport: getTransportName() });
+}
+
+/**
+ * Stop the background queue worker
+ */
+function stopWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+module.exports = {
+    TEMPLATES,
+    TOKEN_TEMPLATES,
+    renderTemplate,
+    buildUrl,
+    queueEmail,
+    processQueue,
+    retryEmail,
+    resetTransport,
+    startWorker,
+    stopWorker
+};
@@ -9,7 +9,12 @@
 const passport = require('passport');
 const LocalStrategy = require('passport-local').Strategy;
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const { comparePassword } = require('./auth');
+const {
+    comparePassword,
+    getLockoutMinutesRemaining,
+    recordLoginAttempt,
+    recordFailedLogin
+} = require('./auth');
 const logger = require('./logger');
 
 /**
@@ -39,16 +44,27 @@ function configurePassport(db) {
     // Local Strategy (email/password)
     passport.use(new LocalStrategy({
         usernameField: 'email',
-        passwordField: 'password'
-    }, async (email, password, done) => {
+        passwordField: 'password',
+        passReqToCallback: true
+    }, async (req, email, password, done) => {
         try {
             // Find user by email
             const user = await db.getOne('SELECT * FROM users WHERE email = $1', [email]);
 
             if (!user) {
+                await recordLoginAttempt(db, { email, success: false, failureReason: 'unknown_email', req });
                 return done(null, false, { message: 'Invalid email or password' });
             }
 
+            // Check for an active lockout before looking at the password
+            const lockedMinutes = getLockoutMinutesRemaining(user);
+            if (lockedMinutes > 0) {
+                await recordLoginAttempt(db, { userId: user.id, email, success: false, failureReason: 'locked', req });
+                return done(null, false, {
+                    message: `Too many failed sign-in attempts. Try again in ${lockedMinutes} minute(s) or reset your password.`
+                });
+            }
+
             // Check if account is active
             if (!user.isActive) {
                 if (user.isMinor && !user.parentConsentDate) {
@@ -66,6 +82,12 @@ function configurePassport(db) {
             const isValid = await comparePassword(password, user.password_hash);
 
             if (!isValid) {
+                const lockMinutes = await recordFailedLogin(db, user, req, 'bad_password');
+                if (lockMinutes > 0) {
+                    return done(null, false, {
+                        message: `Too many failed sign-in attempts. Your account is locked for ${lockMinutes} minute(s).`
+                    });
+                }
                 return done(null, false, { message: 'Invalid email or password' });
             }
 
@@ -80,11 +80,14 @@ function switchView(viewId) {
         loadMembers();
     } else if (viewId === 'roles') {
         loadRoles();
+    } else if (viewId === 'seasons') {
+        loadSeasons();
     } else if (viewId === 'audit') {
         loadAuditLog();
     } else if (viewId === 'settings') {
         loadSettings();
         loadSessions();
+        loadEmailLog();
         loadSystemStats();
     }
 }
@@ -877,6 +880,7 @@ function displayMembers(members) {
                     <button class="action-btn edit" onclick="editMember(${safeMember})">Edit</button>
                     <button class="action-btn delete" onclick="deleteMember('${member.id}', '${escapeHtml(member.email)}')">Deactivate</button>
                     <button class="action-btn delete" style="background-color: #34495e;" onclick="anonymizeUser('${member.id}', '${escapeHtml(member.email)}')">Anonymize</button>
+                    ${member.totpEnabled ? `<button class="action-btn" onclick="resetTwoFactor('${member.id}', '${escapeHtml(member.email)}')">Reset 2FA</button>` : ''}
                 </td>
             </tr>
         `;
@@ -915,6 +919,34 @@ async function anonymizeUser(id, email) {
     }
 }
 
+/**
+ * Reset a user's two-factor authentication (lost device)
+ */
+async function resetTwoFactor(id, email) {
+    if (!confirm(`Turn off two-factor authentication for ${email}? Only do this after confirming their identity.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/system/users/${id}/2fa/reset`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showAlert('membersAlert', 'Two-factor authentication reset', 'success');
+            loadMembers();
+        } else {
+            throw new Error(data.error || 'Failed to reset two-factor authentication');
+        }
+    } catch (error) {
+        console.error('2FA reset error:', error);
+        showAlert('membersAlert', error.message, 'error');
+    }
+}
+
 /**
  * Load Roles Reference
  */
@@ -1126,6 +1158,172 @@ async function deleteMember(id, email) {
     }
 }
 
+// ============================================================================
+// Seasons & Rollover
+// ============================================================================
+
+/**
+ * Load seasons and fill the rollover selectors
+ */
+async function loadSeasons() {
+    try {
+        const response = await fetch('/api/seasons', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load seasons');
+        const seasons = await response.json();
+
+        const list = document.getElementById('seasonsList');
+        if (seasons.length === 0) {
+            list.innerHTML = '<div class="no-data">No seasons yet</div>';
+        } else {
+            list.innerHTML = `
+                <table class="admin-table">
+                    <thead>
+                        <tr><th>Year</th><th>Name</th><th>Dates</th><th>Products</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                        ${seasons.map(s => `
+                            <tr>
+                                <td>${escapeHtml(s.year)}</td>
+                                <td>${escapeHtml(s.name)}</td>
+                                <td>${new Date(s.startDate).toLocaleDateString()} – ${new Date(s.endDate).toLocaleDateString()}</td>
+                                <td>${s.cookieCount}</td>
+                                <td>${s.archivedAt ? `Archived ${new Date(s.archivedAt).toLocaleDateString()}` : (s.isActive ? '<strong>Active</strong>' : 'Upcoming')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        const open = seasons.filter(s => !s.archivedAt);
+        const options = open.map(s => `<option value="${escapeHtml(s.year)}">${escapeHtml(s.name)}</option>`).join('');
+        document.getElementById('rolloverFrom').innerHTML = options;
+        document.getElementById('rolloverTo').innerHTML = options;
+        document.getElementById('seasonCopyFrom').innerHTML = '<option value="">Don\'t copy</option>' +
+            seasons.map(s => `<option value="${escapeHtml(s.year)}">${escapeHtml(s.name)}</option>`).join('');
+
+        const active = open.find(s => s.isActive);
+        const next = open.find(s => active && new Date(s.startDate) > new Date(active.startDate));
+        if (active) document.getElementById('rolloverFrom').value = active.year;
+        if (next) document.getElementById('rolloverTo').value = next.year;
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        showAlert('seasonsAlert', error.message, 'error');
+    }
+}
+
+/**
+ * Create a season, optionally copying another season's products
+ */
+async function createSeason() {
+    try {
+        const response = await fetch('/api/seasons', {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                year: document.getElementById('seasonYear').value.trim(),
+                name: document.getElementById('seasonName').value.trim(),
+                startDate: document.getElementById('seasonStartDate').value,
+                endDate: document.getElementById('seasonEndDate').value,
+                copyFromYear: document.getElementById('seasonCopyFrom').value || undefined
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to create season');
+
+        document.getElementById('createSeasonForm').style.display = 'none';
+        showAlert('seasonsAlert', `Season ${data.year} created`, 'success', 3000);
+        loadSeasons();
+    } catch (error) {
+        showAlert('seasonsAlert', error.message, 'error');
+    }
+}
+
+/**
+ * Show what the rollover will do for each troop and let the admin adjust carry-over choices
+ */
+async function previewRollover() {
+    const fromYear = document.getElementById('rolloverFrom').value;
+    const toYear = document.getElementById('rolloverTo').value;
+    const container = document.getElementById('rolloverPreview');
+
+    try {
+        const response = await fetch(`/api/seasons/${encodeURIComponent(fromYear)}/rollover/preview?toYear=${encodeURIComponent(toYear)}`, {
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to preview rollover');
+
+        container.innerHTML = `
+            <h3>Preview: ${escapeHtml(data.from.name)} → ${escapeHtml(data.to.name)}</h3>
+            <p style="color: #666;">Dates shift forward ${data.shiftDays} day(s).
+                ${data.unmatchedProducts.length ? `These products have no match in ${escapeHtml(data.to.year)}, so their stock cannot carry over: ${escapeHtml(data.unmatchedProducts.join(', '))}.` : ''}</p>
+            <table class="admin-table">
+                <thead>
+                    <tr><th>Troop</th><th>Boxes Sold</th><th>Milestones</th><th>Open Goals</th><th>Inventory On Hand</th><th>Carry Inventory</th></tr>
+                </thead>
+                <tbody>
+                    ${data.troops.map(t => `
+                        <tr>
+                            <td>${escapeHtml(t.troopNumber)}</td>
+                            <td>${t.totalBoxes}</td>
+                            <td>${t.milestoneCount}${t.targetMilestoneCount ? ' (already planned, not copied)' : ''}</td>
+                            <td>${t.openGoalCount}</td>
+                            <td>${t.inventoryOnHand}</td>
+                            <td><input type="checkbox" class="rollover-carry" data-troop-id="${t.troopId}" ${t.carryInventoryForward ? 'checked' : ''}></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="form-buttons">
+                <button class="btn-submit" onclick="runRollover()">Roll Over ${escapeHtml(data.from.year)}</button>
+            </div>
+        `;
+    } catch (error) {
+        container.innerHTML = '';
+        showAlert('seasonsAlert', error.message, 'error');
+    }
+}
+
+/**
+ * Run the rollover with the carry-over choices from the preview
+ */
+async function runRollover() {
+    const fromYear = document.getElementById('rolloverFrom').value;
+    const toYear = document.getElementById('rolloverTo').value;
+    if (!confirm(`Close the ${fromYear} season? Its data becomes read-only and ${toYear} becomes the active season.`)) return;
+
+    const troops = Array.from(document.querySelectorAll('.rollover-carry')).map(cb => ({
+        troopId: cb.dataset.troopId,
+        carryInventory: cb.checked
+    }));
+
+    try {
+        const response = await fetch(`/api/seasons/${encodeURIComponent(fromYear)}/rollover`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                toYear,
+                troops,
+                cloneGoals: document.getElementById('rolloverCloneGoals').checked
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Rollover failed');
+
+        document.getElementById('rolloverPreview').innerHTML = '';
+        showAlert('seasonsAlert',
+            `Rolled ${data.fromYear} into ${data.toYear}: ${data.troops.length} troop summaries saved, ` +
+            `${data.salesStamped} sales archived, ${data.inventoryCarried} inventory rows carried over.`,
+            'success');
+        loadSeasons();
+    } catch (error) {
+        showAlert('seasonsAlert', error.message, 'error');
+    }
+}
+
 // ============================================================================
 // Audit Log
 // ============================================================================
@@ -1302,6 +1500,11 @@ async function loadSettings() {
         const data = await response.json();
         
         if (data.settings) {
+            const requiredRoles = data.settings.two_factor_required_roles || [];
+            document.querySelectorAll('.twofa-role').forEach(box => {
+                box.checked = requiredRoles.includes(box.value);
+            });
+
             for (const [key, value] of Object.entries(data.settings)) {
                 const input = document.getElementById('setting_' + key);
                 if (input) {
@@ -1336,6 +1539,7 @@ async function saveSettings() {
             settings[key] = input.value;
         }
     });
+    settings.two_factor_required_roles = Array.from(document.querySelectorAll('.twofa-role:checked')).map(box => box.value);
 
     try {
         const response = await fetch('/api/system/settings', {
@@ -1363,20 +1567,29 @@ async function loadSessions() {
     list.innerHTML = '<div class="loading">Loading sessions...</div>';
     
     try {
-        const response = await fetch('/api/system/sessions');
+        const [response, lockedResponse] = await Promise.all([
+            fetch('/api/system/sessions'),
+            fetch('/api/system/locked-accounts')
+        ]);
         const data = await response.json();
-        
+        const lockedData = lockedResponse.ok ? await lockedResponse.json() : { accounts: [] };
+
+        let html = renderLockedAccounts(lockedData.accounts || []);
+
         if (!data.sessions || data.sessions.length === 0) {
-            list.innerHTML = '<div class="no-data">No active sessions found</div>';
+            list.innerHTML = html + '<div class="no-data">No active sessions found</div>';
             return;
         }
         
-        let html = '<table class="admin-table"><thead><tr><th>User</th><th>Session ID</th><th>Actions</th></tr></thead><tbody>';
+        html += '<table class="admin-table"><thead><tr><th>User</th><th>IP Address</th><th>Device</th><th>Signed In</th><th>Session ID</th><th>Actions</th></tr></thead><tbody>';
         
         data.sessions.forEach(sess => {
             html += `
                 <tr>
-                    <td>${sess.userEmail || 'Guest'}</td>
+                    <td>${escapeHtml(sess.userEmail || 'Guest')}</td>
+                    <td>${escapeHtml(sess.ip || '-')}</td>
+                    <td><small title="${escapeHtml(sess.userAgent || '')}">${escapeHtml(summarizeUserAgent(sess.userAgent))}</small></td>
+                    <td>${sess.loginAt ? new Date(sess.loginAt).toLocaleString() : '-'}</td>
                     <td><small>${sess.id.substring(0, 8)}...</small></td>
                     <td>
                         <button class="action-btn delete" onclick="revokeSession('${sess.id}')">Revoke</button>
@@ -1392,6 +1605,65 @@ async function loadSessions() {
     }
 }
 
+/**
+ * Render the locked accounts table shown above active sessions
+ */
+function renderLockedAccounts(accounts) {
+    if (accounts.length === 0) {
+        return '';
+    }
+
+    let html = '<h4>Locked Accounts</h4><table class="admin-table"><thead><tr><th>User</th><th>Locked Until</th><th>Lockouts</th><th>Last Failed IP</th><th>Actions</th></tr></thead><tbody>';
+    accounts.forEach(acct => {
+        html += `
+            <tr>
+                <td>${escapeHtml(acct.firstName)} ${escapeHtml(acct.lastName)}<br><small>${escapeHtml(acct.email)}</small></td>
+                <td>${new Date(acct.lockedUntil).toLocaleString()}</td>
+                <td>${acct.lockoutCount}</td>
+                <td>${escapeHtml(acct.lastFailedIp || '-')}</td>
+                <td>
+                    <button class="action-btn" onclick="unlockAccount('${acct.id}', '${escapeHtml(acct.email)}')">Unlock</button>
+                </td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table><h4>Active Sessions</h4>';
+    return html;
+}
+
+/**
+ * Short browser/OS label from a user-agent string
+ */
+function summarizeUserAgent(userAgent) {
+    if (!userAgent) return '-';
+    // Order matters: Edge and Chrome user agents also contain "Safari"
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const systems = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS X', 'Linux'];
+    const browser = (browsers.find(([token]) => userAgent.includes(token)) || [null, 'Browser'])[1];
+    const os = systems.find(name => userAgent.includes(name)) || 'Unknown OS';
+    return `${browser} on ${os}`;
+}
+
+/**
+ * Unlock an account locked by failed sign-ins
+ */
+async function unlockAccount(id, email) {
+    if (!confirm(`Unlock ${email}? They will be able to sign in immediately.`)) return;
+
+    try {
+        const response = await fetch(`/api/system/users/${id}/unlock`, { method: 'POST' });
+        if (response.ok) {
+            loadSessions();
+            showAlert('settingsAlert', 'Account unlocked', 'success');
+        } else {
+            throw new Error('Unlock failed');
+        }
+    } catch (error) {
+        console.error('Error unlocking account:', error);
+        showAlert('settingsAlert', 'Failed to unlock account', 'error');
+    }
+}
+
 /**
  * Revoke session
  */
@@ -1412,6 +1684,94 @@ async function revokeSession(id) {
     }
 }
 
+/**
+ * Load recent outbound emails
+ */
+async function loadEmailLog() {
+    const list = document.getElementById('emailLogList');
+    list.innerHTML = '<div class="loading">Loading email log...</div>';
+
+    try {
+        const response = await fetch('/api/system/email-log');
+        const data = await response.json();
+
+        if (!data.emails || data.emails.length === 0) {
+            list.innerHTML = '<div class="no-data">No emails sent yet</div>';
+            return;
+        }
+
+        let html = '<table class="admin-table"><thead><tr><th>To</th><th>Subject</th><th>Status</th><th>Attempts</th><th>Created</th><th>Actions</th></tr></thead><tbody>';
+
+        data.emails.forEach(email => {
+            const statusColor = email.status === 'sent' ? 'green' : (email.status === 'failed' ? 'red' : '#888');
+            html += `
+                <tr>
+                    <td>${escapeHtml(email.toAddress)}</td>
+                    <td>${escapeHtml(email.subject)}</td>
+                    <td><span style="color:${statusColor}" title="${escapeHtml(email.lastError || '')}">${escapeHtml(email.status)}</span></td>
+                    <td>${email.attempts}/${email.maxAttempts}</td>
+                    <td>${new Date(email.createdAt).toLocaleString()}</td>
+                    <td>
+                        ${email.status === 'failed' && email.retryable ? `<button class="action-btn" onclick="retryEmail('${email.id}')">Retry</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        });
+        html += '</tbody></table>';
+        list.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading email log:', error);
+        list.innerHTML = '<div class="alert error">Failed to load email log</div>';
+    }
+}
+
+/**
+ * Queue a test email to the given address
+ */
+async function sendTestEmail() {
+    const to = document.getElementById('emailTestRecipient').value.trim();
+    if (!to) {
+        showAlert('settingsAlert', 'Enter a recipient address', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/system/email-test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ to })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Send failed');
+        }
+
+        showAlert('settingsAlert', 'Test email queued', 'success', 3000);
+        setTimeout(loadEmailLog, 1000);
+    } catch (error) {
+        console.error('Error sending test email:', error);
+        showAlert('settingsAlert', error.message || 'Failed to send test email', 'error');
+    }
+}
+
+/**
+ * Requeue a failed email
+ */
+async function retryEmail(id) {
+    try {
+        const response = await fetch(`/api/system/email-log/${id}/retry`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error('Retry failed');
+        }
+        showAlert('settingsAlert', 'Email requeued', 'success', 3000);
+        setTimeout(loadEmailLog, 1000);
+    } catch (error) {
+        console.error('Error retrying email:', error);
+        showAlert('settingsAlert', 'Failed to retry email', 'error');
+    }
+}
+
 /**
  * Load system stats
  */
@@ -91,10 +91,12 @@ const PRIVILEGE_DEFINITIONS = [
     { code: 'edit_scout_status', name: 'Edit scout status', category: 'Scout Profiles & Advancement' },
     { code: 'award_badges', name: 'Award badges', category: 'Scout Profiles & Advancement' },
     { code: 'view_badge_progress', name: 'View badge progress', category: 'Scout Profiles & Advancement' },
+    { code: 'record_badge_progress', name: 'Record badge progress', category: 'Scout Profiles & Advancement' },
     { code: 'edit_personal_info', name: 'Edit personal info', category: 'Scout Profiles & Advancement' },
     { code: 'view_events', name: 'View events', category: 'Calendar & Events' },
     { code: 'manage_events', name: 'Manage events', category: 'Calendar & Events' },
     { code: 'export_calendar', name: 'Export calendar', category: 'Calendar & Events' },
+    { code: 'sign_up_shifts', name: 'Sign up for booth shifts', category: 'Calendar & Events' },
     { code: 'view_sales', name: 'View sales data', category: 'Fundraising & Sales' },
     { code: 'record_sales', name: 'Record sales', category: 'Fundraising & Sales' },
     { code: 'manage_fundraisers', name: 'Manage fundraisers', category: 'Fundraising & Sales' },
@@ -114,15 +116,15 @@ const PRIVILEGE_DEFINITIONS = [
 ];
 
 const ROLE_PRIVILEGE_DEFAULTS = {
-    member:        { view_roster:'none', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'S', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'S', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', view_sales:'S', record_sales:'S', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'S', record_donations:'S', delete_donations:'S', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'S', delete_own_data:'S' },
-    parent:        { view_roster:'none', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'H', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'H', edit_personal_info:'H', view_events:'T', manage_events:'none', export_calendar:'T', view_sales:'H', record_sales:'H', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'H', record_donations:'H', delete_donations:'H', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'H', delete_own_data:'S' },
-    volunteer:     { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'none', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', view_sales:'none', record_sales:'none', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'none', record_donations:'none', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'none', delete_own_data:'S' },
-    assistant:     { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'D', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'D', edit_personal_info:'none', view_events:'T', manage_events:'T', export_calendar:'T', view_sales:'none', record_sales:'none', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'none', record_donations:'none', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'none', delete_own_data:'S' },
-    'co-leader':   { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', view_sales:'T', record_sales:'S', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'none', view_donations:'T', record_donations:'S', delete_donations:'S', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'T', delete_own_data:'S' },
-    cookie_leader: { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'none', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'S', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
-    troop_leader:  { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'T', manage_privileges:'T', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'T', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
-    admin:         { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'T', manage_privileges:'T', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'T', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
-    cookie_manager:{ view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'T', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'T', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'none', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
+    member:        { view_roster:'none', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'S', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'S', record_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', sign_up_shifts:'S', view_sales:'S', record_sales:'S', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'S', record_donations:'S', delete_donations:'S', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'S', delete_own_data:'S' },
+    parent:        { view_roster:'none', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'H', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'H', record_badge_progress:'H', edit_personal_info:'H', view_events:'T', manage_events:'none', export_calendar:'T', sign_up_shifts:'H', view_sales:'H', record_sales:'H', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'H', record_donations:'H', delete_donations:'H', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'H', delete_own_data:'S' },
+    volunteer:     { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'none', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'none', record_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', sign_up_shifts:'none', view_sales:'none', record_sales:'none', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'none', record_donations:'none', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'none', delete_own_data:'S' },
+    assistant:     { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'D', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'D', record_badge_progress:'D', edit_personal_info:'none', view_events:'T', manage_events:'T', export_calendar:'T', sign_up_shifts:'H', view_sales:'none', record_sales:'none', manage_fundraisers:'none', view_troop_sales:'none', view_financials:'none', manage_financials:'none', view_donations:'none', record_donations:'none', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'none', delete_own_data:'S' },
+    'co-leader':   { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', record_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', sign_up_shifts:'H', view_sales:'T', record_sales:'S', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'none', view_donations:'T', record_donations:'S', delete_donations:'S', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'none', export_data:'T', delete_own_data:'S' },
+    cookie_leader: { view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'none', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'none', record_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', sign_up_shifts:'H', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'S', delete_donations:'none', view_goals:'T', manage_goals:'none', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
+    troop_leader:  { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'T', manage_privileges:'T', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', record_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', sign_up_shifts:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'T', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
+    admin:         { view_roster:'T', manage_members:'T', manage_troop_settings:'T', send_invitations:'T', import_roster:'T', manage_member_roles:'T', manage_privileges:'T', view_scout_profiles:'T', edit_scout_level:'T', edit_scout_status:'T', award_badges:'T', view_badge_progress:'T', record_badge_progress:'T', edit_personal_info:'T', view_events:'T', manage_events:'T', export_calendar:'T', sign_up_shifts:'T', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'T', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
+    cookie_manager:{ view_roster:'T', manage_members:'none', manage_troop_settings:'none', send_invitations:'none', import_roster:'none', manage_member_roles:'none', manage_privileges:'none', view_scout_profiles:'T', edit_scout_level:'none', edit_scout_status:'none', award_badges:'none', view_badge_progress:'T', record_badge_progress:'none', edit_personal_info:'none', view_events:'T', manage_events:'none', export_calendar:'T', sign_up_shifts:'H', view_sales:'T', record_sales:'T', manage_fundraisers:'T', view_troop_sales:'T', view_financials:'T', manage_financials:'T', view_donations:'T', record_donations:'T', delete_donations:'none', view_goals:'T', manage_goals:'T', view_leaderboard:'T', manage_payment_methods:'S', import_data:'T', export_data:'T', delete_own_data:'S' },
 };
 
 const SCOPE_ORDER = ['T', 'D', 'H', 'S', 'none'];
@@ -184,6 +186,7 @@ async function init() {
     renderCalendar();
     renderPaymentMethodsSettings();
     setupEventListeners();
+    setupSeasonSwitcher();
     if (window.lucide) lucide.createIcons();
 }
 
@@ -200,6 +203,53 @@ function displayUserInfo() {
     if (logoutBtn) {
         logoutBtn.addEventListener('click', logout);
     }
+
+    const twoFactorBanner = document.getElementById('twoFactorBanner');
+    if (twoFactorBanner && currentUser && currentUser.twoFactorEnrollmentRequired) {
+        twoFactorBanner.style.display = 'flex';
+    }
+
+    const consentBanner = document.getElementById('consentBanner');
+    if (consentBanner && currentUser && currentUser.isMinor && currentUser.parentalConsentStatus !== 'granted') {
+        consentBanner.style.display = 'flex';
+        document.getElementById('resendConsentBtn').addEventListener('click', resendConsentRequest);
+    }
+
+    const verifyBanner = document.getElementById('verifyEmailBanner');
+    if (verifyBanner && currentUser && currentUser.emailVerificationRequired && !currentUser.emailVerified) {
+        verifyBanner.style.display = 'flex';
+        document.getElementById('resendVerificationBtn').addEventListener('click', resendVerificationEmail);
+    }
+}
+
+// Ask for the parental consent email to be sent again
+async function resendConsentRequest() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/consent/resend`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to send consent request');
+        showFeedback('Consent request sent to your parent/guardian.');
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+// Request a fresh email verification link
+async function resendVerificationEmail() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/resend-verification`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to send verification email');
+        showFeedback('Verification email sent. Check your inbox.');
+    } catch (error) {
+        showFeedback(error.message);
+    }
 }
 
 // Setup event listeners
@@ -210,6 +260,14 @@ function setupEventListeners() {
         if (btn) {
             openAwardBadgeModal(btn.dataset.userid, btn.dataset.name);
         }
+        const stepsBtn = e.target.closest('.badge-steps-btn');
+        if (stepsBtn) {
+            openBadgeProgressModal(stepsBtn.dataset.userid, stepsBtn.dataset.name);
+        }
+        const claimBtn = e.target.closest('.badge-claim-btn');
+        if (claimBtn) {
+            openBadgeClaimModal(claimBtn.dataset.userid, claimBtn.dataset.name);
+        }
     });
 
     // Profile listeners
@@ -246,7 +304,7 @@ function setupEventListeners() {
 // Load donations from API
 async function loadDonations() {
     try {
-        const response = await fetch(`${API_BASE_URL}/donations`);
+        const response = await fetch(`${API_BASE_URL}/donations${seasonQuery()}`);
         await handleApiResponse(response);
         donations = await response.json();
     } catch (error) {
@@ -356,6 +414,11 @@ async function loadEarnedBadges() {
             availableBadges = await availRes.json();
         }
 
+        const progressRes = await fetch(`${API_BASE_URL}/scouts/${currentUser.id}/badge-progress`, { credentials: 'include' });
+        if (progressRes.ok) {
+            badgeStepProgress = await progressRes.json();
+        }
+
         renderBadgeAchievementSection();
     } catch (error) {
         if (error.message === 'Authentication required') return;
@@ -425,7 +488,13 @@ function renderLeaderBadgeCatalogSection() {
 
     strip.innerHTML = `<p class="empty-state" style="font-size:0.85rem;margin:0;">
         Browse the badge catalog to find and award badges to scouts.
-    </p>`;
+    </p>
+    <div id="badgeClaimsPending"></div>
+    <div id="badgeRecognitionPending"></div>
+    <div id="badgeReadyToAward"></div>`;
+    loadBadgeClaimsPending();
+    loadBadgeRecognitionSummary();
+    loadBadgesReadyToAward();
 
     section.style.display = 'block';
     if (window.lucide) lucide.createIcons();
@@ -439,9 +508,10 @@ function renderBadgeAchievementSection() {
     if (!section || !strip || !countPill) return;
 
     const total = earnedBadges.length;
+    const inProgress = badgeStepProgress.filter(p => !p.earnedDate);
     countPill.textContent = `${total} earned`;
 
-    if (total === 0) {
+    if (total === 0 && inProgress.length === 0) {
         strip.innerHTML = '<p class="empty-state" style="font-size:0.85rem;margin:0;">No badges earned yet. Browse available badges!</p>';
     } else {
         const display = earnedBadges.slice(0, 6);
@@ -455,6 +525,13 @@ function renderBadgeAchievementSection() {
         if (total > 6) {
             strip.innerHTML += `<button class="btn btn-text btn-sm" onclick="openBadgeGalleryModal('earned')">+${total - 6} more</button>`;
         }
+        strip.innerHTML += inProgress.map(p => `
+            <div class="earned-badge-chip badge-chip-in-progress" title="${escapeHtml(p.badgeName)}">
+                <span class="earned-badge-icon">${getBadgeIcon(p.badgeType)}</span>
+                <span class="earned-badge-name">${escapeHtml(p.badgeName)}</span>
+                <span class="earned-badge-date">${describeStepProgress(p)}</span>
+            </div>
+        `).join('');
     }
 
     section.style.display = 'block';
@@ -668,6 +745,7 @@ function showBadgeDetail(badgeId, isEarned, isCatalog) {
         ${badge.orgName ? `<p class="badge-detail-org">${escapeHtml(badge.orgName)}</p>` : ''}
         <p class="badge-detail-description">${escapeHtml(badge.description || 'No description available.')}</p>
         ${badge.requirements ? `<p class="badge-detail-requirements"><strong>Requirements:</strong> ${escapeHtml(badge.requirements)}</p>` : ''}
+        ${isCatalog ? '<div id="badgeDetailSteps"></div>' : ''}
         ${isEarned ? `
             <div class="badge-detail-earned-info">
                 <p>Earned: <strong>${escapeHtml(formatBadgeDate(badge.earnedDate))}</strong></p>
@@ -676,6 +754,8 @@ function showBadgeDetail(badgeId, isEarned, isCatalog) {
         ` : ''}
     `;
     document.getElementById('badgeDetailModal').style.display = 'flex';
+    // Steps are shared by every troop, so only admins edit them (client hint; server enforces)
+    if (isCatalog && currentUser && currentUser.role === 'admin') loadBadgeStepEditor(badge.id);
     if (window.lucide) lucide.createIcons();
 }
 
@@ -684,6 +764,26 @@ function closeBadgeDetailModal() {
 }
 
 /// Step 5: Award badge workflow (Troop Leader context)
+// <option>s for a badge <select>, grouped by org for readability
+function catalogBadgeOptionsHtml(badges) {
+    if (badges.length === 0) return '<option value="">No badges in catalog</option>';
+    const byOrg = {};
+    badges.forEach(b => {
+        const org = b.orgName || 'Other';
+        if (!byOrg[org]) byOrg[org] = [];
+        byOrg[org].push(b);
+    });
+    let optionsHtml = '<option value="">Select a badge...</option>';
+    for (const [orgName, orgBadges] of Object.entries(byOrg)) {
+        optionsHtml += `<optgroup label="${escapeHtml(orgName)}">`;
+        optionsHtml += orgBadges.map(b =>
+            `<option value="${escapeHtml(b.id)}">${escapeHtml(b.badgeName)} (${escapeHtml(b.badgeType || 'badge')})</option>`
+        ).join('');
+        optionsHtml += '</optgroup>';
+    }
+    return optionsHtml;
+}
+
 async function openAwardBadgeModal(scoutUserId, scoutName) {
     if (!selectedTroopId) {
         showFeedback('Please select a troop first');
@@ -707,27 +807,7 @@ async function openAwardBadgeModal(scoutUserId, scoutName) {
 
         awardingBadgeOptions = catalogBadges;
 
-        const select = document.getElementById('awardBadgeSelect');
-        if (awardingBadgeOptions.length === 0) {
-            select.innerHTML = '<option value="">No badges in catalog</option>';
-        } else {
-            // Group options by org for readability
-            const byOrg = {};
-            awardingBadgeOptions.forEach(b => {
-                const org = b.orgName || 'Other';
-                if (!byOrg[org]) byOrg[org] = [];
-                byOrg[org].push(b);
-            });
-            let optionsHtml = '<option value="">Select a badge...</option>';
-            for (const [orgName, badges] of Object.entries(byOrg)) {
-                optionsHtml += `<optgroup label="${escapeHtml(orgName)}">`;
-                optionsHtml += badges.map(b =>
-                    `<option value="${escapeHtml(b.id)}">${escapeHtml(b.badgeName)} (${escapeHtml(b.badgeType || 'badge')})</option>`
-                ).join('');
-                optionsHtml += '</optgroup>';
-            }
-            select.innerHTML = optionsHtml;
-        }
+        document.getElementById('awardBadgeSelect').innerHTML = catalogBadgeOptionsHtml(awardingBadgeOptions);
     } catch (error) {
         console.error('Error loading badge options:', error);
         document.getElementById('awardBadgeSelect').innerHTML = '<option value="">Error loading badges</option>';
@@ -781,3466 +861,6566 @@ function canAwardBadges() {
     return ['troop_leader', 'co-leader', 'cookie_leader', 'admin'].includes(currentUser.role);
 }
 
-// Render scout level badge with official colors
-function renderScoutLevelBadge(scoutProfile) {
-    const container = document.getElementById('scoutLevelBadgeContainer');
-    const badge = document.getElementById('scoutLevelBadge');
-    const levelName = document.getElementById('scoutLevelName');
-    const orgName = document.getElementById('scoutOrgName');
+// Check if current user can change scout levels and run bridging (client hint; server enforces actual check)
+function canEditScoutLevels() {
+    if (!currentUser) return false;
+    const defaults = ROLE_PRIVILEGE_DEFAULTS[currentUser.role];
+    return Boolean(defaults) && defaults.edit_scout_level !== 'none';
+}
 
-    if (!container || !badge || !levelName || !orgName || !scoutProfile.levelName) {
+// ---- Bridging ----
+
+const BRIDGING_STATUS_LABELS = {
+    bridges: null,
+    stays: 'Stays',
+    top_level: 'Top level',
+    missing_age: 'No date of birth',
+    missing_grade: 'No grade recorded',
+    no_range: 'Level has no range'
+};
+
+const gradeLabel = (grade) => (grade === 0 ? 'K' : String(grade));
+
+function openBridgingModal() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first');
         return;
     }
+    document.getElementById('bridgingDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('bridgingModal').style.display = 'flex';
+    loadBridgingPreview();
+}
 
-    // Set level name and organization
-    levelName.textContent = scoutProfile.levelName;
-    orgName.textContent = scoutProfile.orgName || 'Scout';
+function closeBridgingModal() {
+    document.getElementById('bridgingModal').style.display = 'none';
+}
 
-    // Apply color class based on level code
-    if (scoutProfile.levelCode) {
-        // Remove all level classes
-        badge.className = 'scout-level-badge';
-        // Add the level-specific class
-        badge.classList.add(`${scoutProfile.levelCode}-level`);
+async function loadBridgingPreview() {
+    const el = document.getElementById('bridgingPreview');
+    const basis = document.getElementById('bridgingBasis').value;
+    const ceremonyDate = document.getElementById('bridgingDate').value;
+    el.innerHTML = '<p class="empty-state">Loading...</p>';
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/bridging/preview?basis=${basis}&ceremonyDate=${ceremonyDate}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const preview = await res.json();
+        if (preview.scouts.length === 0) {
+            el.innerHTML = '<p class="empty-state">No scouts with a level in this troop</p>';
+            return;
+        }
+        const moving = preview.scouts.filter(s => s.status === 'bridges').length;
+        el.innerHTML = `
+            <p><strong>${moving} scout${moving === 1 ? '' : 's'} will move up.</strong></p>
+            <table class="data-table">
+                <thead>
+                    <tr><th></th><th>Scout</th><th>${basis === 'age' ? 'Age' : 'Grade'}</th><th>Now</th><th>Moves To</th></tr>
+                </thead>
+                <tbody>
+                    ${preview.scouts.map(s => `
+                        <tr>
+                            <td>${s.status === 'bridges' ? `<input type="checkbox" class="bridging-scout" value="${s.userId}" checked>` : ''}</td>
+                            <td>${escapeHtml(s.scoutName)}</td>
+                            <td>${basis === 'grade'
+                                ? `<select class="form-control" onchange="saveScoutGrade('${s.userId}', this.value)">
+                                        <option value="">-</option>
+                                        ${Array.from({ length: 13 }, (_, g) => `<option value="${g}" ${s.value === g ? 'selected' : ''}>${gradeLabel(g)}</option>`).join('')}
+                                   </select>`
+                                : (s.value === null ? '-' : s.value)}</td>
+                            <td>${escapeHtml(s.currentLevel.displayName)}</td>
+                            <td>${s.toLevel ? escapeHtml(s.toLevel.displayName) : `<small>${BRIDGING_STATUS_LABELS[s.status] || s.status}</small>`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        el.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
+}
 
-    // Show the badge
-    container.style.display = 'flex';
+// The grade is the one the scout has on the ceremony date
+async function saveScoutGrade(userId, grade) {
+    const asOf = document.getElementById('bridgingDate').value || undefined;
+    try {
+        const res = await fetch(`${API_BASE_URL}/scouts/${userId}/grade`, {
+            method: 'PUT',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ grade: grade === '' ? null : Number(grade), asOf })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        loadBridgingPreview();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
 
-    console.log('Scout level badge rendered:', scoutProfile.levelName, scoutProfile.levelCode);
+async function submitBridging() {
+    const basis = document.getElementById('bridgingBasis').value;
+    const ceremonyDate = document.getElementById('bridgingDate').value;
+    const userIds = Array.from(document.querySelectorAll('.bridging-scout:checked')).map(cb => cb.value);
+    if (!ceremonyDate) { showFeedback('Please enter the ceremony date'); return; }
+    if (userIds.length === 0) { showFeedback('No scouts selected to bridge'); return; }
+    if (!confirm(`Move ${userIds.length} scout${userIds.length === 1 ? '' : 's'} up a level as of ${ceremonyDate}?`)) return;
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/bridging`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ basis, ceremonyDate, userIds })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const result = await res.json();
+        showFeedback(`${result.bridged.length} scout${result.bridged.length === 1 ? '' : 's'} bridged`);
+        closeBridgingModal();
+        loadTroopData(selectedTroopId);
+    } catch (error) {
+        showFeedback(error.message);
+    }
 }
 
-// Update Profile tab display
-function updateProfileDisplay() {
-    // Update profile photo display
-    if (profile && profile.photoData && profilePhotoDisplay) {
-        profilePhotoDisplay.src = profile.photoData;
-        profilePhotoDisplay.style.display = 'block';
-        if (profilePhotoPlaceholderDisplay) {
-            profilePhotoPlaceholderDisplay.style.display = 'none';
-        }
-    } else if (profilePhotoDisplay) {
-        profilePhotoDisplay.style.display = 'none';
-        if (profilePhotoPlaceholderDisplay) {
-            profilePhotoPlaceholderDisplay.style.display = 'flex';
-        }
+// ---- Bulk badge awards ----
+
+let bulkAwardEvents = [];
+
+const BULK_AWARD_SKIP_REASONS = {
+    already_awarded: 'already has this badge',
+    not_in_troop: 'not an active member of the troop',
+    out_of_scope: 'not one of your scouts'
+};
+
+async function openBulkAwardModal() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first');
+        return;
     }
+    const scouts = (troopMembers || []).filter(m => !m.troopRole || m.troopRole === 'member' || m.troopRole === 'scout');
+    document.getElementById('bulkAwardScouts').innerHTML = scouts.length === 0
+        ? '<p class="empty-state">No scouts yet.</p>'
+        : scouts.map(m => `
+            <label style="display: block;">
+                <input type="checkbox" class="bulk-award-scout" value="${escapeHtml(m.id)}">
+                ${escapeHtml(`${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown')}
+            </label>
+        `).join('');
+    document.getElementById('bulkAwardSelectAll').checked = false;
+    document.getElementById('bulkAwardDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('bulkAwardNotes').value = '';
+    document.getElementById('bulkAwardResult').innerHTML = '';
+    document.getElementById('bulkAwardBadgeSelect').innerHTML = '<option value="">Loading...</option>';
+    document.getElementById('bulkAwardEvent').innerHTML = '<option value="">None</option>';
+    document.getElementById('bulkAwardModal').style.display = 'flex';
 
-    // Update store QR display
-    if (profile && profile.qrCodeUrl && storeQrImageDisplay) {
-        const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(profile.qrCodeUrl)}`;
-        storeQrImageDisplay.src = qrApiUrl;
-        storeQrImageDisplay.style.display = 'block';
-        if (storeQrPlaceholder) {
-            storeQrPlaceholder.style.display = 'none';
-        }
-    } else if (storeQrImageDisplay) {
-        storeQrImageDisplay.style.display = 'none';
-        if (storeQrPlaceholder) {
-            storeQrPlaceholder.style.display = 'block';
+    try {
+        if (catalogBadges.length === 0) {
+            await loadBadgeCatalogForLeader();
         }
+        document.getElementById('bulkAwardBadgeSelect').innerHTML = catalogBadgeOptionsHtml(catalogBadges);
+
+        // Meetings and events from the last 90 days, most recent first
+        const today = new Date().toISOString().split('T')[0];
+        const start = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/events?start=${start}&end=${today}`, { credentials: 'include' });
+        bulkAwardEvents = res.ok ? (await res.json()).reverse() : [];
+        document.getElementById('bulkAwardEvent').innerHTML = '<option value="">None</option>' + bulkAwardEvents.map(e =>
+            `<option value="${escapeHtml(e.id)}">${escapeHtml(new Date(e.eventDate).toISOString().split('T')[0])} &middot; ${escapeHtml(e.eventName)}</option>`
+        ).join('');
+    } catch (error) {
+        console.error('Error loading bulk award options:', error);
+        document.getElementById('bulkAwardBadgeSelect').innerHTML = '<option value="">Error loading badges</option>';
     }
+}
 
-    // Update payment methods display
-    renderPaymentMethodsProfile();
+function closeBulkAwardModal() {
+    document.getElementById('bulkAwardModal').style.display = 'none';
+    bulkAwardEvents = [];
+}
 
-    // Update inventory display
-    updateInventoryDisplay();
+function fillBulkAwardDate() {
+    const event = bulkAwardEvents.find(e => e.id === document.getElementById('bulkAwardEvent').value);
+    if (event) document.getElementById('bulkAwardDate').value = new Date(event.eventDate).toISOString().split('T')[0];
 }
 
-// Update inventory display from profile data
-function updateInventoryDisplay() {
-    if (!profile) return;
-    
-    const inventoryFields = [
-        'ThinMints', 'Samoas', 'Tagalongs', 'Trefoils', 
-        'DosiDos', 'LemonUps', 'Adventurefuls', 'Exploremores', 'Toffeetastic'
-    ];
-    
-    inventoryFields.forEach(field => {
-        const input = document.getElementById(`inventory${field}`);
-        if (input) {
-            const value = profile[`inventory${field}`] || 0;
-            input.value = value;
-        }
-    });
+function toggleBulkAwardScouts(checked) {
+    document.querySelectorAll('.bulk-award-scout').forEach(cb => { cb.checked = checked; });
 }
 
-// Increment inventory
-function incrementInventory(cookieType) {
-    const input = document.getElementById(`inventory${cookieType}`);
-    if (input) {
-        input.value = parseInt(input.value || 0) + 1;
-        saveInventory();
+async function submitBulkAward() {
+    const badgeId = document.getElementById('bulkAwardBadgeSelect').value;
+    const earnedDate = document.getElementById('bulkAwardDate').value;
+    const eventId = document.getElementById('bulkAwardEvent').value || null;
+    const notes = document.getElementById('bulkAwardNotes').value.trim();
+    const userIds = Array.from(document.querySelectorAll('.bulk-award-scout:checked')).map(cb => cb.value);
+
+    if (!badgeId) { showFeedback('Please select a badge'); return; }
+    if (!earnedDate) { showFeedback('Please enter the date earned'); return; }
+    if (userIds.length === 0) { showFeedback('Please select at least one scout'); return; }
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badges/bulk-award`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ badgeId, userIds, earnedDate, eventId, notes: notes || null })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error || 'Failed to award badge'); }
+        const result = await res.json();
+
+        const nameOf = (entry) => {
+            if (entry.scoutName) return entry.scoutName;
+            const member = troopMembers.find(m => m.id === entry.userId);
+            return member ? `${member.firstName || ''} ${member.lastName || ''}`.trim() : 'Unknown';
+        };
+        document.getElementById('bulkAwardResult').innerHTML = `
+            <p><strong>${escapeHtml(result.badge.badgeName)} awarded to ${result.awarded.length} scout${result.awarded.length === 1 ? '' : 's'}.</strong></p>
+            ${result.skipped.length > 0 ? `
+                <p>Skipped:</p>
+                <ul>
+                    ${result.skipped.map(entry => `<li>${escapeHtml(nameOf(entry))}: ${BULK_AWARD_SKIP_REASONS[entry.reason] || entry.reason}${entry.earnedDate ? ` (${escapeHtml(entry.earnedDate)})` : ''}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        toggleBulkAwardScouts(false);
+        document.getElementById('bulkAwardSelectAll').checked = false;
+        showFeedback(`Badge awarded to ${result.awarded.length} scout${result.awarded.length === 1 ? '' : 's'}`);
+    } catch (error) {
+        showFeedback(error.message);
     }
 }
 
-// Decrement inventory
-function decrementInventory(cookieType) {
-    const input = document.getElementById(`inventory${cookieType}`);
-    if (input) {
-        const currentValue = parseInt(input.value || 0);
-        if (currentValue > 0) {
-            input.value = currentValue - 1;
-            saveInventory();
+// ---- Badge recognition ----
+
+// Leaders: how many awarded badges still need to be bought and handed out
+async function loadBadgeRecognitionSummary() {
+    const el = document.getElementById('badgeRecognitionPending');
+    if (!el || !selectedTroopId) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badges/unrecognized`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (data.totalQuantity === 0) {
+            el.innerHTML = '';
+            return;
         }
+        el.innerHTML = `
+            <div class="payment-item">
+                <span>${data.totalQuantity} badge${data.totalQuantity === 1 ? '' : 's'} earned but not handed out</span>
+                <button class="btn btn-sm btn-secondary" onclick="openBadgeRecognitionModal()">Shopping List</button>
+            </div>
+        `;
+    } catch (error) {
+        console.debug('Badge recognition summary skipped:', error.message);
     }
 }
 
-// Save inventory to profile
-async function saveInventory() {
-    try {
-        const inventoryFields = [
-            'ThinMints', 'Samoas', 'Tagalongs', 'Trefoils', 
-            'DosiDos', 'LemonUps', 'Adventurefuls', 'Exploremores', 'Toffeetastic'
-        ];
-        
-        const inventoryData = inventoryFields.reduce((data, field) => {
-            const input = document.getElementById(`inventory${field}`);
-            const value = parseInt(input.value, 10);
-            data[`inventory${field}`] = (isNaN(value) || value < 0) ? 0 : value;
-            return data;
-        }, {});
+async function openBadgeRecognitionModal() {
+    document.getElementById('badgeRecognitionDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('badgeRecognitionModal').style.display = 'flex';
+    await loadBadgeRecognitionList();
+}
 
-        const response = await fetch(`${API_BASE_URL}/profile`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(inventoryData)
-        });
+function closeBadgeRecognitionModal() {
+    document.getElementById('badgeRecognitionModal').style.display = 'none';
+    loadBadgeRecognitionSummary();
+}
 
-        if (!response.ok) {
-            throw new Error('Failed to save inventory');
+async function loadBadgeRecognitionList() {
+    const list = document.getElementById('badgeRecognitionList');
+    list.innerHTML = '<p class="empty-state">Loading...</p>';
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badges/unrecognized`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const data = await res.json();
+        if (data.badges.length === 0) {
+            list.innerHTML = '<p class="empty-state">Every earned badge has been handed out</p>';
+            return;
         }
-
-        profile = await response.json();
+        list.innerHTML = data.badges.map(entry => `
+            <div class="booth-event-card">
+                <div class="booth-event-header">
+                    <label class="booth-event-name">
+                        <input type="checkbox" onchange="toggleBadgeRecognitionGroup('${entry.badgeId}', this.checked)">
+                        ${escapeHtml(entry.badgeName)}${entry.badgeCode ? ` <small>${escapeHtml(entry.badgeCode)}</small>` : ''}
+                    </label>
+                    <span class="booth-status-badge booth-status-scheduled">Buy ${entry.quantity}</span>
+                </div>
+                ${entry.scouts.map(scout => `
+                    <label style="display: block;">
+                        <input type="checkbox" class="badge-recognition-item" data-badge="${entry.badgeId}" value="${scout.scoutBadgeId}">
+                        ${escapeHtml(scout.scoutName)} <small>earned ${escapeHtml(scout.earnedDate)}</small>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Error saving inventory:', error);
-        alert('Failed to save inventory');
+        list.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Render payment methods in Profile tab
-function renderPaymentMethodsProfile() {
-    if (!paymentMethodsDisplay) return;
+function toggleBadgeRecognitionGroup(badgeId, checked) {
+    document.querySelectorAll(`.badge-recognition-item[data-badge="${badgeId}"]`).forEach(cb => { cb.checked = checked; });
+}
 
-    if (paymentMethods.length === 0) {
-        paymentMethodsDisplay.innerHTML = '';
-        if (paymentMethodsPlaceholder) {
-            paymentMethodsPlaceholder.style.display = 'block';
-        }
-        return;
-    }
+function exportBadgeShoppingList(format) {
+    window.location.href = `${API_BASE_URL}/troop/${selectedTroopId}/badges/unrecognized/export?format=${format}`;
+}
 
-    if (paymentMethodsPlaceholder) {
-        paymentMethodsPlaceholder.style.display = 'none';
+async function markBadgesRecognized() {
+    const scoutBadgeIds = Array.from(document.querySelectorAll('.badge-recognition-item:checked')).map(cb => cb.value);
+    const recognizedDate = document.getElementById('badgeRecognitionDate').value;
+    if (scoutBadgeIds.length === 0) { showFeedback('Select the badges that were handed out'); return; }
+    if (!recognizedDate) { showFeedback('Please enter the ceremony date'); return; }
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badges/recognize`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scoutBadgeIds, recognizedDate })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const data = await res.json();
+        showFeedback(`${data.recognized.length} badge${data.recognized.length === 1 ? '' : 's'} marked recognized`);
+        loadBadgeRecognitionList();
+    } catch (error) {
+        showFeedback(error.message);
     }
+}
 
-    paymentMethodsDisplay.innerHTML = paymentMethods.map(method => {
-        const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(method.url)}`;
-        return `
-            <div class="qr-display-container">
-                <h4 class="qr-method-title">${method.name}</h4>
-                <img src="${qrApiUrl}" alt="${method.name} QR Code">
-            </div>
-        `;
-    }).join('');
+// ---- Badge requirement steps ----
+
+let badgeStepProgress = [];
+let badgeProgressUserId = null;
+let badgeProgressItems = [];
+let checkingOffStep = null;
+
+const describeStepProgress = (progress) => `${progress.completedCount} of ${progress.stepCount} steps done`;
+
+// Leaders: scouts who have finished every step of a badge they have not been awarded
+async function loadBadgesReadyToAward() {
+    const el = document.getElementById('badgeReadyToAward');
+    if (!el || !selectedTroopId) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badge-progress/ready`, { credentials: 'include' });
+        if (!res.ok) return;
+        const ready = await res.json();
+        if (ready.length === 0) return;
+        el.innerHTML = `
+            <h4>Ready to Award</h4>
+            ${ready.map(r => `
+                <div class="payment-item">
+                    <span>${escapeHtml(r.scoutName)}: ${escapeHtml(r.badgeName)} <small>(all ${r.stepCount} steps done ${escapeHtml(r.completedDate)})</small></span>
+                    <button class="btn btn-sm btn-primary" onclick="awardReadyBadge('${r.userId}', '${r.badgeId}', '${r.completedDate}')">Award</button>
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.debug('Ready-to-award badges skipped:', error.message);
+    }
 }
 
-// Handle photo upload
-async function handlePhotoUpload(e) {
-    const file = e.target.files[0];
-    if (!file) return;
-    
-    // Check file size
-    if (file.size > MAX_PHOTO_SIZE) {
-        alert(`Photo size must be less than ${MAX_PHOTO_SIZE / (1024 * 1024)}MB`);
-        return;
+async function awardReadyBadge(userId, badgeId, earnedDate) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/scouts/${userId}/badges`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ badgeId, earnedDate, notes: 'All requirement steps completed' })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error || 'Failed to award badge'); }
+        showFeedback('Badge awarded successfully!');
+        renderLeaderBadgeCatalogSection();
+    } catch (error) {
+        showFeedback(error.message);
     }
-    
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-        const photoData = event.target.result;
-        
-        try {
-            const response = await fetch(`${API_BASE_URL}/profile`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ photoData })
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to upload photo');
-            }
-            
-            await loadProfile();
-            showFeedback('Profile photo updated!');
-        } catch (error) {
-            console.error('Error uploading photo:', error);
-            alert('Error uploading photo. Please try again.');
-        }
-    };
-    reader.readAsDataURL(file);
 }
 
-// Handle QR code update
-async function handleUpdateQrCode() {
-    const qrCodeUrl = qrCodeUrlInput.value.trim();
-    
-    if (!qrCodeUrl) {
-        alert('Please enter a QR code URL');
-        return;
+async function openBadgeProgressModal(scoutUserId, scoutName) {
+    badgeProgressUserId = scoutUserId;
+    badgeProgressItems = [];
+    document.getElementById('badgeProgressTitle').textContent = `Badge Steps: ${scoutName}`;
+    document.getElementById('badgeProgressList').innerHTML = '<p class="empty-state">Loading...</p>';
+    document.getElementById('badgeProgressModal').style.display = 'flex';
+    try {
+        const [progressRes, availRes] = await Promise.all([
+            fetch(`${API_BASE_URL}/scouts/${scoutUserId}/badge-progress`, { credentials: 'include' }),
+            fetch(`${API_BASE_URL}/scouts/${scoutUserId}/available-badges`, { credentials: 'include' })
+        ]);
+        if (!progressRes.ok) { const err = await progressRes.json(); throw new Error(err.error); }
+        badgeProgressItems = await progressRes.json();
+        const available = availRes.ok ? await availRes.json() : [];
+        document.getElementById('badgeProgressStartSelect').innerHTML = '<option value="">Select a badge...</option>' +
+            available.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.badgeName)}</option>`).join('');
+        renderBadgeProgressList();
+    } catch (error) {
+        document.getElementById('badgeProgressList').innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
-    
-    // Validate URL format
+}
+
+function closeBadgeProgressModal() {
+    document.getElementById('badgeProgressModal').style.display = 'none';
+    badgeProgressUserId = null;
+    badgeProgressItems = [];
+}
+
+// Add a badge the scout has not started to the list, so its first step can be checked off
+async function startBadgeProgress() {
+    const badgeId = document.getElementById('badgeProgressStartSelect').value;
+    if (!badgeId) return;
+    if (badgeProgressItems.some(p => p.badgeId === badgeId)) return;
     try {
-        const urlObj = new URL(qrCodeUrl);
-        if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
-            alert('Please enter a valid HTTP or HTTPS URL');
+        const res = await fetch(`${API_BASE_URL}/scouts/${badgeProgressUserId}/badge-progress?badgeId=${encodeURIComponent(badgeId)}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const [progress] = await res.json();
+        if (!progress) {
+            showFeedback('This badge has no steps yet. A leader can add them from the badge catalog.');
             return;
         }
+        badgeProgressItems.unshift(progress);
+        renderBadgeProgressList();
     } catch (error) {
-        alert('Please enter a valid URL');
+        showFeedback(error.message);
+    }
+}
+
+function renderBadgeProgressList() {
+    const list = document.getElementById('badgeProgressList');
+    if (badgeProgressItems.length === 0) {
+        list.innerHTML = '<p class="empty-state">No badges started yet</p>';
         return;
     }
-    
+    list.innerHTML = badgeProgressItems.map(p => {
+        const status = p.earnedDate ? ['completed', 'Earned'] : p.isComplete ? ['reconciling', 'Ready to award'] : ['in_progress', describeStepProgress(p)];
+        return `
+            <div class="booth-event-card">
+                <div class="booth-event-header">
+                    <span class="booth-event-name">${escapeHtml(p.badgeName)}</span>
+                    <span class="booth-status-badge booth-status-${status[0]}">${status[1]}</span>
+                </div>
+                ${p.steps.map(step => `
+                    <div class="payment-item">
+                        <span>
+                            ${step.completedDate ? '&#10003;' : '&#9675;'} ${step.stepNumber}. ${escapeHtml(step.title)}
+                            ${step.completedDate ? `<small>${escapeHtml(step.completedDate)}${step.notes ? ` &middot; ${escapeHtml(step.notes)}` : ''}${step.hasPhoto ? ` &middot; <a href="${API_BASE_URL}/scouts/${badgeProgressUserId}/badge-progress/${step.requirementId}/photo" target="_blank" rel="noopener">Photo</a>` : ''}</small>` : ''}
+                        </span>
+                        <span>
+                            <button class="btn btn-sm ${step.completedDate ? 'btn-secondary' : 'btn-primary'}" onclick="openBadgeStepModal('${p.badgeId}', '${step.requirementId}')">${step.completedDate ? 'Edit' : 'Done'}</button>
+                            ${step.completedDate && !p.earnedDate ? `<button class="btn btn-sm btn-secondary" onclick="clearBadgeStep('${p.badgeId}', '${step.requirementId}')">Undo</button>` : ''}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+function openBadgeStepModal(badgeId, requirementId) {
+    const progress = badgeProgressItems.find(p => p.badgeId === badgeId);
+    const step = progress && progress.steps.find(s => s.requirementId === requirementId);
+    if (!step) return;
+    checkingOffStep = { badgeId, requirementId };
+    document.getElementById('badgeStepTitle').textContent = `Step ${step.stepNumber}: ${step.title}`;
+    document.getElementById('badgeStepDate').value = step.completedDate || new Date().toISOString().split('T')[0];
+    document.getElementById('badgeStepNotes').value = step.notes || '';
+    document.getElementById('badgeStepPhoto').value = '';
+    document.getElementById('badgeStepModal').style.display = 'flex';
+}
+
+function closeBadgeStepModal() {
+    document.getElementById('badgeStepModal').style.display = 'none';
+    checkingOffStep = null;
+}
+
+function replaceBadgeProgress(badgeId, progress) {
+    badgeProgressItems = badgeProgressItems.map(p => (p.badgeId === badgeId ? progress : p));
+    renderBadgeProgressList();
+    if (badgeProgressUserId === currentUser.id) loadEarnedBadges();
+}
+
+async function submitBadgeStep() {
+    if (!checkingOffStep) return;
+    const completedDate = document.getElementById('badgeStepDate').value;
+    if (!completedDate) { showFeedback('Please enter the date the step was done'); return; }
+
+    const form = new FormData();
+    form.append('completedDate', completedDate);
+    form.append('notes', document.getElementById('badgeStepNotes').value.trim());
+    const photo = document.getElementById('badgeStepPhoto').files[0];
+    if (photo) form.append('photo', photo);
+
     try {
-        const response = await fetch(`${API_BASE_URL}/profile`, {
+        const res = await fetch(`${API_BASE_URL}/scouts/${badgeProgressUserId}/badge-progress/${checkingOffStep.requirementId}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ qrCodeUrl })
+            credentials: 'include',
+            body: form
         });
-        
-        if (!response.ok) {
-            throw new Error('Failed to update QR code');
-        }
-        
-        await loadProfile();
-        showFeedback('QR code updated!');
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error || 'Failed to save step'); }
+        const data = await res.json();
+        const { badgeId } = checkingOffStep;
+        closeBadgeStepModal();
+        if (data.award) showFeedback('All steps done. Badge awarded!');
+        else if (data.readyForAward) showFeedback('All steps done. A leader has been asked to award the badge.');
+        else showFeedback('Step saved');
+        replaceBadgeProgress(badgeId, data.progress);
     } catch (error) {
-        console.error('Error updating QR code:', error);
-        alert('Error updating QR code. Please try again.');
+        showFeedback(error.message);
     }
 }
 
-// Load payment methods
-async function loadPaymentMethods() {
+async function clearBadgeStep(badgeId, requirementId) {
+    if (!confirm('Un-check this step?')) return;
     try {
-        const response = await fetch(`${API_BASE_URL}/payment-methods`);
-        await handleApiResponse(response);
-        paymentMethods = await response.json();
-        // Update profile display whenever methods change
-        updateProfileDisplay();
+        const res = await fetch(`${API_BASE_URL}/scouts/${badgeProgressUserId}/badge-progress/${requirementId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const data = await res.json();
+        replaceBadgeProgress(badgeId, data.progress);
     } catch (error) {
-        if (error.message === 'Authentication required') return;
-        console.error('Error loading payment methods:', error);
-        paymentMethods = [];
+        showFeedback(error.message);
     }
 }
 
-// Handle add payment method
-async function handleAddPaymentMethod() {
-    const name = newPaymentNameInput.value.trim();
-    const url = newPaymentUrlInput.value.trim();
-    
-    if (!name || !url) {
-        alert('Please enter both a name and a URL');
-        return;
-    }
-    
+// ---- Badge claims ----
+
+let badgeClaimUserId = null;
+
+const BADGE_CLAIM_STATUS_CLASS = { pending: 'scheduled', approved: 'in_progress', rejected: 'reconciling' };
+
+function renderBadgeClaimItem(claim, forLeader) {
+    const evidenceUrl = `${API_BASE_URL}/scouts/${claim.userId}/badge-claims/${claim.id}/evidence`;
+    const reviewed = claim.status === 'approved'
+        ? `Approved by ${escapeHtml(claim.reviewedByName || 'a leader')}`
+        : claim.status === 'rejected'
+            ? `Not approved by ${escapeHtml(claim.reviewedByName || 'a leader')}: ${escapeHtml(claim.rejectionReason)}`
+            : '';
+    return `
+        <div class="booth-event-card">
+            <div class="booth-event-header">
+                <span class="booth-event-name">${forLeader ? `${escapeHtml(claim.scoutName)}: ` : ''}${escapeHtml(claim.badgeName)}</span>
+                <span class="booth-status-badge booth-status-${BADGE_CLAIM_STATUS_CLASS[claim.status]}">${claim.status}</span>
+            </div>
+            <p><small>Earned ${escapeHtml(claim.earnedDate)} &middot; sent by ${escapeHtml(claim.submittedByName || 'unknown')}</small></p>
+            ${claim.notes ? `<p>${escapeHtml(claim.notes)}</p>` : ''}
+            ${claim.hasEvidence ? `<p><a href="${evidenceUrl}" target="_blank" rel="noopener">View photo</a></p>` : ''}
+            ${reviewed ? `<p><small>${reviewed}</small></p>` : ''}
+            ${forLeader && claim.status === 'pending' ? `
+                <button class="btn btn-sm btn-primary" onclick="reviewBadgeClaim('${claim.id}', 'approve')">Approve</button>
+                <button class="btn btn-sm btn-secondary" onclick="reviewBadgeClaim('${claim.id}', 'reject')">Reject</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function openBadgeClaimModal(scoutUserId, scoutName) {
+    badgeClaimUserId = scoutUserId;
+    document.getElementById('badgeClaimTitle').textContent = `Claim a Badge: ${scoutName}`;
+    document.getElementById('badgeClaimDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('badgeClaimNotes').value = '';
+    document.getElementById('badgeClaimEvidence').value = '';
+    document.getElementById('badgeClaimHistory').innerHTML = '<p class="empty-state">Loading...</p>';
+    document.getElementById('badgeClaimModal').style.display = 'flex';
     try {
-        // Validate URL
-        new URL(url);
-    } catch {
-        alert('Please enter a valid URL (starting with http:// or https://)');
-        return;
+        const [availRes, claimsRes] = await Promise.all([
+            fetch(`${API_BASE_URL}/scouts/${scoutUserId}/available-badges`, { credentials: 'include' }),
+            fetch(`${API_BASE_URL}/scouts/${scoutUserId}/badge-claims`, { credentials: 'include' })
+        ]);
+        const available = availRes.ok ? await availRes.json() : [];
+        document.getElementById('badgeClaimSelect').innerHTML = '<option value="">Select a badge...</option>' +
+            available.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.badgeName)}</option>`).join('');
+        const claims = claimsRes.ok ? await claimsRes.json() : [];
+        document.getElementById('badgeClaimHistory').innerHTML = claims.length === 0
+            ? '<p class="empty-state">No claims yet</p>'
+            : claims.map(c => renderBadgeClaimItem(c, false)).join('');
+    } catch (error) {
+        document.getElementById('badgeClaimHistory').innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
-    
+}
+
+function closeBadgeClaimModal() {
+    document.getElementById('badgeClaimModal').style.display = 'none';
+    badgeClaimUserId = null;
+}
+
+async function submitBadgeClaim() {
+    const badgeId = document.getElementById('badgeClaimSelect').value;
+    const earnedDate = document.getElementById('badgeClaimDate').value;
+    const notes = document.getElementById('badgeClaimNotes').value.trim();
+    const evidence = document.getElementById('badgeClaimEvidence').files[0];
+    if (!badgeId || !earnedDate) { showFeedback('Please select a badge and date'); return; }
+    if (!notes && !evidence) { showFeedback('Describe the work or attach a photo'); return; }
+
+    const form = new FormData();
+    form.append('badgeId', badgeId);
+    form.append('earnedDate', earnedDate);
+    form.append('notes', notes);
+    if (evidence) form.append('evidence', evidence);
+
     try {
-        const response = await fetch(`${API_BASE_URL}/payment-methods`, {
+        const res = await fetch(`${API_BASE_URL}/scouts/${badgeClaimUserId}/badge-claims`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name, url })
+            credentials: 'include',
+            body: form
         });
-        
-        if (!response.ok) {
-            throw new Error('Failed to add payment method');
-        }
-        
-        // Clear inputs
-        newPaymentNameInput.value = '';
-        newPaymentUrlInput.value = '';
-        
-        await loadPaymentMethods();
-        renderPaymentMethodsSettings();
-        showFeedback('Payment method added!');
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error || 'Failed to send claim'); }
+        closeBadgeClaimModal();
+        showFeedback('Claim sent. A leader will review it.');
     } catch (error) {
-        console.error('Error adding payment method:', error);
-        alert('Error adding payment method');
+        showFeedback(error.message);
     }
 }
 
-// Handle delete payment method
-async function handleDeletePaymentMethod(id) {
-    if (!confirm('Delete this payment method?')) return;
-    
+// Leaders: count of claims waiting, shown on the badge catalog strip
+async function loadBadgeClaimsPending() {
+    const el = document.getElementById('badgeClaimsPending');
+    if (!el || !selectedTroopId) return;
     try {
-        const response = await fetch(`${API_BASE_URL}/payment-methods/${id}`, {
-            method: 'DELETE'
-        });
-        
-        if (!response.ok) {
-            throw new Error('Failed to delete payment method');
-        }
-        
-        await loadPaymentMethods();
-        renderPaymentMethodsSettings();
-        showFeedback('Payment method deleted');
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badge-claims?status=pending`, { credentials: 'include' });
+        if (!res.ok) return;
+        const pending = await res.json();
+        el.innerHTML = `
+            <div class="payment-item">
+                <span>${pending.length === 0 ? 'No badge claims waiting for review' : `${pending.length} badge claim${pending.length === 1 ? '' : 's'} waiting for review`}</span>
+                <button class="btn btn-sm ${pending.length === 0 ? 'btn-secondary' : 'btn-primary'}" onclick="openBadgeClaimReviewModal()">Review Claims</button>
+            </div>
+        `;
     } catch (error) {
-        console.error('Error deleting payment method:', error);
-        alert('Error deleting payment method');
+        console.debug('Badge claims skipped:', error.message);
     }
 }
 
-// Render payment methods in Settings
-function renderPaymentMethodsSettings() {
-    if (!settingsPaymentMethodsList) return;
-    
-    if (paymentMethods.length === 0) {
-        settingsPaymentMethodsList.innerHTML = '<p class="empty-message">No payment methods added yet.</p>';
-        return;
+function openBadgeClaimReviewModal() {
+    document.getElementById('badgeClaimStatusFilter').value = 'pending';
+    document.getElementById('badgeClaimReviewModal').style.display = 'flex';
+    loadBadgeClaimQueue();
+}
+
+function closeBadgeClaimReviewModal() {
+    document.getElementById('badgeClaimReviewModal').style.display = 'none';
+    loadBadgeClaimsPending();
+}
+
+async function loadBadgeClaimQueue() {
+    const list = document.getElementById('badgeClaimQueue');
+    const status = document.getElementById('badgeClaimStatusFilter').value;
+    list.innerHTML = '<p class="empty-state">Loading...</p>';
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badge-claims${status ? `?status=${status}` : ''}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const claims = await res.json();
+        list.innerHTML = claims.length === 0
+            ? '<p class="empty-state">No claims</p>'
+            : claims.map(c => renderBadgeClaimItem(c, true)).join('');
+    } catch (error) {
+        list.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
-    
-    settingsPaymentMethodsList.innerHTML = paymentMethods.map(method => `
-        <div class="payment-method-item">
-            <div class="payment-method-info">
-                <strong>${method.name}</strong>
-                <div class="payment-method-url">${method.url}</div>
-            </div>
-            <button class="btn-delete-small" onclick="handleDeletePaymentMethod(${method.id})">Remove</button>
-        </div>
-    `).join('');
 }
 
-// Handle set goal
-// Handle add donation
-async function handleAddDonation(e) {
-    e.preventDefault();
-    
-    const amount = parseFloat(donationAmountInput.value);
-    const donorName = donorNameInput.value.trim();
-    
-    if (!amount || amount <= 0) {
-        alert('Please enter a valid donation amount.');
-        return;
+async function reviewBadgeClaim(claimId, decision) {
+    let reason = null;
+    if (decision === 'reject') {
+        reason = prompt('Why is this claim not approved? The reason is sent to the parent.');
+        if (!reason || !reason.trim()) return;
     }
-    
-    const donation = {
-        amount,
-        donorName,
-        date: new Date().toISOString()
-    };
-    
     try {
-        const response = await fetch(`${API_BASE_URL}/donations`, {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/badge-claims/${claimId}/review`, {
             method: 'POST',
+            credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(donation)
+            body: JSON.stringify({ decision, reason })
         });
-        
-        if (!response.ok) {
-            throw new Error('Failed to add donation');
-        }
-        
-        await loadDonations();
-        renderDonations();
-
-        
-        // Reset form
-        donationForm.reset();
-        
-        showFeedback('Donation added successfully!');
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback(decision === 'approve' ? 'Badge awarded' : 'Claim rejected');
+        loadBadgeClaimQueue();
     } catch (error) {
-        console.error('Error adding donation:', error);
-        alert('Error adding donation. Please try again.');
+        showFeedback(error.message);
     }
 }
 
-// Handle delete donation
-async function handleDeleteDonation(id) {
-    if (confirm('Are you sure you want to delete this donation?')) {
-        try {
-            const response = await fetch(`${API_BASE_URL}/donations/${id}`, {
-                method: 'DELETE'
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to delete donation');
-            }
-            
-            await loadDonations();
-            renderDonations();
-    
-            showFeedback('Donation deleted.');
-        } catch (error) {
-            console.error('Error deleting donation:', error);
-            alert('Error deleting donation. Please try again.');
-        }
+// Admins: edit a catalog badge's steps, one per line, from the badge detail modal
+async function loadBadgeStepEditor(badgeId) {
+    const el = document.getElementById('badgeDetailSteps');
+    if (!el) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/badges/${badgeId}/requirements`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        el.innerHTML = `
+            <div class="form-group">
+                <label for="badgeStepsInput"><strong>Steps</strong> (one per line)</label>
+                <textarea id="badgeStepsInput" class="form-control" rows="5">${escapeHtml(data.steps.map(s => s.title).join('\n'))}</textarea>
+            </div>
+            <button class="btn btn-sm btn-primary" onclick="saveBadgeSteps('${badgeId}')">Save Steps</button>
+        `;
+        el.dataset.descriptions = JSON.stringify(data.steps.map(s => s.description));
+    } catch (error) {
+        console.debug('Badge steps skipped:', error.message);
     }
 }
 
-// Handle add/edit event
-async function handleAddEvent(e) {
-    e.preventDefault();
-    
-    const eventName = eventNameInput.value.trim();
-    const eventDate = eventDateInput.value;
-    const description = eventDescriptionInput.value.trim();
-    
-    // New fields
-    const eventType = document.getElementById('eventType').value;
-    const startTime = document.getElementById('eventStartTime').value;
-    const endTime = document.getElementById('eventEndTime').value;
-    const location = document.getElementById('eventLocation').value;
-    const targetGroup = document.getElementById('targetGroup').value;
+async function saveBadgeSteps(badgeId) {
+    const el = document.getElementById('badgeDetailSteps');
+    const descriptions = JSON.parse(el.dataset.descriptions || '[]');
+    const steps = document.getElementById('badgeStepsInput').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((title, index) => ({ title, description: descriptions[index] || null }));
+    try {
+        const res = await fetch(`${API_BASE_URL}/badges/${badgeId}/requirements`, {
+            method: 'PUT',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ steps })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Badge steps saved');
+        loadBadgeStepEditor(badgeId);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
 
-    if (!eventName || !eventDate) {
-        alert('Please enter event name and date.');
+// Render scout level badge with official colors
+function renderScoutLevelBadge(scoutProfile) {
+    const container = document.getElementById('scoutLevelBadgeContainer');
+    const badge = document.getElementById('scoutLevelBadge');
+    const levelName = document.getElementById('scoutLevelName');
+    const orgName = document.getElementById('scoutOrgName');
+
+    if (!container || !badge || !levelName || !orgName || !scoutProfile.levelName) {
         return;
     }
-    
-    const event = {
-        eventName,
-        eventDate, // Send raw date string (YYYY-MM-DD), backend handles parsing
-        description,
-        initialBoxes: 0,
-        initialCases: 0,
-        remainingBoxes: 0,
-        remainingCases: 0,
-        donationsReceived: 0,
-        eventType,
-        startTime,
-        endTime,
-        location,
-        targetGroup,
-        troopId: currentUser ? currentUser.troopId : null
-    };
-    
-    try {
-        let response;
-        if (editingEventId) {
-            // Update existing event
-            response = await fetch(`${API_BASE_URL}/events/${editingEventId}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(event)
-            });
-        } else {
-            // Create new event
-            response = await fetch(`${API_BASE_URL}/events`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(event)
-            });
-        }
-        
-        if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error || (editingEventId ? 'Failed to update event' : 'Failed to add event'));
-        }
-        
-        await loadEvents();
-        renderCalendar(); // Use new render function
 
-        
-        // Reset form and editing state
-        resetEventForm();
-        
-        // Hide form after save
-        toggleAddEventForm();
-        
-        showFeedback(editingEventId ? 'Event updated successfully!' : 'Event saved successfully!');
-    } catch (error) {
-        console.error('Error saving event:', error);
-        alert(`Error saving event: ${error.message}`);
+    // Set level name and organization
+    levelName.textContent = scoutProfile.levelName;
+    orgName.textContent = scoutProfile.orgName || 'Scout';
+
+    // Apply color class based on level code
+    if (scoutProfile.levelCode) {
+        // Remove all level classes
+        badge.className = 'scout-level-badge';
+        // Add the level-specific class
+        badge.classList.add(`${scoutProfile.levelCode}-level`);
     }
+
+    // Show the badge
+    container.style.display = 'flex';
+
+    console.log('Scout level badge rendered:', scoutProfile.levelName, scoutProfile.levelCode);
 }
 
-function resetEventForm() {
-    eventForm.reset();
-    editingEventId = null;
-    const submitBtn = eventForm.querySelector('button[type="submit"]');
-    submitBtn.textContent = 'Save Event';
-    
-    // Remove cancel button if it exists
-    const cancelBtn = document.getElementById('cancelEditEventBtn');
-    if (cancelBtn) {
-        cancelBtn.remove();
+// Update Profile tab display
+function updateProfileDisplay() {
+    // Update profile photo display
+    if (profile && profile.photoData && profilePhotoDisplay) {
+        profilePhotoDisplay.src = profile.photoData;
+        profilePhotoDisplay.style.display = 'block';
+        if (profilePhotoPlaceholderDisplay) {
+            profilePhotoPlaceholderDisplay.style.display = 'none';
+        }
+    } else if (profilePhotoDisplay) {
+        profilePhotoDisplay.style.display = 'none';
+        if (profilePhotoPlaceholderDisplay) {
+            profilePhotoPlaceholderDisplay.style.display = 'flex';
+        }
+    }
+
+    // Update store QR display
+    if (profile && profile.qrCodeUrl && storeQrImageDisplay) {
+        const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(profile.qrCodeUrl)}`;
+        storeQrImageDisplay.src = qrApiUrl;
+        storeQrImageDisplay.style.display = 'block';
+        if (storeQrPlaceholder) {
+            storeQrPlaceholder.style.display = 'none';
+        }
+    } else if (storeQrImageDisplay) {
+        storeQrImageDisplay.style.display = 'none';
+        if (storeQrPlaceholder) {
+            storeQrPlaceholder.style.display = 'block';
+        }
     }
+
+    // Update payment methods display
+    renderPaymentMethodsProfile();
+
+    // Update inventory display
+    updateInventoryDisplay();
 }
 
-function handleEditEvent(id) {
-    const event = events.find(e => e.id == id);
-    if (!event) return;
+// Update inventory display from profile data
+function updateInventoryDisplay() {
+    if (!profile) return;
     
-    editingEventId = id;
+    const inventoryFields = [
+        'ThinMints', 'Samoas', 'Tagalongs', 'Trefoils', 
+        'DosiDos', 'LemonUps', 'Adventurefuls', 'Exploremores', 'Toffeetastic'
+    ];
     
-    // Populate form
-    eventNameInput.value = event.eventName;
-    // Extract YYYY-MM-DD from the date string for the date input
-    eventDateInput.value = event.eventDate ? event.eventDate.split('T')[0] : '';
+    inventoryFields.forEach(field => {
+        const input = document.getElementById(`inventory${field}`);
+        if (input) {
+            const value = profile[`inventory${field}`] || 0;
+            input.value = value;
+        }
+    });
+}
 
-    eventDescriptionInput.value = event.description || '';
-    document.getElementById('eventType').value = event.eventType || 'event';
-    document.getElementById('eventStartTime').value = event.startTime || '';
-    document.getElementById('eventEndTime').value = event.endTime || '';
-    document.getElementById('eventLocation').value = event.location || '';
-    document.getElementById('targetGroup').value = event.targetGroup || 'Troop';
-    
-    // Change submit button text
-    const submitBtn = eventForm.querySelector('button[type="submit"]');
-    submitBtn.textContent = 'Update Event';
-    
-    // Add cancel button if not exists
-    if (!document.getElementById('cancelEditEventBtn')) {
-        const cancelBtn = document.createElement('button');
-        cancelBtn.id = 'cancelEditEventBtn';
-        cancelBtn.type = 'button';
-        cancelBtn.className = 'btn btn-secondary';
-        cancelBtn.style.marginLeft = '10px';
-        cancelBtn.textContent = 'Cancel Edit';
-        cancelBtn.addEventListener('click', resetEventForm);
-        submitBtn.parentNode.insertBefore(cancelBtn, submitBtn.nextSibling);
+// Increment inventory
+function incrementInventory(cookieType) {
+    const input = document.getElementById(`inventory${cookieType}`);
+    if (input) {
+        input.value = parseInt(input.value || 0) + 1;
+        saveInventory();
     }
-    
-    // Scroll to form
-    eventForm.scrollIntoView({ behavior: 'smooth' });
 }
 
-// Handle delete event
-async function handleDeleteEvent(id) {
-    if (confirm('Are you sure you want to delete this event?')) {
-        try {
-            const response = await fetch(`${API_BASE_URL}/events/${id}`, {
-                method: 'DELETE'
-            });
-            
-            if (!response.ok) {
-                throw new Error('Failed to delete event');
-            }
-            
-            await loadEvents();
-            renderCalendar();
-    
-            showFeedback('Event deleted.');
-        } catch (error) {
-            console.error('Error deleting event:', error);
-            alert('Error deleting event. Please try again.');
+// Decrement inventory
+function decrementInventory(cookieType) {
+    const input = document.getElementById(`inventory${cookieType}`);
+    if (input) {
+        const currentValue = parseInt(input.value || 0);
+        if (currentValue > 0) {
+            input.value = currentValue - 1;
+            saveInventory();
         }
     }
 }
 
-// Render Calendar
-function renderCalendar() {
-    const calendarGrid = document.getElementById('calendarGrid');
-    const monthYearLabel = document.getElementById('calendarMonthYear');
-    
-    if (!calendarGrid || !monthYearLabel) return;
-
-    calendarGrid.innerHTML = '';
-    
-    const year = currentCalendarDate.getFullYear();
-    const month = currentCalendarDate.getMonth();
-    
-    monthYearLabel.textContent = currentCalendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-    
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const startDayIndex = firstDay.getDay();
-    const prevMonthLastDay = new Date(year, month, 0).getDate();
-    
-    // Prev Month
-    for (let i = startDayIndex - 1; i >= 0; i--) {
-        const dayDiv = document.createElement('div');
-        dayDiv.className = 'calendar-day other-month';
-        dayDiv.innerHTML = `<div class="calendar-date-num">${prevMonthLastDay - i}</div>`;
-        calendarGrid.appendChild(dayDiv);
-    }
-    
-    const today = new Date();
-    // Get active filters
-    const activeFiltersEl = document.querySelectorAll('.event-filter:checked');
-    // If no filters found (maybe on different tab), assume all?
-    const activeFilters = activeFiltersEl.length > 0 ? Array.from(activeFiltersEl).map(cb => cb.value) : ['Troop', 'Pack', 'Lion', 'Tiger', 'Wolf', 'Bear', 'Webelos', 'AOL', 'Daisy', 'Brownie', 'Junior', 'Cadette', 'Senior', 'Ambassador', 'GS'];
-
-    // Current Month
-    for (let i = 1; i <= lastDay.getDate(); i++) {
-        const dayDiv = document.createElement('div');
-        dayDiv.className = 'calendar-day';
-        
-        if (year === today.getFullYear() && month === today.getMonth() && i === today.getDate()) {
-            dayDiv.classList.add('today');
-        }
-        
-        dayDiv.innerHTML = `<div class="calendar-date-num">${i}</div>`;
-        
-        const dayEvents = events.filter(e => {
-            if (!e.eventDate) return false;
-            // Parse date string directly to avoid timezone shifts
-            const [eYear, eMonth, eDay] = e.eventDate.split('T')[0].split('-').map(Number);
-            return eDay === i && (eMonth - 1) === month && eYear === year;
-        });
+// Save inventory to profile
+async function saveInventory() {
+    try {
+        const inventoryFields = [
+            'ThinMints', 'Samoas', 'Tagalongs', 'Trefoils', 
+            'DosiDos', 'LemonUps', 'Adventurefuls', 'Exploremores', 'Toffeetastic'
+        ];
         
-        dayEvents.forEach(event => {
-            const group = event.targetGroup || 'Troop';
-            if (activeFilters.length > 0 && !activeFilters.includes(group)) {
-                return;
-            }
+        const inventoryData = inventoryFields.reduce((data, field) => {
+            const input = document.getElementById(`inventory${field}`);
+            const value = parseInt(input.value, 10);
+            data[`inventory${field}`] = (isNaN(value) || value < 0) ? 0 : value;
+            return data;
+        }, {});
 
-            const eventPill = document.createElement('div');
-            eventPill.className = `calendar-event event-${group}`;
-            
-            let timeStr = '';
-            if (event.startTime) {
-                timeStr = event.startTime;
-            }
-            
-            eventPill.textContent = (timeStr ? timeStr + ' ' : '') + event.eventName;
-            eventPill.title = `${event.eventName}\n${event.startTime || ''} - ${event.endTime || ''}\n${event.location || ''}\n${event.description || ''}`;
-            
-            eventPill.onclick = (e) => {
-                e.stopPropagation();
-                alert(`${event.eventName}\nTime: ${event.startTime || 'N/A'}\nLocation: ${event.location || 'N/A'}\nGroup: ${group}\n\n${event.description || ''}`);
-            };
-            
-            dayDiv.appendChild(eventPill);
+        const response = await fetch(`${API_BASE_URL}/profile`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(inventoryData)
         });
-        
-        calendarGrid.appendChild(dayDiv);
-    }
-    
-    // Next Month
-    const totalCells = startDayIndex + lastDay.getDate();
-    const rows = Math.ceil(totalCells / 7);
-    const nextMonthPadding = (rows * 7) - totalCells;
-    
-    for (let i = 1; i <= nextMonthPadding; i++) {
-        const dayDiv = document.createElement('div');
-        dayDiv.className = 'calendar-day other-month';
-        dayDiv.innerHTML = `<div class="calendar-date-num">${i}</div>`;
-        calendarGrid.appendChild(dayDiv);
-    }
-}
 
-// Calendar Helpers
-function changeMonth(offset) {
-    currentCalendarDate.setMonth(currentCalendarDate.getMonth() + offset);
-    renderCalendar();
-}
+        if (!response.ok) {
+            throw new Error('Failed to save inventory');
+        }
 
-function goToToday() {
-    currentCalendarDate = new Date();
-    renderCalendar();
+        profile = await response.json();
+    } catch (error) {
+        console.error('Error saving inventory:', error);
+        alert('Failed to save inventory');
+    }
 }
 
-function toggleAddEventForm() {
-    const form = document.getElementById('addEventSection');
-    if (form) form.classList.toggle('hidden');
-}
+// Render payment methods in Profile tab
+function renderPaymentMethodsProfile() {
+    if (!paymentMethodsDisplay) return;
 
-async function exportCalendar() {
-    if (!currentUser || !currentUser.troopId) {
-        alert('No troop selected or not a member of a troop.');
+    if (paymentMethods.length === 0) {
+        paymentMethodsDisplay.innerHTML = '';
+        if (paymentMethodsPlaceholder) {
+            paymentMethodsPlaceholder.style.display = 'block';
+        }
         return;
     }
-    window.location.href = `${API_BASE_URL}/troop/${currentUser.troopId}/calendar/export`;
-}
 
-// Render donations list
-function renderDonations() {
-    if (!donationsList) return;
-    if (donations.length === 0) {
-        donationsList.innerHTML = '<p class="empty-message">No donations recorded yet.</p>';
-        return;
+    if (paymentMethodsPlaceholder) {
+        paymentMethodsPlaceholder.style.display = 'none';
     }
-    
-    donationsList.innerHTML = donations.map(donation => {
-        const date = new Date(donation.date);
-        const formattedDate = date.toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-        
+
+    paymentMethodsDisplay.innerHTML = paymentMethods.map(method => {
+        const qrApiUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(method.url)}`;
         return `
-            <div class="donation-item">
-                <div class="donation-info">
-                    <div class="donation-amount">$${parseFloat(donation.amount || 0).toFixed(2)}</div>
-                    <div class="donation-details">
-                        ${donation.donorName} • ${formattedDate}
-                    </div>
-                </div>
-                <div class="donation-actions">
-                    <button class="btn-delete" onclick="handleDeleteDonation(${donation.id})">Delete</button>
-                </div>
+            <div class="qr-display-container">
+                <h4 class="qr-method-title">${method.name}</h4>
+                <img src="${qrApiUrl}" alt="${method.name} QR Code">
             </div>
         `;
     }).join('');
 }
 
-// Show feedback message (simple toast-like notification)
-function showFeedback(message) {
-    // Create a simple temporary feedback element
-    const feedback = document.createElement('div');
-    feedback.textContent = message;
-    feedback.style.cssText = `
-        position: fixed;
-        top: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background-color: var(--primary-color);
-        color: white;
-        padding: 12px 24px;
-        border-radius: 12px;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
-        z-index: 1000;
-        animation: slideDown 0.3s ease-out;
-        font-weight: 500;
-    `;
+// Handle photo upload
+async function handlePhotoUpload(e) {
+    const file = e.target.files[0];
+    if (!file) return;
     
-    document.body.appendChild(feedback);
+    // Check file size
+    if (file.size > MAX_PHOTO_SIZE) {
+        alert(`Photo size must be less than ${MAX_PHOTO_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
     
-    // Remove after 2 seconds
-    setTimeout(() => {
-        feedback.style.animation = 'slideUp 0.3s ease-out';
-        setTimeout(() => {
-            if (document.body.contains(feedback)) {
-                feedback.remove();
+    const reader = new FileReader();
+    reader.onload = async (event) => {
+        const photoData = event.target.result;
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/profile`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ photoData })
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to upload photo');
             }
-        }, 300);
-    }, 2000);
+            
+            await loadProfile();
+            showFeedback('Profile photo updated!');
+        } catch (error) {
+            console.error('Error uploading photo:', error);
+            alert('Error uploading photo. Please try again.');
+        }
+    };
+    reader.readAsDataURL(file);
 }
 
-// Add animation styles
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideDown {
-        from {
-            transform: translateX(-50%) translateY(-100%);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(-50%) translateY(0);
-            opacity: 1;
-        }
+// Handle QR code update
+async function handleUpdateQrCode() {
+    const qrCodeUrl = qrCodeUrlInput.value.trim();
+    
+    if (!qrCodeUrl) {
+        alert('Please enter a QR code URL');
+        return;
     }
     
-    @keyframes slideUp {
-        from {
-            transform: translateX(-50%) translateY(0);
-            opacity: 1;
-        }
+    // Validate URL format
+    try {
+        const urlObj = new URL(qrCodeUrl);
+        if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
+            alert('Please enter a valid HTTP or HTTPS URL');
+            return;
+        }
+    } catch (error) {
+        alert('Please enter a valid URL');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/profile`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ qrCodeUrl })
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to update QR code');
+        }
+        
+        await loadProfile();
+        showFeedback('QR code updated!');
+    } catch (error) {
+        console.error('Error updating QR code:', error);
+        alert('Error updating QR code. Please try again.');
+    }
+}
+
+// Load payment methods
+async function loadPaymentMethods() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/payment-methods`);
+        await handleApiResponse(response);
+        paymentMethods = await response.json();
+        // Update profile display whenever methods change
+        updateProfileDisplay();
+    } catch (error) {
+        if (error.message === 'Authentication required') return;
+        console.error('Error loading payment methods:', error);
+        paymentMethods = [];
+    }
+}
+
+// Handle add payment method
+async function handleAddPaymentMethod() {
+    const name = newPaymentNameInput.value.trim();
+    const url = newPaymentUrlInput.value.trim();
+    
+    if (!name || !url) {
+        alert('Please enter both a name and a URL');
+        return;
+    }
+    
+    try {
+        // Validate URL
+        new URL(url);
+    } catch {
+        alert('Please enter a valid URL (starting with http:// or https://)');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/payment-methods`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, url })
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to add payment method');
+        }
+        
+        // Clear inputs
+        newPaymentNameInput.value = '';
+        newPaymentUrlInput.value = '';
+        
+        await loadPaymentMethods();
+        renderPaymentMethodsSettings();
+        showFeedback('Payment method added!');
+    } catch (error) {
+        console.error('Error adding payment method:', error);
+        alert('Error adding payment method');
+    }
+}
+
+// Handle delete payment method
+async function handleDeletePaymentMethod(id) {
+    if (!confirm('Delete this payment method?')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/payment-methods/${id}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to delete payment method');
+        }
+        
+        await loadPaymentMethods();
+        renderPaymentMethodsSettings();
+        showFeedback('Payment method deleted');
+    } catch (error) {
+        console.error('Error deleting payment method:', error);
+        alert('Error deleting payment method');
+    }
+}
+
+// Render payment methods in Settings
+function renderPaymentMethodsSettings() {
+    if (!settingsPaymentMethodsList) return;
+    
+    if (paymentMethods.length === 0) {
+        settingsPaymentMethodsList.innerHTML = '<p class="empty-message">No payment methods added yet.</p>';
+        return;
+    }
+    
+    settingsPaymentMethodsList.innerHTML = paymentMethods.map(method => `
+        <div class="payment-method-item">
+            <div class="payment-method-info">
+                <strong>${method.name}</strong>
+                <div class="payment-method-url">${method.url}</div>
+            </div>
+            <button class="btn-delete-small" onclick="handleDeletePaymentMethod(${method.id})">Remove</button>
+        </div>
+    `).join('');
+}
+
+// Handle set goal
+// Handle add donation
+async function handleAddDonation(e) {
+    e.preventDefault();
+    
+    const amount = parseFloat(donationAmountInput.value);
+    const donorName = donorNameInput.value.trim();
+    
+    if (!amount || amount <= 0) {
+        alert('Please enter a valid donation amount.');
+        return;
+    }
+    
+    const donation = {
+        amount,
+        donorName,
+        date: new Date().toISOString()
+    };
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/donations`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(donation)
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to add donation');
+        }
+        
+        await loadDonations();
+        renderDonations();
+
+        
+        // Reset form
+        donationForm.reset();
+        
+        showFeedback('Donation added successfully!');
+    } catch (error) {
+        console.error('Error adding donation:', error);
+        alert('Error adding donation. Please try again.');
+    }
+}
+
+// Handle delete donation
+async function handleDeleteDonation(id) {
+    if (confirm('Are you sure you want to delete this donation?')) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/donations/${id}`, {
+                method: 'DELETE'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to delete donation');
+            }
+            
+            await loadDonations();
+            renderDonations();
+    
+            showFeedback('Donation deleted.');
+        } catch (error) {
+            console.error('Error deleting donation:', error);
+            alert('Error deleting donation. Please try again.');
+        }
+    }
+}
+
+// Handle add/edit event
+async function handleAddEvent(e) {
+    e.preventDefault();
+    
+    const eventName = eventNameInput.value.trim();
+    const eventDate = eventDateInput.value;
+    const description = eventDescriptionInput.value.trim();
+    
+    // New fields
+    const eventType = document.getElementById('eventType').value;
+    const startTime = document.getElementById('eventStartTime').value;
+    const endTime = document.getElementById('eventEndTime').value;
+    const location = document.getElementById('eventLocation').value;
+    const targetGroup = document.getElementById('targetGroup').value;
+
+    if (!eventName || !eventDate) {
+        alert('Please enter event name and date.');
+        return;
+    }
+    
+    const event = {
+        eventName,
+        eventDate, // Send raw date string (YYYY-MM-DD), backend handles parsing
+        description,
+        initialBoxes: 0,
+        initialCases: 0,
+        remainingBoxes: 0,
+        remainingCases: 0,
+        donationsReceived: 0,
+        eventType,
+        startTime,
+        endTime,
+        location,
+        targetGroup,
+        troopId: currentUser ? currentUser.troopId : null
+    };
+    
+    try {
+        let response;
+        if (editingEventId) {
+            // Update existing event
+            response = await fetch(`${API_BASE_URL}/events/${editingEventId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event)
+            });
+        } else {
+            // Create new event
+            response = await fetch(`${API_BASE_URL}/events`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(event)
+            });
+        }
+        
+        if (!response.ok) {
+            const err = await response.json();
+            throw new Error(err.error || (editingEventId ? 'Failed to update event' : 'Failed to add event'));
+        }
+        
+        await loadEvents();
+        renderCalendar(); // Use new render function
+
+        
+        // Reset form and editing state
+        resetEventForm();
+        
+        // Hide form after save
+        toggleAddEventForm();
+        
+        showFeedback(editingEventId ? 'Event updated successfully!' : 'Event saved successfully!');
+    } catch (error) {
+        console.error('Error saving event:', error);
+        alert(`Error saving event: ${error.message}`);
+    }
+}
+
+function resetEventForm() {
+    eventForm.reset();
+    editingEventId = null;
+    const submitBtn = eventForm.querySelector('button[type="submit"]');
+    submitBtn.textContent = 'Save Event';
+    
+    // Remove cancel button if it exists
+    const cancelBtn = document.getElementById('cancelEditEventBtn');
+    if (cancelBtn) {
+        cancelBtn.remove();
+    }
+}
+
+function handleEditEvent(id) {
+    const event = events.find(e => e.id == id);
+    if (!event) return;
+    
+    editingEventId = id;
+    
+    // Populate form
+    eventNameInput.value = event.eventName;
+    // Extract YYYY-MM-DD from the date string for the date input
+    eventDateInput.value = event.eventDate ? event.eventDate.split('T')[0] : '';
+
+    eventDescriptionInput.value = event.description || '';
+    document.getElementById('eventType').value = event.eventType || 'event';
+    document.getElementById('eventStartTime').value = event.startTime || '';
+    document.getElementById('eventEndTime').value = event.endTime || '';
+    document.getElementById('eventLocation').value = event.location || '';
+    document.getElementById('targetGroup').value = event.targetGroup || 'Troop';
+    
+    // Change submit button text
+    const submitBtn = eventForm.querySelector('button[type="submit"]');
+    submitBtn.textContent = 'Update Event';
+    
+    // Add cancel button if not exists
+    if (!document.getElementById('cancelEditEventBtn')) {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.id = 'cancelEditEventBtn';
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.style.marginLeft = '10px';
+        cancelBtn.textContent = 'Cancel Edit';
+        cancelBtn.addEventListener('click', resetEventForm);
+        submitBtn.parentNode.insertBefore(cancelBtn, submitBtn.nextSibling);
+    }
+    
+    // Scroll to form
+    eventForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Handle delete event
+async function handleDeleteEvent(id) {
+    if (confirm('Are you sure you want to delete this event?')) {
+        try {
+            const response = await fetch(`${API_BASE_URL}/events/${id}`, {
+                method: 'DELETE'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to delete event');
+            }
+            
+            await loadEvents();
+            renderCalendar();
+    
+            showFeedback('Event deleted.');
+        } catch (error) {
+            console.error('Error deleting event:', error);
+            alert('Error deleting event. Please try again.');
+        }
+    }
+}
+
+// Render Calendar
+function renderCalendar() {
+    const calendarGrid = document.getElementById('calendarGrid');
+    const monthYearLabel = document.getElementById('calendarMonthYear');
+    
+    if (!calendarGrid || !monthYearLabel) return;
+
+    calendarGrid.innerHTML = '';
+    
+    const year = currentCalendarDate.getFullYear();
+    const month = currentCalendarDate.getMonth();
+    
+    monthYearLabel.textContent = currentCalendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const startDayIndex = firstDay.getDay();
+    const prevMonthLastDay = new Date(year, month, 0).getDate();
+    
+    // Prev Month
+    for (let i = startDayIndex - 1; i >= 0; i--) {
+        const dayDiv = document.createElement('div');
+        dayDiv.className = 'calendar-day other-month';
+        dayDiv.innerHTML = `<div class="calendar-date-num">${prevMonthLastDay - i}</div>`;
+        calendarGrid.appendChild(dayDiv);
+    }
+    
+    const today = new Date();
+    // Get active filters
+    const activeFiltersEl = document.querySelectorAll('.event-filter:checked');
+    // If no filters found (maybe on different tab), assume all?
+    const activeFilters = activeFiltersEl.length > 0 ? Array.from(activeFiltersEl).map(cb => cb.value) : ['Troop', 'Pack', 'Lion', 'Tiger', 'Wolf', 'Bear', 'Webelos', 'AOL', 'Daisy', 'Brownie', 'Junior', 'Cadette', 'Senior', 'Ambassador', 'GS'];
+
+    // Current Month
+    for (let i = 1; i <= lastDay.getDate(); i++) {
+        const dayDiv = document.createElement('div');
+        dayDiv.className = 'calendar-day';
+        
+        if (year === today.getFullYear() && month === today.getMonth() && i === today.getDate()) {
+            dayDiv.classList.add('today');
+        }
+        
+        dayDiv.innerHTML = `<div class="calendar-date-num">${i}</div>`;
+        
+        const dayEvents = events.filter(e => {
+            if (!e.eventDate) return false;
+            // Parse date string directly to avoid timezone shifts
+            const [eYear, eMonth, eDay] = e.eventDate.split('T')[0].split('-').map(Number);
+            return eDay === i && (eMonth - 1) === month && eYear === year;
+        });
+        
+        dayEvents.forEach(event => {
+            const group = event.targetGroup || 'Troop';
+            if (activeFilters.length > 0 && !activeFilters.includes(group)) {
+                return;
+            }
+
+            const eventPill = document.createElement('div');
+            eventPill.className = `calendar-event event-${group}`;
+            
+            let timeStr = '';
+            if (event.startTime) {
+                timeStr = event.startTime;
+            }
+            
+            eventPill.textContent = (timeStr ? timeStr + ' ' : '') + event.eventName;
+            eventPill.title = `${event.eventName}\n${event.startTime || ''} - ${event.endTime || ''}\n${event.location || ''}\n${event.description || ''}`;
+            
+            eventPill.onclick = (e) => {
+                e.stopPropagation();
+                alert(`${event.eventName}\nTime: ${event.startTime || 'N/A'}\nLocation: ${event.location || 'N/A'}\nGroup: ${group}\n\n${event.description || ''}`);
+            };
+            
+            dayDiv.appendChild(eventPill);
+        });
+        
+        calendarGrid.appendChild(dayDiv);
+    }
+    
+    // Next Month
+    const totalCells = startDayIndex + lastDay.getDate();
+    const rows = Math.ceil(totalCells / 7);
+    const nextMonthPadding = (rows * 7) - totalCells;
+    
+    for (let i = 1; i <= nextMonthPadding; i++) {
+        const dayDiv = document.createElement('div');
+        dayDiv.className = 'calendar-day other-month';
+        dayDiv.innerHTML = `<div class="calendar-date-num">${i}</div>`;
+        calendarGrid.appendChild(dayDiv);
+    }
+}
+
+// Calendar Helpers
+function changeMonth(offset) {
+    currentCalendarDate.setMonth(currentCalendarDate.getMonth() + offset);
+    renderCalendar();
+}
+
+function goToToday() {
+    currentCalendarDate = new Date();
+    renderCalendar();
+}
+
+function toggleAddEventForm() {
+    const form = document.getElementById('addEventSection');
+    if (form) form.classList.toggle('hidden');
+}
+
+async function exportCalendar() {
+    if (!currentUser || !currentUser.troopId) {
+        alert('No troop selected or not a member of a troop.');
+        return;
+    }
+    window.location.href = `${API_BASE_URL}/troop/${currentUser.troopId}/calendar/export`;
+}
+
+// Render donations list
+function renderDonations() {
+    if (!donationsList) return;
+    if (donations.length === 0) {
+        donationsList.innerHTML = '<p class="empty-message">No donations recorded yet.</p>';
+        return;
+    }
+    
+    donationsList.innerHTML = donations.map(donation => {
+        const date = new Date(donation.date);
+        const formattedDate = date.toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        return `
+            <div class="donation-item">
+                <div class="donation-info">
+                    <div class="donation-amount">$${parseFloat(donation.amount || 0).toFixed(2)}</div>
+                    <div class="donation-details">
+                        ${donation.donorName} • ${formattedDate}
+                    </div>
+                </div>
+                <div class="donation-actions">
+                    <button class="btn-delete" onclick="handleDeleteDonation(${donation.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Show feedback message (simple toast-like notification)
+function showFeedback(message) {
+    // Create a simple temporary feedback element
+    const feedback = document.createElement('div');
+    feedback.textContent = message;
+    feedback.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background-color: var(--primary-color);
+        color: white;
+        padding: 12px 24px;
+        border-radius: 12px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        z-index: 1000;
+        animation: slideDown 0.3s ease-out;
+        font-weight: 500;
+    `;
+    
+    document.body.appendChild(feedback);
+    
+    // Remove after 2 seconds
+    setTimeout(() => {
+        feedback.style.animation = 'slideUp 0.3s ease-out';
+        setTimeout(() => {
+            if (document.body.contains(feedback)) {
+                feedback.remove();
+            }
+        }, 300);
+    }, 2000);
+}
+
+// Add animation styles
+const style = document.createElement('style');
+style.textContent = `
+    @keyframes slideDown {
+        from {
+            transform: translateX(-50%) translateY(-100%);
+            opacity: 0;
+        }
+        to {
+            transform: translateX(-50%) translateY(0);
+            opacity: 1;
+        }
+    }
+    
+    @keyframes slideUp {
+        from {
+            transform: translateX(-50%) translateY(0);
+            opacity: 1;
+        }
         to {
             transform: translateX(-50%) translateY(-100%);
             opacity: 0;
         }
     }
-`;
-document.head.appendChild(style);
+`;
+document.head.appendChild(style);
+
+// Switch View (Global)
+function switchView(viewId) {
+    const views = document.querySelectorAll('.view-section');
+    const tabButtons = document.querySelectorAll('.tab-btn');
+
+    // Hide all views
+    views.forEach(view => view.classList.add('hidden'));
+
+    // Show selected view
+    const selectedView = document.getElementById('view-' + viewId);
+    if (selectedView) {
+        selectedView.classList.remove('hidden');
+    }
+
+    // Update tab buttons
+    tabButtons.forEach(btn => {
+        if (btn.dataset.view === viewId) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+
+    // Save preference
+    localStorage.setItem('lastView', viewId);
+
+    // Load cookie dashboard data when switching to cookies view
+    if (viewId === 'cookies') {
+        loadCookieDashboard();
+    }
+
+    if (viewId === 'settings') {
+        loadTwoFactorStatus();
+        loadApiTokens();
+    }
+}
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+async function loadTwoFactorStatus() {
+    const statusEl = document.getElementById('twoFactorStatus');
+    const actionsEl = document.getElementById('twoFactorActions');
+    if (!statusEl || !actionsEl) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/2fa`);
+        await handleApiResponse(response);
+        const status = await response.json();
+
+        if (status.enabled) {
+            statusEl.textContent = `On since ${new Date(status.enabledAt).toLocaleDateString()}. ${status.recoveryCodesRemaining} recovery code(s) left.`;
+            actionsEl.innerHTML = `
+                <button type="button" class="btn btn-secondary" onclick="regenerateRecoveryCodes()">New Recovery Codes</button>
+                ${status.required ? '' : '<button type="button" class="btn btn-danger" onclick="disableTwoFactor()">Turn Off</button>'}
+            `;
+        } else {
+            statusEl.textContent = status.required
+                ? 'Off. Your role requires two-factor authentication.'
+                : 'Off.';
+            actionsEl.innerHTML = '<button type="button" class="btn btn-primary" onclick="startTwoFactorSetup()">Set Up</button>';
+        }
+    } catch (error) {
+        statusEl.textContent = 'Unable to load two-factor status.';
+    }
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/2fa/setup`, { method: 'POST' });
+        await handleApiResponse(response);
+        const data = await response.json();
+
+        document.getElementById('twoFactorQr').src = data.qrCode;
+        document.getElementById('twoFactorSecret').textContent = data.secret;
+        document.getElementById('twoFactorSetup').style.display = 'block';
+        document.getElementById('twoFactorActions').innerHTML = '';
+        document.getElementById('twoFactorEnableCode').focus();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function enableTwoFactor() {
+    const code = document.getElementById('twoFactorEnableCode').value.trim();
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/2fa/enable`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        await handleApiResponse(response);
+        const data = await response.json();
+
+        document.getElementById('twoFactorSetup').style.display = 'none';
+        showRecoveryCodes(data.recoveryCodes);
+        showFeedback('Two-factor authentication is on');
+
+        if (currentUser && currentUser.twoFactorEnrollmentRequired) {
+            currentUser.twoFactorEnrollmentRequired = false;
+            const banner = document.getElementById('twoFactorBanner');
+            if (banner) banner.style.display = 'none';
+        }
+        loadTwoFactorStatus();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const code = prompt('Enter the current code from your authenticator app:');
+    if (!code) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/2fa/recovery-codes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        await handleApiResponse(response);
+        const data = await response.json();
+        showRecoveryCodes(data.recoveryCodes);
+        loadTwoFactorStatus();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function disableTwoFactor() {
+    const password = prompt('Enter your password to turn off two-factor authentication:');
+    if (password === null) return;
+    const code = prompt('Enter the current code from your authenticator app:');
+    if (!code) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/2fa/disable`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password, code })
+        });
+        await handleApiResponse(response);
+        document.getElementById('twoFactorRecoveryCodes').style.display = 'none';
+        showFeedback('Two-factor authentication is off');
+        loadTwoFactorStatus();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('twoFactorRecoveryList').textContent = codes.join('\n');
+    document.getElementById('twoFactorRecoveryCodes').style.display = 'block';
+}
+
+// ============================================================================
+// PERSONAL ACCESS TOKENS
+// ============================================================================
+
+async function loadApiTokens() {
+    const listEl = document.getElementById('apiTokenList');
+    const troopSelect = document.getElementById('apiTokenTroop');
+    if (!listEl || !troopSelect) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/tokens`);
+        await handleApiResponse(response);
+        const { tokens, troops } = await response.json();
+
+        if (tokens.length === 0) {
+            listEl.innerHTML = '<p class="empty-message">No tokens yet.</p>';
+        } else {
+            listEl.innerHTML = tokens.map(t => {
+                const expired = new Date(t.expiresAt) < new Date();
+                const status = t.revokedAt ? 'Revoked' : (expired ? 'Expired' : `Expires ${new Date(t.expiresAt).toLocaleDateString()}`);
+                const lastUsed = t.lastUsedAt ? `last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'never used';
+                return `
+                    <div class="payment-method-item">
+                        <div>
+                            <strong>${escapeHtml(t.name)}</strong> <code>${escapeHtml(t.tokenPrefix)}…</code><br>
+                            <small>Troop ${escapeHtml(t.troopNumber)} · ${escapeHtml(t.scopes.join(', '))}</small><br>
+                            <small>${status} · ${lastUsed}</small>
+                        </div>
+                        ${t.revokedAt || expired ? '' : `<button type="button" class="btn btn-danger" onclick="revokeApiToken('${t.id}')">Revoke</button>`}
+                    </div>
+                `;
+            }).join('');
+        }
+
+        const previous = troopSelect.value;
+        troopSelect.innerHTML = troops.map(t =>
+            `<option value="${t.id}">Troop ${escapeHtml(t.troopNumber)}</option>`
+        ).join('');
+        if (troops.some(t => t.id === previous)) {
+            troopSelect.value = previous;
+        } else if (selectedTroopId && troops.some(t => t.id === selectedTroopId)) {
+            troopSelect.value = selectedTroopId;
+        }
+        loadApiTokenPrivileges();
+    } catch (error) {
+        listEl.innerHTML = '<p class="empty-message">Unable to load tokens.</p>';
+    }
+}
+
+async function loadApiTokenPrivileges() {
+    const container = document.getElementById('apiTokenPrivileges');
+    const troopId = document.getElementById('apiTokenTroop').value;
+    if (!troopId) {
+        container.innerHTML = 'Join a troop to create a token.';
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/tokens/privileges?troopId=${encodeURIComponent(troopId)}`);
+        await handleApiResponse(response);
+        const privileges = await response.json();
+        container.innerHTML = privileges.map(p => `
+            <label style="display: block;">
+                <input type="checkbox" class="api-token-scope" value="${p.code}"> ${escapeHtml(p.name)}
+            </label>
+        `).join('');
+    } catch (error) {
+        container.textContent = error.message;
+    }
+}
+
+async function createApiToken() {
+    const scopes = Array.from(document.querySelectorAll('.api-token-scope:checked')).map(cb => cb.value);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/tokens`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: document.getElementById('apiTokenName').value,
+                troopId: document.getElementById('apiTokenTroop').value,
+                expiresInDays: parseInt(document.getElementById('apiTokenExpiry').value),
+                scopes
+            })
+        });
+        await handleApiResponse(response);
+        const data = await response.json();
+
+        document.getElementById('apiTokenValue').textContent = data.token;
+        document.getElementById('apiTokenCreated').style.display = 'block';
+        document.getElementById('apiTokenName').value = '';
+        showFeedback('Token created');
+        loadApiTokens();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function revokeApiToken(tokenId) {
+    if (!confirm('Revoke this token? Anything using it will stop working.')) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/tokens/${tokenId}`, { method: 'DELETE' });
+        await handleApiResponse(response);
+        showFeedback('Token revoked');
+        loadApiTokens();
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+// Navigation Logic
+function setupNavigation() {
+    const tabButtons = document.querySelectorAll('.tab-btn');
+
+    // Add event listeners — skip buttons that have no data-view (e.g. logout)
+    tabButtons.forEach(btn => {
+        if (!btn.dataset.view) return;
+        btn.addEventListener('click', () => {
+            switchView(btn.dataset.view);
+            // Close mobile menu after selection
+            closeMobileMenu();
+        });
+    });
+
+    // Load last view or default to profile (fallback removed views)
+    let lastView = localStorage.getItem('lastView') || 'profile';
+    if (lastView === 'dashboard' || lastView === 'sales') {
+        lastView = 'profile';
+    }
+    // Everything but 2FA setup is blocked until enrollment is done
+    if (currentUser && currentUser.twoFactorEnrollmentRequired) {
+        lastView = 'settings';
+    }
+    switchView(lastView);
+}
+
+// Troop top navigation (Membership / placeholders)
+function setupTroopNavigation() {
+    const troopTabs = document.querySelectorAll('.troop-tab');
+    const panels = document.querySelectorAll('.troop-tab-panel');
+
+    if (!troopTabs.length) return;
+
+    troopTabs.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const target = btn.dataset.tab;
+
+            // Toggle active on tabs
+            troopTabs.forEach(t => t.classList.toggle('active', t === btn));
+
+            // Show matching panel
+            panels.forEach(p => {
+                if (p.id === 'troop-tab-' + target) p.classList.remove('hidden'); else p.classList.add('hidden');
+            });
+
+            // Load data for specific tabs (Phase 4.5)
+            if (target === 'fulfillment' && selectedTroopId) {
+                loadFulfillmentOrders(selectedTroopId);
+                loadTroopSharedInventory(selectedTroopId);
+                loadInventoryHoldings(selectedTroopId);
+                loadInventoryLedger(selectedTroopId);
+            }
+            if (target === 'financials' && selectedTroopId) {
+                loadSeasonRolloverSettings(selectedTroopId);
+                loadSeasonSnapshots(selectedTroopId);
+            }
+            if (target === 'integrations' && selectedTroopId) {
+                loadTroopWebhooks(selectedTroopId);
+            }
+        });
+    });
+
+    // Membership search behavior (filter rows across sub-panels)
+    const memberSearch = document.getElementById('memberSearch');
+    if (memberSearch) {
+        memberSearch.addEventListener('input', () => {
+            const q = memberSearch.value.toLowerCase();
+            const bodies = document.querySelectorAll('[id^="membershipTableBody_"]');
+            bodies.forEach(body => {
+                Array.from(body.querySelectorAll('tr')).forEach(tr => {
+                    tr.style.display = q ? (tr.textContent.toLowerCase().includes(q) ? '' : 'none') : '';
+                });
+            });
+        });
+    }
+
+    // Membership sub-tab switching
+    const subTabs = document.querySelectorAll('.membership-subtab');
+    const subPanels = document.querySelectorAll('.membership-subpanel');
+    if (subTabs.length) {
+        subTabs.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const target = btn.dataset.sub;
+                subTabs.forEach(t => t.classList.toggle('active', t === btn));
+                subPanels.forEach(p => {
+                    if (p.id === 'membership-sub-' + target) p.classList.remove('hidden'); else p.classList.add('hidden');
+                });
+                // Update add-member button label when switching subtabs
+                try { updateAddMemberButtonLabel(); } catch (e) { /* ignore */ }
+            });
+        });
+    }
+}
+
+// Mobile Menu Management
+function setupMobileMenu() {
+    const menuBtn = document.getElementById('mobileMenuBtn');
+    const sidebar = document.querySelector('.tab-nav');
+    const overlay = document.getElementById('sidebarOverlay');
+
+    if (menuBtn) {
+        menuBtn.addEventListener('click', toggleMobileMenu);
+    }
+
+    if (overlay) {
+        overlay.addEventListener('click', closeMobileMenu);
+    }
+}
+
+function toggleMobileMenu() {
+    const sidebar = document.querySelector('.tab-nav');
+    const overlay = document.getElementById('sidebarOverlay');
+
+    sidebar.classList.toggle('active');
+    overlay.classList.toggle('active');
+}
+
+function closeMobileMenu() {
+    const sidebar = document.querySelector('.tab-nav');
+    const overlay = document.getElementById('sidebarOverlay');
+
+    if (sidebar) sidebar.classList.remove('active');
+    if (overlay) overlay.classList.remove('active');
+}
+
+// Theme Management
+function setupTheme() {
+    const themeButtons = document.querySelectorAll('.theme-btn');
+    const savedTheme = localStorage.getItem('theme') || 'system';
+
+    // Apply saved theme on load
+    applyTheme(savedTheme);
+    updateThemeButtons(savedTheme);
+
+    // Listen for system preference changes
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+        const currentTheme = localStorage.getItem('theme') || 'system';
+        if (currentTheme === 'system') {
+            applyTheme('system');
+        }
+    });
+
+    // Add event listeners for theme buttons
+    themeButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const theme = btn.dataset.theme;
+            localStorage.setItem('theme', theme);
+            applyTheme(theme);
+            updateThemeButtons(theme);
+            showFeedback(`Theme changed to ${theme}`);
+        });
+    });
+}
+
+function applyTheme(theme) {
+    const html = document.documentElement;
+
+    if (theme === 'system') {
+        // Use system preference
+        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        html.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+    } else {
+        html.setAttribute('data-theme', theme);
+    }
+}
+
+function updateThemeButtons(activeTheme) {
+    const themeButtons = document.querySelectorAll('.theme-btn');
+    themeButtons.forEach(btn => {
+        if (btn.dataset.theme === activeTheme) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+}
+
+// Import Management
+function setupImport() {
+    const importFileInput = document.getElementById('importFile');
+    const selectFileBtn = document.getElementById('selectFileBtn');
+    const importBtn = document.getElementById('importBtn');
+    const selectedFileName = document.getElementById('selectedFileName');
+    const importStatus = document.getElementById('importStatus');
+
+    if (!importFileInput || !selectFileBtn || !importBtn) return;
+
+    selectFileBtn.addEventListener('click', () => {
+        importFileInput.click();
+    });
+
+    importFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            selectedFileName.textContent = file.name;
+            importBtn.disabled = false;
+            importStatus.className = 'import-status';
+            importStatus.textContent = '';
+        } else {
+            selectedFileName.textContent = '';
+            importBtn.disabled = true;
+        }
+    });
+
+    importBtn.addEventListener('click', async () => {
+        const file = importFileInput.files[0];
+        if (!file) {
+            showFeedback('Please select a file first');
+            return;
+        }
+
+        // Show loading state
+        importBtn.disabled = true;
+        importStatus.className = 'import-status loading';
+        importStatus.textContent = 'Importing...';
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/import`, {
+                method: 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                throw new Error(result.error || 'Import failed');
+            }
+
+            // Show success
+            importStatus.className = 'import-status success';
+            importStatus.textContent = `Successfully imported ${result.salesImported} sales from ${result.ordersProcessed} orders`;
+
+            showFeedback('Import successful!');
+
+            // Reset file input
+            importFileInput.value = '';
+            selectedFileName.textContent = '';
+            importBtn.disabled = true;
+
+        } catch (error) {
+            console.error('Import error:', error);
+            importStatus.className = 'import-status error';
+            importStatus.textContent = `Error: ${error.message}`;
+            importBtn.disabled = false;
+        }
+    });
+}
+
+// Setup Danger Zone buttons
+function setupDangerZone() {
+    const deleteAllDataBtn = document.getElementById('deleteAllDataBtn');
+
+    if (deleteAllDataBtn) {
+        deleteAllDataBtn.addEventListener('click', async () => {
+            const confirmed = confirm(
+                '⚠️ WARNING: Delete All Data?\n\n' +
+                'This will permanently delete ALL sales and donation records.\n' +
+                'This action cannot be undone.\n\n' +
+                'Are you sure you want to continue?'
+            );
+
+            if (!confirmed) return;
+
+            // Double confirmation for safety
+            const doubleConfirm = confirm(
+                '🚨 FINAL WARNING 🚨\n\n' +
+                'You are about to delete ALL data.\n' +
+                'Click OK to permanently wipe the database.'
+            );
+
+            if (!doubleConfirm) return;
+
+            try {
+                const response = await fetch(`${API_BASE_URL}/data`, {
+                    method: 'DELETE'
+                });
+
+                if (response.ok) {
+                    const result = await response.json();
+                    showFeedback(`Deleted ${result.salesDeleted} sales and ${result.donationsDeleted} donations`);
+                    await loadDonations();
+                } else {
+                    showFeedback('Failed to delete data', true);
+                }
+            } catch (error) {
+                console.error('Delete data error:', error);
+                showFeedback('Error deleting data: ' + error.message, true);
+            }
+        });
+    }
+}
 
-// Switch View (Global)
-function switchView(viewId) {
-    const views = document.querySelectorAll('.view-section');
-    const tabButtons = document.querySelectorAll('.tab-btn');
+// ============================================================================
+// Troop Management (Phase 2)
+// ============================================================================
 
-    // Hide all views
-    views.forEach(view => view.classList.add('hidden'));
+let selectedTroopId = null;
+let troopMembers = [];
+let troopGoals = [];
+let troopSalesData = null;
 
-    // Show selected view
-    const selectedView = document.getElementById('view-' + viewId);
-    if (selectedView) {
-        selectedView.classList.remove('hidden');
+// Setup role-based UI visibility
+function setupRoleBasedUI() {
+    const troopLeaderTab = document.getElementById('troopLeaderTab');
+    const councilTab = document.getElementById('councilTab');
+
+    if (troopLeaderTab && currentUser) {
+        if (currentUser.role === 'troop_leader' || currentUser.role === 'admin') {
+            troopLeaderTab.style.display = '';
+        } else {
+            troopLeaderTab.style.display = 'none';
+        }
     }
 
-    // Update tab buttons
-    tabButtons.forEach(btn => {
-        if (btn.dataset.view === viewId) {
-            btn.classList.add('active');
+    if (councilTab && currentUser) {
+        if (currentUser.role === 'admin') {
+            councilTab.style.display = '';
         } else {
-            btn.classList.remove('active');
+            councilTab.style.display = 'none';
         }
+    }
+}
+
+// Setup troop management
+function setupTroopManagement() {
+    const troopSelector = document.getElementById('troopSelector');
+    const createTroopBtn = document.getElementById('createTroopBtn');
+    const addGoalBtn = document.getElementById('addGoalBtn');
+    const memberSearchEmail = document.getElementById('memberSearchEmail');
+
+    // Attach click handler to all add-member buttons
+    document.querySelectorAll('.add-member-btn').forEach(btn => {
+        btn.addEventListener('click', openAddMemberModal);
     });
 
-    // Save preference
-    localStorage.setItem('lastView', viewId);
+    if (troopSelector) {
+        troopSelector.addEventListener('change', (e) => {
+            selectedTroopId = e.target.value;
+            if (selectedTroopId) {
+                loadTroopData(selectedTroopId);
+            } else {
+                showTroopEmptyState();
+            }
+        });
+    }
 
-    // Load cookie dashboard data when switching to cookies view
-    if (viewId === 'cookies') {
-        loadCookieDashboard();
+    if (createTroopBtn) {
+        createTroopBtn.addEventListener('click', openCreateTroopModal);
     }
-}
 
-// Navigation Logic
-function setupNavigation() {
-    const tabButtons = document.querySelectorAll('.tab-btn');
+    if (addGoalBtn) {
+        addGoalBtn.addEventListener('click', openAddGoalModal);
+    }
 
-    // Add event listeners — skip buttons that have no data-view (e.g. logout)
-    tabButtons.forEach(btn => {
-        if (!btn.dataset.view) return;
-        btn.addEventListener('click', () => {
-            switchView(btn.dataset.view);
-            // Close mobile menu after selection
-            closeMobileMenu();
+    if (memberSearchEmail) {
+        let searchTimeout;
+        memberSearchEmail.addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => searchUsers(e.target.value), 300);
         });
-    });
+    }
 
-    // Load last view or default to profile (fallback removed views)
-    let lastView = localStorage.getItem('lastView') || 'profile';
-    if (lastView === 'dashboard' || lastView === 'sales') {
-        lastView = 'profile';
+    // Permissions tab listeners
+    const permsMemberSelect = document.getElementById('permsMemberSelect');
+    if (permsMemberSelect) {
+        permsMemberSelect.addEventListener('change', loadMemberPrivileges);
     }
-    switchView(lastView);
+    const savePermsBtn = document.getElementById('savePermsBtn');
+    if (savePermsBtn) {
+        savePermsBtn.addEventListener('click', savePrivilegeOverrides);
+    }
+    const resetPermsBtn = document.getElementById('resetPermsBtn');
+    if (resetPermsBtn) {
+        resetPermsBtn.addEventListener('click', resetPrivilegesToDefaults);
+    }
+
+    // Load troops on init
+    loadMyTroops();
+}
+
+// Load user's troops
+async function loadMyTroops() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/my-troops`, {
+            credentials: 'include'
+        });
+        if (!response.ok) throw new Error('Failed to load troops');
+
+        const troops = await response.json();
+        myTroopsList = troops; // Store globally so badge catalog can filter by org
+        const troopSelector = document.getElementById('troopSelector');
+
+        if (troopSelector) {
+            troopSelector.innerHTML = '<option value="">Select a troop...</option>';
+            troops.forEach(troop => {
+                const option = document.createElement('option');
+                option.value = troop.id;
+                option.textContent = `Troop ${troop.troopNumber} (${troop.troopType}) - ${troop.memberCount} members`;
+                troopSelector.appendChild(option);
+            });
+
+            // Auto-select if only one troop
+            if (troops.length === 1) {
+                troopSelector.value = troops[0].id;
+                selectedTroopId = troops[0].id;
+                loadTroopData(troops[0].id);
+            } else if (troops.length === 0) {
+                showTroopEmptyState();
+            }
+        }
+
+        // Reload badge catalog now that myTroopsList and selectedTroopId are set,
+        // in case loadBadgeCatalogForLeader() ran earlier (from init) before troops loaded.
+        if (canAwardBadges() && myTroopsList.length > 0) {
+            loadBadgeCatalogForLeader();
+        }
+    } catch (error) {
+        console.error('Error loading troops:', error);
+    }
+}
+
+// Load all data for a specific troop
+async function loadTroopData(troopId) {
+    try {
+        const [membersRes, salesRes, goalsRes] = await Promise.all([
+            fetch(`${API_BASE_URL}/troop/${troopId}/members${seasonQuery()}`, { 
+                credentials: 'include',
+                cache: 'no-cache'
+            }),
+            fetch(`${API_BASE_URL}/troop/${troopId}/sales${seasonQuery()}`, { 
+                credentials: 'include',
+                cache: 'no-cache'
+            }),
+            fetch(`${API_BASE_URL}/troop/${troopId}/goals`, { 
+                credentials: 'include',
+                cache: 'no-cache'
+            })
+        ]);
+
+        if (!membersRes.ok || !salesRes.ok || !goalsRes.ok) {
+            throw new Error('Failed to load troop data');
+        }
+
+        troopMembers = await membersRes.json();
+        troopSalesData = await salesRes.json();
+        troopGoals = await goalsRes.json();
+
+        renderTroopDashboard();
+    } catch (error) {
+        console.error('Error loading troop data:', error);
+        showFeedback('Failed to load troop data', true);
+    }
+}
+
+// Render the troop dashboard
+function renderTroopDashboard() {
+    const dashboardTab = document.getElementById('troop-tab-dashboard');
+    const emptyState = document.getElementById('troopEmptyState');
+
+    // Show dashboard content within the tab
+    if (dashboardTab) {
+        // Remove the inline display:none if it was set
+        const summaryCards = dashboardTab.querySelector('.summary-cards');
+        if (summaryCards) summaryCards.style.display = '';
+    }
+    if (emptyState) emptyState.style.display = 'none';
+
+    // Update summary cards
+    document.getElementById('troopTotalBoxes').textContent = troopSalesData?.totals?.totalBoxes || 0;
+    document.getElementById('troopTotalCollected').textContent = `$${parseFloat(troopSalesData?.totals?.totalCollected || 0).toFixed(2)}`;
+    document.getElementById('troopMemberCount').textContent = troopMembers.length;
+
+    // Render members table
+    renderTroopMembers();
+    // Render membership tab (top-nav) if present
+    renderMembershipTab();
+
+    // Render goals
+    renderTroopGoals();
+
+    // Render sales by cookie
+    renderTroopSalesByCookie();
+
+    // Populate permissions member dropdown
+    populatePermsMemberDropdown();
+}
+
+// Show empty state when no troop selected
+function showTroopEmptyState() {
+    const emptyState = document.getElementById('troopEmptyState');
+
+    if (emptyState) emptyState.style.display = 'block';
+}
+
+// Render troop members table
+function renderTroopMembers() {
+    const tbody = document.getElementById('troopMembersTable');
+    if (!tbody) return;
+
+    if (troopMembers.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No members yet. Add members to get started!</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = troopMembers.map(member => {
+        const lastSale = member.lastSaleDate ? new Date(member.lastSaleDate).toLocaleDateString() : 'No sales';
+        const roleDisplay = {
+            'member': 'Scout',
+            'co-leader': 'Co-Leader',
+            'assistant': 'Assistant'
+        }[member.troopRole] || member.troopRole;
+
+        return `
+            <tr>
+                <td>
+                    <div class="member-name">
+                        ${member.photoUrl ? `<img src="${member.photoUrl}" class="member-avatar" alt="">` : ''}
+                        <span>${member.firstName} ${member.lastName}</span>
+                    </div>
+                </td>
+                <td><span class="role-badge role-${member.troopRole}">${roleDisplay}</span></td>
+                <td>${member.totalBoxes}</td>
+                <td>$${parseFloat(member.totalCollected || 0).toFixed(2)}</td>
+                <td>${lastSale}</td>
+                <td>
+                    <button class="btn btn-sm btn-danger" onclick="removeMember('${member.id}')" title="Remove">
+                        ✕
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
 }
 
-// Troop top navigation (Membership / placeholders)
-function setupTroopNavigation() {
-    const troopTabs = document.querySelectorAll('.troop-tab');
-    const panels = document.querySelectorAll('.troop-tab-panel');
+// Render troop goals
+function renderTroopGoals() {
+    const container = document.getElementById('troopGoalsList');
+    if (!container) return;
 
-    if (!troopTabs.length) return;
+    if (troopGoals.length === 0) {
+        container.innerHTML = '<p class="empty-state">No goals set. Add a goal to track progress!</p>';
+        return;
+    }
 
-    troopTabs.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const target = btn.dataset.tab;
+    container.innerHTML = troopGoals.map(goal => {
+        const targetAmount = parseFloat(goal.targetAmount || 0);
+        const actualAmount = parseFloat(goal.actualAmount || 0);
+        const progress = targetAmount > 0 ? Math.min(100, (actualAmount / targetAmount) * 100) : 0;
+        const typeLabels = {
+            'boxes_sold': 'Boxes Sold',
+            'revenue': 'Revenue',
+            'participation': 'Participation'
+        };
 
-            // Toggle active on tabs
-            troopTabs.forEach(t => t.classList.toggle('active', t === btn));
+        return `
+            <div class="goal-card">
+                <div class="goal-header">
+                    <span class="goal-type">${typeLabels[goal.goalType] || goal.goalType}</span>
+                    <span class="goal-status status-${goal.status}">${goal.status.replace('_', ' ')}</span>
+                </div>
+                <div class="goal-progress">
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${progress}%"></div>
+                    </div>
+                    <span class="progress-text">${actualAmount} / ${targetAmount}</span>
+                </div>
+                ${goal.description ? `<p class="goal-description">${goal.description}</p>` : ''}
+            </div>
+        `;
+    }).join('');
+}
 
-            // Show matching panel
-            panels.forEach(p => {
-                if (p.id === 'troop-tab-' + target) p.classList.remove('hidden'); else p.classList.add('hidden');
-            });
+// Render the simple membership tab table (top-nav view)
+function renderMembershipTab() {
+    // Populate sub-panels: scout, family, leadership, volunteer
+    const scoutBody = document.getElementById('membershipTableBody_scout');
+    const familyBody = document.getElementById('membershipTableBody_family');
+    const leadershipBody = document.getElementById('membershipTableBody_leadership');
+    const volunteerBody = document.getElementById('membershipTableBody_volunteer');
 
-            // Load data for specific tabs (Phase 4.5)
-            if (target === 'fulfillment' && selectedTroopId) {
-                loadFulfillmentOrders(selectedTroopId);
-                loadTroopSharedInventory(selectedTroopId);
-            }
-        });
-    });
+    const members = troopMembers || [];
 
-    // Membership search behavior (filter rows across sub-panels)
-    const memberSearch = document.getElementById('memberSearch');
-    if (memberSearch) {
-        memberSearch.addEventListener('input', () => {
-            const q = memberSearch.value.toLowerCase();
-            const bodies = document.querySelectorAll('[id^="membershipTableBody_"]');
-            bodies.forEach(body => {
-                Array.from(body.querySelectorAll('tr')).forEach(tr => {
-                    tr.style.display = q ? (tr.textContent.toLowerCase().includes(q) ? '' : 'none') : '';
-                });
-            });
-        });
-    }
+    const bulkAwardBtn = document.getElementById('bulkAwardBadgeBtn');
+    if (bulkAwardBtn) bulkAwardBtn.style.display = canAwardBadges() ? '' : 'none';
+    const bridgingBtn = document.getElementById('bridgingBtn');
+    if (bridgingBtn) bridgingBtn.style.display = canEditScoutLevels() ? '' : 'none';
 
-    // Membership sub-tab switching
-    const subTabs = document.querySelectorAll('.membership-subtab');
-    const subPanels = document.querySelectorAll('.membership-subpanel');
-    if (subTabs.length) {
-        subTabs.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const target = btn.dataset.sub;
-                subTabs.forEach(t => t.classList.toggle('active', t === btn));
-                subPanels.forEach(p => {
-                    if (p.id === 'membership-sub-' + target) p.classList.remove('hidden'); else p.classList.add('hidden');
-                });
-                // Update add-member button label when switching subtabs
-                try { updateAddMemberButtonLabel(); } catch (e) { /* ignore */ }
-            });
-        });
+    // Scouts: treat troopRole 'member' as scouts
+    const scouts = members.filter(m => !m.troopRole || m.troopRole === 'member' || m.troopRole === 'scout');
+    if (scoutBody) {
+        if (scouts.length === 0) {
+            scoutBody.innerHTML = '<tr><td colspan="5" class="empty-state">No scouts yet.</td></tr>';
+        } else {
+            scoutBody.innerHTML = scouts.map(m => {
+                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
+                const level = m.scoutLevel || '-';
+                const status = m.status || 'Active';
+                return `
+                    <tr>
+                        <td>${name}</td>
+                        <td>${m.troopRole || 'Scout'}</td>
+                        <td>${level}</td>
+                        <td>${status}</td>
+                        <td class="member-actions-cell">
+                            <button class="btn btn-sm" onclick="viewMember('${m.id}')">Edit</button>
+                            ${canAwardBadges() ? `<button class="btn btn-sm btn-secondary badge-award-btn" data-userid="${escapeHtml(m.id)}" data-name="${escapeHtml(name)}">+ Badge</button>` : ''}
+                            ${canAwardBadges() ? `<button class="btn btn-sm btn-secondary badge-steps-btn" data-userid="${escapeHtml(m.id)}" data-name="${escapeHtml(name)}">Steps</button>` : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
     }
-}
 
-// Mobile Menu Management
-function setupMobileMenu() {
-    const menuBtn = document.getElementById('mobileMenuBtn');
-    const sidebar = document.querySelector('.tab-nav');
-    const overlay = document.getElementById('sidebarOverlay');
-
-    if (menuBtn) {
-        menuBtn.addEventListener('click', toggleMobileMenu);
+    // Family: show distinct last names for members with parent role
+    if (familyBody) {
+        const families = members.filter(m => m.troopRole === 'parent' || m.troopRole === 'guardian');
+        if (families.length === 0) {
+            familyBody.innerHTML = '<tr><td class="empty-state">No family records yet.</td></tr>';
+        } else {
+            const lastNames = [...new Set(families.map(f => (f.lastName || '').trim()).filter(Boolean))];
+            familyBody.innerHTML = lastNames.map(ln => `<tr><td>${ln}</td></tr>`).join('');
+        }
     }
 
-    if (overlay) {
-        overlay.addEventListener('click', closeMobileMenu);
+    // Leadership: co-leader, assistant, troop_leader
+    if (leadershipBody) {
+        const leads = members.filter(m => ['co-leader', 'assistant', 'troop_leader'].includes(m.troopRole));
+        if (leads.length === 0) {
+            leadershipBody.innerHTML = '<tr><td colspan="5" class="empty-state">No leadership members</td></tr>';
+        } else {
+            leadershipBody.innerHTML = leads.map(m => {
+                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
+                return `
+                    <tr>
+                        <td>${name}</td>
+                        <td>${m.troopRole}</td>
+                        <td>${m.scoutLevel || '-'}</td>
+                        <td>${m.status || 'Active'}</td>
+                        <td><button class="btn" onclick="viewMember('${m.id}')">Edit</button></td>
+                    </tr>
+                `;
+            }).join('');
+        }
     }
-}
 
-function toggleMobileMenu() {
-    const sidebar = document.querySelector('.tab-nav');
-    const overlay = document.getElementById('sidebarOverlay');
+    // Volunteers
+    if (volunteerBody) {
+        const vols = members.filter(m => m.troopRole === 'volunteer' || m.troopRole === 'parent');
+        if (vols.length === 0) {
+            volunteerBody.innerHTML = '<tr><td colspan="5" class="empty-state">No volunteers</td></tr>';
+        } else {
+            volunteerBody.innerHTML = vols.map(m => {
+                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
+                return `
+                    <tr>
+                        <td>${name}</td>
+                        <td>${m.troopRole}</td>
+                        <td>${m.scoutLevel || '-'}</td>
+                        <td>${m.status || 'Active'}</td>
+                        <td><button class="btn" onclick="viewMember('${m.id}')">Edit</button></td>
+                    </tr>
+                `;
+            }).join('');
+        }
+    }
 
-    sidebar.classList.toggle('active');
-    overlay.classList.toggle('active');
+    // Update Add Member button label based on active subtab
+    updateAddMemberButtonLabel();
 }
 
-function closeMobileMenu() {
-    const sidebar = document.querySelector('.tab-nav');
-    const overlay = document.getElementById('sidebarOverlay');
+function updateAddMemberButtonLabel() {
+    const active = document.querySelector('.membership-subtab.active');
+    const addBtn = document.getElementById('addMemberBtnMembership');
+    if (!addBtn) return;
+    const map = {
+        scout: 'Add Scout',
+        family: 'Add Family',
+        leadership: 'Add Leadership',
+        volunteer: 'Add Volunteer'
+    };
+    const label = active ? map[active.dataset.sub] || 'Add Member' : 'Add Member';
+    addBtn.textContent = label;
+}
 
-    if (sidebar) sidebar.classList.remove('active');
-    if (overlay) overlay.classList.remove('active');
+// Simple view member handler (placeholder - can open detailed modal)
+function viewMember(memberId) {
+    const member = troopMembers.find(m => m.id === memberId);
+    if (!member) return showFeedback('Member not found', true);
+    alert(`Member:\n\nName: ${member.firstName} ${member.lastName}\nRole: ${member.troopRole || '-'}\nLevel: ${member.scoutLevel || '-'}\nEmail: ${member.email || '--'}`);
 }
 
-// Theme Management
-function setupTheme() {
-    const themeButtons = document.querySelectorAll('.theme-btn');
-    const savedTheme = localStorage.getItem('theme') || 'system';
+// Render sales by cookie type
+function renderTroopSalesByCookie() {
+    const container = document.getElementById('troopSalesByCookie');
+    if (!container) return;
 
-    // Apply saved theme on load
-    applyTheme(savedTheme);
-    updateThemeButtons(savedTheme);
+    const salesByCookie = troopSalesData?.salesByCookie || [];
 
-    // Listen for system preference changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        const currentTheme = localStorage.getItem('theme') || 'system';
-        if (currentTheme === 'system') {
-            applyTheme('system');
-        }
-    });
+    if (salesByCookie.length === 0) {
+        container.innerHTML = '<p class="empty-state">No sales data yet</p>';
+        return;
+    }
 
-    // Add event listeners for theme buttons
-    themeButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const theme = btn.dataset.theme;
-            localStorage.setItem('theme', theme);
-            applyTheme(theme);
-            updateThemeButtons(theme);
-            showFeedback(`Theme changed to ${theme}`);
-        });
-    });
+    // Find max quantity for scaling bars
+    const maxQty = Math.max(...salesByCookie.map(i => i.totalQuantity));
+
+    container.innerHTML = salesByCookie.map(item => {
+        const pct = maxQty > 0 ? Math.round((item.totalQuantity / maxQty) * 100) : 0;
+        return `
+            <div class="cookie-sale-item-v2" style="margin-bottom: var(--space-md);">
+                <div style="display:flex; justify-content:space-between; margin-bottom:4px;">
+                    <span class="cookie-name" style="font-weight:600;">${item.cookieType}</span>
+                    <span class="cookie-quantity">${item.totalQuantity} boxes</span>
+                </div>
+                <div class="progress-bar-container" style="height: 8px; background: var(--gray-200); border-radius: 4px; overflow: hidden;">
+                    <div class="progress-bar-fill" style="width: ${pct}%; height: 100%; background: var(--primary-color); border-radius: 4px;"></div>
+                </div>
+                <div style="text-align:right; font-size:0.8rem; color: #666; margin-top:2px;">
+                    $${parseFloat(item.totalCollected || 0).toFixed(2)}
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
-function applyTheme(theme) {
-    const html = document.documentElement;
-
-    if (theme === 'system') {
-        // Use system preference
-        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-        html.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-    } else {
-        html.setAttribute('data-theme', theme);
-    }
-}
+// ============================================================================
+// Privilege Management Functions
+// ============================================================================
 
-function updateThemeButtons(activeTheme) {
-    const themeButtons = document.querySelectorAll('.theme-btn');
-    themeButtons.forEach(btn => {
-        if (btn.dataset.theme === activeTheme) {
-            btn.classList.add('active');
-        } else {
-            btn.classList.remove('active');
-        }
-    });
-}
+function populatePermsMemberDropdown() {
+    const select = document.getElementById('permsMemberSelect');
+    if (!select) return;
 
-// Import Management
-function setupImport() {
-    const importFileInput = document.getElementById('importFile');
-    const selectFileBtn = document.getElementById('selectFileBtn');
-    const importBtn = document.getElementById('importBtn');
-    const selectedFileName = document.getElementById('selectedFileName');
-    const importStatus = document.getElementById('importStatus');
+    const currentValue = select.value;
+    select.innerHTML = '<option value="">Choose a member...</option>';
 
-    if (!importFileInput || !selectFileBtn || !importBtn) return;
+    if (!troopMembers || troopMembers.length === 0) return;
 
-    selectFileBtn.addEventListener('click', () => {
-        importFileInput.click();
+    // Filter out the current user (no self-modification)
+    const members = troopMembers.filter(m => m.id !== currentUser?.id && m.status !== 'inactive');
+    members.sort((a, b) => {
+        const nameA = `${a.lastName || ''}, ${a.firstName || ''}`.toLowerCase();
+        const nameB = `${b.lastName || ''}, ${b.firstName || ''}`.toLowerCase();
+        return nameA.localeCompare(nameB);
     });
 
-    importFileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            selectedFileName.textContent = file.name;
-            importBtn.disabled = false;
-            importStatus.className = 'import-status';
-            importStatus.textContent = '';
-        } else {
-            selectedFileName.textContent = '';
-            importBtn.disabled = true;
-        }
-    });
+    for (const m of members) {
+        const opt = document.createElement('option');
+        opt.value = m.id;
+        const role = m.troopRole || m.role || 'member';
+        opt.textContent = `${m.lastName || ''}, ${m.firstName || ''} (${role})`;
+        select.appendChild(opt);
+    }
 
-    importBtn.addEventListener('click', async () => {
-        const file = importFileInput.files[0];
-        if (!file) {
-            showFeedback('Please select a file first');
-            return;
-        }
+    // Restore selection if still valid
+    if (currentValue && members.some(m => m.id === currentValue)) {
+        select.value = currentValue;
+    }
+}
 
-        // Show loading state
-        importBtn.disabled = true;
-        importStatus.className = 'import-status loading';
-        importStatus.textContent = 'Importing...';
+async function loadMemberPrivileges() {
+    const select = document.getElementById('permsMemberSelect');
+    const userId = select ? select.value : '';
+    const container = document.getElementById('permsMatrixContainer');
+    const emptyState = document.getElementById('permsEmptyState');
 
-        const formData = new FormData();
-        formData.append('file', file);
+    if (!userId) {
+        if (container) container.style.display = 'none';
+        if (emptyState) emptyState.style.display = '';
+        currentPermsUserId = null;
+        currentPermsMemberRole = null;
+        return;
+    }
 
-        try {
-            const response = await fetch(`${API_BASE_URL}/import`, {
-                method: 'POST',
-                body: formData
-            });
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${userId}/privileges`, {
+            credentials: 'include'
+        });
+        await handleApiResponse(res);
+        const data = await res.json();
 
-            const result = await response.json();
+        currentPermsUserId = userId;
+        currentPermsMemberRole = data.member.troopRole;
 
-            if (!response.ok) {
-                throw new Error(result.error || 'Import failed');
-            }
+        // Show member info
+        const memberInfo = document.getElementById('permsMemberInfo');
+        if (memberInfo) {
+            memberInfo.innerHTML = `
+                <strong>${data.member.firstName} ${data.member.lastName}</strong>
+                <span class="role-badge role-${data.member.troopRole}">${data.member.troopRole}</span>
+            `;
+        }
 
-            // Show success
-            importStatus.className = 'import-status success';
-            importStatus.textContent = `Successfully imported ${result.salesImported} sales from ${result.ordersProcessed} orders`;
+        renderPrivilegeMatrix(data.privileges);
 
-            showFeedback('Import successful!');
+        if (container) container.style.display = '';
+        if (emptyState) emptyState.style.display = 'none';
+    } catch (error) {
+        console.error('Failed to load privileges:', error);
+        showFeedback('Failed to load member privileges', true);
+    }
+}
 
-            // Reset file input
-            importFileInput.value = '';
-            selectedFileName.textContent = '';
-            importBtn.disabled = true;
+function renderPrivilegeMatrix(privileges) {
+    const tbody = document.getElementById('permsMatrixBody');
+    if (!tbody) return;
 
-        } catch (error) {
-            console.error('Import error:', error);
-            importStatus.className = 'import-status error';
-            importStatus.textContent = `Error: ${error.message}`;
-            importBtn.disabled = false;
-        }
-    });
-}
+    let html = '';
+    let lastCategory = '';
 
-// Setup Danger Zone buttons
-function setupDangerZone() {
-    const deleteAllDataBtn = document.getElementById('deleteAllDataBtn');
+    for (const priv of privileges) {
+        // Category header row
+        if (priv.category !== lastCategory) {
+            lastCategory = priv.category;
+            html += `<tr class="priv-category-row"><td colspan="7">${priv.category}</td></tr>`;
+        }
 
-    if (deleteAllDataBtn) {
-        deleteAllDataBtn.addEventListener('click', async () => {
-            const confirmed = confirm(
-                '⚠️ WARNING: Delete All Data?\n\n' +
-                'This will permanently delete ALL sales and donation records.\n' +
-                'This action cannot be undone.\n\n' +
-                'Are you sure you want to continue?'
-            );
+        const isOverride = priv.effectiveScope !== priv.defaultScope;
+        const rowClass = isOverride ? 'priv-row-override' : '';
+        const futureTag = priv.future ? ' <span class="priv-future-tag">(future)</span>' : '';
 
-            if (!confirmed) return;
+        html += `<tr class="${rowClass}" data-code="${priv.code}">`;
+        html += `<td class="priv-name-col">${priv.name}${futureTag}</td>`;
 
-            // Double confirmation for safety
-            const doubleConfirm = confirm(
-                '🚨 FINAL WARNING 🚨\n\n' +
-                'You are about to delete ALL data.\n' +
-                'Click OK to permanently wipe the database.'
-            );
+        for (const scope of SCOPE_ORDER) {
+            const checked = priv.effectiveScope === scope ? 'checked' : '';
+            html += `<td class="priv-scope-col">
+                <input type="radio" name="priv_${priv.code}" value="${scope}" ${checked}
+                    data-code="${priv.code}" data-default="${priv.defaultScope}">
+            </td>`;
+        }
 
-            if (!doubleConfirm) return;
+        html += `<td class="priv-default-col">${priv.defaultScope === 'none' ? '---' : priv.defaultScope}</td>`;
+        html += '</tr>';
+    }
 
-            try {
-                const response = await fetch(`${API_BASE_URL}/data`, {
-                    method: 'DELETE'
-                });
+    tbody.innerHTML = html;
 
-                if (response.ok) {
-                    const result = await response.json();
-                    showFeedback(`Deleted ${result.salesDeleted} sales and ${result.donationsDeleted} donations`);
-                    await loadDonations();
-                } else {
-                    showFeedback('Failed to delete data', true);
-                }
-            } catch (error) {
-                console.error('Delete data error:', error);
-                showFeedback('Error deleting data: ' + error.message, true);
+    // Add change listeners to highlight overrides
+    tbody.querySelectorAll('input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const row = e.target.closest('tr');
+            const defaultScope = e.target.dataset.default;
+            if (e.target.value !== defaultScope) {
+                row.classList.add('priv-row-override');
+            } else {
+                row.classList.remove('priv-row-override');
             }
         });
+    });
+}
+
+function collectPrivilegeOverrides() {
+    const overrides = [];
+    for (const priv of PRIVILEGE_DEFINITIONS) {
+        const checked = document.querySelector(`input[name="priv_${priv.code}"]:checked`);
+        if (checked) {
+            overrides.push({ code: priv.code, scope: checked.value });
+        }
     }
+    return overrides;
 }
 
-// ============================================================================
-// Troop Management (Phase 2)
-// ============================================================================
+async function savePrivilegeOverrides() {
+    if (!currentPermsUserId || !selectedTroopId) return;
 
-let selectedTroopId = null;
-let troopMembers = [];
-let troopGoals = [];
-let troopSalesData = null;
+    const overrides = collectPrivilegeOverrides();
+
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${currentPermsUserId}/privileges`, {
+            method: 'PUT',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ overrides })
+        });
+        await handleApiResponse(res);
+        const data = await res.json();
+
+        // Re-render with saved state
+        renderPrivilegeMatrix(data.privileges);
+        showFeedback('Permissions saved successfully');
+    } catch (error) {
+        console.error('Failed to save privileges:', error);
+        showFeedback('Failed to save permissions', true);
+    }
+}
 
-// Setup role-based UI visibility
-function setupRoleBasedUI() {
-    const troopLeaderTab = document.getElementById('troopLeaderTab');
-    const councilTab = document.getElementById('councilTab');
+async function resetPrivilegesToDefaults() {
+    if (!currentPermsUserId || !selectedTroopId) return;
+    if (!confirm('Reset all privileges to role defaults? You must click Save to apply.')) return;
 
-    if (troopLeaderTab && currentUser) {
-        if (currentUser.role === 'troop_leader' || currentUser.role === 'admin') {
-            troopLeaderTab.style.display = '';
-        } else {
-            troopLeaderTab.style.display = 'none';
-        }
-    }
+    // Reset radios to defaults using client-side constants
+    const roleDefaults = ROLE_PRIVILEGE_DEFAULTS[currentPermsMemberRole] || ROLE_PRIVILEGE_DEFAULTS.member;
 
-    if (councilTab && currentUser) {
-        if (currentUser.role === 'admin') {
-            councilTab.style.display = '';
-        } else {
-            councilTab.style.display = 'none';
+    for (const priv of PRIVILEGE_DEFINITIONS) {
+        const defaultScope = roleDefaults[priv.code] || 'none';
+        const radio = document.querySelector(`input[name="priv_${priv.code}"][value="${defaultScope}"]`);
+        if (radio) {
+            radio.checked = true;
+            const row = radio.closest('tr');
+            if (row) row.classList.remove('priv-row-override');
         }
     }
 }
 
-// Setup troop management
-function setupTroopManagement() {
-    const troopSelector = document.getElementById('troopSelector');
-    const createTroopBtn = document.getElementById('createTroopBtn');
-    const addGoalBtn = document.getElementById('addGoalBtn');
-    const memberSearchEmail = document.getElementById('memberSearchEmail');
+// Modal functions
+function openCreateTroopModal() {
+    document.getElementById('createTroopModal').style.display = 'flex';
+}
 
-    // Attach click handler to all add-member buttons
-    document.querySelectorAll('.add-member-btn').forEach(btn => {
-        btn.addEventListener('click', openAddMemberModal);
-    });
+function closeCreateTroopModal() {
+    document.getElementById('createTroopModal').style.display = 'none';
+    // Clear form
+    document.getElementById('newTroopNumber').value = '';
+    document.getElementById('newTroopType').value = '';
+    document.getElementById('newTroopMeetingLocation').value = '';
+    document.getElementById('newTroopMeetingDay').value = '';
+    document.getElementById('newTroopMeetingTime').value = '';
+}
 
-    if (troopSelector) {
-        troopSelector.addEventListener('change', (e) => {
-            selectedTroopId = e.target.value;
-            if (selectedTroopId) {
-                loadTroopData(selectedTroopId);
-            } else {
-                showTroopEmptyState();
-            }
-        });
+function openAddMemberModal() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first', true);
+        return;
     }
+    // Determine active membership subtab to set modal defaults
+    const activeSub = document.querySelector('.membership-subtab.active');
+    const subtype = activeSub ? activeSub.dataset.sub : null;
+    const header = document.querySelector('#addMemberModal .modal-header h3');
+    const confirmBtn = document.getElementById('confirmAddMemberBtn');
 
-    if (createTroopBtn) {
-        createTroopBtn.addEventListener('click', openCreateTroopModal);
+    let defaultPosition = '';
+    let headerLabel = 'Add Member';
+    if (subtype === 'scout') {
+        defaultPosition = 'Scout';
+        headerLabel = 'Add Scout';
+    } else if (subtype === 'family') {
+        defaultPosition = 'Troop Volunteer';
+        headerLabel = 'Add Family';
+    } else if (subtype === 'leadership') {
+        defaultPosition = 'Co-Leader';
+        headerLabel = 'Add Leadership';
+    } else if (subtype === 'volunteer') {
+        defaultPosition = 'Troop Volunteer';
+        headerLabel = 'Add Volunteer';
     }
 
-    if (addGoalBtn) {
-        addGoalBtn.addEventListener('click', openAddGoalModal);
-    }
+    if (header) header.textContent = headerLabel;
+    if (confirmBtn) confirmBtn.textContent = 'Save';
 
-    if (memberSearchEmail) {
-        let searchTimeout;
-        memberSearchEmail.addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => searchUsers(e.target.value), 300);
-        });
-    }
+    // Populate roles based on current position selection and show modal
+    const memberLevelSelect = document.getElementById('memberLevel');
+    if (memberLevelSelect && defaultPosition) memberLevelSelect.value = defaultPosition;
+    const currentPosition = document.getElementById('memberLevel')?.value || '';
+    populateMemberRolesSelect(currentPosition);
+    document.getElementById('addMemberModal').style.display = 'flex';
+}
 
-    // Permissions tab listeners
-    const permsMemberSelect = document.getElementById('permsMemberSelect');
-    if (permsMemberSelect) {
-        permsMemberSelect.addEventListener('change', loadMemberPrivileges);
-    }
-    const savePermsBtn = document.getElementById('savePermsBtn');
-    if (savePermsBtn) {
-        savePermsBtn.addEventListener('click', savePrivilegeOverrides);
-    }
-    const resetPermsBtn = document.getElementById('resetPermsBtn');
-    if (resetPermsBtn) {
-        resetPermsBtn.addEventListener('click', resetPrivilegesToDefaults);
+function closeAddMemberModal() {
+    document.getElementById('addMemberModal').style.display = 'none';
+    // Clear generic add-member form fields
+    const fields = [
+        'memberFirstName','memberLastName','memberEmail','memberAddress','memberBirthdate','memberDen','memberFamilyInfo','memberLevel'
+    ];
+    fields.forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        if (el.tagName === 'SELECT') el.selectedIndex = 0; else el.value = '';
+    });
+    // Clear roles options
+    const rolesSelect = document.getElementById('memberRoles');
+    if (rolesSelect) rolesSelect.innerHTML = '';
+}
+
+function openAddGoalModal() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first', true);
+        return;
     }
+    // Set default dates
+    const today = new Date().toISOString().split('T')[0];
+    document.getElementById('goalStartDate').value = today;
+    document.getElementById('addGoalModal').style.display = 'flex';
+}
 
-    // Load troops on init
-    loadMyTroops();
+function closeAddGoalModal() {
+    document.getElementById('addGoalModal').style.display = 'none';
+    document.getElementById('goalType').value = '';
+    document.getElementById('goalTarget').value = '';
+    document.getElementById('goalStartDate').value = '';
+    document.getElementById('goalEndDate').value = '';
+    document.getElementById('goalDescription').value = '';
 }
 
-// Load user's troops
-async function loadMyTroops() {
+// Create a new troop
+async function createTroop() {
+    const troopNumber = document.getElementById('newTroopNumber').value.trim();
+    const troopType = document.getElementById('newTroopType').value;
+    const meetingLocation = document.getElementById('newTroopMeetingLocation').value.trim();
+    const meetingDay = document.getElementById('newTroopMeetingDay').value;
+    const meetingTime = document.getElementById('newTroopMeetingTime').value;
+
+    if (!troopNumber || !troopType) {
+        showFeedback('Please fill in required fields', true);
+        return;
+    }
+
     try {
-        const response = await fetch(`${API_BASE_URL}/troop/my-troops`, {
-            credentials: 'include'
+        const response = await fetch(`${API_BASE_URL}/troop`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                troopNumber,
+                troopType,
+                meetingLocation,
+                meetingDay,
+                meetingTime
+            })
         });
-        if (!response.ok) throw new Error('Failed to load troops');
 
-        const troops = await response.json();
-        myTroopsList = troops; // Store globally so badge catalog can filter by org
-        const troopSelector = document.getElementById('troopSelector');
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create troop');
+        }
 
-        if (troopSelector) {
-            troopSelector.innerHTML = '<option value="">Select a troop...</option>';
-            troops.forEach(troop => {
-                const option = document.createElement('option');
-                option.value = troop.id;
-                option.textContent = `Troop ${troop.troopNumber} (${troop.troopType}) - ${troop.memberCount} members`;
-                troopSelector.appendChild(option);
-            });
+        const newTroop = await response.json();
+        showFeedback(`Troop ${troopNumber} created successfully!`);
+        closeCreateTroopModal();
 
-            // Auto-select if only one troop
-            if (troops.length === 1) {
-                troopSelector.value = troops[0].id;
-                selectedTroopId = troops[0].id;
-                loadTroopData(troops[0].id);
-            } else if (troops.length === 0) {
-                showTroopEmptyState();
-            }
-        }
+        // Reload troops and select the new one
+        await loadMyTroops();
+        document.getElementById('troopSelector').value = newTroop.id;
+        selectedTroopId = newTroop.id;
+        loadTroopData(newTroop.id);
 
-        // Reload badge catalog now that myTroopsList and selectedTroopId are set,
-        // in case loadBadgeCatalogForLeader() ran earlier (from init) before troops loaded.
-        if (canAwardBadges() && myTroopsList.length > 0) {
-            loadBadgeCatalogForLeader();
-        }
     } catch (error) {
-        console.error('Error loading troops:', error);
+        console.error('Error creating troop:', error);
+        showFeedback(error.message, true);
     }
 }
 
-// Load all data for a specific troop
-async function loadTroopData(troopId) {
-    try {
-        const [membersRes, salesRes, goalsRes] = await Promise.all([
-            fetch(`${API_BASE_URL}/troop/${troopId}/members`, { 
-                credentials: 'include',
-                cache: 'no-cache'
-            }),
-            fetch(`${API_BASE_URL}/troop/${troopId}/sales`, { 
-                credentials: 'include',
-                cache: 'no-cache'
-            }),
-            fetch(`${API_BASE_URL}/troop/${troopId}/goals`, { 
-                credentials: 'include',
-                cache: 'no-cache'
-            })
-        ]);
+// Tab switching for Add Member modal
+function switchToNewScoutTab() {
+    document.getElementById('tabNewScout').classList.add('active');
+    document.getElementById('tabExistingUser').classList.remove('active');
+    document.getElementById('tabContentNewScout').style.display = 'block';
+    document.getElementById('tabContentExistingUser').style.display = 'none';
+}
+
+function switchToExistingUserTab() {
+    document.getElementById('tabExistingUser').classList.add('active');
+    document.getElementById('tabNewScout').classList.remove('active');
+    document.getElementById('tabContentExistingUser').style.display = 'block';
+    document.getElementById('tabContentNewScout').style.display = 'none';
+}
+
+// Search users for adding members
+let selectedMemberEmail = null;
+
+async function searchUsers(query) {
+    const resultsContainer = document.getElementById('memberSearchResults');
+    const confirmBtn = document.getElementById('confirmAddMemberBtn');
+
+    if (!query || query.length < 2) {
+        resultsContainer.innerHTML = '';
+        confirmBtn.disabled = true;
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/users/search?q=${encodeURIComponent(query)}`, {
+            credentials: 'include'
+        });
+
+        if (!response.ok) throw new Error('Search failed');
+
+        const users = await response.json();
 
-        if (!membersRes.ok || !salesRes.ok || !goalsRes.ok) {
-            throw new Error('Failed to load troop data');
+        if (users.length === 0) {
+            resultsContainer.innerHTML = '<div class="search-no-results">No users found</div>';
+            confirmBtn.disabled = true;
+            return;
         }
 
-        troopMembers = await membersRes.json();
-        troopSalesData = await salesRes.json();
-        troopGoals = await goalsRes.json();
+        resultsContainer.innerHTML = users.map(user => `
+            <div class="search-result-item" onclick="selectMember('${user.email}', '${user.firstName} ${user.lastName}')">
+                <span class="result-name">${user.firstName} ${user.lastName}</span>
+                <span class="result-email">${user.email}</span>
+            </div>
+        `).join('');
 
-        renderTroopDashboard();
     } catch (error) {
-        console.error('Error loading troop data:', error);
-        showFeedback('Failed to load troop data', true);
+        console.error('Search error:', error);
+        resultsContainer.innerHTML = '<div class="search-error">Search failed</div>';
     }
 }
 
-// Render the troop dashboard
-function renderTroopDashboard() {
-    const dashboardTab = document.getElementById('troop-tab-dashboard');
-    const emptyState = document.getElementById('troopEmptyState');
+function selectMember(email, name) {
+    selectedMemberEmail = email;
+    document.getElementById('memberSearchEmail').value = email;
+    document.getElementById('memberSearchResults').innerHTML = `<div class="search-selected">Selected: ${name}</div>`;
+    document.getElementById('confirmAddMemberBtn').disabled = false;
+}
 
-    // Show dashboard content within the tab
-    if (dashboardTab) {
-        // Remove the inline display:none if it was set
-        const summaryCards = dashboardTab.querySelector('.summary-cards');
-        if (summaryCards) summaryCards.style.display = '';
+// Submit Add Member (generic form)
+async function submitAddMember() {
+    // Determine which subtab is active and map to position/role
+    if (!selectedTroopId) return showFeedback('Please select a troop first', true);
+
+    const activeSub = document.querySelector('.membership-subtab.active');
+    const subtype = activeSub ? activeSub.dataset.sub : null;
+
+    // Collect form values
+    const firstName = (document.getElementById('memberFirstName')?.value || '').trim();
+    const lastName = (document.getElementById('memberLastName')?.value || '').trim();
+    const email = (document.getElementById('memberEmail')?.value || '').trim();
+    const address = (document.getElementById('memberAddress')?.value || '').trim();
+    const birthdate = document.getElementById('memberBirthdate')?.value || null;
+    const familyInfo = (document.getElementById('memberFamilyInfo')?.value || '').trim();
+    const position = document.getElementById('memberLevel')?.value || '';
+
+    if (!firstName || !lastName) {
+        return showFeedback('First and last name are required', true);
     }
-    if (emptyState) emptyState.style.display = 'none';
 
-    // Update summary cards
-    document.getElementById('troopTotalBoxes').textContent = troopSalesData?.totals?.totalBoxes || 0;
-    document.getElementById('troopTotalCollected').textContent = `$${parseFloat(troopSalesData?.totals?.totalCollected || 0).toFixed(2)}`;
-    document.getElementById('troopMemberCount').textContent = troopMembers.length;
+    // For family tab, prefer creating a parent/guardian record
+    let payload = {
+        firstName,
+        lastName,
+        email: email || null,
+        address: address || null,
+        dateOfBirth: birthdate || null,
+        familyInfo: familyInfo || null,
+        position: position || null
+    };
 
-    // Render members table
-    renderTroopMembers();
-    // Render membership tab (top-nav) if present
-    renderMembershipTab();
+    // If subtype indicates family, set position to a parent/volunteer role if not already
+    if (subtype === 'family') payload.position = payload.position || 'Troop Volunteer';
+    if (subtype === 'leadership') payload.position = payload.position || 'Co-Leader';
+    if (subtype === 'volunteer') payload.position = payload.position || 'Troop Volunteer';
+    if (subtype === 'scout') payload.position = payload.position || 'Scout';
 
-    // Render goals
-    renderTroopGoals();
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
 
-    // Render sales by cookie
-    renderTroopSalesByCookie();
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.error || 'Failed to add member');
+        }
 
-    // Populate permissions member dropdown
-    populatePermsMemberDropdown();
+        showFeedback('Member added successfully');
+        closeAddMemberModal();
+        // Refresh troop data
+        await loadTroopData(selectedTroopId);
+    } catch (error) {
+        console.error('Add member error:', error);
+        showFeedback(error.message || 'Failed to add member', true);
+    }
 }
 
-// Show empty state when no troop selected
-function showTroopEmptyState() {
-    const emptyState = document.getElementById('troopEmptyState');
+// Roles to populate the roles multi-select (based on Resources doc)
+const ADULT_ROLE_OPTIONS = [
+    'Troop Treasurer', 'Troop Cookie Manager', 'Troop Admin',
+    'Program Coordinator', 'Outdoor / Camp-Trained Adult'
+];
 
-    if (emptyState) emptyState.style.display = 'block';
+const SCOUT_LEVEL_OPTIONS = [
+    { value: 'Daisy',      label: 'Girl Scout Daisy (K–1)',       color: '#a0def1' },
+    { value: 'Brownie',    label: 'Brownie Girl Scout (2–3)',     color: '#d5ca9f' },
+    { value: 'Junior',     label: 'Junior Girl Scout (4–5)',      color: '#00b2be' },
+    { value: 'Cadette',    label: 'Cadette Girl Scout (6–8)',     color: '#ee3124' },
+    { value: 'Senior',     label: 'Senior Girl Scout (9–10)',     color: '#ff7818' },
+    { value: 'Ambassador', label: 'Ambassador Girl Scout (11–12)', color: '#ee3124' }
+];
+
+function onPositionChange() {
+    const position = document.getElementById('memberLevel')?.value;
+    populateMemberRolesSelect(position);
 }
 
-// Render troop members table
-function renderTroopMembers() {
-    const tbody = document.getElementById('troopMembersTable');
-    if (!tbody) return;
+function populateMemberRolesSelect(position) {
+    const select = document.getElementById('memberRoles');
+    const label = document.getElementById('rolesLabel');
+    const group = document.getElementById('rolesGroup');
+    if (!select) return;
 
-    if (troopMembers.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No members yet. Add members to get started!</td></tr>';
+    select.innerHTML = '';
+
+    if (!position) {
+        if (label) label.textContent = 'Roles';
+        select.multiple = true;
+        select.size = 6;
+        if (group) group.style.display = '';
         return;
     }
 
-    tbody.innerHTML = troopMembers.map(member => {
-        const lastSale = member.lastSaleDate ? new Date(member.lastSaleDate).toLocaleDateString() : 'No sales';
-        const roleDisplay = {
-            'member': 'Scout',
-            'co-leader': 'Co-Leader',
-            'assistant': 'Assistant'
-        }[member.troopRole] || member.troopRole;
+    if (position === 'Scout') {
+        // Single-select scout levels, color-coded
+        if (label) label.textContent = 'Scout Level';
+        select.multiple = false;
+        select.size = 1;
 
-        return `
-            <tr>
-                <td>
-                    <div class="member-name">
-                        ${member.photoUrl ? `<img src="${member.photoUrl}" class="member-avatar" alt="">` : ''}
-                        <span>${member.firstName} ${member.lastName}</span>
-                    </div>
-                </td>
-                <td><span class="role-badge role-${member.troopRole}">${roleDisplay}</span></td>
-                <td>${member.totalBoxes}</td>
-                <td>$${parseFloat(member.totalCollected || 0).toFixed(2)}</td>
-                <td>${lastSale}</td>
-                <td>
-                    <button class="btn btn-sm btn-danger" onclick="removeMember('${member.id}')" title="Remove">
-                        ✕
-                    </button>
-                </td>
-            </tr>
-        `;
-    }).join('');
-}
+        const defaultOpt = document.createElement('option');
+        defaultOpt.value = '';
+        defaultOpt.textContent = 'Select level...';
+        select.appendChild(defaultOpt);
 
-// Render troop goals
-function renderTroopGoals() {
-    const container = document.getElementById('troopGoalsList');
-    if (!container) return;
+        SCOUT_LEVEL_OPTIONS.forEach(level => {
+            const opt = document.createElement('option');
+            opt.value = level.value;
+            opt.textContent = level.label;
+            opt.style.backgroundColor = level.color;
+            opt.style.color = isLightColor(level.color) ? '#333' : '#fff';
+            opt.style.fontWeight = '600';
+            opt.style.padding = '4px 8px';
+            select.appendChild(opt);
+        });
+    } else {
+        // Multi-select adult roles for Leader / Co-Leader / Volunteer
+        if (label) label.textContent = 'Roles (select one or more)';
+        select.multiple = true;
+        select.size = 5;
 
-    if (troopGoals.length === 0) {
-        container.innerHTML = '<p class="empty-state">No goals set. Add a goal to track progress!</p>';
-        return;
+        ADULT_ROLE_OPTIONS.forEach(role => {
+            const opt = document.createElement('option');
+            opt.value = role;
+            opt.textContent = role;
+            select.appendChild(opt);
+        });
     }
+}
 
-    container.innerHTML = troopGoals.map(goal => {
-        const targetAmount = parseFloat(goal.targetAmount || 0);
-        const actualAmount = parseFloat(goal.actualAmount || 0);
-        const progress = targetAmount > 0 ? Math.min(100, (actualAmount / targetAmount) * 100) : 0;
-        const typeLabels = {
-            'boxes_sold': 'Boxes Sold',
-            'revenue': 'Revenue',
-            'participation': 'Participation'
-        };
-
-        return `
-            <div class="goal-card">
-                <div class="goal-header">
-                    <span class="goal-type">${typeLabels[goal.goalType] || goal.goalType}</span>
-                    <span class="goal-status status-${goal.status}">${goal.status.replace('_', ' ')}</span>
-                </div>
-                <div class="goal-progress">
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${progress}%"></div>
-                    </div>
-                    <span class="progress-text">${actualAmount} / ${targetAmount}</span>
-                </div>
-                ${goal.description ? `<p class="goal-description">${goal.description}</p>` : ''}
-            </div>
-        `;
-    }).join('');
+// Helper: determine if a hex color is light (for text contrast)
+function isLightColor(hex) {
+    const c = hex.replace('#', '');
+    const r = parseInt(c.substring(0, 2), 16);
+    const g = parseInt(c.substring(2, 4), 16);
+    const b = parseInt(c.substring(4, 6), 16);
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150;
 }
 
-// Render the simple membership tab table (top-nav view)
-function renderMembershipTab() {
-    // Populate sub-panels: scout, family, leadership, volunteer
-    const scoutBody = document.getElementById('membershipTableBody_scout');
-    const familyBody = document.getElementById('membershipTableBody_family');
-    const leadershipBody = document.getElementById('membershipTableBody_leadership');
-    const volunteerBody = document.getElementById('membershipTableBody_volunteer');
+// Add a generic member to the troop
+async function addGenericMemberToTroop() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first', true);
+        return;
+    }
 
-    const members = troopMembers || [];
+    const firstName = (document.getElementById('memberFirstName')?.value || '').trim();
+    const lastName = (document.getElementById('memberLastName')?.value || '').trim();
+    const email = (document.getElementById('memberEmail')?.value || '').trim();
+    const address = (document.getElementById('memberAddress')?.value || '').trim();
+    const dateOfBirth = (document.getElementById('memberBirthdate')?.value || '') || null;
+    const den = (document.getElementById('memberDen')?.value || '').trim();
+    const familyInfo = (document.getElementById('memberFamilyInfo')?.value || '').trim();
+    const position = (document.getElementById('memberLevel')?.value || '').trim() || null;
 
-    // Scouts: treat troopRole 'member' as scouts
-    const scouts = members.filter(m => !m.troopRole || m.troopRole === 'member' || m.troopRole === 'scout');
-    if (scoutBody) {
-        if (scouts.length === 0) {
-            scoutBody.innerHTML = '<tr><td colspan="5" class="empty-state">No scouts yet.</td></tr>';
+    // Collect selected roles/level
+    const rolesSelect = document.getElementById('memberRoles');
+    const roles = [];
+    let scoutLevel = null;
+    if (rolesSelect) {
+        if (position === 'Scout') {
+            // Single select = scout level
+            scoutLevel = rolesSelect.value || null;
         } else {
-            scoutBody.innerHTML = scouts.map(m => {
-                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
-                const level = m.scoutLevel || '-';
-                const status = m.status || 'Active';
-                return `
-                    <tr>
-                        <td>${name}</td>
-                        <td>${m.troopRole || 'Scout'}</td>
-                        <td>${level}</td>
-                        <td>${status}</td>
-                        <td class="member-actions-cell">
-                            <button class="btn btn-sm" onclick="viewMember('${m.id}')">Edit</button>
-                            ${canAwardBadges() ? `<button class="btn btn-sm btn-secondary badge-award-btn" data-userid="${escapeHtml(m.id)}" data-name="${escapeHtml(name)}">+ Badge</button>` : ''}
-                        </td>
-                    </tr>
-                `;
-            }).join('');
+            Array.from(rolesSelect.selectedOptions).forEach(o => roles.push(o.value));
         }
     }
 
-    // Family: show distinct last names for members with parent role
-    if (familyBody) {
-        const families = members.filter(m => m.troopRole === 'parent' || m.troopRole === 'guardian');
-        if (families.length === 0) {
-            familyBody.innerHTML = '<tr><td class="empty-state">No family records yet.</td></tr>';
-        } else {
-            const lastNames = [...new Set(families.map(f => (f.lastName || '').trim()).filter(Boolean))];
-            familyBody.innerHTML = lastNames.map(ln => `<tr><td>${ln}</td></tr>`).join('');
-        }
+    if (!firstName || !lastName) {
+        showFeedback('First name and last name are required', true);
+        return;
     }
 
-    // Leadership: co-leader, assistant, troop_leader
-    if (leadershipBody) {
-        const leads = members.filter(m => ['co-leader', 'assistant', 'troop_leader'].includes(m.troopRole));
-        if (leads.length === 0) {
-            leadershipBody.innerHTML = '<tr><td colspan="5" class="empty-state">No leadership members</td></tr>';
-        } else {
-            leadershipBody.innerHTML = leads.map(m => {
-                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
-                return `
-                    <tr>
-                        <td>${name}</td>
-                        <td>${m.troopRole}</td>
-                        <td>${m.scoutLevel || '-'}</td>
-                        <td>${m.status || 'Active'}</td>
-                        <td><button class="btn" onclick="viewMember('${m.id}')">Edit</button></td>
-                    </tr>
-                `;
-            }).join('');
+    const payload = {
+        firstName: firstName || null,
+        lastName: lastName || null,
+        email: email || null,
+        address: address || null,
+        dateOfBirth: dateOfBirth,
+        den: den || null,
+        familyInfo: familyInfo || null,
+        level: scoutLevel,
+        position: position,
+        roles: roles
+    };
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            throw new Error(err.error || 'Failed to add member');
         }
+
+        showFeedback('Member added successfully!');
+        closeAddMemberModal();
+        await loadTroopData(selectedTroopId);
+    } catch (error) {
+        console.error('Error adding member:', error);
+        showFeedback(error.message || 'Failed to add member', true);
     }
+}
 
-    // Volunteers
-    if (volunteerBody) {
-        const vols = members.filter(m => m.troopRole === 'volunteer' || m.troopRole === 'parent');
-        if (vols.length === 0) {
-            volunteerBody.innerHTML = '<tr><td colspan="5" class="empty-state">No volunteers</td></tr>';
-        } else {
-            volunteerBody.innerHTML = vols.map(m => {
-                const name = `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.email || 'Unknown';
-                return `
-                    <tr>
-                        <td>${name}</td>
-                        <td>${m.troopRole}</td>
-                        <td>${m.scoutLevel || '-'}</td>
-                        <td>${m.status || 'Active'}</td>
-                        <td><button class="btn" onclick="viewMember('${m.id}')">Edit</button></td>
-                    </tr>
-                `;
-            }).join('');
-        }
+// Add new scout with parent information to troop
+async function addNewScoutToTroop() {
+    if (!selectedTroopId) {
+        showFeedback('Please select a troop first', true);
+        return;
     }
 
-    // Update Add Member button label based on active subtab
-    updateAddMemberButtonLabel();
-}
+    // Validate required fields
+    const scoutFirstName = document.getElementById('scoutFirstName').value.trim();
+    const scoutLastName = document.getElementById('scoutLastName').value.trim();
+    const parentFirstName = document.getElementById('parentFirstName').value.trim();
+    const parentLastName = document.getElementById('parentLastName').value.trim();
+    const parentRole = document.getElementById('parentRole').value;
 
-function updateAddMemberButtonLabel() {
-    const active = document.querySelector('.membership-subtab.active');
-    const addBtn = document.getElementById('addMemberBtnMembership');
-    if (!addBtn) return;
-    const map = {
-        scout: 'Add Scout',
-        family: 'Add Family',
-        leadership: 'Add Leadership',
-        volunteer: 'Add Volunteer'
+    if (!scoutFirstName || !scoutLastName) {
+        showFeedback('Scout name is required', true);
+        return;
+    }
+
+    if (!parentFirstName || !parentLastName) {
+        showFeedback('Parent name is required', true);
+        return;
+    }
+
+    if (!parentRole) {
+        showFeedback('Parent role is required', true);
+        return;
+    }
+
+    // Build request body
+    const requestData = {
+        scoutFirstName,
+        scoutLastName,
+        scoutLevel: document.getElementById('scoutLevel').value || null,
+        scoutDateOfBirth: document.getElementById('scoutDateOfBirth').value || null,
+        parentFirstName,
+        parentLastName,
+        parentEmail: document.getElementById('parentEmail').value.trim() || null,
+        parentPhone: document.getElementById('parentPhone').value.trim() || null,
+        parentRole,
+        secondaryParentFirstName: document.getElementById('secondaryParentFirstName').value.trim() || null,
+        secondaryParentLastName: document.getElementById('secondaryParentLastName').value.trim() || null,
+        secondaryParentEmail: document.getElementById('secondaryParentEmail').value.trim() || null,
+        secondaryParentPhone: document.getElementById('secondaryParentPhone').value.trim() || null,
+        secondaryParentRole: document.getElementById('secondaryParentRole').value || null
     };
-    const label = active ? map[active.dataset.sub] || 'Add Member' : 'Add Member';
-    addBtn.textContent = label;
-}
 
-// Simple view member handler (placeholder - can open detailed modal)
-function viewMember(memberId) {
-    const member = troopMembers.find(m => m.id === memberId);
-    if (!member) return showFeedback('Member not found', true);
-    alert(`Member:\n\nName: ${member.firstName} ${member.lastName}\nRole: ${member.troopRole || '-'}\nLevel: ${member.scoutLevel || '-'}\nEmail: ${member.email || '--'}`);
-}
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/scout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(requestData)
+        });
 
-// Render sales by cookie type
-function renderTroopSalesByCookie() {
-    const container = document.getElementById('troopSalesByCookie');
-    if (!container) return;
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add scout');
+        }
 
-    const salesByCookie = troopSalesData?.salesByCookie || [];
+        showFeedback('Scout and parent added successfully!');
+        closeAddMemberModal();
+        loadTroopData(selectedTroopId);
 
-    if (salesByCookie.length === 0) {
-        container.innerHTML = '<p class="empty-state">No sales data yet</p>';
+    } catch (error) {
+        console.error('Error adding scout:', error);
+        showFeedback(error.message, true);
+    }
+}
+
+// Add member to troop
+async function addMemberToTroop() {
+    if (!selectedMemberEmail || !selectedTroopId) {
+        showFeedback('Please select a member to add', true);
         return;
     }
 
-    // Find max quantity for scaling bars
-    const maxQty = Math.max(...salesByCookie.map(i => i.totalQuantity));
+    const role = document.getElementById('memberRole').value;
 
-    container.innerHTML = salesByCookie.map(item => {
-        const pct = maxQty > 0 ? Math.round((item.totalQuantity / maxQty) * 100) : 0;
-        return `
-            <div class="cookie-sale-item-v2" style="margin-bottom: var(--space-md);">
-                <div style="display:flex; justify-content:space-between; margin-bottom:4px;">
-                    <span class="cookie-name" style="font-weight:600;">${item.cookieType}</span>
-                    <span class="cookie-quantity">${item.totalQuantity} boxes</span>
-                </div>
-                <div class="progress-bar-container" style="height: 8px; background: var(--gray-200); border-radius: 4px; overflow: hidden;">
-                    <div class="progress-bar-fill" style="width: ${pct}%; height: 100%; background: var(--primary-color); border-radius: 4px;"></div>
-                </div>
-                <div style="text-align:right; font-size:0.8rem; color: #666; margin-top:2px;">
-                    $${parseFloat(item.totalCollected || 0).toFixed(2)}
-                </div>
-            </div>
-        `;
-    }).join('');
-}
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                email: selectedMemberEmail,
+                role
+            })
+        });
 
-// ============================================================================
-// Privilege Management Functions
-// ============================================================================
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to add member');
+        }
 
-function populatePermsMemberDropdown() {
-    const select = document.getElementById('permsMemberSelect');
-    if (!select) return;
+        showFeedback('Member added successfully!');
+        closeAddMemberModal();
+        selectedMemberEmail = null;
 
-    const currentValue = select.value;
-    select.innerHTML = '<option value="">Choose a member...</option>';
+        // Reload troop data
+        loadTroopData(selectedTroopId);
 
-    if (!troopMembers || troopMembers.length === 0) return;
+    } catch (error) {
+        console.error('Error adding member:', error);
+        showFeedback(error.message, true);
+    }
+}
 
-    // Filter out the current user (no self-modification)
-    const members = troopMembers.filter(m => m.id !== currentUser?.id && m.status !== 'inactive');
-    members.sort((a, b) => {
-        const nameA = `${a.lastName || ''}, ${a.firstName || ''}`.toLowerCase();
-        const nameB = `${b.lastName || ''}, ${b.firstName || ''}`.toLowerCase();
-        return nameA.localeCompare(nameB);
-    });
+// Remove member from troop
+async function removeMember(userId) {
+    if (!selectedTroopId) return;
 
-    for (const m of members) {
-        const opt = document.createElement('option');
-        opt.value = m.id;
-        const role = m.troopRole || m.role || 'member';
-        opt.textContent = `${m.lastName || ''}, ${m.firstName || ''} (${role})`;
-        select.appendChild(opt);
-    }
+    const confirmed = confirm('Are you sure you want to remove this member from the troop?');
+    if (!confirmed) return;
 
-    // Restore selection if still valid
-    if (currentValue && members.some(m => m.id === currentValue)) {
-        select.value = currentValue;
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${userId}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to remove member');
+        }
+
+        showFeedback('Member removed');
+        loadTroopData(selectedTroopId);
+
+    } catch (error) {
+        console.error('Error removing member:', error);
+        showFeedback(error.message, true);
     }
 }
 
-async function loadMemberPrivileges() {
-    const select = document.getElementById('permsMemberSelect');
-    const userId = select ? select.value : '';
-    const container = document.getElementById('permsMatrixContainer');
-    const emptyState = document.getElementById('permsEmptyState');
+// Create troop goal
+async function createGoal() {
+    const goalType = document.getElementById('goalType').value;
+    const targetAmount = parseFloat(document.getElementById('goalTarget').value);
+    const startDate = document.getElementById('goalStartDate').value;
+    const endDate = document.getElementById('goalEndDate').value;
+    const description = document.getElementById('goalDescription').value.trim();
 
-    if (!userId) {
-        if (container) container.style.display = 'none';
-        if (emptyState) emptyState.style.display = '';
-        currentPermsUserId = null;
-        currentPermsMemberRole = null;
+    if (!goalType || !targetAmount || targetAmount <= 0) {
+        showFeedback('Please fill in required fields', true);
         return;
     }
 
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${userId}/privileges`, {
-            credentials: 'include'
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/goals`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                goalType,
+                targetAmount,
+                startDate: startDate || new Date().toISOString(),
+                endDate: endDate || null,
+                description
+            })
         });
-        await handleApiResponse(res);
-        const data = await res.json();
 
-        currentPermsUserId = userId;
-        currentPermsMemberRole = data.member.troopRole;
-
-        // Show member info
-        const memberInfo = document.getElementById('permsMemberInfo');
-        if (memberInfo) {
-            memberInfo.innerHTML = `
-                <strong>${data.member.firstName} ${data.member.lastName}</strong>
-                <span class="role-badge role-${data.member.troopRole}">${data.member.troopRole}</span>
-            `;
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to create goal');
         }
 
-        renderPrivilegeMatrix(data.privileges);
+        showFeedback('Goal created successfully!');
+        closeAddGoalModal();
+
+        // Reload troop data
+        loadTroopData(selectedTroopId);
 
-        if (container) container.style.display = '';
-        if (emptyState) emptyState.style.display = 'none';
     } catch (error) {
-        console.error('Failed to load privileges:', error);
-        showFeedback('Failed to load member privileges', true);
+        console.error('Error creating goal:', error);
+        showFeedback(error.message, true);
     }
 }
 
-function renderPrivilegeMatrix(privileges) {
-    const tbody = document.getElementById('permsMatrixBody');
-    if (!tbody) return;
+// ============================================================================
+// Phase 3: Cookie Catalog and Nutrition
+// ============================================================================
 
-    let html = '';
-    let lastCategory = '';
+let cookieCatalog = [];
 
-    for (const priv of privileges) {
-        // Category header row
-        if (priv.category !== lastCategory) {
-            lastCategory = priv.category;
-            html += `<tr class="priv-category-row"><td colspan="7">${priv.category}</td></tr>`;
+async function loadCookieCatalog() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/cookies`, { credentials: 'include' });
+        if (response.ok) {
+            cookieCatalog = await response.json();
         }
+    } catch (error) {
+        console.error('Error loading cookie catalog:', error);
+        cookieCatalog = [];
+    }
+}
 
-        const isOverride = priv.effectiveScope !== priv.defaultScope;
-        const rowClass = isOverride ? 'priv-row-override' : '';
-        const futureTag = priv.future ? ' <span class="priv-future-tag">(future)</span>' : '';
+function getAttributeIcon(value) {
+    const icons = {
+        'vegan': '🌱',
+        'gluten_free': 'GF',
+        'contains_peanuts': '🥜',
+        'contains_tree_nuts': '🌰',
+        'contains_coconut': '🥥',
+        'kosher': '✡️'
+    };
+    return icons[value] || '•';
+}
 
-        html += `<tr class="${rowClass}" data-code="${priv.code}">`;
-        html += `<td class="priv-name-col">${priv.name}${futureTag}</td>`;
+async function showNutritionModal(cookieId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/cookies/${cookieId}`, { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load cookie data');
 
-        for (const scope of SCOPE_ORDER) {
-            const checked = priv.effectiveScope === scope ? 'checked' : '';
-            html += `<td class="priv-scope-col">
-                <input type="radio" name="priv_${priv.code}" value="${scope}" ${checked}
-                    data-code="${priv.code}" data-default="${priv.defaultScope}">
-            </td>`;
-        }
+        const cookie = await response.json();
 
-        html += `<td class="priv-default-col">${priv.defaultScope === 'none' ? '---' : priv.defaultScope}</td>`;
-        html += '</tr>';
-    }
+        document.getElementById('nutritionCookieName').textContent = cookie.cookieName;
 
-    tbody.innerHTML = html;
+        if (cookie.nutrition) {
+            document.getElementById('nutritionServing').textContent =
+                `Serving Size: ${cookie.nutrition.servingSize || '--'} (${cookie.nutrition.servingsPerBox || '--'} servings per box)`;
 
-    // Add change listeners to highlight overrides
-    tbody.querySelectorAll('input[type="radio"]').forEach(radio => {
-        radio.addEventListener('change', (e) => {
-            const row = e.target.closest('tr');
-            const defaultScope = e.target.dataset.default;
-            if (e.target.value !== defaultScope) {
-                row.classList.add('priv-row-override');
-            } else {
-                row.classList.remove('priv-row-override');
-            }
-        });
-    });
-}
+            document.getElementById('nutritionTableBody').innerHTML = `
+                <tr><td>Calories</td><td>${cookie.nutrition.calories || '--'}</td></tr>
+                <tr><td>Total Fat</td><td>${cookie.nutrition.totalFat || '--'}g</td></tr>
+                <tr class="nutrient-indent"><td>Saturated Fat</td><td>${cookie.nutrition.saturatedFat || '--'}g</td></tr>
+                <tr class="nutrient-indent"><td>Trans Fat</td><td>${cookie.nutrition.transFat || '--'}g</td></tr>
+                <tr><td>Cholesterol</td><td>${cookie.nutrition.cholesterol || '--'}mg</td></tr>
+                <tr><td>Sodium</td><td>${cookie.nutrition.sodium || '--'}mg</td></tr>
+                <tr><td>Total Carbs</td><td>${cookie.nutrition.totalCarbs || '--'}g</td></tr>
+                <tr class="nutrient-indent"><td>Dietary Fiber</td><td>${cookie.nutrition.dietaryFiber || '--'}g</td></tr>
+                <tr class="nutrient-indent"><td>Sugars</td><td>${cookie.nutrition.sugars || '--'}g</td></tr>
+                <tr><td>Protein</td><td>${cookie.nutrition.protein || '--'}g</td></tr>
+            `;
 
-function collectPrivilegeOverrides() {
-    const overrides = [];
-    for (const priv of PRIVILEGE_DEFINITIONS) {
-        const checked = document.querySelector(`input[name="priv_${priv.code}"]:checked`);
-        if (checked) {
-            overrides.push({ code: priv.code, scope: checked.value });
+            document.getElementById('ingredientsList').textContent =
+                cookie.nutrition.ingredients || 'Not available';
+        } else {
+            document.getElementById('nutritionServing').textContent = 'Nutrition information not available';
+            document.getElementById('nutritionTableBody').innerHTML = '';
+            document.getElementById('ingredientsList').textContent = '--';
+        }
+
+        // Show attributes
+        const attributesContainer = document.getElementById('nutritionAttributes');
+        if (cookie.attributes && cookie.attributes.length > 0) {
+            attributesContainer.innerHTML = cookie.attributes.map(attr =>
+                `<span class="cookie-badge ${attr.attributeType}">${getAttributeIcon(attr.attributeValue)} ${attr.displayLabel}</span>`
+            ).join('');
+        } else {
+            attributesContainer.innerHTML = '';
         }
+
+        document.getElementById('nutritionModal').style.display = 'flex';
+    } catch (error) {
+        console.error('Error showing nutrition modal:', error);
+        showFeedback('Failed to load nutrition info', true);
     }
-    return overrides;
 }
 
-async function savePrivilegeOverrides() {
-    if (!currentPermsUserId || !selectedTroopId) return;
-
-    const overrides = collectPrivilegeOverrides();
+function closeNutritionModal() {
+    document.getElementById('nutritionModal').style.display = 'none';
+}
 
-    try {
-        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${currentPermsUserId}/privileges`, {
-            method: 'PUT',
-            credentials: 'include',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ overrides })
-        });
-        await handleApiResponse(res);
-        const data = await res.json();
+// ============================================================================
+// Phase 3: Invitation System
+// ============================================================================
 
-        // Re-render with saved state
-        renderPrivilegeMatrix(data.privileges);
-        showFeedback('Permissions saved successfully');
+let pendingInvitations = [];
+
+async function loadInvitations() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/invitations`, { credentials: 'include' });
+        if (response.ok) {
+            pendingInvitations = await response.json();
+            updateInvitationBadge();
+        }
     } catch (error) {
-        console.error('Failed to save privileges:', error);
-        showFeedback('Failed to save permissions', true);
+        console.error('Error loading invitations:', error);
+        pendingInvitations = [];
     }
 }
 
-async function resetPrivilegesToDefaults() {
-    if (!currentPermsUserId || !selectedTroopId) return;
-    if (!confirm('Reset all privileges to role defaults? You must click Save to apply.')) return;
-
-    // Reset radios to defaults using client-side constants
-    const roleDefaults = ROLE_PRIVILEGE_DEFAULTS[currentPermsMemberRole] || ROLE_PRIVILEGE_DEFAULTS.member;
+function updateInvitationBadge() {
+    const btn = document.getElementById('invitationsBtn');
+    const badge = document.getElementById('invitationBadge');
 
-    for (const priv of PRIVILEGE_DEFINITIONS) {
-        const defaultScope = roleDefaults[priv.code] || 'none';
-        const radio = document.querySelector(`input[name="priv_${priv.code}"][value="${defaultScope}"]`);
-        if (radio) {
-            radio.checked = true;
-            const row = radio.closest('tr');
-            if (row) row.classList.remove('priv-row-override');
-        }
+    if (pendingInvitations.length > 0) {
+        if (btn) btn.style.display = 'flex';
+        if (badge) badge.textContent = pendingInvitations.length;
+    } else {
+        if (btn) btn.style.display = 'none';
     }
 }
 
-// Modal functions
-function openCreateTroopModal() {
-    document.getElementById('createTroopModal').style.display = 'flex';
+function openInvitationsModal() {
+    renderInvitations();
+    document.getElementById('invitationsModal').style.display = 'flex';
 }
 
-function closeCreateTroopModal() {
-    document.getElementById('createTroopModal').style.display = 'none';
-    // Clear form
-    document.getElementById('newTroopNumber').value = '';
-    document.getElementById('newTroopType').value = '';
-    document.getElementById('newTroopMeetingLocation').value = '';
-    document.getElementById('newTroopMeetingDay').value = '';
-    document.getElementById('newTroopMeetingTime').value = '';
+function closeInvitationsModal() {
+    document.getElementById('invitationsModal').style.display = 'none';
 }
 
-function openAddMemberModal() {
-    if (!selectedTroopId) {
-        showFeedback('Please select a troop first', true);
+function renderInvitations() {
+    const container = document.getElementById('invitationsList');
+    if (!container) return;
+
+    if (pendingInvitations.length === 0) {
+        container.innerHTML = '<p class="empty-state">No pending invitations</p>';
         return;
     }
-    // Determine active membership subtab to set modal defaults
-    const activeSub = document.querySelector('.membership-subtab.active');
-    const subtype = activeSub ? activeSub.dataset.sub : null;
-    const header = document.querySelector('#addMemberModal .modal-header h3');
-    const confirmBtn = document.getElementById('confirmAddMemberBtn');
 
-    let defaultPosition = '';
-    let headerLabel = 'Add Member';
-    if (subtype === 'scout') {
-        defaultPosition = 'Scout';
-        headerLabel = 'Add Scout';
-    } else if (subtype === 'family') {
-        defaultPosition = 'Troop Volunteer';
-        headerLabel = 'Add Family';
-    } else if (subtype === 'leadership') {
-        defaultPosition = 'Co-Leader';
-        headerLabel = 'Add Leadership';
-    } else if (subtype === 'volunteer') {
-        defaultPosition = 'Troop Volunteer';
-        headerLabel = 'Add Volunteer';
-    }
+    container.innerHTML = pendingInvitations.map(inv => `
+        <div class="invitation-item">
+            <h4>Troop ${inv.troopNumber}${inv.troopName ? ` - ${inv.troopName}` : ''}</h4>
+            <p>You've been invited to join as a <strong>${inv.invitedRole}</strong></p>
+            <div class="invitation-meta">
+                Invited by ${inv.inviterFirstName} ${inv.inviterLastName}
+            </div>
+            <div class="invitation-actions">
+                <button class="btn btn-primary btn-sm" onclick="acceptInvitation(${inv.id})">Accept</button>
+                <button class="btn btn-secondary btn-sm" onclick="declineInvitation(${inv.id})">Decline</button>
+            </div>
+        </div>
+    `).join('');
+}
 
-    if (header) header.textContent = headerLabel;
-    if (confirmBtn) confirmBtn.textContent = 'Save';
+async function acceptInvitation(invitationId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/invitations/${invitationId}/accept`, {
+            method: 'POST',
+            credentials: 'include'
+        });
 
-    // Populate roles based on current position selection and show modal
-    const memberLevelSelect = document.getElementById('memberLevel');
-    if (memberLevelSelect && defaultPosition) memberLevelSelect.value = defaultPosition;
-    const currentPosition = document.getElementById('memberLevel')?.value || '';
-    populateMemberRolesSelect(currentPosition);
-    document.getElementById('addMemberModal').style.display = 'flex';
-}
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to accept invitation');
+        }
 
-function closeAddMemberModal() {
-    document.getElementById('addMemberModal').style.display = 'none';
-    // Clear generic add-member form fields
-    const fields = [
-        'memberFirstName','memberLastName','memberEmail','memberAddress','memberBirthdate','memberDen','memberFamilyInfo','memberLevel'
-    ];
-    fields.forEach(id => {
-        const el = document.getElementById(id);
-        if (!el) return;
-        if (el.tagName === 'SELECT') el.selectedIndex = 0; else el.value = '';
-    });
-    // Clear roles options
-    const rolesSelect = document.getElementById('memberRoles');
-    if (rolesSelect) rolesSelect.innerHTML = '';
+        showFeedback('Invitation accepted! You are now a member of the troop.');
+        await loadInvitations();
+        renderInvitations();
+        await loadMyTroops();
+    } catch (error) {
+        console.error('Error accepting invitation:', error);
+        showFeedback(error.message, true);
+    }
 }
 
-function openAddGoalModal() {
-    if (!selectedTroopId) {
-        showFeedback('Please select a troop first', true);
-        return;
+async function declineInvitation(invitationId) {
+    if (!confirm('Are you sure you want to decline this invitation?')) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/invitations/${invitationId}/decline`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        if (!response.ok) throw new Error('Failed to decline invitation');
+
+        showFeedback('Invitation declined');
+        await loadInvitations();
+        renderInvitations();
+    } catch (error) {
+        console.error('Error declining invitation:', error);
+        showFeedback('Failed to decline invitation', true);
     }
-    // Set default dates
-    const today = new Date().toISOString().split('T')[0];
-    document.getElementById('goalStartDate').value = today;
-    document.getElementById('addGoalModal').style.display = 'flex';
 }
 
-function closeAddGoalModal() {
-    document.getElementById('addGoalModal').style.display = 'none';
-    document.getElementById('goalType').value = '';
-    document.getElementById('goalTarget').value = '';
-    document.getElementById('goalStartDate').value = '';
-    document.getElementById('goalEndDate').value = '';
-    document.getElementById('goalDescription').value = '';
+function openSendInviteModal() {
+    document.getElementById('inviteEmail').value = '';
+    document.getElementById('inviteRole').value = 'scout';
+    document.getElementById('sendInviteModal').style.display = 'flex';
 }
 
-// Create a new troop
-async function createTroop() {
-    const troopNumber = document.getElementById('newTroopNumber').value.trim();
-    const troopType = document.getElementById('newTroopType').value;
-    const meetingLocation = document.getElementById('newTroopMeetingLocation').value.trim();
-    const meetingDay = document.getElementById('newTroopMeetingDay').value;
-    const meetingTime = document.getElementById('newTroopMeetingTime').value;
+function closeSendInviteModal() {
+    document.getElementById('sendInviteModal').style.display = 'none';
+}
 
-    if (!troopNumber || !troopType) {
-        showFeedback('Please fill in required fields', true);
+async function sendInvitation() {
+    const email = document.getElementById('inviteEmail').value.trim();
+    const role = document.getElementById('inviteRole').value;
+
+    if (!email || !selectedTroopId) {
+        showFeedback('Please enter an email address', true);
         return;
     }
 
     try {
-        const response = await fetch(`${API_BASE_URL}/troop`, {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/invite`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             credentials: 'include',
-            body: JSON.stringify({
-                troopNumber,
-                troopType,
-                meetingLocation,
-                meetingDay,
-                meetingTime
-            })
+            body: JSON.stringify({ email, role })
         });
 
+        const result = await response.json();
+
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to create troop');
+            throw new Error(result.error || 'Failed to send invitation');
         }
 
-        const newTroop = await response.json();
-        showFeedback(`Troop ${troopNumber} created successfully!`);
-        closeCreateTroopModal();
-
-        // Reload troops and select the new one
-        await loadMyTroops();
-        document.getElementById('troopSelector').value = newTroop.id;
-        selectedTroopId = newTroop.id;
-        loadTroopData(newTroop.id);
-
+        showFeedback('Invitation sent successfully!');
+        closeSendInviteModal();
     } catch (error) {
-        console.error('Error creating troop:', error);
+        console.error('Error sending invitation:', error);
         showFeedback(error.message, true);
     }
 }
 
-// Tab switching for Add Member modal
-function switchToNewScoutTab() {
-    document.getElementById('tabNewScout').classList.add('active');
-    document.getElementById('tabExistingUser').classList.remove('active');
-    document.getElementById('tabContentNewScout').style.display = 'block';
-    document.getElementById('tabContentExistingUser').style.display = 'none';
-}
+// ============================================================================
+// Phase 3: Leaderboard
+// ============================================================================
 
-function switchToExistingUserTab() {
-    document.getElementById('tabExistingUser').classList.add('active');
-    document.getElementById('tabNewScout').classList.remove('active');
-    document.getElementById('tabContentExistingUser').style.display = 'block';
-    document.getElementById('tabContentNewScout').style.display = 'none';
+let leaderboardData = [];
+
+async function loadLeaderboard() {
+    if (!selectedTroopId) return;
+
+    const metricSelect = document.getElementById('leaderboardMetric');
+    const metric = metricSelect ? metricSelect.value : 'boxes';
+
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/troop/${selectedTroopId}/leaderboard?limit=10&metric=${metric}${seasonQuery('&')}`,
+            { credentials: 'include' }
+        );
+
+        if (response.ok) {
+            leaderboardData = await response.json();
+            renderLeaderboard();
+        }
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+        leaderboardData = [];
+    }
 }
 
-// Search users for adding members
-let selectedMemberEmail = null;
-
-async function searchUsers(query) {
-    const resultsContainer = document.getElementById('memberSearchResults');
-    const confirmBtn = document.getElementById('confirmAddMemberBtn');
+function renderLeaderboard() {
+    const container = document.getElementById('leaderboardList');
+    if (!container) return;
 
-    if (!query || query.length < 2) {
-        resultsContainer.innerHTML = '';
-        confirmBtn.disabled = true;
+    if (leaderboardData.length === 0) {
+        container.innerHTML = '<p class="empty-state">No sales data yet</p>';
         return;
     }
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/users/search?q=${encodeURIComponent(query)}`, {
-            credentials: 'include'
-        });
+    const metricSelect = document.getElementById('leaderboardMetric');
+    const metric = metricSelect ? metricSelect.value : 'boxes';
 
-        if (!response.ok) throw new Error('Search failed');
+    container.innerHTML = leaderboardData.map((member, index) => `
+        <div class="leaderboard-item ${index < 3 ? 'top-three' : ''}">
+            <span class="rank">${member.rank}</span>
+            <div class="member-info">
+                <span class="member-name">${member.firstName} ${member.lastName}</span>
+            </div>
+            <span class="score">${metric === 'revenue' ? '$' + parseFloat(member.totalRevenue || 0).toFixed(2) : member.totalBoxes + ' boxes'}</span>
+        </div>
+    `).join('');
+}
 
-        const users = await response.json();
+// ============================================================================
+// Phase 3: Enhanced Goal Management
+// ============================================================================
 
-        if (users.length === 0) {
-            resultsContainer.innerHTML = '<div class="search-no-results">No users found</div>';
-            confirmBtn.disabled = true;
-            return;
-        }
+async function loadGoalProgress() {
+    if (!selectedTroopId) return;
 
-        resultsContainer.innerHTML = users.map(user => `
-            <div class="search-result-item" onclick="selectMember('${user.email}', '${user.firstName} ${user.lastName}')">
-                <span class="result-name">${user.firstName} ${user.lastName}</span>
-                <span class="result-email">${user.email}</span>
-            </div>
-        `).join('');
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/troop/${selectedTroopId}/goals/progress`,
+            { credentials: 'include' }
+        );
 
+        if (response.ok) {
+            const goalsWithProgress = await response.json();
+            renderTroopGoalsWithProgress(goalsWithProgress);
+        }
     } catch (error) {
-        console.error('Search error:', error);
-        resultsContainer.innerHTML = '<div class="search-error">Search failed</div>';
+        console.error('Error loading goal progress:', error);
     }
 }
 
-function selectMember(email, name) {
-    selectedMemberEmail = email;
-    document.getElementById('memberSearchEmail').value = email;
-    document.getElementById('memberSearchResults').innerHTML = `<div class="search-selected">Selected: ${name}</div>`;
-    document.getElementById('confirmAddMemberBtn').disabled = false;
-}
-
-// Submit Add Member (generic form)
-async function submitAddMember() {
-    // Determine which subtab is active and map to position/role
-    if (!selectedTroopId) return showFeedback('Please select a troop first', true);
-
-    const activeSub = document.querySelector('.membership-subtab.active');
-    const subtype = activeSub ? activeSub.dataset.sub : null;
-
-    // Collect form values
-    const firstName = (document.getElementById('memberFirstName')?.value || '').trim();
-    const lastName = (document.getElementById('memberLastName')?.value || '').trim();
-    const email = (document.getElementById('memberEmail')?.value || '').trim();
-    const address = (document.getElementById('memberAddress')?.value || '').trim();
-    const birthdate = document.getElementById('memberBirthdate')?.value || null;
-    const familyInfo = (document.getElementById('memberFamilyInfo')?.value || '').trim();
-    const position = document.getElementById('memberLevel')?.value || '';
+function renderTroopGoalsWithProgress(goals) {
+    const container = document.getElementById('troopGoalsList');
+    if (!container) return;
 
-    if (!firstName || !lastName) {
-        return showFeedback('First and last name are required', true);
+    if (!goals || goals.length === 0) {
+        container.innerHTML = '<p class="empty-state">No goals set. Add a goal to track progress!</p>';
+        return;
     }
 
-    // For family tab, prefer creating a parent/guardian record
-    let payload = {
-        firstName,
-        lastName,
-        email: email || null,
-        address: address || null,
-        dateOfBirth: birthdate || null,
-        familyInfo: familyInfo || null,
-        position: position || null
+    const goalTypeLabels = {
+        'boxes_sold': 'Boxes Sold',
+        'total_boxes': 'Total Boxes',
+        'revenue': 'Revenue',
+        'total_revenue': 'Total Revenue',
+        'participation': 'Participation',
+        'events': 'Events',
+        'event_count': 'Event Count',
+        'donations': 'Donations'
     };
 
-    // If subtype indicates family, set position to a parent/volunteer role if not already
-    if (subtype === 'family') payload.position = payload.position || 'Troop Volunteer';
-    if (subtype === 'leadership') payload.position = payload.position || 'Co-Leader';
-    if (subtype === 'volunteer') payload.position = payload.position || 'Troop Volunteer';
-    if (subtype === 'scout') payload.position = payload.position || 'Scout';
+    container.innerHTML = goals.map(goal => {
+        const formatValue = (type, value) => {
+            const numValue = parseFloat(value || 0);
+            if (type.includes('revenue') || type === 'donations') return '$' + numValue.toFixed(2);
+            if (type === 'participation') return numValue.toFixed(1) + '%';
+            return numValue;
+        };
+
+        return `
+            <div class="goal-card">
+                <div class="goal-header">
+                    <span class="goal-type">${goalTypeLabels[goal.goalType] || goal.goalType}</span>
+                    <span class="goal-progress-text">${formatValue(goal.goalType, goal.actualAmount)} / ${formatValue(goal.goalType, goal.targetAmount)}</span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${Math.min(goal.progress, 100)}%"></div>
+                </div>
+                <div class="goal-dates">
+                    ${goal.startDate ? new Date(goal.startDate).toLocaleDateString() : ''} - ${goal.endDate ? new Date(goal.endDate).toLocaleDateString() : 'Ongoing'}
+                </div>
+                ${goal.description ? `<p style="font-size: 0.8rem; color: #666; margin-top: 0.5rem;">${goal.description}</p>` : ''}
+                <div class="goal-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="deleteGoal(${goal.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function deleteGoal(goalId) {
+    if (!confirm('Are you sure you want to delete this goal?')) return;
 
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
-            method: 'POST',
-            credentials: 'include',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/goals/${goalId}`, {
+            method: 'DELETE',
+            credentials: 'include'
         });
 
-        if (!res.ok) {
-            const err = await res.json().catch(() => ({}));
-            throw new Error(err.error || 'Failed to add member');
-        }
+        if (!response.ok) throw new Error('Failed to delete goal');
 
-        showFeedback('Member added successfully');
-        closeAddMemberModal();
-        // Refresh troop data
-        await loadTroopData(selectedTroopId);
+        showFeedback('Goal deleted');
+        loadGoalProgress();
     } catch (error) {
-        console.error('Add member error:', error);
-        showFeedback(error.message || 'Failed to add member', true);
+        console.error('Error deleting goal:', error);
+        showFeedback('Failed to delete goal', true);
     }
 }
 
-// Roles to populate the roles multi-select (based on Resources doc)
-const ADULT_ROLE_OPTIONS = [
-    'Troop Treasurer', 'Troop Cookie Manager', 'Troop Admin',
-    'Program Coordinator', 'Outdoor / Camp-Trained Adult'
-];
+// Override renderTroopGoals to use progress data
+const originalRenderTroopGoals = typeof renderTroopGoals !== 'undefined' ? renderTroopGoals : null;
 
-const SCOUT_LEVEL_OPTIONS = [
-    { value: 'Daisy',      label: 'Girl Scout Daisy (K–1)',       color: '#a0def1' },
-    { value: 'Brownie',    label: 'Brownie Girl Scout (2–3)',     color: '#d5ca9f' },
-    { value: 'Junior',     label: 'Junior Girl Scout (4–5)',      color: '#00b2be' },
-    { value: 'Cadette',    label: 'Cadette Girl Scout (6–8)',     color: '#ee3124' },
-    { value: 'Senior',     label: 'Senior Girl Scout (9–10)',     color: '#ff7818' },
-    { value: 'Ambassador', label: 'Ambassador Girl Scout (11–12)', color: '#ee3124' }
-];
+// Hook into loadTroopData to also load leaderboard and goal progress
+const originalLoadTroopData = loadTroopData;
+loadTroopData = async function(troopId) {
+    await originalLoadTroopData(troopId);
+    loadLeaderboard();
+    loadGoalProgress();
+};
 
-function onPositionChange() {
-    const position = document.getElementById('memberLevel')?.value;
-    populateMemberRolesSelect(position);
+// Setup table scroll indicators
+function setupScrollIndicators() {
+    const containers = document.querySelectorAll(
+        '.cookie-selection-table-container, .sales-table-container, .members-table-wrapper'
+    );
+
+    function updateScrollIndicators() {
+        containers.forEach(container => {
+            if (container.scrollWidth > container.clientWidth) {
+                container.classList.add('has-scroll');
+            } else {
+                container.classList.remove('has-scroll');
+            }
+        });
+    }
+
+    // Check on load and resize
+    updateScrollIndicators();
+    window.addEventListener('resize', updateScrollIndicators);
+
+    // Also check after dynamic content updates
+    containers.forEach(container => {
+        const observer = new MutationObserver(updateScrollIndicators);
+        observer.observe(container, { childList: true, subtree: true });
+    });
 }
 
-function populateMemberRolesSelect(position) {
-    const select = document.getElementById('memberRoles');
-    const label = document.getElementById('rolesLabel');
-    const group = document.getElementById('rolesGroup');
-    if (!select) return;
+// ============================================================================
+// Cookie Dashboard (Phase B)
+// ============================================================================
 
-    select.innerHTML = '';
+let cookieDashboardData = null;
+let cookieDashboardTroopId = null;
+let currentBoothId = null;
+let orderCardProducts = [];
+
+async function loadCookieDashboard() {
+    try {
+        // Find the user's troop
+        const troopsRes = await fetch(`${API_BASE_URL}/troop/my-troops`, { credentials: 'include' });
+        if (!troopsRes.ok) return;
+        const troops = await troopsRes.json();
+        if (!troops.length) return;
+
+        const troop = troops[0]; // Use first troop
+        cookieDashboardTroopId = troop.id;
+
+        // Load dashboard data
+        const dashRes = await fetch(`${API_BASE_URL}/troop/${troop.id}/cookie-dashboard${seasonQuery()}`, { credentials: 'include' });
+        if (!dashRes.ok) return;
+        cookieDashboardData = await dashRes.json();
+
+        // Set dynamic tab label
+        const tabLabel = document.getElementById('cookiesTabLabel');
+        const dashTitle = document.getElementById('cookieDashTitle');
+        const orgCode = cookieDashboardData.orgCode;
+        let productLabel = 'Products';
+        if (orgCode === 'gsusa') productLabel = 'Cookies';
+        else if (orgCode === 'sa_cub' || orgCode === 'sa_bsa') productLabel = 'Popcorn';
+        if (tabLabel) tabLabel.textContent = productLabel;
+        if (dashTitle) dashTitle.textContent = `${productLabel} Dashboard`;
 
-    if (!position) {
-        if (label) label.textContent = 'Roles';
-        select.multiple = true;
-        select.size = 6;
-        if (group) group.style.display = '';
-        return;
+        renderCookieDashboard();
+        loadQuickSaleProducts(troop.id);
+        loadBoothEvents(troop.id);
+        loadTroopProceeds(troop.id);
+        loadSeasonMilestones(troop.id);
+        loadMyInventoryTransactions(troop.id);
+        loadBoothSignupBoard(troop.id);
+        loadMyCashEnvelopes(troop.id);
+        loadBoothCashStatus(troop.id);
+        loadScoutAccounts(troop.id);
+        loadMoneyOwed(troop.id);
+        loadCustomerOrders(troop.id);
+        loadDeliveriesDue(troop.id);
+        loadCustomerBook(troop.id);
+        loadSalesImportAliases(troop.id);
+        loadReconnectCustomers(troop.id);
+        loadBoothLocations(troop.id);
+    } catch (error) {
+        console.error('Error loading cookie dashboard:', error);
     }
+}
 
-    if (position === 'Scout') {
-        // Single-select scout levels, color-coded
-        if (label) label.textContent = 'Scout Level';
-        select.multiple = false;
-        select.size = 1;
+function renderCookieDashboard() {
+    const data = cookieDashboardData;
+    if (!data) return;
 
-        const defaultOpt = document.createElement('option');
-        defaultOpt.value = '';
-        defaultOpt.textContent = 'Select level...';
-        select.appendChild(defaultOpt);
+    // Summary cards
+    document.getElementById('myTotalBoxes').textContent = data.mySales?.totalBoxes || 0;
+    document.getElementById('myTotalCollected').textContent = `$${parseFloat(data.mySales?.totalCollected || 0).toFixed(2)}`;
 
-        SCOUT_LEVEL_OPTIONS.forEach(level => {
-            const opt = document.createElement('option');
-            opt.value = level.value;
-            opt.textContent = level.label;
-            opt.style.backgroundColor = level.color;
-            opt.style.color = isLightColor(level.color) ? '#333' : '#fff';
-            opt.style.fontWeight = '600';
-            opt.style.padding = '4px 8px';
-            select.appendChild(opt);
-        });
-    } else {
-        // Multi-select adult roles for Leader / Co-Leader / Volunteer
-        if (label) label.textContent = 'Roles (select one or more)';
-        select.multiple = true;
-        select.size = 5;
+    // Goal progress
+    const goalBoxes = data.myGoal?.goalBoxes || 0;
+    const totalBoxes = parseInt(data.mySales?.totalBoxes || 0);
+    const goalPct = goalBoxes > 0 ? Math.round((totalBoxes / goalBoxes) * 100) : 0;
+    const displayPct = Math.min(100, goalPct);
+    document.getElementById('myGoalProgress').textContent = goalBoxes > 0 ? `${goalPct}%` : '--';
 
-        ADULT_ROLE_OPTIONS.forEach(role => {
-            const opt = document.createElement('option');
-            opt.value = role;
-            opt.textContent = role;
-            select.appendChild(opt);
-        });
+    // Animate goal ring
+    const goalRing = document.getElementById('goalRingProgress');
+    if (goalRing) {
+        const circumference = 283;
+        const offset = circumference - (displayPct / 100) * circumference;
+        goalRing.style.strokeDashoffset = offset;
     }
-}
-
-// Helper: determine if a hex color is light (for text contrast)
-function isLightColor(hex) {
-    const c = hex.replace('#', '');
-    const r = parseInt(c.substring(0, 2), 16);
-    const g = parseInt(c.substring(2, 4), 16);
-    const b = parseInt(c.substring(4, 6), 16);
-    return (r * 299 + g * 587 + b * 114) / 1000 > 150;
-}
 
-// Add a generic member to the troop
-async function addGenericMemberToTroop() {
-    if (!selectedTroopId) {
-        showFeedback('Please select a troop first', true);
-        return;
+    // Product breakdown
+    const breakdownEl = document.getElementById('cookieProductBreakdown');
+    if (data.myProductBreakdown?.length) {
+        breakdownEl.innerHTML = data.myProductBreakdown.map(p => `
+            <div class="cookie-product-item">
+                <div class="cookie-product-name">${p.cookieName}${p.shortName ? ` (${p.shortName})` : ''}</div>
+                <div class="cookie-product-stats">
+                    <span class="cookie-product-qty">${p.totalQuantity} boxes</span>
+                    <span class="cookie-product-rev">$${parseFloat(p.totalCollected || 0).toFixed(2)}</span>
+                </div>
+            </div>
+        `).join('');
+    } else {
+        breakdownEl.innerHTML = '<p class="empty-state">No sales recorded yet</p>';
     }
 
-    const firstName = (document.getElementById('memberFirstName')?.value || '').trim();
-    const lastName = (document.getElementById('memberLastName')?.value || '').trim();
-    const email = (document.getElementById('memberEmail')?.value || '').trim();
-    const address = (document.getElementById('memberAddress')?.value || '').trim();
-    const dateOfBirth = (document.getElementById('memberBirthdate')?.value || '') || null;
-    const den = (document.getElementById('memberDen')?.value || '').trim();
-    const familyInfo = (document.getElementById('memberFamilyInfo')?.value || '').trim();
-    const position = (document.getElementById('memberLevel')?.value || '').trim() || null;
+    // Inventory
+    const invEl = document.getElementById('cookieInventoryGrid');
+    if (data.myInventory?.length) {
+        invEl.innerHTML = data.myInventory.map(i => `
+            <div class="cookie-inv-item">
+                <span class="cookie-inv-name">${i.cookieName} (${i.shortName})</span>
+                <div class="cookie-inv-controls">
+                    <button class="inventory-btn" onclick="adjustCookieInventory('${i.productId}', -1)">-</button>
+                    <span class="cookie-inv-qty">${i.quantity}</span>
+                    <button class="inventory-btn" onclick="adjustCookieInventory('${i.productId}', 1)">+</button>
+                </div>
+            </div>
+        `).join('');
+    } else {
+        invEl.innerHTML = '<p class="empty-state">No inventory tracked yet. Record inventory from Products.</p>';
+    }
 
-    // Collect selected roles/level
-    const rolesSelect = document.getElementById('memberRoles');
-    const roles = [];
-    let scoutLevel = null;
-    if (rolesSelect) {
-        if (position === 'Scout') {
-            // Single select = scout level
-            scoutLevel = rolesSelect.value || null;
-        } else {
-            Array.from(rolesSelect.selectedOptions).forEach(o => roles.push(o.value));
-        }
+    // Recent sales
+    const recentEl = document.getElementById('cookieRecentSales');
+    if (data.recentSales?.length) {
+        recentEl.innerHTML = data.recentSales.map(s => `
+            <div class="recent-sale-item">
+                <div class="recent-sale-info">
+                    <span class="recent-sale-cookie">${s.productName || s.cookieType}</span>
+                    <span class="recent-sale-customer">${s.customerName || 'Anonymous'}</span>
+                </div>
+                <div class="recent-sale-details">
+                    <span class="recent-sale-qty">${s.quantity} box${s.quantity !== 1 ? 'es' : ''}</span>
+                    <span class="recent-sale-type">${formatSaleType(s.saleType)}</span>
+                    <span class="recent-sale-date">${new Date(s.date).toLocaleDateString()}</span>
+                </div>
+                <button class="btn btn-sm btn-danger" onclick="deleteSaleFromDashboard('${s.id}')">Del</button>
+            </div>
+        `).join('');
+    } else {
+        recentEl.innerHTML = '<p class="empty-state">No recent sales</p>';
     }
 
-    if (!firstName || !lastName) {
-        showFeedback('First name and last name are required', true);
-        return;
+    // Troop section
+    if (data.troopData) {
+        document.getElementById('cookieTroopSection').style.display = '';
+        document.getElementById('cookieTroopBoxes').textContent = data.troopData.totals?.totalBoxes || 0;
+        document.getElementById('cookieTroopCollected').textContent = `$${parseFloat(data.troopData.totals?.totalCollected || 0).toFixed(2)}`;
     }
+}
 
-    const payload = {
-        firstName: firstName || null,
-        lastName: lastName || null,
-        email: email || null,
-        address: address || null,
-        dateOfBirth: dateOfBirth,
-        den: den || null,
-        familyInfo: familyInfo || null,
-        level: scoutLevel,
-        position: position,
-        roles: roles
+function formatSaleType(type) {
+    const labels = {
+        individual: 'Individual', individual_inperson: 'In-Person',
+        individual_digital_delivered: 'Digital (Delivered)', individual_digital_shipped: 'Digital (Shipped)',
+        individual_donation: 'Donation', booth_troop: 'Troop Booth',
+        booth_family: 'Family Booth', booth_council: 'Council Booth', event: 'Event'
     };
+    return labels[type] || type;
+}
 
+async function adjustCookieInventory(productId, delta) {
     try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
-            method: 'POST',
+        const item = cookieDashboardData?.myInventory?.find(i => i.productId === productId);
+        const newQty = Math.max(0, (item?.quantity || 0) + delta);
+        await fetch(`${API_BASE_URL}/inventory/${productId}`, {
+            method: 'PUT', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify(payload)
+            body: JSON.stringify({ quantity: newQty })
         });
-
-        if (!response.ok) {
-            const err = await response.json().catch(() => ({}));
-            throw new Error(err.error || 'Failed to add member');
-        }
-
-        showFeedback('Member added successfully!');
-        closeAddMemberModal();
-        await loadTroopData(selectedTroopId);
+        loadCookieDashboard();
     } catch (error) {
-        console.error('Error adding member:', error);
-        showFeedback(error.message || 'Failed to add member', true);
+        console.error('Error adjusting inventory:', error);
     }
 }
 
-// Add new scout with parent information to troop
-async function addNewScoutToTroop() {
-    if (!selectedTroopId) {
-        showFeedback('Please select a troop first', true);
-        return;
-    }
-
-    // Validate required fields
-    const scoutFirstName = document.getElementById('scoutFirstName').value.trim();
-    const scoutLastName = document.getElementById('scoutLastName').value.trim();
-    const parentFirstName = document.getElementById('parentFirstName').value.trim();
-    const parentLastName = document.getElementById('parentLastName').value.trim();
-    const parentRole = document.getElementById('parentRole').value;
-
-    if (!scoutFirstName || !scoutLastName) {
-        showFeedback('Scout name is required', true);
-        return;
-    }
-
-    if (!parentFirstName || !parentLastName) {
-        showFeedback('Parent name is required', true);
-        return;
-    }
-
-    if (!parentRole) {
-        showFeedback('Parent role is required', true);
-        return;
+async function loadQuickSaleProducts(troopId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/products`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        const select = document.getElementById('qsProduct');
+        if (!select) return;
+        orderCardProducts = data.products || [];
+        select.innerHTML = '<option value="">Select cookie...</option>' +
+            orderCardProducts.map(p => `<option value="${p.id}">${p.cookieName} (${p.shortName}) - $${p.pricePerBox}</option>`).join('');
+    } catch (error) {
+        console.error('Error loading products for quick sale:', error);
     }
+}
 
-    // Build request body
-    const requestData = {
-        scoutFirstName,
-        scoutLastName,
-        scoutLevel: document.getElementById('scoutLevel').value || null,
-        scoutDateOfBirth: document.getElementById('scoutDateOfBirth').value || null,
-        parentFirstName,
-        parentLastName,
-        parentEmail: document.getElementById('parentEmail').value.trim() || null,
-        parentPhone: document.getElementById('parentPhone').value.trim() || null,
-        parentRole,
-        secondaryParentFirstName: document.getElementById('secondaryParentFirstName').value.trim() || null,
-        secondaryParentLastName: document.getElementById('secondaryParentLastName').value.trim() || null,
-        secondaryParentEmail: document.getElementById('secondaryParentEmail').value.trim() || null,
-        secondaryParentPhone: document.getElementById('secondaryParentPhone').value.trim() || null,
-        secondaryParentRole: document.getElementById('secondaryParentRole').value || null
-    };
-
-    try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/scout`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify(requestData)
-        });
+// Quick Sale Form
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('quickSaleForm');
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const productId = document.getElementById('qsProduct').value;
+            const quantity = parseInt(document.getElementById('qsQuantity').value);
+            const saleType = document.getElementById('qsSaleType').value;
+            const customerName = document.getElementById('qsCustomer').value.trim();
+            const customer = currentUser && findBookCustomer(customerName, currentUser.id);
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to add scout');
-        }
+            if (!productId || !quantity) return alert('Please select a product and quantity');
 
-        showFeedback('Scout and parent added successfully!');
-        closeAddMemberModal();
-        loadTroopData(selectedTroopId);
+            try {
+                const res = await fetch(`${API_BASE_URL}/sales`, {
+                    method: 'POST', credentials: 'include',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ productId, quantity, saleType, customerName, customerId: customer ? customer.id : null, date: new Date().toISOString().split('T')[0] })
+                });
+                if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+                document.getElementById('qsQuantity').value = 1;
+                document.getElementById('qsCustomer').value = '';
+                loadCookieDashboard();
+            } catch (error) {
+                alert('Error recording sale: ' + error.message);
+            }
+        });
+    }
+});
 
+async function deleteSaleFromDashboard(saleId) {
+    if (!confirm('Delete this sale?')) return;
+    try {
+        await fetch(`${API_BASE_URL}/sales/${saleId}`, { method: 'DELETE', credentials: 'include' });
+        loadCookieDashboard();
     } catch (error) {
-        console.error('Error adding scout:', error);
-        showFeedback(error.message, true);
+        alert('Error deleting sale: ' + error.message);
     }
 }
 
-// Add member to troop
-async function addMemberToTroop() {
-    if (!selectedMemberEmail || !selectedTroopId) {
-        showFeedback('Please select a member to add', true);
-        return;
-    }
+// ============================================================================
+// Goal Getter Order Card (Phase B.3)
+// ============================================================================
 
-    const role = document.getElementById('memberRole').value;
+function toggleOrderCard() {
+    const container = document.getElementById('orderCardContainer');
+    container.classList.toggle('hidden');
+    if (!container.classList.contains('hidden')) {
+        setupOrderCard();
+    }
+}
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({
-                email: selectedMemberEmail,
-                role
-            })
-        });
+function setupOrderCard() {
+    if (!orderCardProducts.length) return;
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to add member');
-        }
+    // Header info
+    const scoutName = currentUser ? `${currentUser.firstName} ${currentUser.lastName}` : '';
+    document.getElementById('orderCardScoutName').textContent = scoutName;
+    document.getElementById('orderCardTroop').textContent = `Troop ${cookieDashboardData?.troopData?.goal?.troopId ? '' : ''}`;
+    document.getElementById('orderCardGoal').textContent = `Goal: ${cookieDashboardData?.myGoal?.goalBoxes || 0} boxes`;
 
-        showFeedback('Member added successfully!');
-        closeAddMemberModal();
-        selectedMemberEmail = null;
+    // Build table header with product columns
+    const thead = document.getElementById('orderCardHead');
+    thead.innerHTML = `<tr>
+        <th>Customer</th><th>Phone</th>
+        ${orderCardProducts.map(p => `<th class="oc-product-col" title="${p.cookieName}">${p.shortName}</th>`).join('')}
+        <th>Total</th><th>Paid</th>
+    </tr>`;
 
-        // Reload troop data
-        loadTroopData(selectedTroopId);
+    // Build footer totals
+    const tfoot = document.getElementById('orderCardFoot');
+    tfoot.innerHTML = `<tr>
+        <td colspan="2"><strong>Totals</strong></td>
+        ${orderCardProducts.map((p, i) => `<td class="oc-total" id="ocTotal_${i}">0</td>`).join('')}
+        <td class="oc-total" id="ocGrandTotal">0</td><td></td>
+    </tr>`;
 
-    } catch (error) {
-        console.error('Error adding member:', error);
-        showFeedback(error.message, true);
+    // Add initial rows
+    const tbody = document.getElementById('orderCardBody');
+    if (!tbody.children.length) {
+        for (let i = 0; i < 5; i++) addOrderCardRow();
     }
 }
 
-// Remove member from troop
-async function removeMember(userId) {
-    if (!selectedTroopId) return;
+function addOrderCardRow() {
+    const tbody = document.getElementById('orderCardBody');
+    const row = document.createElement('tr');
+    row.innerHTML = `
+        <td><input type="text" class="oc-input oc-customer" placeholder="Name"></td>
+        <td><input type="tel" class="oc-input oc-phone" placeholder="Phone"></td>
+        ${orderCardProducts.map((p, i) => `<td><input type="number" class="oc-input oc-qty" data-idx="${i}" min="0" value="" placeholder="0" onchange="updateOrderCardTotals()"></td>`).join('')}
+        <td class="oc-row-total">0</td>
+        <td><input type="checkbox" class="oc-paid"></td>
+    `;
+    tbody.appendChild(row);
+}
 
-    const confirmed = confirm('Are you sure you want to remove this member from the troop?');
-    if (!confirmed) return;
+function updateOrderCardTotals() {
+    const tbody = document.getElementById('orderCardBody');
+    const rows = tbody.querySelectorAll('tr');
+    const productTotals = new Array(orderCardProducts.length).fill(0);
+    let grandTotal = 0;
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/members/${userId}`, {
-            method: 'DELETE',
-            credentials: 'include'
+    rows.forEach(row => {
+        let rowTotal = 0;
+        row.querySelectorAll('.oc-qty').forEach(input => {
+            const val = parseInt(input.value) || 0;
+            const idx = parseInt(input.dataset.idx);
+            productTotals[idx] += val;
+            rowTotal += val;
         });
+        const totalCell = row.querySelector('.oc-row-total');
+        if (totalCell) totalCell.textContent = rowTotal;
+        grandTotal += rowTotal;
+    });
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to remove member');
-        }
+    productTotals.forEach((total, i) => {
+        const el = document.getElementById(`ocTotal_${i}`);
+        if (el) el.textContent = total;
+    });
+    const grandEl = document.getElementById('ocGrandTotal');
+    if (grandEl) grandEl.textContent = grandTotal;
+}
 
-        showFeedback('Member removed');
-        loadTroopData(selectedTroopId);
+async function saveOrderCard() {
+    const tbody = document.getElementById('orderCardBody');
+    const rows = tbody.querySelectorAll('tr');
+    let savedCount = 0;
+    const errors = [];
 
-    } catch (error) {
-        console.error('Error removing member:', error);
-        showFeedback(error.message, true);
+    for (const row of rows) {
+        const customer = row.querySelector('.oc-customer')?.value.trim();
+        if (!customer) continue;
+        const phone = row.querySelector('.oc-phone')?.value.trim();
+        const paid = row.querySelector('.oc-paid')?.checked;
+        const items = [...row.querySelectorAll('.oc-qty')]
+            .map(input => ({ product: orderCardProducts[parseInt(input.dataset.idx)], quantity: parseInt(input.value) || 0 }))
+            .filter(i => i.product && i.quantity > 0);
+        if (!items.length) continue;
+
+        const total = items.reduce((sum, i) => sum + i.quantity * parseFloat(i.product.pricePerBox || 0), 0);
+        try {
+            const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customer-orders`, {
+                method: 'POST', credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    customerName: customer,
+                    customerPhone: phone,
+                    items: items.map(i => ({ productId: i.product.id, quantity: i.quantity })),
+                    payment: paid && total > 0 ? { amount: Math.round(total * 100) / 100, paymentMethod: 'Order card' } : null
+                })
+            });
+            if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+            row.querySelectorAll('input').forEach(input => {
+                if (input.type === 'checkbox') input.checked = false;
+                else input.value = '';
+            });
+            savedCount++;
+        } catch (e) {
+            errors.push(`${customer}: ${e.message}`);
+        }
     }
+    updateOrderCardTotals();
+
+    if (errors.length) {
+        alert(`Saved ${savedCount} order(s). These rows were not saved:\n${errors.join('\n')}`);
+    } else if (savedCount > 0) {
+        alert(`Saved ${savedCount} order(s) from order card`);
+    } else {
+        alert('No orders to save. Fill in customer names and quantities.');
+    }
+    if (savedCount > 0) loadCookieDashboard();
 }
 
-// Create troop goal
-async function createGoal() {
-    const goalType = document.getElementById('goalType').value;
-    const targetAmount = parseFloat(document.getElementById('goalTarget').value);
-    const startDate = document.getElementById('goalStartDate').value;
-    const endDate = document.getElementById('goalEndDate').value;
-    const description = document.getElementById('goalDescription').value.trim();
+function printOrderCard() {
+    const container = document.getElementById('orderCardContainer');
+    const printWin = window.open('', '_blank');
+    printWin.document.write(`
+        <html><head><title>Goal Getter Order Card</title>
+        <style>
+            body { font-family: Arial, sans-serif; font-size: 12px; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { border: 1px solid #333; padding: 4px 6px; text-align: center; }
+            th { background: #f0f0f0; }
+            .oc-input { border: none; width: 100%; text-align: center; }
+            .order-card-header { margin-bottom: 10px; }
+            @media print { button { display: none; } }
+        </style></head><body>
+        ${container.innerHTML}
+        <script>window.print(); window.close();</script>
+        </body></html>
+    `);
+}
 
-    if (!goalType || !targetAmount || targetAmount <= 0) {
-        showFeedback('Please fill in required fields', true);
-        return;
-    }
+// ============================================================================
+// Booth Events Management (Phase C)
+// ============================================================================
 
+async function loadBoothEvents(troopId) {
     try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/goals`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({
-                goalType,
-                targetAmount,
-                startDate: startDate || new Date().toISOString(),
-                endDate: endDate || null,
-                description
-            })
-        });
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booths`, { credentials: 'include' });
+        if (!res.ok) { document.getElementById('cookieBoothSection').style.display = 'none'; return; }
+        const booths = await res.json();
+        document.getElementById('cookieBoothSection').style.display = '';
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to create goal');
+        const listEl = document.getElementById('boothEventsList');
+        if (!booths.length) {
+            listEl.innerHTML = '<p class="empty-state">No booth events scheduled</p>';
+            return;
         }
-
-        showFeedback('Goal created successfully!');
-        closeAddGoalModal();
-
-        // Reload troop data
-        loadTroopData(selectedTroopId);
-
+        listEl.innerHTML = booths.map(b => `
+            <div class="booth-event-card" onclick="openBoothDetail('${b.id}')">
+                <div class="booth-event-header">
+                    <span class="booth-event-name">${b.eventName}</span>
+                    <span class="booth-status-badge booth-status-${b.status}">${b.status}</span>
+                </div>
+                <div class="booth-event-meta">
+                    <span>${b.eventType} booth</span>
+                    <span>${b.location || 'No location'}</span>
+                    <span>${new Date(b.startDateTime).toLocaleDateString()} ${new Date(b.startDateTime).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})}</span>
+                </div>
+                <div class="booth-event-stats">
+                    <span>${b.shiftCount || 0} shifts</span>
+                    <span>${b.totalSold || 0} boxes sold</span>
+                </div>
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Error creating goal:', error);
-        showFeedback(error.message, true);
+        console.error('Error loading booths:', error);
     }
 }
 
-// ============================================================================
-// Phase 3: Cookie Catalog and Nutrition
-// ============================================================================
+function openCreateBoothModal() {
+    fillBoothLocation();
+    document.getElementById('createBoothModal').style.display = 'flex';
+}
+function closeCreateBoothModal() {
+    document.getElementById('createBoothModal').style.display = 'none';
+}
 
-let cookieCatalog = [];
+async function createBoothEvent() {
+    const data = {
+        eventName: document.getElementById('boothEventName').value,
+        eventType: document.getElementById('boothEventType').value,
+        startingBank: parseFloat(document.getElementById('boothStartingBank').value) || 0,
+        location: document.getElementById('boothLocation').value,
+        locationAddress: document.getElementById('boothLocationAddress').value,
+        startDateTime: document.getElementById('boothStartDate').value,
+        endDateTime: document.getElementById('boothEndDate').value,
+        notes: document.getElementById('boothNotes').value
+    };
+    if (!data.eventName || !data.startDateTime || !data.endDateTime) return alert('Fill in required fields');
 
-async function loadCookieCatalog() {
     try {
-        const response = await fetch(`${API_BASE_URL}/cookies`, { credentials: 'include' });
-        if (response.ok) {
-            cookieCatalog = await response.json();
-        }
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        closeCreateBoothModal();
+        loadBoothEvents(cookieDashboardTroopId);
+        loadBoothLocations(cookieDashboardTroopId);
     } catch (error) {
-        console.error('Error loading cookie catalog:', error);
-        cookieCatalog = [];
+        alert('Error creating booth: ' + error.message);
     }
 }
 
-function getAttributeIcon(value) {
-    const icons = {
-        'vegan': '🌱',
-        'gluten_free': 'GF',
-        'contains_peanuts': '🥜',
-        'contains_tree_nuts': '🌰',
-        'contains_coconut': '🥥',
-        'kosher': '✡️'
-    };
-    return icons[value] || '•';
-}
-
-async function showNutritionModal(cookieId) {
+async function openBoothDetail(boothId) {
+    currentBoothId = boothId;
     try {
-        const response = await fetch(`${API_BASE_URL}/cookies/${cookieId}`, { credentials: 'include' });
-        if (!response.ok) throw new Error('Failed to load cookie data');
-
-        const cookie = await response.json();
-
-        document.getElementById('nutritionCookieName').textContent = cookie.cookieName;
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${boothId}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const booth = await res.json();
 
-        if (cookie.nutrition) {
-            document.getElementById('nutritionServing').textContent =
-                `Serving Size: ${cookie.nutrition.servingSize || '--'} (${cookie.nutrition.servingsPerBox || '--'} servings per box)`;
+        document.getElementById('boothDetailTitle').textContent = booth.eventName;
+        document.getElementById('boothDetailStatus').textContent = booth.status;
+        document.getElementById('boothDetailStatus').className = `booth-status-badge booth-status-${booth.status}`;
 
-            document.getElementById('nutritionTableBody').innerHTML = `
-                <tr><td>Calories</td><td>${cookie.nutrition.calories || '--'}</td></tr>
-                <tr><td>Total Fat</td><td>${cookie.nutrition.totalFat || '--'}g</td></tr>
-                <tr class="nutrient-indent"><td>Saturated Fat</td><td>${cookie.nutrition.saturatedFat || '--'}g</td></tr>
-                <tr class="nutrient-indent"><td>Trans Fat</td><td>${cookie.nutrition.transFat || '--'}g</td></tr>
-                <tr><td>Cholesterol</td><td>${cookie.nutrition.cholesterol || '--'}mg</td></tr>
-                <tr><td>Sodium</td><td>${cookie.nutrition.sodium || '--'}mg</td></tr>
-                <tr><td>Total Carbs</td><td>${cookie.nutrition.totalCarbs || '--'}g</td></tr>
-                <tr class="nutrient-indent"><td>Dietary Fiber</td><td>${cookie.nutrition.dietaryFiber || '--'}g</td></tr>
-                <tr class="nutrient-indent"><td>Sugars</td><td>${cookie.nutrition.sugars || '--'}g</td></tr>
-                <tr><td>Protein</td><td>${cookie.nutrition.protein || '--'}g</td></tr>
-            `;
+        // Lifecycle action buttons
+        const actionsEl = document.getElementById('boothDetailActions');
+        let btns = '';
+        if (booth.status === 'planning' || booth.status === 'scheduled') btns += `<button class="btn btn-sm btn-primary" onclick="boothLifecycle('start')">Start Event</button>`;
+        if (booth.status === 'in_progress') btns += `<button class="btn btn-sm btn-warning" onclick="boothLifecycle('end')">End Event</button>`;
+        if (booth.status === 'reconciling') btns += `<button class="btn btn-sm btn-primary" onclick="openBoothCloseOutModal()">Complete</button>`;
+        actionsEl.innerHTML = btns;
 
-            document.getElementById('ingredientsList').textContent =
-                cookie.nutrition.ingredients || 'Not available';
-        } else {
-            document.getElementById('nutritionServing').textContent = 'Nutrition information not available';
-            document.getElementById('nutritionTableBody').innerHTML = '';
-            document.getElementById('ingredientsList').textContent = '--';
-        }
+        // Render tabs
+        renderBoothInfo(booth);
+        renderBoothShifts(booth.shifts || []);
+        renderBoothSlots(booth.slots || []);
+        renderBoothInventory(booth.inventory || []);
+        renderBoothPayments(booth.payments || []);
+        loadReconciliation(boothId);
+        loadBoothCash(boothId);
 
-        // Show attributes
-        const attributesContainer = document.getElementById('nutritionAttributes');
-        if (cookie.attributes && cookie.attributes.length > 0) {
-            attributesContainer.innerHTML = cookie.attributes.map(attr =>
-                `<span class="cookie-badge ${attr.attributeType}">${getAttributeIcon(attr.attributeValue)} ${attr.displayLabel}</span>`
-            ).join('');
-        } else {
-            attributesContainer.innerHTML = '';
-        }
+        // Populate shift scout selector
+        populateShiftScoutSelect();
 
-        document.getElementById('nutritionModal').style.display = 'flex';
+        document.getElementById('boothDetailModal').style.display = 'flex';
+        switchBoothTab('info');
     } catch (error) {
-        console.error('Error showing nutrition modal:', error);
-        showFeedback('Failed to load nutrition info', true);
+        console.error('Error loading booth detail:', error);
     }
 }
 
-function closeNutritionModal() {
-    document.getElementById('nutritionModal').style.display = 'none';
+function closeBoothDetailModal() {
+    document.getElementById('boothDetailModal').style.display = 'none';
+    currentBoothId = null;
 }
 
-// ============================================================================
-// Phase 3: Invitation System
-// ============================================================================
-
-let pendingInvitations = [];
+function switchBoothTab(tab) {
+    document.querySelectorAll('.booth-tab').forEach(btn => btn.classList.toggle('active', btn.dataset.boothTab === tab));
+    document.querySelectorAll('.booth-panel').forEach(panel => panel.classList.add('hidden'));
+    const panel = document.getElementById(`booth-panel-${tab}`);
+    if (panel) panel.classList.remove('hidden');
+}
 
-async function loadInvitations() {
-    try {
-        const response = await fetch(`${API_BASE_URL}/invitations`, { credentials: 'include' });
-        if (response.ok) {
-            pendingInvitations = await response.json();
-            updateInvitationBadge();
-        }
-    } catch (error) {
-        console.error('Error loading invitations:', error);
-        pendingInvitations = [];
-    }
+function renderBoothInfo(booth) {
+    document.getElementById('boothDetailInfo').innerHTML = `
+        <div class="booth-info-grid">
+            <div><strong>Type:</strong> ${booth.eventType} booth</div>
+            <div><strong>Location:</strong> ${booth.location || 'N/A'}</div>
+            <div><strong>Address:</strong> ${booth.locationAddress || 'N/A'}</div>
+            ${booth.locationContactName ? `<div><strong>Store Contact:</strong> ${escapeHtml(booth.locationContactName)} ${escapeHtml(booth.locationContactPhone || '')}</div>` : ''}
+            ${booth.locationPermittedHours ? `<div><strong>Permitted Hours:</strong> ${escapeHtml(booth.locationPermittedHours)}</div>` : ''}
+            ${booth.locationRestrictions ? `<div><strong>Restrictions:</strong> ${escapeHtml(booth.locationRestrictions)}</div>` : ''}
+            <div><strong>Start:</strong> ${new Date(booth.startDateTime).toLocaleString()}</div>
+            <div><strong>End:</strong> ${new Date(booth.endDateTime).toLocaleString()}</div>
+            <div><strong>Starting Bank:</strong> $${parseFloat(booth.startingBank || 0).toFixed(2)}</div>
+            ${booth.notes ? `<div><strong>Notes:</strong> ${booth.notes}</div>` : ''}
+        </div>
+    `;
 }
 
-function updateInvitationBadge() {
-    const btn = document.getElementById('invitationsBtn');
-    const badge = document.getElementById('invitationBadge');
+function renderBoothShifts(shifts) {
+    const el = document.getElementById('boothShiftsList');
+    if (!shifts.length) { el.innerHTML = '<p class="empty-state">No shifts scheduled</p>'; return; }
+    el.innerHTML = shifts.map(s => `
+        <div class="shift-item">
+            <div class="shift-scout">${s.scoutName}${s.parentName ? ` (with ${s.parentName})` : ''}</div>
+            <div class="shift-time">${new Date(s.startTime).toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})} - ${new Date(s.endTime).toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})}</div>
+            <span class="booth-status-badge booth-status-${s.status}">${s.status}</span>
+            ${s.status === 'scheduled' ? `<button class="btn btn-sm" onclick="checkinShift('${s.id}')">Check In</button>` : ''}
+            ${s.status === 'confirmed' ? `<button class="btn btn-sm" onclick="checkoutShift('${s.id}')">Check Out</button>` : ''}
+        </div>
+    `).join('');
+}
 
-    if (pendingInvitations.length > 0) {
-        if (btn) btn.style.display = 'flex';
-        if (badge) badge.textContent = pendingInvitations.length;
-    } else {
-        if (btn) btn.style.display = 'none';
-    }
+function renderBoothInventory(inventory) {
+    const el = document.getElementById('boothInventoryTable');
+    if (!inventory.length) { el.innerHTML = '<p class="empty-state">No inventory set up. Click "Setup Inventory" to begin.</p>'; return; }
+    el.innerHTML = `<div class="booth-field-actions" style="display:flex; gap:var(--space-md); margin-bottom:var(--space-md);">
+        <button class="btn btn-sm btn-primary" onclick="enterBoothFieldMode('start')"><i data-lucide="edit-3"></i> Field Mode (Start)</button>
+        <button class="btn btn-sm btn-secondary" onclick="enterBoothFieldMode('end')"><i data-lucide="check-circle"></i> Field Mode (End)</button>
+    </div>
+    <table class="booth-inv-table">
+        <thead><tr><th>Cookie</th><th>Starting</th><th>Ending</th><th>Damaged</th><th>Sold</th></tr></thead>
+        <tbody>${inventory.map(i => `
+            <tr>
+                <td>${i.cookieName} (${i.shortName})</td>
+                <td><input type="number" class="bi-start" data-product="${i.productId}" value="${i.startingQty || 0}" min="0"></td>
+                <td><input type="number" class="bi-end" data-product="${i.productId}" value="${i.endingQty ?? ''}" min="0" placeholder="--"></td>
+                <td><input type="number" class="bi-damaged" data-product="${i.productId}" value="${i.damagedQty || 0}" min="0"></td>
+                <td>${i.soldQty ?? '--'}</td>
+            </tr>
+        `).join('')}</tbody>
+    </table>`;
+    document.getElementById('saveBoothInventoryBtn').style.display = '';
+    document.getElementById('recordEndCountBtn').style.display = '';
 }
 
-function openInvitationsModal() {
-    renderInvitations();
-    document.getElementById('invitationsModal').style.display = 'flex';
+function renderBoothPayments(payments) {
+    const el = document.getElementById('boothPaymentsList');
+    if (!payments.length) { el.innerHTML = '<p class="empty-state">No payments recorded</p>'; return; }
+    el.innerHTML = payments.map(p => `
+        <div class="payment-item">
+            <span class="payment-type">${p.paymentType}</span>
+            <span class="payment-amount">$${parseFloat(p.amount).toFixed(2)}</span>
+            <span class="payment-ref">${p.referenceNumber || ''}</span>
+            <button class="btn btn-sm btn-danger" onclick="deleteBoothPayment('${p.id}')">Del</button>
+        </div>
+    `).join('');
 }
 
-function closeInvitationsModal() {
-    document.getElementById('invitationsModal').style.display = 'none';
+async function boothLifecycle(action) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/${action}`, {
+            method: 'POST', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        openBoothDetail(currentBoothId);
+        loadBoothEvents(cookieDashboardTroopId);
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
 }
 
-function renderInvitations() {
-    const container = document.getElementById('invitationsList');
-    if (!container) return;
+// Booth close-out
+let boothCloseOutShares = {};
 
-    if (pendingInvitations.length === 0) {
-        container.innerHTML = '<p class="empty-state">No pending invitations</p>';
-        return;
+function boothCloseOutBody() {
+    const splitRule = document.getElementById('boothSplitRule').value;
+    const body = { splitRule };
+    if (splitRule === 'custom') {
+        body.shares = Object.entries(boothCloseOutShares).map(([scoutId, share]) => ({ scoutId, share }));
     }
-
-    container.innerHTML = pendingInvitations.map(inv => `
-        <div class="invitation-item">
-            <h4>Troop ${inv.troopNumber}${inv.troopName ? ` - ${inv.troopName}` : ''}</h4>
-            <p>You've been invited to join as a <strong>${inv.invitedRole}</strong></p>
-            <div class="invitation-meta">
-                Invited by ${inv.inviterFirstName} ${inv.inviterLastName}
-            </div>
-            <div class="invitation-actions">
-                <button class="btn btn-primary btn-sm" onclick="acceptInvitation(${inv.id})">Accept</button>
-                <button class="btn btn-secondary btn-sm" onclick="declineInvitation(${inv.id})">Decline</button>
-            </div>
-        </div>
-    `).join('');
+    return body;
 }
 
-async function acceptInvitation(invitationId) {
+function openBoothCloseOutModal() {
+    boothCloseOutShares = {};
+    document.getElementById('boothSplitRule').value = 'hours';
+    document.getElementById('boothCloseOutModal').style.display = 'flex';
+    previewBoothCloseOut();
+}
+
+function closeBoothCloseOutModal() {
+    document.getElementById('boothCloseOutModal').style.display = 'none';
+}
+
+function setBoothCloseOutShare(scoutId, value) {
+    boothCloseOutShares[scoutId] = Math.max(0, parseFloat(value) || 0);
+    previewBoothCloseOut();
+}
+
+async function previewBoothCloseOut() {
+    const el = document.getElementById('boothCloseOutPreview');
     try {
-        const response = await fetch(`${API_BASE_URL}/invitations/${invitationId}/accept`, {
-            method: 'POST',
-            credentials: 'include'
+        const body = boothCloseOutBody();
+        // Custom shares start from the hours split so the leader only adjusts what differs
+        const seeding = body.splitRule === 'custom' && !Object.keys(boothCloseOutShares).length;
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/close/preview`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(seeding ? { splitRule: 'hours' } : body)
         });
-
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to accept invitation');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        if (seeding) {
+            data.credits.forEach(c => { boothCloseOutShares[c.scoutId] = Math.round(c.share * 100); });
         }
 
-        showFeedback('Invitation accepted! You are now a member of the troop.');
-        await loadInvitations();
-        renderInvitations();
-        await loadMyTroops();
+        if (!data.credits.length) {
+            el.innerHTML = `<p class="empty-state">${data.totalSold} boxes sold. No scouts to credit.</p>`;
+            return;
+        }
+        el.innerHTML = `
+            <p><strong>${data.totalSold}</strong> boxes sold</p>
+            <table class="booth-inv-table">
+                <thead><tr><th>Scout</th><th>Hours</th><th>Share</th><th>Boxes</th><th>Amount</th></tr></thead>
+                <tbody>${data.credits.map(c => `
+                    <tr>
+                        <td>${escapeHtml(c.scoutName || '')}</td>
+                        <td>${c.hours}</td>
+                        <td>${body.splitRule === 'custom'
+                            ? `<input type="number" min="0" value="${boothCloseOutShares[c.scoutId] ?? 0}" onchange="setBoothCloseOutShare('${c.scoutId}', this.value)">`
+                            : `${Math.round(c.share * 100)}%`}</td>
+                        <td>${c.boxes}</td>
+                        <td>$${c.amount.toFixed(2)}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
     } catch (error) {
-        console.error('Error accepting invitation:', error);
-        showFeedback(error.message, true);
+        el.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
     }
 }
 
-async function declineInvitation(invitationId) {
-    if (!confirm('Are you sure you want to decline this invitation?')) return;
-
+async function submitBoothCloseOut() {
     try {
-        const response = await fetch(`${API_BASE_URL}/invitations/${invitationId}/decline`, {
-            method: 'POST',
-            credentials: 'include'
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/close`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(boothCloseOutBody())
         });
-
-        if (!response.ok) throw new Error('Failed to decline invitation');
-
-        showFeedback('Invitation declined');
-        await loadInvitations();
-        renderInvitations();
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        closeBoothCloseOutModal();
+        showFeedback(`Booth closed. ${data.closeOut.totalSold} boxes credited to ${data.closeOut.credits.filter(c => c.boxes > 0).length} scouts.`);
+        openBoothDetail(currentBoothId);
+        loadBoothEvents(cookieDashboardTroopId);
+        loadCookieDashboard();
     } catch (error) {
-        console.error('Error declining invitation:', error);
-        showFeedback('Failed to decline invitation', true);
+        alert('Error: ' + error.message);
     }
 }
 
-function openSendInviteModal() {
-    document.getElementById('inviteEmail').value = '';
-    document.getElementById('inviteRole').value = 'scout';
-    document.getElementById('sendInviteModal').style.display = 'flex';
+// Shifts
+function openAddShiftForm() { document.getElementById('addShiftForm').classList.toggle('hidden'); }
+
+async function populateShiftScoutSelect() {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/members`, { credentials: 'include' });
+        if (!res.ok) return;
+        const members = await res.json();
+        const select = document.getElementById('shiftScoutSelect');
+        select.innerHTML = members.map(m => `<option value="${m.userId}">${m.firstName} ${m.lastName}</option>`).join('');
+    } catch (e) { console.error('Error loading members for shift:', e); }
 }
 
-function closeSendInviteModal() {
-    document.getElementById('sendInviteModal').style.display = 'none';
+async function addShift() {
+    const data = {
+        scoutId: document.getElementById('shiftScoutSelect').value,
+        startTime: document.getElementById('shiftStartTime').value,
+        endTime: document.getElementById('shiftEndTime').value
+    };
+    if (!data.scoutId || !data.startTime || !data.endTime) return alert('Fill in all shift fields');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error adding shift: ' + error.message); }
 }
 
-async function sendInvitation() {
-    const email = document.getElementById('inviteEmail').value.trim();
-    const role = document.getElementById('inviteRole').value;
+// Sign-up slots (leaders)
+function formatSlotTime(slot) {
+    const start = new Date(slot.startTime);
+    const end = new Date(slot.endTime);
+    return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})} - ${end.toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})}`;
+}
 
-    if (!email || !selectedTroopId) {
-        showFeedback('Please enter an email address', true);
-        return;
-    }
+function renderBoothSlots(slots) {
+    const el = document.getElementById('boothSlotsList');
+    if (!slots.length) { el.innerHTML = '<p class="empty-state">No sign-up slots. Families can only sign up for slots you add here.</p>'; return; }
+    el.innerHTML = slots.map(s => `
+        <div class="shift-item">
+            <div class="shift-time">${formatSlotTime(s)}</div>
+            <div>${s.scoutCount}/${s.scoutCapacity} scouts · ${s.adultCount}/${s.adultCapacity} adults (min ${s.minAdults})${s.waitlistCount ? ` · ${s.waitlistCount} waiting` : ''}</div>
+            <button class="btn btn-sm btn-danger" onclick="deleteBoothSlot('${s.id}')">Del</button>
+        </div>
+    `).join('');
+}
 
+function openAddSlotForm() { document.getElementById('addSlotForm').classList.toggle('hidden'); }
+
+async function addBoothSlot() {
+    const data = {
+        startTime: document.getElementById('slotStartTime').value,
+        endTime: document.getElementById('slotEndTime').value,
+        scoutCapacity: parseInt(document.getElementById('slotScoutCapacity').value),
+        adultCapacity: parseInt(document.getElementById('slotAdultCapacity').value),
+        minAdults: parseInt(document.getElementById('slotMinAdults').value)
+    };
+    if (!data.startTime || !data.endTime) return alert('Choose a start and end time');
     try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/invite`, {
-            method: 'POST',
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/slots`, {
+            method: 'POST', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            credentials: 'include',
-            body: JSON.stringify({ email, role })
+            body: JSON.stringify({ ...data, startTime: new Date(data.startTime).toISOString(), endTime: new Date(data.endTime).toISOString() })
         });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        openBoothDetail(currentBoothId);
+        loadBoothSignupBoard(cookieDashboardTroopId);
+    } catch (error) { alert('Error adding slot: ' + error.message); }
+}
 
-        const result = await response.json();
+async function deleteBoothSlot(slotId) {
+    if (!confirm('Delete this slot? Everyone signed up for it will be notified.')) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/slots/${slotId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        openBoothDetail(currentBoothId);
+        loadBoothSignupBoard(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
 
-        if (!response.ok) {
-            throw new Error(result.error || 'Failed to send invitation');
-        }
+async function checkinShift(shiftId) {
+    await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts/${shiftId}/checkin`, { method: 'POST', credentials: 'include' });
+    openBoothDetail(currentBoothId);
+}
 
-        showFeedback('Invitation sent successfully!');
-        closeSendInviteModal();
-    } catch (error) {
-        console.error('Error sending invitation:', error);
-        showFeedback(error.message, true);
-    }
+async function checkoutShift(shiftId) {
+    await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts/${shiftId}/checkout`, { method: 'POST', credentials: 'include' });
+    openBoothDetail(currentBoothId);
 }
 
-// ============================================================================
-// Phase 3: Leaderboard
-// ============================================================================
+// Booth Inventory
+async function setupBoothInventory() {
+    if (!orderCardProducts.length) return alert('No products loaded');
+    const items = orderCardProducts.map(p => ({ productId: p.id, startingQty: 0 }));
+    try {
+        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory`, {
+            method: 'PUT', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+        });
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error setting up inventory: ' + error.message); }
+}
 
-let leaderboardData = [];
+async function saveBoothInventory() {
+    const items = [];
+    document.querySelectorAll('.bi-start').forEach(input => {
+        items.push({
+            productId: input.dataset.product,
+            startingQty: parseInt(input.value) || 0,
+            damagedQty: parseInt(document.querySelector(`.bi-damaged[data-product="${input.dataset.product}"]`)?.value) || 0
+        });
+    });
+    try {
+        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory`, {
+            method: 'PUT', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+        });
+        alert('Inventory saved');
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error saving inventory: ' + error.message); }
+}
 
-async function loadLeaderboard() {
-    if (!selectedTroopId) return;
+async function recordEndingCount() {
+    const items = [];
+    document.querySelectorAll('.bi-end').forEach(input => {
+        const endVal = input.value;
+        if (endVal === '') return;
+        items.push({
+            productId: input.dataset.product,
+            endingQty: parseInt(endVal) || 0,
+            damagedQty: parseInt(document.querySelector(`.bi-damaged[data-product="${input.dataset.product}"]`)?.value) || 0
+        });
+    });
+    if (!items.length) return alert('Enter ending counts first');
+    try {
+        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory/count`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+        });
+        alert('Ending count recorded');
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error recording count: ' + error.message); }
+}
 
-    const metricSelect = document.getElementById('leaderboardMetric');
-    const metric = metricSelect ? metricSelect.value : 'boxes';
+// Payments
+function openAddPaymentForm() { document.getElementById('addPaymentForm').classList.toggle('hidden'); }
 
+async function addPayment() {
+    const data = {
+        paymentType: document.getElementById('paymentTypeSelect').value,
+        amount: parseFloat(document.getElementById('paymentAmount').value),
+        referenceNumber: document.getElementById('paymentReference').value
+    };
+    if (!data.amount) return alert('Enter an amount');
     try {
-        const response = await fetch(
-            `${API_BASE_URL}/troop/${selectedTroopId}/leaderboard?limit=10&metric=${metric}`,
-            { credentials: 'include' }
-        );
+        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/payments`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        document.getElementById('paymentAmount').value = '';
+        document.getElementById('paymentReference').value = '';
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error adding payment: ' + error.message); }
+}
 
-        if (response.ok) {
-            leaderboardData = await response.json();
-            renderLeaderboard();
-        }
+async function deleteBoothPayment(paymentId) {
+    if (!confirm('Delete this payment?')) return;
+    try {
+        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/payments/${paymentId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error deleting payment: ' + error.message); }
+}
+
+// Reconciliation
+async function loadReconciliation(boothId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${boothId}/reconcile`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+
+        const el = document.getElementById('reconciliationSummary');
+        el.innerHTML = `
+            <div class="recon-section">
+                <h4>Inventory Summary</h4>
+                <div class="recon-grid">
+                    <div><strong>Total Starting:</strong> ${data.inventory.totalStarting} boxes</div>
+                    <div><strong>Total Ending:</strong> ${data.inventory.totalEnding} boxes</div>
+                    <div><strong>Total Sold:</strong> ${data.inventory.totalSold} boxes</div>
+                    <div><strong>Total Damaged:</strong> ${data.inventory.totalDamaged} boxes</div>
+                </div>
+            </div>
+            <div class="recon-section">
+                <h4>Payment Summary</h4>
+                <div class="recon-grid">
+                    <div><strong>Cash:</strong> $${parseFloat(data.payments.totalCash).toFixed(2)}</div>
+                    <div><strong>Checks:</strong> $${parseFloat(data.payments.totalChecks).toFixed(2)}</div>
+                    <div><strong>Digital:</strong> $${parseFloat(data.payments.totalDigital).toFixed(2)}</div>
+                    <div><strong>Total Collected:</strong> $${parseFloat(data.payments.totalCollected).toFixed(2)}</div>
+                    <div><strong>Starting Bank:</strong> -$${parseFloat(data.payments.startingBank || 0).toFixed(2)}</div>
+                    <div><strong>Actual Revenue:</strong> $${parseFloat(data.payments.actualRevenue).toFixed(2)}</div>
+                </div>
+            </div>
+            ${renderReconciliationCash(data.cash)}
+            <div class="recon-section recon-result recon-${data.reconciliation.status}">
+                <h4>Reconciliation</h4>
+                <div class="recon-grid">
+                    <div><strong>Expected Revenue:</strong> $${parseFloat(data.reconciliation.expectedRevenue).toFixed(2)}</div>
+                    <div><strong>Actual Revenue:</strong> $${parseFloat(data.reconciliation.actualRevenue).toFixed(2)}</div>
+                    <div class="recon-variance"><strong>Variance:</strong> $${parseFloat(data.reconciliation.variance).toFixed(2)}
+                        <span class="recon-badge">${data.reconciliation.status}</span>
+                    </div>
+                </div>
+            </div>
+        `;
     } catch (error) {
-        console.error('Error loading leaderboard:', error);
-        leaderboardData = [];
+        console.error('Error loading reconciliation:', error);
     }
 }
 
-function renderLeaderboard() {
-    const container = document.getElementById('leaderboardList');
-    if (!container) return;
-
-    if (leaderboardData.length === 0) {
-        container.innerHTML = '<p class="empty-state">No sales data yet</p>';
-        return;
-    }
-
-    const metricSelect = document.getElementById('leaderboardMetric');
-    const metric = metricSelect ? metricSelect.value : 'boxes';
+const CASH_CUSTODY_LABELS = {
+    in_custody: 'With a volunteer',
+    partially_deposited: 'Partly deposited',
+    deposited: 'Deposited',
+    not_sealed: 'Not sealed'
+};
 
-    container.innerHTML = leaderboardData.map((member, index) => `
-        <div class="leaderboard-item ${index < 3 ? 'top-three' : ''}">
-            <span class="rank">${member.rank}</span>
-            <div class="member-info">
-                <span class="member-name">${member.firstName} ${member.lastName}</span>
+const formatMoney = (amount) => `$${parseFloat(amount || 0).toFixed(2)}`;
+
+function renderReconciliationCash(cash) {
+    if (!cash) return '';
+    return `
+        <div class="recon-section">
+            <h4>Cash Drawer &amp; Deposit</h4>
+            <div class="recon-grid">
+                <div><strong>Start Count:</strong> ${cash.startCount ? formatMoney(cash.startCount.total) : 'Not counted'}</div>
+                <div><strong>End Count:</strong> ${cash.endCount ? formatMoney(cash.endCount.total) : 'Not counted'}</div>
+                ${cash.drawerVariance !== null ? `<div><strong>Drawer vs Recorded Cash:</strong> ${formatMoney(cash.drawerVariance)}</div>` : ''}
+                <div><strong>Sealed:</strong> ${formatMoney(cash.sealedTotal)} in ${cash.envelopeCount} envelope${cash.envelopeCount === 1 ? '' : 's'}</div>
+                <div><strong>Deposited:</strong> ${formatMoney(cash.depositedTotal)}</div>
+                <div><strong>Reached Bank:</strong> <span class="recon-badge">${cash.reachedBank ? 'yes' : CASH_CUSTODY_LABELS[cash.custodyStatus]}</span></div>
             </div>
-            <span class="score">${metric === 'revenue' ? '$' + parseFloat(member.totalRevenue || 0).toFixed(2) : member.totalBoxes + ' boxes'}</span>
         </div>
-    `).join('');
+    `;
 }
 
-// ============================================================================
-// Phase 3: Enhanced Goal Management
-// ============================================================================
-
-async function loadGoalProgress() {
-    if (!selectedTroopId) return;
+// Booth cash: drawer counts and envelopes
+let boothCashDenominations = [];
 
+async function loadBoothCash(boothId) {
     try {
-        const response = await fetch(
-            `${API_BASE_URL}/troop/${selectedTroopId}/goals/progress`,
-            { credentials: 'include' }
-        );
-
-        if (response.ok) {
-            const goalsWithProgress = await response.json();
-            renderTroopGoalsWithProgress(goalsWithProgress);
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${boothId}/cash`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!data.canViewCash) {
+            document.getElementById('boothCashCounts').innerHTML =
+                `<p class="empty-state">Cash: ${escapeHtml(CASH_CUSTODY_LABELS[data.summary.custodyStatus] || data.summary.custodyStatus)}</p>`;
+            document.getElementById('boothEnvelopesList').innerHTML = '';
+            document.getElementById('sealEnvelopeBtn').style.display = 'none';
+            return;
         }
+        boothCashDenominations = data.denominations;
+        renderBoothCashCounts(data.counts, data.canHandleCash);
+        renderBoothEnvelopes(data.envelopes, data.recipients);
+        document.getElementById('sealEnvelopeBtn').style.display = data.canHandleCash ? '' : 'none';
     } catch (error) {
-        console.error('Error loading goal progress:', error);
+        console.error('Error loading booth cash:', error);
     }
 }
 
-function renderTroopGoalsWithProgress(goals) {
-    const container = document.getElementById('troopGoalsList');
-    if (!container) return;
-
-    if (!goals || goals.length === 0) {
-        container.innerHTML = '<p class="empty-state">No goals set. Add a goal to track progress!</p>';
-        return;
-    }
-
-    const goalTypeLabels = {
-        'boxes_sold': 'Boxes Sold',
-        'total_boxes': 'Total Boxes',
-        'revenue': 'Revenue',
-        'total_revenue': 'Total Revenue',
-        'participation': 'Participation',
-        'events': 'Events',
-        'event_count': 'Event Count',
-        'donations': 'Donations'
-    };
-
-    container.innerHTML = goals.map(goal => {
-        const formatValue = (type, value) => {
-            const numValue = parseFloat(value || 0);
-            if (type.includes('revenue') || type === 'donations') return '$' + numValue.toFixed(2);
-            if (type === 'participation') return numValue.toFixed(1) + '%';
-            return numValue;
-        };
-
+function renderBoothCashCounts(counts, canEdit) {
+    const el = document.getElementById('boothCashCounts');
+    const denominationLabel = (d) => parseFloat(d) >= 1 ? `$${d}` : `${Math.round(parseFloat(d) * 100)}¢`;
+    el.innerHTML = ['start', 'end'].map(type => {
+        const count = counts[type];
+        const values = count ? count.denominations : {};
         return `
-            <div class="goal-card">
-                <div class="goal-header">
-                    <span class="goal-type">${goalTypeLabels[goal.goalType] || goal.goalType}</span>
-                    <span class="goal-progress-text">${formatValue(goal.goalType, goal.actualAmount)} / ${formatValue(goal.goalType, goal.targetAmount)}</span>
-                </div>
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${Math.min(goal.progress, 100)}%"></div>
-                </div>
-                <div class="goal-dates">
-                    ${goal.startDate ? new Date(goal.startDate).toLocaleDateString() : ''} - ${goal.endDate ? new Date(goal.endDate).toLocaleDateString() : 'Ongoing'}
-                </div>
-                ${goal.description ? `<p style="font-size: 0.8rem; color: #666; margin-top: 0.5rem;">${goal.description}</p>` : ''}
-                <div class="goal-actions">
-                    <button class="btn btn-sm btn-secondary" onclick="deleteGoal(${goal.id})">Delete</button>
+            <div class="recon-section">
+                <h5>${type === 'start' ? 'Start of Booth' : 'End of Booth'}
+                    ${count ? `· ${formatMoney(count.total)} counted by ${escapeHtml(count.countedByName || 'unknown')}` : ''}</h5>
+                <div class="booth-inventory-grid cash-count-grid" data-count-type="${type}">
+                    ${boothCashDenominations.map(d => `
+                        <label>${denominationLabel(d)}
+                            <input type="number" min="0" step="1" class="cash-count-input" data-denomination="${d}"
+                                value="${values[d] || ''}" ${canEdit ? '' : 'disabled'} oninput="updateCashCountTotal('${type}')">
+                        </label>
+                    `).join('')}
                 </div>
+                <div><strong>Total:</strong> <span id="cashCountTotal-${type}">${formatMoney(count ? count.total : 0)}</span></div>
+                ${canEdit ? `<button class="btn btn-sm btn-primary" onclick="saveCashCount('${type}')">Save ${type === 'start' ? 'Start' : 'End'} Count</button>` : ''}
             </div>
         `;
     }).join('');
 }
 
-async function deleteGoal(goalId) {
-    if (!confirm('Are you sure you want to delete this goal?')) return;
+function readCashCount(type) {
+    const denominations = {};
+    document.querySelectorAll(`.cash-count-grid[data-count-type="${type}"] .cash-count-input`).forEach(input => {
+        const count = parseInt(input.value);
+        if (count > 0) denominations[input.dataset.denomination] = count;
+    });
+    return denominations;
+}
+
+function updateCashCountTotal(type) {
+    const cents = Object.entries(readCashCount(type))
+        .reduce((sum, [d, count]) => sum + Math.round(parseFloat(d) * 100) * count, 0);
+    document.getElementById(`cashCountTotal-${type}`).textContent = formatMoney(cents / 100);
+}
 
+async function saveCashCount(type) {
     try {
-        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/goals/${goalId}`, {
-            method: 'DELETE',
-            credentials: 'include'
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/cash-counts/${type}`, {
+            method: 'PUT', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ denominations: readCashCount(type) })
         });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback(type === 'start' ? 'Start count saved' : 'End count saved');
+        openBoothDetail(currentBoothId);
+    } catch (error) { alert('Error saving count: ' + error.message); }
+}
+
+function renderEnvelopeCustody(envelope) {
+    const labels = { sealed: 'Sealed by', handed_off: 'Handed off', received: 'Received by', deposited: 'Deposited', deposit_voided: 'Deposit voided' };
+    return envelope.custody.map(c => {
+        let detail = '';
+        if (c.action === 'sealed') detail = escapeHtml(c.toName || '');
+        else if (c.action === 'handed_off') detail = `${escapeHtml(c.fromName || '')} → ${escapeHtml(c.toName || '')}`;
+        else if (c.action === 'received') detail = `${escapeHtml(c.toName || '')}, counted ${formatMoney(parseFloat(c.countedCash || 0) + parseFloat(c.countedChecks || 0))}`;
+        else if (c.action === 'deposited') detail = envelope.slipReference ? `slip ${escapeHtml(envelope.slipReference)}` : '';
+        return `<li>${new Date(c.recordedAt).toLocaleString()} · ${labels[c.action]} ${detail}</li>`;
+    }).join('');
+}
 
-        if (!response.ok) throw new Error('Failed to delete goal');
-
-        showFeedback('Goal deleted');
-        loadGoalProgress();
-    } catch (error) {
-        console.error('Error deleting goal:', error);
-        showFeedback('Failed to delete goal', true);
+function renderEnvelopeActions(envelope, recipients, reload) {
+    const mine = currentUser && envelope.holderId === currentUser.id;
+    const incoming = currentUser && envelope.pendingHolderId === currentUser.id;
+    if (envelope.status === 'held' && mine) {
+        return `
+            <select id="handoffTo-${envelope.id}">
+                ${recipients.filter(r => r.id !== currentUser.id).map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`).join('')}
+            </select>
+            <button class="btn btn-sm btn-secondary" onclick="handOffCashEnvelope('${envelope.id}', ${reload})">Hand Off</button>
+        `;
+    }
+    if (envelope.status === 'in_transit' && incoming) {
+        return `
+            <input type="number" id="receiveCash-${envelope.id}" min="0" step="0.01" placeholder="Cash counted" style="width: 8rem;">
+            <input type="number" id="receiveChecks-${envelope.id}" min="0" step="0.01" placeholder="Checks counted" style="width: 8rem;">
+            <button class="btn btn-sm btn-primary" onclick="receiveCashEnvelope('${envelope.id}', ${reload})">Confirm Receipt</button>
+        `;
     }
+    return '';
 }
 
-// Override renderTroopGoals to use progress data
-const originalRenderTroopGoals = typeof renderTroopGoals !== 'undefined' ? renderTroopGoals : null;
+function renderCashEnvelope(envelope, recipients, reload) {
+    const status = envelope.status === 'held' ? `Held by ${escapeHtml(envelope.holderName || 'unknown')}`
+        : envelope.status === 'in_transit' ? `On its way to ${escapeHtml(envelope.pendingHolderName || 'unknown')}`
+        : `Deposited ${envelope.depositDate ? new Date(envelope.depositDate).toLocaleDateString() : ''}`;
+    return `
+        <div class="payment-item cash-envelope">
+            <div>
+                <strong>${envelope.eventName ? escapeHtml(envelope.eventName) + ' · ' : ''}${envelope.envelopeNumber ? `Envelope ${escapeHtml(envelope.envelopeNumber)}` : 'Envelope'}</strong>
+                · ${formatMoney(envelope.cashAmount)} cash${parseFloat(envelope.checkAmount) > 0 ? ` + ${formatMoney(envelope.checkAmount)} in ${envelope.checkCount} check${envelope.checkCount === 1 ? '' : 's'}` : ''}
+                · <span class="booth-status-badge">${status}</span>
+            </div>
+            <ul class="cash-custody-trail">${renderEnvelopeCustody(envelope)}</ul>
+            <div>${renderEnvelopeActions(envelope, recipients, reload)}</div>
+        </div>
+    `;
+}
 
-// Hook into loadTroopData to also load leaderboard and goal progress
-const originalLoadTroopData = loadTroopData;
-loadTroopData = async function(troopId) {
-    await originalLoadTroopData(troopId);
-    loadLeaderboard();
-    loadGoalProgress();
-};
+function renderBoothEnvelopes(envelopes, recipients) {
+    const el = document.getElementById('boothEnvelopesList');
+    if (!envelopes.length) { el.innerHTML = '<p class="empty-state">No envelopes sealed</p>'; return; }
+    el.innerHTML = envelopes.map(e => renderCashEnvelope(e, recipients, true)).join('');
+}
 
-// Setup table scroll indicators
-function setupScrollIndicators() {
-    const containers = document.querySelectorAll(
-        '.cookie-selection-table-container, .sales-table-container, .members-table-wrapper'
-    );
+function openSealEnvelopeForm() { document.getElementById('sealEnvelopeForm').classList.toggle('hidden'); }
 
-    function updateScrollIndicators() {
-        containers.forEach(container => {
-            if (container.scrollWidth > container.clientWidth) {
-                container.classList.add('has-scroll');
-            } else {
-                container.classList.remove('has-scroll');
-            }
+async function sealCashEnvelope() {
+    const data = {
+        envelopeNumber: document.getElementById('envelopeNumber').value.trim(),
+        cashAmount: parseFloat(document.getElementById('envelopeCash').value) || 0,
+        checkAmount: parseFloat(document.getElementById('envelopeChecks').value) || 0,
+        checkCount: parseInt(document.getElementById('envelopeCheckCount').value) || 0
+    };
+    if (data.cashAmount + data.checkAmount <= 0) return alert('Enter the amount in the envelope');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/cash-envelopes`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
         });
-    }
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        ['envelopeNumber', 'envelopeCash'].forEach(id => { document.getElementById(id).value = ''; });
+        showFeedback('Envelope sealed');
+        openBoothDetail(currentBoothId);
+        loadMyCashEnvelopes(cookieDashboardTroopId);
+    } catch (error) { alert('Error sealing envelope: ' + error.message); }
+}
 
-    // Check on load and resize
-    updateScrollIndicators();
-    window.addEventListener('resize', updateScrollIndicators);
+// reloadBooth is true when the action was taken from the booth detail
+async function handOffCashEnvelope(envelopeId, reloadBooth) {
+    const toUserId = document.getElementById(`handoffTo-${envelopeId}`).value;
+    if (!toUserId) return alert('Choose who is taking the envelope');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/cash-envelopes/${envelopeId}/handoff`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ toUserId })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Handed off. It stays with you until they confirm receipt.');
+        if (reloadBooth) loadBoothCash(currentBoothId);
+        loadMyCashEnvelopes(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
 
-    // Also check after dynamic content updates
-    containers.forEach(container => {
-        const observer = new MutationObserver(updateScrollIndicators);
-        observer.observe(container, { childList: true, subtree: true });
-    });
+async function receiveCashEnvelope(envelopeId, reloadBooth) {
+    const countedCash = document.getElementById(`receiveCash-${envelopeId}`).value;
+    const countedChecks = document.getElementById(`receiveChecks-${envelopeId}`).value;
+    if (countedCash === '') return alert('Count the cash in the envelope first');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/cash-envelopes/${envelopeId}/receive`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ countedCash: parseFloat(countedCash), countedChecks: parseFloat(countedChecks) || 0 })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showFeedback(data.discrepancy
+            ? `Received. Your count differs from the sealed amount by ${formatMoney(data.discrepancy)}.`
+            : 'Received');
+        if (reloadBooth) loadBoothCash(currentBoothId);
+        loadMyCashEnvelopes(cookieDashboardTroopId);
+        loadBoothCashStatus(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
 }
 
 // ============================================================================
-// Cookie Dashboard (Phase B)
+// Phase D: Proceeds & Season Milestones
 // ============================================================================
 
-let cookieDashboardData = null;
-let cookieDashboardTroopId = null;
-let currentBoothId = null;
-let orderCardProducts = [];
+async function loadTroopProceeds(troopId) {
+    // Proceeds rates differ by season, so there is no all-season figure
+    if (selectedSeason === 'all') {
+        document.getElementById('cookieTroopProceeds').textContent = '—';
+        return;
+    }
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/proceeds${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        document.getElementById('cookieTroopProceeds').textContent = `$${parseFloat(data.totalProceeds).toFixed(2)}`;
+    } catch (error) {
+        // User may not have view_financials privilege
+    }
+}
 
-async function loadCookieDashboard() {
+async function loadSeasonMilestones(troopId) {
     try {
-        // Find the user's troop
-        const troopsRes = await fetch(`${API_BASE_URL}/troop/my-troops`, { credentials: 'include' });
-        if (!troopsRes.ok) return;
-        const troops = await troopsRes.json();
-        if (!troops.length) return;
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/milestones`, { credentials: 'include' });
+        if (!res.ok) return;
+        const milestones = await res.json();
+        const el = document.getElementById('cookieMilestonesList');
+        if (!milestones.length) {
+            el.innerHTML = '<p class="empty-state">No milestones set</p>';
+            return;
+        }
+        el.innerHTML = milestones.map(m => `
+            <div class="milestone-item">
+                <span class="milestone-date">${m.milestoneDate ? new Date(m.milestoneDate).toLocaleDateString() : 'TBD'}</span>
+                <span class="milestone-name">${m.milestoneName}</span>
+                ${m.description ? `<span class="milestone-desc">${m.description}</span>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        // User may not have view_events privilege for milestones
+    }
+}
 
-        const troop = troops[0]; // Use first troop
-        cookieDashboardTroopId = troop.id;
+async function loadSeasonRolloverSettings(troopId) {
+    const checkbox = document.getElementById('carryInventoryForward');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/season-config`, { credentials: 'include' });
+        if (!res.ok) return;
+        const config = await res.json();
+        checkbox.checked = !!config.carryInventoryForward;
+    } catch (error) {
+        // User may not have view_financials privilege
+    }
+}
 
-        // Load dashboard data
-        const dashRes = await fetch(`${API_BASE_URL}/troop/${troop.id}/cookie-dashboard`, { credentials: 'include' });
-        if (!dashRes.ok) return;
-        cookieDashboardData = await dashRes.json();
+async function saveCarryInventoryForward(checked) {
+    try {
+        // The season config endpoint replaces the whole row, so send the current values back
+        const current = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/season-config`, { credentials: 'include' });
+        await handleApiResponse(current);
+        const config = await current.json();
+
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/season-config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...config, carryInventoryForward: checked })
+        });
+        await handleApiResponse(res);
+        showFeedback(checked ? 'Inventory will carry into next season' : 'Inventory will start at zero next season');
+    } catch (error) {
+        document.getElementById('carryInventoryForward').checked = !checked;
+        showFeedback(error.message);
+    }
+}
+
+async function loadSeasonSnapshots(troopId) {
+    const el = document.getElementById('seasonSnapshotsList');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/season-snapshots`, { credentials: 'include' });
+        if (!res.ok) return;
+        const snapshots = await res.json();
+        if (!snapshots.length) {
+            el.innerHTML = '<p class="empty-state">No completed seasons yet.</p>';
+            return;
+        }
+        el.innerHTML = snapshots.map(({ season, seasonName, summary }) => `
+            <div class="glass-card" style="margin-bottom: var(--space-md); padding: var(--space-md);">
+                <h3>${escapeHtml(seasonName || season)}</h3>
+                <p>
+                    <strong>${summary.totals.totalBoxes}</strong> boxes ·
+                    <strong>$${summary.totals.totalRevenue.toFixed(2)}</strong> collected ·
+                    <strong>$${summary.proceeds.totalProceeds.toFixed(2)}</strong> proceeds ·
+                    ${summary.totals.activeSellers} sellers ·
+                    $${summary.donations.total.toFixed(2)} donations ·
+                    ${summary.booths.completed}/${summary.booths.total} booths completed
+                </p>
+                ${summary.byScout.length ? `
+                    <details>
+                        <summary>Scouts</summary>
+                        <ul>${summary.byScout.map(r => `<li>${escapeHtml(r.firstName)} ${escapeHtml(r.lastName)}: ${r.boxes} boxes</li>`).join('')}</ul>
+                    </details>` : ''}
+                ${summary.byProduct.length ? `
+                    <details>
+                        <summary>Products</summary>
+                        <ul>${summary.byProduct.map(r => `<li>${escapeHtml(r.product)}: ${r.boxes} boxes</li>`).join('')}</ul>
+                    </details>` : ''}
+                ${summary.closingInventory.length ? `
+                    <details>
+                        <summary>Closing inventory</summary>
+                        <ul>${summary.closingInventory.map(r => `<li>${escapeHtml(r.product)}: ${r.quantity}</li>`).join('')}</ul>
+                    </details>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        // User may not have view_financials privilege
+    }
+}
+
+// ============================================================================
+// SEASON SWITCHER
+// ============================================================================
+
+// '' follows the server's active season, 'all' shows every season
+let selectedSeason = '';
+
+// Query string for the selected season, e.g. '?season=2025'
+function seasonQuery(prefix = '?') {
+    return selectedSeason ? `${prefix}season=${encodeURIComponent(selectedSeason)}` : '';
+}
 
-        // Set dynamic tab label
-        const tabLabel = document.getElementById('cookiesTabLabel');
-        const dashTitle = document.getElementById('cookieDashTitle');
-        const orgCode = cookieDashboardData.orgCode;
-        let productLabel = 'Products';
-        if (orgCode === 'gsusa') productLabel = 'Cookies';
-        else if (orgCode === 'sa_cub' || orgCode === 'sa_bsa') productLabel = 'Popcorn';
-        if (tabLabel) tabLabel.textContent = productLabel;
-        if (dashTitle) dashTitle.textContent = `${productLabel} Dashboard`;
+async function loadSeasonOptions() {
+    const selectors = document.querySelectorAll('.season-select');
+    if (!selectors.length) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/seasons`, { credentials: 'include' });
+        if (!res.ok) return;
+        const seasons = await res.json();
+        const active = seasons.find(s => s.isActive);
 
-        renderCookieDashboard();
-        loadQuickSaleProducts(troop.id);
-        loadBoothEvents(troop.id);
-        loadTroopProceeds(troop.id);
-        loadSeasonMilestones(troop.id);
+        const options = seasons.map(s => `
+            <option value="${escapeHtml(s.year)}">${escapeHtml(s.name || s.year)}${s.isActive ? ' (current)' : ''}</option>
+        `).join('') + '<option value="all">All seasons</option>';
+
+        selectors.forEach(select => {
+            select.innerHTML = options;
+            select.value = selectedSeason || (active ? active.year : 'all');
+        });
     } catch (error) {
-        console.error('Error loading cookie dashboard:', error);
+        console.error('Error loading seasons:', error);
     }
 }
 
-function renderCookieDashboard() {
-    const data = cookieDashboardData;
-    if (!data) return;
+function setupSeasonSwitcher() {
+    document.querySelectorAll('.season-select').forEach(select => {
+        select.addEventListener('change', async (e) => {
+            selectedSeason = e.target.value;
+            document.querySelectorAll('.season-select').forEach(other => { other.value = selectedSeason; });
 
-    // Summary cards
-    document.getElementById('myTotalBoxes').textContent = data.mySales?.totalBoxes || 0;
-    document.getElementById('myTotalCollected').textContent = `$${parseFloat(data.mySales?.totalCollected || 0).toFixed(2)}`;
+            if (cookieDashboardTroopId) loadCookieDashboard();
+            if (selectedTroopId) loadTroopData(selectedTroopId);
+            await loadDonations();
+            renderDonations();
+        });
+    });
+    loadSeasonOptions();
+}
 
-    // Goal progress
-    const goalBoxes = data.myGoal?.goalBoxes || 0;
-    const totalBoxes = parseInt(data.mySales?.totalBoxes || 0);
-    const goalPct = goalBoxes > 0 ? Math.round((totalBoxes / goalBoxes) * 100) : 0;
-    const displayPct = Math.min(100, goalPct);
-    document.getElementById('myGoalProgress').textContent = goalBoxes > 0 ? `${goalPct}%` : '--';
+// ============================================================================
+// INVENTORY LEDGER
+// ============================================================================
 
-    // Animate goal ring
-    const goalRing = document.getElementById('goalRingProgress');
-    if (goalRing) {
-        const circumference = 283;
-        const offset = circumference - (displayPct / 100) * circumference;
-        goalRing.style.strokeDashoffset = offset;
-    }
+const MOVEMENT_LOCATIONS = {
+    issue: { from: ['troop'], to: ['scout', 'booth'] },
+    return: { from: ['scout', 'booth'], to: ['troop'] },
+    transfer: { from: ['scout', 'booth'], to: ['scout', 'booth'] },
+    damage: { from: ['troop', 'scout', 'booth'], to: ['damaged'] },
+    receive: { from: ['supplier'], to: ['troop'] },
+    adjust: { from: ['adjustment', 'troop', 'scout', 'booth'], to: ['adjustment', 'troop', 'scout', 'booth'] }
+};
 
-    // Product breakdown
-    const breakdownEl = document.getElementById('cookieProductBreakdown');
-    if (data.myProductBreakdown?.length) {
-        breakdownEl.innerHTML = data.myProductBreakdown.map(p => `
-            <div class="cookie-product-item">
-                <div class="cookie-product-name">${p.cookieName}${p.shortName ? ` (${p.shortName})` : ''}</div>
-                <div class="cookie-product-stats">
-                    <span class="cookie-product-qty">${p.totalQuantity} boxes</span>
-                    <span class="cookie-product-rev">$${parseFloat(p.totalCollected || 0).toFixed(2)}</span>
-                </div>
-            </div>
-        `).join('');
-    } else {
-        breakdownEl.innerHTML = '<p class="empty-state">No sales recorded yet</p>';
-    }
+let movementBooths = [];
 
-    // Inventory
-    const invEl = document.getElementById('cookieInventoryGrid');
-    if (data.myInventory?.length) {
-        invEl.innerHTML = data.myInventory.map(i => `
-            <div class="cookie-inv-item">
-                <span class="cookie-inv-name">${i.cookieName} (${i.shortName})</span>
-                <div class="cookie-inv-controls">
-                    <button class="inventory-btn" onclick="adjustCookieInventory('${i.productId}', -1)">-</button>
-                    <span class="cookie-inv-qty">${i.quantity}</span>
-                    <button class="inventory-btn" onclick="adjustCookieInventory('${i.productId}', 1)">+</button>
+function describeLedgerLocation(entry) {
+    if (entry.locationType === 'scout') return entry.scoutName || 'Scout';
+    if (entry.locationType === 'booth') return entry.boothName ? `Booth: ${entry.boothName}` : 'Booth';
+    return { troop: 'Troop stock', supplier: 'Council', customer: 'Sold', damaged: 'Damaged', adjustment: 'Adjustment', carryover: 'Last season' }[entry.locationType] || entry.locationType;
+}
+
+async function loadInventoryHoldings(troopId) {
+    const el = document.getElementById('inventoryHoldingsList');
+    if (!el) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/inventory-ledger/balances${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const { balances } = await res.json();
+
+        const holders = {};
+        balances.filter(b => b.locationType === 'scout' || b.locationType === 'booth' || b.locationType === 'damaged').forEach(b => {
+            const key = b.userId || b.boothEventId || b.locationType;
+            if (!holders[key]) {
+                const name = b.locationType === 'scout' ? `${b.firstName} ${b.lastName}`
+                    : b.locationType === 'booth' ? `Booth: ${b.eventName}` : 'Damaged';
+                holders[key] = { name, total: 0, items: [] };
+            }
+            holders[key].total += b.quantity;
+            holders[key].items.push(`${escapeHtml(b.shortName || b.cookieName)} ${b.quantity}`);
+        });
+
+        const rows = Object.values(holders);
+        if (!rows.length) {
+            el.innerHTML = '<p class="empty-state">No stock issued to scouts or booths.</p>';
+            return;
+        }
+        el.innerHTML = rows.map(h => `
+            <div class='glass-card' style='padding: var(--space-md); margin-bottom: var(--space-sm); display:flex; justify-content:space-between; gap: var(--space-md);'>
+                <div>
+                    <strong>${escapeHtml(h.name)}</strong><br>
+                    <small>${h.items.join(' · ')}</small>
                 </div>
+                <div><strong>${h.total}</strong> boxes</div>
             </div>
         `).join('');
-    } else {
-        invEl.innerHTML = '<p class="empty-state">No inventory tracked yet. Record inventory from Products.</p>';
-    }
-
-    // Recent sales
-    const recentEl = document.getElementById('cookieRecentSales');
-    if (data.recentSales?.length) {
-        recentEl.innerHTML = data.recentSales.map(s => `
-            <div class="recent-sale-item">
-                <div class="recent-sale-info">
-                    <span class="recent-sale-cookie">${s.productName || s.cookieType}</span>
-                    <span class="recent-sale-customer">${s.customerName || 'Anonymous'}</span>
+    } catch (error) {
+        console.error('Error loading inventory holdings:', error);
+    }
+}
+
+function renderLedgerTransaction(t, { canManage, canSign }) {
+    const outgoing = t.entries.filter(e => e.quantity < 0);
+    const incoming = t.entries.filter(e => e.quantity > 0);
+    const boxes = incoming.reduce((sum, e) => sum + e.quantity, 0);
+    const fromLabel = outgoing.length ? describeLedgerLocation(outgoing[0]) : '';
+    const toLabel = incoming.length ? describeLedgerLocation(incoming[0]) : '';
+    const items = incoming.map(e => `${escapeHtml(e.cookieName)} ${e.quantity}`).join(' · ');
+    const signature = t.acknowledgedAt
+        ? `Signed by ${escapeHtml(t.acknowledgedName)} on ${new Date(t.acknowledgedAt).toLocaleDateString()}`
+        : '';
+
+    return `
+        <div class='glass-card' style='padding: var(--space-md); margin-bottom: var(--space-sm);'>
+            <div style='display:flex; justify-content:space-between; align-items:center; gap: var(--space-md);'>
+                <div>
+                    <span class='booth-status-badge'>${escapeHtml(t.transactionType)}</span>
+                    <strong>${escapeHtml(fromLabel)} → ${escapeHtml(toLabel)}</strong>
+                    (${boxes} boxes)<br>
+                    <small>${new Date(t.createdAt).toLocaleString()}${t.createdByName ? ` by ${escapeHtml(t.createdByName)}` : ''}</small>
                 </div>
-                <div class="recent-sale-details">
-                    <span class="recent-sale-qty">${s.quantity} box${s.quantity !== 1 ? 'es' : ''}</span>
-                    <span class="recent-sale-type">${formatSaleType(s.saleType)}</span>
-                    <span class="recent-sale-date">${new Date(s.date).toLocaleDateString()}</span>
+                <div style='display:flex; gap: var(--space-sm);'>
+                    ${canSign && !t.acknowledgedAt && ['issue', 'return', 'transfer'].includes(t.transactionType) ? `<button class='btn btn-sm btn-primary' onclick='acknowledgeInventoryTransaction("${t.troopId}", "${t.id}")'>Sign</button>` : ''}
+                    ${canManage && !t.reversedById && t.transactionType !== 'reversal' ? `<button class='btn btn-sm btn-secondary' onclick='reverseInventoryTransaction("${t.id}")'>Reverse</button>` : ''}
                 </div>
-                <button class="btn btn-sm btn-danger" onclick="deleteSaleFromDashboard('${s.id}')">Del</button>
             </div>
-        `).join('');
-    } else {
-        recentEl.innerHTML = '<p class="empty-state">No recent sales</p>';
+            <div style='margin-top: var(--space-xs); font-size: 0.85rem;'>${items}</div>
+            ${t.reason ? `<div style='margin-top: var(--space-xs); font-style: italic; font-size: 0.8rem;'>${escapeHtml(t.reason)}</div>` : ''}
+            ${signature ? `<div style='margin-top: var(--space-xs); font-size: 0.8rem;'>${signature}</div>` : ''}
+            ${t.reversedById ? `<div style='margin-top: var(--space-xs); font-size: 0.8rem;'>Reversed</div>` : ''}
+        </div>
+    `;
+}
+
+async function loadInventoryLedger(troopId) {
+    const el = document.getElementById('inventoryLedgerList');
+    if (!el) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/inventory-ledger?limit=50`, { credentials: 'include' });
+        if (!res.ok) return;
+        const transactions = await res.json();
+        if (!transactions.length) {
+            el.innerHTML = '<p class="empty-state">No inventory movements recorded yet.</p>';
+            return;
+        }
+        el.innerHTML = transactions.map(t => renderLedgerTransaction(t, { canManage: true, canSign: false })).join('');
+    } catch (error) {
+        console.error('Error loading inventory ledger:', error);
     }
+}
 
-    // Troop section
-    if (data.troopData) {
-        document.getElementById('cookieTroopSection').style.display = '';
-        document.getElementById('cookieTroopBoxes').textContent = data.troopData.totals?.totalBoxes || 0;
-        document.getElementById('cookieTroopCollected').textContent = `$${parseFloat(data.troopData.totals?.totalCollected || 0).toFixed(2)}`;
+// Pickups and returns for the current scout (or a parent's scouts) awaiting a signature
+async function loadMyInventoryTransactions(troopId) {
+    const section = document.getElementById('cookieIssuedSection');
+    const el = document.getElementById('cookieIssuedList');
+    if (!section || !el || !currentUser) return;
+    try {
+        const userFilter = currentUser.role === 'parent' ? '' : `&userId=${currentUser.id}`;
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/inventory-ledger?limit=20${userFilter}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const transactions = (await res.json()).filter(t => ['issue', 'return', 'transfer'].includes(t.transactionType));
+        section.style.display = transactions.length ? '' : 'none';
+        el.innerHTML = transactions.map(t =>
+            renderLedgerTransaction(t, { canManage: false, canSign: t.createdBy !== currentUser.id })
+        ).join('');
+    } catch (error) {
+        console.error('Error loading issued inventory:', error);
     }
 }
 
-function formatSaleType(type) {
-    const labels = {
-        individual: 'Individual', individual_inperson: 'In-Person',
-        individual_digital_delivered: 'Digital (Delivered)', individual_digital_shipped: 'Digital (Shipped)',
-        individual_donation: 'Donation', booth_troop: 'Troop Booth',
-        booth_family: 'Family Booth', booth_council: 'Council Booth', event: 'Event'
-    };
-    return labels[type] || type;
+function movementLocationOptions(types) {
+    const options = [];
+    types.forEach(type => {
+        if (type === 'scout') {
+            troopMembers.filter(m => m.status === 'active').forEach(m => {
+                options.push(`<option value='scout:${m.id}'>${escapeHtml(m.firstName + ' ' + m.lastName)}</option>`);
+            });
+        } else if (type === 'booth') {
+            movementBooths.forEach(b => {
+                options.push(`<option value='booth:${b.id}'>Booth: ${escapeHtml(b.eventName)}</option>`);
+            });
+        } else {
+            options.push(`<option value='${type}'>${describeLedgerLocation({ locationType: type })}</option>`);
+        }
+    });
+    return options.join('');
 }
 
-async function adjustCookieInventory(productId, delta) {
+function renderMovementLocations() {
+    const rules = MOVEMENT_LOCATIONS[document.getElementById('movementType').value];
+    document.getElementById('movementFrom').innerHTML = movementLocationOptions(rules.from);
+    document.getElementById('movementTo').innerHTML = movementLocationOptions(rules.to);
+}
+
+function parseMovementLocation(value) {
+    const [type, id] = value.split(':');
+    if (type === 'scout') return { type, userId: id };
+    if (type === 'booth') return { type, boothEventId: id };
+    return { type };
+}
+
+async function openInventoryMovementModal() {
+    if (!selectedTroopId) return;
     try {
-        const item = cookieDashboardData?.myInventory?.find(i => i.productId === productId);
-        const newQty = Math.max(0, (item?.quantity || 0) + delta);
-        await fetch(`${API_BASE_URL}/inventory/${productId}`, {
-            method: 'PUT', credentials: 'include',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ quantity: newQty })
-        });
-        loadCookieDashboard();
+        const [productsRes, boothsRes] = await Promise.all([
+            fetch(`${API_BASE_URL}/troop/${selectedTroopId}/products`, { credentials: 'include' }),
+            fetch(`${API_BASE_URL}/troop/${selectedTroopId}/booths`, { credentials: 'include' })
+        ]);
+        if (!productsRes.ok) throw new Error('Failed to load products');
+        const { products } = await productsRes.json();
+        movementBooths = boothsRes.ok ? (await boothsRes.json()).filter(b => b.status !== 'cancelled') : [];
+
+        document.getElementById('movementItemsList').innerHTML = products.map(p => `
+            <div class='booth-inventory-row-field'>
+                <div class='cookie-name-field'>${escapeHtml(p.cookieName)}</div>
+                <div class='cookie-qty-control'>
+                    <input type='number' class='qty-input-field movement-qty' data-product='${p.id}' value='0' min='0'>
+                </div>
+            </div>
+        `).join('');
+        document.getElementById('movementType').value = 'issue';
+        document.getElementById('movementReason').value = '';
+        renderMovementLocations();
+        document.getElementById('inventoryMovementModal').style.display = 'flex';
     } catch (error) {
-        console.error('Error adjusting inventory:', error);
+        alert('Error: ' + error.message);
     }
 }
 
-async function loadQuickSaleProducts(troopId) {
+function closeInventoryMovementModal() {
+    document.getElementById('inventoryMovementModal').style.display = 'none';
+}
+
+async function submitInventoryMovement() {
+    const items = [];
+    document.querySelectorAll('.movement-qty').forEach(input => {
+        const qty = parseInt(input.value) || 0;
+        if (qty > 0) items.push({ productId: input.dataset.product, quantity: qty });
+    });
+    if (!items.length) return alert('Add at least one item');
+
+    const fromValue = document.getElementById('movementFrom').value;
+    const toValue = document.getElementById('movementTo').value;
+    if (!fromValue || !toValue) return alert('Choose where the boxes come from and go to');
+
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/products`, { credentials: 'include' });
-        if (!res.ok) return;
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/inventory-ledger`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                type: document.getElementById('movementType').value,
+                from: parseMovementLocation(fromValue),
+                to: parseMovementLocation(toValue),
+                items,
+                reason: document.getElementById('movementReason').value
+            })
+        });
         const data = await res.json();
-        const select = document.getElementById('qsProduct');
-        if (!select) return;
-        orderCardProducts = data.products || [];
-        select.innerHTML = '<option value="">Select cookie...</option>' +
-            orderCardProducts.map(p => `<option value="${p.id}">${p.cookieName} (${p.shortName}) - $${p.pricePerBox}</option>`).join('');
+        if (!res.ok) throw new Error(data.error || 'Failed to record movement');
+        closeInventoryMovementModal();
+        showFeedback('Inventory movement recorded');
+        loadTroopSharedInventory(selectedTroopId);
+        loadInventoryHoldings(selectedTroopId);
+        loadInventoryLedger(selectedTroopId);
     } catch (error) {
-        console.error('Error loading products for quick sale:', error);
+        alert('Error: ' + error.message);
     }
 }
 
-// Quick Sale Form
-document.addEventListener('DOMContentLoaded', () => {
-    const form = document.getElementById('quickSaleForm');
-    if (form) {
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const productId = document.getElementById('qsProduct').value;
-            const quantity = parseInt(document.getElementById('qsQuantity').value);
-            const saleType = document.getElementById('qsSaleType').value;
-            const customerName = document.getElementById('qsCustomer').value.trim();
-
-            if (!productId || !quantity) return alert('Please select a product and quantity');
-
-            try {
-                const res = await fetch(`${API_BASE_URL}/sales`, {
-                    method: 'POST', credentials: 'include',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ productId, quantity, saleType, customerName, date: new Date().toISOString().split('T')[0] })
-                });
-                if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
-                document.getElementById('qsQuantity').value = 1;
-                document.getElementById('qsCustomer').value = '';
-                loadCookieDashboard();
-            } catch (error) {
-                alert('Error recording sale: ' + error.message);
-            }
+async function reverseInventoryTransaction(transactionId) {
+    const reason = prompt('Why is this movement being reversed?');
+    if (!reason) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/inventory-ledger/${transactionId}/reverse`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
         });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to reverse movement');
+        showFeedback('Movement reversed');
+        loadTroopSharedInventory(selectedTroopId);
+        loadInventoryHoldings(selectedTroopId);
+        loadInventoryLedger(selectedTroopId);
+    } catch (error) {
+        alert('Error: ' + error.message);
     }
-});
+}
 
-async function deleteSaleFromDashboard(saleId) {
-    if (!confirm('Delete this sale?')) return;
+async function acknowledgeInventoryTransaction(troopId, transactionId) {
+    const signatureName = prompt('Type your full name to sign for these boxes');
+    if (!signatureName) return;
     try {
-        await fetch(`${API_BASE_URL}/sales/${saleId}`, { method: 'DELETE', credentials: 'include' });
-        loadCookieDashboard();
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/inventory-ledger/${transactionId}/acknowledge`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ signatureName })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to sign');
+        showFeedback('Signed');
+        loadMyInventoryTransactions(troopId);
     } catch (error) {
-        alert('Error deleting sale: ' + error.message);
+        alert('Error: ' + error.message);
     }
 }
 
 // ============================================================================
-// Goal Getter Order Card (Phase B.3)
+// BOOTH SIGN-UP BOARD
 // ============================================================================
 
-function toggleOrderCard() {
-    const container = document.getElementById('orderCardContainer');
-    container.classList.toggle('hidden');
-    if (!container.classList.contains('hidden')) {
-        setupOrderCard();
-    }
-}
-
-function setupOrderCard() {
-    if (!orderCardProducts.length) return;
-
-    // Header info
-    const scoutName = currentUser ? `${currentUser.firstName} ${currentUser.lastName}` : '';
-    document.getElementById('orderCardScoutName').textContent = scoutName;
-    document.getElementById('orderCardTroop').textContent = `Troop ${cookieDashboardData?.troopData?.goal?.troopId ? '' : ''}`;
-    document.getElementById('orderCardGoal').textContent = `Goal: ${cookieDashboardData?.myGoal?.goalBoxes || 0} boxes`;
-
-    // Build table header with product columns
-    const thead = document.getElementById('orderCardHead');
-    thead.innerHTML = `<tr>
-        <th>Customer</th><th>Phone</th>
-        ${orderCardProducts.map(p => `<th class="oc-product-col" title="${p.cookieName}">${p.shortName}</th>`).join('')}
-        <th>Total</th><th>Paid</th>
-    </tr>`;
+let boothSignupScouts = [];
 
-    // Build footer totals
-    const tfoot = document.getElementById('orderCardFoot');
-    tfoot.innerHTML = `<tr>
-        <td colspan="2"><strong>Totals</strong></td>
-        ${orderCardProducts.map((p, i) => `<td class="oc-total" id="ocTotal_${i}">0</td>`).join('')}
-        <td class="oc-total" id="ocGrandTotal">0</td><td></td>
-    </tr>`;
+async function loadBoothSignupBoard(troopId) {
+    const section = document.getElementById('boothSignupSection');
+    if (!section) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booth-signups`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = '';
+        boothSignupScouts = data.scouts;
+
+        const canManage = currentUser && ['troop_leader', 'co-leader', 'assistant', 'admin'].includes(currentUser.role);
+        document.getElementById('boothSignupSettings').style.display = canManage ? '' : 'none';
+        document.getElementById('maxShiftsPerFamily').value = data.maxShiftsPerFamily || '';
+
+        const limitEl = document.getElementById('boothSignupLimit');
+        if (data.maxShiftsPerFamily && data.scouts.length) {
+            limitEl.textContent = `Each family can take up to ${data.maxShiftsPerFamily} booth shifts this season. ` +
+                data.scouts.map(s => `${s.firstName}: ${s.familyShiftCount} used`).join(', ');
+            limitEl.style.display = '';
+        } else {
+            limitEl.style.display = 'none';
+        }
 
-    // Add initial rows
-    const tbody = document.getElementById('orderCardBody');
-    if (!tbody.children.length) {
-        for (let i = 0; i < 5; i++) addOrderCardRow();
+        renderBoothSignupBoard(data.booths);
+    } catch (error) {
+        console.error('Error loading booth sign-ups:', error);
     }
 }
 
-function addOrderCardRow() {
-    const tbody = document.getElementById('orderCardBody');
-    const row = document.createElement('tr');
-    row.innerHTML = `
-        <td><input type="text" class="oc-input oc-customer" placeholder="Name"></td>
-        <td><input type="tel" class="oc-input oc-phone" placeholder="Phone"></td>
-        ${orderCardProducts.map((p, i) => `<td><input type="number" class="oc-input oc-qty" data-idx="${i}" min="0" value="" placeholder="0" onchange="updateOrderCardTotals()"></td>`).join('')}
-        <td class="oc-row-total">0</td>
-        <td><input type="checkbox" class="oc-paid"></td>
-    `;
-    tbody.appendChild(row);
+function renderBoothSignupBoard(booths) {
+    const el = document.getElementById('boothSignupBoard');
+    if (!booths.length) {
+        el.innerHTML = '<p class="empty-state">No booth slots are open for sign-up</p>';
+        return;
+    }
+    el.innerHTML = booths.map(b => `
+        <div class="booth-event-card">
+            <div class="booth-event-header">
+                <span class="booth-event-name">${escapeHtml(b.eventName)}</span>
+                <span>${escapeHtml(b.location || '')}</span>
+            </div>
+            ${b.slots.map(slot => renderBoothSignupSlot(slot)).join('')}
+        </div>
+    `).join('');
 }
 
-function updateOrderCardTotals() {
-    const tbody = document.getElementById('orderCardBody');
-    const rows = tbody.querySelectorAll('tr');
-    const productTotals = new Array(orderCardProducts.length).fill(0);
-    let grandTotal = 0;
+function renderBoothSignupSlot(slot) {
+    const full = slot.scoutCount >= slot.scoutCapacity;
+    const signedUpIds = slot.signups.map(s => s.scoutId);
+    const available = boothSignupScouts.filter(s => !signedUpIds.includes(s.id));
+    return `
+        <div class="shift-item">
+            <div class="shift-time">${formatSlotTime(slot)}</div>
+            <div>
+                ${slot.scoutCount}/${slot.scoutCapacity} scouts · ${slot.adultCount}/${slot.adultCapacity} adults
+                ${slot.adultsNeeded ? `<strong>· needs ${slot.adultsNeeded} adult${slot.adultsNeeded > 1 ? 's' : ''}</strong>` : ''}
+                ${slot.waitlistCount ? `· ${slot.waitlistCount} waiting` : ''}
+            </div>
+            <div>
+                ${slot.signups.map(s => `
+                    <span class="booth-status-badge booth-status-${s.status}">
+                        ${escapeHtml(s.scoutName)}${s.adultName ? ` + ${escapeHtml(s.adultName)}` : ''}${s.waitlistPosition ? ` (#${s.waitlistPosition} waiting)` : ''}
+                        ${s.mine ? `<a href="#" onclick="cancelBoothSignup('${slot.id}', '${s.id}'); return false;">cancel</a>` : ''}
+                    </span>
+                `).join('')}
+            </div>
+            ${available.length ? `
+                <div style="display:flex; gap: var(--space-sm); align-items:center;">
+                    <select id="signupScout-${slot.id}">
+                        ${available.map(s => `<option value="${s.id}">${escapeHtml(s.firstName)}</option>`).join('')}
+                    </select>
+                    <label><input type="checkbox" id="signupAdult-${slot.id}" ${slot.adultsNeeded ? 'checked' : ''}> I'll come as the adult</label>
+                    <button class="btn btn-sm btn-primary" onclick="signUpForBoothSlot('${slot.id}')">${full ? 'Join Waitlist' : 'Sign Up'}</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
 
-    rows.forEach(row => {
-        let rowTotal = 0;
-        row.querySelectorAll('.oc-qty').forEach(input => {
-            const val = parseInt(input.value) || 0;
-            const idx = parseInt(input.dataset.idx);
-            productTotals[idx] += val;
-            rowTotal += val;
+async function signUpForBoothSlot(slotId) {
+    const scoutId = document.getElementById(`signupScout-${slotId}`).value;
+    const withAdult = document.getElementById(`signupAdult-${slotId}`).checked;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-slots/${slotId}/signups`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scoutId, withAdult })
         });
-        const totalCell = row.querySelector('.oc-row-total');
-        if (totalCell) totalCell.textContent = rowTotal;
-        grandTotal += rowTotal;
-    });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showFeedback(data.status === 'waitlisted' ? 'Added to the waitlist' : 'Signed up');
+        loadBoothSignupBoard(cookieDashboardTroopId);
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
 
-    productTotals.forEach((total, i) => {
-        const el = document.getElementById(`ocTotal_${i}`);
-        if (el) el.textContent = total;
-    });
-    const grandEl = document.getElementById('ocGrandTotal');
-    if (grandEl) grandEl.textContent = grandTotal;
+async function cancelBoothSignup(slotId, shiftId) {
+    if (!confirm('Cancel this sign-up?')) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-slots/${slotId}/signups/${shiftId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showFeedback('Sign-up cancelled');
+        loadBoothSignupBoard(cookieDashboardTroopId);
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
 }
 
-async function saveOrderCard() {
-    const tbody = document.getElementById('orderCardBody');
-    const rows = tbody.querySelectorAll('tr');
-    const orderNumber = `OC-${Date.now()}`;
-    let savedCount = 0;
+async function saveBoothSignupSettings() {
+    const value = parseInt(document.getElementById('maxShiftsPerFamily').value);
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-signup-settings`, {
+            method: 'PUT', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ maxShiftsPerFamily: value > 0 ? value : null })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showFeedback('Sign-up limit saved');
+        loadBoothSignupBoard(cookieDashboardTroopId);
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
 
-    for (const row of rows) {
-        const customer = row.querySelector('.oc-customer')?.value.trim();
-        if (!customer) continue;
-        const phone = row.querySelector('.oc-phone')?.value.trim();
-        const paid = row.querySelector('.oc-paid')?.checked;
-        const qtyInputs = row.querySelectorAll('.oc-qty');
+// ============================================================================
+// BOOTH CASH & DEPOSITS
+// ============================================================================
 
-        for (const input of qtyInputs) {
-            const qty = parseInt(input.value) || 0;
-            if (qty <= 0) continue;
-            const idx = parseInt(input.dataset.idx);
-            const product = orderCardProducts[idx];
-            if (!product) continue;
+async function loadMyCashEnvelopes(troopId) {
+    const section = document.getElementById('myCashEnvelopesSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/my-cash-envelopes`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = data.envelopes.length ? '' : 'none';
+        document.getElementById('myCashEnvelopesList').innerHTML =
+            data.envelopes.map(e => renderCashEnvelope(e, data.recipients, false)).join('');
+    } catch (error) {
+        console.error('Error loading cash envelopes:', error);
+    }
+}
 
-            try {
-                await fetch(`${API_BASE_URL}/sales`, {
-                    method: 'POST', credentials: 'include',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        productId: product.id, quantity: qty,
-                        saleType: 'individual_inperson', customerName: customer,
-                        customerPhone: phone, orderNumber,
-                        amountDue: qty * product.pricePerBox,
-                        amountCollected: paid ? qty * product.pricePerBox : 0,
-                        orderStatus: paid ? 'Paid' : 'Pending',
-                        date: new Date().toISOString().split('T')[0]
-                    })
-                });
-                savedCount++;
-            } catch (e) {
-                console.error('Error saving order card row:', e);
-            }
+async function loadBoothCashStatus(troopId) {
+    const section = document.getElementById('boothCashSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booth-cash${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = '';
+
+        const statusEl = document.getElementById('boothCashStatusList');
+        statusEl.innerHTML = data.booths.length ? `
+            <table class="data-table">
+                <thead><tr><th>Booth</th><th>Recorded Cash</th><th>Drawer</th><th>Sealed</th><th>Deposited</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${data.booths.map(b => `
+                        <tr>
+                            <td>${escapeHtml(b.eventName)}<br><small>${new Date(b.startDateTime).toLocaleDateString()}</small></td>
+                            <td>${formatMoney(b.recordedCash)}</td>
+                            <td>${b.endCount ? formatMoney(b.endCount.total) : '—'}</td>
+                            <td>${formatMoney(b.sealedTotal)}</td>
+                            <td>${formatMoney(b.depositedTotal)}</td>
+                            <td><span class="booth-status-badge">${CASH_CUSTODY_LABELS[b.custodyStatus]}${b.inTransitCount ? ' · in transit' : ''}</span></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">No booth cash yet</p>';
+
+        const canDeposit = currentUser && ['troop_leader', 'cookie_leader', 'cookie_manager', 'admin'].includes(currentUser.role);
+        document.getElementById('cashDepositForm').style.display = canDeposit && data.readyToDeposit.length ? '' : 'none';
+        document.getElementById('readyToDepositList').innerHTML = data.readyToDeposit.map(e => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="deposit-envelope" value="${e.id}" checked>
+                ${escapeHtml(e.eventName)}${e.envelopeNumber ? ` · Envelope ${escapeHtml(e.envelopeNumber)}` : ''}
+                · ${formatMoney(parseFloat(e.cashAmount) + parseFloat(e.checkAmount))} held by ${escapeHtml(e.holderName || 'unknown')}
+            </label>
+        `).join('');
+        if (!document.getElementById('depositDate').value) {
+            document.getElementById('depositDate').value = new Date().toISOString().slice(0, 10);
         }
+
+        loadCashDeposits(troopId, canDeposit);
+    } catch (error) {
+        // User may not have view_financials privilege
     }
+}
 
-    if (savedCount > 0) {
-        alert(`Saved ${savedCount} sale(s) from order card`);
-        loadCookieDashboard();
-    } else {
-        alert('No sales to save. Fill in customer names and quantities.');
+async function loadCashDeposits(troopId, canManage) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/cash-deposits`, { credentials: 'include' });
+        if (!res.ok) return;
+        const deposits = await res.json();
+        const el = document.getElementById('cashDepositsList');
+        if (!deposits.length) { el.innerHTML = '<p class="empty-state">No deposits recorded</p>'; return; }
+        el.innerHTML = deposits.map(d => `
+            <div class="payment-item">
+                <div>
+                    <strong>${new Date(d.depositDate).toLocaleDateString()} · Slip ${escapeHtml(d.slipReference)}</strong>
+                    ${d.bankName ? ` · ${escapeHtml(d.bankName)}` : ''}
+                    · ${formatMoney(parseFloat(d.cashAmount) + parseFloat(d.checkAmount))}
+                    (${formatMoney(d.cashAmount)} cash, ${formatMoney(d.checkAmount)} checks)
+                    by ${escapeHtml(d.depositedByName || 'unknown')}
+                </div>
+                <small>${d.envelopes.map(e => escapeHtml(e.eventName) + (e.envelopeNumber ? ` #${escapeHtml(e.envelopeNumber)}` : '')).join(', ')}</small>
+                ${canManage ? `<button class="btn btn-sm btn-danger" onclick="voidCashDeposit('${d.id}')">Void</button>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading deposits:', error);
     }
 }
 
-function printOrderCard() {
-    const container = document.getElementById('orderCardContainer');
-    const printWin = window.open('', '_blank');
-    printWin.document.write(`
-        <html><head><title>Goal Getter Order Card</title>
-        <style>
-            body { font-family: Arial, sans-serif; font-size: 12px; }
-            table { width: 100%; border-collapse: collapse; }
-            th, td { border: 1px solid #333; padding: 4px 6px; text-align: center; }
-            th { background: #f0f0f0; }
-            .oc-input { border: none; width: 100%; text-align: center; }
-            .order-card-header { margin-bottom: 10px; }
-            @media print { button { display: none; } }
-        </style></head><body>
-        ${container.innerHTML}
-        <script>window.print(); window.close();</script>
-        </body></html>
-    `);
+async function createCashDeposit() {
+    const envelopeIds = [...document.querySelectorAll('.deposit-envelope:checked')].map(input => input.value);
+    const data = {
+        envelopeIds,
+        depositDate: document.getElementById('depositDate').value,
+        slipReference: document.getElementById('depositSlipReference').value.trim(),
+        bankName: document.getElementById('depositBankName').value.trim()
+    };
+    if (!envelopeIds.length) return alert('Choose the envelopes going to the bank');
+    if (!data.depositDate || !data.slipReference) return alert('Enter the deposit date and slip number');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/cash-deposits`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        document.getElementById('depositSlipReference').value = '';
+        showFeedback('Deposit recorded');
+        loadBoothCashStatus(cookieDashboardTroopId);
+        loadMyCashEnvelopes(cookieDashboardTroopId);
+    } catch (error) { alert('Error recording deposit: ' + error.message); }
+}
+
+async function voidCashDeposit(depositId) {
+    if (!confirm('Void this deposit? Its envelopes go back to the people who held them.')) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/cash-deposits/${depositId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Deposit voided');
+        loadBoothCashStatus(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
 }
 
 // ============================================================================
-// Booth Events Management (Phase C)
+// BOOTH LOCATIONS
 // ============================================================================
 
-async function loadBoothEvents(troopId) {
-    try {
-        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booths`, { credentials: 'include' });
-        if (!res.ok) { document.getElementById('cookieBoothSection').style.display = 'none'; return; }
-        const booths = await res.json();
-        document.getElementById('cookieBoothSection').style.display = '';
+let savedBoothLocations = [];
+let editingBoothLocationId = null;
 
-        const listEl = document.getElementById('boothEventsList');
-        if (!booths.length) {
-            listEl.innerHTML = '<p class="empty-state">No booth events scheduled</p>';
-            return;
-        }
-        listEl.innerHTML = booths.map(b => `
-            <div class="booth-event-card" onclick="openBoothDetail('${b.id}')">
+const formatRate = (value, unit) => (value === null || value === undefined ? '—' : `${value} ${unit}`);
+
+async function loadBoothLocations(troopId) {
+    const section = document.getElementById('boothLocationsSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booth-locations?includeInactive=true`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        savedBoothLocations = await res.json();
+        section.style.display = '';
+
+        document.getElementById('boothLocationNames').innerHTML = savedBoothLocations
+            .filter(l => l.isActive)
+            .map(l => `<option value="${escapeHtml(l.name)}">`).join('');
+
+        const listEl = document.getElementById('boothLocationsList');
+        listEl.innerHTML = savedBoothLocations.length ? savedBoothLocations.map(l => `
+            <div class="booth-event-card" onclick="openBoothLocationModal('${l.id}')">
                 <div class="booth-event-header">
-                    <span class="booth-event-name">${b.eventName}</span>
-                    <span class="booth-status-badge booth-status-${b.status}">${b.status}</span>
+                    <span class="booth-event-name">${escapeHtml(l.name)}</span>
+                    ${l.isActive ? '' : '<span class="booth-status-badge booth-status-cancelled">inactive</span>'}
                 </div>
                 <div class="booth-event-meta">
-                    <span>${b.eventType} booth</span>
-                    <span>${b.location || 'No location'}</span>
-                    <span>${new Date(b.startDateTime).toLocaleDateString()} ${new Date(b.startDateTime).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})}</span>
-                </div>
-                <div class="booth-event-stats">
-                    <span>${b.shiftCount || 0} shifts</span>
-                    <span>${b.totalSold || 0} boxes sold</span>
+                    <span>${escapeHtml(l.address || 'No address')}</span>
+                    <span>${l.boothCount} booths</span>
+                    ${l.nextBoothAt ? `<span>Next: ${new Date(l.nextBoothAt).toLocaleDateString()}</span>` : ''}
                 </div>
+                ${l.stats ? `
+                    <div class="booth-event-stats">
+                        <span>${formatRate(l.stats.boxesPerHour, 'boxes/hr')}</span>
+                        <span>${formatMoney(l.stats.revenuePerShift)}/shift</span>
+                        ${l.bestSeller ? `<span>Top: ${escapeHtml(l.bestSeller)}</span>` : ''}
+                    </div>
+                ` : ''}
             </div>
-        `).join('');
+        `).join('') : '<p class="empty-state">No saved locations</p>';
+
+        loadBoothLocationRanking(troopId);
     } catch (error) {
-        console.error('Error loading booths:', error);
+        console.error('Error loading booth locations:', error);
     }
 }
 
-function openCreateBoothModal() {
-    document.getElementById('createBoothModal').style.display = 'flex';
+async function loadBoothLocationRanking(troopId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/booth-locations/analytics${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        document.getElementById('boothLocationRanking').innerHTML = data.locations.length ? `
+            <h4>Best Locations${data.season ? ` (${escapeHtml(data.season)})` : ''}</h4>
+            <table class="data-table">
+                <thead><tr><th>Location</th><th>Booths</th><th>Boxes</th><th>Boxes/hr</th><th>$/hr</th><th>$/shift</th><th>Best sellers</th></tr></thead>
+                <tbody>
+                    ${data.locations.map(l => `
+                        <tr>
+                            <td>${escapeHtml(l.name)}</td>
+                            <td>${l.boothCount}</td>
+                            <td>${l.boxesSold}</td>
+                            <td>${l.boxesPerHour ?? '—'}</td>
+                            <td>${l.revenuePerHour === null ? '—' : formatMoney(l.revenuePerHour)}</td>
+                            <td>${formatMoney(l.revenuePerShift)}</td>
+                            <td>${l.bestSellers.map(p => escapeHtml(p.cookieName)).join(', ')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+    } catch (error) {
+        console.error('Error loading booth location ranking:', error);
+    }
+}
+
+// Fill in a saved location's address and show its rules when picked on a new booth
+function fillBoothLocation() {
+    const name = document.getElementById('boothLocation').value.trim().toLowerCase();
+    const location = savedBoothLocations.find(l => l.name.toLowerCase() === name);
+    const rulesEl = document.getElementById('boothLocationRules');
+    if (!location) { rulesEl.style.display = 'none'; return; }
+
+    const addressEl = document.getElementById('boothLocationAddress');
+    if (!addressEl.value && location.address) addressEl.value = location.address;
+    const rules = [
+        location.permittedHours && `Hours: ${escapeHtml(location.permittedHours)}`,
+        location.restrictions && `Restrictions: ${escapeHtml(location.restrictions)}`,
+        location.contactName && `Contact: ${escapeHtml(location.contactName)}${location.contactPhone ? ` ${escapeHtml(location.contactPhone)}` : ''}`
+    ].filter(Boolean);
+    rulesEl.innerHTML = rules.join('<br>');
+    rulesEl.style.display = rules.length ? '' : 'none';
+}
+
+function setBoothLocationForm(location) {
+    document.getElementById('boothLocationModalTitle').textContent = location.name || 'New Booth Location';
+    document.getElementById('boothLocationNameInput').value = location.name || '';
+    document.getElementById('boothLocationAddressInput').value = location.address || '';
+    document.getElementById('boothLocationContactInput').value = location.contactName || '';
+    document.getElementById('boothLocationPhoneInput').value = location.contactPhone || '';
+    document.getElementById('boothLocationEmailInput').value = location.contactEmail || '';
+    document.getElementById('boothLocationHoursInput').value = location.permittedHours || '';
+    document.getElementById('boothLocationRestrictionsInput').value = location.restrictions || '';
+    document.getElementById('boothLocationNotesInput').value = location.notes || '';
+    document.getElementById('boothLocationActiveInput').checked = location.isActive !== false;
+}
+
+function renderBoothLocationHistory(location) {
+    const stats = location.stats;
+    return `
+        ${stats ? `
+            <h4>Performance</h4>
+            <p>${stats.boothCount} counted booths · ${stats.boxesSold} boxes in ${stats.hours} hours ·
+               ${formatRate(stats.boxesPerHour, 'boxes/hr')} · ${formatMoney(stats.revenuePerShift)} per shift</p>
+        ` : ''}
+        ${location.bestSellers.length ? `<p><small>Best sellers: ${location.bestSellers.map(p => `${escapeHtml(p.cookieName)} (${p.boxesSold})`).join(', ')}</small></p>` : ''}
+        ${location.byWeekday.length ? `<p><small>By day: ${location.byWeekday.map(d => `${d.weekday} ${formatRate(d.boxesPerHour, 'boxes/hr')}`).join(', ')}</small></p>` : ''}
+        <h4>Booth History</h4>
+        ${location.booths.length ? `
+            <table class="data-table">
+                <thead><tr><th>Date</th><th>Booth</th><th>Status</th><th>Scouts</th><th>Boxes</th><th>Boxes/hr</th></tr></thead>
+                <tbody>
+                    ${location.booths.map(b => `
+                        <tr>
+                            <td>${new Date(b.startDateTime).toLocaleDateString()}</td>
+                            <td>${escapeHtml(b.eventName)}</td>
+                            <td><span class="booth-status-badge booth-status-${b.status}">${b.status}</span></td>
+                            <td>${escapeHtml(b.scouts || '')}</td>
+                            <td>${b.boxesSold ?? '—'}</td>
+                            <td>${b.boxesPerHour ?? '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">No booths here yet</p>'}
+    `;
 }
-function closeCreateBoothModal() {
-    document.getElementById('createBoothModal').style.display = 'none';
+
+async function openBoothLocationModal(locationId) {
+    editingBoothLocationId = locationId || null;
+    document.getElementById('boothLocationDeleteBtn').style.display = locationId ? '' : 'none';
+    if (!locationId) {
+        setBoothLocationForm({});
+        document.getElementById('boothLocationHistory').innerHTML = '';
+        document.getElementById('boothLocationModal').style.display = 'flex';
+        return;
+    }
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-locations/${locationId}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const location = await res.json();
+        setBoothLocationForm(location);
+        document.getElementById('boothLocationHistory').innerHTML = renderBoothLocationHistory(location);
+        document.getElementById('boothLocationModal').style.display = 'flex';
+    } catch (error) {
+        alert('Error loading location: ' + error.message);
+    }
 }
 
-async function createBoothEvent() {
+function closeBoothLocationModal() {
+    document.getElementById('boothLocationModal').style.display = 'none';
+    editingBoothLocationId = null;
+}
+
+async function saveBoothLocation() {
     const data = {
-        eventName: document.getElementById('boothEventName').value,
-        eventType: document.getElementById('boothEventType').value,
-        startingBank: parseFloat(document.getElementById('boothStartingBank').value) || 0,
-        location: document.getElementById('boothLocation').value,
-        locationAddress: document.getElementById('boothLocationAddress').value,
-        startDateTime: document.getElementById('boothStartDate').value,
-        endDateTime: document.getElementById('boothEndDate').value,
-        notes: document.getElementById('boothNotes').value
+        name: document.getElementById('boothLocationNameInput').value.trim(),
+        address: document.getElementById('boothLocationAddressInput').value.trim(),
+        contactName: document.getElementById('boothLocationContactInput').value.trim(),
+        contactPhone: document.getElementById('boothLocationPhoneInput').value.trim(),
+        contactEmail: document.getElementById('boothLocationEmailInput').value.trim(),
+        permittedHours: document.getElementById('boothLocationHoursInput').value.trim(),
+        restrictions: document.getElementById('boothLocationRestrictionsInput').value.trim(),
+        notes: document.getElementById('boothLocationNotesInput').value.trim(),
+        isActive: document.getElementById('boothLocationActiveInput').checked
     };
-    if (!data.eventName || !data.startDateTime || !data.endDateTime) return alert('Fill in required fields');
-
+    if (!data.name) return alert('Enter the location name');
+    const url = editingBoothLocationId
+        ? `${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-locations/${editingBoothLocationId}`
+        : `${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-locations`;
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths`, {
-            method: 'POST', credentials: 'include',
+        const res = await fetch(url, {
+            method: editingBoothLocationId ? 'PUT' : 'POST', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
         });
         if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
-        closeCreateBoothModal();
+        closeBoothLocationModal();
+        showFeedback('Location saved');
+        loadBoothLocations(cookieDashboardTroopId);
         loadBoothEvents(cookieDashboardTroopId);
-    } catch (error) {
-        alert('Error creating booth: ' + error.message);
-    }
+    } catch (error) { alert('Error saving location: ' + error.message); }
 }
 
-async function openBoothDetail(boothId) {
-    currentBoothId = boothId;
+async function deleteBoothLocation() {
+    if (!confirm('Delete this location?')) return;
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${boothId}`, { credentials: 'include' });
-        if (!res.ok) return;
-        const booth = await res.json();
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booth-locations/${editingBoothLocationId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        closeBoothLocationModal();
+        showFeedback('Location deleted');
+        loadBoothLocations(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
 
-        document.getElementById('boothDetailTitle').textContent = booth.eventName;
-        document.getElementById('boothDetailStatus').textContent = booth.status;
-        document.getElementById('boothDetailStatus').className = `booth-status-badge booth-status-${booth.status}`;
+// ============================================================================
+// COUNCIL SALES IMPORT
+// ============================================================================
 
-        // Lifecycle action buttons
-        const actionsEl = document.getElementById('boothDetailActions');
-        let btns = '';
-        if (booth.status === 'planning' || booth.status === 'scheduled') btns += `<button class="btn btn-sm btn-primary" onclick="boothLifecycle('start')">Start Event</button>`;
-        if (booth.status === 'in_progress') btns += `<button class="btn btn-sm btn-warning" onclick="boothLifecycle('end')">End Event</button>`;
-        if (booth.status === 'reconciling') btns += `<button class="btn btn-sm btn-primary" onclick="boothLifecycle('close')">Complete</button>`;
-        actionsEl.innerHTML = btns;
+let salesImportPreviewData = null;
 
-        // Render tabs
-        renderBoothInfo(booth);
-        renderBoothShifts(booth.shifts || []);
-        renderBoothInventory(booth.inventory || []);
-        renderBoothPayments(booth.payments || []);
-        loadReconciliation(boothId);
+async function loadSalesImportAliases(troopId) {
+    const section = document.getElementById('salesImportSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/sales-import/aliases`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = '';
+        document.getElementById('salesImportAliases').innerHTML = data.aliases.length ? `
+            <h4>Saved Mappings</h4>
+            ${data.aliases.map(a => `
+                <div class="payment-item">
+                    <span>${a.kind === 'product' ? 'Column' : 'Girl'} "${escapeHtml(a.label)}" → ${a.targetName ? escapeHtml(a.targetName) : 'ignored'}</span>
+                    <button class="btn btn-sm btn-secondary" onclick="deleteSalesImportAlias('${a.id}')">Remove</button>
+                </div>
+            `).join('')}
+        ` : '';
+    } catch (error) {
+        console.error('Error loading import mappings:', error);
+    }
+}
 
-        // Populate shift scout selector
-        populateShiftScoutSelect();
+async function deleteSalesImportAlias(aliasId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/sales-import/aliases/${aliasId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        loadSalesImportAliases(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
+
+// The file, report type and any mappings picked in the preview
+function salesImportForm() {
+    const file = document.getElementById('salesImportFile').files[0];
+    if (!file) return null;
+    const productMap = {};
+    document.querySelectorAll('#salesImportPreview select[data-column]').forEach(select => {
+        if (select.value) productMap[select.dataset.column] = select.value;
+    });
+    const scoutMap = {};
+    document.querySelectorAll('#salesImportPreview select[data-girl]').forEach(select => {
+        if (select.value) scoutMap[select.dataset.girl] = select.value;
+    });
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('format', document.getElementById('salesImportFormat').value);
+    formData.append('productMap', JSON.stringify(productMap));
+    formData.append('scoutMap', JSON.stringify(scoutMap));
+    return formData;
+}
+
+function describeImportLines(lines) {
+    return lines.map(l => `${l.quantity} ${escapeHtml(l.cookieType)}`).join(', ') || '—';
+}
+
+function renderSalesImportPreview(data) {
+    const columns = data.columns.filter(c => c.status === 'unmatched' || c.status === 'ambiguous');
+    const girls = data.scouts.filter(g => g.status !== 'matched');
+    const orders = data.orders.filter(o => o.status !== 'unchanged');
+    const s = data.summary;
+
+    document.getElementById('salesImportPreview').innerHTML = `
+        <h4>${escapeHtml(data.formatName)} · ${escapeHtml(data.season)}</h4>
+        <p>${s.orders} orders: ${s.new} new, ${s.changed} changed, ${s.removed} to remove, ${s.unchanged} unchanged, ${s.skipped} skipped, ${s.error} with problems · ${s.boxes} boxes to record</p>
+        ${data.rowErrors.length ? `<p><small>Rows left out: ${data.rowErrors.map(e => `row ${e.rowNumber} (${escapeHtml(e.error)})`).join(', ')}</small></p>` : ''}
+        ${columns.length ? `
+            <h4>Columns to Map</h4>
+            ${columns.map(c => `
+                <div class="form-group">
+                    <label>${escapeHtml(c.header)}</label>
+                    <select data-column="${escapeHtml(c.header)}">
+                        <option value="">Choose a product…</option>
+                        <option value="ignore">Not a product (ignore)</option>
+                        ${data.products.map(p => `<option value="${p.id}">${escapeHtml(p.cookieName)}${p.bakerName ? ` (${escapeHtml(p.bakerName)})` : ''}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        ` : ''}
+        ${girls.length ? `
+            <h4>Girls to Match</h4>
+            ${girls.map(g => `
+                <div class="form-group">
+                    <label>${escapeHtml(g.name)}${g.status === 'ambiguous' ? ' (more than one match)' : ''}</label>
+                    <select data-girl="${escapeHtml(g.name)}">
+                        <option value="">Choose a scout…</option>
+                        ${data.members.map(m => `<option value="${m.id}">${escapeHtml(m.name)}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        ` : ''}
+        ${columns.length || girls.length ? '<button class="btn btn-secondary btn-sm" onclick="previewSalesImport()">Preview Again</button>' : ''}
+        ${orders.length ? `
+            <table class="data-table">
+                <thead><tr><th>Order</th><th>Date</th><th>Scout</th><th></th><th>Now</th><th>Before</th></tr></thead>
+                <tbody>
+                    ${orders.map(o => `
+                        <tr>
+                            <td>${escapeHtml(o.orderNumber)}${o.customer.name ? `<br><small>${escapeHtml(o.customer.name)}</small>` : ''}</td>
+                            <td>${o.date ? new Date(o.date + 'T00:00:00').toLocaleDateString() : '—'}</td>
+                            <td>${escapeHtml(o.scoutName || o.girlName || '')}</td>
+                            <td><span class="booth-status-badge import-order-${o.status}">${o.status}</span></td>
+                            <td>${o.status === 'error' ? escapeHtml(o.errors.join('; ')) : describeImportLines(o.lines)}</td>
+                            <td>${describeImportLines(o.previous)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">Everything in this report has already been imported</p>'}
+        ${s.new || s.changed || s.removed ? '<button class="btn btn-primary" onclick="commitSalesImport()">Import</button>' : ''}
+    `;
+}
 
-        document.getElementById('boothDetailModal').style.display = 'flex';
-        switchBoothTab('info');
+async function previewSalesImport() {
+    const formData = salesImportForm();
+    if (!formData) return alert('Choose a report file');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/sales-import/preview${seasonQuery()}`, {
+            method: 'POST', credentials: 'include', body: formData
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        salesImportPreviewData = data;
+        renderSalesImportPreview(data);
     } catch (error) {
-        console.error('Error loading booth detail:', error);
+        document.getElementById('salesImportPreview').innerHTML = `<p class="import-status error">Error: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-function closeBoothDetailModal() {
-    document.getElementById('boothDetailModal').style.display = 'none';
-    currentBoothId = null;
+async function commitSalesImport() {
+    const formData = salesImportForm();
+    if (!formData || !salesImportPreviewData) return;
+    const s = salesImportPreviewData.summary;
+    if (!confirm(`Import ${s.new} new and ${s.changed} changed orders${s.removed ? ` and remove ${s.removed} cancelled ones` : ''}?`)) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/sales-import${seasonQuery()}`, {
+            method: 'POST', credentials: 'include', body: formData
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        salesImportPreviewData = null;
+        document.getElementById('salesImportFile').value = '';
+        document.getElementById('salesImportPreview').innerHTML = `
+            <p class="import-status success">Recorded ${data.salesCreated} sales, updated ${data.salesUpdated} and removed ${data.salesDeleted}.${data.errors.length ? ` ${data.errors.length} orders with problems were left out.` : ''}</p>
+        `;
+        showFeedback('Sales report imported');
+        loadCookieDashboard();
+    } catch (error) { alert('Error importing report: ' + error.message); }
 }
 
-function switchBoothTab(tab) {
-    document.querySelectorAll('.booth-tab').forEach(btn => btn.classList.toggle('active', btn.dataset.boothTab === tab));
-    document.querySelectorAll('.booth-panel').forEach(panel => panel.classList.add('hidden'));
-    const panel = document.getElementById(`booth-panel-${tab}`);
-    if (panel) panel.classList.remove('hidden');
+// ============================================================================
+// CUSTOMER ADDRESS BOOK
+// ============================================================================
+
+const CONTACT_PREFERENCE_LABELS = {
+    any: 'Any way',
+    phone: 'Phone call',
+    text: 'Text message',
+    email: 'Email',
+    in_person: 'In person'
+};
+
+let customerBook = [];
+let editingCustomerId = null;
+
+// The customer in an address book whose name is typed exactly, if there is only one
+function findBookCustomer(name, ownerId) {
+    if (!name) return null;
+    const matches = customerBook.filter(c => c.scoutId === ownerId && c.name.toLowerCase() === name.toLowerCase());
+    return matches.length === 1 ? matches[0] : null;
 }
 
-function renderBoothInfo(booth) {
-    document.getElementById('boothDetailInfo').innerHTML = `
-        <div class="booth-info-grid">
-            <div><strong>Type:</strong> ${booth.eventType} booth</div>
-            <div><strong>Location:</strong> ${booth.location || 'N/A'}</div>
-            <div><strong>Address:</strong> ${booth.locationAddress || 'N/A'}</div>
-            <div><strong>Start:</strong> ${new Date(booth.startDateTime).toLocaleString()}</div>
-            <div><strong>End:</strong> ${new Date(booth.endDateTime).toLocaleString()}</div>
-            <div><strong>Starting Bank:</strong> $${parseFloat(booth.startingBank || 0).toFixed(2)}</div>
-            ${booth.notes ? `<div><strong>Notes:</strong> ${booth.notes}</div>` : ''}
-        </div>
-    `;
+function describeCustomerContact(customer) {
+    const parts = [];
+    if (customer.phone) parts.push(escapeHtml(customer.phone));
+    if (customer.email) parts.push(escapeHtml(customer.email));
+    if (customer.address) parts.push(escapeHtml(customer.address));
+    return parts.join(' · ');
 }
 
-function renderBoothShifts(shifts) {
-    const el = document.getElementById('boothShiftsList');
-    if (!shifts.length) { el.innerHTML = '<p class="empty-state">No shifts scheduled</p>'; return; }
-    el.innerHTML = shifts.map(s => `
-        <div class="shift-item">
-            <div class="shift-scout">${s.scoutName}${s.parentName ? ` (with ${s.parentName})` : ''}</div>
-            <div class="shift-time">${new Date(s.startTime).toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})} - ${new Date(s.endTime).toLocaleTimeString([], {hour:'2-digit',minute:'2-digit'})}</div>
-            <span class="booth-status-badge booth-status-${s.status}">${s.status}</span>
-            ${s.status === 'scheduled' ? `<button class="btn btn-sm" onclick="checkinShift('${s.id}')">Check In</button>` : ''}
-            ${s.status === 'confirmed' ? `<button class="btn btn-sm" onclick="checkoutShift('${s.id}')">Check Out</button>` : ''}
-        </div>
-    `).join('');
+async function loadCustomerBook(troopId) {
+    const section = document.getElementById('customersSection');
+    try {
+        const search = document.getElementById('customerSearch').value.trim();
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/customers${search ? `?search=${encodeURIComponent(search)}` : ''}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const list = await res.json();
+        section.style.display = '';
+        if (!search) {
+            customerBook = list;
+            document.getElementById('customerNames').innerHTML = list
+                .filter(c => currentUser && c.scoutId === currentUser.id)
+                .map(c => `<option value="${escapeHtml(c.name)}">`).join('');
+        }
+
+        const showOwner = new Set(list.map(c => c.scoutId)).size > 1;
+        document.getElementById('customerList').innerHTML = list.length ? `
+            <table class="data-table">
+                <thead><tr><th>Customer</th>${showOwner ? '<th>Scout</th>' : ''}<th>Prefers</th><th>Boxes</th><th>Spent</th><th>Last Purchase</th><th></th></tr></thead>
+                <tbody>
+                    ${list.map(c => `
+                        <tr>
+                            <td>${escapeHtml(c.name)}${c.doNotContact ? ' <small>(do not contact)</small>' : ''}<br><small>${describeCustomerContact(c)}</small></td>
+                            ${showOwner ? `<td>${escapeHtml(c.ownerName)}</td>` : ''}
+                            <td>${CONTACT_PREFERENCE_LABELS[c.contactPreference] || ''}</td>
+                            <td>${c.totalBoxes}</td>
+                            <td>${formatMoney(c.totalSpent)}</td>
+                            <td>${c.lastPurchaseAt ? new Date(c.lastPurchaseAt).toLocaleDateString() : '—'}</td>
+                            <td><button class="btn btn-sm btn-secondary" onclick="openCustomerModal('${c.id}')">Open</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="empty-state">No customers yet. Customers are added when you record a sale or order with their name.</p>';
+
+        loadCustomerDuplicates(troopId);
+    } catch (error) {
+        console.error('Error loading customers:', error);
+    }
 }
 
-function renderBoothInventory(inventory) {
-    const el = document.getElementById('boothInventoryTable');
-    if (!inventory.length) { el.innerHTML = '<p class="empty-state">No inventory set up. Click "Setup Inventory" to begin.</p>'; return; }
-    el.innerHTML = `<div class="booth-field-actions" style="display:flex; gap:var(--space-md); margin-bottom:var(--space-md);">
-        <button class="btn btn-sm btn-primary" onclick="enterBoothFieldMode('start')"><i data-lucide="edit-3"></i> Field Mode (Start)</button>
-        <button class="btn btn-sm btn-secondary" onclick="enterBoothFieldMode('end')"><i data-lucide="check-circle"></i> Field Mode (End)</button>
-    </div>
-    <table class="booth-inv-table">
-        <thead><tr><th>Cookie</th><th>Starting</th><th>Ending</th><th>Damaged</th><th>Sold</th></tr></thead>
-        <tbody>${inventory.map(i => `
-            <tr>
-                <td>${i.cookieName} (${i.shortName})</td>
-                <td><input type="number" class="bi-start" data-product="${i.productId}" value="${i.startingQty || 0}" min="0"></td>
-                <td><input type="number" class="bi-end" data-product="${i.productId}" value="${i.endingQty ?? ''}" min="0" placeholder="--"></td>
-                <td><input type="number" class="bi-damaged" data-product="${i.productId}" value="${i.damagedQty || 0}" min="0"></td>
-                <td>${i.soldQty ?? '--'}</td>
-            </tr>
-        `).join('')}</tbody>
-    </table>`;
-    document.getElementById('saveBoothInventoryBtn').style.display = '';
-    document.getElementById('recordEndCountBtn').style.display = '';
+async function loadCustomerDuplicates(troopId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/customers/duplicates`, { credentials: 'include' });
+        if (!res.ok) return;
+        const pairs = await res.json();
+        const el = document.getElementById('customerDuplicates');
+        el.style.display = pairs.length ? '' : 'none';
+        el.innerHTML = pairs.length ? `
+            <h4>Possible Duplicates</h4>
+            ${pairs.map(p => `
+                <div class="payment-item">
+                    <span>${escapeHtml(p.keepName)} and ${escapeHtml(p.duplicateName)} <small>(same ${p.reason})</small></span>
+                    <button class="btn btn-sm btn-secondary" onclick="mergeCustomers('${p.keepId}', '${p.duplicateId}')">Merge</button>
+                </div>
+            `).join('')}
+        ` : '';
+    } catch (error) {
+        console.error('Error loading duplicate customers:', error);
+    }
 }
 
-function renderBoothPayments(payments) {
-    const el = document.getElementById('boothPaymentsList');
-    if (!payments.length) { el.innerHTML = '<p class="empty-state">No payments recorded</p>'; return; }
-    el.innerHTML = payments.map(p => `
-        <div class="payment-item">
-            <span class="payment-type">${p.paymentType}</span>
-            <span class="payment-amount">$${parseFloat(p.amount).toFixed(2)}</span>
-            <span class="payment-ref">${p.referenceNumber || ''}</span>
-            <button class="btn btn-sm btn-danger" onclick="deleteBoothPayment('${p.id}')">Del</button>
-        </div>
-    `).join('');
+async function loadReconnectCustomers(troopId) {
+    const section = document.getElementById('reconnectSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/customers/reconnect${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = data.customers.length ? '' : 'none';
+        document.getElementById('reconnectTitle').textContent = `Contact ${data.previousSeason || 'Last Year'}'s Customers`;
+        document.getElementById('reconnectList').innerHTML = data.customers.map(c => `
+            <div class="payment-item">
+                <div>
+                    <strong>${escapeHtml(c.name)}</strong> · ${CONTACT_PREFERENCE_LABELS[c.contactPreference]}
+                    ${c.contactedThisSeason ? ` · contacted ${new Date(c.lastContactedAt).toLocaleDateString()}` : ''}
+                    <br><small>${describeCustomerContact(c)}</small>
+                    <br><small>Bought ${c.previousBoxes} boxes: ${c.products.map(p => `${p.quantity} ${escapeHtml(p.cookieType)}`).join(', ')}</small>
+                </div>
+                ${c.contactedThisSeason ? '' : `<button class="btn btn-sm btn-secondary" onclick="markCustomerContacted('${c.id}')">Contacted</button>`}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading last season\'s customers:', error);
+    }
 }
 
-async function boothLifecycle(action) {
+async function markCustomerContacted(customerId) {
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/${action}`, {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customers/${customerId}/contacted`, {
             method: 'POST', credentials: 'include'
         });
         if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
-        openBoothDetail(currentBoothId);
-        loadBoothEvents(cookieDashboardTroopId);
+        loadReconnectCustomers(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
+
+async function openCustomerModal(customerId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customers/${customerId}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const customer = await res.json();
+        editingCustomerId = customer.id;
+
+        document.getElementById('customerModalTitle').textContent = customer.name;
+        document.getElementById('customerNameInput').value = customer.name;
+        document.getElementById('customerPhoneInput').value = customer.phone || '';
+        document.getElementById('customerEmailInput').value = customer.email || '';
+        document.getElementById('customerAddressInput').value = customer.address || '';
+        document.getElementById('customerPreferenceInput').value = customer.contactPreference;
+        document.getElementById('customerDoNotContactInput').checked = customer.doNotContact;
+        document.getElementById('customerNotesInput').value = customer.notes || '';
+
+        document.getElementById('customerHistory').innerHTML = `
+            <p>${customer.totalBoxes || 0} boxes · ${formatMoney(customer.totalSpent)} since ${customer.firstPurchaseAt ? new Date(customer.firstPurchaseAt).toLocaleDateString() : '—'}</p>
+            ${customer.products.length ? `<p><small>Favorites: ${customer.products.map(p => `${escapeHtml(p.cookieType)} (${p.totalBoxes})`).join(', ')}</small></p>` : ''}
+            ${customer.orders.length ? `<p><small>Open orders: ${customer.orders.map(o => `#${o.orderNumber} (${o.status})`).join(', ')}</small></p>` : ''}
+            ${customer.sales.length ? `
+                <table class="data-table">
+                    <thead><tr><th>Date</th><th>Product</th><th>Qty</th><th>Season</th></tr></thead>
+                    <tbody>
+                        ${customer.sales.map(sale => `
+                            <tr>
+                                <td>${new Date(sale.date).toLocaleDateString()}</td>
+                                <td>${escapeHtml(sale.cookieType)}</td>
+                                <td>${sale.quantity}</td>
+                                <td>${escapeHtml(sale.season || '')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="empty-state">No purchases yet</p>'}
+        `;
+        document.getElementById('customerModal').style.display = 'flex';
     } catch (error) {
-        alert('Error: ' + error.message);
+        alert('Error loading customer: ' + error.message);
     }
 }
 
-// Shifts
-function openAddShiftForm() { document.getElementById('addShiftForm').classList.toggle('hidden'); }
-
-async function populateShiftScoutSelect() {
-    try {
-        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/members`, { credentials: 'include' });
-        if (!res.ok) return;
-        const members = await res.json();
-        const select = document.getElementById('shiftScoutSelect');
-        select.innerHTML = members.map(m => `<option value="${m.userId}">${m.firstName} ${m.lastName}</option>`).join('');
-    } catch (e) { console.error('Error loading members for shift:', e); }
+function closeCustomerModal() {
+    document.getElementById('customerModal').style.display = 'none';
+    editingCustomerId = null;
 }
 
-async function addShift() {
+async function saveCustomer() {
     const data = {
-        scoutId: document.getElementById('shiftScoutSelect').value,
-        startTime: document.getElementById('shiftStartTime').value,
-        endTime: document.getElementById('shiftEndTime').value
+        name: document.getElementById('customerNameInput').value.trim(),
+        phone: document.getElementById('customerPhoneInput').value.trim(),
+        email: document.getElementById('customerEmailInput').value.trim(),
+        address: document.getElementById('customerAddressInput').value.trim(),
+        contactPreference: document.getElementById('customerPreferenceInput').value,
+        doNotContact: document.getElementById('customerDoNotContactInput').checked,
+        notes: document.getElementById('customerNotesInput').value.trim()
     };
-    if (!data.scoutId || !data.startTime || !data.endTime) return alert('Fill in all shift fields');
+    if (!data.name) return alert('Enter the customer name');
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts`, {
-            method: 'POST', credentials: 'include',
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customers/${editingCustomerId}`, {
+            method: 'PUT', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
         });
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error adding shift: ' + error.message); }
-}
-
-async function checkinShift(shiftId) {
-    await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts/${shiftId}/checkin`, { method: 'POST', credentials: 'include' });
-    openBoothDetail(currentBoothId);
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        closeCustomerModal();
+        showFeedback('Customer saved');
+        loadCustomerBook(cookieDashboardTroopId);
+    } catch (error) { alert('Error saving customer: ' + error.message); }
 }
 
-async function checkoutShift(shiftId) {
-    await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/shifts/${shiftId}/checkout`, { method: 'POST', credentials: 'include' });
-    openBoothDetail(currentBoothId);
+async function deleteCustomer() {
+    if (!confirm('Delete this customer from the address book?')) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customers/${editingCustomerId}`, {
+            method: 'DELETE', credentials: 'include'
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        closeCustomerModal();
+        showFeedback('Customer deleted');
+        loadCustomerBook(cookieDashboardTroopId);
+    } catch (error) { alert('Error: ' + error.message); }
 }
 
-// Booth Inventory
-async function setupBoothInventory() {
-    if (!orderCardProducts.length) return alert('No products loaded');
-    const items = orderCardProducts.map(p => ({ productId: p.id, startingQty: 0 }));
+async function mergeCustomers(keepId, duplicateId) {
+    if (!confirm('Merge these two customers? Their purchases are combined and the newer entry is removed.')) return;
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory`, {
-            method: 'PUT', credentials: 'include',
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customers/${keepId}/merge`, {
+            method: 'POST', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ items })
+            body: JSON.stringify({ duplicateId })
         });
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error setting up inventory: ' + error.message); }
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Customers merged');
+        loadCustomerBook(cookieDashboardTroopId);
+    } catch (error) { alert('Error merging customers: ' + error.message); }
 }
 
-async function saveBoothInventory() {
-    const items = [];
-    document.querySelectorAll('.bi-start').forEach(input => {
-        items.push({
-            productId: input.dataset.product,
-            startingQty: parseInt(input.value) || 0,
-            damagedQty: parseInt(document.querySelector(`.bi-damaged[data-product="${input.dataset.product}"]`)?.value) || 0
-        });
-    });
+// ============================================================================
+// CUSTOMER ORDERS
+// ============================================================================
+
+// Status changes offered on an order, by its current status
+const CUSTOMER_ORDER_ACTIONS = {
+    pending: [['ready', 'Mark Ready'], ['delivered', 'Delivered'], ['cancelled', 'Cancel']],
+    ready: [['delivered', 'Delivered'], ['pending', 'Back to Pending'], ['cancelled', 'Cancel']],
+    delivered: [['ready', 'Undo Delivery']],
+    paid: [['ready', 'Undo Delivery']],
+    cancelled: [['pending', 'Reopen']]
+};
+
+let customerOrders = [];
+let customerOrderScouts = [];
+let editingCustomerOrderId = null;
+
+function renderCustomerOrder(order) {
+    const items = order.items.map(i => `${i.quantity} ${escapeHtml(i.cookieName)}`).join(', ');
+    const canEdit = ['pending', 'ready'].includes(order.status);
+    return `
+        <div class="booth-event-card">
+            <div class="booth-event-header">
+                <span class="booth-event-name">#${order.orderNumber} · ${escapeHtml(order.customerName)}</span>
+                <span class="booth-status-badge order-status-${order.status}">${order.status}</span>
+            </div>
+            <div class="booth-event-meta">
+                <span>${escapeHtml(order.scoutName)}</span>
+                ${order.deliveryDate ? `<span>Deliver by ${new Date(order.deliveryDate).toLocaleDateString()}</span>` : ''}
+                ${order.deliveredAt ? `<span>Delivered ${new Date(order.deliveredAt).toLocaleDateString()}${order.deliveredByName ? ` by ${escapeHtml(order.deliveredByName)}` : ''}</span>` : ''}
+                ${order.customerPhone ? `<span>${escapeHtml(order.customerPhone)}</span>` : ''}
+                ${order.customerAddress ? `<span>${escapeHtml(order.customerAddress)}</span>` : ''}
+            </div>
+            <div>${items}</div>
+            <div class="booth-event-stats">
+                <span>${order.totalBoxes} boxes · ${formatMoney(order.totalAmount)}</span>
+                <span>Paid ${formatMoney(order.amountPaid)}</span>
+                ${order.balanceDue > 0 ? `<span><strong>Due ${formatMoney(order.balanceDue)}</strong></span>` : ''}
+            </div>
+            ${order.payments.map(p => `
+                <div class="payment-item">
+                    <span class="payment-amount">${formatMoney(p.amount)}</span>
+                    <span class="payment-ref">${escapeHtml(p.paymentMethod || 'Payment')} · ${new Date(p.receivedAt).toLocaleDateString()}</span>
+                    ${order.status !== 'cancelled' ? `<button class="btn btn-sm btn-secondary" onclick="removeCustomerOrderPayment('${order.id}', '${p.id}')">Remove</button>` : ''}
+                </div>
+            `).join('')}
+            <div class="order-card-actions">
+                ${canEdit ? `<button class="btn btn-sm btn-secondary" onclick="openCustomerOrderModal('${order.id}')">Edit</button>` : ''}
+                ${order.balanceDue > 0 && order.status !== 'cancelled' ? `<button class="btn btn-sm btn-primary" onclick="recordCustomerOrderPayment('${order.id}')">Record Payment</button>` : ''}
+                ${CUSTOMER_ORDER_ACTIONS[order.status].map(([status, label]) =>
+                    `<button class="btn btn-sm btn-secondary" onclick="setCustomerOrderStatus('${order.id}', '${status}')">${label}</button>`
+                ).join('')}
+            </div>
+        </div>
+    `;
+}
+
+async function loadCustomerOrders(troopId) {
+    const section = document.getElementById('customerOrdersSection');
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory`, {
-            method: 'PUT', credentials: 'include',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ items })
-        });
-        alert('Inventory saved');
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error saving inventory: ' + error.message); }
+        const status = document.getElementById('customerOrderStatusFilter').value;
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/customer-orders?status=${status}${seasonQuery('&')}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = '';
+        customerOrders = data.orders;
+        customerOrderScouts = data.scouts;
+        document.getElementById('customerOrdersList').innerHTML = customerOrders.length
+            ? customerOrders.map(renderCustomerOrder).join('')
+            : '<p class="empty-state">No customer orders yet</p>';
+    } catch (error) {
+        console.error('Error loading customer orders:', error);
+    }
 }
 
-async function recordEndingCount() {
-    const items = [];
-    document.querySelectorAll('.bi-end').forEach(input => {
-        const endVal = input.value;
-        if (endVal === '') return;
-        items.push({
-            productId: input.dataset.product,
-            endingQty: parseInt(endVal) || 0,
-            damagedQty: parseInt(document.querySelector(`.bi-damaged[data-product="${input.dataset.product}"]`)?.value) || 0
-        });
+async function loadDeliveriesDue(troopId) {
+    const section = document.getElementById('deliveriesDueSection');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/customer-orders/deliveries-due?days=7`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
+        const data = await res.json();
+        section.style.display = data.orders.length ? '' : 'none';
+        document.getElementById('deliveriesDueList').innerHTML = data.orders.map(order => `
+            <div class="payment-item">
+                <div>
+                    <strong>${new Date(order.deliveryDate).toLocaleDateString()}${order.isOverdue ? ' · overdue' : ''}</strong>
+                    · #${order.orderNumber} ${escapeHtml(order.customerName)} · ${order.totalBoxes} boxes
+                    ${order.balanceDue > 0 ? ` · collect ${formatMoney(order.balanceDue)}` : ' · prepaid'}
+                    <br><small>${escapeHtml(order.scoutName)}${order.customerAddress ? ` · ${escapeHtml(order.customerAddress)}` : ''}</small>
+                </div>
+                <button class="btn btn-sm btn-primary" onclick="setCustomerOrderStatus('${order.id}', 'delivered')">Delivered</button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading deliveries due:', error);
+    }
+}
+
+function updateCustomerOrderTotal() {
+    let boxes = 0;
+    let total = 0;
+    document.querySelectorAll('.customer-order-qty').forEach(input => {
+        const qty = parseInt(input.value) || 0;
+        boxes += qty;
+        total += qty * parseFloat(input.dataset.price || 0);
     });
-    if (!items.length) return alert('Enter ending counts first');
+    document.getElementById('customerOrderTotal').textContent = `${boxes} boxes · ${formatMoney(total)}`;
+}
+
+function openCustomerOrderModal(orderId = null) {
+    const order = orderId ? customerOrders.find(o => o.id === orderId) : null;
+    editingCustomerOrderId = orderId;
+    document.getElementById('customerOrderModalTitle').textContent = order ? `Edit Order #${order.orderNumber}` : 'New Customer Order';
+
+    const scoutSelect = document.getElementById('customerOrderScout');
+    scoutSelect.innerHTML = customerOrderScouts.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('');
+    if (currentUser && customerOrderScouts.some(s => s.id === currentUser.id)) scoutSelect.value = currentUser.id;
+    document.getElementById('customerOrderScoutGroup').style.display = !order && customerOrderScouts.length > 1 ? '' : 'none';
+
+    document.getElementById('customerOrderName').value = order ? order.customerName : '';
+    document.getElementById('customerOrderPhone').value = order ? order.customerPhone || '' : '';
+    document.getElementById('customerOrderEmail').value = order ? order.customerEmail || '' : '';
+    document.getElementById('customerOrderAddress').value = order ? order.customerAddress || '' : '';
+    document.getElementById('customerOrderDeliveryDate').value = order && order.deliveryDate ? order.deliveryDate.slice(0, 10) : '';
+    document.getElementById('customerOrderNotes').value = order ? order.notes || '' : '';
+    document.getElementById('customerOrderPaid').value = '';
+    document.getElementById('customerOrderPaymentMethod').value = '';
+    document.getElementById('customerOrderPaymentRow').style.display = order ? 'none' : '';
+
+    document.getElementById('customerOrderItems').innerHTML = orderCardProducts.map(p => {
+        const line = order && order.items.find(i => i.productId === p.id);
+        return `
+            <label title="${escapeHtml(p.cookieName)}">${escapeHtml(p.shortName || p.cookieName)}
+                <input type="number" class="customer-order-qty" data-product-id="${p.id}" data-price="${line ? line.unitPrice : p.pricePerBox}"
+                    min="0" value="${line ? line.quantity : ''}" placeholder="0" oninput="updateCustomerOrderTotal()">
+            </label>
+        `;
+    }).join('');
+    updateCustomerOrderTotal();
+    document.getElementById('customerOrderModal').style.display = 'flex';
+}
+
+function closeCustomerOrderModal() {
+    document.getElementById('customerOrderModal').style.display = 'none';
+    editingCustomerOrderId = null;
+}
+
+async function saveCustomerOrder() {
+    const items = [...document.querySelectorAll('.customer-order-qty')]
+        .map(input => ({ productId: input.dataset.productId, quantity: parseInt(input.value) || 0 }))
+        .filter(i => i.quantity > 0);
+    const data = {
+        customerName: document.getElementById('customerOrderName').value.trim(),
+        customerPhone: document.getElementById('customerOrderPhone').value.trim(),
+        customerEmail: document.getElementById('customerOrderEmail').value.trim(),
+        customerAddress: document.getElementById('customerOrderAddress').value.trim(),
+        deliveryDate: document.getElementById('customerOrderDeliveryDate').value || null,
+        notes: document.getElementById('customerOrderNotes').value.trim(),
+        items
+    };
+    if (!data.customerName) return alert('Enter the customer name');
+    if (!items.length) return alert('Enter how many boxes the customer wants');
+
+    let url = `${API_BASE_URL}/troop/${cookieDashboardTroopId}/customer-orders`;
+    let method = 'POST';
+    if (editingCustomerOrderId) {
+        url += `/${editingCustomerOrderId}`;
+        method = 'PUT';
+    } else {
+        data.scoutId = document.getElementById('customerOrderScout').value || undefined;
+        const customer = findBookCustomer(data.customerName, data.scoutId || (currentUser && currentUser.id));
+        if (customer) data.customerId = customer.id;
+        const paid = parseFloat(document.getElementById('customerOrderPaid').value);
+        if (paid > 0) data.payment = { amount: paid, paymentMethod: document.getElementById('customerOrderPaymentMethod').value.trim() };
+    }
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/inventory/count`, {
+        const res = await fetch(url, {
+            method, credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const order = await res.json();
+        closeCustomerOrderModal();
+        showFeedback(method === 'POST' ? `Order #${order.orderNumber} saved` : 'Order updated');
+        loadCustomerOrders(cookieDashboardTroopId);
+        loadDeliveriesDue(cookieDashboardTroopId);
+    } catch (error) { alert('Error saving order: ' + error.message); }
+}
+
+async function setCustomerOrderStatus(orderId, status) {
+    if (status === 'cancelled' && !confirm('Cancel this order?')) return;
+    if (status === 'ready' && customerOrders.find(o => o.id === orderId && ['delivered', 'paid'].includes(o.status))
+        && !confirm('Undo this delivery? The boxes go back into the scout\'s inventory.')) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customer-orders/${orderId}/status`, {
             method: 'POST', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ items })
+            body: JSON.stringify({ status })
         });
-        alert('Ending count recorded');
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error recording count: ' + error.message); }
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const order = await res.json();
+        showFeedback(`Order #${order.orderNumber} is ${order.status}`);
+        loadCookieDashboard();
+    } catch (error) { alert('Error updating order: ' + error.message); }
 }
 
-// Payments
-function openAddPaymentForm() { document.getElementById('addPaymentForm').classList.toggle('hidden'); }
-
-async function addPayment() {
-    const data = {
-        paymentType: document.getElementById('paymentTypeSelect').value,
-        amount: parseFloat(document.getElementById('paymentAmount').value),
-        referenceNumber: document.getElementById('paymentReference').value
-    };
-    if (!data.amount) return alert('Enter an amount');
+async function recordCustomerOrderPayment(orderId) {
+    const order = customerOrders.find(o => o.id === orderId);
+    const amount = prompt(`Amount received (${formatMoney(order ? order.balanceDue : 0)} due):`, order ? order.balanceDue.toFixed(2) : '');
+    if (!amount) return;
+    const paymentMethod = prompt('Payment method (e.g., Cash, Check, Venmo):', 'Cash');
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/payments`, {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customer-orders/${orderId}/payments`, {
             method: 'POST', credentials: 'include',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
+            body: JSON.stringify({ amount: parseFloat(amount), paymentMethod })
         });
-        document.getElementById('paymentAmount').value = '';
-        document.getElementById('paymentReference').value = '';
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error adding payment: ' + error.message); }
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Payment recorded');
+        loadCookieDashboard();
+    } catch (error) { alert('Error recording payment: ' + error.message); }
 }
 
-async function deleteBoothPayment(paymentId) {
-    if (!confirm('Delete this payment?')) return;
+async function removeCustomerOrderPayment(orderId, paymentId) {
+    if (!confirm('Remove this payment?')) return;
     try {
-        await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${currentBoothId}/payments/${paymentId}`, {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/customer-orders/${orderId}/payments/${paymentId}`, {
             method: 'DELETE', credentials: 'include'
         });
-        openBoothDetail(currentBoothId);
-    } catch (error) { alert('Error deleting payment: ' + error.message); }
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Payment removed');
+        loadCookieDashboard();
+    } catch (error) { alert('Error: ' + error.message); }
 }
 
-// Reconciliation
-async function loadReconciliation(boothId) {
+// ============================================================================
+// SCOUT ACCOUNTS
+// ============================================================================
+
+const ACCOUNT_CHARGE_LABELS = {
+    issue: 'Boxes picked up',
+    return: 'Boxes returned',
+    transfer: 'Boxes transferred',
+    damage: 'Boxes written off'
+};
+
+const AGING_LABELS = {
+    current: '0–30 days',
+    days31to60: '31–60 days',
+    days61to90: '61–90 days',
+    over90: 'Over 90 days'
+};
+
+let troopPaymentMethods = [];
+let currentAccountScoutId = null;
+
+function renderAccountSummary(summary) {
+    const aging = Object.entries(summary.aging).filter(([, amount]) => amount > 0);
+    return `
+        <div class="booth-event-stats">
+            <span>Charged ${formatMoney(summary.charged)}</span>
+            <span>Paid ${formatMoney(summary.paid)}</span>
+            <span><strong>${summary.balance < 0 ? 'Credit' : 'Owes'} ${formatMoney(Math.abs(summary.balance))}</strong></span>
+        </div>
+        ${aging.length ? `<small>${aging.map(([key, amount]) => `${AGING_LABELS[key]}: ${formatMoney(amount)}`).join(' · ')}</small>` : ''}
+    `;
+}
+
+function renderAccountStatement(statement, canManage) {
+    if (!statement.length) return '<p class="empty-state">No boxes or payments yet</p>';
+    return `
+        <table class="data-table">
+            <thead><tr><th>Date</th><th>Description</th><th>Amount</th><th>Balance</th><th></th></tr></thead>
+            <tbody>
+                ${statement.map(line => {
+                    const date = new Date(line.date).toLocaleDateString();
+                    if (line.kind === 'charge') {
+                        const label = (line.isReversal ? 'Reversed: ' : '') + ACCOUNT_CHARGE_LABELS[line.transactionType];
+                        const items = line.items.map(i => `${Math.abs(i.quantity)} ${escapeHtml(i.cookieName)}`).join(', ');
+                        return `<tr><td>${date}</td><td>${label}<br><small>${items}</small></td><td>${formatMoney(line.amount)}</td><td>${formatMoney(line.balance)}</td><td></td></tr>`;
+                    }
+                    const method = line.paymentMethodName ? ` via ${escapeHtml(line.paymentMethodName)}` : '';
+                    return `
+                        <tr>
+                            <td>${date}</td>
+                            <td>Payment #${line.receiptNumber} (${line.paymentType}${method})${line.voidedAt ? ' · <strong>VOID</strong>' : ''}</td>
+                            <td>${line.voidedAt ? `<s>${formatMoney(line.amount)}</s>` : formatMoney(line.amount)}</td>
+                            <td>${formatMoney(line.balance)}</td>
+                            <td>
+                                ${line.voidedAt ? '' : `<button class="btn btn-sm btn-secondary" onclick="printScoutReceipt('${line.paymentId}')">Receipt</button>`}
+                                ${canManage && !line.voidedAt ? `<button class="btn btn-sm btn-danger" onclick="voidScoutPayment('${line.paymentId}')">Void</button>` : ''}
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function loadScoutAccounts(troopId) {
+    const section = document.getElementById('scoutAccountSection');
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/booths/${boothId}/reconcile`, { credentials: 'include' });
-        if (!res.ok) return;
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/my-scout-accounts${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
         const data = await res.json();
-
-        const el = document.getElementById('reconciliationSummary');
-        el.innerHTML = `
-            <div class="recon-section">
-                <h4>Inventory Summary</h4>
-                <div class="recon-grid">
-                    <div><strong>Total Starting:</strong> ${data.inventory.totalStarting} boxes</div>
-                    <div><strong>Total Ending:</strong> ${data.inventory.totalEnding} boxes</div>
-                    <div><strong>Total Sold:</strong> ${data.inventory.totalSold} boxes</div>
-                    <div><strong>Total Damaged:</strong> ${data.inventory.totalDamaged} boxes</div>
-                </div>
-            </div>
-            <div class="recon-section">
-                <h4>Payment Summary</h4>
-                <div class="recon-grid">
-                    <div><strong>Cash:</strong> $${parseFloat(data.payments.totalCash).toFixed(2)}</div>
-                    <div><strong>Checks:</strong> $${parseFloat(data.payments.totalChecks).toFixed(2)}</div>
-                    <div><strong>Digital:</strong> $${parseFloat(data.payments.totalDigital).toFixed(2)}</div>
-                    <div><strong>Total Collected:</strong> $${parseFloat(data.payments.totalCollected).toFixed(2)}</div>
-                    <div><strong>Starting Bank:</strong> -$${parseFloat(data.payments.startingBank || 0).toFixed(2)}</div>
-                    <div><strong>Actual Revenue:</strong> $${parseFloat(data.payments.actualRevenue).toFixed(2)}</div>
-                </div>
-            </div>
-            <div class="recon-section recon-result recon-${data.reconciliation.status}">
-                <h4>Reconciliation</h4>
-                <div class="recon-grid">
-                    <div><strong>Expected Revenue:</strong> $${parseFloat(data.reconciliation.expectedRevenue).toFixed(2)}</div>
-                    <div><strong>Actual Revenue:</strong> $${parseFloat(data.reconciliation.actualRevenue).toFixed(2)}</div>
-                    <div class="recon-variance"><strong>Variance:</strong> $${parseFloat(data.reconciliation.variance).toFixed(2)}
-                        <span class="recon-badge">${data.reconciliation.status}</span>
-                    </div>
+        section.style.display = data.accounts.length ? '' : 'none';
+        document.getElementById('scoutAccountList').innerHTML = data.accounts.map(a => `
+            <div class="booth-event-card">
+                <div class="booth-event-header">
+                    <span class="booth-event-name">${escapeHtml(a.scout.name)}</span>
                 </div>
+                ${renderAccountSummary(a.summary)}
+                <details>
+                    <summary>Statement</summary>
+                    ${renderAccountStatement(a.statement, false)}
+                </details>
             </div>
-        `;
+        `).join('');
     } catch (error) {
-        console.error('Error loading reconciliation:', error);
+        console.error('Error loading scout accounts:', error);
     }
 }
 
-// ============================================================================
-// Phase D: Proceeds & Season Milestones
-// ============================================================================
-
-async function loadTroopProceeds(troopId) {
+async function loadMoneyOwed(troopId) {
+    const section = document.getElementById('moneyOwedSection');
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/proceeds`, { credentials: 'include' });
-        if (!res.ok) return;
+        const includePaid = document.getElementById('moneyOwedIncludePaid').checked;
+        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/money-owed?includePaid=${includePaid}${seasonQuery('&')}`, { credentials: 'include' });
+        if (!res.ok) { section.style.display = 'none'; return; }
         const data = await res.json();
-        document.getElementById('cookieTroopProceeds').textContent = `$${parseFloat(data.totalProceeds).toFixed(2)}`;
+        section.style.display = '';
+        troopPaymentMethods = data.paymentMethods;
+
+        document.getElementById('moneyOwedTotals').innerHTML = `
+            <p><strong>${data.totals.owingCount} scout${data.totals.owingCount === 1 ? '' : 's'} owe ${formatMoney(data.totals.balance)}</strong></p>
+            ${renderAccountSummary(data.totals)}
+        `;
+        const listEl = document.getElementById('moneyOwedList');
+        if (!data.scouts.length) { listEl.innerHTML = '<p class="empty-state">Nobody owes money</p>'; return; }
+        listEl.innerHTML = `
+            <table class="data-table">
+                <thead><tr><th>Scout</th><th>Charged</th><th>Paid</th><th>Balance</th>${Object.values(AGING_LABELS).map(l => `<th>${l}</th>`).join('')}<th>Last Payment</th><th></th></tr></thead>
+                <tbody>
+                    ${data.scouts.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.name)}${row.memberStatus !== 'active' ? ' <small>(left troop)</small>' : ''}
+                                ${row.parentName ? `<br><small>${escapeHtml(row.parentName)}${row.parentEmail ? ` · ${escapeHtml(row.parentEmail)}` : ''}</small>` : ''}</td>
+                            <td>${formatMoney(row.charged)}</td>
+                            <td>${formatMoney(row.paid)}</td>
+                            <td><strong>${formatMoney(row.balance)}</strong></td>
+                            ${Object.keys(AGING_LABELS).map(key => `<td>${row.aging[key] ? formatMoney(row.aging[key]) : '—'}</td>`).join('')}
+                            <td>${row.lastPaymentAt ? new Date(row.lastPaymentAt).toLocaleDateString() : '—'}</td>
+                            <td><button class="btn btn-sm btn-primary" onclick="openScoutAccountModal('${row.scoutId}')">Account</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     } catch (error) {
         // User may not have view_financials privilege
     }
 }
 
-async function loadSeasonMilestones(troopId) {
+async function openScoutAccountModal(scoutId) {
+    currentAccountScoutId = scoutId;
     try {
-        const res = await fetch(`${API_BASE_URL}/troop/${troopId}/milestones`, { credentials: 'include' });
-        if (!res.ok) return;
-        const milestones = await res.json();
-        const el = document.getElementById('cookieMilestonesList');
-        if (!milestones.length) {
-            el.innerHTML = '<p class="empty-state">No milestones set</p>';
-            return;
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/scouts/${scoutId}/account${seasonQuery()}`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const data = await res.json();
+        const canManage = currentUser && ['troop_leader', 'cookie_leader', 'cookie_manager', 'admin'].includes(currentUser.role);
+
+        document.getElementById('scoutAccountTitle').textContent = `${data.scout.name} · Account`;
+        document.getElementById('scoutAccountSummary').innerHTML = renderAccountSummary(data.summary);
+        document.getElementById('scoutAccountStatement').innerHTML = renderAccountStatement(data.statement, canManage);
+        document.getElementById('scoutPaymentForm').style.display = canManage ? '' : 'none';
+        document.getElementById('scoutPaymentMethod').innerHTML = troopPaymentMethods.map(m =>
+            `<option value="${m.id}">${escapeHtml(m.name)} (${escapeHtml(m.ownerName)})</option>`
+        ).join('');
+        if (!document.getElementById('scoutPaymentAmount').value && data.summary.balance > 0) {
+            document.getElementById('scoutPaymentAmount').value = data.summary.balance.toFixed(2);
         }
-        el.innerHTML = milestones.map(m => `
-            <div class="milestone-item">
-                <span class="milestone-date">${m.milestoneDate ? new Date(m.milestoneDate).toLocaleDateString() : 'TBD'}</span>
-                <span class="milestone-name">${m.milestoneName}</span>
-                ${m.description ? `<span class="milestone-desc">${m.description}</span>` : ''}
-            </div>
-        `).join('');
+        document.getElementById('scoutPaymentTurnedInBy').value = document.getElementById('scoutPaymentTurnedInBy').value || data.scout.parentName || '';
+        toggleScoutPaymentMethod();
+        document.getElementById('scoutAccountModal').style.display = 'flex';
     } catch (error) {
-        // User may not have view_events privilege for milestones
+        alert('Error loading account: ' + error.message);
+    }
+}
+
+function closeScoutAccountModal() {
+    document.getElementById('scoutAccountModal').style.display = 'none';
+    ['scoutPaymentAmount', 'scoutPaymentReference', 'scoutPaymentTurnedInBy', 'scoutPaymentNotes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    currentAccountScoutId = null;
+}
+
+function toggleScoutPaymentMethod() {
+    const type = document.getElementById('scoutPaymentType').value;
+    document.getElementById('scoutPaymentMethodGroup').style.display = type === 'digital' ? '' : 'none';
+}
+
+async function recordScoutPayment() {
+    const paymentType = document.getElementById('scoutPaymentType').value;
+    const data = {
+        amount: parseFloat(document.getElementById('scoutPaymentAmount').value),
+        paymentType,
+        paymentMethodId: paymentType === 'digital' ? document.getElementById('scoutPaymentMethod').value : null,
+        referenceNumber: document.getElementById('scoutPaymentReference').value.trim(),
+        turnedInBy: document.getElementById('scoutPaymentTurnedInBy').value.trim(),
+        notes: document.getElementById('scoutPaymentNotes').value.trim()
+    };
+    if (!(data.amount > 0)) return alert('Enter the amount turned in');
+    if (paymentType === 'digital' && !data.paymentMethodId) return alert('Choose the account the payment was sent to');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/scouts/${currentAccountScoutId}/payments`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const payment = await res.json();
+        showFeedback(`Payment recorded · Receipt #${payment.receiptNumber}`);
+        const scoutId = currentAccountScoutId;
+        closeScoutAccountModal();
+        printScoutReceipt(payment.id);
+        loadMoneyOwed(cookieDashboardTroopId);
+        loadScoutAccounts(cookieDashboardTroopId);
+        openScoutAccountModal(scoutId);
+    } catch (error) { alert('Error recording payment: ' + error.message); }
+}
+
+async function voidScoutPayment(paymentId) {
+    const reason = prompt('Why is this payment being voided?');
+    if (!reason || !reason.trim()) return;
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/scout-payments/${paymentId}/void`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: reason.trim() })
+        });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        showFeedback('Payment voided');
+        loadMoneyOwed(cookieDashboardTroopId);
+        loadScoutAccounts(cookieDashboardTroopId);
+        if (currentAccountScoutId) openScoutAccountModal(currentAccountScoutId);
+    } catch (error) { alert('Error: ' + error.message); }
+}
+
+async function printScoutReceipt(paymentId) {
+    // Open the window before awaiting so popup blockers treat it as part of the click
+    const printWin = window.open('', '_blank');
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${cookieDashboardTroopId}/scout-payments/${paymentId}/receipt`, { credentials: 'include' });
+        if (!res.ok) { const err = await res.json(); throw new Error(err.error); }
+        const { troop, scout, payment, balanceAfter } = await res.json();
+        const troopName = troop.troopName || `Troop ${troop.troopNumber}`;
+        printWin.document.write(`
+            <html><head><title>Receipt #${payment.receiptNumber}</title>
+            <style>
+                body { font-family: Arial, sans-serif; font-size: 13px; max-width: 480px; margin: 20px auto; }
+                h2 { margin-bottom: 0; }
+                table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+                td { padding: 4px 6px; border-bottom: 1px solid #ddd; }
+                td:first-child { color: #555; width: 40%; }
+                .amount { font-size: 20px; font-weight: bold; }
+                .signature { margin-top: 40px; border-top: 1px solid #333; width: 60%; padding-top: 4px; }
+                @media print { button { display: none; } }
+            </style></head><body>
+            <h2>${escapeHtml(troopName)}</h2>
+            <p>Payment Receipt #${payment.receiptNumber}</p>
+            <table>
+                <tr><td>Date</td><td>${new Date(payment.receivedAt).toLocaleString()}</td></tr>
+                <tr><td>Scout</td><td>${escapeHtml(scout.name || '')}</td></tr>
+                ${payment.turnedInBy ? `<tr><td>Turned in by</td><td>${escapeHtml(payment.turnedInBy)}</td></tr>` : ''}
+                <tr><td>Amount</td><td class="amount">${formatMoney(payment.amount)}</td></tr>
+                <tr><td>Paid by</td><td>${payment.paymentType}${payment.paymentMethodName ? ` via ${escapeHtml(payment.paymentMethodName)}` : ''}</td></tr>
+                ${payment.referenceNumber ? `<tr><td>Reference</td><td>${escapeHtml(payment.referenceNumber)}</td></tr>` : ''}
+                ${payment.notes ? `<tr><td>Notes</td><td>${escapeHtml(payment.notes)}</td></tr>` : ''}
+                <tr><td>Balance remaining</td><td>${formatMoney(balanceAfter)}</td></tr>
+                ${payment.season ? `<tr><td>Season</td><td>${escapeHtml(payment.season)}</td></tr>` : ''}
+            </table>
+            ${payment.voidedAt ? `<p><strong>VOID</strong> ${escapeHtml(payment.voidReason || '')}</p>` : ''}
+            <div class="signature">Received by ${escapeHtml(payment.receivedByName || '')}</div>
+            <script>window.print(); window.close();</script>
+            </body></html>
+        `);
+    } catch (error) {
+        printWin.close();
+        alert('Error loading receipt: ' + error.message);
     }
 }
 
@@ -4568,7 +7748,7 @@ async function deletePaymentMethod(methodId) {
 async function initiatePasswordReset() {
     const userId = currentEditingMemberId;
 
-    if (!confirm('Send password reset to this user?')) {
+    if (!confirm('Email a password reset link to this user?')) {
         return;
     }
 
@@ -4583,7 +7763,7 @@ async function initiatePasswordReset() {
             throw new Error(error.error);
         }
 
-        showFeedback('Password reset initiated');
+        showFeedback('Password reset email sent');
 
     } catch (error) {
         console.error('Error initiating password reset:', error);
@@ -4864,6 +8044,7 @@ function renderFulfillmentOrders(orders) {
                         </div>
                         <div>
                             <span class='booth-status-badge booth-status-${o.status}'>${o.status}</span>
+                            ${o.hasDiscrepancies ? `<span class='booth-status-badge booth-status-cancelled'>discrepancies</span>` : ''}
                         </div>
                     </div>
                     <div style='margin-top:var(--space-sm); font-size:0.9rem;'>
@@ -4876,7 +8057,8 @@ function renderFulfillmentOrders(orders) {
                             <button class='btn btn-sm btn-danger' onclick='updateFulfillmentStatus("${o.id}", "cancelled")'>Cancel</button>
                         ` : ''}
                         ${o.status === 'confirmed' ? `<button class='btn btn-sm btn-primary' onclick='updateFulfillmentStatus("${o.id}", "shipped")'>Mark Shipped</button>` : ''}
-                        ${o.status === 'shipped' ? `<button class='btn btn-sm btn-primary' onclick='updateFulfillmentStatus("${o.id}", "delivered")'>Mark Delivered</button>` : ''}
+                        ${['confirmed', 'shipped'].includes(o.status) ? `<button class='btn btn-sm btn-primary' onclick='openReceiveFulfillmentModal("${o.id}")'>Receive &amp; Count</button>` : ''}
+                        ${o.receivedAt ? `<button class='btn btn-sm btn-secondary' onclick='printDiscrepancyReport("${o.id}")'>Discrepancy Report</button>` : ''}
                     </div>
                 </div>
             `).join('')}
@@ -4898,6 +8080,144 @@ async function updateFulfillmentStatus(orderId, status) {
     }
 }
 
+// Receiving: count each line against the order
+let receivingOrderId = null;
+
+function receiveLineRow(item) {
+    const caseHint = item.boxesPerCase ? `<br><small>${item.boxesPerCase}/case</small>` : '';
+    return `
+        <tr data-product="${item.productId}">
+            <td>${escapeHtml(item.cookieName)}${caseHint}</td>
+            <td>${item.quantity}</td>
+            <td><input type="number" class="receive-qty" min="0" value="${item.quantity}" style="width: 5rem;"></td>
+            <td><input type="number" class="receive-damaged" min="0" value="0" style="width: 5rem;"></td>
+            <td><input type="text" class="receive-notes" placeholder="Optional"></td>
+        </tr>
+    `;
+}
+
+async function openReceiveFulfillmentModal(orderId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/fulfillment/${orderId}`, { credentials: 'include' });
+        if (!res.ok) throw new Error('Could not load the order');
+        const order = await res.json();
+        receivingOrderId = orderId;
+        document.getElementById('receiveItemsBody').innerHTML = order.items.map(receiveLineRow).join('');
+        const onOrder = order.items.map(i => i.productId);
+        document.getElementById('receiveExtraProduct').innerHTML = orderCardProducts
+            .filter(p => !onOrder.includes(p.id))
+            .map(p => `<option value="${p.id}">${escapeHtml(p.cookieName)}</option>`).join('');
+        document.getElementById('receiveNotes').value = '';
+        document.getElementById('receiveFulfillmentModal').style.display = 'flex';
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
+function closeReceiveFulfillmentModal() {
+    document.getElementById('receiveFulfillmentModal').style.display = 'none';
+    receivingOrderId = null;
+}
+
+function addReceiveExtraLine() {
+    const select = document.getElementById('receiveExtraProduct');
+    const product = orderCardProducts.find(p => p.id === select.value);
+    if (!product) return;
+    document.getElementById('receiveItemsBody').insertAdjacentHTML('beforeend', receiveLineRow({
+        productId: product.id, cookieName: product.cookieName, boxesPerCase: product.boxesPerCase, quantity: 0
+    }));
+    select.querySelector(`option[value="${product.id}"]`).remove();
+}
+
+async function submitFulfillmentReceipt() {
+    const items = [...document.querySelectorAll('#receiveItemsBody tr')].map(row => ({
+        productId: row.dataset.product,
+        receivedQty: parseInt(row.querySelector('.receive-qty').value) || 0,
+        damagedQty: parseInt(row.querySelector('.receive-damaged').value) || 0,
+        notes: row.querySelector('.receive-notes').value.trim()
+    }));
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/fulfillment/${receivingOrderId}/receive`, {
+            method: 'POST', credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items, notes: document.getElementById('receiveNotes').value.trim() })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        const orderId = receivingOrderId;
+        closeReceiveFulfillmentModal();
+        loadFulfillmentOrders(selectedTroopId);
+        loadInventoryHoldings(selectedTroopId);
+        loadInventoryLedger(selectedTroopId);
+        if (data.discrepancyCount && confirm(`${data.discrepancyCount} product(s) did not match the order. Print the discrepancy report?`)) {
+            printDiscrepancyReport(orderId);
+        } else {
+            showFeedback('Order received into troop stock');
+        }
+    } catch (error) {
+        alert('Error receiving order: ' + error.message);
+    }
+}
+
+async function printDiscrepancyReport(orderId) {
+    try {
+        const res = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/fulfillment/${orderId}/discrepancies`, { credentials: 'include' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        const { order, lines, totals } = data;
+        const cases = (qty, perCase) => perCase && qty >= perCase ? ` (${+(qty / perCase).toFixed(2)} cs)` : '';
+        const printWin = window.open('', '_blank');
+        printWin.document.write(`
+            <html><head><title>Order Discrepancy Report</title>
+            <style>
+                body { font-family: Arial, sans-serif; font-size: 12px; }
+                table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+                th, td { border: 1px solid #333; padding: 4px 6px; text-align: center; }
+                th { background: #f0f0f0; }
+                td:first-child, td:last-child { text-align: left; }
+                .flag { font-weight: bold; }
+                .signature { margin-top: 40px; display: flex; gap: 40px; }
+                .signature div { flex: 1; border-top: 1px solid #333; padding-top: 4px; }
+            </style></head><body>
+            <h2>Order Discrepancy Report</h2>
+            <div>Troop ${escapeHtml(order.troopNumber || '')}${order.troopName ? ` · ${escapeHtml(order.troopName)}` : ''}</div>
+            <div>Order #${order.id.substring(0, 8)} placed ${new Date(order.orderDate).toLocaleDateString()} by ${escapeHtml(order.orderedByName || '')}</div>
+            <div>Received ${new Date(order.receivedAt).toLocaleString()} by ${escapeHtml(order.receivedByName || '')}</div>
+            ${order.receivingNotes ? `<div>Notes: ${escapeHtml(order.receivingNotes)}</div>` : ''}
+            <table>
+                <thead><tr><th>Cookie</th><th>Ordered</th><th>Received</th><th>Short</th><th>Over</th><th>Damaged</th><th>Notes</th></tr></thead>
+                <tbody>
+                    ${lines.map(l => `
+                        <tr>
+                            <td>${escapeHtml(l.cookieName)}</td>
+                            <td>${l.orderedQty}</td>
+                            <td>${l.receivedQty}</td>
+                            <td class="${l.shortQty ? 'flag' : ''}">${l.shortQty}${cases(l.shortQty, l.boxesPerCase)}</td>
+                            <td class="${l.overQty ? 'flag' : ''}">${l.overQty}${cases(l.overQty, l.boxesPerCase)}</td>
+                            <td class="${l.damagedQty ? 'flag' : ''}">${l.damagedQty}</td>
+                            <td>${escapeHtml(l.notes || '')}</td>
+                        </tr>
+                    `).join('')}
+                    <tr>
+                        <th>Total boxes</th><th>${totals.orderedQty}</th><th>${totals.receivedQty}</th>
+                        <th>${totals.shortQty}</th><th>${totals.overQty}</th><th>${totals.damagedQty}</th><th></th>
+                    </tr>
+                    <tr>
+                        <th>Value</th><th></th><th></th>
+                        <th>$${totals.shortValue.toFixed(2)}</th><th>$${totals.overValue.toFixed(2)}</th><th>$${totals.damagedValue.toFixed(2)}</th><th></th>
+                    </tr>
+                </tbody>
+            </table>
+            <div class="signature"><div>Troop cookie leader</div><div>Service unit cookie manager</div></div>
+            <script>window.print();</script>
+            </body></html>
+        `);
+        printWin.document.close();
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
 async function loadTroopSharedInventory(troopId) {
     try {
         const res = await fetch(`${API_BASE_URL}/troop/${troopId}/shared-inventory`, { credentials: 'include' });
@@ -4947,7 +8267,9 @@ function renderParentDashboard(scouts) {
     if (scouts.length === 0) {
         list.innerHTML = '<p class="empty-state">No scouts linked to your account.</p>';
     } else {
-        list.innerHTML = scouts.map(s => `
+        list.innerHTML = scouts.map(s => {
+            const needsConsent = s.isMinor ? s.parentalConsentStatus !== 'granted' : !s.isActive;
+            return `
             <div class="scout-card glass-card" style="padding: var(--space-md); text-align: center; border-radius: 12px;">
                 <div class="scout-photo-small" style="width: 60px; height: 60px; border-radius: 50%; background: var(--gray-200); margin: 0 auto 10px; display: flex; align-items: center; justify-content: center; overflow: hidden;">
                     ${s.photoUrl ? `<img src="${s.photoUrl}" style="width: 100%; height: 100%; object-fit: cover;">` : '<i data-lucide="user"></i>'}
@@ -4955,11 +8277,11 @@ function renderParentDashboard(scouts) {
                 <div style="font-weight: 600;">${s.firstName} ${s.lastName}</div>
                 <div style="font-size: 0.8rem; color: #666;">Troop ${s.troopNumber} • ${s.scoutLevel}</div>
                 <div style="margin-top: 5px;">
-                    <span class="booth-status-badge ${s.isActive ? 'booth-status-completed' : 'booth-status-planning'}">
-                        ${s.isActive ? 'Active' : 'Pending Consent'}
+                    <span class="booth-status-badge ${needsConsent ? 'booth-status-planning' : 'booth-status-completed'}">
+                        ${needsConsent ? 'Pending Consent' : 'Active'}
                     </span>
                 </div>
-                ${!s.isActive ? `
+                ${needsConsent ? `
                     <button class="btn btn-sm btn-primary" style="margin-top: 10px; width: 100%;" onclick="approveScout('${s.id}')">
                         <i data-lucide="check-circle"></i> Provide Consent
                     </button>
@@ -4967,9 +8289,21 @@ function renderParentDashboard(scouts) {
                     <button class="btn btn-sm btn-secondary" style="margin-top: 10px; width: 100%;" onclick="viewScoutStats('${s.id}')">
                         <i data-lucide="bar-chart"></i> View Stats
                     </button>
+                    <button class="btn btn-sm btn-secondary badge-steps-btn" style="margin-top: 6px; width: 100%;" data-userid="${escapeHtml(s.id)}" data-name="${escapeHtml(`${s.firstName} ${s.lastName}`)}">
+                        <i data-lucide="list-checks"></i> Badge Steps
+                    </button>
+                    <button class="btn btn-sm btn-secondary badge-claim-btn" style="margin-top: 6px; width: 100%;" data-userid="${escapeHtml(s.id)}" data-name="${escapeHtml(`${s.firstName} ${s.lastName}`)}">
+                        <i data-lucide="award"></i> Claim Badge
+                    </button>
+                    ${s.isMinor ? `
+                        <button class="btn btn-sm btn-danger" style="margin-top: 6px; width: 100%;" onclick="revokeScoutConsent('${s.id}')">
+                            Revoke Consent
+                        </button>
+                    ` : ''}
                 `}
             </div>
-        `).join('');
+        `;
+        }).join('');
         if (window.lucide) lucide.createIcons();
     }
 
@@ -4992,4 +8326,201 @@ async function approveScout(scoutId) {
     } catch (error) {
         alert('Error: ' + error.message);
     }
+}
+
+async function revokeScoutConsent(scoutId) {
+    if (!confirm('Revoking consent permanently anonymizes this scout\'s account and signs them out. This cannot be undone. Continue?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/parents/revoke-consent/${scoutId}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ confirm: true })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Revocation failed');
+        alert(data.message);
+        loadLinkedScouts();
+    } catch (error) {
+        alert('Error: ' + error.message);
+    }
+}
+
+// ============================================================================
+// TROOP WEBHOOKS
+// ============================================================================
+
+async function loadTroopWebhooks(troopId) {
+    const listEl = document.getElementById('webhookList');
+    const eventsEl = document.getElementById('webhookEventOptions');
+    if (!listEl) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${troopId}/webhooks`);
+        await handleApiResponse(response);
+        const { webhooks, events } = await response.json();
+
+        if (!eventsEl.dataset.loaded) {
+            eventsEl.innerHTML = events.map(e => `
+                <label style="display: inline-block; margin-right: 16px;">
+                    <input type="checkbox" class="webhook-event" value="${e}" checked> ${e}
+                </label>
+            `).join('');
+            eventsEl.dataset.loaded = 'true';
+        }
+
+        if (webhooks.length === 0) {
+            listEl.innerHTML = '<p class="empty-state">No webhooks yet.</p>';
+            return;
+        }
+
+        listEl.innerHTML = webhooks.map(w => `
+            <div class="payment-method-item">
+                <div>
+                    <strong>${escapeHtml(w.description || w.url)}</strong>${w.isActive ? '' : ' <em>(paused)</em>'}<br>
+                    <small>${escapeHtml(w.url)}</small><br>
+                    <small>${escapeHtml(w.events.join(', '))}</small><br>
+                    <small>${w.lastStatus ? `Last delivery ${escapeHtml(w.lastStatus)} ${new Date(w.lastEventAt).toLocaleString()}` : 'No deliveries yet'}${w.failedCount ? ` · ${w.failedCount} failed` : ''}</small>
+                </div>
+                <div>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="sendTestWebhook('${w.id}')">Send Test Event</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="loadWebhookDeliveries('${w.id}')">Deliveries</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="toggleWebhook('${w.id}', ${!w.isActive})">${w.isActive ? 'Pause' : 'Resume'}</button>
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="rotateWebhookSecret('${w.id}')">New Secret</button>
+                    <button type="button" class="btn btn-danger btn-sm" onclick="deleteWebhook('${w.id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        listEl.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function showWebhookSecret(secret) {
+    document.getElementById('webhookSecretValue').textContent = secret;
+    document.getElementById('webhookSecretNotice').style.display = 'block';
+}
+
+async function createWebhook() {
+    const events = Array.from(document.querySelectorAll('.webhook-event:checked')).map(cb => cb.value);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: document.getElementById('webhookUrl').value.trim(),
+                description: document.getElementById('webhookDescription').value.trim(),
+                events
+            })
+        });
+        await handleApiResponse(response);
+        const data = await response.json();
+
+        showWebhookSecret(data.secret);
+        document.getElementById('webhookUrl').value = '';
+        document.getElementById('webhookDescription').value = '';
+        showFeedback('Webhook added');
+        loadTroopWebhooks(selectedTroopId);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function toggleWebhook(webhookId, isActive) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ isActive })
+        });
+        await handleApiResponse(response);
+        loadTroopWebhooks(selectedTroopId);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function rotateWebhookSecret(webhookId) {
+    if (!confirm('Create a new signing secret? The receiver must be updated before it will accept new events.')) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}/rotate-secret`, { method: 'POST' });
+        await handleApiResponse(response);
+        const data = await response.json();
+        showWebhookSecret(data.secret);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function deleteWebhook(webhookId) {
+    if (!confirm('Delete this webhook and its delivery history?')) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}`, { method: 'DELETE' });
+        await handleApiResponse(response);
+        document.getElementById('webhookDeliveries').style.display = 'none';
+        showFeedback('Webhook deleted');
+        loadTroopWebhooks(selectedTroopId);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function sendTestWebhook(webhookId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}/test`, { method: 'POST' });
+        await handleApiResponse(response);
+        showFeedback('Test event sent');
+        // Give the worker a moment to deliver before showing the result
+        setTimeout(() => loadWebhookDeliveries(webhookId), 1500);
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function loadWebhookDeliveries(webhookId) {
+    const container = document.getElementById('webhookDeliveries');
+    const listEl = document.getElementById('webhookDeliveriesList');
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}/deliveries?limit=25`);
+        await handleApiResponse(response);
+        const deliveries = await response.json();
+
+        container.style.display = 'block';
+        if (deliveries.length === 0) {
+            listEl.innerHTML = '<p class="empty-state">No deliveries yet.</p>';
+            return;
+        }
+
+        listEl.innerHTML = deliveries.map(d => `
+            <div class="payment-method-item">
+                <div>
+                    <strong>${escapeHtml(d.eventType)}</strong> · ${escapeHtml(d.status)}${d.responseStatus ? ` (HTTP ${d.responseStatus})` : ''}<br>
+                    <small>${new Date(d.createdAt).toLocaleString()} · ${d.attempts}/${d.maxAttempts} attempt(s)</small>
+                    ${d.lastError ? `<br><small>${escapeHtml(d.lastError)}</small>` : ''}
+                    ${d.status === 'pending' && d.attempts > 0 ? `<br><small>Next retry ${new Date(d.nextAttemptAt).toLocaleString()}</small>` : ''}
+                </div>
+                ${d.status === 'failed' ? `<button type="button" class="btn btn-secondary btn-sm" onclick="retryWebhookDelivery('${webhookId}', '${d.id}')">Retry</button>` : ''}
+            </div>
+        `).join('');
+    } catch (error) {
+        showFeedback(error.message);
+    }
+}
+
+async function retryWebhookDelivery(webhookId, deliveryId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/troop/${selectedTroopId}/webhooks/${webhookId}/deliveries/${deliveryId}/retry`, { method: 'POST' });
+        await handleApiResponse(response);
+        showFeedback('Delivery requeued');
+        setTimeout(() => loadWebhookDeliveries(webhookId), 1500);
+    } catch (error) {
+        showFeedback(error.message);
+    }
 }
\ No newline at end of file
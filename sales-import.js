@@ -0,0 +1,670 @@
+/**
+ * Council sales report import for Apex Scout Manager
+ *
+ * Reads the reports troops download from the council platforms and records
+ * them as sales:
+ *   digital_cookie - Digital Cookie order export, one row per order (or per
+ *                    order line), product quantities in columns
+ *   ebudde         - eBudde transaction report, one row per girl transaction,
+ *                    product abbreviations as column headers
+ *
+ * Product columns are matched to cookie_products by name, short name or a
+ * known abbreviation; girls are matched to troop members by name. Mappings a
+ * leader picks for columns or names that do not match are saved per troop in
+ * sales_import_aliases and reused by later imports.
+ *
+ * Imports are idempotent by order number: sales carry the report they came
+ * from in "importSource", and re-importing an order replaces its sales only
+ * when something changed. A cancelled or refunded order removes them.
+ */
+
+const ExcelJS = require('exceljs');
+
+const IMPORT_FORMATS = {
+    digital_cookie: 'Digital Cookie order export',
+    ebudde: 'eBudde transaction report'
+};
+
+// Report columns that are not products, by format (first header found wins)
+const FORMAT_COLUMNS = {
+    digital_cookie: {
+        orderNumber: ['Order Number', 'Order #', 'Order ID'],
+        date: ['Order Date', 'Date'],
+        orderType: ['Order Type', 'Delivery Method'],
+        orderStatus: ['Order Status', 'Status'],
+        girlName: ['Girl Name', 'Scout Name', 'Girl'],
+        girlFirstName: ['Girl First Name', 'Scout First Name'],
+        girlLastName: ['Girl Last Name', 'Scout Last Name'],
+        customerName: ['Deliver To', 'Customer Name', 'Ship To'],
+        customerFirstName: ['Customer First Name'],
+        customerLastName: ['Customer Last Name'],
+        customerPhone: ['Customer Phone', 'Phone'],
+        customerEmail: ['Customer Email', 'Email'],
+        customerAddress: ['Delivery Address', 'Shipping Address', 'Customer Address', 'Address']
+    },
+    ebudde: {
+        orderNumber: ['Transaction #', 'Trans #', 'Transaction ID', 'Trans ID', 'Order #'],
+        date: ['Date', 'Transaction Date', 'Trans Date'],
+        orderType: ['Type', 'Transaction Type', 'Trans Type'],
+        orderStatus: ['Status'],
+        girlName: ['Girl', 'Girl Name'],
+        girlFirstName: ['Girl First Name', 'First Name'],
+        girlLastName: ['Girl Last Name', 'Last Name']
+    }
+};
+
+// Other columns that hold numbers but are never products
+const NON_PRODUCT_COLUMN = /total|amount|price|\$|tax|ship|fee|zip|postal|troop|service unit|council|paid|payment|balance|qty|count|pkgs|packages|cases/i;
+
+// Columns of boxes bought for donation (Cookie Share, Gift of Caring, ...)
+const DONATION_COLUMN = /donat|cookie share|gift of caring|operation cookie|care package/i;
+const DONATION_COOKIE_TYPE = 'Donated Cookies';
+
+// Council abbreviations, by normalized product name
+const PRODUCT_ABBREVIATIONS = {
+    thinmints: ['tmint', 'tmints', 'mint', 'mints'],
+    samoas: ['sam', 'samoa'],
+    carameldelites: ['cdl', 'carameldelite'],
+    tagalongs: ['tag', 'tags', 'tagalong'],
+    peanutbutterpatties: ['ptty', 'patties'],
+    trefoils: ['tre', 'tref', 'trefoil'],
+    shortbread: ['sbrd'],
+    dosidos: ['dsd', 'dosido'],
+    peanutbuttersandwich: ['pbsw', 'sandwich'],
+    lemonups: ['lmup', 'lemup', 'lemonup'],
+    lemonades: ['lem', 'lemonade'],
+    adventurefuls: ['adv', 'advf', 'adventureful'],
+    exploremores: ['exp', 'explr', 'exploremore'],
+    toffeetastic: ['toff', 'toffee'],
+    girlscoutsmores: ['smr', 'smores'],
+    toastyay: ['tyay', 'toast'],
+    raspberryrally: ['rasp', 'rally']
+};
+
+// Order statuses that mean the customer did not get (or pay for) the boxes
+const CANCELLED_STATUS = /cancel|refund|void|declin|reject/i;
+
+const DEFAULT_CUSTOMER_NAME = 'Walk-in Customer';
+
+function importError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Lowercase letters and digits only, so "Do-si-dos" and "DoSiDos" match
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z,' -]/g, '').replace(/\s+/g, ' ').trim();
+
+// ============================================================================
+// Reading reports
+// ============================================================================
+
+function cellText(value) {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        if (value.richText) return value.richText.map(rt => rt.text).join('');
+        if (value.text !== undefined) return value.text;
+        if (value.result !== undefined) return value.result;
+    }
+    return value;
+}
+
+function findColumn(headers, names) {
+    const wanted = names.map(normalizeKey);
+    for (const key of wanted) {
+        const header = headers.find(h => normalizeKey(h) === key);
+        if (header) return header;
+    }
+    return null;
+}
+
+/**
+ * Recognize a report layout from its header row
+ * @param {string[]} headers - Header cells
+ * @returns {string|null} digital_cookie | ebudde
+ */
+function detectFormat(headers) {
+    const dc = FORMAT_COLUMNS.digital_cookie;
+    if (findColumn(headers, dc.orderNumber) && (findColumn(headers, dc.orderType) || findColumn(headers, dc.customerName))) {
+        return 'digital_cookie';
+    }
+    const eb = FORMAT_COLUMNS.ebudde;
+    if (findColumn(headers, eb.orderNumber) && (findColumn(headers, eb.girlName) || findColumn(headers, eb.girlFirstName))) {
+        return 'ebudde';
+    }
+    return null;
+}
+
+/**
+ * Read the first worksheet of an XLSX report. Council reports often start with
+ * title lines, so the header row is the first of the top ten that is recognized.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} [format] - Expected layout; detected when omitted
+ * @returns {Promise<{format: string, headers: string[], rows: Object[]}>} Rows keyed by header, with rowNumber
+ */
+async function readReport(buffer, format = null) {
+    if (format && !IMPORT_FORMATS[format]) {
+        throw importError(`format must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`);
+    }
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw importError('The file is not a readable XLSX workbook');
+    }
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) throw importError('No data found in file');
+
+    let headerRow = null;
+    let headers = [];
+    for (let rowNumber = 1; rowNumber <= Math.min(10, worksheet.rowCount); rowNumber++) {
+        const cells = [];
+        worksheet.getRow(rowNumber).eachCell((cell, colNumber) => {
+            cells[colNumber] = String(cellText(cell.value) ?? '').trim();
+        });
+        const detected = detectFormat(cells.filter(Boolean));
+        if (detected && (!format || detected === format)) {
+            headerRow = rowNumber;
+            headers = cells;
+            format = detected;
+            break;
+        }
+    }
+    if (!headerRow) {
+        throw importError(format
+            ? `This does not look like a ${IMPORT_FORMATS[format]}`
+            : 'Unrecognized report layout. Upload a Digital Cookie order export or an eBudde transaction report.');
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber <= headerRow) return;
+        const data = { rowNumber };
+        let hasValue = false;
+        row.eachCell((cell, colNumber) => {
+            const header = headers[colNumber];
+            const value = cellText(cell.value);
+            if (!header || value === null || value === undefined || value === '') return;
+            data[header] = typeof value === 'string' ? value.trim() : value;
+            hasValue = true;
+        });
+        if (hasValue) rows.push(data);
+    });
+    if (rows.length === 0) throw importError('No data found in file');
+
+    return { format, headers: headers.filter(Boolean), rows };
+}
+
+// ============================================================================
+// Orders
+// ============================================================================
+
+function parseDate(value) {
+    let date = null;
+    if (value instanceof Date) {
+        date = value;
+    } else if (typeof value === 'number') {
+        // Excel date serial number
+        date = new Date(Date.UTC(1899, 11, 30) + value * 24 * 60 * 60 * 1000);
+    } else if (typeof value === 'string' && value.trim()) {
+        date = new Date(value);
+    }
+    return date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
+}
+
+function parseQuantity(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const quantity = Number(typeof value === 'string' ? value.replace(/,/g, '') : value);
+    return Number.isFinite(quantity) ? quantity : NaN;
+}
+
+function saleTypeFor(format, orderType) {
+    const type = String(orderType || '').toLowerCase();
+    if (type.includes('donat')) return 'individual_donation';
+    if (type.includes('ship')) return 'individual_digital_shipped';
+    if (format === 'digital_cookie') return 'individual_digital_delivered';
+    return 'individual_inperson';
+}
+
+/**
+ * Group report rows into orders. Rows sharing an order number are one order
+ * and their quantities are added together.
+ * @param {Object} report - From readReport
+ * @returns {{orders: Object[], productColumns: string[], errors: Object[]}} errors are rows that cannot be imported
+ */
+function parseOrders(report) {
+    const { format, headers, rows } = report;
+    const columns = {};
+    for (const [field, names] of Object.entries(FORMAT_COLUMNS[format])) {
+        columns[field] = findColumn(headers, names);
+    }
+    const used = new Set(Object.values(columns).filter(Boolean));
+    const productColumns = headers.filter(h =>
+        !used.has(h)
+        && (DONATION_COLUMN.test(h) || !NON_PRODUCT_COLUMN.test(h))
+        && rows.some(row => parseQuantity(row[h]) !== 0));
+
+    const value = (row, field) => (columns[field] && row[columns[field]] !== undefined ? String(row[columns[field]]).trim() : '');
+    const joined = (row, first, last) => [value(row, first), value(row, last)].filter(Boolean).join(' ');
+
+    const orders = new Map();
+    const errors = [];
+    for (const row of rows) {
+        const orderNumber = value(row, 'orderNumber');
+        if (!orderNumber) {
+            errors.push({ rowNumber: row.rowNumber, error: 'No order number' });
+            continue;
+        }
+
+        let order = orders.get(orderNumber);
+        if (!order) {
+            const rawDate = columns.date ? row[columns.date] : null;
+            order = {
+                orderNumber,
+                rowNumbers: [],
+                date: parseDate(rawDate),
+                orderType: value(row, 'orderType') || null,
+                orderStatus: value(row, 'orderStatus') || null,
+                girlName: value(row, 'girlName') || joined(row, 'girlFirstName', 'girlLastName') || null,
+                customer: {
+                    name: value(row, 'customerName') || joined(row, 'customerFirstName', 'customerLastName') || null,
+                    phone: value(row, 'customerPhone') || null,
+                    email: value(row, 'customerEmail') || null,
+                    address: value(row, 'customerAddress') || null
+                },
+                quantities: {},
+                errors: []
+            };
+            order.saleType = saleTypeFor(format, order.orderType);
+            order.cancelled = CANCELLED_STATUS.test(order.orderStatus || '');
+            if (!order.date) order.errors.push(rawDate ? `Unreadable date "${rawDate}"` : 'No order date');
+            orders.set(orderNumber, order);
+        }
+        order.rowNumbers.push(row.rowNumber);
+
+        for (const header of productColumns) {
+            const quantity = parseQuantity(row[header]);
+            if (quantity === 0) continue;
+            if (!Number.isInteger(quantity)) {
+                order.errors.push(`${header}: "${row[header]}" is not a whole number of boxes`);
+            } else if (quantity < 0) {
+                order.errors.push(`${header}: negative quantities (returns) are not imported`);
+            } else {
+                order.quantities[header] = (order.quantities[header] || 0) + quantity;
+            }
+        }
+    }
+
+    return { orders: [...orders.values()], productColumns, errors };
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+function productKeys(product) {
+    const name = normalizeKey(product.cookieName);
+    const keys = [name, name.replace(/s$/, ''), ...(PRODUCT_ABBREVIATIONS[name] || [])];
+    if (product.shortName) keys.push(normalizeKey(product.shortName));
+    return keys;
+}
+
+/**
+ * Match report columns to products. When two bakers sell a product of the same
+ * name, the baker whose products matched the other columns is chosen.
+ * @param {string[]} productColumns - From parseOrders
+ * @param {Object[]} products - cookie_products rows the troop can sell (id, cookieName, shortName, pricePerBox, bakerId)
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.aliases] - Saved product aliases: normalized header -> cookieName, or '' to ignore
+ * @param {Object} [options.overrides] - Header -> productId, or 'ignore'
+ * @returns {Object[]} One per column: { header, status, productId, cookieName, unitPrice, candidates }
+ */
+function matchProducts(productColumns, products, { aliases = new Map(), overrides = {} } = {}) {
+    const results = productColumns.map(header => {
+        const override = overrides[header];
+        if (override === 'ignore') return { header, status: 'ignored' };
+        if (override) {
+            const product = products.find(p => p.id === override);
+            if (!product) throw importError(`Product mapped to "${header}" is not sold by this troop`);
+            return { header, candidates: [product] };
+        }
+
+        const key = normalizeKey(header);
+        if (aliases.has(key)) {
+            const target = aliases.get(key);
+            if (!target) return { header, status: 'ignored' };
+            return { header, candidates: products.filter(p => normalizeKey(p.cookieName) === normalizeKey(target)) };
+        }
+        if (DONATION_COLUMN.test(header)) return { header, status: 'donation' };
+        return { header, candidates: products.filter(p => productKeys(p).includes(key)) };
+    });
+
+    const bakerVotes = new Map();
+    for (const result of results) {
+        const bakers = new Set((result.candidates || []).map(p => p.bakerId));
+        if (bakers.size === 1) {
+            const [baker] = bakers;
+            bakerVotes.set(baker, (bakerVotes.get(baker) || 0) + 1);
+        }
+    }
+    const [preferredBaker] = [...bakerVotes.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+    return results.map(result => {
+        if (!result.candidates) return result;
+        let candidates = result.candidates;
+        if (candidates.length > 1) {
+            const fromBaker = candidates.filter(p => p.bakerId === preferredBaker);
+            if (fromBaker.length) candidates = fromBaker;
+        }
+        const summary = candidates.map(p => ({ id: p.id, cookieName: p.cookieName, bakerName: p.bakerName || null }));
+        if (candidates.length !== 1) {
+            return { header: result.header, status: candidates.length ? 'ambiguous' : 'unmatched', candidates: summary };
+        }
+        const [product] = candidates;
+        return {
+            header: result.header,
+            status: 'matched',
+            productId: product.id,
+            cookieName: product.cookieName,
+            unitPrice: parseFloat(product.pricePerBox)
+        };
+    });
+}
+
+/**
+ * Match girl names from a report to troop members: the full name ("First Last"
+ * or "Last, First"), or a first name and last initial when only one member fits
+ * @param {string[]} names - Names as written in the report
+ * @param {Object[]} scouts - { id, firstName, lastName }
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.aliases] - Saved scout aliases: normalized name -> userId
+ * @param {Object} [options.overrides] - Name -> userId
+ * @returns {Map<string, Object>} name -> { status, userId, scoutName }
+ */
+function matchScouts(names, scouts, { aliases = new Map(), overrides = {} } = {}) {
+    const byId = new Map(scouts.map(s => [s.id, s]));
+    const fullName = (s) => normalizeName(`${s.firstName} ${s.lastName}`);
+    const found = (scout) => ({ status: 'matched', userId: scout.id, scoutName: `${scout.firstName} ${scout.lastName}` });
+
+    const matches = new Map();
+    for (const name of names) {
+        const chosen = overrides[name] || aliases.get(normalizeKey(name));
+        if (chosen) {
+            if (!byId.has(chosen)) throw importError(`Scout mapped to "${name}" is not a member of this troop`);
+            matches.set(name, found(byId.get(chosen)));
+            continue;
+        }
+
+        let wanted = normalizeName(name);
+        if (wanted.includes(',')) {
+            const [last, first] = wanted.split(',').map(part => part.trim());
+            wanted = `${first} ${last}`;
+        }
+        let candidates = scouts.filter(s => fullName(s) === wanted);
+        if (candidates.length === 0) {
+            const [first, ...rest] = wanted.split(' ');
+            const initial = rest.join('').replace(/[^a-z]/g, '').charAt(0);
+            candidates = scouts.filter(s => normalizeName(s.firstName) === first
+                && (!initial || normalizeName(s.lastName).startsWith(initial)));
+        }
+        matches.set(name, candidates.length === 1
+            ? found(candidates[0])
+            : { status: candidates.length ? 'ambiguous' : 'unmatched' });
+    }
+    return matches;
+}
+
+// ============================================================================
+// Planning and applying
+// ============================================================================
+
+function lineSignature(line) {
+    return [line.userId, line.productId || line.cookieType, line.quantity, line.saleType, line.date, line.customerName].join('|');
+}
+
+/**
+ * Compare the report's orders with what earlier imports recorded
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} options
+ * @param {string} options.source - Report format, stored in sales."importSource"
+ * @param {Object[]} options.orders - From parseOrders
+ * @param {Object[]} options.columns - From matchProducts
+ * @param {Map<string, Object>} options.scouts - From matchScouts
+ * @param {string[]} options.ownerIds - Users whose imported sales an order number can belong to
+ * @param {string} options.season - Season the sales are recorded in
+ * @param {string} [options.scoutId] - Record every order for this scout instead of matching girl names
+ * @param {number} options.donationPrice - Price of a donated box
+ * @returns {Promise<{orders: Object[], summary: Object}>} Each order has status new | changed | unchanged | removed | skipped | error
+ */
+async function planImport(client, { source, orders, columns, scouts, ownerIds, season, scoutId = null, donationPrice }) {
+    const byHeader = new Map(columns.map(c => [c.header, c]));
+    const existing = (await client.query(`
+        SELECT s.id, s."orderNumber", s."userId", s."productId", s."cookieType", s.quantity, s."saleType",
+               to_char(s.date, 'YYYY-MM-DD') AS date, s."customerName", s."orderStatus"
+        FROM sales s
+        WHERE s."importSource" = $1 AND s."orderNumber" = ANY($2::text[]) AND s."userId" = ANY($3::uuid[])
+        ORDER BY s."orderNumber", s."cookieType"
+    `, [source, orders.map(o => o.orderNumber), ownerIds])).rows;
+    const previousByOrder = new Map();
+    for (const sale of existing) {
+        if (!previousByOrder.has(sale.orderNumber)) previousByOrder.set(sale.orderNumber, []);
+        previousByOrder.get(sale.orderNumber).push(sale);
+    }
+
+    const planned = orders.map(order => {
+        const errors = [...order.errors];
+        let scout = null;
+        if (scoutId) {
+            scout = { userId: scoutId };
+        } else if (order.girlName) {
+            const match = scouts.get(order.girlName);
+            if (match && match.status === 'matched') scout = match;
+            else errors.push(`Girl "${order.girlName}" ${match && match.status === 'ambiguous' ? 'matches more than one scout' : 'is not in the troop'}`);
+        } else {
+            errors.push('No girl name');
+        }
+
+        const customerName = order.customer.name || DEFAULT_CUSTOMER_NAME;
+        const lines = [];
+        for (const [header, quantity] of Object.entries(order.quantities)) {
+            const column = byHeader.get(header);
+            if (column.status === 'ignored') continue;
+            if (column.status === 'donation') {
+                lines.push({ productId: null, cookieType: DONATION_COOKIE_TYPE, quantity, unitPrice: donationPrice, saleType: 'individual_donation' });
+            } else if (column.status === 'matched') {
+                lines.push({ productId: column.productId, cookieType: column.cookieName, quantity, unitPrice: column.unitPrice, saleType: order.saleType });
+            } else {
+                errors.push(`Column "${header}" is not mapped to a product`);
+            }
+        }
+        // Two columns can map to one product (e.g. "Samoas" and "Caramel deLites" on a shared export)
+        const merged = new Map();
+        for (const line of lines) {
+            const key = `${line.productId || line.cookieType}|${line.saleType}`;
+            if (merged.has(key)) merged.get(key).quantity += line.quantity;
+            else merged.set(key, { ...line, userId: scout && scout.userId, date: order.date, customerName });
+        }
+
+        const previous = previousByOrder.get(order.orderNumber) || [];
+        const result = {
+            orderNumber: order.orderNumber,
+            rowNumbers: order.rowNumbers,
+            date: order.date,
+            orderType: order.orderType,
+            orderStatus: order.orderStatus,
+            saleType: order.saleType,
+            girlName: order.girlName,
+            scoutId: scout && scout.userId,
+            scoutName: scout && scout.scoutName,
+            customer: order.customer,
+            lines: order.cancelled ? [] : [...merged.values()],
+            previous,
+            errors
+        };
+
+        if (errors.length && !order.cancelled) {
+            result.status = 'error';
+        } else if (order.cancelled || result.lines.length === 0) {
+            result.status = previous.length ? 'removed' : 'skipped';
+        } else if (previous.length === 0) {
+            result.status = 'new';
+        } else {
+            const before = previous.map(lineSignature).sort().join('\n');
+            const after = result.lines.map(lineSignature).sort().join('\n');
+            result.status = before === after ? 'unchanged' : 'changed';
+        }
+        return result;
+    });
+
+    const summary = { orders: planned.length, new: 0, changed: 0, unchanged: 0, removed: 0, skipped: 0, error: 0, boxes: 0 };
+    for (const order of planned) {
+        summary[order.status]++;
+        if (order.status === 'new' || order.status === 'changed') {
+            summary.boxes += order.lines.reduce((sum, line) => sum + line.quantity, 0);
+        }
+    }
+    return { orders: planned, summary };
+}
+
+// An order's line is one product (or donation) and sale type, as merged in planImport
+const lineKey = (line) => `${line.productId || line.cookieType}|${line.saleType}`;
+
+/**
+ * Record a planned import. A changed order keeps its sales rows: lines still on
+ * the order are updated in place, so their IDs stay the same, and only lines
+ * added or dropped are inserted or deleted. New orders are inserted and removed
+ * ones deleted. Orders with errors and unchanged orders are left alone.
+ * @param {Object} client - Transaction client
+ * @param {Object} plan - From planImport
+ * @param {Object} options
+ * @param {string} options.source - Report format
+ * @param {string} options.season - Season the sales are recorded in
+ * @param {Function} options.resolveCustomer - (client, scoutId, sale) => customer or null
+ * @returns {Promise<{created: Object[], updated: Object[], deleted: number}>} created are the new sales rows,
+ *   updated the existing rows of changed orders
+ */
+async function applyImport(client, plan, { source, season, resolveCustomer }) {
+    const created = [];
+    const updated = [];
+    let deleted = 0;
+    for (const order of plan.orders) {
+        if (!['new', 'changed', 'removed'].includes(order.status)) continue;
+
+        // Match the rows of earlier imports to the report's lines; the rest are gone
+        const kept = new Map();
+        for (const sale of order.previous) {
+            const key = lineKey(sale);
+            if (order.status !== 'removed' && !kept.has(key) && order.lines.some(line => lineKey(line) === key)) kept.set(key, sale.id);
+        }
+        const dropped = order.previous.filter(sale => kept.get(lineKey(sale)) !== sale.id).map(sale => sale.id);
+        if (dropped.length) {
+            const result = await client.query('DELETE FROM sales WHERE id = ANY($1::uuid[])', [dropped]);
+            deleted += result.rowCount;
+        }
+        if (order.status === 'removed') continue;
+
+        const customer = await resolveCustomer(client, order.scoutId, {
+            customerName: order.customer.name,
+            customerPhone: order.customer.phone,
+            customerEmail: order.customer.email,
+            customerAddress: order.customer.address
+        });
+        const paidOnline = source === 'digital_cookie';
+        for (const line of order.lines) {
+            const amount = Math.round(line.unitPrice * line.quantity * 100) / 100;
+            const values = [
+                line.cookieType, line.productId, line.quantity, line.customerName, line.date, line.saleType,
+                order.customer.address, order.customer.phone, order.customer.email,
+                paidOnline ? amount : 0, paidOnline ? 'Digital Cookie' : null,
+                order.orderNumber, order.orderType, order.orderStatus || 'Complete',
+                order.scoutId, season, customer ? customer.id : null, source
+            ];
+            const saleId = kept.get(lineKey(line));
+            if (saleId) {
+                updated.push((await client.query(`
+                    UPDATE sales SET
+                        "cookieType" = $1, "productId" = $2, quantity = $3, "customerName" = $4, date = $5, "saleType" = $6,
+                        "customerAddress" = $7, "customerPhone" = $8, "customerEmail" = $9,
+                        "amountCollected" = $10, "paymentMethod" = $11,
+                        "orderNumber" = $12, "orderType" = $13, "orderStatus" = $14,
+                        "userId" = $15, season = $16, "customerId" = $17, "importSource" = $18
+                    WHERE id = $19
+                    RETURNING *
+                `, [...values, saleId])).rows[0]);
+                continue;
+            }
+            created.push((await client.query(`
+                INSERT INTO sales (
+                    "cookieType", "productId", quantity, "customerName", date, "saleType",
+                    "customerAddress", "customerPhone", "customerEmail", "unitType",
+                    "amountCollected", "amountDue", "paymentMethod",
+                    "orderNumber", "orderType", "orderStatus", "userId", season, "customerId", "importSource"
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'box', $10, 0, $11, $12, $13, $14, $15, $16, $17, $18)
+                RETURNING *
+            `, values)).rows[0]);
+        }
+    }
+    return { created, updated, deleted };
+}
+
+// ============================================================================
+// Saved mappings
+// ============================================================================
+
+/**
+ * A troop's saved column and name mappings
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @returns {Promise<{products: Map<string, string>, scouts: Map<string, string>}>} Keyed by normalized alias
+ */
+async function getAliases(client, troopId) {
+    const rows = (await client.query(
+        'SELECT kind, alias, target FROM sales_import_aliases WHERE "troopId" = $1',
+        [troopId]
+    )).rows;
+    return {
+        products: new Map(rows.filter(r => r.kind === 'product').map(r => [r.alias, r.target])),
+        scouts: new Map(rows.filter(r => r.kind === 'scout').map(r => [r.alias, r.target]))
+    };
+}
+
+/**
+ * Remember the mappings a leader chose so the next import uses them
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} productMap - Header -> productId or 'ignore'
+ * @param {Object} scoutMap - Name -> userId
+ * @param {Object[]} products - Products the map refers to
+ * @param {string} userId - User saving them
+ */
+async function saveAliases(client, troopId, productMap, scoutMap, products, userId) {
+    const entries = [];
+    for (const [header, productId] of Object.entries(productMap)) {
+        const product = products.find(p => p.id === productId);
+        if (productId === 'ignore' || product) entries.push(['product', header, product ? product.cookieName : '']);
+    }
+    for (const [name, scoutId] of Object.entries(scoutMap)) {
+        if (scoutId) entries.push(['scout', name, scoutId]);
+    }
+    for (const [kind, alias, target] of entries) {
+        await client.query(`
+            INSERT INTO sales_import_aliases ("troopId", kind, alias, label, target, "createdBy")
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT ("troopId", kind, alias) DO UPDATE SET label = $4, target = $5, "createdBy" = $6, "createdAt" = NOW()
+        `, [troopId, kind, normalizeKey(alias), alias, target, userId]);
+    }
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    DONATION_COOKIE_TYPE,
+    normalizeKey,
+    detectFormat,
+    readReport,
+    parseOrders,
+    matchProducts,
+    matchScouts,
+    planImport,
+    applyImport,
+    getAliases,
+    saveAliases
+};
@@ -0,0 +1,294 @@
+/**
+ * Scout money accounts for Apex Scout Manager
+ *
+ * What each scout's family owes the troop for the boxes they took. The account
+ * is derived rather than stored:
+ *   charges - boxes moved onto or off the scout in the inventory ledger
+ *             (issues, returns, transfers and write-offs, and reversals of
+ *             those), valued at the product's price per box
+ *   credits - money turned in, recorded in scout_payments with a receipt number
+ *
+ * Count corrections, opening balances and sales do not change what a family
+ * owes: a box the scout sold is still owed to the troop until it is paid for.
+ */
+
+const PAYMENT_TYPES = ['cash', 'check', 'digital'];
+
+// Ledger transaction types that change what a scout is charged for
+const CHARGE_TRANSACTION_TYPES = ['issue', 'return', 'transfer', 'damage'];
+
+// Age buckets for unpaid charges, in days since the boxes were issued
+const AGING_BUCKETS = [
+    { key: 'current', maxDays: 30 },
+    { key: 'days31to60', maxDays: 60 },
+    { key: 'days61to90', maxDays: 90 },
+    { key: 'over90', maxDays: Infinity }
+];
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+function accountError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// ============================================================================
+// Charges and payments
+// ============================================================================
+
+/**
+ * Ledger movements on the scouts' boxes, valued at price
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {string[]} scoutIds - Scouts to load
+ * @param {string|null} season - Only products of this season; null for all
+ * @returns {Promise<Object[]>} One row per transaction and product, oldest first
+ */
+async function getCharges(client, troopId, scoutIds, season) {
+    if (scoutIds.length === 0) return [];
+    const params = [troopId, scoutIds, CHARGE_TRANSACTION_TYPES];
+    let seasonClause = '';
+    if (season) {
+        params.push(season);
+        seasonClause = `AND cp.season = $${params.length}`;
+    }
+    const result = await client.query(`
+        SELECT e."userId" AS "scoutId", it.id AS "transactionId",
+               COALESCE(orig."transactionType", it."transactionType") AS "transactionType",
+               it."transactionType" = 'reversal' AS "isReversal",
+               it."createdAt", e."productId", cp."cookieName", cp."pricePerBox" AS "unitPrice",
+               SUM(e.quantity)::int AS quantity
+        FROM inventory_ledger_entries e
+        JOIN inventory_transactions it ON it.id = e."transactionId"
+        LEFT JOIN inventory_transactions orig ON orig.id = it."reversesId"
+        JOIN cookie_products cp ON cp.id = e."productId"
+        WHERE e."troopId" = $1 AND e."locationType" = 'scout' AND e."userId" = ANY($2::uuid[])
+          AND COALESCE(orig."transactionType", it."transactionType") = ANY($3::text[])
+          ${seasonClause}
+        GROUP BY e."userId", it.id, orig."transactionType", e."productId", cp."cookieName", cp."pricePerBox"
+        ORDER BY it."createdAt", it.id
+    `, params);
+    return result.rows.map(row => ({
+        ...row,
+        amount: toCents(row.unitPrice) * row.quantity / 100
+    }));
+}
+
+/**
+ * Money turned in for the scouts
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {string[]} scoutIds - Scouts to load
+ * @param {string|null} season - Only payments of this season; null for all
+ * @returns {Promise<Object[]>} Payments oldest first, voided ones included
+ */
+async function getPayments(client, troopId, scoutIds, season) {
+    if (scoutIds.length === 0) return [];
+    const params = [troopId, scoutIds];
+    let seasonClause = '';
+    if (season) {
+        params.push(season);
+        seasonClause = `AND p.season = $${params.length}`;
+    }
+    const result = await client.query(`
+        SELECT p.*, u."firstName" || ' ' || u."lastName" AS "receivedByName"
+        FROM scout_payments p
+        LEFT JOIN users u ON u.id = p."receivedBy"
+        WHERE p."troopId" = $1 AND p."scoutId" = ANY($2::uuid[]) ${seasonClause}
+        ORDER BY p."receivedAt", p."receiptNumber"
+    `, params);
+    return result.rows;
+}
+
+/**
+ * Balance and aging of one scout's account. Credits (payments and returned
+ * boxes) pay off the oldest charges first; whatever is left unpaid is aged
+ * from the date of the charge.
+ * @param {Object[]} charges - The scout's rows from getCharges
+ * @param {Object[]} payments - The scout's rows from getPayments
+ * @param {Date} [asOf] - Date to age against
+ * @returns {Object} { charged, paid, balance, aging, oldestUnpaidAt, lastPaymentAt }
+ */
+function summarizeAccount(charges, payments, asOf = new Date()) {
+    const active = payments.filter(p => !p.voidedAt);
+    const chargedCents = charges.reduce((sum, c) => sum + toCents(c.amount), 0);
+    const paidCents = active.reduce((sum, p) => sum + toCents(p.amount), 0);
+
+    let creditCents = paidCents + charges.filter(c => c.amount < 0).reduce((sum, c) => sum - toCents(c.amount), 0);
+    const aging = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+    let oldestUnpaidAt = null;
+    for (const charge of charges.filter(c => c.amount > 0)) {
+        let cents = toCents(charge.amount);
+        const applied = Math.min(cents, creditCents);
+        creditCents -= applied;
+        cents -= applied;
+        if (cents === 0) continue;
+
+        const days = Math.floor((asOf - new Date(charge.createdAt)) / (24 * 60 * 60 * 1000));
+        const bucket = AGING_BUCKETS.find(b => days <= b.maxDays);
+        aging[bucket.key] += cents;
+        if (!oldestUnpaidAt) oldestUnpaidAt = charge.createdAt;
+    }
+
+    return {
+        charged: chargedCents / 100,
+        paid: paidCents / 100,
+        balance: (chargedCents - paidCents) / 100,
+        aging: Object.fromEntries(Object.entries(aging).map(([key, cents]) => [key, cents / 100])),
+        oldestUnpaidAt,
+        lastPaymentAt: active.length ? active[active.length - 1].receivedAt : null
+    };
+}
+
+/**
+ * One scout's account as a dated statement with a running balance. Charges of
+ * one transaction are combined into a single line; voided payments are listed
+ * but do not change the balance.
+ * @param {Object[]} charges - The scout's rows from getCharges
+ * @param {Object[]} payments - The scout's rows from getPayments
+ * @returns {Object[]} Statement lines oldest first
+ */
+function buildStatement(charges, payments) {
+    const lines = [];
+    const byTransaction = new Map();
+    for (const charge of charges) {
+        let line = byTransaction.get(charge.transactionId);
+        if (!line) {
+            line = {
+                kind: 'charge',
+                date: charge.createdAt,
+                transactionId: charge.transactionId,
+                transactionType: charge.transactionType,
+                isReversal: charge.isReversal,
+                items: [],
+                cents: 0
+            };
+            byTransaction.set(charge.transactionId, line);
+            lines.push(line);
+        }
+        line.items.push({ productId: charge.productId, cookieName: charge.cookieName, quantity: charge.quantity, unitPrice: parseFloat(charge.unitPrice) });
+        line.cents += toCents(charge.amount);
+    }
+    for (const payment of payments) {
+        lines.push({
+            kind: 'payment',
+            date: payment.receivedAt,
+            paymentId: payment.id,
+            receiptNumber: payment.receiptNumber,
+            paymentType: payment.paymentType,
+            paymentMethodName: payment.paymentMethodName,
+            voidedAt: payment.voidedAt,
+            cents: payment.voidedAt ? 0 : -toCents(payment.amount),
+            amount: -parseFloat(payment.amount)
+        });
+    }
+
+    lines.sort((a, b) => new Date(a.date) - new Date(b.date));
+    let balanceCents = 0;
+    return lines.map(({ cents, ...line }) => {
+        balanceCents += cents;
+        return {
+            ...line,
+            amount: line.kind === 'charge' ? cents / 100 : line.amount,
+            balance: balanceCents / 100
+        };
+    });
+}
+
+// ============================================================================
+// Recording payments
+// ============================================================================
+
+/**
+ * Record money turned in for a scout and give it the troop's next receipt number
+ * @param {Object} client - Transaction client
+ * @param {Object} payment
+ * @param {string} payment.troopId - Troop ID
+ * @param {string} payment.scoutId - Scout the money is credited to
+ * @param {string} payment.season - Season the payment belongs to
+ * @param {number} payment.amount - Dollars, greater than zero
+ * @param {string} payment.paymentType - cash | check | digital
+ * @param {string} [payment.paymentMethodId] - payment_methods row the money came through; required for digital
+ * @param {string} [payment.referenceNumber] - Check number or transaction ID
+ * @param {string} [payment.turnedInBy] - Name of the person who handed the money over
+ * @param {string} [payment.notes]
+ * @param {string} payment.receivedBy - User recording the payment
+ * @returns {Promise<Object>} The scout_payments row
+ */
+async function recordPayment(client, payment) {
+    const amount = Number(payment.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+        throw accountError('amount must be a positive number of dollars');
+    }
+    if (!PAYMENT_TYPES.includes(payment.paymentType)) {
+        throw accountError(`paymentType must be one of: ${PAYMENT_TYPES.join(', ')}`);
+    }
+
+    let methodName = null;
+    if (payment.paymentMethodId) {
+        // Digital payments go to an adult troop member's account (e.g. the cookie leader's Venmo)
+        const method = (await client.query(`
+            SELECT pm.name FROM payment_methods pm
+            JOIN troop_members tm ON tm."userId" = pm."userId" AND tm."troopId" = $2 AND tm.status = 'active'
+                AND tm.role NOT IN ('scout', 'member')
+            WHERE pm.id = $1 AND pm."isEnabled" = true
+        `, [payment.paymentMethodId, payment.troopId])).rows[0];
+        if (!method) throw accountError('Payment method not found');
+        methodName = method.name;
+    } else if (payment.paymentType === 'digital') {
+        throw accountError('Choose the payment method a digital payment came through');
+    }
+
+    // Receipt numbers run per troop; lock the troop row so two turn-ins cannot share one
+    await client.query('SELECT id FROM troops WHERE id = $1 FOR UPDATE', [payment.troopId]);
+    const next = (await client.query(
+        'SELECT COALESCE(MAX("receiptNumber"), 0) + 1 AS number FROM scout_payments WHERE "troopId" = $1',
+        [payment.troopId]
+    )).rows[0].number;
+
+    const result = await client.query(`
+        INSERT INTO scout_payments ("troopId", "scoutId", season, "receiptNumber", amount, "paymentType",
+            "paymentMethodId", "paymentMethodName", "referenceNumber", "turnedInBy", notes, "receivedBy")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+    `, [payment.troopId, payment.scoutId, payment.season, next, amount, payment.paymentType,
+        payment.paymentMethodId || null, methodName, payment.referenceNumber || null,
+        payment.turnedInBy || null, payment.notes || null, payment.receivedBy]);
+    return result.rows[0];
+}
+
+/**
+ * Void a payment recorded in error. The receipt number is not reused.
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} paymentId - scout_payments ID
+ * @param {string} reason - Why it is being voided
+ * @param {string} userId - User voiding it
+ * @returns {Promise<Object>} The updated row
+ */
+async function voidPayment(client, troopId, paymentId, reason, userId) {
+    if (!reason || !String(reason).trim()) throw accountError('A reason is required');
+    const existing = (await client.query(
+        'SELECT * FROM scout_payments WHERE id = $1 AND "troopId" = $2 FOR UPDATE',
+        [paymentId, troopId]
+    )).rows[0];
+    if (!existing) throw accountError('Payment not found', 404);
+    if (existing.voidedAt) throw accountError('This payment has already been voided', 409);
+
+    const result = await client.query(`
+        UPDATE scout_payments SET "voidedAt" = NOW(), "voidedBy" = $1, "voidReason" = $2
+        WHERE id = $3 RETURNING *
+    `, [userId, String(reason).trim(), paymentId]);
+    return result.rows[0];
+}
+
+module.exports = {
+    PAYMENT_TYPES,
+    CHARGE_TRANSACTION_TYPES,
+    AGING_BUCKETS,
+    getCharges,
+    getPayments,
+    summarizeAccount,
+    buildStatement,
+    recordPayment,
+    voidPayment
+};
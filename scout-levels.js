@@ -0,0 +1,317 @@
+/**
+ * Scout levels and bridging for Apex Scout Manager
+ *
+ * A scout's current level is scout_profiles."currentLevelId". Every stint at
+ * a level is also kept in scout_level_history, so moving a scout up no longer
+ * loses when they joined the level before.
+ *
+ * Bridging moves a troop's scouts up to the next level of their level system,
+ * usually at a ceremony at the end of the school year. A scout is eligible
+ * when their age on the ceremony date, or their school grade, is past the
+ * range of their current level; they move to the first later level (by
+ * sortOrder) whose range covers it. Level systems whose ranks are not tied to
+ * age or grade (every rank covers the same grades) never bridge.
+ *
+ * A grade is recorded for a school year (scout_profiles."gradeSchoolYear") and
+ * counts up by one each school year after that, so it does not go stale.
+ */
+
+const logger = require('./logger');
+const db = require('./database/query-helpers');
+
+const BRIDGING_BASES = ['age', 'grade'];
+
+// Kindergarten is grade 0
+const MIN_GRADE = 0;
+const MAX_GRADE = 12;
+
+// School years start on July 1 and are named by the year they start in
+const SCHOOL_YEAR_START_MONTH = 7;
+
+function levelError(message, status = 400, extra = {}) {
+    return Object.assign(new Error(message), { status }, extra);
+}
+
+const today = () => new Date().toISOString().split('T')[0];
+
+function parseDate(value, field, { allowFuture = false } = {}) {
+    const date = value || today();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) throw levelError(`${field} must be a date (YYYY-MM-DD)`);
+    if (!allowFuture && date > today()) throw levelError(`${field} cannot be in the future`);
+    return date;
+}
+
+/**
+ * Parse a level's gradeRange or ageRange: "K-1", "2-3", "K", "6-12", "11+"
+ * @param {string} text - Range text
+ * @returns {{min: number, max: number}|null} null when the text is not a range
+ */
+function parseRange(text) {
+    if (!text) return null;
+    const toNumber = (part) => (/^k$/i.test(part) ? 0 : /^\d{1,2}$/.test(part) ? Number(part) : NaN);
+    const match = String(text).trim().match(/^(k|\d{1,2})\s*(?:(-|–)\s*(k|\d{1,2})|(\+))?$/i);
+    if (!match) return null;
+    const min = toNumber(match[1]);
+    const max = match[4] ? Infinity : match[3] !== undefined ? toNumber(match[3]) : min;
+    return min <= max ? { min, max } : null;
+}
+
+/**
+ * The school year a YYYY-MM-DD date falls in, as the year it started
+ */
+function schoolYearOf(date) {
+    const [year, month] = date.split('-').map(Number);
+    return month >= SCHOOL_YEAR_START_MONTH ? year : year - 1;
+}
+
+/**
+ * A scout's grade on a date, from the grade recorded for a school year
+ * @param {number} grade - Grade recorded
+ * @param {number} gradeSchoolYear - School year it was recorded for
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number}
+ */
+function gradeOn(grade, gradeSchoolYear, date) {
+    return grade + schoolYearOf(date) - gradeSchoolYear;
+}
+
+/**
+ * Whole years between a date of birth and a date, both YYYY-MM-DD
+ */
+function ageOn(dateOfBirth, date) {
+    const [by, bm, bd] = dateOfBirth.split('-').map(Number);
+    const [y, m, d] = date.split('-').map(Number);
+    return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+/**
+ * Give scouts with a level but no history an open stint starting at their
+ * levelSince. Safe to run on every startup.
+ */
+async function seedLevelHistory() {
+    try {
+        const seeded = await db.run(`
+            INSERT INTO scout_level_history ("userId", "levelId", "startDate", source)
+            SELECT sp."userId", sp."currentLevelId", COALESCE(sp."levelSince", sp."createdAt"::date), 'initial'
+            FROM scout_profiles sp
+            WHERE sp."currentLevelId" IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM scout_level_history h WHERE h."userId" = sp."userId")
+        `);
+        if (seeded > 0) logger.info('Scout level history seeded', { scouts: seeded });
+    } catch (error) {
+        logger.warn('Scout level history seeding had issues (non-fatal)', { error: error.message });
+    }
+}
+
+/**
+ * Move a scout to a level: close their open stint and start a new one, and
+ * point the profile at the new level
+ * @param {Object} client - Transaction client
+ * @param {Object} change - { userId, levelId, effectiveDate, source, changedBy, notes }
+ * @returns {Promise<Object>} The updated scout_profiles row
+ */
+async function changeLevel(client, { userId, levelId, effectiveDate, source, changedBy, notes = null }) {
+    const profile = (await client.query(
+        'SELECT "currentLevelId" FROM scout_profiles WHERE "userId" = $1 FOR UPDATE',
+        [userId]
+    )).rows[0];
+    if (!profile) throw levelError('Scout profile not found', 404);
+
+    if (profile.currentLevelId !== levelId) {
+        await client.query(`
+            UPDATE scout_level_history SET "endDate" = GREATEST("startDate", $2::date)
+            WHERE "userId" = $1 AND "endDate" IS NULL
+        `, [userId, effectiveDate]);
+        await client.query(`
+            INSERT INTO scout_level_history ("userId", "levelId", "startDate", source, "changedBy", notes)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [userId, levelId, effectiveDate, source, changedBy, notes]);
+    }
+    const updated = await client.query(`
+        UPDATE scout_profiles
+        SET "currentLevelId" = $2,
+            "levelSince" = CASE WHEN "currentLevelId" IS DISTINCT FROM $2 THEN $3::date ELSE "levelSince" END,
+            "updatedAt" = CURRENT_TIMESTAMP
+        WHERE "userId" = $1
+        RETURNING *
+    `, [userId, levelId, effectiveDate]);
+    return updated.rows[0];
+}
+
+/**
+ * A scout's levels, most recent first
+ * @param {Object} client - pg client or query helpers
+ * @param {string} userId - Scout's user ID
+ * @returns {Promise<Object[]>} [{ id, levelId, levelCode, displayName, startDate, endDate, source, changedByName, notes }]
+ */
+async function getLevelHistory(client, userId) {
+    const result = await client.query(`
+        SELECT h.id, h."levelId", sl."levelCode", sl."displayName", sl."uniformColor",
+               to_char(h."startDate", 'YYYY-MM-DD') AS "startDate",
+               to_char(h."endDate", 'YYYY-MM-DD') AS "endDate",
+               h.source, u."firstName" || ' ' || u."lastName" AS "changedByName", h.notes, h."createdAt"
+        FROM scout_level_history h
+        JOIN scout_levels sl ON sl.id = h."levelId"
+        LEFT JOIN users u ON u.id = h."changedBy"
+        WHERE h."userId" = $1
+        ORDER BY h."startDate" DESC, h."createdAt" DESC
+    `, [userId]);
+    return result.rows;
+}
+
+/**
+ * Record a scout's school grade, used for bridging by grade
+ * @param {Object} client - pg client or query helpers
+ * @param {string} userId - Scout's user ID
+ * @param {number|null} grade - 0 (kindergarten) to 12, or null to clear
+ * @param {Object} [options] - { asOf }: a YYYY-MM-DD date in the school year the grade is for; defaults to today
+ * @returns {Promise<Object>} The updated scout_profiles row
+ */
+async function setGrade(client, userId, grade, { asOf } = {}) {
+    const value = grade === null || grade === '' || grade === undefined ? null : Number(grade);
+    if (value !== null && (!Number.isInteger(value) || value < MIN_GRADE || value > MAX_GRADE)) {
+        throw levelError(`grade must be a whole number from ${MIN_GRADE} (kindergarten) to ${MAX_GRADE}`);
+    }
+    const schoolYear = value === null ? null : schoolYearOf(parseDate(asOf, 'asOf', { allowFuture: true }));
+    const result = await client.query(`
+        UPDATE scout_profiles SET grade = $2, "gradeSchoolYear" = $3, "updatedAt" = CURRENT_TIMESTAMP
+        WHERE "userId" = $1
+        RETURNING *
+    `, [userId, value, schoolYear]);
+    if (!result.rows[0]) throw levelError('Scout profile not found', 404);
+    return result.rows[0];
+}
+
+// ============================================================================
+// Bridging
+// ============================================================================
+
+/**
+ * Work out who moves up at a troop's bridging ceremony
+ * @param {Object} client - pg client or query helpers
+ * @param {string} troopId - Troop ID
+ * @param {Object} options - { basis: 'age'|'grade', ceremonyDate }
+ * @returns {Promise<{basis: string, ceremonyDate: string, scouts: Object[]}>}
+ *   scouts: [{ userId, scoutName, currentLevel, value, toLevel, status }] where
+ *   status is bridges, stays, top_level, missing_age, missing_grade or no_range
+ */
+async function previewBridging(client, troopId, { basis, ceremonyDate }) {
+    if (!BRIDGING_BASES.includes(basis)) throw levelError(`basis must be one of: ${BRIDGING_BASES.join(', ')}`);
+    const date = parseDate(ceremonyDate, 'ceremonyDate', { allowFuture: true });
+
+    const scouts = (await client.query(`
+        SELECT sp."userId", u."firstName" || ' ' || u."lastName" AS "scoutName",
+               to_char(u."dateOfBirth", 'YYYY-MM-DD') AS "dateOfBirth", sp.grade, sp."gradeSchoolYear",
+               sl.id AS "levelId", sl."levelCode", sl."displayName", sl."levelSystemId", sl."sortOrder",
+               sl."ageRange", sl."gradeRange"
+        FROM troop_members tm
+        JOIN scout_profiles sp ON sp."userId" = tm."userId" AND sp.status = 'active'
+        JOIN users u ON u.id = sp."userId"
+        JOIN scout_levels sl ON sl.id = sp."currentLevelId"
+        WHERE tm."troopId" = $1 AND tm.status = 'active'
+        ORDER BY sl."sortOrder", u."lastName", u."firstName"
+    `, [troopId])).rows;
+
+    const systemIds = [...new Set(scouts.map(scout => scout.levelSystemId))];
+    const levels = systemIds.length === 0 ? [] : (await client.query(`
+        SELECT id, "levelSystemId", "levelCode", "displayName", "sortOrder", "ageRange", "gradeRange"
+        FROM scout_levels
+        WHERE "levelSystemId" = ANY($1) AND "isActive" = true
+        ORDER BY "sortOrder"
+    `, [systemIds])).rows;
+
+    const rangeOf = (level) => parseRange(basis === 'age' ? level.ageRange : level.gradeRange);
+    const summary = (level) => ({ id: level.id, levelCode: level.levelCode, displayName: level.displayName });
+
+    return {
+        basis,
+        ceremonyDate: date,
+        scouts: scouts.map(scout => {
+            const entry = {
+                userId: scout.userId,
+                scoutName: scout.scoutName,
+                currentLevel: { id: scout.levelId, levelCode: scout.levelCode, displayName: scout.displayName },
+                value: null,
+                toLevel: null,
+                status: 'stays'
+            };
+            if (basis === 'age') {
+                if (!scout.dateOfBirth) return { ...entry, status: 'missing_age' };
+                entry.value = ageOn(scout.dateOfBirth, date);
+            } else {
+                if (scout.grade === null) return { ...entry, status: 'missing_grade' };
+                entry.value = gradeOn(scout.grade, scout.gradeSchoolYear, date);
+            }
+
+            const later = levels.filter(level => level.levelSystemId === scout.levelSystemId && level.sortOrder > scout.sortOrder);
+            const current = rangeOf(scout);
+            if (!current) return { ...entry, status: 'no_range' };
+            if (entry.value <= current.max) return entry;
+            if (later.length === 0) return { ...entry, status: 'top_level' };
+
+            const target = later.find(level => {
+                const range = rangeOf(level);
+                return range && entry.value >= range.min && entry.value <= range.max;
+            });
+            return target ? { ...entry, toLevel: summary(target), status: 'bridges' } : entry;
+        })
+    };
+}
+
+/**
+ * Move the selected eligible scouts up, as of the ceremony date. Scouts who
+ * are not eligible in the preview for the same basis and date are skipped.
+ * Like the preview, the ceremony may be dated ahead.
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Object} options - { basis, ceremonyDate, userIds, changedBy }; userIds defaults to everyone eligible
+ * @returns {Promise<{ceremonyDate: string, bridged: Object[], skipped: Object[]}>}
+ */
+async function applyBridging(client, troopId, { basis, ceremonyDate, userIds = null, changedBy }) {
+    const date = parseDate(ceremonyDate, 'ceremonyDate', { allowFuture: true });
+    const preview = await previewBridging(client, troopId, { basis, ceremonyDate: date });
+    const selected = Array.isArray(userIds) ? new Set(userIds) : null;
+
+    const bridged = [];
+    const skipped = [];
+    for (const scout of preview.scouts) {
+        if (selected && !selected.has(scout.userId)) continue;
+        if (scout.status !== 'bridges') {
+            if (selected) skipped.push(scout);
+            continue;
+        }
+        await changeLevel(client, {
+            userId: scout.userId,
+            levelId: scout.toLevel.id,
+            effectiveDate: date,
+            source: 'bridging',
+            changedBy,
+            notes: `Bridged by ${basis}`
+        });
+        // Keep the roster's level label in step
+        await client.query(
+            'UPDATE troop_members SET "scoutLevel" = $3 WHERE "troopId" = $1 AND "userId" = $2',
+            [troopId, scout.userId, scout.toLevel.displayName]
+        );
+        bridged.push(scout);
+    }
+    return { ceremonyDate: date, bridged, skipped };
+}
+
+module.exports = {
+    BRIDGING_BASES,
+    parseRange,
+    schoolYearOf,
+    gradeOn,
+    ageOn,
+    seedLevelHistory,
+    changeLevel,
+    getLevelHistory,
+    setGrade,
+    previewBridging,
+    applyBridging
+};
@@ -10,6 +10,7 @@ const os = require('os');
 const { exec } = require('child_process');
 const multer = require('multer');
 const ExcelJS = require('exceljs');
+const QRCode = require('qrcode');
 const session = require('express-session');
 const Redis = require('redis');
 const RedisStore = require('connect-redis').default;
@@ -17,6 +18,16 @@ const passport = require('passport');
 const cookieParser = require('cookie-parser');
 const logger = require('./logger');
 const auth = require('./auth');
+const mailer = require('./mailer');
+const webhooks = require('./webhooks');
+const inventoryLedger = require('./inventory-ledger');
+const scoutAccounts = require('./scout-accounts');
+const customerOrders = require('./customer-orders');
+const customers = require('./customers');
+const salesImport = require('./sales-import');
+const boothLocations = require('./booth-locations');
+const badgeProgress = require('./badge-progress');
+const scoutLevels = require('./scout-levels');
 const { configurePassport } = require('./passport-config');
 const db = require('./database/query-helpers');
 const pool = require('./database/pg-pool');
@@ -40,6 +51,20 @@ const upload = multer({
     }
 });
 
+// Photos of finished badge work, stored with the requirement step. The bytes
+// are checked against the allowed types when the photo is saved.
+const photoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype in badgeProgress.IMAGE_TYPES) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PNG, JPEG, GIF or WebP images are allowed'), false);
+        }
+    }
+});
+
 const app = express();
 app.set('trust proxy', 1); // Trust first proxy
 const PORT = process.env.PORT || 3000;
@@ -357,6 +382,24 @@ const PORT = process.env.PORT || 3000;
         `).catch(() => {});
         await db.query(`CREATE INDEX IF NOT EXISTS idx_season_milestones_troop ON season_milestones("troopId", season)`).catch(() => {});
 
+        // Season rollover: archived seasons are read-only, leaders choose whether scout inventory carries forward
+        await db.query(`ALTER TABLE seasons ADD COLUMN IF NOT EXISTS "archivedAt" TIMESTAMPTZ`).catch(() => {});
+        await db.query(`ALTER TABLE seasons ADD COLUMN IF NOT EXISTS "archivedBy" UUID REFERENCES users(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`ALTER TABLE troop_season_config ADD COLUMN IF NOT EXISTS "carryInventoryForward" BOOLEAN DEFAULT false`).catch(() => {});
+
+        // End-of-season summary per troop, written by the rollover
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS season_snapshots (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                season VARCHAR(10) NOT NULL,
+                summary JSONB NOT NULL,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE("troopId", season)
+            )
+        `).catch(() => {});
+
         // ---- Phase 4.5: Fulfillment System ----
 
         // Fulfillment orders table
@@ -435,4007 +478,9307 @@ const PORT = process.env.PORT || 3000;
                            'cookie_manager', 'admin'))
         `).catch(() => {});
 
-        logger.info('Schema migration checks completed');
-    } catch (err) {
-        logger.warn('Schema migration checks had issues (non-fatal)', { error: err.message });
-    }
-})();
+        // ---- Email Delivery ----
 
-// Note: PostgreSQL schema is managed via migration files in /migrations/
-// Run migrations using: psql -U asm_user -d apex_scout_manager -f migrations/001_enable_uuid_extension.sql
-//                       psql -U asm_user -d apex_scout_manager -f migrations/002_create_schema.sql
+        // Outbound email queue (one row per message)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS email_queue (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "toAddress" VARCHAR(255) NOT NULL,
+                template VARCHAR(50) NOT NULL,
+                subject VARCHAR(255) NOT NULL,
+                "bodyText" TEXT,
+                "bodyHtml" TEXT,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                "maxAttempts" INTEGER DEFAULT 5,
+                "nextAttemptAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "lastError" TEXT,
+                "sentAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT email_queue_status_check CHECK (status IN ('pending', 'sending', 'sent', 'failed'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, "nextAttemptAt")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_email_queue_user ON email_queue("userId")`).catch(() => {});
+        // Bodies of sent messages, and of failed token messages, are not kept
+        await db.query(`
+            UPDATE email_queue SET "bodyText" = NULL, "bodyHtml" = NULL
+            WHERE "bodyText" IS NOT NULL
+              AND (status = 'sent' OR (status = 'failed' AND template = ANY($1)))
+        `, [mailer.TOKEN_TEMPLATES]).catch(() => {});
 
-// Rate limiting middleware
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
-});
+        // Delivery log (one row per send attempt)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS email_delivery_log (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "queueId" UUID NOT NULL REFERENCES email_queue(id) ON DELETE CASCADE,
+                "attemptNumber" INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                transport VARCHAR(20),
+                "messageId" VARCHAR(255),
+                error TEXT,
+                "attemptedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT email_log_status_check CHECK (status IN ('sent', 'failed'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_email_delivery_log_queue ON email_delivery_log("queueId")`).catch(() => {});
 
-// Request logging middleware
-app.use((req, res, next) => {
-    const startTime = Date.now();
-    
-    res.on('finish', () => {
-        const duration = Date.now() - startTime;
-        // Use explicit conditionals for log level to prevent injection
-        const logLevel = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
-        logger[logLevel]('HTTP Request', {
-            method: req.method,
-            path: req.path,
-            statusCode: res.statusCode,
-            duration: `${duration}ms`,
-            ip: req.ip
-        });
-    });
-    
-    next();
-});
+        // Password reset tokens (hashed, multiple outstanding per user)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "tokenHash" VARCHAR(64) NOT NULL UNIQUE,
+                "expiresAt" TIMESTAMPTZ NOT NULL,
+                "usedAt" TIMESTAMPTZ,
+                "requestedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "requestIp" VARCHAR(45),
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens("userId")`).catch(() => {});
 
-// Middleware
-app.use(cors({
-    origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-    credentials: true
-}));
-app.use(express.json());
-app.use(cookieParser());
+        // ---- Email Verification ----
 
-// Create Redis client
-const redisClient = Redis.createClient({
-    socket: {
-        host: process.env.REDIS_HOST || 'localhost',
-        port: parseInt(process.env.REDIS_PORT) || 6379
-    },
-    password: process.env.REDIS_PASSWORD || undefined,
-    database: parseInt(process.env.REDIS_DB) || 0
-});
+        // Self-registered accounts must verify their address; existing and admin-created accounts are exempt
+        await db.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "emailVerificationRequired" BOOLEAN DEFAULT false
+        `).catch(() => {});
+        await db.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "emailVerifiedAt" TIMESTAMPTZ
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "tokenHash" VARCHAR(64) NOT NULL UNIQUE,
+                "expiresAt" TIMESTAMPTZ NOT NULL,
+                "usedAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens("userId")`).catch(() => {});
 
-redisClient.on('error', (err) => logger.error('Redis client error', { error: err.message }));
-redisClient.on('connect', () => logger.info('Redis client connected'));
+        // ---- Login Tracking & Lockout ----
 
-// Connect to Redis
-redisClient.connect().catch(err => {
-    logger.error('Redis connection failed', { error: err.message });
-    process.exit(1);
-});
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "failedLoginAttempts" INTEGER DEFAULT 0`).catch(() => {});
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "lockoutCount" INTEGER DEFAULT 0`).catch(() => {});
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "lockedUntil" TIMESTAMPTZ`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS login_history (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID REFERENCES users(id) ON DELETE CASCADE,
+                email VARCHAR(255),
+                success BOOLEAN NOT NULL,
+                "failureReason" VARCHAR(30),
+                method VARCHAR(20) DEFAULT 'local',
+                "ipAddress" VARCHAR(45),
+                "userAgent" TEXT,
+                "deviceHash" VARCHAR(64),
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_login_history_user ON login_history("userId", "createdAt")`).catch(() => {});
 
-// Session configuration with Redis
-app.use(session({
-    store: new RedisStore({ client: redisClient }),
-    secret: process.env.SESSION_SECRET || 'asm-secret-change-in-production',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: process.env.NODE_ENV === 'production', // Require HTTPS in production
-        httpOnly: true,
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-        sameSite: 'lax'
-    }
-}));
+        // ---- Two-Factor Authentication ----
 
-// Initialize Passport
-app.use(passport.initialize());
-app.use(passport.session());
-const passportStrategies = configurePassport(db);
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "totpSecret" VARCHAR(64)`).catch(() => {});
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "totpEnabled" BOOLEAN DEFAULT false`).catch(() => {});
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "totpEnabledAt" TIMESTAMPTZ`).catch(() => {});
+        // Last accepted time step, so a code cannot be replayed
+        await db.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS "totpLastStep" BIGINT`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "codeHash" VARCHAR(64) NOT NULL,
+                "usedAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes("userId")`).catch(() => {});
+        await db.query(`
+            INSERT INTO system_settings (key, value, description) VALUES
+            ('two_factor_required_roles', '[]', 'Roles that must enroll in two-factor authentication')
+            ON CONFLICT (key) DO NOTHING
+        `).catch(() => {});
 
-// Note: Redis handles session TTL automatically, no manual cleanup needed
+        // ---- Parental Consent (COPPA) ----
 
-app.use('/api/', limiter); // Apply rate limiting to all API routes
+        await db.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS "parentalConsentStatus" VARCHAR(20)
+                CHECK ("parentalConsentStatus" IN ('pending', 'requested', 'granted', 'revoked'))
+        `).catch(() => {});
+        // Minors who consented through the original approve-scout flow are already granted
+        await db.query(`
+            UPDATE users
+            SET "parentalConsentStatus" = CASE WHEN "parentConsentDate" IS NOT NULL THEN 'granted' ELSE 'pending' END
+            WHERE "isMinor" = true AND "parentalConsentStatus" IS NULL
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS parental_consent_records (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'requested', 'granted', 'revoked')),
+                method VARCHAR(30),
+                "parentUserId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "parentName" VARCHAR(255),
+                "parentEmail" VARCHAR(255),
+                notes TEXT,
+                "recordedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "ipAddress" VARCHAR(45),
+                "userAgent" TEXT,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_parental_consent_records_user ON parental_consent_records("userId", "createdAt")`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS parental_consent_requests (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "parentEmail" VARCHAR(255) NOT NULL,
+                "tokenHash" VARCHAR(64) NOT NULL UNIQUE,
+                "expiresAt" TIMESTAMPTZ NOT NULL,
+                "respondedAt" TIMESTAMPTZ,
+                "requestedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
 
-// Serve login and register pages without authentication
-app.get('/login.html', (req, res, next) => {
-    // If already authenticated, redirect to main page
-    if (req.session && req.session.userId) {
-        return res.redirect('/');
-    }
-    next();
-});
+        // ---- Personal Access Tokens ----
 
-app.get('/register.html', (req, res, next) => {
-    // If already authenticated, redirect to main page
-    if (req.session && req.session.userId) {
-        return res.redirect('/');
-    }
-    next();
-});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                "tokenHash" VARCHAR(64) NOT NULL UNIQUE,
+                "tokenPrefix" VARCHAR(12) NOT NULL,
+                scopes TEXT[] NOT NULL,
+                "expiresAt" TIMESTAMPTZ NOT NULL,
+                "lastUsedAt" TIMESTAMPTZ,
+                "lastUsedIp" VARCHAR(45),
+                "revokedAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens("userId")`).catch(() => {});
 
-// Maintenance Mode Middleware
-app.use(async (req, res, next) => {
-    // Skip for static assets, login, and admin API
-    if (req.path.match(/\.(css|js|png|jpg|ico)$/) || 
-        req.path === '/login.html' || 
-        req.path === '/api/login' ||
-        req.path.startsWith('/api/system/') ||
-        (req.session && req.session.userId && await auth.isAdmin(db, req.session.userId))) {
-        return next();
-    }
+        // ---- Outbound Webhooks ----
 
-    try {
-        const maintenanceSetting = await db.getOne('SELECT value FROM system_settings WHERE key = $1', ['site_maintenance_mode']);
-        if (maintenanceSetting && (maintenanceSetting.value === 'true' || maintenanceSetting.value === true)) {
-            // If API request, return JSON
-            if (req.path.startsWith('/api/')) {
-                return res.status(503).json({ error: 'System is currently in maintenance mode' });
-            }
-            // Otherwise show maintenance page (or simple text for now)
-            return res.status(503).send('<h1>System Under Maintenance</h1><p>We are currently performing system maintenance. Please try again later.</p>');
-        }
-        next();
-    } catch (error) {
-        // Fallback on error
-        next();
-    }
-});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                description VARCHAR(255),
+                events TEXT[] NOT NULL,
+                secret VARCHAR(64) NOT NULL,
+                "isActive" BOOLEAN DEFAULT true,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_troop ON webhook_subscriptions("troopId")`).catch(() => {});
 
-// Bootstrap check middleware - redirect to setup wizard if needed
-app.use(async (req, res, next) => {
-    // Only check for authenticated users trying to access protected pages
-    if (!req.session || !req.session.userId) {
-        return next();
-    }
+        // One row per event per subscription
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "subscriptionId" UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                "eventId" UUID NOT NULL,
+                "eventType" VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                "maxAttempts" INTEGER DEFAULT 6,
+                "nextAttemptAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "responseStatus" INTEGER,
+                "lastError" TEXT,
+                "deliveredAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT webhook_deliveries_status_check CHECK (status IN ('pending', 'sending', 'delivered', 'failed'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, "nextAttemptAt")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries("subscriptionId", "createdAt")`).catch(() => {});
 
-    // Skip check for specific routes
-    if (req.path === '/logout' ||
-        req.path === '/login.html' ||
-        req.path === '/register.html' ||
-        req.path === '/setup-wizard' ||
-        req.path === '/setup-wizard.html' ||
-        req.path.startsWith('/api/')) {
-        return next();
-    }
+        // Delivery log (one row per HTTP attempt)
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "deliveryId" UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+                "attemptNumber" INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                "responseStatus" INTEGER,
+                "durationMs" INTEGER,
+                error TEXT,
+                "attemptedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT webhook_attempt_status_check CHECK (status IN ('delivered', 'failed'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts("deliveryId")`).catch(() => {});
+        // Receivers' response bodies are not kept
+        await db.query(`ALTER TABLE webhook_delivery_attempts DROP COLUMN IF EXISTS "responseBody"`).catch(() => {});
 
-    try {
-        // Check if any admins exist
-        const adminCount = await db.getOne(
-            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
-        );
+        // ---- Season Dimension ----
+        // Sales and donations carry the season they belong to, so dashboards can filter and compare seasons
+        await db.query(`ALTER TABLE donations ADD COLUMN IF NOT EXISTS season VARCHAR(10)`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_donations_season ON donations(season)`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_sales_season ON sales(season)`).catch(() => {});
 
-        // If no admins, redirect to setup wizard (except already on setup page)
-        if (Number(adminCount.count) === 0 && !req.path.startsWith('/setup')) {
-            return res.redirect('/setup-wizard');
-        }
+        // Backfill unstamped rows from the season whose dates contain them
+        await db.query(`
+            UPDATE sales s SET season = se.year
+            FROM seasons se
+            WHERE s.season IS NULL AND s.date BETWEEN se."startDate" AND se."endDate"
+        `).catch(() => {});
+        await db.query(`
+            UPDATE donations d SET season = se.year
+            FROM seasons se
+            WHERE d.season IS NULL AND d.date BETWEEN se."startDate" AND se."endDate"
+        `).catch(() => {});
+        // Sales dated outside every season window fall back to their product's season
+        await db.query(`
+            UPDATE sales s SET season = cp.season
+            FROM cookie_products cp
+            WHERE s.season IS NULL AND s."productId" = cp.id
+        `).catch(() => {});
 
-        next();
-    } catch (error) {
-        logger.error('Bootstrap check error:', error);
-        next(); // Continue on error, don't block
-    }
-});
+        // ---- Inventory Ledger ----
+        // Every stock movement; entries of a transaction sum to zero per product
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS inventory_transactions (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "transactionType" VARCHAR(20) NOT NULL,
+                reason TEXT,
+                "referenceType" VARCHAR(30),
+                "referenceId" UUID,
+                "reversesId" UUID REFERENCES inventory_transactions(id),
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "acknowledgedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "acknowledgedName" VARCHAR(255),
+                "acknowledgedAt" TIMESTAMPTZ,
+                "acknowledgedIp" VARCHAR(45),
+                CONSTRAINT inventory_transaction_type_check CHECK ("transactionType" IN
+                    ('receive', 'issue', 'return', 'transfer', 'damage', 'adjust', 'opening', 'carry_forward', 'reversal'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_transactions_troop ON inventory_transactions("troopId", "createdAt")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_transactions_reference ON inventory_transactions("referenceType", "referenceId")`).catch(() => {});
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_transactions_reverses ON inventory_transactions("reversesId") WHERE "reversesId" IS NOT NULL`).catch(() => {});
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS inventory_ledger_entries (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "transactionId" UUID NOT NULL REFERENCES inventory_transactions(id) ON DELETE CASCADE,
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "productId" UUID NOT NULL REFERENCES cookie_products(id),
+                "locationType" VARCHAR(20) NOT NULL,
+                "userId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "boothEventId" UUID REFERENCES booth_events(id) ON DELETE SET NULL,
+                quantity INTEGER NOT NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT inventory_entry_quantity_check CHECK (quantity <> 0),
+                CONSTRAINT inventory_entry_location_check CHECK ("locationType" IN
+                    ('troop', 'scout', 'booth', 'supplier', 'damaged', 'adjustment', 'carryover'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_entries_transaction ON inventory_ledger_entries("transactionId")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_entries_balance ON inventory_ledger_entries("troopId", "locationType", "productId")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_entries_user ON inventory_ledger_entries("userId")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_inventory_entries_booth ON inventory_ledger_entries("boothEventId")`).catch(() => {});
+
+        // ---- Booth Close-out ----
+        // Closing a booth posts its sold boxes as sales credited to the scouts who worked it
+        await db.query(`ALTER TABLE booth_events ADD COLUMN IF NOT EXISTS "splitRule" VARCHAR(20)`).catch(() => {});
+        await db.query(`ALTER TABLE booth_events ADD COLUMN IF NOT EXISTS "closedAt" TIMESTAMPTZ`).catch(() => {});
+        await db.query(`ALTER TABLE booth_events ADD COLUMN IF NOT EXISTS "closedBy" UUID REFERENCES users(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS "boothEventId" UUID REFERENCES booth_events(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_sales_booth_event ON sales("boothEventId")`).catch(() => {});
+
+        // Sold booth stock leaves the ledger through the customer location
+        await db.query(`ALTER TABLE inventory_transactions DROP CONSTRAINT IF EXISTS inventory_transaction_type_check`).catch(() => {});
+        await db.query(`
+            ALTER TABLE inventory_transactions ADD CONSTRAINT inventory_transaction_type_check CHECK ("transactionType" IN
+                ('receive', 'issue', 'return', 'transfer', 'sale', 'damage', 'adjust', 'opening', 'carry_forward', 'reversal'))
+        `).catch(() => {});
+        await db.query(`ALTER TABLE inventory_ledger_entries DROP CONSTRAINT IF EXISTS inventory_entry_location_check`).catch(() => {});
+        await db.query(`
+            ALTER TABLE inventory_ledger_entries ADD CONSTRAINT inventory_entry_location_check CHECK ("locationType" IN
+                ('troop', 'scout', 'booth', 'supplier', 'customer', 'damaged', 'adjustment', 'carryover'))
+        `).catch(() => {});
+
+        // ---- Booth Shift Sign-up ----
+        // Leaders open slots with capacity limits; families sign up from the board and join a waitlist when full
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS booth_slots (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "boothEventId" UUID NOT NULL REFERENCES booth_events(id) ON DELETE CASCADE,
+                "startTime" TIMESTAMPTZ NOT NULL,
+                "endTime" TIMESTAMPTZ NOT NULL,
+                "scoutCapacity" INTEGER NOT NULL DEFAULT 2,
+                "adultCapacity" INTEGER NOT NULL DEFAULT 1,
+                "minAdults" INTEGER NOT NULL DEFAULT 1,
+                notes TEXT,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT booth_slot_time_check CHECK ("endTime" > "startTime"),
+                CONSTRAINT booth_slot_capacity_check CHECK ("scoutCapacity" >= 1 AND "adultCapacity" >= 0
+                    AND "minAdults" >= 0 AND "minAdults" <= "adultCapacity")
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_booth_slots_event ON booth_slots("boothEventId", "startTime")`).catch(() => {});
+        await db.query(`ALTER TABLE booth_shifts ADD COLUMN IF NOT EXISTS "slotId" UUID REFERENCES booth_slots(id) ON DELETE CASCADE`).catch(() => {});
+        await db.query(`ALTER TABLE booth_shifts ADD COLUMN IF NOT EXISTS "signedUpBy" UUID REFERENCES users(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`ALTER TABLE booth_shifts ADD COLUMN IF NOT EXISTS "signedUpAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_booth_shifts_slot ON booth_shifts("slotId", status)`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_booth_shifts_time ON booth_shifts("startTime", "endTime")`).catch(() => {});
+        await db.query(`ALTER TABLE booth_shifts DROP CONSTRAINT IF EXISTS shift_status_check`).catch(() => {});
+        await db.query(`
+            ALTER TABLE booth_shifts ADD CONSTRAINT shift_status_check
+                CHECK (status IN ('scheduled', 'confirmed', 'completed', 'no_show', 'waitlisted'))
+        `).catch(() => {});
+        await db.query(`ALTER TABLE troop_season_config ADD COLUMN IF NOT EXISTS "maxShiftsPerFamily" INTEGER`).catch(() => {});
+
+        // ---- Booth Cash Custody ----
+        // Drawer counts by denomination, sealed envelopes with a custody trail, and bank deposit batches
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS booth_cash_counts (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "boothEventId" UUID NOT NULL REFERENCES booth_events(id) ON DELETE CASCADE,
+                "countType" VARCHAR(10) NOT NULL,
+                denominations JSONB NOT NULL DEFAULT '{}',
+                total NUMERIC(10,2) NOT NULL DEFAULT 0,
+                notes TEXT,
+                "countedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "countedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE("boothEventId", "countType"),
+                CONSTRAINT cash_count_type_check CHECK ("countType" IN ('start', 'end'))
+            )
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS cash_deposits (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "depositDate" DATE NOT NULL,
+                "slipReference" VARCHAR(100) NOT NULL,
+                "bankName" VARCHAR(100),
+                "cashAmount" NUMERIC(10,2) NOT NULL DEFAULT 0,
+                "checkAmount" NUMERIC(10,2) NOT NULL DEFAULT 0,
+                notes TEXT,
+                "depositedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_cash_deposits_troop ON cash_deposits("troopId", "depositDate")`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS booth_cash_envelopes (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "boothEventId" UUID NOT NULL REFERENCES booth_events(id) ON DELETE CASCADE,
+                "envelopeNumber" VARCHAR(50),
+                "cashAmount" NUMERIC(10,2) NOT NULL DEFAULT 0,
+                "checkAmount" NUMERIC(10,2) NOT NULL DEFAULT 0,
+                "checkCount" INTEGER NOT NULL DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'held',
+                "holderId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "pendingHolderId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "depositId" UUID REFERENCES cash_deposits(id) ON DELETE SET NULL,
+                notes TEXT,
+                "sealedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "sealedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT cash_envelope_status_check CHECK (status IN ('held', 'in_transit', 'deposited')),
+                CONSTRAINT cash_envelope_amount_check CHECK ("cashAmount" >= 0 AND "checkAmount" >= 0 AND "checkCount" >= 0)
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_cash_envelopes_booth ON booth_cash_envelopes("boothEventId")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_cash_envelopes_troop ON booth_cash_envelopes("troopId", status)`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS booth_cash_custody (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "envelopeId" UUID NOT NULL REFERENCES booth_cash_envelopes(id) ON DELETE CASCADE,
+                action VARCHAR(20) NOT NULL,
+                "fromUserId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "toUserId" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "countedCash" NUMERIC(10,2),
+                "countedChecks" NUMERIC(10,2),
+                "depositId" UUID REFERENCES cash_deposits(id) ON DELETE SET NULL,
+                notes TEXT,
+                "recordedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "recordedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT cash_custody_action_check CHECK (action IN ('sealed', 'handed_off', 'received', 'deposited', 'deposit_voided'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_cash_custody_envelope ON booth_cash_custody("envelopeId", "recordedAt")`).catch(() => {});
+
+        // ---- Fulfillment Receiving ----
+        // Delivered orders are counted line by line; the counts are what enters troop stock
+        await db.query(`ALTER TABLE fulfillment_order_items ADD COLUMN IF NOT EXISTS "receivedQty" INTEGER`).catch(() => {});
+        await db.query(`ALTER TABLE fulfillment_order_items ADD COLUMN IF NOT EXISTS "damagedQty" INTEGER DEFAULT 0`).catch(() => {});
+        await db.query(`ALTER TABLE fulfillment_order_items ADD COLUMN IF NOT EXISTS "receivingNotes" TEXT`).catch(() => {});
+        await db.query(`ALTER TABLE fulfillment_orders ADD COLUMN IF NOT EXISTS "receivedAt" TIMESTAMPTZ`).catch(() => {});
+        await db.query(`ALTER TABLE fulfillment_orders ADD COLUMN IF NOT EXISTS "receivedBy" UUID REFERENCES users(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`ALTER TABLE fulfillment_orders ADD COLUMN IF NOT EXISTS "receivingNotes" TEXT`).catch(() => {});
+
+        // Orders delivered before counting existed were taken in exactly as ordered
+        await db.query(`
+            UPDATE fulfillment_orders fo SET "receivedAt" = it."createdAt", "receivedBy" = it."createdBy"
+            FROM inventory_transactions it
+            WHERE fo."receivedAt" IS NULL AND it."transactionType" = 'receive'
+              AND it."referenceType" = 'fulfillment_order' AND it."referenceId" = fo.id
+              AND NOT EXISTS (SELECT 1 FROM inventory_transactions r WHERE r."reversesId" = it.id)
+        `).catch(() => {});
+        await db.query(`
+            UPDATE fulfillment_order_items foi SET "receivedQty" = foi.quantity
+            FROM fulfillment_orders fo
+            WHERE fo.id = foi."orderId" AND fo."receivedAt" IS NOT NULL AND foi."receivedQty" IS NULL
+        `).catch(() => {});
+
+        // ---- Scout Accounts ----
+        // Money turned in for a scout's boxes; each turn-in gets a troop receipt number
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS scout_payments (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "scoutId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                season VARCHAR(20),
+                "receiptNumber" INTEGER NOT NULL,
+                amount NUMERIC(10,2) NOT NULL,
+                "paymentType" VARCHAR(20) NOT NULL,
+                "paymentMethodId" UUID REFERENCES payment_methods(id) ON DELETE SET NULL,
+                "paymentMethodName" VARCHAR(100),
+                "referenceNumber" VARCHAR(100),
+                "turnedInBy" VARCHAR(100),
+                notes TEXT,
+                "receivedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "receivedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "voidedAt" TIMESTAMPTZ,
+                "voidedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "voidReason" TEXT,
+                CONSTRAINT scout_payment_type_check CHECK ("paymentType" IN ('cash', 'check', 'digital')),
+                CONSTRAINT scout_payment_amount_check CHECK (amount > 0),
+                UNIQUE("troopId", "receiptNumber")
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_scout_payments_scout ON scout_payments("troopId", "scoutId")`).catch(() => {});
+
+        // ---- Customer Orders ----
+        // Multi-product orders a scout takes from a customer; delivering one writes its sales rows
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS customer_orders (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "scoutId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "orderNumber" INTEGER NOT NULL,
+                "customerName" VARCHAR(255) NOT NULL,
+                "customerPhone" VARCHAR(50),
+                "customerEmail" VARCHAR(255),
+                "customerAddress" TEXT,
+                "deliveryDate" DATE,
+                notes TEXT,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                season VARCHAR(20),
+                "saleTransactionId" UUID REFERENCES inventory_transactions(id) ON DELETE SET NULL,
+                "deliveredAt" TIMESTAMPTZ,
+                "deliveredBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT customer_order_status_check CHECK (status IN ('pending', 'ready', 'delivered', 'paid', 'cancelled')),
+                UNIQUE("troopId", "orderNumber")
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_customer_orders_scout ON customer_orders("troopId", "scoutId", status)`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_customer_orders_delivery ON customer_orders("troopId", "deliveryDate") WHERE status IN ('pending', 'ready')`).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS customer_order_items (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "orderId" UUID NOT NULL REFERENCES customer_orders(id) ON DELETE CASCADE,
+                "productId" UUID NOT NULL REFERENCES cookie_products(id),
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                "unitPrice" NUMERIC(10,2) NOT NULL DEFAULT 0,
+                UNIQUE("orderId", "productId")
+            )
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS customer_order_payments (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "orderId" UUID NOT NULL REFERENCES customer_orders(id) ON DELETE CASCADE,
+                amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+                "paymentMethod" VARCHAR(50),
+                notes TEXT,
+                "receivedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "receivedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_customer_order_payments_order ON customer_order_payments("orderId")`).catch(() => {});
+        await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS "customerOrderId" UUID REFERENCES customer_orders(id) ON DELETE CASCADE`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_sales_customer_order ON sales("customerOrderId")`).catch(() => {});
+
+        // ---- Customer Address Book ----
+        // Each scout's customers; sales and customer orders link to them
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS customers (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "scoutId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                phone VARCHAR(50),
+                email VARCHAR(255),
+                address TEXT,
+                "contactPreference" VARCHAR(20) NOT NULL DEFAULT 'any',
+                "doNotContact" BOOLEAN NOT NULL DEFAULT false,
+                notes TEXT,
+                "lastContactedAt" TIMESTAMPTZ,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT customer_contact_preference_check CHECK ("contactPreference" IN ('any', 'phone', 'text', 'email', 'in_person'))
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_customers_scout_name ON customers("scoutId", lower(name))`).catch(() => {});
+        await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS "customerId" UUID REFERENCES customers(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales("customerId")`).catch(() => {});
+        await db.query(`ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS "customerId" UUID REFERENCES customers(id) ON DELETE SET NULL`).catch(() => {});
+
+        // Build address books from the names typed on earlier individual sales (latest details win).
+        // Runs once: after that, sales link their customer as they are recorded, and a
+        // customer the scout deleted must not come back on the next restart.
+        await db.transaction(async (client) => {
+            const first = await client.query(`
+                INSERT INTO system_settings (key, value, description)
+                VALUES ('customer_address_book_backfilled', 'true', 'Address books were built from earlier sales')
+                ON CONFLICT (key) DO NOTHING
+                RETURNING key
+            `);
+            if (first.rows.length === 0) return;
+            await client.query(`
+                INSERT INTO customers ("scoutId", name, phone, email, address, "createdAt")
+                SELECT DISTINCT ON (s."userId", lower(trim(s."customerName")))
+                       s."userId", trim(s."customerName"), s."customerPhone", s."customerEmail", s."customerAddress", s.date
+                FROM sales s
+                WHERE s."customerId" IS NULL AND s."userId" IS NOT NULL AND s."saleType" LIKE 'individual%'
+                  AND trim(s."customerName") <> '' AND lower(trim(s."customerName")) <> 'walk-in customer'
+                  AND NOT EXISTS (SELECT 1 FROM customers c
+                                  WHERE c."scoutId" = s."userId" AND lower(c.name) = lower(trim(s."customerName")))
+                ORDER BY s."userId", lower(trim(s."customerName")), s.date DESC
+            `);
+            await client.query(`
+                UPDATE sales s SET "customerId" = c.id
+                FROM customers c
+                WHERE s."customerId" IS NULL AND s."saleType" LIKE 'individual%'
+                  AND c."scoutId" = s."userId" AND lower(c.name) = lower(trim(s."customerName"))
+                  AND c.id = (SELECT c2.id FROM customers c2
+                              WHERE c2."scoutId" = s."userId" AND lower(c2.name) = lower(trim(s."customerName"))
+                              ORDER BY c2."createdAt" LIMIT 1)
+            `);
+        }).catch(() => {});
+
+        // ---- Council Sales Import ----
+        // Sales imported from Digital Cookie / eBudde reports, keyed by order number for re-imports
+        await db.query(`ALTER TABLE sales ADD COLUMN IF NOT EXISTS "importSource" VARCHAR(30)`).catch(() => {});
+        await db.query(`
+            CREATE INDEX IF NOT EXISTS idx_sales_import_order ON sales("importSource", "orderNumber")
+            WHERE "importSource" IS NOT NULL
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS sales_import_aliases (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                kind VARCHAR(10) NOT NULL,
+                alias VARCHAR(255) NOT NULL,
+                label VARCHAR(255) NOT NULL,
+                target VARCHAR(255) NOT NULL,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                CONSTRAINT sales_import_alias_kind_check CHECK (kind IN ('product', 'scout')),
+                UNIQUE("troopId", kind, alias)
+            )
+        `).catch(() => {});
+
+        // ---- Booth Locations ----
+        // Registry of the stores a troop holds booths at; booths link to it through "locationId"
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS booth_locations (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                address TEXT,
+                "contactName" VARCHAR(255),
+                "contactPhone" VARCHAR(50),
+                "contactEmail" VARCHAR(255),
+                "permittedHours" TEXT,
+                restrictions TEXT,
+                notes TEXT,
+                "isActive" BOOLEAN DEFAULT true,
+                "createdBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_booth_locations_name ON booth_locations("troopId", lower(name))`).catch(() => {});
+        await db.query(`ALTER TABLE booth_events ADD COLUMN IF NOT EXISTS "locationId" UUID REFERENCES booth_locations(id) ON DELETE SET NULL`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_booth_events_location ON booth_events("locationId")`).catch(() => {});
+        // Booths entered before the registry: one location per distinct name, with the latest address
+        await db.query(`
+            INSERT INTO booth_locations ("troopId", name, address)
+            SELECT DISTINCT ON ("troopId", lower(trim(location))) "troopId", trim(location), "locationAddress"
+            FROM booth_events
+            WHERE "locationId" IS NULL AND trim(COALESCE(location, '')) <> ''
+            ORDER BY "troopId", lower(trim(location)), "startDateTime" DESC
+            ON CONFLICT DO NOTHING
+        `).catch(() => {});
+        await db.query(`
+            UPDATE booth_events be SET "locationId" = bl.id
+            FROM booth_locations bl
+            WHERE be."locationId" IS NULL AND bl."troopId" = be."troopId" AND lower(bl.name) = lower(trim(be.location))
+        `).catch(() => {});
+
+        // ---- Badge Requirement Steps ----
+        // Numbered steps of each catalog badge, and the steps each scout has checked off
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS badge_requirements (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "badgeId" UUID NOT NULL REFERENCES badges(id) ON DELETE CASCADE,
+                "stepNumber" INTEGER NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                description TEXT,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                "updatedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE("badgeId", "stepNumber")
+            )
+        `).catch(() => {});
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS scout_badge_steps (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "badgeId" UUID NOT NULL REFERENCES badges(id) ON DELETE CASCADE,
+                "requirementId" UUID NOT NULL REFERENCES badge_requirements(id) ON DELETE CASCADE,
+                "troopId" UUID REFERENCES troops(id) ON DELETE SET NULL,
+                "completedDate" DATE NOT NULL,
+                notes TEXT,
+                "photoData" BYTEA,
+                "photoType" VARCHAR(100),
+                "recordedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "recordedAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE("userId", "requirementId")
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_scout_badge_steps_badge ON scout_badge_steps("userId", "badgeId")`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_scout_badge_steps_troop ON scout_badge_steps("troopId")`).catch(() => {});
+
+        // ---- Badge Claims ----
+        // Badges a parent says their scout has earned, waiting for a leader to approve or reject
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS badge_claims (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "badgeId" UUID NOT NULL REFERENCES badges(id) ON DELETE CASCADE,
+                "troopId" UUID NOT NULL REFERENCES troops(id) ON DELETE CASCADE,
+                "earnedDate" DATE NOT NULL,
+                notes TEXT,
+                "evidenceData" BYTEA,
+                "evidenceType" VARCHAR(100),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                "submittedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "reviewedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                "reviewedAt" TIMESTAMPTZ,
+                "rejectionReason" TEXT,
+                "scoutBadgeId" UUID REFERENCES scout_badges(id) ON DELETE SET NULL,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_badge_claims_pending ON badge_claims("userId", "badgeId") WHERE status = 'pending'`).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_badge_claims_troop ON badge_claims("troopId", status)`).catch(() => {});
+
+        // ---- Badge Award Events ----
+        // The calendar event where a badge was earned, set when a group is awarded together
+        await db.query(`ALTER TABLE scout_badges ADD COLUMN IF NOT EXISTS "eventId" UUID REFERENCES events(id) ON DELETE SET NULL`).catch(() => {});
+
+        // ---- Scout Level History ----
+        // Every stint a scout has spent at a level, and the school grade used for bridging
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS scout_level_history (
+                id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+                "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                "levelId" UUID NOT NULL REFERENCES scout_levels(id) ON DELETE CASCADE,
+                "startDate" DATE NOT NULL,
+                "endDate" DATE,
+                source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('initial', 'manual', 'bridging')),
+                "changedBy" UUID REFERENCES users(id) ON DELETE SET NULL,
+                notes TEXT,
+                "createdAt" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `).catch(() => {});
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_scout_level_history_user ON scout_level_history("userId", "startDate")`).catch(() => {});
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_scout_level_history_open ON scout_level_history("userId") WHERE "endDate" IS NULL`).catch(() => {});
+        await db.query(`ALTER TABLE scout_profiles ADD COLUMN IF NOT EXISTS grade SMALLINT CHECK (grade BETWEEN 0 AND 12)`).catch(() => {});
+        // The school year a grade was recorded for (the year it started), so the grade counts up each year.
+        // Grades recorded before this are taken to be for the school year they were last saved in.
+        await db.query(`ALTER TABLE scout_profiles ADD COLUMN IF NOT EXISTS "gradeSchoolYear" SMALLINT`).catch(() => {});
+        await db.query(`
+            UPDATE scout_profiles SET "gradeSchoolYear" = EXTRACT(YEAR FROM "updatedAt" - INTERVAL '6 months')
+            WHERE grade IS NOT NULL AND "gradeSchoolYear" IS NULL
+        `).catch(() => {});
+
+        logger.info('Schema migration checks completed');
+    } catch (err) {
+        logger.warn('Schema migration checks had issues (non-fatal)', { error: err.message });
+    }
+
+    await inventoryLedger.seedOpeningBalances();
+    await badgeProgress.seedRequirementSteps();
+    await scoutLevels.seedLevelHistory();
+    mailer.startWorker();
+    webhooks.startWorker();
+})();
+
+// Note: PostgreSQL schema is managed via migration files in /migrations/
+// Run migrations using: psql -U asm_user -d apex_scout_manager -f migrations/001_enable_uuid_extension.sql
+//                       psql -U asm_user -d apex_scout_manager -f migrations/002_create_schema.sql
+
+// Rate limiting middleware
+const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 requests per windowMs
+    message: 'Too many requests from this IP, please try again later.'
+});
+
+// Request logging middleware
+app.use((req, res, next) => {
+    const startTime = Date.now();
+    
+    res.on('finish', () => {
+        const duration = Date.now() - startTime;
+        // Use explicit conditionals for log level to prevent injection
+        const logLevel = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+        logger[logLevel]('HTTP Request', {
+            method: req.method,
+            path: req.path,
+            statusCode: res.statusCode,
+            duration: `${duration}ms`,
+            ip: req.ip
+        });
+    });
+    
+    next();
+});
+
+// Middleware
+app.use(cors({
+    origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    credentials: true
+}));
+app.use(express.json());
+app.use(cookieParser());
+
+// Create Redis client
+const redisClient = Redis.createClient({
+    socket: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: parseInt(process.env.REDIS_PORT) || 6379
+    },
+    password: process.env.REDIS_PASSWORD || undefined,
+    database: parseInt(process.env.REDIS_DB) || 0
+});
+
+redisClient.on('error', (err) => logger.error('Redis client error', { error: err.message }));
+redisClient.on('connect', () => logger.info('Redis client connected'));
+
+// Connect to Redis
+redisClient.connect().catch(err => {
+    logger.error('Redis connection failed', { error: err.message });
+    process.exit(1);
+});
+
+// Bearer-token requests authenticate here and never get a stored session
+app.use('/api/', auth.authenticateApiToken);
+
+// Session configuration with Redis
+app.use(session({
+    store: new RedisStore({ client: redisClient }),
+    secret: process.env.SESSION_SECRET || 'asm-secret-change-in-production',
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        secure: process.env.NODE_ENV === 'production', // Require HTTPS in production
+        httpOnly: true,
+        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+        sameSite: 'lax'
+    }
+}));
+
+// Initialize Passport
+app.use(passport.initialize());
+app.use(passport.session());
+const passportStrategies = configurePassport(db);
+
+// Note: Redis handles session TTL automatically, no manual cleanup needed
+
+app.use('/api/', limiter); // Apply rate limiting to all API routes
+app.use('/api/', auth.requireParentalConsentForWrites); // Minors are read-only until a parent consents
+app.use('/api/', auth.requireTwoFactorEnrollment); // Roles that require 2FA must enroll before using the app
+
+// Serve login and register pages without authentication
+app.get('/login.html', (req, res, next) => {
+    // If already authenticated, redirect to main page
+    if (req.session && req.session.userId) {
+        return res.redirect('/');
+    }
+    next();
+});
+
+app.get('/register.html', (req, res, next) => {
+    // If already authenticated, redirect to main page
+    if (req.session && req.session.userId) {
+        return res.redirect('/');
+    }
+    next();
+});
+
+// Maintenance Mode Middleware
+app.use(async (req, res, next) => {
+    // Skip for static assets, login, and admin API
+    if (req.path.match(/\.(css|js|png|jpg|ico)$/) || 
+        req.path === '/login.html' || 
+        req.path === '/api/login' ||
+        req.path.startsWith('/api/system/') ||
+        (req.session && req.session.userId && await auth.isAdmin(db, req.session.userId))) {
+        return next();
+    }
+
+    try {
+        const maintenanceSetting = await db.getOne('SELECT value FROM system_settings WHERE key = $1', ['site_maintenance_mode']);
+        if (maintenanceSetting && (maintenanceSetting.value === 'true' || maintenanceSetting.value === true)) {
+            // If API request, return JSON
+            if (req.path.startsWith('/api/')) {
+                return res.status(503).json({ error: 'System is currently in maintenance mode' });
+            }
+            // Otherwise show maintenance page (or simple text for now)
+            return res.status(503).send('<h1>System Under Maintenance</h1><p>We are currently performing system maintenance. Please try again later.</p>');
+        }
+        next();
+    } catch (error) {
+        // Fallback on error
+        next();
+    }
+});
+
+// Bootstrap check middleware - redirect to setup wizard if needed
+app.use(async (req, res, next) => {
+    // Only check for authenticated users trying to access protected pages
+    if (!req.session || !req.session.userId) {
+        return next();
+    }
+
+    // Skip check for specific routes
+    if (req.path === '/logout' ||
+        req.path === '/login.html' ||
+        req.path === '/register.html' ||
+        req.path === '/setup-wizard' ||
+        req.path === '/setup-wizard.html' ||
+        req.path.startsWith('/api/')) {
+        return next();
+    }
+
+    try {
+        // Check if any admins exist
+        const adminCount = await db.getOne(
+            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
+        );
+
+        // If no admins, redirect to setup wizard (except already on setup page)
+        if (Number(adminCount.count) === 0 && !req.path.startsWith('/setup')) {
+            return res.redirect('/setup-wizard');
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Bootstrap check error:', error);
+        next(); // Continue on error, don't block
+    }
+});
+
+// Protect the main page - redirect to login if not authenticated
+app.get('/', (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/login.html');
+    }
+    next();
+});
+
+app.get('/index.html', (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/login.html');
+    }
+    next();
+});
+
+// Setup wizard route - first-time admin account creation (no admin auth required if bootstrap needed)
+app.get('/setup-wizard.html', async (req, res, next) => {
+    try {
+        // Check if bootstrap is needed
+        const adminCount = await db.getOne(
+            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
+        );
+
+        if (Number(adminCount.count) > 0) {
+            // Bootstrap already complete, redirect to login
+            return res.redirect('/login.html');
+        }
+
+        // Check if user is authenticated
+        if (!req.session || !req.session.userId) {
+            return res.redirect('/login.html');
+        }
+
+        // Bootstrap needed and user is authenticated, serve setup wizard
+        next();
+    } catch (error) {
+        logger.error('Setup wizard route error:', error);
+        res.status(500).send('Error checking bootstrap status');
+    }
+});
+
+app.get('/setup-wizard', async (req, res) => {
+    try {
+        // Check if bootstrap is needed
+        const adminCount = await db.getOne(
+            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
+        );
+
+        if (Number(adminCount.count) > 0) {
+            // Bootstrap already complete
+            return res.redirect('/admin');
+        }
+
+        // Check if user is authenticated
+        if (!req.session || !req.session.userId) {
+            return res.redirect('/login.html');
+        }
+
+        // Redirect to setup-wizard.html
+        res.redirect('/setup-wizard.html');
+    } catch (error) {
+        logger.error('Setup wizard redirect error:', error);
+        res.status(500).send('Error checking bootstrap status');
+    }
+});
+
+// Admin panel route - requires admin access
+app.get('/admin.html', auth.isAuthenticated, auth.requireAdmin, (req, res, next) => {
+    // Access already verified by middleware, continue to serve static file
+    next();
+});
+
+app.get('/admin', auth.isAuthenticated, auth.requireAdmin, (req, res) => {
+    // Redirect to admin.html
+    res.redirect('/admin.html');
+});
+
+app.use(express.static('public'));
+
+// ============================================================================
+// Authentication Routes
+// ============================================================================
+
+// Register new user
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { email, password, firstName, lastName, dateOfBirth, parentEmail } = req.body;
+
+        // Validate required fields
+        if (!email || !password || !firstName || !lastName) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Validate email format
+        if (!auth.isValidEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        // Validate password strength
+        const passwordValidation = auth.validatePassword(password);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.message });
+        }
+
+        // Check if user already exists
+        const existingUser = await db.getOne('SELECT id FROM users WHERE email = $1', [email]);
+        if (existingUser) {
+            return res.status(409).json({ error: 'Email already registered' });
+        }
+
+        // Check if minor (COPPA compliance)
+        let isMinorUser = false;
+        if (dateOfBirth) {
+            isMinorUser = auth.isMinor(dateOfBirth);
+
+            // If minor and no parent email, require it
+            if (isMinorUser && !parentEmail) {
+                return res.status(400).json({
+                    error: 'Parent email required for users under 13'
+                });
+            }
+        }
+
+        // Hash password
+        const passwordHash = await auth.hashPassword(password);
+
+        // Create user (PostgreSQL returns inserted row)
+        const newUser = await db.getOne(`
+            INSERT INTO users (
+                email, password_hash, "firstName", "lastName",
+                "dateOfBirth", "isMinor", "parentEmail", role,
+                "isActive", "emailVerified", "emailVerificationRequired"
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING id
+        `, [
+            email,
+            passwordHash,
+            firstName,
+            lastName,
+            dateOfBirth || null,
+            isMinorUser,
+            parentEmail || null,
+            'scout', // Default role
+            true, // Minors sign in read-only until consent is granted
+            false, // Email not verified
+            true // Limited access until verified
+        ]);
+
+        const userId = newUser.id;
+
+        // Send verification link
+        const verificationToken = await auth.createEmailVerificationToken(db, userId);
+        await mailer.queueEmail({
+            to: email,
+            userId,
+            template: 'email_verification',
+            data: { firstName, token: verificationToken }
+        });
+
+        // Create default profile
+        await db.run(`
+            INSERT INTO profile ("userId", "scoutName", email)
+            VALUES ($1, $2, $3)
+        `, [userId, `${firstName} ${lastName}`.trim(), email]);
+
+        // Log audit event
+        await auth.logAuditEvent(db, userId, 'user_registered', req, { email });
+
+        // Start the consent trail and ask the parent (minors only)
+        if (isMinorUser) {
+            await auth.recordParentalConsent(db, userId, 'pending', { parentEmail, req });
+            await auth.requestParentalConsent(db, userId, parentEmail, { req });
+            await auth.createNotification(
+                db,
+                userId,
+                'info',
+                'Account Pending',
+                'Your account requires parental consent before you can make changes. A consent email has been sent to your parent/guardian.'
+            );
+        }
+
+        logger.info('New user registered', { userId, email, isMinor: isMinorUser });
+
+        res.status(201).json({
+            message: isMinorUser
+                ? 'Registration successful. Parental consent required.'
+                : 'Registration successful. Check your email to verify your address, then log in.',
+            userId,
+            requiresConsent: isMinorUser,
+            requiresEmailVerification: true
+        });
+
+    } catch (error) {
+        logger.error('Registration error', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Registration failed' });
+    }
+});
+
+// Verify email address from the emailed link
+app.get('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            return res.redirect('/login.html?verified=invalid');
+        }
+
+        const record = await db.getOne(`
+            SELECT id, "userId" FROM email_verification_tokens
+            WHERE "tokenHash" = $1 AND "usedAt" IS NULL AND "expiresAt" > NOW()
+        `, [auth.hashToken(token)]);
+
+        if (!record) {
+            return res.redirect('/login.html?verified=invalid');
+        }
+
+        await db.transaction(async (client) => {
+            await client.query(`
+                UPDATE users SET "emailVerified" = true, "emailVerifiedAt" = NOW()
+                WHERE id = $1
+            `, [record.userId]);
+            await client.query(`
+                UPDATE email_verification_tokens SET "usedAt" = NOW()
+                WHERE "userId" = $1 AND "usedAt" IS NULL
+            `, [record.userId]);
+        });
+
+        if (req.session && req.session.userId === record.userId) {
+            req.session.emailVerified = true;
+        }
+
+        await auth.logAuditEvent(db, record.userId, 'email_verified', req, {
+            resourceType: 'user',
+            resourceId: record.userId
+        });
+
+        logger.info('Email verified', { userId: record.userId });
+        res.redirect('/login.html?verified=true');
+    } catch (error) {
+        logger.error('Email verification error', { error: error.message });
+        res.redirect('/login.html?verified=invalid');
+    }
+});
+
+const resendVerificationLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    keyGenerator: (req) => String(req.session.userId),
+    message: { error: 'Too many verification emails requested. Please try again later.' }
+});
+
+// Resend the verification email to the current user
+app.post('/api/auth/resend-verification', auth.isAuthenticated, resendVerificationLimiter, async (req, res) => {
+    try {
+        const user = await db.getOne(
+            'SELECT id, email, "firstName", "emailVerified" FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+
+        if (!user || !user.email) {
+            return res.status(400).json({ error: 'No email address on file' });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({ error: 'Email address is already verified' });
+        }
+
+        const verificationToken = await auth.createEmailVerificationToken(db, user.id);
+        await mailer.queueEmail({
+            to: user.email,
+            userId: user.id,
+            template: 'email_verification',
+            data: { firstName: user.firstName, token: verificationToken }
+        });
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        logger.error('Error resending verification email', { error: error.message });
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Login with email/password
+app.post('/api/auth/login', (req, res, next) => {
+    passport.authenticate('local', async (err, user, info) => {
+        if (err) {
+            logger.error('Login error', { error: err.message });
+            return res.status(500).json({ error: 'Login failed' });
+        }
+
+        if (!user) {
+            return res.status(401).json({ error: info.message || 'Invalid credentials' });
+        }
+
+        // Password is correct but a second factor is still needed - no session user yet
+        if (user.totpEnabled) {
+            req.session.pendingTwoFactorUserId = user.id;
+            req.session.pendingTwoFactorMethod = 'local';
+            req.session.pendingTwoFactorAt = Date.now();
+            req.session.pendingTwoFactorAttempts = 0;
+            return res.json({ twoFactorRequired: true, message: 'Enter the code from your authenticator app' });
+        }
+
+        req.logIn(user, async (err) => {
+            if (err) {
+                logger.error('Session creation error', { error: err.message });
+                return res.status(500).json({ error: 'Failed to create session' });
+            }
+
+            // Store user info in session
+            req.session.userId = user.id;
+            req.session.userEmail = user.email;
+            req.session.userRole = user.role;
+            req.session.twoFactorVerified = false;
+            req.session.twoFactorEnrollmentRequired = await auth.isTwoFactorRequired(db, user.id);
+
+            await auth.recordSuccessfulLogin(db, user, req, 'local');
+
+            // Update last login timestamp
+            await auth.logAuditEvent(db, user.id, 'user_login', req, { method: 'local' });
+
+            logger.info('User logged in', { userId: user.id, email: user.email });
+
+            res.json({
+                message: 'Login successful',
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    role: user.role,
+                    photoUrl: user.photoUrl
+                }
+            });
+        });
+    })(req, res, next);
+});
+
+// Google OAuth initiation
+if (passportStrategies.google) {
+    app.get('/auth/google',
+        passport.authenticate('google', {
+            scope: ['profile', 'email']
+        })
+    );
+
+    // Google OAuth callback
+    app.get('/auth/google/callback',
+        passport.authenticate('google', { failureRedirect: '/login.html' }),
+        async (req, res) => {
+            const user = req.user;
+
+            // A lockout applies to every sign-in method
+            if (auth.getLockoutMinutesRemaining(user) > 0) {
+                await auth.recordLoginAttempt(db, { userId: user.id, email: user.email, success: false, failureReason: 'locked', method: 'google', req });
+                return req.logout(() => res.redirect('/login.html?locked=true'));
+            }
+
+            // Google proves the password step only; hold the session until the code is entered
+            if (user.totpEnabled) {
+                return req.logout((err) => {
+                    if (err) {
+                        logger.error('Logout error', { error: err.message });
+                        return res.redirect('/login.html');
+                    }
+                    req.session.pendingTwoFactorUserId = user.id;
+                    req.session.pendingTwoFactorMethod = 'google';
+                    req.session.pendingTwoFactorAt = Date.now();
+                    req.session.pendingTwoFactorAttempts = 0;
+                    res.redirect('/login.html?twoFactor=true');
+                });
+            }
+
+            // Store user info in session
+            req.session.userId = user.id;
+            req.session.userEmail = user.email;
+            req.session.userRole = user.role;
+            req.session.twoFactorVerified = false;
+            req.session.twoFactorEnrollmentRequired = await auth.isTwoFactorRequired(db, user.id).catch(() => false);
+
+            await auth.recordSuccessfulLogin(db, user, req, 'google');
+
+            res.redirect('/');
+        }
+    );
+}
+
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+const twoFactorLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10,
+    message: { error: 'Too many verification attempts. Please try again later.' }
+});
+
+// Complete sign-in with a TOTP code or recovery code
+app.post('/api/auth/login/2fa', twoFactorLoginLimiter, async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const pendingUserId = req.session.pendingTwoFactorUserId;
+
+        if (!pendingUserId || Date.now() - req.session.pendingTwoFactorAt > TWO_FACTOR_LOGIN_TTL_MS) {
+            delete req.session.pendingTwoFactorUserId;
+            return res.status(401).json({ error: 'Your sign-in has expired. Please enter your password again.', restart: true });
+        }
+
+        const user = await db.getOne('SELECT * FROM users WHERE id = $1 AND "isActive" = true', [pendingUserId]);
+        if (!user || !user.totpEnabled) {
+            delete req.session.pendingTwoFactorUserId;
+            return res.status(401).json({ error: 'Please sign in again', restart: true });
+        }
+
+        // The account may have been locked since the password step
+        const remainingLockMinutes = auth.getLockoutMinutesRemaining(user);
+        if (remainingLockMinutes > 0) {
+            delete req.session.pendingTwoFactorUserId;
+            await auth.recordLoginAttempt(db, { userId: user.id, email: user.email, success: false, failureReason: 'locked', method: req.session.pendingTwoFactorMethod || 'local', req });
+            return res.status(401).json({
+                error: `Too many failed sign-in attempts. Try again in ${remainingLockMinutes} minute(s) or reset your password.`,
+                restart: true
+            });
+        }
+
+        let verified = false;
+        if (code) {
+            verified = await auth.verifyTotpCode(db, user, code);
+        } else if (recoveryCode) {
+            verified = await auth.useRecoveryCode(db, user.id, recoveryCode);
+        }
+
+        if (!verified) {
+            req.session.pendingTwoFactorAttempts = (req.session.pendingTwoFactorAttempts || 0) + 1;
+            await auth.logAuditEvent(db, user.id, 'two_factor_failed', req, { method: code ? 'totp' : 'recovery_code' });
+            const lockMinutes = await auth.recordFailedLogin(db, user, req, 'bad_second_factor');
+
+            if (lockMinutes > 0) {
+                delete req.session.pendingTwoFactorUserId;
+                return res.status(401).json({
+                    error: `Too many failed sign-in attempts. Your account is locked for ${lockMinutes} minute(s).`,
+                    restart: true
+                });
+            }
+            if (req.session.pendingTwoFactorAttempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+                delete req.session.pendingTwoFactorUserId;
+                return res.status(401).json({ error: 'Too many incorrect codes. Please sign in again.', restart: true });
+            }
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const loginMethod = req.session.pendingTwoFactorMethod || 'local';
+
+        req.logIn(user, async (err) => {
+            if (err) {
+                logger.error('Session creation error', { error: err.message });
+                return res.status(500).json({ error: 'Failed to create session' });
+            }
+
+            // Store user info in session
+            req.session.userId = user.id;
+            req.session.userEmail = user.email;
+            req.session.userRole = user.role;
+            req.session.twoFactorVerified = true;
+            req.session.twoFactorEnrollmentRequired = false;
+
+            await auth.recordSuccessfulLogin(db, user, req, loginMethod);
+
+            await auth.logAuditEvent(db, user.id, 'user_login', req, {
+                method: loginMethod,
+                secondFactor: code ? 'totp' : 'recovery_code'
+            });
+
+            logger.info('User logged in', { userId: user.id, email: user.email, twoFactor: true });
+
+            const response = {
+                message: 'Login successful',
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    role: user.role,
+                    photoUrl: user.photoUrl
+                }
+            };
+
+            if (!code) {
+                const remaining = await db.getOne(
+                    'SELECT COUNT(*)::int as count FROM user_recovery_codes WHERE "userId" = $1 AND "usedAt" IS NULL',
+                    [user.id]
+                );
+                response.recoveryCodesRemaining = remaining.count;
+            }
+
+            res.json(response);
+        });
+    } catch (error) {
+        logger.error('Two-factor login error', { error: error.message });
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// ============================================================================
+// Two-Factor Enrollment
+// ============================================================================
+
+// Get 2FA status for the current user
+app.get('/api/auth/2fa', auth.isAuthenticated, async (req, res) => {
+    try {
+        const user = await db.getOne(
+            'SELECT "totpEnabled", "totpEnabledAt" FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+        const remaining = await db.getOne(
+            'SELECT COUNT(*)::int as count FROM user_recovery_codes WHERE "userId" = $1 AND "usedAt" IS NULL',
+            [req.session.userId]
+        );
+
+        res.json({
+            enabled: !!user.totpEnabled,
+            enabledAt: user.totpEnabledAt,
+            required: await auth.isTwoFactorRequired(db, req.session.userId),
+            recoveryCodesRemaining: remaining.count
+        });
+    } catch (error) {
+        logger.error('Error fetching 2FA status', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// Start enrollment: generate a secret and QR code (not active until confirmed)
+app.post('/api/auth/2fa/setup', auth.isAuthenticated, async (req, res) => {
+    try {
+        const user = await db.getOne('SELECT email, "totpEnabled" FROM users WHERE id = $1', [req.session.userId]);
+        if (user.totpEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = auth.generateTotpSecret();
+        const otpauthUrl = auth.buildTotpUri(user.email, secret);
+        req.session.pendingTotpSecret = secret;
+
+        res.json({
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl)
+        });
+    } catch (error) {
+        logger.error('Error starting 2FA setup', { error: error.message });
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// Confirm enrollment with a code from the app; returns recovery codes once
+app.post('/api/auth/2fa/enable', auth.isAuthenticated, async (req, res) => {
+    try {
+        const secret = req.session.pendingTotpSecret;
+        if (!secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = auth.matchTotpStep(secret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await db.run(`
+            UPDATE users
+            SET "totpSecret" = $1, "totpEnabled" = true, "totpEnabledAt" = NOW(), "totpLastStep" = $2
+            WHERE id = $3
+        `, [secret, step, req.session.userId]);
+
+        const recoveryCodes = await auth.createRecoveryCodes(db, req.session.userId);
+
+        delete req.session.pendingTotpSecret;
+        req.session.twoFactorVerified = true;
+        req.session.twoFactorEnrollmentRequired = false;
+
+        await auth.logAuditEvent(db, req.session.userId, 'two_factor_enabled', req);
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        logger.error('Error enabling 2FA', { error: error.message });
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+app.post('/api/auth/2fa/recovery-codes', auth.isAuthenticated, async (req, res) => {
+    try {
+        const user = await db.getOne(
+            'SELECT id, "totpEnabled", "totpSecret", "totpLastStep" FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+        if (!user.totpEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (!await auth.verifyTotpCode(db, user, req.body.code)) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = await auth.createRecoveryCodes(db, user.id);
+        await auth.logAuditEvent(db, user.id, 'two_factor_recovery_codes_regenerated', req);
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        logger.error('Error regenerating recovery codes', { error: error.message });
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// Turn off 2FA (requires password and a TOTP or recovery code)
+app.post('/api/auth/2fa/disable', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await db.getOne('SELECT * FROM users WHERE id = $1', [req.session.userId]);
+
+        if (!user.totpEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (await auth.isTwoFactorRequired(db, user.id)) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for your role and cannot be turned off' });
+        }
+        if (user.password_hash && !await auth.comparePassword(password || '', user.password_hash)) {
+            return res.status(400).json({ error: 'Incorrect password' });
+        }
+
+        const verified = code
+            ? await auth.verifyTotpCode(db, user, code)
+            : await auth.useRecoveryCode(db, user.id, recoveryCode);
+        if (!verified) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        await db.run(`
+            UPDATE users
+            SET "totpSecret" = NULL, "totpEnabled" = false, "totpEnabledAt" = NULL, "totpLastStep" = NULL
+            WHERE id = $1
+        `, [user.id]);
+        await db.run('DELETE FROM user_recovery_codes WHERE "userId" = $1', [user.id]);
+
+        req.session.twoFactorVerified = false;
+
+        await auth.logAuditEvent(db, user.id, 'two_factor_disabled', req);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        logger.error('Error disabling 2FA', { error: error.message });
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// Logout
+app.post('/api/auth/logout', auth.isAuthenticated, (req, res) => {
+    const userId = req.session.userId;
+
+    // Log audit event
+    auth.logAuditEvent(db, userId, 'user_logout', req);
+
+    req.logout((err) => {
+        if (err) {
+            logger.error('Logout error', { error: err.message });
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+
+        req.session.destroy((err) => {
+            if (err) {
+                logger.error('Session destruction error', { error: err.message });
+            }
+
+            res.clearCookie('connect.sid');
+            res.json({ message: 'Logout successful' });
+        });
+    });
+});
+
+// Get current user
+app.get('/api/auth/me', auth.isAuthenticated, async (req, res) => {
+    try {
+        const user = await db.getOne(`
+            SELECT id, email, "firstName", "lastName", role, "photoUrl",
+                   "isActive", "emailVerified", "emailVerificationRequired",
+                   "dateOfBirth", "isMinor", "parentalConsentStatus", "totpEnabled", "createdAt", "lastLogin"
+            FROM users
+            WHERE id = $1
+        `, [req.session.userId]);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        user.twoFactorEnrollmentRequired = !!req.session.twoFactorEnrollmentRequired;
+
+        // Get troop info
+        const membership = await db.getOne(`
+            SELECT "troopId" FROM troop_members
+            WHERE "userId" = $1 AND status = 'active'
+            LIMIT 1
+        `, [req.session.userId]);
+
+        if (membership) {
+            user.troopId = membership.troopId;
+        }
+
+        res.json(user);
+    } catch (error) {
+        logger.error('Error fetching current user', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// Get notifications for current user
+app.get('/api/notifications', auth.isAuthenticated, async (req, res) => {
+    try {
+        const notifications = await db.getAll(`
+            SELECT * FROM notifications
+            WHERE "userId" = $1
+            ORDER BY "createdAt" DESC
+            LIMIT 50
+        `, [req.session.userId]);
+
+        res.json(notifications);
+    } catch (error) {
+        logger.error('Error fetching notifications', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Mark notification as read
+app.put('/api/notifications/:id/read', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await db.run(`
+            UPDATE notifications
+            SET "isRead" = true, "readAt" = NOW()
+            WHERE id = $1 AND "userId" = $2
+        `, [id, req.session.userId]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error marking notification as read', { error: error.message });
+        res.status(500).json({ error: 'Failed to update notification' });
+    }
+});
+
+// ============================================================================
+// API Routes (Protected - require authentication)
+// ============================================================================
+
+// Get all sales (filtered by userId)
+app.get('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('view_sales'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { saleType } = req.query;
+        const seasonFilter = buildSeasonFilter(req.season, 's.season', 1);
+        let query = `
+            SELECT s.*, cp."cookieName" as "productName", cp."shortName" as "productShortName",
+                   cp."pricePerBox" as "productPrice"
+            FROM sales s
+            LEFT JOIN cookie_products cp ON s."productId" = cp.id
+            WHERE s."userId" = $1${seasonFilter.clause}
+        `;
+        const params = [req.session.userId, ...seasonFilter.params];
+        if (saleType) {
+            params.push(saleType);
+            query += ` AND s."saleType" = $${params.length}`;
+        }
+        query += ' ORDER BY s.id DESC';
+        const sales = await db.getAll(query, params);
+        res.json(sales);
+    } catch (error) {
+        logger.error('Error fetching sales', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch sales' });
+    }
+});
+
+// Fields of a sale sent with sale.created
+function saleWebhookPayload(sale) {
+    return {
+        id: sale.id,
+        userId: sale.userId,
+        productId: sale.productId,
+        cookieType: sale.cookieType,
+        quantity: sale.quantity,
+        unitType: sale.unitType,
+        saleType: sale.saleType,
+        date: sale.date,
+        customerName: sale.customerName,
+        amountCollected: sale.amountCollected,
+        amountDue: sale.amountDue,
+        paymentMethod: sale.paymentMethod,
+        orderNumber: sale.orderNumber,
+        orderStatus: sale.orderStatus,
+        season: sale.season
+    };
+}
+
+// Add a new sale
+app.post('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+    try {
+        const {
+            cookieType,
+            productId,
+            quantity,
+            customerName,
+            date,
+            saleType,
+            customerAddress,
+            customerPhone,
+            unitType,
+            amountCollected,
+            amountDue,
+            paymentMethod,
+            customerId
+        } = req.body;
+
+        // Require either cookieType or productId
+        if ((!cookieType && !productId) || !quantity || quantity < 1) {
+            logger.warn('Invalid sale data received', { cookieType, productId, quantity });
+            return res.status(400).json({ error: 'Invalid sale data. Provide cookieType or productId and quantity >= 1.' });
+        }
+
+        // If productId provided, resolve cookieType from it
+        let resolvedCookieType = cookieType;
+        let resolvedProductId = productId || null;
+        let productSeason = null;
+        if (productId) {
+            const product = await db.getOne('SELECT "cookieName", season FROM cookie_products WHERE id = $1', [productId]);
+            if (!product) return res.status(400).json({ error: 'Invalid productId' });
+            if (await isSeasonArchived(product.season)) return seasonArchivedResponse(res, product.season);
+            if (!cookieType) resolvedCookieType = product.cookieName;
+            productSeason = product.season;
+        }
+
+        // Validate and sanitize customerName
+        const sanitizedCustomerName = (customerName && customerName.trim()) || 'Walk-in Customer';
+
+        // Validate saleType
+        const VALID_SALE_TYPES = [
+            'individual', 'event',  // legacy values
+            'individual_inperson', 'individual_digital_delivered',
+            'individual_digital_shipped', 'individual_donation',
+            'booth_troop', 'booth_family', 'booth_council'
+        ];
+        const validSaleType = VALID_SALE_TYPES.includes(saleType) ? saleType : 'individual';
+
+        // Validate and use current date if not provided or invalid
+        let saleDate = date;
+        if (!saleDate || isNaN(new Date(saleDate).getTime())) {
+            saleDate = new Date().toISOString();
+        }
+
+        // Validate and sanitize new fields
+        const sanitizedCustomerAddress = (customerAddress && customerAddress.trim()) || null;
+        const sanitizedCustomerPhone = (customerPhone && customerPhone.trim()) || null;
+        const validUnitType = (unitType === 'case') ? 'case' : 'box';
+        const validAmountCollected = (typeof amountCollected === 'number' && amountCollected >= 0) ? amountCollected : 0;
+        const validAmountDue = (typeof amountDue === 'number' && amountDue >= 0) ? amountDue : 0;
+        const validPaymentMethod = paymentMethod || null;
+
+        // New order grouping fields
+        const sanitizedOrderNumber = (req.body.orderNumber && String(req.body.orderNumber)) || null;
+        const sanitizedOrderType = (req.body.orderType && String(req.body.orderType)) || null;
+        const sanitizedOrderStatus = (req.body.orderStatus && String(req.body.orderStatus)) || 'Pending';
+
+        // A product belongs to exactly one season; free-text sales are placed by date
+        const saleSeason = productSeason || await seasonForDate(saleDate);
+        if (await isSeasonArchived(saleSeason)) return seasonArchivedResponse(res, saleSeason);
+
+        // Individual sales go in the seller's address book, matched against customers already there.
+        // The customer is only kept if the sale is.
+        const newSale = await db.transaction(async (client) => {
+            let customer = null;
+            if (validSaleType.startsWith('individual')) {
+                customer = await customers.resolveSaleCustomer(client, req.session.userId, {
+                    customerId,
+                    customerName: sanitizedCustomerName,
+                    customerPhone: sanitizedCustomerPhone,
+                    customerAddress: sanitizedCustomerAddress
+                });
+            }
+
+            return (await client.query(`
+                INSERT INTO sales (
+                    "cookieType", "productId", quantity, "customerName", date, "saleType",
+                    "customerAddress", "customerPhone", "unitType",
+                    "amountCollected", "amountDue", "paymentMethod",
+                    "orderNumber", "orderType", "orderStatus", "userId", season, "customerId"
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                RETURNING *
+            `, [
+                resolvedCookieType, resolvedProductId, quantity,
+                customer && customerId ? customer.name : sanitizedCustomerName, saleDate, validSaleType,
+                sanitizedCustomerAddress || (customer && customer.address), sanitizedCustomerPhone || (customer && customer.phone), validUnitType,
+                validAmountCollected, validAmountDue, validPaymentMethod,
+                sanitizedOrderNumber, sanitizedOrderType, sanitizedOrderStatus,
+                req.session.userId, saleSeason, customer ? customer.id : null
+            ])).rows[0];
+        });
+
+        logger.info('Sale added successfully', { saleId: newSale.id, cookieType, quantity, saleType: validSaleType, userId: req.session.userId });
+
+        webhooks.emitUserEvent(req.session.userId, 'sale.created', { sale: saleWebhookPayload(newSale) });
+
+        res.status(201).json(newSale);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        // Log error without sensitive request body data
+        logger.error('Error adding sale', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to add sale' });
+    }
+});
+
+// Update a sale (only owner can update)
+app.put('/api/sales/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { orderStatus, amountCollected, amountDue, date } = req.body;
+
+        // Check ownership
+        const existingSale = await db.getOne('SELECT "userId", season, "customerOrderId", "productId" FROM sales WHERE id = $1', [id]);
+        if (!existingSale) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        if (existingSale.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to edit this sale' });
+        }
+        if (existingSale.customerOrderId) {
+            return res.status(409).json({ error: 'This sale belongs to a customer order; change the order instead' });
+        }
+        if (await isSeasonArchived(existingSale.season)) {
+            return seasonArchivedResponse(res, existingSale.season);
+        }
+
+        // Dynamic update query construction
+        const updates = [];
+        const values = [];
+        let paramCount = 1;
+
+        if (orderStatus !== undefined) {
+            updates.push(`"orderStatus" = $${paramCount++}`);
+            values.push(orderStatus);
+        }
+
+        if (amountCollected !== undefined) {
+            updates.push(`"amountCollected" = $${paramCount++}`);
+            values.push(amountCollected);
+        }
+
+        if (amountDue !== undefined) {
+            updates.push(`"amountDue" = $${paramCount++}`);
+            values.push(amountDue);
+        }
+
+        if (date !== undefined) {
+            if (!date || isNaN(new Date(date).getTime())) {
+                return res.status(400).json({ error: 'Invalid date' });
+            }
+            // Product sales stay in their product's season; free-text sales move with their date
+            const season = existingSale.productId ? existingSale.season : await seasonForDate(date);
+            if (await isSeasonArchived(season)) {
+                return seasonArchivedResponse(res, season);
+            }
+            updates.push(`date = $${paramCount++}`);
+            values.push(date);
+            updates.push(`season = $${paramCount++}`);
+            values.push(season);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        values.push(id);
+
+        await db.run(`UPDATE sales SET ${updates.join(', ')} WHERE id = $${paramCount}`, values);
+
+        const updatedSale = await db.getOne('SELECT * FROM sales WHERE id = $1', [id]);
+        logger.info('Sale updated successfully', { saleId: id, updates, userId: req.session.userId });
+        res.json(updatedSale);
+    } catch (error) {
+        logger.error('Error updating sale', { error: error.message, stack: error.stack, saleId: req.params.id });
+        res.status(500).json({ error: 'Failed to update sale' });
+    }
+});
+
+// Delete a sale (only owner can delete)
+app.delete('/api/sales/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Check ownership
+        const existingSale = await db.getOne('SELECT "userId", season, "customerOrderId" FROM sales WHERE id = $1', [id]);
+        if (!existingSale) {
+            logger.warn('Attempted to delete non-existent sale', { saleId: id });
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        if (existingSale.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to edit this sale' });
+        }
+        if (existingSale.customerOrderId) {
+            return res.status(409).json({ error: 'This sale belongs to a customer order; take the order back from delivered instead' });
+        }
+        if (await isSeasonArchived(existingSale.season)) {
+            return seasonArchivedResponse(res, existingSale.season);
+        }
+
+        await db.run('DELETE FROM sales WHERE id = $1', [id]);
+
+        logger.info('Sale deleted successfully', { saleId: id, userId: req.session.userId });
+        res.json({ message: 'Sale deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting sale', { error: error.message, stack: error.stack, saleId: req.params.id });
+        res.status(500).json({ error: 'Failed to delete sale' });
+    }
+});
+
+// Get profile (for current user)
+app.get('/api/profile', auth.isAuthenticated, async (req, res) => {
+    try {
+        let profile = await db.getOne('SELECT * FROM profile WHERE "userId" = $1', [req.session.userId]);
+
+        // If no profile exists for this user, create one
+        if (!profile) {
+            const user = await db.getOne('SELECT "firstName", "lastName", email FROM users WHERE id = $1', [req.session.userId]);
+            const scoutName = user ? `${user.firstName} ${user.lastName}`.trim() : '';
+            const email = user ? user.email : '';
+
+            profile = await db.getOne(`
+                INSERT INTO profile ("userId", "scoutName", email, "goalBoxes", "goalAmount")
+                VALUES ($1, $2, $3, 0, 0)
+                RETURNING *
+            `, [req.session.userId, scoutName, email]);
+        }
+
+        // Also fetch normalized inventory from scout_inventory
+        const normalizedInventory = await db.getAll(`
+            SELECT si."productId", si.quantity, cp."cookieName", cp."shortName",
+                   cp."pricePerBox", cp."sortOrder"
+            FROM scout_inventory si
+            JOIN cookie_products cp ON si."productId" = cp.id
+            WHERE si."userId" = $1 AND cp."isActive" = true
+            ORDER BY cp."sortOrder"
+        `, [req.session.userId]);
+
+        const result = profile || {
+            userId: req.session.userId,
+            photoData: null,
+            qrCodeUrl: null,
+            goalBoxes: 0,
+            goalAmount: 0,
+            inventoryThinMints: 0,
+            inventorySamoas: 0,
+            inventoryTagalongs: 0,
+            inventoryTrefoils: 0,
+            inventoryDosiDos: 0,
+            inventoryLemonUps: 0,
+            inventoryAdventurefuls: 0,
+            inventoryExploremores: 0,
+            inventoryToffeetastic: 0
+        };
+        result.inventory = normalizedInventory;
+        res.json(result);
+    } catch (error) {
+        logger.error('Error fetching profile', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+// Update profile (for current user)
+app.put('/api/profile', auth.isAuthenticated, async (req, res) => {
+    try {
+        const {
+            photoData, qrCodeUrl, paymentQrCodeUrl, goalBoxes, goalAmount,
+            inventoryThinMints, inventorySamoas, inventoryTagalongs,
+            inventoryTrefoils, inventoryDosiDos, inventoryLemonUps,
+            inventoryAdventurefuls, inventoryExploremores, inventoryToffeetastic
+        } = req.body;
+
+        // Helper function to validate numeric values
+        const validateNumber = (value) => (typeof value === 'number' && value >= 0) ? value : 0;
+
+        // Validate goalBoxes and goalAmount
+        const validGoalBoxes = validateNumber(goalBoxes);
+        const validGoalAmount = validateNumber(goalAmount);
+
+        // Validate inventory values
+        const inventoryFields = [
+            inventoryThinMints, inventorySamoas, inventoryTagalongs,
+            inventoryTrefoils, inventoryDosiDos, inventoryLemonUps,
+            inventoryAdventurefuls, inventoryExploremores, inventoryToffeetastic
+        ];
+        const validatedInventory = inventoryFields.map(validateNumber);
+
+        // Check if profile exists for this user
+        const existingProfile = await db.getOne('SELECT id FROM profile WHERE "userId" = $1', [req.session.userId]);
+
+        if (existingProfile) {
+            // Update existing profile
+            await db.run(`
+                UPDATE profile
+                SET "photoData" = COALESCE($1, "photoData"),
+                    "qrCodeUrl" = COALESCE($2, "qrCodeUrl"),
+                    "paymentQrCodeUrl" = COALESCE($3, "paymentQrCodeUrl"),
+                    "goalBoxes" = $4,
+                    "goalAmount" = $5,
+                    "inventoryThinMints" = $6,
+                    "inventorySamoas" = $7,
+                    "inventoryTagalongs" = $8,
+                    "inventoryTrefoils" = $9,
+                    "inventoryDosiDos" = $10,
+                    "inventoryLemonUps" = $11,
+                    "inventoryAdventurefuls" = $12,
+                    "inventoryExploremores" = $13,
+                    "inventoryToffeetastic" = $14
+                WHERE "userId" = $15
+            `, [
+                photoData, qrCodeUrl, paymentQrCodeUrl, validGoalBoxes, validGoalAmount,
+                ...validatedInventory,
+                req.session.userId
+            ]);
+        } else {
+            // Create new profile
+            const user = await db.getOne('SELECT "firstName", "lastName", email FROM users WHERE id = $1', [req.session.userId]);
+            const scoutName = user ? `${user.firstName} ${user.lastName}`.trim() : '';
+            const email = user ? user.email : '';
+
+            await db.run(`
+                INSERT INTO profile (
+                    "userId", "scoutName", email, "photoData", "qrCodeUrl", "paymentQrCodeUrl",
+                    "goalBoxes", "goalAmount",
+                    "inventoryThinMints", "inventorySamoas", "inventoryTagalongs",
+                    "inventoryTrefoils", "inventoryDosiDos", "inventoryLemonUps",
+                    "inventoryAdventurefuls", "inventoryExploremores", "inventoryToffeetastic"
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            `, [
+                req.session.userId, scoutName, email,
+                photoData, qrCodeUrl, paymentQrCodeUrl, validGoalBoxes, validGoalAmount,
+                ...validatedInventory
+            ]);
+        }
+
+        const updatedProfile = await db.getOne('SELECT * FROM profile WHERE "userId" = $1', [req.session.userId]);
+        logger.info('Profile updated successfully', {
+            userId: req.session.userId,
+            updates: {
+                hasPhoto: !!photoData,
+                hasStoreQr: !!qrCodeUrl,
+                hasPaymentQr: !!paymentQrCodeUrl,
+                goalBoxes: validGoalBoxes
+            }
+        });
+        res.json(updatedProfile);
+    } catch (error) {
+        logger.error('Error updating profile', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// ============================================================================
+// Normalized Inventory Endpoints (scout_inventory table)
+// ============================================================================
+
+// Get current user's inventory (product-based)
+app.get('/api/inventory', auth.isAuthenticated, async (req, res) => {
+    try {
+        const inventory = await db.getAll(`
+            SELECT si.id, si."productId", si.quantity, si."lastUpdated",
+                   cp."cookieName", cp."shortName", cp."pricePerBox", cp."boxesPerCase",
+                   cp."imageUrl", cp."sortOrder",
+                   b."bakerName", b."bakerCode"
+            FROM scout_inventory si
+            JOIN cookie_products cp ON si."productId" = cp.id
+            LEFT JOIN bakers b ON cp."bakerId" = b.id
+            WHERE si."userId" = $1 AND cp."isActive" = true
+            ORDER BY cp."sortOrder", cp."cookieName"
+        `, [req.session.userId]);
+        res.json(inventory);
+    } catch (error) {
+        logger.error('Error fetching inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch inventory' });
+    }
+});
+
+/**
+ * Troop whose inventory ledger records a user's own counts: the one requested, or the first they joined
+ * @param {string} userId - User ID
+ * @param {string} [troopId] - Requested troop
+ * @returns {Promise<string|null>} Troop ID, or null if the user is not an active member
+ */
+async function getInventoryTroopId(userId, troopId) {
+    const membership = await db.getOne(`
+        SELECT "troopId" FROM troop_members
+        WHERE "userId" = $1 AND status = 'active' AND ($2::uuid IS NULL OR "troopId" = $2::uuid)
+        ORDER BY "joinDate", id
+        LIMIT 1
+    `, [userId, troopId || null]);
+    return membership ? membership.troopId : null;
+}
+
+/**
+ * Record a scout's own count of a product as a ledger adjustment against their current total
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} userId - Scout user ID
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Counted quantity
+ */
+async function recordInventoryCount(client, troopId, userId, productId, quantity) {
+    const current = await client.query(
+        'SELECT quantity FROM scout_inventory WHERE "userId" = $1 AND "productId" = $2 FOR UPDATE',
+        [userId, productId]
+    );
+    const delta = quantity - (current.rows[0]?.quantity || 0);
+    if (delta === 0) return;
+
+    const scout = { type: 'scout', userId };
+    await inventoryLedger.postTransaction(client, {
+        troopId,
+        type: 'adjust',
+        from: delta > 0 ? { type: 'adjustment' } : scout,
+        to: delta > 0 ? scout : { type: 'adjustment' },
+        items: [{ productId, quantity: Math.abs(delta) }],
+        reason: 'Inventory count entered by the scout',
+        createdBy: userId
+    });
+}
+
+// Update inventory for a specific product. The change is recorded in the troop's inventory ledger.
+app.put('/api/inventory/:productId', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const { quantity } = req.body;
+
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).json({ error: 'Quantity must be a non-negative whole number' });
+        }
+
+        // Verify product exists
+        const product = await db.getOne('SELECT id, season FROM cookie_products WHERE id = $1', [productId]);
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        if (await isSeasonArchived(product.season)) return seasonArchivedResponse(res, product.season);
+
+        const troopId = await getInventoryTroopId(req.session.userId, req.body.troopId);
+        if (!troopId) return res.status(400).json({ error: 'You must belong to a troop to track inventory' });
+
+        const result = await db.transaction(async (client) => {
+            await recordInventoryCount(client, troopId, req.session.userId, productId, quantity);
+            return (await client.query(
+                'SELECT * FROM scout_inventory WHERE "userId" = $1 AND "productId" = $2',
+                [req.session.userId, productId]
+            )).rows[0];
+        });
+
+        res.json(result || { userId: req.session.userId, productId, quantity: 0 });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error updating inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to update inventory' });
+    }
+});
+
+// Bulk update inventory (replace all)
+app.put('/api/inventory', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { items } = req.body;
+        if (!Array.isArray(items)) {
+            return res.status(400).json({ error: 'Items must be an array of { productId, quantity }' });
+        }
+
+        const troopId = await getInventoryTroopId(req.session.userId, req.body.troopId);
+        if (!troopId) return res.status(400).json({ error: 'You must belong to a troop to track inventory' });
+
+        // Stock of archived seasons is frozen
+        const archived = await db.getAll(`
+            SELECT cp.id FROM cookie_products cp
+            JOIN seasons se ON se.year = cp.season
+            WHERE se."archivedAt" IS NOT NULL AND cp.id::text = ANY($1)
+        `, [items.map(item => String(item.productId))]);
+        const archivedIds = archived.map(p => p.id);
+
+        await db.transaction(async (client) => {
+            for (const item of items) {
+                if (!item.productId || !Number.isInteger(item.quantity) || item.quantity < 0) continue;
+                if (archivedIds.includes(item.productId)) continue;
+                await recordInventoryCount(client, troopId, req.session.userId, item.productId, item.quantity);
+            }
+        });
+
+        // Return updated inventory
+        const inventory = await db.getAll(`
+            SELECT si.*, cp."cookieName", cp."shortName", cp."pricePerBox"
+            FROM scout_inventory si
+            JOIN cookie_products cp ON si."productId" = cp.id
+            WHERE si."userId" = $1 AND cp."isActive" = true
+            ORDER BY cp."sortOrder"
+        `, [req.session.userId]);
+
+        res.json(inventory);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error bulk updating inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to update inventory' });
+    }
+});
+
+// Get all donations (filtered by userId)
+app.get('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('view_donations'), resolveSeasonParam, async (req, res) => {
+    try {
+        const seasonFilter = buildSeasonFilter(req.season, 'season', 1);
+        const donations = await db.getAll(
+            `SELECT * FROM donations WHERE "userId" = $1${seasonFilter.clause} ORDER BY id DESC`,
+            [req.session.userId, ...seasonFilter.params]
+        );
+        res.json(donations);
+    } catch (error) {
+        logger.error('Error fetching donations', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch donations' });
+    }
+});
+
+// Add a new donation
+app.post('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_donations'), async (req, res) => {
+    try {
+        const { amount, donorName, date } = req.body;
+
+        if (!amount || amount <= 0) {
+            logger.warn('Invalid donation data received', { amount });
+            return res.status(400).json({ error: 'Invalid donation data' });
+        }
+
+        // Validate and sanitize donorName
+        const sanitizedDonorName = (donorName && donorName.trim()) || 'Anonymous';
+
+        // Validate and use current date if not provided or invalid
+        let donationDate = date;
+        if (!donationDate || isNaN(new Date(donationDate).getTime())) {
+            donationDate = new Date().toISOString();
+        }
+
+        const donationSeason = await seasonForDate(donationDate);
+        const newDonation = await db.getOne('INSERT INTO donations (amount, "donorName", date, "userId", season) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+            [amount, sanitizedDonorName, donationDate, req.session.userId, donationSeason]);
+
+        logger.info('Donation added successfully', { donationId: newDonation.id, amount, userId: req.session.userId });
+        res.status(201).json(newDonation);
+    } catch (error) {
+        logger.error('Error adding donation', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to add donation' });
+    }
+});
+
+// Delete a donation (only owner can delete)
+app.delete('/api/donations/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_donations'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Check ownership
+        const existingDonation = await db.getOne('SELECT "userId" FROM donations WHERE id = $1', [id]);
+        if (!existingDonation) {
+            logger.warn('Attempted to delete non-existent donation', { donationId: id });
+            return res.status(404).json({ error: 'Donation not found' });
+        }
+        // Check if user is deleting their own donation or is admin
+        if (existingDonation.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to delete this donation' });
+        }
+
+        await db.run('DELETE FROM donations WHERE id = $1', [id]);
+
+        logger.info('Donation deleted successfully', { donationId: id, userId: req.session.userId });
+        res.json({ message: 'Donation deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting donation', { error: error.message, stack: error.stack, donationId: req.params.id });
+        res.status(500).json({ error: 'Failed to delete donation' });
+    }
+});
+
+// Get all events (filtered by userId)
+app.get('/api/events', auth.isAuthenticated, async (req, res) => {
+    try {
+        const events = await db.getAll('SELECT * FROM events WHERE "userId" = $1 ORDER BY "eventDate" DESC', [req.session.userId]);
+        res.json(events);
+    } catch (error) {
+        logger.error('Error fetching events', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch events' });
+    }
+});
+
+// Add a new event
+app.post('/api/events', auth.isAuthenticated, async (req, res) => {
+    try {
+        const {
+            eventName,
+            eventDate,
+            description,
+            initialBoxes,
+            initialCases,
+            remainingBoxes,
+            remainingCases,
+            donationsReceived,
+            troopId,
+            eventType,
+            startTime,
+            endTime,
+            location,
+            targetGroup
+        } = req.body;
+
+        if (!eventName || !eventDate) {
+            logger.warn('Invalid event data received', { eventName, eventDate });
+            return res.status(400).json({ error: 'Event name and date are required' });
+        }
+
+        // Validate and sanitize eventName
+        const sanitizedEventName = eventName.trim();
+        if (!sanitizedEventName) {
+            logger.warn('Empty event name received');
+            return res.status(400).json({ error: 'Event name cannot be empty' });
+        }
+
+        // Validate and use current date if not provided or invalid
+        let validEventDate = eventDate;
+        if (!validEventDate || isNaN(new Date(validEventDate).getTime())) {
+            validEventDate = new Date().toISOString();
+        }
+
+        // Validate numeric fields
+        const validInitialBoxes = (typeof initialBoxes === 'number' && initialBoxes >= 0) ? initialBoxes : 0;
+        const validInitialCases = (typeof initialCases === 'number' && initialCases >= 0) ? initialCases : 0;
+        const validRemainingBoxes = (typeof remainingBoxes === 'number' && remainingBoxes >= 0) ? remainingBoxes : 0;
+        const validRemainingCases = (typeof remainingCases === 'number' && remainingCases >= 0) ? remainingCases : 0;
+        const validDonationsReceived = (typeof donationsReceived === 'number' && donationsReceived >= 0) ? donationsReceived : 0;
+        const sanitizedDescription = (description && description.trim()) || null;
+
+        // Verify troop membership if troopId is provided
+        if (troopId) {
+            const membership = await db.getOne(
+                'SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
+                [troopId, req.session.userId]
+            );
+            if (!membership && req.session.userRole !== 'admin') {
+                return res.status(403).json({ error: 'You are not an active member of this troop' });
+            }
+        }
+
+        const newEvent = await db.getOne(`
+            INSERT INTO events (
+                "eventName", "eventDate", description,
+                "initialBoxes", "initialCases", "remainingBoxes", "remainingCases",
+                "donationsReceived", "userId", "troopId",
+                "eventType", "startTime", "endTime", "location", "targetGroup"
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            RETURNING *
+        `, [
+            sanitizedEventName, validEventDate, sanitizedDescription,
+            validInitialBoxes, validInitialCases, validRemainingBoxes, validRemainingCases,
+            validDonationsReceived, req.session.userId, troopId || null,
+            eventType || 'event', startTime || null, endTime || null, location || null, targetGroup || 'Troop'
+        ]);
+
+        logger.info('Event added successfully', { eventId: newEvent.id, eventName: sanitizedEventName, userId: req.session.userId, troopId });
+        res.status(201).json(newEvent);
+    } catch (error) {
+        logger.error('Error adding event', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to add event' });
+    }
+});
+
+// Update an event (only owner can update)
+app.put('/api/events/:id', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const {
+            eventName,
+            eventDate,
+            description,
+            initialBoxes,
+            initialCases,
+            remainingBoxes,
+            remainingCases,
+            donationsReceived,
+            eventType,
+            startTime,
+            endTime,
+            location,
+            targetGroup
+        } = req.body;
+
+        // Check ownership
+        const existingEvent = await db.getOne('SELECT "userId" FROM events WHERE id = $1', [id]);
+        if (!existingEvent) {
+            logger.warn('Attempted to update non-existent event', { eventId: id });
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (existingEvent.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to edit this event' });
+        }
+
+        if (!eventName || !eventDate) {
+            logger.warn('Invalid event data received', { eventName, eventDate });
+            return res.status(400).json({ error: 'Event name and date are required' });
+        }
+
+        // Validate and sanitize eventName
+        const sanitizedEventName = eventName.trim();
+        if (!sanitizedEventName) {
+            logger.warn('Empty event name received');
+            return res.status(400).json({ error: 'Event name cannot be empty' });
+        }
+
+        // Validate and use current date if not provided or invalid
+        let validEventDate = eventDate;
+        if (!validEventDate || isNaN(new Date(validEventDate).getTime())) {
+            validEventDate = new Date().toISOString();
+        }
+
+        // Validate numeric fields
+        const validInitialBoxes = (typeof initialBoxes === 'number' && initialBoxes >= 0) ? initialBoxes : 0;
+        const validInitialCases = (typeof initialCases === 'number' && initialCases >= 0) ? initialCases : 0;
+        const validRemainingBoxes = (typeof remainingBoxes === 'number' && remainingBoxes >= 0) ? remainingBoxes : 0;
+        const validRemainingCases = (typeof remainingCases === 'number' && remainingCases >= 0) ? remainingCases : 0;
+        const validDonationsReceived = (typeof donationsReceived === 'number' && donationsReceived >= 0) ? donationsReceived : 0;
+        const sanitizedDescription = (description && description.trim()) || null;
+
+        await db.run(`
+            UPDATE events
+            SET "eventName" = $1,
+                "eventDate" = $2,
+                description = $3,
+                "initialBoxes" = $4,
+                "initialCases" = $5,
+                "remainingBoxes" = $6,
+                "remainingCases" = $7,
+                "donationsReceived" = $8,
+                "eventType" = COALESCE($10, "eventType"),
+                "startTime" = COALESCE($11, "startTime"),
+                "endTime" = COALESCE($12, "endTime"),
+                "location" = COALESCE($13, "location"),
+                "targetGroup" = COALESCE($14, "targetGroup")
+            WHERE id = $9
+        `, [
+            sanitizedEventName, validEventDate, sanitizedDescription,
+            validInitialBoxes, validInitialCases, validRemainingBoxes, validRemainingCases,
+            validDonationsReceived, id,
+            eventType, startTime, endTime, location, targetGroup
+        ]);
+
+        const updatedEvent = await db.getOne('SELECT * FROM events WHERE id = $1', [id]);
+        logger.info('Event updated successfully', { eventId: id, userId: req.session.userId });
+        res.json(updatedEvent);
+    } catch (error) {
+        logger.error('Error updating event', { error: error.message, stack: error.stack, eventId: req.params.id });
+        res.status(500).json({ error: 'Failed to update event' });
+    }
+});
+
+// Delete an event (only owner can delete)
+app.delete('/api/events/:id', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Check ownership
+        const existingEvent = await db.getOne('SELECT "userId" FROM events WHERE id = $1', [id]);
+        if (!existingEvent) {
+            logger.warn('Attempted to delete non-existent event', { eventId: id });
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (existingEvent.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to edit this event' });
+        }
+
+        await db.run('DELETE FROM events WHERE id = $1', [id]);
+
+        logger.info('Event deleted successfully', { eventId: id, userId: req.session.userId });
+        res.json({ message: 'Event deleted successfully' });
+    } catch (error) {
+        logger.error('Error deleting event', { error: error.message, stack: error.stack, eventId: req.params.id });
+        res.status(500).json({ error: 'Failed to delete event' });
+    }
+});
+
+// Import the caller's own sales from a Digital Cookie or eBudde XLSX report
+app.post('/api/import', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), upload.single('file'), resolveSeasonParam, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { prepared, applied } = await db.transaction(async (client) => {
+            const prepared = await prepareSalesImport(client, req, { troopId: null, scoutId: userId });
+            const applied = await salesImport.applyImport(client, prepared.plan, {
+                source: prepared.format,
+                season: prepared.season,
+                resolveCustomer: customers.resolveSaleCustomer
+            });
+            return { prepared, applied };
+        });
+
+        for (const sale of applied.created) {
+            webhooks.emitUserEvent(userId, 'sale.created', { sale: saleWebhookPayload(sale) });
+        }
+
+        logger.info('XLSX import completed', {
+            filename: req.file.originalname,
+            format: prepared.format,
+            ...prepared.plan.summary,
+            importedSales: applied.created.length,
+            userId
+        });
+
+        res.json({
+            message: 'Import successful',
+            format: prepared.format,
+            ordersProcessed: prepared.plan.summary.orders,
+            salesImported: applied.created.length,
+            salesUpdated: applied.updated.length,
+            salesRemoved: applied.deleted,
+            summary: prepared.plan.summary
+        });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error importing XLSX', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to import file' });
+    }
+});
+
+// Get payment methods (filtered by userId)
+app.get('/api/payment-methods', auth.isAuthenticated, async (req, res) => {
+    try {
+        const methods = await db.getAll('SELECT * FROM payment_methods WHERE "userId" = $1 ORDER BY id ASC', [req.session.userId]);
+        res.json(methods);
+    } catch (error) {
+        logger.error('Error fetching payment methods', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch payment methods' });
+    }
+});
+
+// Add payment method
+app.post('/api/payment-methods', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { name, url } = req.body;
+
+        if (!name || !url) {
+            return res.status(400).json({ error: 'Name and URL are required' });
+        }
+
+        const newMethod = await db.getOne('INSERT INTO payment_methods (name, url, "userId") VALUES ($1, $2, $3) RETURNING *',
+            [name.trim(), url.trim(), req.session.userId]);
+
+        logger.info('Payment method added', { id: newMethod.id, name, userId: req.session.userId });
+        res.status(201).json(newMethod);
+    } catch (error) {
+        logger.error('Error adding payment method', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to add payment method' });
+    }
+});
+
+// Delete payment method (only owner can delete)
+app.delete('/api/payment-methods/:id', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Check ownership
+        const existingMethod = await db.getOne('SELECT "userId" FROM payment_methods WHERE id = $1', [id]);
+        if (!existingMethod) {
+            return res.status(404).json({ error: 'Payment method not found' });
+        }
+        // Check if user is deleting their own payment method or is admin
+        if (existingMethod.userId !== req.session.userId && req.session.userRole !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to delete this payment method' });
+        }
+
+        await db.run('DELETE FROM payment_methods WHERE id = $1', [id]);
+
+        logger.info('Payment method deleted', { id, userId: req.session.userId });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting payment method', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to delete payment method' });
+    }
+});
+
+
+
+// Delete all sales (only current user's sales)
+app.delete('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_own_data'), async (req, res) => {
+    try {
+        const result = await db.run('DELETE FROM sales WHERE "userId" = $1', [req.session.userId]);
+        logger.info('All user sales deleted', { deletedCount: result.rowCount, userId: req.session.userId });
+        res.json({ success: true, deletedCount: result.rowCount });
+    } catch (error) {
+        logger.error('Failed to delete sales', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete sales' });
+    }
+});
+
+// Delete all donations (only current user's donations)
+app.delete('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_own_data'), async (req, res) => {
+    try {
+        const result = await db.run('DELETE FROM donations WHERE "userId" = $1', [req.session.userId]);
+        logger.info('All user donations deleted', { deletedCount: result.rowCount, userId: req.session.userId });
+        res.json({ success: true, deletedCount: result.rowCount });
+    } catch (error) {
+        logger.error('Failed to delete donations', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete donations' });
+    }
+});
+
+// Delete all data (only current user's sales and donations)
+app.delete('/api/data', auth.isAuthenticated, async (req, res) => {
+    try {
+        const salesResult = await db.run('DELETE FROM sales WHERE "userId" = $1', [req.session.userId]);
+        const donationsResult = await db.run('DELETE FROM donations WHERE "userId" = $1', [req.session.userId]);
+
+        const results = { salesDeleted: salesResult.rowCount, donationsDeleted: donationsResult.rowCount };
+        logger.info('All user data cleared', { ...results, userId: req.session.userId });
+        res.json({ success: true, ...results });
+    } catch (error) {
+        logger.error('Failed to clear data', { error: error.message });
+        res.status(500).json({ error: 'Failed to clear data' });
+    }
+});
+
+
+
+// ============================================================================
+// Troop Management Routes (Phase 2)
+// ============================================================================
+
+// Get all troops for current user (as leader) or all troops (as admin)
+app.get('/api/troop/my-troops', auth.isAuthenticated, async (req, res) => {
+    try {
+        let troops;
+        if (req.session.userRole === 'admin') {
+            // Admin sees all troops
+            troops = await db.getAll(`
+                SELECT t.*, u."firstName" || ' ' || u."lastName" as "leaderName",
+                       (SELECT COUNT(*) FROM troop_members WHERE "troopId" = t.id AND status = 'active') as "memberCount"
+                FROM troops t
+                LEFT JOIN users u ON t."leaderId" = u.id
+                WHERE t."isActive" = true
+                ORDER BY t."troopNumber"
+            `);
+        } else {
+            // Troop leader sees troops where they are the leaderId OR an active leader/co-leader member
+            troops = await db.getAll(`
+                SELECT DISTINCT t.*, u."firstName" || ' ' || u."lastName" as "leaderName",
+                       (SELECT COUNT(*) FROM troop_members WHERE "troopId" = t.id AND status = 'active') as "memberCount",
+                       so."orgCode", so."orgName"
+                FROM troops t
+                LEFT JOIN users u ON t."leaderId" = u.id
+                LEFT JOIN scout_organizations so ON so.id = t."organizationId"
+                WHERE t."isActive" = true
+                  AND (
+                    t."leaderId" = $1
+                    OR EXISTS (
+                        SELECT 1 FROM troop_members tm
+                        WHERE tm."troopId" = t.id
+                          AND tm."userId" = $1
+                          AND tm.role IN ('troop_leader', 'co-leader', 'cookie_leader')
+                          AND tm.status = 'active'
+                    )
+                  )
+                ORDER BY t."troopNumber"
+            `, [req.session.userId]);
+        }
+        res.json(troops);
+    } catch (error) {
+        logger.error('Error fetching troops', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troops' });
+    }
+});
+
+// Get members of a specific troop with sales summaries
+app.get('/api/troop/:troopId/members', auth.isAuthenticated, auth.requirePrivilege('view_roster'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId } = req.params;
+
+        // Build scope filter for member visibility
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'u.id', req, 1);
+        const seasonFilter = buildSeasonFilter(req.season, 's.season', 1 + scopeFilter.params.length);
+
+        // Get members with their sales summaries
+        const members = await db.getAll(`
+            SELECT
+                u.id, u.email, u."firstName", u."lastName", u."photoUrl",
+                tm.role as "troopRole", tm."scoutLevel", tm.den, tm.position,
+                tm."linkedParentId", tm."joinDate", tm.status,
+                COALESCE(SUM(s.quantity), 0) as "totalBoxes",
+                COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
+                MAX(s.date) as "lastSaleDate"
+            FROM troop_members tm
+            JOIN users u ON tm."userId" = u.id
+            LEFT JOIN sales s ON s."userId" = u.id${seasonFilter.clause}
+            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}
+            GROUP BY u.id, tm.role, tm."scoutLevel", tm.den, tm.position, tm."linkedParentId", tm."joinDate", tm.status
+            ORDER BY u."lastName", u."firstName"
+        `, [troopId, ...scopeFilter.params, ...seasonFilter.params]);
+
+        res.json(members);
+    } catch (error) {
+        logger.error('Error fetching troop members', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troop members' });
+    }
+});
+
+// ============================================================================
+// USER PROFILE MANAGEMENT ENDPOINTS
+// ============================================================================
+
+// Get user profile
+app.get('/api/users/:userId',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('view_roster'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await db.getOne(`
+                SELECT id, email, "firstName", "lastName", "photoUrl",
+                       "dateOfBirth", "isMinor", "parentEmail", phone, address
+                FROM users
+                WHERE id = $1
+            `, [userId]);
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json(user);
+        } catch (error) {
+            logger.error('Error fetching user profile', { error: error.message });
+            res.status(500).json({ error: 'Failed to fetch user profile' });
+        }
+    }
+);
+
+// Update user profile
+app.put('/api/users/:userId',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('edit_personal_info'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { firstName, lastName, email, phone, address, dateOfBirth, photoUrl } = req.body;
+
+            // Validation
+            if (!firstName || !lastName) {
+                return res.status(400).json({ error: 'First and last name required' });
+            }
+
+            if (email && !auth.isValidEmail(email)) {
+                return res.status(400).json({ error: 'Invalid email format' });
+            }
+
+            // Check email uniqueness (if changing)
+            if (email) {
+                const existing = await db.getOne(
+                    'SELECT id FROM users WHERE email = $1 AND id != $2',
+                    [email, userId]
+                );
+                if (existing) {
+                    return res.status(400).json({ error: 'Email already in use' });
+                }
+            }
+
+            // Calculate isMinor from dateOfBirth
+            const isMinor = dateOfBirth ? auth.isMinor(dateOfBirth) : false;
+
+            const updated = await db.getOne(`
+                UPDATE users
+                SET "firstName" = $1,
+                    "lastName" = $2,
+                    email = COALESCE($3, email),
+                    phone = $4,
+                    address = $5,
+                    "dateOfBirth" = $6,
+                    "photoUrl" = $7,
+                    "isMinor" = $8
+                WHERE id = $9
+                RETURNING id, "firstName", "lastName", email, phone, address,
+                          "dateOfBirth", "photoUrl", "isMinor"
+            `, [firstName, lastName, email, phone, address, dateOfBirth, photoUrl, isMinor, userId]);
+
+            await auth.logAuditEvent(db, req.session.userId, 'update_user_profile', req, {
+                resourceType: 'user',
+                resourceId: userId,
+                changes: { firstName, lastName, email, phone, address, dateOfBirth }
+            });
+
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error updating user profile', { error: error.message });
+            res.status(500).json({ error: 'Failed to update user profile' });
+        }
+    }
+);
+
+// Update troop member data
+app.put('/api/troop/:troopId/members/:userId',
+    auth.isAuthenticated,
+    auth.requirePrivilege('manage_members'),
+    async (req, res) => {
+        try {
+            const { troopId, userId } = req.params;
+            const { role, scoutLevel, den, position, linkedParentId, additionalRoles } = req.body;
+
+            // Verify target is in scope
+            const inScope = await auth.isTargetInScope(req, userId);
+            if (!inScope) {
+                return res.status(403).json({ error: 'Member is outside your access scope' });
+            }
+
+            // Verify member exists
+            const member = await db.getOne(
+                'SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2',
+                [troopId, userId]
+            );
+            if (!member) {
+                return res.status(404).json({ error: 'Member not found in troop' });
+            }
+
+            // Validate linkedParentId if provided
+            if (linkedParentId) {
+                const parentExists = await db.getOne('SELECT id FROM users WHERE id = $1', [linkedParentId]);
+                if (!parentExists) {
+                    return res.status(400).json({ error: 'Parent user not found' });
+                }
+            }
+
+            const updated = await db.getOne(`
+                UPDATE troop_members
+                SET role = COALESCE($1, role),
+                    "scoutLevel" = $2,
+                    den = $3,
+                    position = $4,
+                    "linkedParentId" = $5,
+                    "additionalRoles" = $6
+                WHERE "troopId" = $7 AND "userId" = $8
+                RETURNING *
+            `, [
+                role,
+                scoutLevel,
+                den,
+                position,
+                linkedParentId,
+                additionalRoles ? JSON.stringify(additionalRoles) : null,
+                troopId,
+                userId
+            ]);
+
+            await auth.logAuditEvent(db, req.session.userId, 'update_troop_member', req, {
+                resourceType: 'troop_member',
+                resourceId: userId,
+                troopId,
+                changes: { role, scoutLevel, den, position, linkedParentId }
+            });
+
+            res.json(updated);
+        } catch (error) {
+            logger.error('Error updating troop member', { error: error.message });
+            res.status(500).json({ error: 'Failed to update troop member' });
+        }
+    }
+);
+
+// Search for parent users to link
+app.get('/api/troop/:troopId/parents',
+    auth.isAuthenticated,
+    auth.requirePrivilege('view_roster'),
+    async (req, res) => {
+        try {
+            const { troopId } = req.params;
+            const { search } = req.query;
+
+            let query = `
+                SELECT DISTINCT u.id, u."firstName", u."lastName", u.email
+                FROM users u
+                JOIN troop_members tm ON u.id = tm."userId"
+                WHERE tm."troopId" = $1
+                  AND tm.role IN ('parent', 'volunteer', 'co-leader', 'troop_leader')
+                  AND tm.status = 'active'
+            `;
+
+            const params = [troopId];
+
+            if (search) {
+                query += ` AND (
+                    u."firstName" ILIKE $2 OR
+                    u."lastName" ILIKE $2 OR
+                    u.email ILIKE $2
+                )`;
+                params.push(`%${search}%`);
+            }
+
+            query += ` ORDER BY u."lastName", u."firstName" LIMIT 50`;
+
+            const parents = await db.getAll(query, params);
+            res.json(parents);
+        } catch (error) {
+            logger.error('Error fetching parents', { error: error.message });
+            res.status(500).json({ error: 'Failed to fetch parents' });
+        }
+    }
+);
+
+// ============================================================================
+// PASSWORD RESET ENDPOINTS
+// ============================================================================
+
+// Initiate password reset
+app.post('/api/users/:userId/password-reset-request',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('edit_personal_info'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [userId]);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (!user.email) {
+                return res.status(400).json({ error: 'User has no email address on file' });
+            }
+
+            const resetToken = await auth.createPasswordResetToken(db, userId, req.session.userId, req, 60);
+
+            // The token only ever leaves the server inside the reset email
+            await mailer.queueEmail({
+                to: user.email,
+                userId: user.id,
+                template: 'password_reset',
+                data: { firstName: user.firstName, token: resetToken, expiresInMinutes: 60 }
+            });
+
+            await auth.logAuditEvent(db, req.session.userId, 'request_password_reset', req, {
+                resourceType: 'user',
+                resourceId: userId
+            });
+
+            res.json({ message: 'Password reset email sent' });
+        } catch (error) {
+            logger.error('Error initiating password reset', { error: error.message });
+            res.status(500).json({ error: 'Failed to initiate password reset' });
+        }
+    }
+);
+
+// Self-service password reset rate limits (per client IP and per email address)
+const forgotPasswordIpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5,
+    message: { error: 'Too many password reset requests. Please try again later.' }
+});
+
+const forgotPasswordEmailLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    keyGenerator: (req) => String((req.body && req.body.email) || '').trim().toLowerCase(),
+    message: { error: 'Too many password reset requests. Please try again later.' }
+});
+
+// Request a password reset link by email (unauthenticated)
+app.post('/api/auth/forgot-password', forgotPasswordIpLimiter, forgotPasswordEmailLimiter, async (req, res) => {
+    // Same response whether or not the account exists, so addresses cannot be probed
+    const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
+
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!email || !auth.isValidEmail(email)) {
+            return res.status(400).json({ error: 'Valid email address required' });
+        }
+
+        const user = await db.getOne(
+            'SELECT id, email, "firstName" FROM users WHERE LOWER(email) = $1 AND "isActive" = true',
+            [email]
+        );
+
+        if (user) {
+            const resetToken = await auth.createPasswordResetToken(db, user.id, null, req, 60);
+            await mailer.queueEmail({
+                to: user.email,
+                userId: user.id,
+                template: 'password_reset',
+                data: { firstName: user.firstName, token: resetToken, expiresInMinutes: 60 }
+            });
+            await auth.logAuditEvent(db, user.id, 'forgot_password_request', req, {
+                resourceType: 'user',
+                resourceId: user.id
+            });
+        } else {
+            logger.info('Forgot-password request for unknown or inactive email');
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        logger.error('Error handling forgot-password request', { error: error.message });
+        res.json(genericResponse);
+    }
+});
 
-// Protect the main page - redirect to login if not authenticated
-app.get('/', (req, res, next) => {
-    if (!req.session || !req.session.userId) {
-        return res.redirect('/login.html');
+// Complete password reset using token
+app.post('/api/users/password-reset', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Token and new password required' });
+        }
+
+        // Validate password strength (reuse existing validation)
+        if (newPassword.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        // Hash new password
+        const passwordHash = await auth.hashPassword(newPassword);
+
+        // Consume the token, update the password and invalidate every other outstanding
+        // reset token for the user. Claiming the token in the same statement that checks
+        // it means two requests with one token cannot both succeed.
+        const user = await db.transaction(async (client) => {
+            const claimed = (await client.query(`
+                UPDATE password_reset_tokens SET "usedAt" = NOW()
+                WHERE "tokenHash" = $1 AND "usedAt" IS NULL AND "expiresAt" > NOW()
+                RETURNING "userId"
+            `, [auth.hashToken(token)])).rows[0];
+            if (!claimed) throw Object.assign(new Error('Invalid or expired reset token'), { status: 400 });
+
+            await client.query(`
+                UPDATE users
+                SET password_hash = $1,
+                    "passwordResetToken" = NULL,
+                    "passwordResetExpires" = NULL,
+                    "lastPasswordChange" = NOW(),
+                    "failedLoginAttempts" = 0,
+                    "lockedUntil" = NULL
+                WHERE id = $2
+            `, [passwordHash, claimed.userId]);
+            await client.query(`
+                UPDATE password_reset_tokens SET "usedAt" = NOW()
+                WHERE "userId" = $1 AND "usedAt" IS NULL
+            `, [claimed.userId]);
+            return { id: claimed.userId };
+        });
+
+        await auth.logAuditEvent(db, user.id, 'password_reset_complete', req, {
+            resourceType: 'user',
+            resourceId: user.id
+        });
+
+        res.json({ message: 'Password reset successful' });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error completing password reset', { error: error.message });
+        res.status(500).json({ error: 'Failed to reset password' });
     }
-    next();
 });
 
-app.get('/index.html', (req, res, next) => {
-    if (!req.session || !req.session.userId) {
-        return res.redirect('/login.html');
+// ============================================================================
+// PARENTAL CONSENT ENDPOINTS (COPPA)
+// ============================================================================
+
+// Get a minor's consent status and full consent trail
+app.get('/api/users/:userId/consent',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('view_scout_profiles'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+
+            const user = await db.getOne(
+                'SELECT id, "isMinor", "parentEmail", "parentalConsentStatus" FROM users WHERE id = $1',
+                [userId]
+            );
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const records = await db.getAll(`
+                SELECT pcr.id, pcr.status, pcr.method, pcr."parentUserId", pcr."parentName", pcr."parentEmail",
+                       pcr.notes, pcr."ipAddress", pcr."createdAt",
+                       r."firstName" as "recordedByFirstName", r."lastName" as "recordedByLastName"
+                FROM parental_consent_records pcr
+                LEFT JOIN users r ON r.id = pcr."recordedBy"
+                WHERE pcr."userId" = $1
+                ORDER BY pcr."createdAt" DESC
+            `, [userId]);
+
+            res.json({
+                isMinor: user.isMinor,
+                parentEmail: user.parentEmail,
+                consentStatus: user.parentalConsentStatus,
+                records
+            });
+        } catch (error) {
+            logger.error('Error fetching consent trail', { error: error.message });
+            res.status(500).json({ error: 'Failed to fetch consent trail' });
+        }
+    }
+);
+
+// Email a consent request to the minor's parent/guardian
+app.post('/api/users/:userId/consent/request',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('edit_scout_status'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const parentEmail = req.body.parentEmail ? req.body.parentEmail.trim() : null;
+
+            const user = await db.getOne(
+                'SELECT id, "isMinor", "parentEmail", "parentalConsentStatus" FROM users WHERE id = $1',
+                [userId]
+            );
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (!user.isMinor) {
+                return res.status(400).json({ error: 'Parental consent is only required for scouts under 13' });
+            }
+            if (['granted', 'revoked'].includes(user.parentalConsentStatus)) {
+                return res.status(400).json({ error: `Consent has already been ${user.parentalConsentStatus}` });
+            }
+            if (parentEmail && !auth.isValidEmail(parentEmail)) {
+                return res.status(400).json({ error: 'Invalid parent email address' });
+            }
+
+            const recipient = parentEmail || user.parentEmail;
+            if (!recipient) {
+                return res.status(400).json({ error: 'Parent/guardian email is required' });
+            }
+            if (parentEmail) {
+                await db.run('UPDATE users SET "parentEmail" = $1 WHERE id = $2', [parentEmail, userId]);
+            }
+
+            await auth.requestParentalConsent(db, userId, recipient, { requestedBy: req.session.userId, req });
+
+            await auth.logAuditEvent(db, req.session.userId, 'parent_consent_requested', req, {
+                resourceType: 'user',
+                resourceId: userId
+            });
+
+            res.json({ message: 'Consent request sent' });
+        } catch (error) {
+            logger.error('Error requesting consent', { error: error.message });
+            res.status(500).json({ error: 'Failed to request consent' });
+        }
+    }
+);
+
+// Record consent collected offline (signed form or in person), or a revocation received by a leader
+app.post('/api/users/:userId/consent',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('edit_scout_status'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { status, method, parentName, parentEmail, notes, confirm } = req.body;
+
+            if (!['granted', 'revoked'].includes(status)) {
+                return res.status(400).json({ error: 'Status must be granted or revoked' });
+            }
+            if (!['signed_form', 'in_person'].includes(method)) {
+                return res.status(400).json({ error: 'Method must be signed_form or in_person' });
+            }
+            if (!parentName || !parentName.trim()) {
+                return res.status(400).json({ error: 'Parent/guardian name is required' });
+            }
+            if (status === 'revoked' && confirm !== true) {
+                return res.status(400).json({ error: 'Revocation anonymizes the account and must be confirmed' });
+            }
+
+            const user = await db.getOne('SELECT id, "isMinor", "parentalConsentStatus" FROM users WHERE id = $1', [userId]);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            if (!user.isMinor) {
+                return res.status(400).json({ error: 'Parental consent is only required for scouts under 13' });
+            }
+            if (user.parentalConsentStatus === 'revoked') {
+                return res.status(400).json({ error: 'Consent has already been revoked' });
+            }
+
+            const details = {
+                method,
+                parentName: parentName.trim(),
+                parentEmail: parentEmail || null,
+                notes: notes || null,
+                recordedBy: req.session.userId,
+                req
+            };
+
+            if (status === 'revoked') {
+                await auth.revokeParentalConsent(db, userId, details);
+            } else {
+                await auth.recordParentalConsent(db, userId, 'granted', details);
+            }
+
+            await auth.logAuditEvent(db, req.session.userId,
+                status === 'revoked' ? 'parent_consent_revoked' : 'parent_consent_provided', req, {
+                    resourceType: 'user',
+                    resourceId: userId,
+                    method
+                });
+
+            res.json({ message: status === 'revoked' ? 'Consent revoked and account anonymized' : 'Consent recorded' });
+        } catch (error) {
+            logger.error('Error recording consent', { error: error.message });
+            res.status(500).json({ error: 'Failed to record consent' });
+        }
+    }
+);
+
+// ============================================================================
+// PERSONAL ACCESS TOKEN ENDPOINTS
+// ============================================================================
+
+const API_TOKEN_DEFAULT_DAYS = 90;
+const API_TOKEN_MAX_DAYS = 365;
+
+/**
+ * Privileges the session user holds in a troop, i.e. the scopes a new token may carry.
+ * Admins may grant any privilege. Returns null if the user is not an active member.
+ */
+async function getGrantablePrivileges(userId, troopId) {
+    const isAdmin = await auth.isAdmin(db, userId);
+    const member = await db.getOne(
+        'SELECT role FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
+        [troopId, userId]
+    );
+    if (!member && !isAdmin) {
+        return null;
+    }
+    if (isAdmin) {
+        return PRIVILEGE_DEFINITIONS.filter(p => !p.future).map(p => ({ code: p.code, name: p.name, category: p.category }));
+    }
+
+    const overrides = await db.getAll(
+        'SELECT "privilegeCode", scope FROM privilege_overrides WHERE "troopId" = $1 AND "userId" = $2',
+        [troopId, userId]
+    );
+    return buildEffectivePrivileges(member.role, overrides)
+        .filter(p => !p.future && p.effectiveScope !== 'none')
+        .map(p => ({ code: p.code, name: p.name, category: p.category }));
+}
+
+// List the current user's tokens and the troops a token can be issued for
+app.get('/api/tokens', auth.isAuthenticated, async (req, res) => {
+    try {
+        const tokens = await db.getAll(`
+            SELECT t.id, t.name, t."tokenPrefix", t.scopes, t."expiresAt", t."lastUsedAt", t."lastUsedIp",
+                   t."revokedAt", t."createdAt", t."troopId", tr."troopNumber"
+            FROM api_tokens t
+            JOIN troops tr ON tr.id = t."troopId"
+            WHERE t."userId" = $1
+            ORDER BY t."revokedAt" IS NOT NULL, t."createdAt" DESC
+        `, [req.session.userId]);
+
+        const troops = await db.getAll(`
+            SELECT t.id, t."troopNumber"
+            FROM troop_members tm
+            JOIN troops t ON t.id = tm."troopId"
+            WHERE tm."userId" = $1 AND tm.status = 'active'
+            ORDER BY t."troopNumber"
+        `, [req.session.userId]);
+
+        res.json({ tokens, troops });
+    } catch (error) {
+        logger.error('Error fetching API tokens', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch API tokens' });
     }
-    next();
 });
 
-// Setup wizard route - first-time admin account creation (no admin auth required if bootstrap needed)
-app.get('/setup-wizard.html', async (req, res, next) => {
+// Privileges the current user could grant to a token for a troop
+app.get('/api/tokens/privileges', auth.isAuthenticated, async (req, res) => {
     try {
-        // Check if bootstrap is needed
-        const adminCount = await db.getOne(
-            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
-        );
+        const { troopId } = req.query;
+        if (!troopId) {
+            return res.status(400).json({ error: 'troopId is required' });
+        }
+        const privileges = await getGrantablePrivileges(req.session.userId, troopId);
+        if (!privileges) {
+            return res.status(403).json({ error: 'Not a member of this troop' });
+        }
+        res.json(privileges);
+    } catch (error) {
+        logger.error('Error fetching grantable privileges', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch privileges' });
+    }
+});
 
-        if (Number(adminCount.count) > 0) {
-            // Bootstrap already complete, redirect to login
-            return res.redirect('/login.html');
+// Create a token. The raw value is returned once and only its hash is stored.
+app.post('/api/tokens', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { name, troopId, scopes } = req.body;
+        const expiresInDays = req.body.expiresInDays === undefined ? API_TOKEN_DEFAULT_DAYS : parseInt(req.body.expiresInDays);
+
+        if (!name || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({ error: 'Token name is required (max 100 characters)' });
+        }
+        if (!troopId) {
+            return res.status(400).json({ error: 'troopId is required' });
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ error: 'Select at least one privilege' });
+        }
+        const invalid = scopes.filter(code => !VALID_PRIVILEGE_CODES.includes(code));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid privilege code(s): ${invalid.join(', ')}` });
+        }
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_TOKEN_MAX_DAYS) {
+            return res.status(400).json({ error: `Expiry must be between 1 and ${API_TOKEN_MAX_DAYS} days` });
         }
 
-        // Check if user is authenticated
-        if (!req.session || !req.session.userId) {
-            return res.redirect('/login.html');
+        const grantable = await getGrantablePrivileges(req.session.userId, troopId);
+        if (!grantable) {
+            return res.status(403).json({ error: 'Not a member of this troop' });
+        }
+        const grantableCodes = grantable.map(p => p.code);
+        const notHeld = scopes.filter(code => !grantableCodes.includes(code));
+        if (notHeld.length > 0) {
+            return res.status(403).json({ error: `You do not hold these privileges in this troop: ${notHeld.join(', ')}` });
         }
 
-        // Bootstrap needed and user is authenticated, serve setup wizard
-        next();
+        const uniqueScopes = [...new Set(scopes)];
+        const rawToken = auth.generateApiToken();
+        const token = await db.getOne(`
+            INSERT INTO api_tokens ("userId", "troopId", name, "tokenHash", "tokenPrefix", scopes, "expiresAt")
+            VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' days')::interval)
+            RETURNING id, name, "tokenPrefix", scopes, "expiresAt", "troopId", "createdAt"
+        `, [req.session.userId, troopId, name.trim(), auth.hashToken(rawToken), rawToken.slice(0, 12), uniqueScopes, String(expiresInDays)]);
+
+        await auth.logAuditEvent(db, req.session.userId, 'api_token_created', req, {
+            resourceType: 'api_token',
+            resourceId: token.id,
+            troopId,
+            scopes: uniqueScopes,
+            expiresAt: token.expiresAt
+        });
+
+        res.status(201).json({ ...token, token: rawToken });
     } catch (error) {
-        logger.error('Setup wizard route error:', error);
-        res.status(500).send('Error checking bootstrap status');
+        logger.error('Error creating API token', { error: error.message });
+        res.status(500).json({ error: 'Failed to create API token' });
+    }
+});
+
+// Revoke a token (owner or admin)
+app.delete('/api/tokens/:id', auth.isAuthenticated, async (req, res) => {
+    try {
+        const token = await db.getOne('SELECT id, "userId", "revokedAt" FROM api_tokens WHERE id = $1', [req.params.id]);
+        if (!token || (token.userId !== req.session.userId && !await auth.isAdmin(db, req.session.userId))) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        if (token.revokedAt) {
+            return res.status(400).json({ error: 'Token is already revoked' });
+        }
+
+        await db.run('UPDATE api_tokens SET "revokedAt" = NOW() WHERE id = $1', [token.id]);
+
+        await auth.logAuditEvent(db, req.session.userId, 'api_token_revoked', req, {
+            resourceType: 'api_token',
+            resourceId: token.id,
+            ownerId: token.userId
+        });
+
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        logger.error('Error revoking API token', { error: error.message });
+        res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+});
+
+// ============================================================================
+// TROOP WEBHOOK ENDPOINTS
+// ============================================================================
+
+/**
+ * Validate webhook subscription fields. Returns an error message or null.
+ */
+function validateWebhookInput({ url, events, description }) {
+    if (!url || !webhooks.isValidEndpoint(url)) {
+        return 'A valid http(s) URL is required';
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Select at least one event';
+    }
+    const invalid = events.filter(e => !webhooks.WEBHOOK_EVENTS.includes(e));
+    if (invalid.length > 0) {
+        return `Invalid event type(s): ${invalid.join(', ')}`;
+    }
+    if (description && description.length > 255) {
+        return 'Description must be 255 characters or less';
+    }
+    return null;
+}
+
+// List a troop's webhook subscriptions with their latest delivery
+app.get('/api/troop/:troopId/webhooks', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const subscriptions = await db.getAll(`
+            SELECT s.id, s.url, s.description, s.events, s."isActive", s."createdAt", s."updatedAt",
+                   d.status AS "lastStatus", d."createdAt" AS "lastEventAt",
+                   (SELECT COUNT(*)::int FROM webhook_deliveries WHERE "subscriptionId" = s.id AND status = 'failed') AS "failedCount"
+            FROM webhook_subscriptions s
+            LEFT JOIN LATERAL (
+                SELECT status, "createdAt" FROM webhook_deliveries
+                WHERE "subscriptionId" = s.id ORDER BY "createdAt" DESC LIMIT 1
+            ) d ON true
+            WHERE s."troopId" = $1
+            ORDER BY s."createdAt"
+        `, [req.params.troopId]);
+
+        res.json({ webhooks: subscriptions, events: webhooks.WEBHOOK_EVENTS });
+    } catch (error) {
+        logger.error('Error fetching webhooks', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+// Create a subscription. The signing secret is returned once.
+app.post('/api/troop/:troopId/webhooks', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { url, description, events } = req.body;
+
+        const validationError = validateWebhookInput({ url, events, description });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        await webhooks.assertAllowedEndpoint(url);
+
+        const subscription = await db.getOne(`
+            INSERT INTO webhook_subscriptions ("troopId", url, description, events, secret, "createdBy")
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [troopId, url, description || null, [...new Set(events)], webhooks.generateSecret(), req.session.userId]);
+
+        await auth.logAuditEvent(db, req.session.userId, 'webhook_created', req, {
+            resourceType: 'webhook_subscription',
+            resourceId: subscription.id,
+            troopId,
+            url,
+            events: subscription.events
+        });
+
+        res.status(201).json(subscription);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('Error creating webhook', { error: error.message });
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// Update a subscription's URL, description, events or active flag
+app.put('/api/troop/:troopId/webhooks/:webhookId', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId, webhookId } = req.params;
+        const existing = await db.getOne('SELECT * FROM webhook_subscriptions WHERE id = $1 AND "troopId" = $2', [webhookId, troopId]);
+        if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+
+        const url = req.body.url !== undefined ? req.body.url : existing.url;
+        const events = req.body.events !== undefined ? req.body.events : existing.events;
+        const description = req.body.description !== undefined ? req.body.description : existing.description;
+        const isActive = req.body.isActive !== undefined ? !!req.body.isActive : existing.isActive;
+
+        const validationError = validateWebhookInput({ url, events, description });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (isActive) {
+            await webhooks.assertAllowedEndpoint(url);
+        }
+
+        const subscription = await db.getOne(`
+            UPDATE webhook_subscriptions
+            SET url = $1, description = $2, events = $3, "isActive" = $4, "updatedAt" = NOW()
+            WHERE id = $5
+            RETURNING id, url, description, events, "isActive", "createdAt", "updatedAt"
+        `, [url, description || null, [...new Set(events)], isActive, webhookId]);
+
+        await auth.logAuditEvent(db, req.session.userId, 'webhook_updated', req, {
+            resourceType: 'webhook_subscription',
+            resourceId: webhookId,
+            troopId,
+            url,
+            events: subscription.events,
+            isActive
+        });
+
+        res.json(subscription);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        logger.error('Error updating webhook', { error: error.message });
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// Replace the signing secret. The new secret is returned once.
+app.post('/api/troop/:troopId/webhooks/:webhookId/rotate-secret', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId, webhookId } = req.params;
+        const subscription = await db.getOne(`
+            UPDATE webhook_subscriptions SET secret = $1, "updatedAt" = NOW()
+            WHERE id = $2 AND "troopId" = $3
+            RETURNING id, secret
+        `, [webhooks.generateSecret(), webhookId, troopId]);
+        if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
+
+        await auth.logAuditEvent(db, req.session.userId, 'webhook_secret_rotated', req, {
+            resourceType: 'webhook_subscription',
+            resourceId: webhookId,
+            troopId
+        });
+
+        res.json(subscription);
+    } catch (error) {
+        logger.error('Error rotating webhook secret', { error: error.message });
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    }
+});
+
+app.delete('/api/troop/:troopId/webhooks/:webhookId', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId, webhookId } = req.params;
+        const rowCount = await db.run('DELETE FROM webhook_subscriptions WHERE id = $1 AND "troopId" = $2', [webhookId, troopId]);
+        if (rowCount === 0) return res.status(404).json({ error: 'Webhook not found' });
+
+        await auth.logAuditEvent(db, req.session.userId, 'webhook_deleted', req, {
+            resourceType: 'webhook_subscription',
+            resourceId: webhookId,
+            troopId
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting webhook', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// Send a single webhook.test event (no retries) to one subscription
+app.post('/api/troop/:troopId/webhooks/:webhookId/test', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId, webhookId } = req.params;
+        const queued = await webhooks.emitEvent(troopId, webhooks.TEST_EVENT, {
+            message: 'This is a test event from Apex Scout Manager',
+            sentBy: req.session.userId
+        }, { subscriptionId: webhookId });
+        if (queued === 0) return res.status(404).json({ error: 'Webhook not found' });
+
+        res.json({ message: 'Test event queued' });
+    } catch (error) {
+        logger.error('Error sending test webhook', { error: error.message });
+        res.status(500).json({ error: 'Failed to send test event' });
     }
 });
 
-app.get('/setup-wizard', async (req, res) => {
+// Recent deliveries for a subscription, each with its attempt log
+app.get('/api/troop/:troopId/webhooks/:webhookId/deliveries', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
     try {
-        // Check if bootstrap is needed
-        const adminCount = await db.getOne(
-            'SELECT COUNT(*)::int as count FROM admins WHERE "revokedAt" IS NULL'
-        );
+        const { troopId, webhookId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
-        if (Number(adminCount.count) > 0) {
-            // Bootstrap already complete
-            return res.redirect('/admin');
-        }
+        const subscription = await db.getOne('SELECT id FROM webhook_subscriptions WHERE id = $1 AND "troopId" = $2', [webhookId, troopId]);
+        if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
 
-        // Check if user is authenticated
-        if (!req.session || !req.session.userId) {
-            return res.redirect('/login.html');
-        }
+        const deliveries = await db.getAll(`
+            SELECT d.id, d."eventId", d."eventType", d.status, d.attempts, d."maxAttempts", d."nextAttemptAt",
+                   d."responseStatus", d."lastError", d."deliveredAt", d."createdAt", d.payload,
+                   COALESCE((
+                       SELECT json_agg(a ORDER BY a."attemptNumber")
+                       FROM (
+                           SELECT "attemptNumber", status, "responseStatus", "durationMs", error, "attemptedAt"
+                           FROM webhook_delivery_attempts WHERE "deliveryId" = d.id
+                       ) a
+                   ), '[]') AS "attemptLog"
+            FROM webhook_deliveries d
+            WHERE d."subscriptionId" = $1
+            ORDER BY d."createdAt" DESC
+            LIMIT $2
+        `, [webhookId, limit]);
 
-        // Redirect to setup-wizard.html
-        res.redirect('/setup-wizard.html');
+        res.json(deliveries);
     } catch (error) {
-        logger.error('Setup wizard redirect error:', error);
-        res.status(500).send('Error checking bootstrap status');
+        logger.error('Error fetching webhook deliveries', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
     }
 });
 
-// Admin panel route - requires admin access
-app.get('/admin.html', auth.isAuthenticated, auth.requireAdmin, (req, res, next) => {
-    // Access already verified by middleware, continue to serve static file
-    next();
-});
+app.post('/api/troop/:troopId/webhooks/:webhookId/deliveries/:deliveryId/retry', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+    try {
+        const { troopId, webhookId, deliveryId } = req.params;
+        const delivery = await db.getOne(`
+            SELECT d.id FROM webhook_deliveries d
+            JOIN webhook_subscriptions s ON s.id = d."subscriptionId"
+            WHERE d.id = $1 AND s.id = $2 AND s."troopId" = $3
+        `, [deliveryId, webhookId, troopId]);
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
 
-app.get('/admin', auth.isAuthenticated, auth.requireAdmin, (req, res) => {
-    // Redirect to admin.html
-    res.redirect('/admin.html');
+        if (!await webhooks.retryDelivery(deliveryId)) {
+            return res.status(400).json({ error: 'Only failed deliveries can be retried' });
+        }
+        res.json({ message: 'Delivery requeued' });
+    } catch (error) {
+        logger.error('Error retrying webhook delivery', { error: error.message });
+        res.status(500).json({ error: 'Failed to retry delivery' });
+    }
 });
 
-app.use(express.static('public'));
-
 // ============================================================================
-// Authentication Routes
+// PAYMENT METHODS ENDPOINTS
 // ============================================================================
 
-// Register new user
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { email, password, firstName, lastName, dateOfBirth, parentEmail } = req.body;
+// Get user payment methods
+app.get('/api/users/:userId/payment-methods',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('view_sales'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
 
-        // Validate required fields
-        if (!email || !password || !firstName || !lastName) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+            const methods = await db.getAll(`
+                SELECT id, name, url, "isEnabled"
+                FROM payment_methods
+                WHERE "userId" = $1
+                ORDER BY "isEnabled" DESC, name ASC
+            `, [userId]);
 
-        // Validate email format
-        if (!auth.isValidEmail(email)) {
-            return res.status(400).json({ error: 'Invalid email format' });
+            res.json(methods);
+        } catch (error) {
+            logger.error('Error fetching payment methods', { error: error.message });
+            res.status(500).json({ error: 'Failed to fetch payment methods' });
         }
+    }
+);
 
-        // Validate password strength
-        const passwordValidation = auth.validatePassword(password);
-        if (!passwordValidation.valid) {
-            return res.status(400).json({ error: passwordValidation.message });
+// Add payment method
+app.post('/api/users/:userId/payment-methods',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('manage_payment_methods'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { name, url, isEnabled } = req.body;
+
+            if (!name || !url) {
+                return res.status(400).json({ error: 'Name and URL required' });
+            }
+
+            // Validate URL format
+            try {
+                new URL(url);
+            } catch (e) {
+                return res.status(400).json({ error: 'Invalid URL format' });
+            }
+
+            const method = await db.getOne(`
+                INSERT INTO payment_methods ("userId", name, url, "isEnabled")
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [userId, name, url, isEnabled !== false]);
+
+            await auth.logAuditEvent(db, req.session.userId, 'add_payment_method', req, {
+                resourceType: 'payment_method',
+                resourceId: method.id,
+                userId
+            });
+
+            res.json(method);
+        } catch (error) {
+            logger.error('Error adding payment method', { error: error.message });
+            res.status(500).json({ error: 'Failed to add payment method' });
         }
+    }
+);
 
-        // Check if user already exists
-        const existingUser = await db.getOne('SELECT id FROM users WHERE email = $1', [email]);
-        if (existingUser) {
-            return res.status(409).json({ error: 'Email already registered' });
+// Delete payment method
+app.delete('/api/users/:userId/payment-methods/:methodId',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('manage_payment_methods'),
+    async (req, res) => {
+        try {
+            const { userId, methodId } = req.params;
+
+            // Verify method belongs to user
+            const method = await db.getOne(
+                'SELECT * FROM payment_methods WHERE id = $1 AND "userId" = $2',
+                [methodId, userId]
+            );
+
+            if (!method) {
+                return res.status(404).json({ error: 'Payment method not found' });
+            }
+
+            await db.run('DELETE FROM payment_methods WHERE id = $1', [methodId]);
+
+            await auth.logAuditEvent(db, req.session.userId, 'delete_payment_method', req, {
+                resourceType: 'payment_method',
+                resourceId: methodId,
+                userId
+            });
+
+            res.json({ success: true });
+        } catch (error) {
+            logger.error('Error deleting payment method', { error: error.message });
+            res.status(500).json({ error: 'Failed to delete payment method' });
         }
+    }
+);
 
-        // Check if minor (COPPA compliance)
-        let isMinorUser = false;
-        if (dateOfBirth) {
-            isMinorUser = auth.isMinor(dateOfBirth);
+// ============================================================================
+// ACCOUNT DELETION ENDPOINT
+// ============================================================================
 
-            // If minor and no parent email, require it
-            if (isMinorUser && !parentEmail) {
-                return res.status(400).json({
-                    error: 'Parent email required for users under 13'
+// Soft delete user account (COPPA-compliant)
+app.delete('/api/users/:userId',
+    auth.isAuthenticated,
+    auth.requirePrivilegeForUser('delete_own_data'),
+    async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { reason, confirmDelete } = req.body;
+
+            if (!confirmDelete) {
+                return res.status(400).json({ error: 'Deletion must be confirmed' });
+            }
+
+            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [userId]);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            // COPPA protection: Minors cannot self-delete
+            if (user.isMinor && req.session.userId === userId) {
+                return res.status(403).json({
+                    error: 'Minors cannot delete their own account. Parent/guardian must initiate deletion.'
                 });
             }
+
+            // Create deletion request (for audit trail)
+            const request = await db.getOne(`
+                INSERT INTO data_deletion_requests ("userId", "requestedBy", reason, status)
+                VALUES ($1, $2, $3, 'pending')
+                RETURNING *
+            `, [userId, req.session.userId, reason || 'User requested account deletion']);
+
+            // Soft delete: anonymize and mark inactive
+            await db.run(`
+                UPDATE users
+                SET "isActive" = FALSE,
+                    email = CONCAT('deleted_', id, '@deleted.local'),
+                    phone = NULL,
+                    address = NULL
+                WHERE id = $1
+            `, [userId]);
+
+            // Mark troop memberships inactive
+            await db.run(`
+                UPDATE troop_members
+                SET status = 'inactive',
+                    "leaveDate" = NOW()
+                WHERE "userId" = $1
+            `, [userId]);
+
+            await auth.logAuditEvent(db, req.session.userId, 'delete_user_account', req, {
+                resourceType: 'user',
+                resourceId: userId,
+                isMinor: user.isMinor,
+                reason
+            });
+
+            res.json({
+                message: 'Account deletion initiated. Account will be fully deleted in 30 days.',
+                deletionRequestId: request.id
+            });
+        } catch (error) {
+            logger.error('Error deleting user account', { error: error.message });
+            res.status(500).json({ error: 'Failed to delete account' });
         }
+    }
+);
 
-        // Hash password
-        const passwordHash = await auth.hashPassword(password);
+// Get aggregated sales data for a troop
+app.get('/api/troop/:troopId/sales', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId } = req.params;
 
-        // Create user (PostgreSQL returns inserted row)
-        const newUser = await db.getOne(`
-            INSERT INTO users (
-                email, password_hash, "firstName", "lastName",
-                "dateOfBirth", "isMinor", "parentEmail", role,
-                "isActive", "emailVerified"
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            RETURNING id
-        `, [
-            email,
-            passwordHash,
-            firstName,
-            lastName,
-            dateOfBirth || null,
-            isMinorUser,
-            parentEmail || null,
-            'scout', // Default role
-            !isMinorUser, // Require activation for minors
-            false // Email not verified
-        ]);
+        // Build scope filter for sales visibility
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
+        const seasonFilter = buildSeasonFilter(req.season, 's.season', 1 + scopeFilter.params.length);
+
+        // Get sales by cookie type (prefer productId grouping, fall back to cookieType)
+        const salesByCookie = await db.getAll(`
+            SELECT
+                COALESCE(cp."cookieName", s."cookieType") as "cookieType",
+                s."productId",
+                cp."shortName" as "productShortName",
+                cp."pricePerBox" as "productPrice",
+                SUM(s.quantity) as "totalQuantity",
+                SUM(s."amountCollected") as "totalCollected"
+            FROM sales s
+            JOIN troop_members tm ON s."userId" = tm."userId"
+            LEFT JOIN cookie_products cp ON s."productId" = cp.id
+            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}${seasonFilter.clause}
+            GROUP BY COALESCE(cp."cookieName", s."cookieType"), s."productId", cp."shortName", cp."pricePerBox"
+            ORDER BY "totalQuantity" DESC
+        `, [troopId, ...scopeFilter.params, ...seasonFilter.params]);
+
+        // Get totals
+        const scopeFilter2 = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
+        const totals = await db.getOne(`
+            SELECT
+                COALESCE(SUM(s.quantity), 0) as "totalBoxes",
+                COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
+                COALESCE(SUM(s."amountDue"), 0) as "totalDue"
+            FROM sales s
+            JOIN troop_members tm ON s."userId" = tm."userId"
+            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter2.clause}${seasonFilter.clause}
+        `, [troopId, ...scopeFilter2.params, ...seasonFilter.params]);
 
-        const userId = newUser.id;
+        res.json({
+            season: req.season,
+            salesByCookie,
+            totals
+        });
+    } catch (error) {
+        logger.error('Error fetching troop sales', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troop sales' });
+    }
+});
 
-        // Create default profile
-        await db.run(`
-            INSERT INTO profile ("userId", "scoutName", email)
-            VALUES ($1, $2, $3)
-        `, [userId, `${firstName} ${lastName}`.trim(), email]);
+// Get troop events (Calendar)
+app.get('/api/troop/:troopId/events', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { start, end } = req.query; // Optional date range filtering
 
-        // Log audit event
-        await auth.logAuditEvent(db, userId, 'user_registered', req, { email });
+        let query = 'SELECT * FROM events WHERE "troopId" = $1';
+        const params = [troopId];
 
-        // Send notification if minor (parent consent required)
-        if (isMinorUser) {
-            await auth.createNotification(
-                db,
-                userId,
-                'info',
-                'Account Pending',
-                'Your account requires parental consent before activation. A consent email has been sent to your parent/guardian.'
-            );
+        if (start && end) {
+            query += ' AND "eventDate" BETWEEN $2 AND $3';
+            params.push(start, end);
         }
 
-        logger.info('New user registered', { userId, email, isMinor: isMinorUser });
-
-        res.status(201).json({
-            message: isMinorUser
-                ? 'Registration successful. Parental consent required.'
-                : 'Registration successful. Please log in.',
-            userId,
-            requiresConsent: isMinorUser
-        });
+        query += ' ORDER BY "eventDate" ASC, "startTime" ASC';
 
+        const events = await db.getAll(query, params);
+        res.json(events);
     } catch (error) {
-        logger.error('Registration error', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Registration failed' });
+        logger.error('Error fetching troop events', { error: error.message, stack: error.stack });
+        res.status(500).json({ error: 'Failed to fetch events' });
     }
 });
 
-// Login with email/password
-app.post('/api/auth/login', (req, res, next) => {
-    passport.authenticate('local', async (err, user, info) => {
-        if (err) {
-            logger.error('Login error', { error: err.message });
-            return res.status(500).json({ error: 'Login failed' });
-        }
-
-        if (!user) {
-            return res.status(401).json({ error: info.message || 'Invalid credentials' });
-        }
+// Export troop events to .ics
+app.get('/api/troop/:troopId/calendar/export', auth.isAuthenticated, auth.requirePrivilege('export_calendar'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
 
-        req.logIn(user, async (err) => {
-            if (err) {
-                logger.error('Session creation error', { error: err.message });
-                return res.status(500).json({ error: 'Failed to create session' });
-            }
+        const troop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
 
-            // Store user info in session
-            req.session.userId = user.id;
-            req.session.userEmail = user.email;
-            req.session.userRole = user.role;
+        const events = await db.getAll('SELECT * FROM events WHERE "troopId" = $1 ORDER BY "eventDate" ASC', [troopId]);
 
-            // Update last login timestamp
-            await auth.logAuditEvent(db, user.id, 'user_login', req, { method: 'local' });
+        let icsContent = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Apex Scout Manager//Troop Calendar//EN\r\n';
+        
+        events.forEach(event => {
+            icsContent += 'BEGIN:VEVENT\r\n';
+            icsContent += `UID:event-${event.id}@apexscoutmanager\r\n`;
 
-            logger.info('User logged in', { userId: user.id, email: user.email });
+            // Format timestamps (YYYYMMDDTHHmmssZ)
+            const dateStr = new Date(event.eventDate).toISOString().replace(/[-:]/g, '').split('T')[0];
+            
+            if (event.startTime) {
+                const timeStr = event.startTime.replace(':', '') + '00';
+                icsContent += `DTSTART:${dateStr}T${timeStr}\r\n`;
+            } else {
+                icsContent += `DTSTART;VALUE=DATE:${dateStr}\r\n`;
+            }
+            
+            if (event.endTime) {
+                const timeStr = event.endTime.replace(':', '') + '00';
+                icsContent += `DTEND:${dateStr}T${timeStr}\r\n`;
+            }
 
-            res.json({
-                message: 'Login successful',
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    role: user.role,
-                    photoUrl: user.photoUrl
-                }
-            });
+            icsContent += `SUMMARY:${event.eventName} (${event.targetGroup})\r\n`;
+            if (event.description) icsContent += `DESCRIPTION:${event.description}\r\n`;
+            if (event.location) icsContent += `LOCATION:${event.location}\r\n`;
+            
+            icsContent += 'END:VEVENT\r\n';
         });
-    })(req, res, next);
-});
-
-// Google OAuth initiation
-if (passportStrategies.google) {
-    app.get('/auth/google',
-        passport.authenticate('google', {
-            scope: ['profile', 'email']
-        })
-    );
-
-    // Google OAuth callback
-    app.get('/auth/google/callback',
-        passport.authenticate('google', { failureRedirect: '/login.html' }),
-        (req, res) => {
-            // Store user info in session
-            req.session.userId = req.user.id;
-            req.session.userEmail = req.user.email;
-            req.session.userRole = req.user.role;
 
-            res.redirect('/');
-        }
-    );
-}
+        icsContent += 'END:VCALENDAR';
 
-// Logout
-app.post('/api/auth/logout', auth.isAuthenticated, (req, res) => {
-    const userId = req.session.userId;
+        res.setHeader('Content-Type', 'text/calendar');
+        res.setHeader('Content-Disposition', `attachment; filename="troop-${troopId}-calendar.ics"`);
+        res.send(icsContent);
 
-    // Log audit event
-    auth.logAuditEvent(db, userId, 'user_logout', req);
+    } catch (error) {
+        logger.error('Error exporting calendar', { error: error.message });
+        res.status(500).json({ error: 'Failed to export calendar' });
+    }
+});
 
-    req.logout((err) => {
-        if (err) {
-            logger.error('Logout error', { error: err.message });
-            return res.status(500).json({ error: 'Logout failed' });
-        }
+// Get troop goals
+app.get('/api/troop/:troopId/goals', auth.isAuthenticated, auth.requirePrivilege('view_goals'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
 
-        req.session.destroy((err) => {
-            if (err) {
-                logger.error('Session destruction error', { error: err.message });
-            }
+        const goals = await db.getAll(`
+            SELECT * FROM troop_goals
+            WHERE "troopId" = $1
+            ORDER BY status, "endDate"
+        `, [troopId]);
 
-            res.clearCookie('connect.sid');
-            res.json({ message: 'Logout successful' });
-        });
-    });
+        res.json(goals);
+    } catch (error) {
+        logger.error('Error fetching troop goals', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troop goals' });
+    }
 });
 
-// Get current user
-app.get('/api/auth/me', auth.isAuthenticated, async (req, res) => {
+// Create a new troop
+app.post('/api/troop', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
     try {
-        const user = await db.getOne(`
-            SELECT id, email, "firstName", "lastName", role, "photoUrl",
-                   "isActive", "emailVerified", "dateOfBirth", "isMinor", "createdAt", "lastLogin"
-            FROM users
-            WHERE id = $1
-        `, [req.session.userId]);
+        const { troopNumber, troopType, meetingLocation, meetingDay, meetingTime } = req.body;
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!troopNumber || !troopType) {
+            return res.status(400).json({ error: 'Troop number and type are required' });
         }
 
-        // Get troop info
-        const membership = await db.getOne(`
-            SELECT "troopId" FROM troop_members
-            WHERE "userId" = $1 AND status = 'active'
-            LIMIT 1
-        `, [req.session.userId]);
-
-        if (membership) {
-            user.troopId = membership.troopId;
+        const validTypes = ['daisy', 'brownie', 'junior', 'cadette', 'senior', 'ambassador', 'multi-level'];
+        if (!validTypes.includes(troopType)) {
+            return res.status(400).json({ error: 'Invalid troop type' });
         }
 
-        res.json(user);
+        const newTroop = await db.getOne(`
+            INSERT INTO troops ("troopNumber", "troopType", "leaderId", "meetingLocation", "meetingDay", "meetingTime", "isActive", "createdAt", "updatedAt")
+            VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
+            RETURNING *
+        `, [
+            troopNumber.trim(),
+            troopType,
+            req.session.userId,
+            meetingLocation?.trim() || null,
+            meetingDay?.trim() || null,
+            meetingTime?.trim() || null
+        ]);
+
+        logger.info('Troop created', { troopId: newTroop.id, troopNumber, userId: req.session.userId });
+        res.status(201).json(newTroop);
     } catch (error) {
-        logger.error('Error fetching current user', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch user' });
+        logger.error('Error creating troop', { error: error.message });
+        res.status(500).json({ error: 'Failed to create troop' });
     }
 });
 
-// Get notifications for current user
-app.get('/api/notifications', auth.isAuthenticated, async (req, res) => {
+// Update a troop
+app.put('/api/troop/:troopId', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
     try {
-        const notifications = await db.getAll(`
-            SELECT * FROM notifications
-            WHERE "userId" = $1
-            ORDER BY "createdAt" DESC
-            LIMIT 50
-        `, [req.session.userId]);
+        const { troopId } = req.params;
+        const { troopNumber, troopType, meetingLocation, meetingDay, meetingTime, leaderId } = req.body;
+
+        const troop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
+        if (!troop) {
+            return res.status(404).json({ error: 'Troop not found' });
+        }
+
+        await db.run(`
+            UPDATE troops SET
+                "troopNumber" = COALESCE($1, "troopNumber"),
+                "troopType" = COALESCE($2, "troopType"),
+                "meetingLocation" = $3,
+                "meetingDay" = $4,
+                "meetingTime" = $5,
+                "leaderId" = COALESCE($6, "leaderId"),
+                "updatedAt" = NOW()
+            WHERE id = $7
+        `, [
+            troopNumber?.trim() || null,
+            troopType || null,
+            meetingLocation?.trim() || null,
+            meetingDay?.trim() || null,
+            meetingTime?.trim() || null,
+            leaderId || null,
+            troopId
+        ]);
 
-        res.json(notifications);
+        const updatedTroop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
+        logger.info('Troop updated', { troopId, userId: req.session.userId });
+        res.json(updatedTroop);
     } catch (error) {
-        logger.error('Error fetching notifications', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch notifications' });
+        logger.error('Error updating troop', { error: error.message });
+        res.status(500).json({ error: 'Failed to update troop' });
     }
 });
 
-// Mark notification as read
-app.put('/api/notifications/:id/read', auth.isAuthenticated, async (req, res) => {
+// Add member to troop
+app.post('/api/troop/:troopId/members', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { troopId } = req.params;
+        const { email, role, firstName, lastName, address, dateOfBirth, den, familyInfo, position, level, roles } = req.body;
 
-        const result = await db.run(`
-            UPDATE notifications
-            SET "isRead" = true, "readAt" = NOW()
-            WHERE id = $1 AND "userId" = $2
-        `, [id, req.session.userId]);
+        let user = null;
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ error: 'Notification not found' });
+        // If email provided, try to find existing user
+        if (email) {
+            user = await db.getOne('SELECT id, "firstName", "lastName", email FROM users WHERE email = $1', [email]);
         }
 
-        res.json({ success: true });
-    } catch (error) {
-        logger.error('Error marking notification as read', { error: error.message });
-        res.status(500).json({ error: 'Failed to update notification' });
-    }
-});
+        // If no user found, create one with the provided name
+        if (!user) {
+            if (!firstName || !lastName) {
+                return res.status(400).json({ error: 'First name and last name are required' });
+            }
 
-// ============================================================================
-// API Routes (Protected - require authentication)
-// ============================================================================
+            // Determine user role based on position
+            let userRole = 'scout';
+            if (position === 'Troop Leader' || position === 'Co-Leader') {
+                userRole = 'troop_leader';
+            } else if (position === 'Troop Volunteer') {
+                userRole = 'parent'; // closest existing role for volunteers
+            }
 
-// Get all sales (filtered by userId)
-app.get('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('view_sales'), async (req, res) => {
-    try {
-        const { saleType } = req.query;
-        let query = `
-            SELECT s.*, cp."cookieName" as "productName", cp."shortName" as "productShortName",
-                   cp."pricePerBox" as "productPrice"
-            FROM sales s
-            LEFT JOIN cookie_products cp ON s."productId" = cp.id
-            WHERE s."userId" = $1
-        `;
-        const params = [req.session.userId];
-        if (saleType) {
-            query += ' AND s."saleType" = $2';
-            params.push(saleType);
+            const newUser = await db.getOne(`
+                INSERT INTO users ("firstName", "lastName", email, role, "isActive", "dateOfBirth")
+                VALUES ($1, $2, $3, $4, TRUE, $5)
+                RETURNING id, "firstName", "lastName", email
+            `, [firstName, lastName, email || null, userRole, dateOfBirth || null]);
+
+            user = newUser;
         }
-        query += ' ORDER BY s.id DESC';
-        const sales = await db.getAll(query, params);
-        res.json(sales);
+
+        // Map position to troop_members role
+        let memberRole = 'member';
+        if (position === 'Troop Leader') memberRole = 'troop_leader';
+        else if (position === 'Co-Leader') memberRole = 'co-leader';
+        else if (position === 'Troop Volunteer') memberRole = 'volunteer';
+        else if (role) {
+            const validRoles = ['member', 'co-leader', 'assistant', 'parent', 'troop_leader', 'volunteer'];
+            memberRole = validRoles.includes(role) ? role : 'member';
+        }
+
+        // Check if already a member
+        const existingMember = await db.getOne('SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2', [troopId, user.id]);
+        if (existingMember) {
+            if (existingMember.status === 'active') {
+                return res.status(409).json({ error: 'User is already a member of this troop' });
+            }
+            // Reactivate if previously inactive
+            await db.run(`
+                UPDATE troop_members
+                SET status = 'active', role = $1, "joinDate" = NOW(),
+                    "scoutLevel" = $2, position = $3, "additionalRoles" = $4, den = $5
+                WHERE id = $6
+            `, [memberRole, level || null, position || null, JSON.stringify(roles || []), den || null, existingMember.id]);
+        } else {
+            // Add new member
+            await db.run(`
+                INSERT INTO troop_members ("troopId", "userId", role, "scoutLevel", position, "additionalRoles", den, "joinDate", status)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), 'active')
+            `, [troopId, user.id, memberRole, level || null, position || null, JSON.stringify(roles || []), den || null]);
+        }
+
+        logger.info('Member added to troop', { troopId, userId: user.id, position, level, addedBy: req.session.userId });
+        res.status(201).json({ success: true, member: user });
     } catch (error) {
-        logger.error('Error fetching sales', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch sales' });
+        logger.error('Error adding troop member', { error: error.message });
+        res.status(500).json({ error: 'Failed to add member' });
     }
 });
 
-// Add a new sale
-app.post('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+// Add new scout with parent information to troop
+app.post('/api/troop/:troopId/members/scout', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
     try {
+        const { troopId } = req.params;
         const {
-            cookieType,
-            productId,
-            quantity,
-            customerName,
-            date,
-            saleType,
-            customerAddress,
-            customerPhone,
-            unitType,
-            amountCollected,
-            amountDue,
-            paymentMethod
+            scoutFirstName,
+            scoutLastName,
+            scoutLevel,
+            scoutDateOfBirth,
+            parentFirstName,
+            parentLastName,
+            parentEmail,
+            parentPhone,
+            parentRole,
+            secondaryParentFirstName,
+            secondaryParentLastName,
+            secondaryParentEmail,
+            secondaryParentPhone,
+            secondaryParentRole
         } = req.body;
 
-        // Require either cookieType or productId
-        if ((!cookieType && !productId) || !quantity || quantity < 1) {
-            logger.warn('Invalid sale data received', { cookieType, productId, quantity });
-            return res.status(400).json({ error: 'Invalid sale data. Provide cookieType or productId and quantity >= 1.' });
+        // Validate required fields
+        if (!scoutFirstName || !scoutLastName) {
+            return res.status(400).json({ error: 'Scout first and last name are required' });
         }
-
-        // If productId provided, resolve cookieType from it
-        let resolvedCookieType = cookieType;
-        let resolvedProductId = productId || null;
-        if (productId && !cookieType) {
-            const product = await db.getOne('SELECT "cookieName" FROM cookie_products WHERE id = $1', [productId]);
-            if (!product) return res.status(400).json({ error: 'Invalid productId' });
-            resolvedCookieType = product.cookieName;
+        if (!parentFirstName || !parentLastName) {
+            return res.status(400).json({ error: 'Parent first and last name are required' });
+        }
+        if (!parentRole) {
+            return res.status(400).json({ error: 'Parent role is required' });
         }
 
-        // Validate and sanitize customerName
-        const sanitizedCustomerName = (customerName && customerName.trim()) || 'Walk-in Customer';
+        // Use transaction for multi-step operation
+        const result = await db.transaction(async (client) => {
+            let parentUserId = null;
+            let secondaryParentUserId = null;
 
-        // Validate saleType
-        const VALID_SALE_TYPES = [
-            'individual', 'event',  // legacy values
-            'individual_inperson', 'individual_digital_delivered',
-            'individual_digital_shipped', 'individual_donation',
-            'booth_troop', 'booth_family', 'booth_council'
-        ];
-        const validSaleType = VALID_SALE_TYPES.includes(saleType) ? saleType : 'individual';
+            // Create or find primary parent account
+            if (parentEmail) {
+                // Check if parent already exists by email
+                const existingParent = await client.query('SELECT id FROM users WHERE email = $1', [parentEmail]);
+                if (existingParent.rows.length > 0) {
+                    parentUserId = existingParent.rows[0].id;
+                } else {
+                    // Create new parent account
+                    const parentResult = await client.query(`
+                        INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
+                        VALUES ($1, $2, $3, 'parent', true, NOW())
+                        RETURNING id
+                    `, [parentFirstName, parentLastName, parentEmail]);
+                    parentUserId = parentResult.rows[0].id;
+                }
+            } else {
+                // Create parent account without email (can't login until email added)
+                const parentResult = await client.query(`
+                    INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
+                    VALUES ($1, $2, NULL, 'parent', true, NOW())
+                    RETURNING id
+                `, [parentFirstName, parentLastName]);
+                parentUserId = parentResult.rows[0].id;
+            }
 
-        // Validate and use current date if not provided or invalid
-        let saleDate = date;
-        if (!saleDate || isNaN(new Date(saleDate).getTime())) {
-            saleDate = new Date().toISOString();
-        }
+            // Create secondary parent if provided
+            if (secondaryParentFirstName && secondaryParentLastName) {
+                if (secondaryParentEmail) {
+                    // Check if secondary parent already exists by email
+                    const existingSecondary = await client.query('SELECT id FROM users WHERE email = $1', [secondaryParentEmail]);
+                    if (existingSecondary.rows.length > 0) {
+                        secondaryParentUserId = existingSecondary.rows[0].id;
+                    } else {
+                        // Create new secondary parent account
+                        const secondaryResult = await client.query(`
+                            INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
+                            VALUES ($1, $2, $3, 'parent', true, NOW())
+                            RETURNING id
+                        `, [secondaryParentFirstName, secondaryParentLastName, secondaryParentEmail]);
+                        secondaryParentUserId = secondaryResult.rows[0].id;
+                    }
+                } else {
+                    // Create secondary parent account without email
+                    const secondaryResult = await client.query(`
+                        INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
+                        VALUES ($1, $2, NULL, 'parent', true, NOW())
+                        RETURNING id
+                    `, [secondaryParentFirstName, secondaryParentLastName]);
+                    secondaryParentUserId = secondaryResult.rows[0].id;
+                }
+            }
+
+            // Create scout account (no email required)
+            const scoutResult = await client.query(`
+                INSERT INTO users ("firstName", "lastName", email, role, "dateOfBirth", "isActive", "createdAt")
+                VALUES ($1, $2, NULL, 'scout', $3, true, NOW())
+                RETURNING id
+            `, [scoutFirstName, scoutLastName, scoutDateOfBirth || null]);
+            const scoutUserId = scoutResult.rows[0].id;
+
+            // Add scout to troop
+            await client.query(`
+                INSERT INTO troop_members ("troopId", "userId", role, "scoutLevel", "linkedParentId", "parentRole", "joinDate", status)
+                VALUES ($1, $2, 'member', $3, $4, $5, NOW(), 'active')
+            `, [troopId, scoutUserId, scoutLevel || null, parentUserId, parentRole]);
+
+            // Add primary parent to troop
+            await client.query(`
+                INSERT INTO troop_members ("troopId", "userId", role, "linkedParentId", "parentRole", "joinDate", status)
+                VALUES ($1, $2, 'parent', $3, $4, NOW(), 'active')
+            `, [troopId, parentUserId, scoutUserId, parentRole]);
+
+            // Add secondary parent to troop if provided
+            if (secondaryParentUserId) {
+                await client.query(`
+                    INSERT INTO troop_members ("troopId", "userId", role, "linkedParentId", "parentRole", "joinDate", status)
+                    VALUES ($1, $2, 'parent', $3, $4, NOW(), 'active')
+                `, [troopId, secondaryParentUserId, scoutUserId, secondaryParentRole || 'parent']);
+            }
 
-        // Validate and sanitize new fields
-        const sanitizedCustomerAddress = (customerAddress && customerAddress.trim()) || null;
-        const sanitizedCustomerPhone = (customerPhone && customerPhone.trim()) || null;
-        const validUnitType = (unitType === 'case') ? 'case' : 'box';
-        const validAmountCollected = (typeof amountCollected === 'number' && amountCollected >= 0) ? amountCollected : 0;
-        const validAmountDue = (typeof amountDue === 'number' && amountDue >= 0) ? amountDue : 0;
-        const validPaymentMethod = paymentMethod || null;
+            logger.info('Scout and parent(s) added to troop', {
+                troopId,
+                scoutId: scoutUserId,
+                parentId: parentUserId,
+                secondaryParentId: secondaryParentUserId,
+                addedBy: req.session.userId
+            });
 
-        // New order grouping fields
-        const sanitizedOrderNumber = (req.body.orderNumber && String(req.body.orderNumber)) || null;
-        const sanitizedOrderType = (req.body.orderType && String(req.body.orderType)) || null;
-        const sanitizedOrderStatus = (req.body.orderStatus && String(req.body.orderStatus)) || 'Pending';
+            return {
+                success: true,
+                scout: {
+                    id: scoutUserId,
+                    firstName: scoutFirstName,
+                    lastName: scoutLastName,
+                    level: scoutLevel
+                },
+                parent: {
+                    id: parentUserId,
+                    firstName: parentFirstName,
+                    lastName: parentLastName,
+                    role: parentRole,
+                    email: parentEmail
+                },
+                secondaryParent: secondaryParentUserId ? {
+                    id: secondaryParentUserId,
+                    firstName: secondaryParentFirstName,
+                    lastName: secondaryParentLastName,
+                    role: secondaryParentRole
+                } : null
+            };
+        });
 
-        const newSale = await db.getOne(`
-            INSERT INTO sales (
-                "cookieType", "productId", quantity, "customerName", date, "saleType",
-                "customerAddress", "customerPhone", "unitType",
-                "amountCollected", "amountDue", "paymentMethod",
-                "orderNumber", "orderType", "orderStatus", "userId"
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-            RETURNING *
-        `, [
-            resolvedCookieType, resolvedProductId, quantity, sanitizedCustomerName, saleDate, validSaleType,
-            sanitizedCustomerAddress, sanitizedCustomerPhone, validUnitType,
-            validAmountCollected, validAmountDue, validPaymentMethod,
-            sanitizedOrderNumber, sanitizedOrderType, sanitizedOrderStatus,
-            req.session.userId
-        ]);
+        res.status(201).json(result);
 
-        logger.info('Sale added successfully', { saleId: newSale.id, cookieType, quantity, saleType: validSaleType, userId: req.session.userId });
-        res.status(201).json(newSale);
     } catch (error) {
-        // Log error without sensitive request body data
-        logger.error('Error adding sale', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to add sale' });
+        logger.error('Error adding scout to troop', { error: error.message });
+        res.status(500).json({ error: 'Failed to add scout' });
     }
 });
 
-// Update a sale (only owner can update)
-app.put('/api/sales/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+// Remove member from troop
+app.delete('/api/troop/:troopId/members/:userId', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { orderStatus, amountCollected, amountDue } = req.body;
+        const { troopId, userId } = req.params;
 
-        // Check ownership
-        const existingSale = await db.getOne('SELECT "userId" FROM sales WHERE id = $1', [id]);
-        if (!existingSale) {
-            return res.status(404).json({ error: 'Sale not found' });
-        }
-        if (existingSale.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to edit this sale' });
+        // Verify target member is within scope
+        const inScope = await auth.isTargetInScope(req, userId);
+        if (!inScope) {
+            return res.status(403).json({ error: 'Target member is outside your access scope' });
         }
 
-        // Dynamic update query construction
-        const updates = [];
-        const values = [];
-        let paramCount = 1;
+        // Set member as inactive (soft delete)
+        const result = await db.run(`
+            UPDATE troop_members SET status = 'inactive', "leaveDate" = NOW()
+            WHERE "troopId" = $1 AND "userId" = $2
+        `, [troopId, userId]);
 
-        if (orderStatus !== undefined) {
-            updates.push(`"orderStatus" = $${paramCount++}`);
-            values.push(orderStatus);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Member not found in this troop' });
         }
 
-        if (amountCollected !== undefined) {
-            updates.push(`"amountCollected" = $${paramCount++}`);
-            values.push(amountCollected);
-        }
+        logger.info('Member removed from troop', { troopId, userId, removedBy: req.session.userId });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error removing troop member', { error: error.message });
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
 
-        if (amountDue !== undefined) {
-            updates.push(`"amountDue" = $${paramCount++}`);
-            values.push(amountDue);
-        }
+// Create troop goal
+app.post('/api/troop/:troopId/goals', auth.isAuthenticated, auth.requirePrivilege('manage_goals'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { goalType, targetAmount, startDate, endDate, description } = req.body;
 
-        if (updates.length === 0) {
-            return res.status(400).json({ error: 'No fields to update' });
+        const validGoalTypes = ['boxes_sold', 'revenue', 'participation', 'events', 'donations'];
+        if (!validGoalTypes.includes(goalType)) {
+            return res.status(400).json({ error: 'Invalid goal type' });
         }
 
-        values.push(id);
-
-        await db.run(`UPDATE sales SET ${updates.join(', ')} WHERE id = $${paramCount}`, values);
+        const newGoal = await db.getOne(`
+            INSERT INTO troop_goals ("troopId", "goalType", "targetAmount", "startDate", "endDate", description, status, "createdAt", "updatedAt")
+            VALUES ($1, $2, $3, $4, $5, $6, 'in_progress', NOW(), NOW())
+            RETURNING *
+        `, [troopId, goalType, targetAmount, startDate, endDate, description || null]);
 
-        const updatedSale = await db.getOne('SELECT * FROM sales WHERE id = $1', [id]);
-        logger.info('Sale updated successfully', { saleId: id, updates, userId: req.session.userId });
-        res.json(updatedSale);
+        logger.info('Troop goal created', { goalId: newGoal.id, troopId, goalType });
+        res.status(201).json(newGoal);
     } catch (error) {
-        logger.error('Error updating sale', { error: error.message, stack: error.stack, saleId: req.params.id });
-        res.status(500).json({ error: 'Failed to update sale' });
+        logger.error('Error creating troop goal', { error: error.message });
+        res.status(500).json({ error: 'Failed to create goal' });
     }
 });
 
-// Delete a sale (only owner can delete)
-app.delete('/api/sales/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_sales'), async (req, res) => {
+// Get all users (for adding members) - admin or troop_leader
+app.get('/api/users/search', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
     try {
-        const { id } = req.params;
-
-        // Check ownership
-        const existingSale = await db.getOne('SELECT "userId" FROM sales WHERE id = $1', [id]);
-        if (!existingSale) {
-            logger.warn('Attempted to delete non-existent sale', { saleId: id });
-            return res.status(404).json({ error: 'Sale not found' });
-        }
-        if (existingSale.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to edit this sale' });
+        const { query } = req.query;
+        if (!q || q.length < 2) {
+            return res.json([]);
         }
 
-        await db.run('DELETE FROM sales WHERE id = $1', [id]);
+        const users = await db.getAll(`
+            SELECT id, email, "firstName", "lastName", role
+            FROM users
+            WHERE (email ILIKE $1 OR "firstName" ILIKE $1 OR "lastName" ILIKE $1)
+            AND "isActive" = true
+            LIMIT 10
+        `, [`%${q}%`]);
 
-        logger.info('Sale deleted successfully', { saleId: id, userId: req.session.userId });
-        res.json({ message: 'Sale deleted successfully' });
+        res.json(users);
     } catch (error) {
-        logger.error('Error deleting sale', { error: error.message, stack: error.stack, saleId: req.params.id });
-        res.status(500).json({ error: 'Failed to delete sale' });
+        logger.error('Error searching users', { error: error.message });
+        res.status(500).json({ error: 'Failed to search users' });
     }
 });
 
-// Get profile (for current user)
-app.get('/api/profile', auth.isAuthenticated, async (req, res) => {
+// ============================================================================
+// Phase 3: Cookie Catalog and Season Management Routes
+// ============================================================================
+
+// Get active season
+app.get('/api/seasons/active', auth.isAuthenticated, async (req, res) => {
     try {
-        let profile = await db.getOne('SELECT * FROM profile WHERE "userId" = $1', [req.session.userId]);
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        res.json(season || null);
+    } catch (error) {
+        logger.error('Error fetching active season', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch active season' });
+    }
+});
 
-        // If no profile exists for this user, create one
-        if (!profile) {
-            const user = await db.getOne('SELECT "firstName", "lastName", email FROM users WHERE id = $1', [req.session.userId]);
-            const scoutName = user ? `${user.firstName} ${user.lastName}`.trim() : '';
-            const email = user ? user.email : '';
+// Get all seasons
+app.get('/api/seasons', auth.isAuthenticated, async (req, res) => {
+    try {
+        const seasons = await db.getAll(`
+            SELECT s.*,
+                   (SELECT COUNT(*) FROM cookie_products WHERE season = s.year) as "cookieCount"
+            FROM seasons s
+            ORDER BY s.year DESC
+        `);
+        res.json(seasons);
+    } catch (error) {
+        logger.error('Error fetching seasons', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch seasons' });
+    }
+});
 
-            profile = await db.getOne(`
-                INSERT INTO profile ("userId", "scoutName", email, "goalBoxes", "goalAmount")
-                VALUES ($1, $2, $3, 0, 0)
-                RETURNING *
-            `, [req.session.userId, scoutName, email]);
+// Create new season
+app.post('/api/seasons', auth.isAuthenticated, auth.hasRole('admin'), async (req, res) => {
+    try {
+        const { year, name, startDate, endDate, pricePerBox, copyFromYear } = req.body;
+
+        if (!year || !name || !startDate || !endDate) {
+            return res.status(400).json({ error: 'Year, name, start date, and end date are required' });
         }
 
-        // Also fetch normalized inventory from scout_inventory
-        const normalizedInventory = await db.getAll(`
-            SELECT si."productId", si.quantity, cp."cookieName", cp."shortName",
-                   cp."pricePerBox", cp."sortOrder"
-            FROM scout_inventory si
-            JOIN cookie_products cp ON si."productId" = cp.id
-            WHERE si."userId" = $1 AND cp."isActive" = true
-            ORDER BY cp."sortOrder"
-        `, [req.session.userId]);
+        // Check if season already exists
+        const existing = await db.getOne('SELECT id FROM seasons WHERE year = $1', [year]);
+        if (existing) {
+            return res.status(409).json({ error: 'Season already exists' });
+        }
 
-        const result = profile || {
-            userId: req.session.userId,
-            photoData: null,
-            qrCodeUrl: null,
-            goalBoxes: 0,
-            goalAmount: 0,
-            inventoryThinMints: 0,
-            inventorySamoas: 0,
-            inventoryTagalongs: 0,
-            inventoryTrefoils: 0,
-            inventoryDosiDos: 0,
-            inventoryLemonUps: 0,
-            inventoryAdventurefuls: 0,
-            inventoryExploremores: 0,
-            inventoryToffeetastic: 0
-        };
-        result.inventory = normalizedInventory;
-        res.json(result);
+        // Create season
+        const newSeason = await db.getOne(`
+            INSERT INTO seasons (year, name, "startDate", "endDate", "pricePerBox", "isActive", "createdAt")
+            VALUES ($1, $2, $3, $4, $5, false, NOW())
+            RETURNING *
+        `, [year, name, startDate, endDate, pricePerBox || 6.00]);
+
+        // Copy cookies from another season if specified
+        if (copyFromYear) {
+            const cookiesToCopy = await db.getAll(`
+                SELECT "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl"
+                FROM cookie_products WHERE season = $1
+            `, [copyFromYear]);
+
+            for (const cookie of cookiesToCopy) {
+                await db.run(`
+                    INSERT INTO cookie_products (season, "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl", "isActive")
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+                `, [year, cookie.cookieName, cookie.shortName, cookie.description,
+                    cookie.pricePerBox, cookie.boxesPerCase, cookie.sortOrder, cookie.imageUrl]);
+            }
+
+            logger.info('Copied cookies from previous season', { fromYear: copyFromYear, toYear: year, count: cookiesToCopy.length });
+        }
+
+        logger.info('Season created', { year, name });
+        res.status(201).json(newSeason);
     } catch (error) {
-        logger.error('Error fetching profile', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch profile' });
+        logger.error('Error creating season', { error: error.message });
+        res.status(500).json({ error: 'Failed to create season' });
     }
 });
 
-// Update profile (for current user)
-app.put('/api/profile', auth.isAuthenticated, async (req, res) => {
+// Activate a season
+app.put('/api/seasons/:year/activate', auth.isAuthenticated, auth.hasRole('admin'), async (req, res) => {
     try {
-        const {
-            photoData, qrCodeUrl, paymentQrCodeUrl, goalBoxes, goalAmount,
-            inventoryThinMints, inventorySamoas, inventoryTagalongs,
-            inventoryTrefoils, inventoryDosiDos, inventoryLemonUps,
-            inventoryAdventurefuls, inventoryExploremores, inventoryToffeetastic
-        } = req.body;
-
-        // Helper function to validate numeric values
-        const validateNumber = (value) => (typeof value === 'number' && value >= 0) ? value : 0;
-
-        // Validate goalBoxes and goalAmount
-        const validGoalBoxes = validateNumber(goalBoxes);
-        const validGoalAmount = validateNumber(goalAmount);
+        const { year } = req.params;
 
-        // Validate inventory values
-        const inventoryFields = [
-            inventoryThinMints, inventorySamoas, inventoryTagalongs,
-            inventoryTrefoils, inventoryDosiDos, inventoryLemonUps,
-            inventoryAdventurefuls, inventoryExploremores, inventoryToffeetastic
-        ];
-        const validatedInventory = inventoryFields.map(validateNumber);
+        if (await isSeasonArchived(year)) {
+            return seasonArchivedResponse(res, year);
+        }
 
-        // Check if profile exists for this user
-        const existingProfile = await db.getOne('SELECT id FROM profile WHERE "userId" = $1', [req.session.userId]);
+        // Deactivate all seasons
+        await db.run('UPDATE seasons SET "isActive" = false');
 
-        if (existingProfile) {
-            // Update existing profile
-            await db.run(`
-                UPDATE profile
-                SET "photoData" = COALESCE($1, "photoData"),
-                    "qrCodeUrl" = COALESCE($2, "qrCodeUrl"),
-                    "paymentQrCodeUrl" = COALESCE($3, "paymentQrCodeUrl"),
-                    "goalBoxes" = $4,
-                    "goalAmount" = $5,
-                    "inventoryThinMints" = $6,
-                    "inventorySamoas" = $7,
-                    "inventoryTagalongs" = $8,
-                    "inventoryTrefoils" = $9,
-                    "inventoryDosiDos" = $10,
-                    "inventoryLemonUps" = $11,
-                    "inventoryAdventurefuls" = $12,
-                    "inventoryExploremores" = $13,
-                    "inventoryToffeetastic" = $14
-                WHERE "userId" = $15
-            `, [
-                photoData, qrCodeUrl, paymentQrCodeUrl, validGoalBoxes, validGoalAmount,
-                ...validatedInventory,
-                req.session.userId
-            ]);
-        } else {
-            // Create new profile
-            const user = await db.getOne('SELECT "firstName", "lastName", email FROM users WHERE id = $1', [req.session.userId]);
-            const scoutName = user ? `${user.firstName} ${user.lastName}`.trim() : '';
-            const email = user ? user.email : '';
+        // Activate specified season
+        const result = await db.run('UPDATE seasons SET "isActive" = true, "updatedAt" = NOW() WHERE year = $1', [year]);
 
-            await db.run(`
-                INSERT INTO profile (
-                    "userId", "scoutName", email, "photoData", "qrCodeUrl", "paymentQrCodeUrl",
-                    "goalBoxes", "goalAmount",
-                    "inventoryThinMints", "inventorySamoas", "inventoryTagalongs",
-                    "inventoryTrefoils", "inventoryDosiDos", "inventoryLemonUps",
-                    "inventoryAdventurefuls", "inventoryExploremores", "inventoryToffeetastic"
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-            `, [
-                req.session.userId, scoutName, email,
-                photoData, qrCodeUrl, paymentQrCodeUrl, validGoalBoxes, validGoalAmount,
-                ...validatedInventory
-            ]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Season not found' });
         }
 
-        const updatedProfile = await db.getOne('SELECT * FROM profile WHERE "userId" = $1', [req.session.userId]);
-        logger.info('Profile updated successfully', {
-            userId: req.session.userId,
-            updates: {
-                hasPhoto: !!photoData,
-                hasStoreQr: !!qrCodeUrl,
-                hasPaymentQr: !!paymentQrCodeUrl,
-                goalBoxes: validGoalBoxes
-            }
-        });
-        res.json(updatedProfile);
+        logger.info('Season activated', { year });
+        res.json({ success: true, year });
     } catch (error) {
-        logger.error('Error updating profile', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to update profile' });
+        logger.error('Error activating season', { error: error.message });
+        res.status(500).json({ error: 'Failed to activate season' });
     }
 });
 
-// ============================================================================
-// Normalized Inventory Endpoints (scout_inventory table)
-// ============================================================================
+// --- Season Filtering ---
 
-// Get current user's inventory (product-based)
-app.get('/api/inventory', auth.isAuthenticated, async (req, res) => {
-    try {
-        const inventory = await db.getAll(`
-            SELECT si.id, si."productId", si.quantity, si."lastUpdated",
-                   cp."cookieName", cp."shortName", cp."pricePerBox", cp."boxesPerCase",
-                   cp."imageUrl", cp."sortOrder",
-                   b."bakerName", b."bakerCode"
-            FROM scout_inventory si
-            JOIN cookie_products cp ON si."productId" = cp.id
-            LEFT JOIN bakers b ON cp."bakerId" = b.id
-            WHERE si."userId" = $1 AND cp."isActive" = true
-            ORDER BY cp."sortOrder", cp."cookieName"
-        `, [req.session.userId]);
-        res.json(inventory);
+/**
+ * Find the season a sale or donation belongs to by its date
+ * @param {string|Date} date - Sale or donation date
+ * @returns {Promise<string|null>} Season year, or the active season when no season covers the date
+ */
+async function seasonForDate(date) {
+    const season = await db.getOne(`
+        SELECT year FROM seasons
+        WHERE $1::date BETWEEN "startDate" AND "endDate"
+        ORDER BY "isActive" DESC, "startDate" DESC
+        LIMIT 1
+    `, [date]);
+    if (season) return season.year;
+
+    const active = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
+    return active ? active.year : null;
+}
+
+/**
+ * Middleware: resolve the ?season= query parameter into req.season.
+ * Omitted means the active season, "all" (or no active season) leaves req.season null.
+ */
+async function resolveSeasonParam(req, res, next) {
+    try {
+        const requested = req.query.season;
+        if (requested === 'all') {
+            req.season = null;
+        } else if (requested) {
+            const season = await db.getOne('SELECT year FROM seasons WHERE year = $1', [String(requested)]);
+            if (!season) return res.status(400).json({ error: `Unknown season: ${requested}` });
+            req.season = season.year;
+        } else {
+            const active = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
+            req.season = active ? active.year : null;
+        }
+        next();
     } catch (error) {
-        logger.error('Error fetching inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch inventory' });
+        logger.error('Error resolving season', { error: error.message });
+        res.status(500).json({ error: 'Failed to resolve season' });
     }
-});
+}
 
-// Update inventory for a specific product (upsert)
-app.put('/api/inventory/:productId', auth.isAuthenticated, async (req, res) => {
-    try {
-        const { productId } = req.params;
-        const { quantity } = req.body;
+/**
+ * Build a SQL clause limiting rows to one season
+ * @param {string|null} season - Season year, or null for every season
+ * @param {string} column - Season column to filter (e.g. 's.season')
+ * @param {number} paramOffset - Number of query parameters before this clause
+ * @returns {{clause: string, params: Array}}
+ */
+function buildSeasonFilter(season, column, paramOffset = 0) {
+    if (!season) return { clause: '', params: [] };
+    return { clause: ` AND ${column} = $${paramOffset + 1}`, params: [season] };
+}
 
-        if (typeof quantity !== 'number' || quantity < 0) {
-            return res.status(400).json({ error: 'Quantity must be a non-negative number' });
-        }
+// --- Season Rollover ---
 
-        // Verify product exists
-        const product = await db.getOne('SELECT id FROM cookie_products WHERE id = $1', [productId]);
-        if (!product) return res.status(404).json({ error: 'Product not found' });
+/**
+ * Check whether a season was archived by a rollover. Archived seasons are read-only.
+ * @param {string} year - Season year
+ * @returns {Promise<boolean>}
+ */
+async function isSeasonArchived(year) {
+    if (!year) return false;
+    const season = await db.getOne('SELECT "archivedAt" FROM seasons WHERE year = $1', [year]);
+    return !!(season && season.archivedAt);
+}
 
-        // Upsert inventory
-        const result = await db.getOne(`
-            INSERT INTO scout_inventory ("userId", "productId", quantity, "lastUpdated")
-            VALUES ($1, $2, $3, NOW())
-            ON CONFLICT ("userId", "productId")
-            DO UPDATE SET quantity = $3, "lastUpdated" = NOW()
-            RETURNING *
-        `, [req.session.userId, productId, quantity]);
+function seasonArchivedResponse(res, year) {
+    return res.status(409).json({ error: `The ${year} season is archived and read-only`, code: 'SEASON_ARCHIVED' });
+}
 
-        res.json(result);
+/**
+ * Build the end-of-season summary for one troop. Sales and donations must already be stamped with the season.
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Object} season - seasons row being closed
+ * @param {Date} nextStartDate - Start of the following season (end of the date window for undated records)
+ * @returns {Promise<Object>} Snapshot summary
+ */
+async function buildSeasonSnapshot(client, troopId, season, nextStartDate) {
+    const rows = async (text, params) => (await client.query(text, params)).rows;
+
+    const [totals] = await rows(`
+        SELECT COALESCE(SUM(s.quantity), 0)::int AS "totalBoxes",
+               COALESCE(SUM(s."amountCollected"), 0) AS "totalRevenue",
+               COUNT(DISTINCT s."userId")::int AS "activeSellers",
+               COUNT(s.id)::int AS "saleCount"
+        FROM sales s
+        JOIN troop_members tm ON s."userId" = tm."userId"
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND s.season = $2
+    `, [troopId, season.year]);
+
+    const byProduct = await rows(`
+        SELECT COALESCE(cp."cookieName", s."cookieType") AS product, SUM(s.quantity)::int AS boxes
+        FROM sales s
+        JOIN troop_members tm ON s."userId" = tm."userId"
+        LEFT JOIN cookie_products cp ON s."productId" = cp.id
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND s.season = $2
+        GROUP BY 1
+        ORDER BY boxes DESC
+    `, [troopId, season.year]);
+
+    const byScout = await rows(`
+        SELECT u.id AS "userId", u."firstName", u."lastName",
+               SUM(s.quantity)::int AS boxes, SUM(s."amountCollected") AS revenue
+        FROM sales s
+        JOIN troop_members tm ON s."userId" = tm."userId"
+        JOIN users u ON u.id = s."userId"
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND s.season = $2
+        GROUP BY u.id, u."firstName", u."lastName"
+        ORDER BY boxes DESC
+    `, [troopId, season.year]);
+
+    const [donations] = await rows(`
+        SELECT COALESCE(SUM(d.amount), 0) AS total, COUNT(d.id)::int AS count
+        FROM donations d
+        JOIN troop_members tm ON d."userId" = tm."userId"
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND d.season = $2
+    `, [troopId, season.year]);
+
+    const [booths] = await rows(`
+        SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE status = 'completed')::int AS completed
+        FROM booth_events
+        WHERE "troopId" = $1 AND "startDateTime" >= $2 AND "startDateTime" < $3
+    `, [troopId, season.startDate, nextStartDate]);
+
+    const closingInventory = await rows(`
+        SELECT cp."cookieName" AS product, SUM(si.quantity)::int AS quantity
+        FROM scout_inventory si
+        JOIN troop_members tm ON si."userId" = tm."userId"
+        JOIN cookie_products cp ON si."productId" = cp.id
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND cp.season = $2 AND si.quantity <> 0
+        GROUP BY cp."cookieName"
+        ORDER BY cp."cookieName"
+    `, [troopId, season.year]);
+
+    const goals = await rows(`
+        SELECT "goalType", "targetAmount", "actualAmount", status, "startDate", "endDate", description
+        FROM troop_goals
+        WHERE "troopId" = $1 AND "endDate" >= $2 AND "startDate" < $3
+        ORDER BY "startDate"
+    `, [troopId, season.startDate, nextStartDate]);
+
+    const [config] = await rows(
+        'SELECT * FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
+        [troopId, season.year]
+    );
+    const effectiveRate = parseFloat(config?.effectiveProceedsRate || 0.75);
+
+    return {
+        season: season.year,
+        seasonName: season.name,
+        startDate: season.startDate,
+        endDate: season.endDate,
+        totals: { ...totals, totalRevenue: parseFloat(totals.totalRevenue) },
+        proceeds: { effectiveRate, totalProceeds: totals.totalBoxes * effectiveRate },
+        byProduct,
+        byScout: byScout.map(r => ({ ...r, revenue: parseFloat(r.revenue) })),
+        donations: { total: parseFloat(donations.total), count: donations.count },
+        booths,
+        closingInventory,
+        goals,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Load and validate the two seasons of a rollover. Returns { error } or { from, to, shiftDays }.
+ */
+async function loadRolloverSeasons(fromYear, toYear) {
+    if (!toYear || toYear === fromYear) {
+        return { error: 'A different target season (toYear) is required' };
+    }
+    const from = await db.getOne('SELECT * FROM seasons WHERE year = $1', [fromYear]);
+    const to = await db.getOne('SELECT * FROM seasons WHERE year = $1', [toYear]);
+    if (!from || !to) {
+        return { error: 'Season not found', status: 404 };
+    }
+    if (from.archivedAt) {
+        return { error: `The ${fromYear} season has already been rolled over` };
+    }
+    if (to.archivedAt) {
+        return { error: `The ${toYear} season is archived` };
+    }
+    if (new Date(to.startDate) <= new Date(from.startDate)) {
+        return { error: 'The target season must start after the season being closed' };
+    }
+    const shiftDays = Math.round((new Date(to.startDate) - new Date(from.startDate)) / (24 * 60 * 60 * 1000));
+    return { from, to, shiftDays };
+}
+
+// Preview what a rollover will do for each troop
+app.get('/api/seasons/:year/rollover/preview', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const seasons = await loadRolloverSeasons(req.params.year, req.query.toYear);
+        if (seasons.error) return res.status(seasons.status || 400).json({ error: seasons.error });
+        const { from, to, shiftDays } = seasons;
+
+        const troops = await db.getAll(`
+            SELECT t.id AS "troopId", t."troopNumber",
+                   COALESCE(c."carryInventoryForward", false) AS "carryInventoryForward",
+                   (c.id IS NOT NULL) AS "hasConfig",
+                   (SELECT COUNT(*)::int FROM season_milestones WHERE "troopId" = t.id AND season = $1) AS "milestoneCount",
+                   (SELECT COUNT(*)::int FROM season_milestones WHERE "troopId" = t.id AND season = $2) AS "targetMilestoneCount",
+                   (SELECT COUNT(*)::int FROM troop_goals
+                    WHERE "troopId" = t.id AND status = 'in_progress' AND "endDate" >= $3 AND "startDate" < $4) AS "openGoalCount",
+                   (SELECT COALESCE(SUM(s.quantity), 0)::int FROM sales s
+                    JOIN troop_members tm ON s."userId" = tm."userId"
+                    WHERE tm."troopId" = t.id AND tm.status = 'active'
+                      AND (s.season = $1 OR (s.season IS NULL AND s.date < $4))) AS "totalBoxes",
+                   (SELECT COALESCE(SUM(si.quantity), 0)::int FROM scout_inventory si
+                    JOIN troop_members tm ON si."userId" = tm."userId"
+                    JOIN cookie_products cp ON si."productId" = cp.id
+                    WHERE tm."troopId" = t.id AND tm.status = 'active' AND cp.season = $1) AS "inventoryOnHand"
+            FROM troops t
+            LEFT JOIN troop_season_config c ON c."troopId" = t.id AND c.season = $1
+            WHERE t."isActive" = true
+            ORDER BY t."troopNumber"
+        `, [from.year, to.year, from.startDate, to.startDate]);
+
+        const unmatchedProducts = await db.getAll(`
+            SELECT op."cookieName" FROM cookie_products op
+            WHERE op.season = $1 AND op."isActive" = true
+              AND NOT EXISTS (SELECT 1 FROM cookie_products np WHERE np.season = $2 AND np."cookieName" = op."cookieName")
+            ORDER BY op."cookieName"
+        `, [from.year, to.year]);
+
+        res.json({ from, to, shiftDays, troops, unmatchedProducts: unmatchedProducts.map(p => p.cookieName) });
     } catch (error) {
-        logger.error('Error updating inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to update inventory' });
+        logger.error('Error previewing season rollover', { error: error.message });
+        res.status(500).json({ error: 'Failed to preview season rollover' });
     }
 });
 
-// Bulk update inventory (replace all)
-app.put('/api/inventory', auth.isAuthenticated, async (req, res) => {
+// Close a season: snapshot every troop, carry setup forward, archive the old season and activate the new one
+app.post('/api/seasons/:year/rollover', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
     try {
-        const { items } = req.body;
-        if (!Array.isArray(items)) {
-            return res.status(400).json({ error: 'Items must be an array of { productId, quantity }' });
-        }
+        const { toYear, troops: troopChoices = [], cloneGoals = true } = req.body;
+        const seasons = await loadRolloverSeasons(req.params.year, toYear);
+        if (seasons.error) return res.status(seasons.status || 400).json({ error: seasons.error });
+        const { from, to, shiftDays } = seasons;
 
-        for (const item of items) {
-            if (!item.productId || typeof item.quantity !== 'number' || item.quantity < 0) continue;
-            await db.query(`
-                INSERT INTO scout_inventory ("userId", "productId", quantity, "lastUpdated")
-                VALUES ($1, $2, $3, NOW())
-                ON CONFLICT ("userId", "productId")
-                DO UPDATE SET quantity = $3, "lastUpdated" = NOW()
-            `, [req.session.userId, item.productId, item.quantity]);
-        }
+        const result = await db.transaction(async (client) => {
+            // Lock the season row so two rollovers cannot run at once
+            const locked = await client.query('SELECT "archivedAt" FROM seasons WHERE id = $1 FOR UPDATE', [from.id]);
+            if (locked.rows[0].archivedAt) {
+                throw Object.assign(new Error(`The ${from.year} season has already been rolled over`), { status: 400 });
+            }
 
-        // Return updated inventory
-        const inventory = await db.getAll(`
-            SELECT si.*, cp."cookieName", cp."shortName", cp."pricePerBox"
-            FROM scout_inventory si
-            JOIN cookie_products cp ON si."productId" = cp.id
-            WHERE si."userId" = $1 AND cp."isActive" = true
-            ORDER BY cp."sortOrder"
-        `, [req.session.userId]);
+            // Sales and donations recorded before the new season starts belong to the old one
+            const stamped = await client.query(
+                'UPDATE sales SET season = $1 WHERE season IS NULL AND date < $2',
+                [from.year, to.startDate]
+            );
+            await client.query(
+                'UPDATE donations SET season = $1 WHERE season IS NULL AND date < $2',
+                [from.year, to.startDate]
+            );
 
-        res.json(inventory);
+            const troops = (await client.query(`
+                SELECT t.id, t."troopNumber", COALESCE(c."carryInventoryForward", false) AS "carryInventoryForward"
+                FROM troops t
+                LEFT JOIN troop_season_config c ON c."troopId" = t.id AND c.season = $1
+                WHERE t."isActive" = true
+            `, [from.year])).rows;
+
+            const summary = [];
+            const carryTroopIds = [];
+
+            for (const troop of troops) {
+                const choice = troopChoices.find(c => c.troopId === troop.id);
+                const carryInventory = choice && choice.carryInventory !== undefined
+                    ? !!choice.carryInventory
+                    : troop.carryInventoryForward;
+                if (carryInventory) carryTroopIds.push(troop.id);
+
+                const snapshot = await buildSeasonSnapshot(client, troop.id, from, to.startDate);
+                await client.query(`
+                    INSERT INTO season_snapshots ("troopId", season, summary, "createdBy")
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT ("troopId", season) DO UPDATE SET summary = EXCLUDED.summary, "createdBy" = EXCLUDED."createdBy", "createdAt" = NOW()
+                `, [troop.id, from.year, JSON.stringify(snapshot), req.session.userId]);
+
+                await client.query(`
+                    INSERT INTO troop_season_config ("troopId", season, "baseProceedsRate", "initialOrderBonus", "fallProductBonus",
+                        "optOutBonus", "effectiveProceedsRate", "initialOrderDate", "carryInventoryForward", notes)
+                    SELECT "troopId", $2, "baseProceedsRate", "initialOrderBonus", "fallProductBonus",
+                        "optOutBonus", "effectiveProceedsRate", "initialOrderDate" + $3::int, "carryInventoryForward", notes
+                    FROM troop_season_config
+                    WHERE "troopId" = $1 AND season = $4
+                    ON CONFLICT ("troopId", season) DO NOTHING
+                `, [troop.id, to.year, shiftDays, from.year]);
+
+                // Milestones are only cloned if the troop has not planned the new season yet
+                const milestones = await client.query(`
+                    INSERT INTO season_milestones ("troopId", season, "milestoneName", "milestoneDate", description, "sortOrder")
+                    SELECT "troopId", $2, "milestoneName", "milestoneDate" + $3::int, description, "sortOrder"
+                    FROM season_milestones
+                    WHERE "troopId" = $1 AND season = $4
+                      AND NOT EXISTS (SELECT 1 FROM season_milestones WHERE "troopId" = $1 AND season = $2)
+                `, [troop.id, to.year, shiftDays, from.year]);
+
+                let goalsCloned = 0;
+                if (cloneGoals) {
+                    const closedGoals = await client.query(`
+                        UPDATE troop_goals SET status = 'completed', "updatedAt" = NOW()
+                        WHERE "troopId" = $1 AND status = 'in_progress' AND "endDate" >= $2 AND "startDate" < $3
+                        RETURNING *
+                    `, [troop.id, from.startDate, to.startDate]);
+                    for (const goal of closedGoals.rows) {
+                        await client.query(`
+                            INSERT INTO troop_goals ("troopId", "goalType", "targetAmount", "startDate", "endDate", description, status, "createdBy")
+                            VALUES ($1, $2, $3, $4::date + $6::int, $5::date + $6::int, $7, 'in_progress', $8)
+                        `, [troop.id, goal.goalType, goal.targetAmount, goal.startDate, goal.endDate, shiftDays, goal.description, req.session.userId]);
+                    }
+                    goalsCloned = closedGoals.rowCount;
+                }
+
+                summary.push({
+                    troopId: troop.id,
+                    troopNumber: troop.troopNumber,
+                    totalBoxes: snapshot.totals.totalBoxes,
+                    milestonesCloned: milestones.rowCount,
+                    goalsCloned,
+                    carryInventory
+                });
+            }
+
+            // Carry each scout's ledger balance onto the matching new-season product
+            let inventoryCarried = 0;
+            for (const carryTroopId of carryTroopIds) {
+                inventoryCarried += await inventoryLedger.postCarryForward(client, carryTroopId, from.year, to.year, req.session.userId);
+            }
+
+            // Old products leave the active catalog so their stock no longer shows as current inventory
+            await client.query('UPDATE cookie_products SET "isActive" = false, "updatedAt" = NOW() WHERE season = $1', [from.year]);
+
+            await client.query(
+                'UPDATE seasons SET "archivedAt" = NOW(), "archivedBy" = $1, "isActive" = false, "updatedAt" = NOW() WHERE id = $2',
+                [req.session.userId, from.id]
+            );
+            await client.query('UPDATE seasons SET "isActive" = false WHERE id <> $1', [to.id]);
+            await client.query('UPDATE seasons SET "isActive" = true, "updatedAt" = NOW() WHERE id = $1', [to.id]);
+
+            return { salesStamped: stamped.rowCount, inventoryCarried, troops: summary };
+        });
+
+        await auth.logAuditEvent(db, req.session.userId, 'season_rollover', req, {
+            resourceType: 'season',
+            resourceId: from.id,
+            fromYear: from.year,
+            toYear: to.year,
+            shiftDays,
+            troopCount: result.troops.length,
+            salesStamped: result.salesStamped
+        });
+
+        logger.info('Season rolled over', { fromYear: from.year, toYear: to.year, troops: result.troops.length });
+        res.json({ fromYear: from.year, toYear: to.year, shiftDays, ...result });
     } catch (error) {
-        logger.error('Error bulk updating inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to update inventory' });
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Error rolling over season', { error: error.message });
+        res.status(500).json({ error: 'Failed to roll over season' });
     }
 });
 
-// Get all donations (filtered by userId)
-app.get('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('view_donations'), async (req, res) => {
+// End-of-season summaries for a troop (newest first)
+app.get('/api/troop/:troopId/season-snapshots', auth.isAuthenticated, auth.requirePrivilege('view_financials'), async (req, res) => {
     try {
-        const donations = await db.getAll('SELECT * FROM donations WHERE "userId" = $1 ORDER BY id DESC', [req.session.userId]);
-        res.json(donations);
+        const snapshots = await db.getAll(`
+            SELECT ss.id, ss.season, ss.summary, ss."createdAt", se.name AS "seasonName"
+            FROM season_snapshots ss
+            LEFT JOIN seasons se ON se.year = ss.season
+            WHERE ss."troopId" = $1
+            ORDER BY ss.season DESC
+        `, [req.params.troopId]);
+        res.json(snapshots);
     } catch (error) {
-        logger.error('Error fetching donations', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch donations' });
+        logger.error('Error fetching season snapshots', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch season snapshots' });
     }
 });
 
-// Add a new donation
-app.post('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('record_donations'), async (req, res) => {
+// Get all cookies for a season (or active season if not specified)
+app.get('/api/cookies', auth.isAuthenticated, async (req, res) => {
     try {
-        const { amount, donorName, date } = req.body;
+        const { season, includeInactive } = req.query;
+
+        // Get season to query
+        let targetSeason = season;
+        if (!targetSeason) {
+            const active = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
+            targetSeason = active?.year || '2026';
+        }
+
+        // Build query - using PostgreSQL json_agg instead of SQLite json_group_array
+        let query = `
+            SELECT cp.*,
+                   b."bakerName", b."bakerCode",
+                   COALESCE(
+                       json_agg(
+                           json_build_object('id', ca.id, 'type', ca."attributeType", 'value', ca."attributeValue", 'label', ca."displayLabel")
+                       ) FILTER (WHERE ca.id IS NOT NULL),
+                       '[]'::json
+                   ) as "attributesJson"
+            FROM cookie_products cp
+            LEFT JOIN cookie_attributes ca ON cp.id = ca."productId"
+            LEFT JOIN bakers b ON cp."bakerId" = b.id
+            WHERE cp.season = $1
+        `;
 
-        if (!amount || amount <= 0) {
-            logger.warn('Invalid donation data received', { amount });
-            return res.status(400).json({ error: 'Invalid donation data' });
+        if (!includeInactive) {
+            query += ' AND cp."isActive" = true';
         }
 
-        // Validate and sanitize donorName
-        const sanitizedDonorName = (donorName && donorName.trim()) || 'Anonymous';
+        query += ' GROUP BY cp.id, b."bakerName", b."bakerCode" ORDER BY cp."sortOrder", cp."cookieName"';
 
-        // Validate and use current date if not provided or invalid
-        let donationDate = date;
-        if (!donationDate || isNaN(new Date(donationDate).getTime())) {
-            donationDate = new Date().toISOString();
-        }
+        const cookies = await db.getAll(query, [targetSeason]);
 
-        const newDonation = await db.getOne('INSERT INTO donations (amount, "donorName", date, "userId") VALUES ($1, $2, $3, $4) RETURNING *',
-            [amount, sanitizedDonorName, donationDate, req.session.userId]);
+        // Parse attributes JSON
+        const result = cookies.map(cookie => {
+            let attributes = [];
+            try {
+                const parsed = typeof cookie.attributesJson === 'string' ? JSON.parse(cookie.attributesJson) : cookie.attributesJson;
+                attributes = Array.isArray(parsed) ? parsed.filter(a => a.id !== null) : [];
+            } catch (e) {
+                attributes = [];
+            }
+            delete cookie.attributesJson;
+            return { ...cookie, attributes };
+        });
 
-        logger.info('Donation added successfully', { donationId: newDonation.id, amount, userId: req.session.userId });
-        res.status(201).json(newDonation);
+        res.json(result);
     } catch (error) {
-        logger.error('Error adding donation', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to add donation' });
+        logger.error('Error fetching cookies', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch cookies' });
     }
 });
 
-// Delete a donation (only owner can delete)
-app.delete('/api/donations/:id', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_donations'), async (req, res) => {
+// Get single cookie with nutrition info
+app.get('/api/cookies/:id', auth.isAuthenticated, async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check ownership
-        const existingDonation = await db.getOne('SELECT "userId" FROM donations WHERE id = $1', [id]);
-        if (!existingDonation) {
-            logger.warn('Attempted to delete non-existent donation', { donationId: id });
-            return res.status(404).json({ error: 'Donation not found' });
-        }
-        // Check if user is deleting their own donation or is admin
-        if (existingDonation.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to delete this donation' });
+        const cookie = await db.getOne('SELECT * FROM cookie_products WHERE id = $1', [id]);
+        if (!cookie) {
+            return res.status(404).json({ error: 'Cookie not found' });
         }
 
-        await db.run('DELETE FROM donations WHERE id = $1', [id]);
-
-        logger.info('Donation deleted successfully', { donationId: id, userId: req.session.userId });
-        res.json({ message: 'Donation deleted successfully' });
-    } catch (error) {
-        logger.error('Error deleting donation', { error: error.message, stack: error.stack, donationId: req.params.id });
-        res.status(500).json({ error: 'Failed to delete donation' });
-    }
-});
+        const attributes = await db.getAll('SELECT * FROM cookie_attributes WHERE "productId" = $1', [id]);
+        const nutrition = await db.getOne('SELECT * FROM cookie_nutrition WHERE "productId" = $1', [id]);
 
-// Get all events (filtered by userId)
-app.get('/api/events', auth.isAuthenticated, async (req, res) => {
-    try {
-        const events = await db.getAll('SELECT * FROM events WHERE "userId" = $1 ORDER BY "eventDate" DESC', [req.session.userId]);
-        res.json(events);
+        res.json({ ...cookie, attributes, nutrition });
     } catch (error) {
-        logger.error('Error fetching events', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch events' });
+        logger.error('Error fetching cookie', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch cookie' });
     }
 });
 
-// Add a new event
-app.post('/api/events', auth.isAuthenticated, async (req, res) => {
+// Add new cookie
+app.post('/api/cookies', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
     try {
-        const {
-            eventName,
-            eventDate,
-            description,
-            initialBoxes,
-            initialCases,
-            remainingBoxes,
-            remainingCases,
-            donationsReceived,
-            troopId,
-            eventType,
-            startTime,
-            endTime,
-            location,
-            targetGroup
-        } = req.body;
-
-        if (!eventName || !eventDate) {
-            logger.warn('Invalid event data received', { eventName, eventDate });
-            return res.status(400).json({ error: 'Event name and date are required' });
-        }
+        const { season, cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, bakerId, organizationId, attributes, nutrition } = req.body;
 
-        // Validate and sanitize eventName
-        const sanitizedEventName = eventName.trim();
-        if (!sanitizedEventName) {
-            logger.warn('Empty event name received');
-            return res.status(400).json({ error: 'Event name cannot be empty' });
+        if (!season || !cookieName) {
+            return res.status(400).json({ error: 'Season and cookie name are required' });
         }
 
-        // Validate and use current date if not provided or invalid
-        let validEventDate = eventDate;
-        if (!validEventDate || isNaN(new Date(validEventDate).getTime())) {
-            validEventDate = new Date().toISOString();
-        }
+        // Insert cookie
+        const newCookie = await db.getOne(`
+            INSERT INTO cookie_products (season, "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl", "bakerId", "organizationId", "isActive", "createdAt")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, NOW())
+            RETURNING *
+        `, [season, cookieName, shortName || null, description || null, pricePerBox || 6.00, boxesPerCase || 12, sortOrder || 0, imageUrl || null, bakerId || null, organizationId || null]);
 
-        // Validate numeric fields
-        const validInitialBoxes = (typeof initialBoxes === 'number' && initialBoxes >= 0) ? initialBoxes : 0;
-        const validInitialCases = (typeof initialCases === 'number' && initialCases >= 0) ? initialCases : 0;
-        const validRemainingBoxes = (typeof remainingBoxes === 'number' && remainingBoxes >= 0) ? remainingBoxes : 0;
-        const validRemainingCases = (typeof remainingCases === 'number' && remainingCases >= 0) ? remainingCases : 0;
-        const validDonationsReceived = (typeof donationsReceived === 'number' && donationsReceived >= 0) ? donationsReceived : 0;
-        const sanitizedDescription = (description && description.trim()) || null;
+        const productId = newCookie.id;
 
-        // Verify troop membership if troopId is provided
-        if (troopId) {
-            const membership = await db.getOne(
-                'SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
-                [troopId, req.session.userId]
-            );
-            if (!membership && req.session.userRole !== 'admin') {
-                return res.status(403).json({ error: 'You are not an active member of this troop' });
+        // Insert attributes if provided
+        if (attributes && Array.isArray(attributes)) {
+            for (const attr of attributes) {
+                await db.run(`
+                    INSERT INTO cookie_attributes ("productId", "attributeType", "attributeValue", "displayLabel")
+                    VALUES ($1, $2, $3, $4)
+                `, [productId, attr.type, attr.value, attr.label || null]);
             }
         }
 
-        const newEvent = await db.getOne(`
-            INSERT INTO events (
-                "eventName", "eventDate", description,
-                "initialBoxes", "initialCases", "remainingBoxes", "remainingCases",
-                "donationsReceived", "userId", "troopId",
-                "eventType", "startTime", "endTime", "location", "targetGroup"
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-            RETURNING *
-        `, [
-            sanitizedEventName, validEventDate, sanitizedDescription,
-            validInitialBoxes, validInitialCases, validRemainingBoxes, validRemainingCases,
-            validDonationsReceived, req.session.userId, troopId || null,
-            eventType || 'event', startTime || null, endTime || null, location || null, targetGroup || 'Troop'
-        ]);
+        // Insert nutrition if provided
+        if (nutrition) {
+            await db.run(`
+                INSERT INTO cookie_nutrition ("productId", "servingSize", "servingsPerBox", calories, "totalFat", "saturatedFat", "transFat", cholesterol, sodium, "totalCarbs", "dietaryFiber", sugars, protein, ingredients)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            `, [productId, nutrition.servingSize, nutrition.servingsPerBox, nutrition.calories, nutrition.totalFat, nutrition.saturatedFat, nutrition.transFat, nutrition.cholesterol, nutrition.sodium, nutrition.totalCarbs, nutrition.dietaryFiber, nutrition.sugars, nutrition.protein, nutrition.ingredients]);
+        }
 
-        logger.info('Event added successfully', { eventId: newEvent.id, eventName: sanitizedEventName, userId: req.session.userId, troopId });
-        res.status(201).json(newEvent);
+        logger.info('Cookie created', { productId, cookieName, season });
+        res.status(201).json(newCookie);
     } catch (error) {
-        logger.error('Error adding event', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to add event' });
+        logger.error('Error creating cookie', { error: error.message });
+        res.status(500).json({ error: 'Failed to create cookie' });
     }
 });
 
-// Update an event (only owner can update)
-app.put('/api/events/:id', auth.isAuthenticated, async (req, res) => {
+// Update cookie
+app.put('/api/cookies/:id', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
     try {
         const { id } = req.params;
-        const {
-            eventName,
-            eventDate,
-            description,
-            initialBoxes,
-            initialCases,
-            remainingBoxes,
-            remainingCases,
-            donationsReceived,
-            eventType,
-            startTime,
-            endTime,
-            location,
-            targetGroup
-        } = req.body;
-
-        // Check ownership
-        const existingEvent = await db.getOne('SELECT "userId" FROM events WHERE id = $1', [id]);
-        if (!existingEvent) {
-            logger.warn('Attempted to update non-existent event', { eventId: id });
-            return res.status(404).json({ error: 'Event not found' });
-        }
-        if (existingEvent.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to edit this event' });
-        }
-
-        if (!eventName || !eventDate) {
-            logger.warn('Invalid event data received', { eventName, eventDate });
-            return res.status(400).json({ error: 'Event name and date are required' });
-        }
+        const { cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, isActive, bakerId, organizationId, attributes, nutrition } = req.body;
 
-        // Validate and sanitize eventName
-        const sanitizedEventName = eventName.trim();
-        if (!sanitizedEventName) {
-            logger.warn('Empty event name received');
-            return res.status(400).json({ error: 'Event name cannot be empty' });
+        const existing = await db.getOne('SELECT id, season FROM cookie_products WHERE id = $1', [id]);
+        if (!existing) {
+            return res.status(404).json({ error: 'Cookie not found' });
         }
-
-        // Validate and use current date if not provided or invalid
-        let validEventDate = eventDate;
-        if (!validEventDate || isNaN(new Date(validEventDate).getTime())) {
-            validEventDate = new Date().toISOString();
+        if (await isSeasonArchived(existing.season)) {
+            return seasonArchivedResponse(res, existing.season);
         }
 
-        // Validate numeric fields
-        const validInitialBoxes = (typeof initialBoxes === 'number' && initialBoxes >= 0) ? initialBoxes : 0;
-        const validInitialCases = (typeof initialCases === 'number' && initialCases >= 0) ? initialCases : 0;
-        const validRemainingBoxes = (typeof remainingBoxes === 'number' && remainingBoxes >= 0) ? remainingBoxes : 0;
-        const validRemainingCases = (typeof remainingCases === 'number' && remainingCases >= 0) ? remainingCases : 0;
-        const validDonationsReceived = (typeof donationsReceived === 'number' && donationsReceived >= 0) ? donationsReceived : 0;
-        const sanitizedDescription = (description && description.trim()) || null;
-
+        // Update cookie
         await db.run(`
-            UPDATE events
-            SET "eventName" = $1,
-                "eventDate" = $2,
-                description = $3,
-                "initialBoxes" = $4,
-                "initialCases" = $5,
-                "remainingBoxes" = $6,
-                "remainingCases" = $7,
-                "donationsReceived" = $8,
-                "eventType" = COALESCE($10, "eventType"),
-                "startTime" = COALESCE($11, "startTime"),
-                "endTime" = COALESCE($12, "endTime"),
-                "location" = COALESCE($13, "location"),
-                "targetGroup" = COALESCE($14, "targetGroup")
-            WHERE id = $9
-        `, [
-            sanitizedEventName, validEventDate, sanitizedDescription,
-            validInitialBoxes, validInitialCases, validRemainingBoxes, validRemainingCases,
-            validDonationsReceived, id,
-            eventType, startTime, endTime, location, targetGroup
-        ]);
+            UPDATE cookie_products SET
+                "cookieName" = COALESCE($1, "cookieName"),
+                "shortName" = COALESCE($2, "shortName"),
+                description = COALESCE($3, description),
+                "pricePerBox" = COALESCE($4, "pricePerBox"),
+                "boxesPerCase" = COALESCE($5, "boxesPerCase"),
+                "sortOrder" = COALESCE($6, "sortOrder"),
+                "imageUrl" = COALESCE($7, "imageUrl"),
+                "isActive" = COALESCE($8, "isActive"),
+                "bakerId" = COALESCE($9, "bakerId"),
+                "organizationId" = COALESCE($10, "organizationId"),
+                "updatedAt" = NOW()
+            WHERE id = $11
+        `, [cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, isActive, bakerId, organizationId, id]);
 
-        const updatedEvent = await db.getOne('SELECT * FROM events WHERE id = $1', [id]);
-        logger.info('Event updated successfully', { eventId: id, userId: req.session.userId });
-        res.json(updatedEvent);
+        // Update attributes if provided (replace all)
+        if (attributes && Array.isArray(attributes)) {
+            await db.run('DELETE FROM cookie_attributes WHERE "productId" = $1', [id]);
+            for (const attr of attributes) {
+                await db.run(`
+                    INSERT INTO cookie_attributes ("productId", "attributeType", "attributeValue", "displayLabel")
+                    VALUES ($1, $2, $3, $4)
+                `, [id, attr.type, attr.value, attr.label || null]);
+            }
+        }
+
+        // Update nutrition if provided
+        if (nutrition) {
+            await db.run('DELETE FROM cookie_nutrition WHERE "productId" = $1', [id]);
+            await db.run(`
+                INSERT INTO cookie_nutrition ("productId", "servingSize", "servingsPerBox", calories, "totalFat", "saturatedFat", "transFat", cholesterol, sodium, "totalCarbs", "dietaryFiber", sugars, protein, ingredients)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            `, [id, nutrition.servingSize, nutrition.servingsPerBox, nutrition.calories, nutrition.totalFat, nutrition.saturatedFat, nutrition.transFat, nutrition.cholesterol, nutrition.sodium, nutrition.totalCarbs, nutrition.dietaryFiber, nutrition.sugars, nutrition.protein, nutrition.ingredients]);
+        }
+
+        const updatedCookie = await db.getOne('SELECT * FROM cookie_products WHERE id = $1', [id]);
+        logger.info('Cookie updated', { id });
+        res.json(updatedCookie);
     } catch (error) {
-        logger.error('Error updating event', { error: error.message, stack: error.stack, eventId: req.params.id });
-        res.status(500).json({ error: 'Failed to update event' });
+        logger.error('Error updating cookie', { error: error.message });
+        res.status(500).json({ error: 'Failed to update cookie' });
     }
 });
 
-// Delete an event (only owner can delete)
-app.delete('/api/events/:id', auth.isAuthenticated, async (req, res) => {
+// Delete cookie (soft delete)
+app.delete('/api/cookies/:id', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Check ownership
-        const existingEvent = await db.getOne('SELECT "userId" FROM events WHERE id = $1', [id]);
-        if (!existingEvent) {
-            logger.warn('Attempted to delete non-existent event', { eventId: id });
-            return res.status(404).json({ error: 'Event not found' });
-        }
-        if (existingEvent.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to edit this event' });
+        const existing = await db.getOne('SELECT season FROM cookie_products WHERE id = $1', [id]);
+        if (existing && await isSeasonArchived(existing.season)) {
+            return seasonArchivedResponse(res, existing.season);
         }
 
-        await db.run('DELETE FROM events WHERE id = $1', [id]);
+        const result = await db.run('UPDATE cookie_products SET "isActive" = false, "updatedAt" = NOW() WHERE id = $1', [id]);
 
-        logger.info('Event deleted successfully', { eventId: id, userId: req.session.userId });
-        res.json({ message: 'Event deleted successfully' });
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Cookie not found' });
+        }
+
+        logger.info('Cookie deactivated', { id });
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error deleting event', { error: error.message, stack: error.stack, eventId: req.params.id });
-        res.status(500).json({ error: 'Failed to delete event' });
+        logger.error('Error deactivating cookie', { error: error.message });
+        res.status(500).json({ error: 'Failed to deactivate cookie' });
     }
 });
 
-// Import sales from XLSX file
-app.post('/api/import', auth.isAuthenticated, upload.single('file'), async (req, res) => {
-    try {
-        if (!req.file) {
-            logger.warn('No file uploaded for import');
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
-
-        // Use ExcelJS to read the workbook
-        const workbook = new ExcelJS.Workbook();
-        await workbook.xlsx.load(req.file.buffer);
-
-        const worksheet = workbook.worksheets[0];
-        if (!worksheet) {
-            logger.warn('Empty XLSX file uploaded');
-            return res.status(400).json({ error: 'No data found in file' });
-        }
+// ============================================================================
+// Baker & Troop Product Routes
+// ============================================================================
 
-        // Convert worksheet to array of objects
-        const data = [];
-        const headers = [];
+// Get all bakers
+app.get('/api/bakers', auth.isAuthenticated, async (req, res) => {
+    try {
+        const bakers = await db.getAll(`
+            SELECT b.*,
+                   (SELECT COUNT(*) FROM cookie_products WHERE "bakerId" = b.id AND "isActive" = true) as "productCount"
+            FROM bakers b
+            WHERE b."isActive" = true
+            ORDER BY b."bakerName"
+        `);
+        res.json(bakers);
+    } catch (error) {
+        logger.error('Error fetching bakers', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch bakers' });
+    }
+});
 
-        worksheet.eachRow((row, rowNumber) => {
-            if (rowNumber === 1) {
-                // First row is headers
-                row.eachCell((cell, colNumber) => {
-                    headers[colNumber] = cell.value?.toString() || '';
-                });
-            } else {
-                // Data rows
-                const rowData = {};
-                row.eachCell((cell, colNumber) => {
-                    const header = headers[colNumber];
-                    if (header) {
-                        // Handle different cell value types
-                        let value = cell.value;
-                        if (value && typeof value === 'object') {
-                            // Handle rich text, dates, etc.
-                            if (value.richText) {
-                                value = value.richText.map(rt => rt.text).join('');
-                            } else if (value instanceof Date) {
-                                value = value;
-                            } else if (value.result !== undefined) {
-                                value = value.result;
-                            }
-                        }
-                        rowData[header] = value;
-                    }
-                });
-                if (Object.keys(rowData).length > 0) {
-                    data.push(rowData);
-                }
-            }
-        });
+// Get products available for a troop (based on troop's organization + active season)
+app.get('/api/troop/:troopId/products', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { baker, includeInactive } = req.query;
 
-        if (data.length === 0) {
-            logger.warn('Empty XLSX file uploaded');
-            return res.status(400).json({ error: 'No data found in file' });
-        }
-
-        // Cookie type mapping from XLSX columns to our cookie names
-        const cookieColumns = [
-            { xlsx: 'Thin Mints', db: 'Thin Mints' },
-            { xlsx: 'Samoas', db: 'Samoas' },
-            { xlsx: 'Caramel deLites', db: 'Samoas' },
-            { xlsx: 'Tagalongs', db: 'Tagalongs' },
-            { xlsx: 'Peanut Butter Patties', db: 'Tagalongs' },
-            { xlsx: 'Trefoils', db: 'Trefoils' },
-            { xlsx: 'Shortbread', db: 'Trefoils' },
-            { xlsx: 'Do-si-dos', db: 'Do-si-dos' },
-            { xlsx: 'Peanut Butter Sandwich', db: 'Do-si-dos' },
-            { xlsx: 'Lemon-Ups', db: 'Lemon-Ups' },
-            { xlsx: 'Adventurefuls', db: 'Adventurefuls' },
-            { xlsx: 'Exploremores', db: 'Exploremores' },
-            { xlsx: 'Toffee-tastic', db: 'Toffee-tastic' }
-        ];
+        // Get the troop's organization
+        const troop = await db.getOne(`
+            SELECT t.id, t."organizationId", so."orgCode", so."orgName"
+            FROM troops t
+            LEFT JOIN scout_organizations so ON t."organizationId" = so.id
+            WHERE t.id = $1
+        `, [troopId]);
+        if (!troop) return res.status(404).json({ error: 'Troop not found' });
 
-        const userId = req.session.userId;
+        // Get active season
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        const targetSeason = season?.year || '2026';
 
-        const insertStmt = db.prepare(`
-            INSERT INTO sales (
-                cookieType, quantity, customerName, customerAddress, customerPhone,
-                date, saleType, unitType, orderNumber, orderType, orderStatus, customerEmail, userId
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
+        // Build product query
+        let query = `
+            SELECT cp.*, b."bakerName", b."bakerCode",
+                   COALESCE(
+                       json_agg(
+                           json_build_object('id', ca.id, 'type', ca."attributeType", 'value', ca."attributeValue", 'label', ca."displayLabel")
+                       ) FILTER (WHERE ca.id IS NOT NULL),
+                       '[]'::json
+                   ) as "attributesJson"
+            FROM cookie_products cp
+            LEFT JOIN cookie_attributes ca ON cp.id = ca."productId"
+            LEFT JOIN bakers b ON cp."bakerId" = b.id
+            WHERE cp.season = $1
+        `;
+        const params = [targetSeason];
+        let paramIdx = 2;
 
-        let importedCount = 0;
-
-        // Use a transaction for better performance
-        const importTransaction = db.transaction((rows) => {
-            for (const row of rows) {
-                // Get order details
-                const orderNumber = String(row['Order Number'] || '');
-                const orderDate = row['Order Date'];
-                const orderType = row['Order Type'] || '';
-                const orderStatus = row['Order Status'] || '';
-                const customerName = row['Deliver To'] || '';
-                const customerAddress = row['Delivery Address'] || '';
-                const customerPhone = row['Customer Phone'] || '';
-                const customerEmail = row['Customer Email'] || '';
-
-                // Convert date to ISO string
-                let dateStr = new Date().toISOString();
-                if (orderDate) {
-                    if (orderDate instanceof Date) {
-                        dateStr = orderDate.toISOString();
-                    } else if (typeof orderDate === 'number') {
-                        // Excel date serial number
-                        const excelEpoch = new Date(1899, 11, 30);
-                        const jsDate = new Date(excelEpoch.getTime() + orderDate * 24 * 60 * 60 * 1000);
-                        dateStr = jsDate.toISOString();
-                    } else if (typeof orderDate === 'string') {
-                        const parsedDate = new Date(orderDate);
-                        if (!isNaN(parsedDate.getTime())) {
-                            dateStr = parsedDate.toISOString();
-                        }
-                    }
-                }
+        // Filter by organization if troop has one
+        if (troop.organizationId) {
+            query += ` AND cp."organizationId" = $${paramIdx}`;
+            params.push(troop.organizationId);
+            paramIdx++;
+        }
 
-                // Determine sale type based on order type
-                let saleType = 'individual';
-                if (orderType.toLowerCase().includes('donation')) {
-                    saleType = 'donation';
-                }
+        // Optional baker filter
+        if (baker) {
+            query += ` AND b."bakerCode" = $${paramIdx}`;
+            params.push(baker);
+            paramIdx++;
+        }
 
-                // Check for donated cookies column
-                const donatedCookies = parseInt(row['Donated Cookies'] || row['Donated Cookies (DO NOT DELIVER)'] || 0);
-                if (donatedCookies > 0) {
-                    // Add donated cookies as a special entry
-                    insertStmt.run(
-                        'Donated Cookies',
-                        donatedCookies,
-                        customerName,
-                        customerAddress,
-                        customerPhone,
-                        dateStr,
-                        'donation',
-                        'box',
-                        orderNumber,
-                        orderType,
-                        orderStatus,
-                        customerEmail,
-                        userId
-                    );
-                    importedCount++;
-                }
+        if (!includeInactive) {
+            query += ' AND cp."isActive" = true';
+        }
 
-                // Process each cookie type
-                for (const cookie of cookieColumns) {
-                    const quantity = parseInt(row[cookie.xlsx] || 0);
-                    if (quantity > 0) {
-                        insertStmt.run(
-                            cookie.db,
-                            quantity,
-                            customerName,
-                            customerAddress,
-                            customerPhone,
-                            dateStr,
-                            saleType,
-                            'box',
-                            orderNumber,
-                            orderType,
-                            orderStatus,
-                            customerEmail,
-                            userId
-                        );
-                        importedCount++;
-                    }
-                }
-            }
-        });
+        query += ' GROUP BY cp.id, b."bakerName", b."bakerCode" ORDER BY cp."sortOrder", cp."cookieName"';
 
-        importTransaction(data);
+        const products = await db.getAll(query, params);
 
-        logger.info('XLSX import completed', {
-            filename: req.file.originalname,
-            totalRows: data.length,
-            importedSales: importedCount,
-            userId
+        // Parse attributes
+        const result = products.map(p => {
+            let attributes = [];
+            try {
+                const parsed = typeof p.attributesJson === 'string' ? JSON.parse(p.attributesJson) : p.attributesJson;
+                attributes = Array.isArray(parsed) ? parsed.filter(a => a.id !== null) : [];
+            } catch (e) { attributes = []; }
+            delete p.attributesJson;
+            return { ...p, attributes };
         });
 
         res.json({
-            message: 'Import successful',
-            ordersProcessed: data.length,
-            salesImported: importedCount
+            troop: { id: troop.id, orgCode: troop.orgCode, orgName: troop.orgName },
+            season: targetSeason,
+            products: result
         });
     } catch (error) {
-        logger.error('Error importing XLSX', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to import file: ' + error.message });
+        logger.error('Error fetching troop products', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troop products' });
     }
 });
 
-// Get payment methods (filtered by userId)
-app.get('/api/payment-methods', auth.isAuthenticated, async (req, res) => {
-    try {
-        const methods = await db.getAll('SELECT * FROM payment_methods WHERE "userId" = $1 ORDER BY id ASC', [req.session.userId]);
-        res.json(methods);
-    } catch (error) {
-        logger.error('Error fetching payment methods', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch payment methods' });
-    }
-});
+// ============================================================================
+// Phase B: Cookie Dashboard Endpoints
+// ============================================================================
 
-// Add payment method
-app.post('/api/payment-methods', auth.isAuthenticated, async (req, res) => {
+// Cookie Dashboard - aggregated data for a troop member
+app.get('/api/troop/:troopId/cookie-dashboard', auth.isAuthenticated, auth.requirePrivilege('view_sales'), resolveSeasonParam, async (req, res) => {
     try {
-        const { name, url } = req.body;
+        const { troopId } = req.params;
+        const userId = req.session.userId;
+        const seasonFilter = buildSeasonFilter(req.season, 's.season', 1);
 
-        if (!name || !url) {
-            return res.status(400).json({ error: 'Name and URL are required' });
-        }
+        // My sales summary
+        const mySales = await db.getOne(`
+            SELECT COALESCE(SUM(quantity), 0) as "totalBoxes",
+                   COALESCE(SUM("amountCollected"), 0) as "totalCollected",
+                   COALESCE(SUM("amountDue"), 0) as "totalDue",
+                   COUNT(*) as "saleCount"
+            FROM sales s WHERE "userId" = $1${seasonFilter.clause}
+        `, [userId, ...seasonFilter.params]);
 
-        const newMethod = await db.getOne('INSERT INTO payment_methods (name, url, "userId") VALUES ($1, $2, $3) RETURNING *',
-            [name.trim(), url.trim(), req.session.userId]);
+        // My sales by product
+        const myProductBreakdown = await db.getAll(`
+            SELECT COALESCE(cp."cookieName", s."cookieType") as "cookieName",
+                   cp."shortName", cp."pricePerBox", s."productId",
+                   SUM(s.quantity) as "totalQuantity",
+                   SUM(s."amountCollected") as "totalCollected"
+            FROM sales s
+            LEFT JOIN cookie_products cp ON s."productId" = cp.id
+            WHERE s."userId" = $1${seasonFilter.clause}
+            GROUP BY COALESCE(cp."cookieName", s."cookieType"), cp."shortName", cp."pricePerBox", s."productId"
+            ORDER BY "totalQuantity" DESC
+        `, [userId, ...seasonFilter.params]);
 
-        logger.info('Payment method added', { id: newMethod.id, name, userId: req.session.userId });
-        res.status(201).json(newMethod);
-    } catch (error) {
-        logger.error('Error adding payment method', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to add payment method' });
-    }
-});
+        // My recent sales (last 10)
+        const recentSales = await db.getAll(`
+            SELECT s.*, cp."cookieName" as "productName", cp."shortName" as "productShortName", cp."pricePerBox" as "productPrice"
+            FROM sales s
+            LEFT JOIN cookie_products cp ON s."productId" = cp.id
+            WHERE s."userId" = $1${seasonFilter.clause}
+            ORDER BY s.date DESC
+            LIMIT 10
+        `, [userId, ...seasonFilter.params]);
 
-// Delete payment method (only owner can delete)
-app.delete('/api/payment-methods/:id', auth.isAuthenticated, async (req, res) => {
-    try {
-        const { id } = req.params;
+        // My inventory
+        const inventorySeasonFilter = buildSeasonFilter(req.season, 'cp.season', 1);
+        const myInventory = await db.getAll(`
+            SELECT si."productId", si.quantity, cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
+            FROM scout_inventory si
+            JOIN cookie_products cp ON si."productId" = cp.id
+            WHERE si."userId" = $1${inventorySeasonFilter.clause}
+            ORDER BY cp."sortOrder"
+        `, [userId, ...inventorySeasonFilter.params]);
 
-        // Check ownership
-        const existingMethod = await db.getOne('SELECT "userId" FROM payment_methods WHERE id = $1', [id]);
-        if (!existingMethod) {
-            return res.status(404).json({ error: 'Payment method not found' });
-        }
-        // Check if user is deleting their own payment method or is admin
-        if (existingMethod.userId !== req.session.userId && req.session.userRole !== 'admin') {
-            return res.status(403).json({ error: 'Not authorized to delete this payment method' });
-        }
+        // My goal progress
+        const profile = await db.getOne('SELECT "goalBoxes", "goalAmount" FROM profile WHERE "userId" = $1', [userId]);
 
-        await db.run('DELETE FROM payment_methods WHERE id = $1', [id]);
+        // Troop-level data (only if user has view_troop_sales privilege)
+        let troopData = null;
+        try {
+            const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
+            const troopSeasonFilter = buildSeasonFilter(req.season, 's.season', 1 + scopeFilter.params.length);
+            const troopTotals = await db.getOne(`
+                SELECT COALESCE(SUM(s.quantity), 0) as "totalBoxes",
+                       COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
+                       COUNT(DISTINCT s."userId") as "activeSellers"
+                FROM sales s
+                JOIN troop_members tm ON s."userId" = tm."userId"
+                WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}${troopSeasonFilter.clause}
+            `, [troopId, ...scopeFilter.params, ...troopSeasonFilter.params]);
 
-        logger.info('Payment method deleted', { id, userId: req.session.userId });
-        res.json({ success: true });
-    } catch (error) {
-        logger.error('Error deleting payment method', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to delete payment method' });
-    }
-});
+            const troopGoal = await db.getOne(`
+                SELECT * FROM troop_goals
+                WHERE "troopId" = $1 AND "goalType" = 'boxes_sold' AND status = 'in_progress'
+                ORDER BY "endDate" DESC LIMIT 1
+            `, [troopId]);
 
+            troopData = { totals: troopTotals, goal: troopGoal };
+        } catch (e) { /* user may not have troop sales privilege */ }
 
+        // Troop org info (for dynamic tab naming)
+        const troop = await db.getOne(`
+            SELECT t.id, so."orgCode", so."orgName"
+            FROM troops t
+            LEFT JOIN scout_organizations so ON t."organizationId" = so.id
+            WHERE t.id = $1
+        `, [troopId]);
 
-// Delete all sales (only current user's sales)
-app.delete('/api/sales', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_own_data'), async (req, res) => {
-    try {
-        const result = await db.run('DELETE FROM sales WHERE "userId" = $1', [req.session.userId]);
-        logger.info('All user sales deleted', { deletedCount: result.rowCount, userId: req.session.userId });
-        res.json({ success: true, deletedCount: result.rowCount });
+        res.json({
+            orgCode: troop?.orgCode || null,
+            orgName: troop?.orgName || null,
+            season: req.season,
+            mySales,
+            myProductBreakdown,
+            recentSales,
+            myInventory,
+            myGoal: { goalBoxes: profile?.goalBoxes || 0, goalAmount: profile?.goalAmount || 0 },
+            troopData
+        });
     } catch (error) {
-        logger.error('Failed to delete sales', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete sales' });
+        logger.error('Error fetching cookie dashboard', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch cookie dashboard' });
     }
 });
 
-// Delete all donations (only current user's donations)
-app.delete('/api/donations', auth.isAuthenticated, auth.requirePrivilegeAnyTroop('delete_own_data'), async (req, res) => {
+// Troop aggregate inventory (sum of all scout inventories)
+app.get('/api/troop/:troopId/inventory', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), resolveSeasonParam, async (req, res) => {
     try {
-        const result = await db.run('DELETE FROM donations WHERE "userId" = $1', [req.session.userId]);
-        logger.info('All user donations deleted', { deletedCount: result.rowCount, userId: req.session.userId });
-        res.json({ success: true, deletedCount: result.rowCount });
+        const { troopId } = req.params;
+        const seasonFilter = buildSeasonFilter(req.season, 'cp.season', 1);
+        const inventory = await db.getAll(`
+            SELECT si."productId", SUM(si.quantity) as "totalQuantity",
+                   COUNT(DISTINCT si."userId") as "scoutCount",
+                   cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
+            FROM scout_inventory si
+            JOIN troop_members tm ON si."userId" = tm."userId"
+            JOIN cookie_products cp ON si."productId" = cp.id
+            WHERE tm."troopId" = $1 AND tm.status = 'active'${seasonFilter.clause}
+            GROUP BY si."productId", cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
+            ORDER BY cp."sortOrder"
+        `, [troopId, ...seasonFilter.params]);
+        res.json(inventory);
     } catch (error) {
-        logger.error('Failed to delete donations', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete donations' });
+        logger.error('Error fetching troop inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch troop inventory' });
     }
 });
 
-// Delete all data (only current user's sales and donations)
-app.delete('/api/data', auth.isAuthenticated, async (req, res) => {
+// Get troop shared inventory (stock held by the troop, not individual scouts)
+app.get('/api/troop/:troopId/shared-inventory', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), resolveSeasonParam, async (req, res) => {
     try {
-        const salesResult = await db.run('DELETE FROM sales WHERE "userId" = $1', [req.session.userId]);
-        const donationsResult = await db.run('DELETE FROM donations WHERE "userId" = $1', [req.session.userId]);
-
-        const results = { salesDeleted: salesResult.rowCount, donationsDeleted: donationsResult.rowCount };
-        logger.info('All user data cleared', { ...results, userId: req.session.userId });
-        res.json({ success: true, ...results });
+        const { troopId } = req.params;
+        const seasonFilter = buildSeasonFilter(req.season, 'cp.season', 1);
+        const inventory = await db.getAll(`
+            SELECT e."troopId", e."productId", SUM(e.quantity)::int AS quantity, MAX(e."createdAt") AS "lastUpdated",
+                   cp."cookieName", cp."shortName", cp."pricePerBox"
+            FROM inventory_ledger_entries e
+            JOIN cookie_products cp ON e."productId" = cp.id
+            WHERE e."troopId" = $1 AND e."locationType" = 'troop'${seasonFilter.clause}
+            GROUP BY e."troopId", e."productId", cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
+            HAVING SUM(e.quantity) <> 0
+            ORDER BY cp."sortOrder"
+        `, [troopId, ...seasonFilter.params]);
+        res.json(inventory);
     } catch (error) {
-        logger.error('Failed to clear data', { error: error.message });
-        res.status(500).json({ error: 'Failed to clear data' });
+        logger.error('Error fetching shared inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch shared inventory' });
     }
 });
 
+// --- Fulfillment Orders ---
 
-
-// ============================================================================
-// Troop Management Routes (Phase 2)
-// ============================================================================
-
-// Get all troops for current user (as leader) or all troops (as admin)
-app.get('/api/troop/my-troops', auth.isAuthenticated, async (req, res) => {
+// List fulfillment orders for a troop
+app.get('/api/troop/:troopId/fulfillment', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
     try {
-        let troops;
-        if (req.session.userRole === 'admin') {
-            // Admin sees all troops
-            troops = await db.getAll(`
-                SELECT t.*, u."firstName" || ' ' || u."lastName" as "leaderName",
-                       (SELECT COUNT(*) FROM troop_members WHERE "troopId" = t.id AND status = 'active') as "memberCount"
-                FROM troops t
-                LEFT JOIN users u ON t."leaderId" = u.id
-                WHERE t."isActive" = true
-                ORDER BY t."troopNumber"
-            `);
-        } else {
-            // Troop leader sees troops where they are the leaderId OR an active leader/co-leader member
-            troops = await db.getAll(`
-                SELECT DISTINCT t.*, u."firstName" || ' ' || u."lastName" as "leaderName",
-                       (SELECT COUNT(*) FROM troop_members WHERE "troopId" = t.id AND status = 'active') as "memberCount",
-                       so."orgCode", so."orgName"
-                FROM troops t
-                LEFT JOIN users u ON t."leaderId" = u.id
-                LEFT JOIN scout_organizations so ON so.id = t."organizationId"
-                WHERE t."isActive" = true
-                  AND (
-                    t."leaderId" = $1
-                    OR EXISTS (
-                        SELECT 1 FROM troop_members tm
-                        WHERE tm."troopId" = t.id
-                          AND tm."userId" = $1
-                          AND tm.role IN ('troop_leader', 'co-leader', 'cookie_leader')
-                          AND tm.status = 'active'
-                    )
-                  )
-                ORDER BY t."troopNumber"
-            `, [req.session.userId]);
-        }
-        res.json(troops);
+        const { troopId } = req.params;
+        const orders = await db.getAll(`
+            SELECT fo.*, u."firstName" || ' ' || u."lastName" as "orderedByName",
+                   EXISTS (
+                       SELECT 1 FROM fulfillment_order_items foi
+                       WHERE foi."orderId" = fo.id AND foi."receivedQty" IS NOT NULL
+                         AND (foi."receivedQty" <> foi.quantity OR foi."damagedQty" > 0)
+                   ) AS "hasDiscrepancies"
+            FROM fulfillment_orders fo
+            JOIN users u ON fo."orderedBy" = u.id
+            WHERE fo."troopId" = $1
+            ORDER BY fo."orderDate" DESC
+        `, [troopId]);
+        res.json(orders);
     } catch (error) {
-        logger.error('Error fetching troops', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troops' });
+        logger.error('Error fetching fulfillment orders', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch fulfillment orders' });
     }
 });
 
-// Get members of a specific troop with sales summaries
-app.get('/api/troop/:troopId/members', auth.isAuthenticated, auth.requirePrivilege('view_roster'), async (req, res) => {
+// Create new fulfillment order
+app.post('/api/troop/:troopId/fulfillment', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
+    const client = await pool.connect();
     try {
         const { troopId } = req.params;
+        const { items, notes, deliveryDate } = req.body;
 
-        // Build scope filter for member visibility
-        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'u.id', req, 1);
-
-        // Get members with their sales summaries
-        const members = await db.getAll(`
-            SELECT
-                u.id, u.email, u."firstName", u."lastName", u."photoUrl",
-                tm.role as "troopRole", tm."scoutLevel", tm.den, tm.position,
-                tm."linkedParentId", tm."joinDate", tm.status,
-                COALESCE(SUM(s.quantity), 0) as "totalBoxes",
-                COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
-                MAX(s.date) as "lastSaleDate"
-            FROM troop_members tm
-            JOIN users u ON tm."userId" = u.id
-            LEFT JOIN sales s ON s."userId" = u.id
-            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}
-            GROUP BY u.id, tm.role, tm."scoutLevel", tm.den, tm.position, tm."linkedParentId", tm."joinDate", tm.status
-            ORDER BY u."lastName", u."firstName"
-        `, [troopId, ...scopeFilter.params]);
-
-        res.json(members);
-    } catch (error) {
-        logger.error('Error fetching troop members', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troop members' });
-    }
-});
-
-// ============================================================================
-// USER PROFILE MANAGEMENT ENDPOINTS
-// ============================================================================
-
-// Get user profile
-app.get('/api/users/:userId',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('view_roster'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
-
-            const user = await db.getOne(`
-                SELECT id, email, "firstName", "lastName", "photoUrl",
-                       "dateOfBirth", "isMinor", "parentEmail", phone, address
-                FROM users
-                WHERE id = $1
-            `, [userId]);
-
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
-
-            res.json(user);
-        } catch (error) {
-            logger.error('Error fetching user profile', { error: error.message });
-            res.status(500).json({ error: 'Failed to fetch user profile' });
+        if (!items || !items.length) {
+            return res.status(400).json({ error: 'Order must contain at least one item' });
         }
-    }
-);
-
-// Update user profile
-app.put('/api/users/:userId',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('edit_personal_info'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
-            const { firstName, lastName, email, phone, address, dateOfBirth, photoUrl } = req.body;
-
-            // Validation
-            if (!firstName || !lastName) {
-                return res.status(400).json({ error: 'First and last name required' });
-            }
-
-            if (email && !auth.isValidEmail(email)) {
-                return res.status(400).json({ error: 'Invalid email format' });
-            }
-
-            // Check email uniqueness (if changing)
-            if (email) {
-                const existing = await db.getOne(
-                    'SELECT id FROM users WHERE email = $1 AND id != $2',
-                    [email, userId]
-                );
-                if (existing) {
-                    return res.status(400).json({ error: 'Email already in use' });
-                }
-            }
 
-            // Calculate isMinor from dateOfBirth
-            const isMinor = dateOfBirth ? auth.isMinor(dateOfBirth) : false;
+        await client.query('BEGIN');
 
-            const updated = await db.getOne(`
-                UPDATE users
-                SET "firstName" = $1,
-                    "lastName" = $2,
-                    email = COALESCE($3, email),
-                    phone = $4,
-                    address = $5,
-                    "dateOfBirth" = $6,
-                    "photoUrl" = $7,
-                    "isMinor" = $8
-                WHERE id = $9
-                RETURNING id, "firstName", "lastName", email, phone, address,
-                          "dateOfBirth", "photoUrl", "isMinor"
-            `, [firstName, lastName, email, phone, address, dateOfBirth, photoUrl, isMinor, userId]);
+        const orderId = crypto.randomUUID();
+        let totalBoxes = 0;
+        let totalAmount = 0;
 
-            await auth.logAuditEvent(db, req.session.userId, 'update_user_profile', req, {
-                resourceType: 'user',
-                resourceId: userId,
-                changes: { firstName, lastName, email, phone, address, dateOfBirth }
-            });
+        // Create order record first
+        await client.query(`
+            INSERT INTO fulfillment_orders (id, "troopId", "orderedBy", notes, "deliveryDate")
+            VALUES ($1, $2, $3, $4, $5)
+        `, [orderId, troopId, req.session.userId, notes, deliveryDate]);
 
-            res.json(updated);
-        } catch (error) {
-            logger.error('Error updating user profile', { error: error.message });
-            res.status(500).json({ error: 'Failed to update user profile' });
-        }
-    }
-);
+        // Add items
+        for (const item of items) {
+            const product = await db.getOne('SELECT "pricePerBox" FROM cookie_products WHERE id = $1', [item.productId]);
+            if (!product) throw new Error(`Product not found: ${item.productId}`);
 
-// Update troop member data
-app.put('/api/troop/:troopId/members/:userId',
-    auth.isAuthenticated,
-    auth.requirePrivilege('manage_members'),
-    async (req, res) => {
-        try {
-            const { troopId, userId } = req.params;
-            const { role, scoutLevel, den, position, linkedParentId, additionalRoles } = req.body;
+            const unitPrice = product.pricePerBox;
+            const itemTotal = unitPrice * item.quantity;
 
-            // Verify target is in scope
-            const inScope = await auth.isTargetInScope(req, userId);
-            if (!inScope) {
-                return res.status(403).json({ error: 'Member is outside your access scope' });
-            }
+            await client.query(`
+                INSERT INTO fulfillment_order_items ("orderId", "productId", quantity, "unitPrice")
+                VALUES ($1, $2, $3, $4)
+            `, [orderId, item.productId, item.quantity, unitPrice]);
 
-            // Verify member exists
-            const member = await db.getOne(
-                'SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2',
-                [troopId, userId]
-            );
-            if (!member) {
-                return res.status(404).json({ error: 'Member not found in troop' });
-            }
+            totalBoxes += item.quantity;
+            totalAmount += itemTotal;
+        }
 
-            // Validate linkedParentId if provided
-            if (linkedParentId) {
-                const parentExists = await db.getOne('SELECT id FROM users WHERE id = $1', [linkedParentId]);
-                if (!parentExists) {
-                    return res.status(400).json({ error: 'Parent user not found' });
-                }
-            }
+        // Update order totals
+        await client.query(`
+            UPDATE fulfillment_orders 
+            SET "totalBoxes" = $1, "totalAmount" = $2
+            WHERE id = $3
+        `, [totalBoxes, totalAmount, orderId]);
 
-            const updated = await db.getOne(`
-                UPDATE troop_members
-                SET role = COALESCE($1, role),
-                    "scoutLevel" = $2,
-                    den = $3,
-                    position = $4,
-                    "linkedParentId" = $5,
-                    "additionalRoles" = $6
-                WHERE "troopId" = $7 AND "userId" = $8
-                RETURNING *
-            `, [
-                role,
-                scoutLevel,
-                den,
-                position,
-                linkedParentId,
-                additionalRoles ? JSON.stringify(additionalRoles) : null,
-                troopId,
-                userId
-            ]);
+        await auth.logAuditEvent(db, req.session.userId, 'create_fulfillment_order', req, {
+            resourceType: 'fulfillment_order',
+            resourceId: orderId,
+            details: { troopId, totalBoxes, totalAmount }
+        });
 
-            await auth.logAuditEvent(db, req.session.userId, 'update_troop_member', req, {
-                resourceType: 'troop_member',
-                resourceId: userId,
-                troopId,
-                changes: { role, scoutLevel, den, position, linkedParentId }
-            });
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, orderId });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error creating fulfillment order', { error: error.message });
+        res.status(500).json({ error: 'Failed to create fulfillment order' });
+    } finally {
+        client.release();
+    }
+});
 
-            res.json(updated);
-        } catch (error) {
-            logger.error('Error updating troop member', { error: error.message });
-            res.status(500).json({ error: 'Failed to update troop member' });
-        }
+/**
+ * Count a delivered council order into troop stock. Counted boxes are posted as a
+ * receive from the supplier; boxes that arrived damaged are then written off.
+ * An order can be received again only after its receive transaction was reversed.
+ * @param {Object} client - Transaction client
+ * @param {Object} params
+ * @param {string} params.troopId - Troop ID
+ * @param {string} params.orderId - Fulfillment order ID
+ * @param {Array<{productId: string, receivedQty: number, damagedQty?: number, notes?: string}>|null} params.lines -
+ *   Counted lines, or null to receive every line exactly as ordered
+ * @param {string} [params.notes] - Receiving notes for the whole order
+ * @param {string} params.userId - User receiving the order
+ * @returns {Promise<Object[]>} Discrepancy lines (see buildDiscrepancyLines)
+ */
+async function receiveFulfillmentOrder(client, { troopId, orderId, lines, notes, userId }) {
+    const order = (await client.query(
+        'SELECT * FROM fulfillment_orders WHERE id = $1 AND "troopId" = $2 FOR UPDATE',
+        [orderId, troopId]
+    )).rows[0];
+    if (!order) throw Object.assign(new Error('Order not found'), { status: 404 });
+    if (order.status === 'cancelled') throw Object.assign(new Error('A cancelled order cannot be received'), { status: 400 });
+
+    const received = await client.query(`
+        SELECT id FROM inventory_transactions it
+        WHERE "troopId" = $1 AND "transactionType" = 'receive'
+          AND "referenceType" = 'fulfillment_order' AND "referenceId" = $2
+          AND NOT EXISTS (SELECT 1 FROM inventory_transactions r WHERE r."reversesId" = it.id)
+    `, [troopId, orderId]);
+    if (received.rows.length > 0) {
+        throw Object.assign(new Error('This order has already been received. Reverse its receive transaction in the ledger to count it again.'), { status: 409, code: 'ALREADY_RECEIVED' });
+    }
+
+    const ordered = (await client.query(
+        'SELECT * FROM fulfillment_order_items WHERE "orderId" = $1',
+        [orderId]
+    )).rows;
+    const counts = lines || ordered.map(item => ({ productId: item.productId, receivedQty: item.quantity, damagedQty: 0 }));
+
+    const seen = new Set();
+    for (const line of counts) {
+        const receivedQty = Number(line.receivedQty);
+        const damagedQty = Number(line.damagedQty || 0);
+        if (!line.productId || seen.has(line.productId)) {
+            throw Object.assign(new Error('Each product can only be counted once'), { status: 400 });
+        }
+        if (!Number.isInteger(receivedQty) || receivedQty < 0 || !Number.isInteger(damagedQty) || damagedQty < 0) {
+            throw Object.assign(new Error('Received and damaged quantities must be whole numbers'), { status: 400 });
+        }
+        if (damagedQty > receivedQty) {
+            throw Object.assign(new Error('Damaged boxes are part of the received count and cannot exceed it'), { status: 400 });
+        }
+        seen.add(line.productId);
+    }
+    const uncounted = ordered.filter(item => !seen.has(item.productId));
+    if (uncounted.length > 0) throw Object.assign(new Error('Count every product on the order, including any that did not arrive'), { status: 400 });
+
+    for (const line of counts) {
+        const existing = ordered.find(item => item.productId === line.productId);
+        if (existing) {
+            await client.query(`
+                UPDATE fulfillment_order_items SET "receivedQty" = $1, "damagedQty" = $2, "receivingNotes" = $3
+                WHERE id = $4
+            `, [Number(line.receivedQty), Number(line.damagedQty || 0), line.notes || null, existing.id]);
+            continue;
+        }
+        // A product we did not order arrived: keep it on the order as an overage
+        const product = (await client.query('SELECT "pricePerBox" FROM cookie_products WHERE id = $1', [line.productId])).rows[0];
+        if (!product) throw Object.assign(new Error(`Product not found: ${line.productId}`), { status: 400 });
+        if (Number(line.receivedQty) === 0) continue;
+        await client.query(`
+            INSERT INTO fulfillment_order_items ("orderId", "productId", quantity, "unitPrice", "receivedQty", "damagedQty", "receivingNotes")
+            VALUES ($1, $2, 0, $3, $4, $5, $6)
+        `, [orderId, line.productId, product.pricePerBox, Number(line.receivedQty), Number(line.damagedQty || 0), line.notes || null]);
+    }
+
+    const movement = { troopId, createdBy: userId, referenceType: 'fulfillment_order', referenceId: orderId };
+    const receiveItems = counts.filter(l => Number(l.receivedQty) > 0)
+        .map(l => ({ productId: l.productId, quantity: Number(l.receivedQty) }));
+    const damagedItems = counts.filter(l => Number(l.damagedQty) > 0)
+        .map(l => ({ productId: l.productId, quantity: Number(l.damagedQty) }));
+    if (receiveItems.length > 0) {
+        await inventoryLedger.postTransaction(client, {
+            ...movement, type: 'receive', from: { type: 'supplier' }, to: { type: 'troop' }, items: receiveItems,
+            reason: lines ? 'Council order counted on delivery' : 'Council order delivered'
+        });
+    }
+    if (damagedItems.length > 0) {
+        await inventoryLedger.postTransaction(client, {
+            ...movement, type: 'damage', from: { type: 'troop' }, to: { type: 'damaged' }, items: damagedItems,
+            reason: 'Damaged on delivery'
+        });
     }
-);
 
-// Search for parent users to link
-app.get('/api/troop/:troopId/parents',
-    auth.isAuthenticated,
-    auth.requirePrivilege('view_roster'),
-    async (req, res) => {
-        try {
-            const { troopId } = req.params;
-            const { search } = req.query;
+    await client.query(`
+        UPDATE fulfillment_orders
+        SET status = 'delivered', "receivedAt" = NOW(), "receivedBy" = $1, "receivingNotes" = $2,
+            "deliveryDate" = COALESCE("deliveryDate", NOW()), "updatedAt" = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [userId, notes || null, orderId]);
 
-            let query = `
-                SELECT DISTINCT u.id, u."firstName", u."lastName", u.email
-                FROM users u
-                JOIN troop_members tm ON u.id = tm."userId"
-                WHERE tm."troopId" = $1
-                  AND tm.role IN ('parent', 'volunteer', 'co-leader', 'troop_leader')
-                  AND tm.status = 'active'
-            `;
+    return buildDiscrepancyLines((await client.query(`
+        SELECT foi.*, cp."cookieName", cp."boxesPerCase"
+        FROM fulfillment_order_items foi JOIN cookie_products cp ON cp.id = foi."productId"
+        WHERE foi."orderId" = $1 ORDER BY cp."sortOrder"
+    `, [orderId])).rows);
+}
 
-            const params = [troopId];
+/**
+ * Undo a council order's count. Its receive and damage transactions are reversed
+ * together (damage first, so the written-off boxes are back before the receive is
+ * taken out), the counts are cleared and overage lines are dropped, so the order
+ * can be received again.
+ * @param {Object} client - Transaction client
+ * @param {Object} params
+ * @param {string} params.troopId - Troop ID
+ * @param {string} params.orderId - Fulfillment order ID
+ * @param {string} params.transactionId - The receive or damage transaction asked to be reversed
+ * @param {string} params.reason - Why it is being reversed
+ * @param {string} params.userId - User reversing it
+ * @returns {Promise<Object>} The reversal of transactionId, with relatedReversalIds for the others
+ */
+async function reverseFulfillmentReceive(client, { troopId, orderId, transactionId, reason, userId }) {
+    await client.query('SELECT id FROM fulfillment_orders WHERE id = $1 AND "troopId" = $2 FOR UPDATE', [orderId, troopId]);
+
+    const alreadyReversed = await client.query('SELECT id FROM inventory_transactions WHERE "reversesId" = $1', [transactionId]);
+    if (alreadyReversed.rows.length > 0) {
+        throw Object.assign(new Error('This transaction has already been reversed'), { status: 409 });
+    }
+
+    const open = (await client.query(`
+        SELECT id FROM inventory_transactions it
+        WHERE "troopId" = $1 AND "transactionType" IN ('receive', 'damage')
+          AND "referenceType" = 'fulfillment_order' AND "referenceId" = $2
+          AND NOT EXISTS (SELECT 1 FROM inventory_transactions r WHERE r."reversesId" = it.id)
+        ORDER BY CASE "transactionType" WHEN 'damage' THEN 0 ELSE 1 END, "createdAt"
+    `, [troopId, orderId])).rows;
+
+    let reversal = null;
+    const relatedReversalIds = [];
+    for (const { id } of open) {
+        const posted = await inventoryLedger.reverseTransaction(client, troopId, id, reason, userId);
+        if (id === transactionId) reversal = posted;
+        else relatedReversalIds.push(posted.id);
+    }
+
+    await client.query('DELETE FROM fulfillment_order_items WHERE "orderId" = $1 AND quantity = 0', [orderId]);
+    await client.query(`
+        UPDATE fulfillment_order_items SET "receivedQty" = NULL, "damagedQty" = 0, "receivingNotes" = NULL
+        WHERE "orderId" = $1
+    `, [orderId]);
+    await client.query(`
+        UPDATE fulfillment_orders
+        SET "receivedAt" = NULL, "receivedBy" = NULL, "receivingNotes" = NULL, "updatedAt" = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [orderId]);
+
+    return { ...reversal, relatedReversalIds };
+}
 
-            if (search) {
-                query += ` AND (
-                    u."firstName" ILIKE $2 OR
-                    u."lastName" ILIKE $2 OR
-                    u.email ILIKE $2
-                )`;
-                params.push(`%${search}%`);
-            }
+/**
+ * Compare received counts with what was ordered
+ * @param {Object[]} items - fulfillment_order_items rows with cookieName and boxesPerCase
+ * @returns {Object[]} One line per product with shortQty, overQty and damagedQty
+ */
+function buildDiscrepancyLines(items) {
+    return items.map(item => {
+        const receivedQty = item.receivedQty === null ? null : item.receivedQty;
+        const difference = receivedQty === null ? 0 : receivedQty - item.quantity;
+        return {
+            productId: item.productId,
+            cookieName: item.cookieName,
+            boxesPerCase: item.boxesPerCase,
+            unitPrice: item.unitPrice,
+            orderedQty: item.quantity,
+            receivedQty,
+            damagedQty: item.damagedQty || 0,
+            shortQty: difference < 0 ? -difference : 0,
+            overQty: difference > 0 ? difference : 0,
+            notes: item.receivingNotes
+        };
+    });
+}
 
-            query += ` ORDER BY u."lastName", u."firstName" LIMIT 50`;
+// Update order status
+app.put('/api/troop/:troopId/fulfillment/:orderId', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
+    try {
+        const { troopId, orderId } = req.params;
+        const { status, deliveryDate, notes } = req.body;
 
-            const parents = await db.getAll(query, params);
-            res.json(parents);
-        } catch (error) {
-            logger.error('Error fetching parents', { error: error.message });
-            res.status(500).json({ error: 'Failed to fetch parents' });
-        }
-    }
-);
+        const previous = await db.getOne('SELECT status FROM fulfillment_orders WHERE id = $1 AND "troopId" = $2', [orderId, troopId]);
+        if (!previous) return res.status(404).json({ error: 'Order not found' });
 
-// ============================================================================
-// PASSWORD RESET ENDPOINTS
-// ============================================================================
+        const updates = [];
+        const values = [];
+        let paramCount = 1;
 
-// Initiate password reset
-app.post('/api/users/:userId/password-reset-request',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('edit_personal_info'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
+        if (status) {
+            updates.push(`status = $${paramCount++}`);
+            values.push(status);
+        }
+        if (deliveryDate !== undefined) {
+            updates.push(`"deliveryDate" = $${paramCount++}`);
+            values.push(deliveryDate);
+        }
+        if (notes !== undefined) {
+            updates.push(`notes = $${paramCount++}`);
+            values.push(notes);
+        }
 
-            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [userId]);
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
+        if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+        values.push(orderId);
+        await db.transaction(async (client) => {
+            await client.query(`
+                UPDATE fulfillment_orders
+                SET ${updates.join(', ')}, "updatedAt" = CURRENT_TIMESTAMP
+                WHERE id = $${paramCount}
+            `, values);
+
+            // Marking an uncounted order delivered receives it into troop stock exactly as ordered
+            if (status === 'delivered') {
+                await receiveFulfillmentOrder(client, { troopId, orderId, lines: null, userId: req.session.userId });
             }
+        });
 
-            // Generate secure token
-            const resetToken = crypto.randomBytes(32).toString('hex');
-            const expiresAt = new Date(Date.now() + 3600000); // 1 hour
+        await auth.logAuditEvent(db, req.session.userId, 'update_fulfillment_order', req, {
+            resourceType: 'fulfillment_order',
+            resourceId: orderId,
+            details: { status }
+        });
 
-            await db.run(`
-                UPDATE users
-                SET "passwordResetToken" = $1,
-                    "passwordResetExpires" = $2
-                WHERE id = $3
-            `, [resetToken, expiresAt, userId]);
+        if (status && status !== previous.status) {
+            const order = await db.getOne(
+                'SELECT id, status, "orderDate", "deliveryDate", "totalBoxes", "totalAmount" FROM fulfillment_orders WHERE id = $1',
+                [orderId]
+            );
+            webhooks.emitEvent(troopId, 'fulfillment.status_changed', { order, previousStatus: previous.status });
+        }
 
-            // TODO: Send email with reset link
-            // For development, return token
+        res.json({ success: true });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error updating fulfillment order', { error: error.message });
+        res.status(500).json({ error: 'Failed to update fulfillment order' });
+    }
+});
 
-            await auth.logAuditEvent(db, req.session.userId, 'request_password_reset', req, {
-                resourceType: 'user',
-                resourceId: userId
-            });
+// Get order details
+app.get('/api/troop/:troopId/fulfillment/:orderId', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const order = await db.getOne(`
+            SELECT fo.*, u."firstName" || ' ' || u."lastName" as "orderedByName"
+            FROM fulfillment_orders fo
+            JOIN users u ON fo."orderedBy" = u.id
+            WHERE fo.id = $1
+        `, [orderId]);
 
-            res.json({
-                message: 'Password reset initiated',
-                resetToken: resetToken // DEV ONLY - remove in production
-            });
-        } catch (error) {
-            logger.error('Error initiating password reset', { error: error.message });
-            res.status(500).json({ error: 'Failed to initiate password reset' });
-        }
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+
+        const items = await db.getAll(`
+            SELECT foi.*, cp."cookieName", cp."shortName", cp."boxesPerCase"
+            FROM fulfillment_order_items foi
+            JOIN cookie_products cp ON foi."productId" = cp.id
+            WHERE foi."orderId" = $1
+            ORDER BY cp."sortOrder"
+        `, [orderId]);
+
+        res.json({ ...order, items });
+    } catch (error) {
+        logger.error('Error fetching order details', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch order details' });
     }
-);
+});
 
-// Complete password reset using token
-app.post('/api/users/password-reset', async (req, res) => {
+// Count a delivered order line by line and post the counts into troop stock
+app.post('/api/troop/:troopId/fulfillment/:orderId/receive', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
     try {
-        const { token, newPassword } = req.body;
-
-        if (!token || !newPassword) {
-            return res.status(400).json({ error: 'Token and new password required' });
+        const { troopId, orderId } = req.params;
+        const { items, notes } = req.body;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must list the count for each product' });
         }
 
-        // Validate password strength (reuse existing validation)
-        if (newPassword.length < 8) {
-            return res.status(400).json({ error: 'Password must be at least 8 characters' });
-        }
+        const previous = await db.getOne('SELECT status FROM fulfillment_orders WHERE id = $1 AND "troopId" = $2', [orderId, troopId]);
+        if (!previous) return res.status(404).json({ error: 'Order not found' });
 
-        // Find user by valid token
-        const user = await db.getOne(`
-            SELECT * FROM users
-            WHERE "passwordResetToken" = $1
-              AND "passwordResetExpires" > NOW()
-        `, [token]);
+        const lines = await db.transaction(client => receiveFulfillmentOrder(client, {
+            troopId, orderId, lines: items, notes, userId: req.session.userId
+        }));
+        const discrepancies = lines.filter(l => l.shortQty || l.overQty || l.damagedQty);
+
+        await auth.logAuditEvent(db, req.session.userId, 'receive_fulfillment_order', req, {
+            resourceType: 'fulfillment_order',
+            resourceId: orderId,
+            troopId,
+            discrepancies: discrepancies.length
+        });
 
-        if (!user) {
-            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        if (previous.status !== 'delivered') {
+            const order = await db.getOne(
+                'SELECT id, status, "orderDate", "deliveryDate", "totalBoxes", "totalAmount" FROM fulfillment_orders WHERE id = $1',
+                [orderId]
+            );
+            webhooks.emitEvent(troopId, 'fulfillment.status_changed', { order, previousStatus: previous.status });
         }
 
-        // Hash new password
-        const passwordHash = await auth.hashPassword(newPassword);
+        res.json({ orderId, lines, discrepancyCount: discrepancies.length });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error receiving fulfillment order', { error: error.message });
+        res.status(500).json({ error: 'Failed to receive fulfillment order' });
+    }
+});
 
-        // Update password and clear token
-        await db.run(`
-            UPDATE users
-            SET password_hash = $1,
-                "passwordResetToken" = NULL,
-                "passwordResetExpires" = NULL,
-                "lastPasswordChange" = NOW()
-            WHERE id = $2
-        `, [passwordHash, user.id]);
+// Shortages, overages and damage on a received order, for the service unit cookie manager
+app.get('/api/troop/:troopId/fulfillment/:orderId/discrepancies', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+    try {
+        const { troopId, orderId } = req.params;
+        const order = await db.getOne(`
+            SELECT fo.id, fo.status, fo."orderDate", fo."deliveryDate", fo."receivedAt", fo."receivingNotes", fo.notes,
+                   t."troopNumber", t."troopName",
+                   o."firstName" || ' ' || o."lastName" AS "orderedByName",
+                   r."firstName" || ' ' || r."lastName" AS "receivedByName"
+            FROM fulfillment_orders fo
+            JOIN troops t ON t.id = fo."troopId"
+            LEFT JOIN users o ON o.id = fo."orderedBy"
+            LEFT JOIN users r ON r.id = fo."receivedBy"
+            WHERE fo.id = $1 AND fo."troopId" = $2
+        `, [orderId, troopId]);
+        if (!order) return res.status(404).json({ error: 'Order not found' });
+        if (!order.receivedAt) return res.status(400).json({ error: 'This order has not been received yet' });
 
-        await auth.logAuditEvent(db, user.id, 'password_reset_complete', req, {
-            resourceType: 'user',
-            resourceId: user.id
-        });
+        const lines = buildDiscrepancyLines(await db.getAll(`
+            SELECT foi.*, cp."cookieName", cp."boxesPerCase"
+            FROM fulfillment_order_items foi JOIN cookie_products cp ON cp.id = foi."productId"
+            WHERE foi."orderId" = $1 ORDER BY cp."sortOrder"
+        `, [orderId]));
 
-        res.json({ message: 'Password reset successful' });
+        const total = (field) => lines.reduce((sum, l) => sum + (l[field] || 0), 0);
+        const value = (field) => lines.reduce((sum, l) => sum + (l[field] || 0) * parseFloat(l.unitPrice || 0), 0);
+        res.json({
+            order,
+            lines,
+            totals: {
+                orderedQty: total('orderedQty'),
+                receivedQty: total('receivedQty'),
+                shortQty: total('shortQty'),
+                overQty: total('overQty'),
+                damagedQty: total('damagedQty'),
+                shortValue: value('shortQty'),
+                overValue: value('overQty'),
+                damagedValue: value('damagedQty')
+            }
+        });
     } catch (error) {
-        logger.error('Error completing password reset', { error: error.message });
-        res.status(500).json({ error: 'Failed to reset password' });
+        logger.error('Error fetching order discrepancies', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch order discrepancies' });
     }
 });
 
 // ============================================================================
-// PAYMENT METHODS ENDPOINTS
+// INVENTORY LEDGER ENDPOINTS
 // ============================================================================
 
-// Get user payment methods
-app.get('/api/users/:userId/payment-methods',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('view_sales'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
-
-            const methods = await db.getAll(`
-                SELECT id, name, url, "isEnabled"
-                FROM payment_methods
-                WHERE "userId" = $1
-                ORDER BY "isEnabled" DESC, name ASC
-            `, [userId]);
+// List ledger transactions, newest first. Members below troop scope only see transactions involving their scouts.
+app.get('/api/troop/:troopId/inventory-ledger', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { type, productId, userId, boothEventId } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
 
-            res.json(methods);
-        } catch (error) {
-            logger.error('Error fetching payment methods', { error: error.message });
-            res.status(500).json({ error: 'Failed to fetch payment methods' });
+        const params = [troopId];
+        let filters = '';
+        if (type) {
+            params.push(type);
+            filters += ` AND it."transactionType" = $${params.length}`;
         }
-    }
-);
+        for (const [column, value] of [['"productId"', productId], ['"userId"', userId], ['"boothEventId"', boothEventId]]) {
+            if (!value) continue;
+            params.push(value);
+            filters += ` AND EXISTS (SELECT 1 FROM inventory_ledger_entries f WHERE f."transactionId" = it.id AND f.${column} = $${params.length})`;
+        }
+        if (req.effectiveScope !== 'T') {
+            const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'f."userId"', req, params.length);
+            params.push(...scopeFilter.params);
+            filters += ` AND EXISTS (SELECT 1 FROM inventory_ledger_entries f WHERE f."transactionId" = it.id${scopeFilter.clause})`;
+        }
+        params.push(limit);
 
-// Add payment method
-app.post('/api/users/:userId/payment-methods',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('manage_payment_methods'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
-            const { name, url, isEnabled } = req.body;
+        const transactions = await db.getAll(`
+            SELECT it.*, cu."firstName" || ' ' || cu."lastName" AS "createdByName", rv.id AS "reversedById",
+                   json_agg(json_build_object(
+                       'productId', e."productId", 'cookieName', cp."cookieName",
+                       'locationType', e."locationType",
+                       'userId', e."userId", 'scoutName', su."firstName" || ' ' || su."lastName",
+                       'boothEventId', e."boothEventId", 'boothName', be."eventName",
+                       'quantity', e.quantity
+                   ) ORDER BY cp."sortOrder", e.quantity) AS entries
+            FROM inventory_transactions it
+            JOIN inventory_ledger_entries e ON e."transactionId" = it.id
+            JOIN cookie_products cp ON cp.id = e."productId"
+            LEFT JOIN users su ON su.id = e."userId"
+            LEFT JOIN booth_events be ON be.id = e."boothEventId"
+            LEFT JOIN users cu ON cu.id = it."createdBy"
+            LEFT JOIN inventory_transactions rv ON rv."reversesId" = it.id
+            WHERE it."troopId" = $1${filters}
+            GROUP BY it.id, cu."firstName", cu."lastName", rv.id
+            ORDER BY it."createdAt" DESC
+            LIMIT $${params.length}
+        `, params);
 
-            if (!name || !url) {
-                return res.status(400).json({ error: 'Name and URL required' });
-            }
+        res.json(transactions);
+    } catch (error) {
+        logger.error('Error fetching inventory ledger', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch inventory ledger' });
+    }
+});
 
-            // Validate URL format
-            try {
-                new URL(url);
-            } catch (e) {
-                return res.status(400).json({ error: 'Invalid URL format' });
-            }
+// Current holdings of troop stock, scouts, booths and write-offs, computed from the ledger
+app.get('/api/troop/:troopId/inventory-ledger/balances', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), resolveSeasonParam, async (req, res) => {
+    try {
+        const balances = await inventoryLedger.getBalances(req.params.troopId, { season: req.season });
+        res.json({ season: req.season, balances });
+    } catch (error) {
+        logger.error('Error fetching inventory balances', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch inventory balances' });
+    }
+});
 
-            const method = await db.getOne(`
-                INSERT INTO payment_methods ("userId", name, url, "isEnabled")
-                VALUES ($1, $2, $3, $4)
-                RETURNING *
-            `, [userId, name, url, isEnabled !== false]);
+// Record a movement: issue to a scout or booth, return, transfer, damage, receive or adjust
+app.post('/api/troop/:troopId/inventory-ledger', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { type, from, to, items, reason } = req.body;
 
-            await auth.logAuditEvent(db, req.session.userId, 'add_payment_method', req, {
-                resourceType: 'payment_method',
-                resourceId: method.id,
-                userId
-            });
+        const transaction = await db.transaction(client => inventoryLedger.postTransaction(client, {
+            troopId,
+            type,
+            from,
+            to,
+            items: Array.isArray(items) ? items.map(i => ({ productId: i.productId, quantity: Number(i.quantity) })) : items,
+            reason: reason ? String(reason).trim() : null,
+            createdBy: req.session.userId
+        }));
 
-            res.json(method);
-        } catch (error) {
-            logger.error('Error adding payment method', { error: error.message });
-            res.status(500).json({ error: 'Failed to add payment method' });
-        }
-    }
-);
+        await auth.logAuditEvent(db, req.session.userId, 'inventory_transaction_posted', req, {
+            resourceType: 'inventory_transaction',
+            resourceId: transaction.id,
+            troopId,
+            transactionType: type
+        });
 
-// Delete payment method
-app.delete('/api/users/:userId/payment-methods/:methodId',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('manage_payment_methods'),
-    async (req, res) => {
-        try {
-            const { userId, methodId } = req.params;
+        res.status(201).json(transaction);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error posting inventory transaction', { error: error.message });
+        res.status(500).json({ error: 'Failed to record inventory movement' });
+    }
+});
 
-            // Verify method belongs to user
-            const method = await db.getOne(
-                'SELECT * FROM payment_methods WHERE id = $1 AND "userId" = $2',
-                [methodId, userId]
-            );
+// Correct a transaction by posting its mirror image
+app.post('/api/troop/:troopId/inventory-ledger/:transactionId/reverse', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
+    try {
+        const { troopId, transactionId } = req.params;
+        const reason = req.body.reason ? String(req.body.reason).trim() : '';
 
-            if (!method) {
-                return res.status(404).json({ error: 'Payment method not found' });
+        const reversal = await db.transaction(async (client) => {
+            const original = (await client.query(
+                'SELECT "transactionType", "referenceType", "referenceId" FROM inventory_transactions WHERE id = $1 AND "troopId" = $2',
+                [transactionId, troopId]
+            )).rows[0];
+            // A council order's count is undone as a whole
+            if (original && original.referenceType === 'fulfillment_order' && ['receive', 'damage'].includes(original.transactionType)) {
+                if (!reason) throw Object.assign(new Error('A reason is required'), { status: 400 });
+                return reverseFulfillmentReceive(client, {
+                    troopId, orderId: original.referenceId, transactionId, reason, userId: req.session.userId
+                });
             }
+            return inventoryLedger.reverseTransaction(client, troopId, transactionId, reason, req.session.userId);
+        });
 
-            await db.run('DELETE FROM payment_methods WHERE id = $1', [methodId]);
-
-            await auth.logAuditEvent(db, req.session.userId, 'delete_payment_method', req, {
-                resourceType: 'payment_method',
-                resourceId: methodId,
-                userId
-            });
+        await auth.logAuditEvent(db, req.session.userId, 'inventory_transaction_reversed', req, {
+            resourceType: 'inventory_transaction',
+            resourceId: transactionId,
+            troopId,
+            reversalId: reversal.id,
+            relatedReversalIds: reversal.relatedReversalIds
+        });
 
-            res.json({ success: true });
-        } catch (error) {
-            logger.error('Error deleting payment method', { error: error.message });
-            res.status(500).json({ error: 'Failed to delete payment method' });
-        }
+        res.status(201).json(reversal);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error reversing inventory transaction', { error: error.message });
+        res.status(500).json({ error: 'Failed to reverse inventory transaction' });
     }
-);
-
-// ============================================================================
-// ACCOUNT DELETION ENDPOINT
-// ============================================================================
-
-// Soft delete user account (COPPA-compliant)
-app.delete('/api/users/:userId',
-    auth.isAuthenticated,
-    auth.requirePrivilegeForUser('delete_own_data'),
-    async (req, res) => {
-        try {
-            const { userId } = req.params;
-            const { reason, confirmDelete } = req.body;
+});
 
-            if (!confirmDelete) {
-                return res.status(400).json({ error: 'Deletion must be confirmed' });
-            }
+// The scout, or a parent in their household, signs for a movement recorded by a leader
+app.post('/api/troop/:troopId/inventory-ledger/:transactionId/acknowledge', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
+    try {
+        const { troopId, transactionId } = req.params;
+        const signatureName = req.body.signatureName ? String(req.body.signatureName).trim() : '';
+        if (!signatureName) return res.status(400).json({ error: 'Type your full name to sign' });
 
-            const user = await db.getOne('SELECT * FROM users WHERE id = $1', [userId]);
-            if (!user) {
-                return res.status(404).json({ error: 'User not found' });
-            }
+        const transaction = await db.getOne(
+            'SELECT id, "createdBy", "acknowledgedAt" FROM inventory_transactions WHERE id = $1 AND "troopId" = $2',
+            [transactionId, troopId]
+        );
+        if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
+        if (transaction.acknowledgedAt) return res.status(409).json({ error: 'This transaction has already been signed' });
+        if (transaction.createdBy === req.session.userId) {
+            return res.status(403).json({ error: 'The person who recorded a movement cannot sign for it' });
+        }
 
-            // COPPA protection: Minors cannot self-delete
-            if (user.isMinor && req.session.userId === userId) {
-                return res.status(403).json({
-                    error: 'Minors cannot delete their own account. Parent/guardian must initiate deletion.'
-                });
+        const scouts = await db.getAll(`
+            SELECT DISTINCT "userId" FROM inventory_ledger_entries
+            WHERE "transactionId" = $1 AND "locationType" = 'scout' AND "userId" IS NOT NULL
+        `, [transactionId]);
+        let inScope = false;
+        for (const scout of scouts) {
+            if (await auth.isTargetInScope(req, scout.userId)) {
+                inScope = true;
+                break;
             }
+        }
+        if (!inScope) return res.status(403).json({ error: 'Only the scout or their family can sign for this movement' });
 
-            // Create deletion request (for audit trail)
-            const request = await db.getOne(`
-                INSERT INTO data_deletion_requests ("userId", "requestedBy", reason, status)
-                VALUES ($1, $2, $3, 'pending')
-                RETURNING *
-            `, [userId, req.session.userId, reason || 'User requested account deletion']);
+        const acknowledged = await db.getOne(`
+            UPDATE inventory_transactions
+            SET "acknowledgedBy" = $1, "acknowledgedName" = $2, "acknowledgedAt" = NOW(), "acknowledgedIp" = $3
+            WHERE id = $4 AND "acknowledgedAt" IS NULL
+            RETURNING *
+        `, [req.session.userId, signatureName.slice(0, 255), req.ip, transactionId]);
+        if (!acknowledged) return res.status(409).json({ error: 'This transaction has already been signed' });
 
-            // Soft delete: anonymize and mark inactive
-            await db.run(`
-                UPDATE users
-                SET "isActive" = FALSE,
-                    email = CONCAT('deleted_', id, '@deleted.local'),
-                    phone = NULL,
-                    address = NULL
-                WHERE id = $1
-            `, [userId]);
+        await auth.logAuditEvent(db, req.session.userId, 'inventory_transaction_acknowledged', req, {
+            resourceType: 'inventory_transaction',
+            resourceId: transactionId,
+            troopId,
+            signatureName: acknowledged.acknowledgedName
+        });
 
-            // Mark troop memberships inactive
-            await db.run(`
-                UPDATE troop_members
-                SET status = 'inactive',
-                    "leaveDate" = NOW()
-                WHERE "userId" = $1
-            `, [userId]);
+        res.json(acknowledged);
+    } catch (error) {
+        logger.error('Error acknowledging inventory transaction', { error: error.message });
+        res.status(500).json({ error: 'Failed to sign for inventory movement' });
+    }
+});
 
-            await auth.logAuditEvent(db, req.session.userId, 'delete_user_account', req, {
-                resourceType: 'user',
-                resourceId: userId,
-                isMinor: user.isMinor,
-                reason
-            });
+// ============================================================================
+// Phase C: Booth Sales System
+// ============================================================================
 
-            res.json({
-                message: 'Account deletion initiated. Account will be fully deleted in 30 days.',
-                deletionRequestId: request.id
-            });
-        } catch (error) {
-            logger.error('Error deleting user account', { error: error.message });
-            res.status(500).json({ error: 'Failed to delete account' });
-        }
-    }
-);
+// --- Booth Events CRUD ---
 
-// Get aggregated sales data for a troop
-app.get('/api/troop/:troopId/sales', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+// List booth events for a troop
+app.get('/api/troop/:troopId/booths', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
         const { troopId } = req.params;
+        const { status: filterStatus } = req.query;
 
-        // Build scope filter for sales visibility
-        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
-
-        // Get sales by cookie type (prefer productId grouping, fall back to cookieType)
-        const salesByCookie = await db.getAll(`
-            SELECT
-                COALESCE(cp."cookieName", s."cookieType") as "cookieType",
-                s."productId",
-                cp."shortName" as "productShortName",
-                cp."pricePerBox" as "productPrice",
-                SUM(s.quantity) as "totalQuantity",
-                SUM(s."amountCollected") as "totalCollected"
-            FROM sales s
-            JOIN troop_members tm ON s."userId" = tm."userId"
-            LEFT JOIN cookie_products cp ON s."productId" = cp.id
-            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}
-            GROUP BY COALESCE(cp."cookieName", s."cookieType"), s."productId", cp."shortName", cp."pricePerBox"
-            ORDER BY "totalQuantity" DESC
-        `, [troopId, ...scopeFilter.params]);
-
-        // Get totals
-        const scopeFilter2 = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
-        const totals = await db.getOne(`
-            SELECT
-                COALESCE(SUM(s.quantity), 0) as "totalBoxes",
-                COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
-                COALESCE(SUM(s."amountDue"), 0) as "totalDue"
-            FROM sales s
-            JOIN troop_members tm ON s."userId" = tm."userId"
-            WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter2.clause}
-        `, [troopId, ...scopeFilter2.params]);
+        let query = `
+            SELECT be.*,
+                   u."firstName" || ' ' || u."lastName" as "createdByName",
+                   (SELECT COUNT(*) FROM booth_shifts bs WHERE bs."boothEventId" = be.id AND bs.status <> 'waitlisted') as "shiftCount",
+                   (SELECT COALESCE(SUM(bi."soldQty"), 0) FROM booth_inventory bi WHERE bi."boothEventId" = be.id) as "totalSold"
+            FROM booth_events be
+            LEFT JOIN users u ON be."createdBy" = u.id
+            WHERE be."troopId" = $1
+        `;
+        const params = [troopId];
+        if (filterStatus) {
+            query += ` AND be.status = $2`;
+            params.push(filterStatus);
+        }
+        query += ' ORDER BY be."startDateTime" DESC';
 
-        res.json({
-            salesByCookie,
-            totals
-        });
+        const booths = await db.getAll(query, params);
+        res.json(booths);
     } catch (error) {
-        logger.error('Error fetching troop sales', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troop sales' });
+        logger.error('Error fetching booths', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth events' });
     }
 });
 
-// Get troop events (Calendar)
-app.get('/api/troop/:troopId/events', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+// Get single booth event with full details
+app.get('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const { start, end } = req.query; // Optional date range filtering
+        const { troopId, boothId } = req.params;
+        const booth = await db.getOne(`
+            SELECT be.*,
+                   u."firstName" || ' ' || u."lastName" as "createdByName",
+                   bl."contactName" as "locationContactName", bl."contactPhone" as "locationContactPhone",
+                   bl."permittedHours" as "locationPermittedHours", bl.restrictions as "locationRestrictions"
+            FROM booth_events be
+            LEFT JOIN users u ON be."createdBy" = u.id
+            LEFT JOIN booth_locations bl ON bl.id = be."locationId"
+            WHERE be.id = $1 AND be."troopId" = $2
+        `, [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
 
-        let query = 'SELECT * FROM events WHERE "troopId" = $1';
-        const params = [troopId];
+        // Include shifts, inventory, payments
+        const shifts = await db.getAll(`
+            SELECT bs.*, u."firstName" || ' ' || u."lastName" as "scoutName",
+                   p."firstName" || ' ' || p."lastName" as "parentName"
+            FROM booth_shifts bs
+            JOIN users u ON bs."scoutId" = u.id
+            LEFT JOIN users p ON bs."parentId" = p.id
+            WHERE bs."boothEventId" = $1
+            ORDER BY bs."startTime"
+        `, [boothId]);
 
-        if (start && end) {
-            query += ' AND "eventDate" BETWEEN $2 AND $3';
-            params.push(start, end);
-        }
+        const inventory = await db.getAll(`
+            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox"
+            FROM booth_inventory bi
+            JOIN cookie_products cp ON bi."productId" = cp.id
+            WHERE bi."boothEventId" = $1
+            ORDER BY cp."sortOrder"
+        `, [boothId]);
 
-        query += ' ORDER BY "eventDate" ASC, "startTime" ASC';
+        const payments = await db.getAll(`
+            SELECT bp.*, u."firstName" || ' ' || u."lastName" as "recordedByName"
+            FROM booth_payments bp
+            LEFT JOIN users u ON bp."recordedBy" = u.id
+            WHERE bp."boothEventId" = $1
+            ORDER BY bp."recordedAt"
+        `, [boothId]);
 
-        const events = await db.getAll(query, params);
-        res.json(events);
+        const slots = await db.getAll(`
+            SELECT bsl.*,
+                   COUNT(bs.id) FILTER (WHERE bs.status = ANY($2))::int AS "scoutCount",
+                   COUNT(DISTINCT bs."parentId") FILTER (WHERE bs.status = ANY($2))::int AS "adultCount",
+                   COUNT(bs.id) FILTER (WHERE bs.status = 'waitlisted')::int AS "waitlistCount"
+            FROM booth_slots bsl
+            LEFT JOIN booth_shifts bs ON bs."slotId" = bsl.id
+            WHERE bsl."boothEventId" = $1
+            GROUP BY bsl.id
+            ORDER BY bsl."startTime"
+        `, [boothId, ACTIVE_SHIFT_STATUSES]);
+
+        res.json({ ...booth, shifts, slots, inventory, payments });
     } catch (error) {
-        logger.error('Error fetching troop events', { error: error.message, stack: error.stack });
-        res.status(500).json({ error: 'Failed to fetch events' });
+        logger.error('Error fetching booth detail', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth event' });
     }
 });
 
-// Export troop events to .ics
-app.get('/api/troop/:troopId/calendar/export', auth.isAuthenticated, auth.requirePrivilege('export_calendar'), async (req, res) => {
+// Create booth event
+app.post('/api/troop/:troopId/booths', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
         const { troopId } = req.params;
+        const { eventType, scoutId, eventName, locationId, location, locationAddress, locationNotes,
+                startDateTime, endDateTime, startingBank, notes } = req.body;
 
-        const troop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
-
-        const events = await db.getAll('SELECT * FROM events WHERE "troopId" = $1 ORDER BY "eventDate" ASC', [troopId]);
-
-        let icsContent = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//Apex Scout Manager//Troop Calendar//EN\r\n';
-        
-        events.forEach(event => {
-            icsContent += 'BEGIN:VEVENT\r\n';
-            icsContent += `UID:event-${event.id}@apexscoutmanager\r\n`;
-
-            // Format timestamps (YYYYMMDDTHHmmssZ)
-            const dateStr = new Date(event.eventDate).toISOString().replace(/[-:]/g, '').split('T')[0];
-            
-            if (event.startTime) {
-                const timeStr = event.startTime.replace(':', '') + '00';
-                icsContent += `DTSTART:${dateStr}T${timeStr}\r\n`;
-            } else {
-                icsContent += `DTSTART;VALUE=DATE:${dateStr}\r\n`;
-            }
-            
-            if (event.endTime) {
-                const timeStr = event.endTime.replace(':', '') + '00';
-                icsContent += `DTEND:${dateStr}T${timeStr}\r\n`;
-            }
+        if (!eventName || !startDateTime || !endDateTime) {
+            return res.status(400).json({ error: 'eventName, startDateTime, and endDateTime are required' });
+        }
+        if (eventType && !['troop', 'family', 'council'].includes(eventType)) {
+            return res.status(400).json({ error: 'Invalid event type' });
+        }
 
-            icsContent += `SUMMARY:${event.eventName} (${event.targetGroup})\r\n`;
-            if (event.description) icsContent += `DESCRIPTION:${event.description}\r\n`;
-            if (event.location) icsContent += `LOCATION:${event.location}\r\n`;
-            
-            icsContent += 'END:VEVENT\r\n';
+        const booth = await db.transaction(async (client) => {
+            const site = await boothLocations.resolveBoothLocation(client, troopId,
+                { locationId, location, locationAddress }, req.session.userId);
+            const result = await client.query(`
+                INSERT INTO booth_events ("troopId", "eventType", "scoutId", "eventName", "locationId", location,
+                    "locationAddress", "locationNotes", "startDateTime", "endDateTime", "startingBank", notes, "createdBy")
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                RETURNING *
+            `, [troopId, eventType || 'troop', scoutId || null, eventName, site ? site.locationId : null,
+                site ? site.location : location, site ? site.locationAddress : locationAddress,
+                locationNotes, startDateTime, endDateTime, startingBank || 0, notes, req.session.userId]);
+            return result.rows[0];
         });
 
-        icsContent += 'END:VCALENDAR';
-
-        res.setHeader('Content-Type', 'text/calendar');
-        res.setHeader('Content-Disposition', `attachment; filename="troop-${troopId}-calendar.ics"`);
-        res.send(icsContent);
-
+        res.status(201).json(booth);
     } catch (error) {
-        logger.error('Error exporting calendar', { error: error.message });
-        res.status(500).json({ error: 'Failed to export calendar' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error creating booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to create booth event' });
     }
 });
 
-// Get troop goals
-app.get('/api/troop/:troopId/goals', auth.isAuthenticated, auth.requirePrivilege('view_goals'), async (req, res) => {
+// Update booth event
+app.put('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
+        const { troopId, boothId } = req.params;
+        const { eventType, eventName, locationId, location, locationAddress, locationNotes,
+                startDateTime, endDateTime, startingBank, weatherNotes, notes } = req.body;
 
-        const goals = await db.getAll(`
-            SELECT * FROM troop_goals
-            WHERE "troopId" = $1
-            ORDER BY status, "endDate"
-        `, [troopId]);
+        const booth = await db.transaction(async (client) => {
+            // Only a new location choice or name is looked up; other edits leave the link alone
+            const site = (locationId || location)
+                ? await boothLocations.resolveBoothLocation(client, troopId,
+                    { locationId, location, locationAddress }, req.session.userId)
+                : null;
+            const result = await client.query(`
+                UPDATE booth_events SET
+                    "eventType" = COALESCE($1, "eventType"),
+                    "eventName" = COALESCE($2, "eventName"),
+                    location = COALESCE($3, location),
+                    "locationAddress" = COALESCE($4, "locationAddress"),
+                    "locationNotes" = COALESCE($5, "locationNotes"),
+                    "startDateTime" = COALESCE($6, "startDateTime"),
+                    "endDateTime" = COALESCE($7, "endDateTime"),
+                    "startingBank" = COALESCE($8, "startingBank"),
+                    "weatherNotes" = COALESCE($9, "weatherNotes"),
+                    notes = COALESCE($10, notes),
+                    "locationId" = COALESCE($13, "locationId"),
+                    "updatedAt" = CURRENT_TIMESTAMP
+                WHERE id = $11 AND "troopId" = $12
+                RETURNING *
+            `, [eventType, eventName, site ? site.location : location, site ? site.locationAddress : locationAddress,
+                locationNotes, startDateTime, endDateTime, startingBank, weatherNotes, notes, boothId, troopId,
+                site ? site.locationId : null]);
+            return result.rows[0];
+        });
 
-        res.json(goals);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+        res.json(booth);
     } catch (error) {
-        logger.error('Error fetching troop goals', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troop goals' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error updating booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to update booth event' });
     }
 });
 
-// Create a new troop
-app.post('/api/troop', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
+// Delete booth event
+app.delete('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopNumber, troopType, meetingLocation, meetingDay, meetingTime } = req.body;
-
-        if (!troopNumber || !troopType) {
-            return res.status(400).json({ error: 'Troop number and type are required' });
-        }
+        const { troopId, boothId } = req.params;
+        const result = await db.run(
+            'DELETE FROM booth_events WHERE id = $1 AND "troopId" = $2',
+            [boothId, troopId]
+        );
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Booth event not found' });
+        res.json({ message: 'Booth event deleted' });
+    } catch (error) {
+        logger.error('Error deleting booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete booth event' });
+    }
+});
 
-        const validTypes = ['daisy', 'brownie', 'junior', 'cadette', 'senior', 'ambassador', 'multi-level'];
-        if (!validTypes.includes(troopType)) {
-            return res.status(400).json({ error: 'Invalid troop type' });
-        }
+// --- Booth Locations ---
 
-        const newTroop = await db.getOne(`
-            INSERT INTO troops ("troopNumber", "troopType", "leaderId", "meetingLocation", "meetingDay", "meetingTime", "isActive", "createdAt", "updatedAt")
-            VALUES ($1, $2, $3, $4, $5, $6, true, NOW(), NOW())
-            RETURNING *
-        `, [
-            troopNumber.trim(),
-            troopType,
-            req.session.userId,
-            meetingLocation?.trim() || null,
-            meetingDay?.trim() || null,
-            meetingTime?.trim() || null
-        ]);
+/**
+ * Load a booth location of the troop in the request
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} req - Express request with troopId and locationId params
+ * @returns {Promise<Object>} The location; throws a 404 error with a status
+ */
+async function getTroopBoothLocation(client, req) {
+    const location = (await client.query(
+        'SELECT * FROM booth_locations WHERE id = $1 AND "troopId" = $2',
+        [req.params.locationId, req.params.troopId]
+    )).rows[0];
+    if (!location) throw Object.assign(new Error('Booth location not found'), { status: 404 });
+    return location;
+}
 
-        logger.info('Troop created', { troopId: newTroop.id, troopNumber, userId: req.session.userId });
-        res.status(201).json(newTroop);
+// The troop's location registry with lifetime performance
+app.get('/api/troop/:troopId/booth-locations', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const locations = await db.getAll(`
+            SELECT bl.*,
+                   COUNT(be.id) FILTER (WHERE be.status <> 'cancelled')::int AS "boothCount",
+                   MAX(be."startDateTime") FILTER (WHERE be.status <> 'cancelled' AND be."startDateTime" < NOW()) AS "lastBoothAt",
+                   MIN(be."startDateTime") FILTER (WHERE be.status IN ('planning', 'scheduled') AND be."startDateTime" >= NOW()) AS "nextBoothAt"
+            FROM booth_locations bl
+            LEFT JOIN booth_events be ON be."locationId" = bl.id
+            WHERE bl."troopId" = $1 AND ($2 OR bl."isActive")
+            GROUP BY bl.id
+            ORDER BY lower(bl.name)
+        `, [troopId, req.query.includeInactive === 'true']);
+        const stats = await boothLocations.getLocationStats(db, { troopId });
+        const bestSellers = await boothLocations.getBestSellers(db, { troopId });
+        res.json(locations.map(location => ({
+            ...location,
+            stats: stats.get(location.id) || null,
+            bestSeller: bestSellers.get(location.id)?.[0]?.cookieName || null
+        })));
+    } catch (error) {
+        logger.error('Error fetching booth locations', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth locations' });
+    }
+});
+
+// Locations ranked by boxes per hour over a season's counted booths
+app.get('/api/troop/:troopId/booth-locations/analytics', auth.isAuthenticated, auth.requirePrivilege('view_events'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const filters = { troopId, season: req.season };
+        const stats = await boothLocations.getLocationStats(db, filters);
+        const bestSellers = await boothLocations.getBestSellers(db, filters);
+        const locations = stats.size === 0 ? [] : await db.getAll(
+            'SELECT id, name, address, "isActive" FROM booth_locations WHERE id = ANY($1::uuid[])',
+            [[...stats.keys()]]
+        );
+        const ranked = locations
+            .map(location => ({
+                ...location,
+                ...stats.get(location.id),
+                bestSellers: (bestSellers.get(location.id) || []).slice(0, 3)
+            }))
+            .sort((a, b) => (b.boxesPerHour ?? -1) - (a.boxesPerHour ?? -1) || b.boxesSold - a.boxesSold);
+        res.json({ season: req.season, locations: ranked });
     } catch (error) {
-        logger.error('Error creating troop', { error: error.message });
-        res.status(500).json({ error: 'Failed to create troop' });
+        logger.error('Error fetching booth location analytics', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth location analytics' });
     }
 });
 
-// Update a troop
-app.put('/api/troop/:troopId', auth.isAuthenticated, auth.requirePrivilege('manage_troop_settings'), async (req, res) => {
+// One location with its booth history, best sellers and weekday performance
+app.get('/api/troop/:troopId/booth-locations/:locationId', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const { troopNumber, troopType, meetingLocation, meetingDay, meetingTime, leaderId } = req.body;
-
-        const troop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
-        if (!troop) {
-            return res.status(404).json({ error: 'Troop not found' });
-        }
+        const location = await getTroopBoothLocation(db, req);
+        const filters = { troopId, locationId: location.id };
+        const stats = (await boothLocations.getLocationStats(db, filters)).get(location.id) || null;
+        const bestSellers = (await boothLocations.getBestSellers(db, filters)).get(location.id) || [];
+        const history = await boothLocations.getLocationHistory(db, troopId, location.id);
+        res.json({ ...location, stats, bestSellers, ...history });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error fetching booth location', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth location' });
+    }
+});
 
-        await db.run(`
-            UPDATE troops SET
-                "troopNumber" = COALESCE($1, "troopNumber"),
-                "troopType" = COALESCE($2, "troopType"),
-                "meetingLocation" = $3,
-                "meetingDay" = $4,
-                "meetingTime" = $5,
-                "leaderId" = COALESCE($6, "leaderId"),
-                "updatedAt" = NOW()
-            WHERE id = $7
-        `, [
-            troopNumber?.trim() || null,
-            troopType || null,
-            meetingLocation?.trim() || null,
-            meetingDay?.trim() || null,
-            meetingTime?.trim() || null,
-            leaderId || null,
-            troopId
-        ]);
+app.post('/api/troop/:troopId/booth-locations', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const location = await boothLocations.createLocation(db, req.params.troopId, req.body, req.session.userId);
+        res.status(201).json(location);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code, locationId: error.locationId });
+        logger.error('Error creating booth location', { error: error.message });
+        res.status(500).json({ error: 'Failed to create booth location' });
+    }
+});
 
-        const updatedTroop = await db.getOne('SELECT * FROM troops WHERE id = $1', [troopId]);
-        logger.info('Troop updated', { troopId, userId: req.session.userId });
-        res.json(updatedTroop);
+app.put('/api/troop/:troopId/booth-locations/:locationId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const location = await db.transaction(async (client) => {
+            const existing = await getTroopBoothLocation(client, req);
+            return boothLocations.updateLocation(client, existing, req.body);
+        });
+        res.json(location);
     } catch (error) {
-        logger.error('Error updating troop', { error: error.message });
-        res.status(500).json({ error: 'Failed to update troop' });
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error updating booth location', { error: error.message });
+        res.status(500).json({ error: 'Failed to update booth location' });
     }
 });
 
-// Add member to troop
-app.post('/api/troop/:troopId/members', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
+app.delete('/api/troop/:troopId/booth-locations/:locationId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const { email, role, firstName, lastName, address, dateOfBirth, den, familyInfo, position, level, roles } = req.body;
+        const location = await getTroopBoothLocation(db, req);
+        const linked = await db.getOne('SELECT EXISTS (SELECT 1 FROM booth_events WHERE "locationId" = $1) AS linked', [location.id]);
+        if (linked.linked) {
+            return res.status(409).json({ error: 'Booths have been held at this location; mark it inactive instead' });
+        }
+        await db.run('DELETE FROM booth_locations WHERE id = $1', [location.id]);
+        res.json({ message: 'Booth location deleted' });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error deleting booth location', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete booth location' });
+    }
+});
 
-        let user = null;
+// --- Booth Close-out ---
 
-        // If email provided, try to find existing user
-        if (email) {
-            user = await db.getOne('SELECT id, "firstName", "lastName", email FROM users WHERE email = $1', [email]);
-        }
+const BOOTH_SPLIT_RULES = ['hours', 'equal', 'custom'];
 
-        // If no user found, create one with the provided name
-        if (!user) {
-            if (!firstName || !lastName) {
-                return res.status(400).json({ error: 'First name and last name are required' });
-            }
+/**
+ * Split a whole number of boxes by weight. Leftover boxes go to the largest
+ * fractional shares, so the parts always add up to the total.
+ * @param {number} total - Boxes to split
+ * @param {Array<number>} weights - One non-negative weight per recipient
+ * @returns {Array<number>} Whole boxes per recipient
+ */
+function apportion(total, weights) {
+    const sum = weights.reduce((acc, w) => acc + w, 0);
+    if (sum <= 0) return weights.map(() => 0);
+    const exact = weights.map(w => total * w / sum);
+    const parts = exact.map(Math.floor);
+    let left = total - parts.reduce((acc, p) => acc + p, 0);
+    const byRemainder = exact.map((_, i) => i).sort((a, b) => (exact[b] - parts[b]) - (exact[a] - parts[a]) || a - b);
+    for (let k = 0; left > 0; k++, left--) parts[byRemainder[k]]++;
+    return parts;
+}
 
-            // Determine user role based on position
-            let userRole = 'scout';
-            if (position === 'Troop Leader' || position === 'Co-Leader') {
-                userRole = 'troop_leader';
-            } else if (position === 'Troop Volunteer') {
-                userRole = 'parent'; // closest existing role for volunteers
+/**
+ * Work out how a booth's sold boxes are credited to scouts
+ * @param {Object} client - Transaction client
+ * @param {Object} booth - booth_events row
+ * @param {string} splitRule - hours (booth_shifts hours), equal, or custom
+ * @param {Array<{scoutId: string, share: number}>} [shares] - Weights for the custom rule
+ * @returns {Promise<Object>} { splitRule, totalSold, inventory, credits }
+ */
+async function planBoothCloseOut(client, booth, splitRule, shares = []) {
+    if (!BOOTH_SPLIT_RULES.includes(splitRule)) {
+        throw Object.assign(new Error(`splitRule must be one of: ${BOOTH_SPLIT_RULES.join(', ')}`), { status: 400 });
+    }
+
+    const inventory = (await client.query(`
+        SELECT bi.*, cp."cookieName", cp."pricePerBox", cp.season
+        FROM booth_inventory bi
+        JOIN cookie_products cp ON bi."productId" = cp.id
+        WHERE bi."boothEventId" = $1
+        ORDER BY cp."sortOrder"
+    `, [booth.id])).rows;
+    if (inventory.some(i => i.soldQty === null)) {
+        throw Object.assign(new Error('Record the ending count for every product before closing the booth'), { status: 400 });
+    }
+    if (inventory.some(i => i.soldQty < 0)) {
+        throw Object.assign(new Error('The ending and damaged counts are more than the starting count'), { status: 400 });
+    }
+    const totalSold = inventory.reduce((acc, i) => acc + i.soldQty, 0);
+
+    // Hours worked: checked-in time when both check-in and check-out were recorded, otherwise the scheduled shift
+    const shifts = (await client.query(`
+        SELECT bs.id, bs."scoutId", u."firstName" || ' ' || u."lastName" AS "scoutName",
+               GREATEST(EXTRACT(EPOCH FROM CASE
+                   WHEN bs."checkinTime" IS NOT NULL AND bs."checkoutTime" IS NOT NULL THEN bs."checkoutTime" - bs."checkinTime"
+                   ELSE bs."endTime" - bs."startTime"
+               END) / 3600, 0)::float AS hours
+        FROM booth_shifts bs
+        JOIN users u ON bs."scoutId" = u.id
+        WHERE bs."boothEventId" = $1 AND bs.status NOT IN ('no_show', 'waitlisted')
+        ORDER BY bs."startTime"
+    `, [booth.id])).rows;
+
+    const participants = new Map();
+    for (const shift of shifts) {
+        const p = participants.get(shift.scoutId) || { scoutId: shift.scoutId, scoutName: shift.scoutName, hours: 0, shifts: [] };
+        p.hours += shift.hours;
+        p.shifts.push(shift);
+        participants.set(shift.scoutId, p);
+    }
+    // A family booth run without shifts is credited to its scout
+    if (participants.size === 0 && booth.scoutId) {
+        const scout = (await client.query('SELECT "firstName" || \' \' || "lastName" AS name FROM users WHERE id = $1', [booth.scoutId])).rows[0];
+        participants.set(booth.scoutId, { scoutId: booth.scoutId, scoutName: scout?.name || null, hours: 0, shifts: [] });
+    }
+
+    let weights;
+    if (splitRule === 'custom') {
+        if (!Array.isArray(shares) || shares.some(s => !s.scoutId || !(Number(s.share) >= 0))) {
+            throw Object.assign(new Error('shares must be an array of { scoutId, share } with non-negative shares'), { status: 400 });
+        }
+        const extraIds = shares.map(s => s.scoutId).filter(id => !participants.has(id));
+        if (extraIds.length > 0) {
+            const members = (await client.query(`
+                SELECT u.id, u."firstName" || ' ' || u."lastName" AS name
+                FROM troop_members tm JOIN users u ON u.id = tm."userId"
+                WHERE tm."troopId" = $1 AND tm."userId" = ANY($2::uuid[])
+            `, [booth.troopId, extraIds])).rows;
+            if (members.length !== new Set(extraIds).size) {
+                throw Object.assign(new Error('Every scout in shares must be a member of this troop'), { status: 400 });
             }
+            for (const m of members) participants.set(m.id, { scoutId: m.id, scoutName: m.name, hours: 0, shifts: [] });
+        }
+        const byScout = new Map(shares.map(s => [s.scoutId, Number(s.share)]));
+        weights = [...participants.keys()].map(id => byScout.get(id) || 0);
+    } else if (splitRule === 'hours' && [...participants.values()].some(p => p.hours > 0)) {
+        weights = [...participants.values()].map(p => p.hours);
+    } else {
+        weights = [...participants.values()].map(() => 1);
+    }
+
+    if (totalSold > 0 && !weights.some(w => w > 0)) {
+        throw Object.assign(new Error('Add the scouts who worked this booth before closing it'), { status: 400 });
+    }
+
+    const weightTotal = weights.reduce((acc, w) => acc + w, 0);
+    const credits = [...participants.values()].map((p, index) => ({
+        scoutId: p.scoutId,
+        scoutName: p.scoutName,
+        hours: Math.round(p.hours * 100) / 100,
+        share: weightTotal > 0 ? Math.round((weights[index] / weightTotal) * 10000) / 10000 : 0,
+        boxes: 0,
+        amount: 0,
+        items: [],
+        shifts: p.shifts
+    }));
+    for (const item of inventory) {
+        apportion(item.soldQty, weights).forEach((quantity, index) => {
+            if (quantity === 0) return;
+            const credit = credits[index];
+            credit.items.push({ productId: item.productId, cookieName: item.cookieName, season: item.season, pricePerBox: item.pricePerBox, quantity });
+            credit.boxes += quantity;
+            credit.amount += quantity * parseFloat(item.pricePerBox || 0);
+        });
+    }
 
-            const newUser = await db.getOne(`
-                INSERT INTO users ("firstName", "lastName", email, role, "isActive", "dateOfBirth")
-                VALUES ($1, $2, $3, $4, TRUE, $5)
-                RETURNING id, "firstName", "lastName", email
-            `, [firstName, lastName, email || null, userRole, dateOfBirth || null]);
+    return { splitRule, totalSold, inventory, credits };
+}
 
-            user = newUser;
+/**
+ * Post a planned close-out: booth sales for each credited scout, boxesCredited on
+ * their shifts, and the booth's stock settled in the inventory ledger (sold boxes
+ * to customers, damaged boxes written off, unsold boxes back to troop stock)
+ * @param {Object} client - Transaction client
+ * @param {Object} booth - booth_events row
+ * @param {Object} plan - Result of planBoothCloseOut
+ * @param {string} userId - User closing the booth
+ * @returns {Promise<Object[]>} The sales rows posted
+ */
+async function postBoothCloseOut(client, booth, plan, userId) {
+    const saleType = `booth_${booth.eventType}`;
+    const saleDate = booth.actualStartTime || booth.startDateTime;
+    const sales = [];
+
+    const seasons = new Set(plan.credits.flatMap(credit => credit.items.map(item => item.season)));
+    for (const season of seasons) {
+        if (await isSeasonArchived(season)) {
+            throw Object.assign(new Error(`The ${season} season is archived and read-only`), { status: 409, code: 'SEASON_ARCHIVED' });
         }
+    }
 
-        // Map position to troop_members role
-        let memberRole = 'member';
-        if (position === 'Troop Leader') memberRole = 'troop_leader';
-        else if (position === 'Co-Leader') memberRole = 'co-leader';
-        else if (position === 'Troop Volunteer') memberRole = 'volunteer';
-        else if (role) {
-            const validRoles = ['member', 'co-leader', 'assistant', 'parent', 'troop_leader', 'volunteer'];
-            memberRole = validRoles.includes(role) ? role : 'member';
+    for (const credit of plan.credits) {
+        for (const item of credit.items) {
+            const sale = (await client.query(`
+                INSERT INTO sales (
+                    "cookieType", "productId", quantity, "customerName", date, "saleType", "unitType",
+                    "amountCollected", "amountDue", "orderStatus", "userId", season, "boothEventId"
+                ) VALUES ($1, $2, $3, $4, $5, $6, 'box', $7, 0, 'Delivered', $8, $9, $10)
+                RETURNING *
+            `, [
+                item.cookieName, item.productId, item.quantity, `Booth: ${booth.eventName}`, saleDate, saleType,
+                item.quantity * parseFloat(item.pricePerBox || 0), credit.scoutId, item.season, booth.id
+            ])).rows[0];
+            sales.push(sale);
         }
 
-        // Check if already a member
-        const existingMember = await db.getOne('SELECT * FROM troop_members WHERE "troopId" = $1 AND "userId" = $2', [troopId, user.id]);
-        if (existingMember) {
-            if (existingMember.status === 'active') {
-                return res.status(409).json({ error: 'User is already a member of this troop' });
-            }
-            // Reactivate if previously inactive
-            await db.run(`
-                UPDATE troop_members
-                SET status = 'active', role = $1, "joinDate" = NOW(),
-                    "scoutLevel" = $2, position = $3, "additionalRoles" = $4, den = $5
-                WHERE id = $6
-            `, [memberRole, level || null, position || null, JSON.stringify(roles || []), den || null, existingMember.id]);
-        } else {
-            // Add new member
-            await db.run(`
-                INSERT INTO troop_members ("troopId", "userId", role, "scoutLevel", position, "additionalRoles", den, "joinDate", status)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), 'active')
-            `, [troopId, user.id, memberRole, level || null, position || null, JSON.stringify(roles || []), den || null]);
+        const shiftBoxes = apportion(credit.boxes, credit.shifts.map(s => s.hours > 0 ? s.hours : 1));
+        for (let i = 0; i < credit.shifts.length; i++) {
+            await client.query('UPDATE booth_shifts SET "boxesCredited" = $1 WHERE id = $2', [shiftBoxes[i], credit.shifts[i].id]);
         }
+    }
 
-        logger.info('Member added to troop', { troopId, userId: user.id, position, level, addedBy: req.session.userId });
-        res.status(201).json({ success: true, member: user });
-    } catch (error) {
-        logger.error('Error adding troop member', { error: error.message });
-        res.status(500).json({ error: 'Failed to add member' });
+    // Stock counted out at the booth but never issued through the ledger comes from troop stock first
+    const boothLocation = { type: 'booth', boothEventId: booth.id };
+    const held = await inventoryLedger.getLocationBalance(client, booth.troopId, boothLocation);
+    const movement = { troopId: booth.troopId, createdBy: userId, referenceType: 'booth_event', referenceId: booth.id };
+    const shortfall = [];
+    const sold = [];
+    const damaged = [];
+    for (const item of plan.inventory) {
+        const missing = (item.startingQty || 0) - (held.get(item.productId) || 0);
+        if (missing > 0) {
+            shortfall.push({ productId: item.productId, quantity: missing });
+            held.set(item.productId, item.startingQty);
+        }
+        if (item.soldQty > 0) sold.push({ productId: item.productId, quantity: item.soldQty });
+        if (item.damagedQty > 0) damaged.push({ productId: item.productId, quantity: item.damagedQty });
+        held.set(item.productId, (held.get(item.productId) || 0) - item.soldQty - (item.damagedQty || 0));
     }
-});
+    const unsold = [...held].filter(([, quantity]) => quantity > 0).map(([productId, quantity]) => ({ productId, quantity }));
 
-// Add new scout with parent information to troop
-app.post('/api/troop/:troopId/members/scout', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
-    try {
-        const { troopId } = req.params;
-        const {
-            scoutFirstName,
-            scoutLastName,
-            scoutLevel,
-            scoutDateOfBirth,
-            parentFirstName,
-            parentLastName,
-            parentEmail,
-            parentPhone,
-            parentRole,
-            secondaryParentFirstName,
-            secondaryParentLastName,
-            secondaryParentEmail,
-            secondaryParentPhone,
-            secondaryParentRole
-        } = req.body;
+    if (shortfall.length > 0) {
+        await inventoryLedger.postTransaction(client, { ...movement, type: 'issue', from: { type: 'troop' }, to: boothLocation, items: shortfall, reason: 'Counted out at the booth' });
+    }
+    if (sold.length > 0) {
+        await inventoryLedger.postTransaction(client, { ...movement, type: 'sale', from: boothLocation, to: { type: 'customer' }, items: sold });
+    }
+    if (damaged.length > 0) {
+        await inventoryLedger.postTransaction(client, { ...movement, type: 'damage', from: boothLocation, to: { type: 'damaged' }, items: damaged, reason: 'Damaged at the booth' });
+    }
+    if (unsold.length > 0) {
+        await inventoryLedger.postTransaction(client, { ...movement, type: 'return', from: boothLocation, to: { type: 'troop' }, items: unsold });
+    }
 
-        // Validate required fields
-        if (!scoutFirstName || !scoutLastName) {
-            return res.status(400).json({ error: 'Scout first and last name are required' });
-        }
-        if (!parentFirstName || !parentLastName) {
-            return res.status(400).json({ error: 'Parent first and last name are required' });
-        }
-        if (!parentRole) {
-            return res.status(400).json({ error: 'Parent role is required' });
-        }
+    return sales;
+}
 
-        // Use transaction for multi-step operation
-        const result = await db.transaction(async (client) => {
-            let parentUserId = null;
-            let secondaryParentUserId = null;
+// Counts of a closed booth are locked; its sales have been posted from them
+async function isBoothClosed(boothId) {
+    const booth = await db.getOne('SELECT status FROM booth_events WHERE id = $1', [boothId]);
+    return booth?.status === 'completed';
+}
 
-            // Create or find primary parent account
-            if (parentEmail) {
-                // Check if parent already exists by email
-                const existingParent = await client.query('SELECT id FROM users WHERE email = $1', [parentEmail]);
-                if (existingParent.rows.length > 0) {
-                    parentUserId = existingParent.rows[0].id;
-                } else {
-                    // Create new parent account
-                    const parentResult = await client.query(`
-                        INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
-                        VALUES ($1, $2, $3, 'parent', true, NOW())
-                        RETURNING id
-                    `, [parentFirstName, parentLastName, parentEmail]);
-                    parentUserId = parentResult.rows[0].id;
-                }
-            } else {
-                // Create parent account without email (can't login until email added)
-                const parentResult = await client.query(`
-                    INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
-                    VALUES ($1, $2, NULL, 'parent', true, NOW())
-                    RETURNING id
-                `, [parentFirstName, parentLastName]);
-                parentUserId = parentResult.rows[0].id;
-            }
+function boothClosedResponse(res) {
+    return res.status(409).json({ error: 'This booth is closed and its sales have been posted', code: 'BOOTH_CLOSED' });
+}
 
-            // Create secondary parent if provided
-            if (secondaryParentFirstName && secondaryParentLastName) {
-                if (secondaryParentEmail) {
-                    // Check if secondary parent already exists by email
-                    const existingSecondary = await client.query('SELECT id FROM users WHERE email = $1', [secondaryParentEmail]);
-                    if (existingSecondary.rows.length > 0) {
-                        secondaryParentUserId = existingSecondary.rows[0].id;
-                    } else {
-                        // Create new secondary parent account
-                        const secondaryResult = await client.query(`
-                            INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
-                            VALUES ($1, $2, $3, 'parent', true, NOW())
-                            RETURNING id
-                        `, [secondaryParentFirstName, secondaryParentLastName, secondaryParentEmail]);
-                        secondaryParentUserId = secondaryResult.rows[0].id;
-                    }
-                } else {
-                    // Create secondary parent account without email
-                    const secondaryResult = await client.query(`
-                        INSERT INTO users ("firstName", "lastName", email, role, "isActive", "createdAt")
-                        VALUES ($1, $2, NULL, 'parent', true, NOW())
-                        RETURNING id
-                    `, [secondaryParentFirstName, secondaryParentLastName]);
-                    secondaryParentUserId = secondaryResult.rows[0].id;
-                }
-            }
+// Close-out summary for responses, without the planning details
+function describeCloseOut(plan) {
+    return {
+        splitRule: plan.splitRule,
+        totalSold: plan.totalSold,
+        credits: plan.credits.map(({ shifts, items, ...credit }) => ({
+            ...credit,
+            amount: Math.round(credit.amount * 100) / 100,
+            items: items.map(({ productId, cookieName, quantity }) => ({ productId, cookieName, quantity }))
+        }))
+    };
+}
 
-            // Create scout account (no email required)
-            const scoutResult = await client.query(`
-                INSERT INTO users ("firstName", "lastName", email, role, "dateOfBirth", "isActive", "createdAt")
-                VALUES ($1, $2, NULL, 'scout', $3, true, NOW())
-                RETURNING id
-            `, [scoutFirstName, scoutLastName, scoutDateOfBirth || null]);
-            const scoutUserId = scoutResult.rows[0].id;
+// Booth lifecycle transitions
+app.post('/api/troop/:troopId/booths/:boothId/start', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const booth = await db.getOne(
+            'UPDATE booth_events SET status = \'in_progress\', "actualStartTime" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "troopId" = $2 AND status IN (\'planning\', \'scheduled\') RETURNING *',
+            [boothId, troopId]
+        );
+        if (!booth) return res.status(400).json({ error: 'Booth not found or cannot be started from current status' });
+        webhooks.emitEvent(troopId, 'booth.started', { booth });
+        res.json(booth);
+    } catch (error) {
+        logger.error('Error starting booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to start booth event' });
+    }
+});
 
-            // Add scout to troop
-            await client.query(`
-                INSERT INTO troop_members ("troopId", "userId", role, "scoutLevel", "linkedParentId", "parentRole", "joinDate", status)
-                VALUES ($1, $2, 'member', $3, $4, $5, NOW(), 'active')
-            `, [troopId, scoutUserId, scoutLevel || null, parentUserId, parentRole]);
+app.post('/api/troop/:troopId/booths/:boothId/end', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const booth = await db.getOne(
+            'UPDATE booth_events SET status = \'reconciling\', "actualEndTime" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "troopId" = $2 AND status = \'in_progress\' RETURNING *',
+            [boothId, troopId]
+        );
+        if (!booth) return res.status(400).json({ error: 'Booth not found or not in progress' });
+        webhooks.emitEvent(troopId, 'booth.ended', { booth });
+        res.json(booth);
+    } catch (error) {
+        logger.error('Error ending booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to end booth event' });
+    }
+});
 
-            // Add primary parent to troop
-            await client.query(`
-                INSERT INTO troop_members ("troopId", "userId", role, "linkedParentId", "parentRole", "joinDate", status)
-                VALUES ($1, $2, 'parent', $3, $4, NOW(), 'active')
-            `, [troopId, parentUserId, scoutUserId, parentRole]);
+// Preview how a booth's sold boxes would be credited, without closing it
+app.post('/api/troop/:troopId/booths/:boothId/close/preview', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const { splitRule = 'hours', shares } = req.body;
+        const booth = await db.getOne('SELECT * FROM booth_events WHERE id = $1 AND "troopId" = $2', [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
 
-            // Add secondary parent to troop if provided
-            if (secondaryParentUserId) {
-                await client.query(`
-                    INSERT INTO troop_members ("troopId", "userId", role, "linkedParentId", "parentRole", "joinDate", status)
-                    VALUES ($1, $2, 'parent', $3, $4, NOW(), 'active')
-                `, [troopId, secondaryParentUserId, scoutUserId, secondaryParentRole || 'parent']);
+        const plan = await db.transaction(client => planBoothCloseOut(client, booth, splitRule, shares));
+        res.json(describeCloseOut(plan));
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error previewing booth close-out', { error: error.message });
+        res.status(500).json({ error: 'Failed to preview booth close-out' });
+    }
+});
+
+// Close a reconciled booth: post its sales to the scouts who worked it and settle its stock
+app.post('/api/troop/:troopId/booths/:boothId/close', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const { splitRule = 'hours', shares } = req.body;
+
+        const result = await db.transaction(async (client) => {
+            const booth = (await client.query(
+                'SELECT * FROM booth_events WHERE id = $1 AND "troopId" = $2 FOR UPDATE',
+                [boothId, troopId]
+            )).rows[0];
+            if (!booth || booth.status !== 'reconciling') {
+                throw Object.assign(new Error('Booth not found or not in reconciling status'), { status: 400 });
             }
 
-            logger.info('Scout and parent(s) added to troop', {
-                troopId,
-                scoutId: scoutUserId,
-                parentId: parentUserId,
-                secondaryParentId: secondaryParentUserId,
-                addedBy: req.session.userId
-            });
+            const plan = await planBoothCloseOut(client, booth, splitRule, shares);
+            const sales = await postBoothCloseOut(client, booth, plan, req.session.userId);
+            const closed = (await client.query(`
+                UPDATE booth_events SET status = 'completed', "splitRule" = $1, "closedAt" = CURRENT_TIMESTAMP,
+                    "closedBy" = $2, "updatedAt" = CURRENT_TIMESTAMP
+                WHERE id = $3
+                RETURNING *
+            `, [splitRule, req.session.userId, boothId])).rows[0];
+            return { booth: closed, sales, closeOut: { ...describeCloseOut(plan), salesPosted: sales.length } };
+        });
 
-            return {
-                success: true,
-                scout: {
-                    id: scoutUserId,
-                    firstName: scoutFirstName,
-                    lastName: scoutLastName,
-                    level: scoutLevel
-                },
-                parent: {
-                    id: parentUserId,
-                    firstName: parentFirstName,
-                    lastName: parentLastName,
-                    role: parentRole,
-                    email: parentEmail
-                },
-                secondaryParent: secondaryParentUserId ? {
-                    id: secondaryParentUserId,
-                    firstName: secondaryParentFirstName,
-                    lastName: secondaryParentLastName,
-                    role: secondaryParentRole
-                } : null
-            };
+        await auth.logAuditEvent(db, req.session.userId, 'booth_closed', req, {
+            resourceType: 'booth_event',
+            resourceId: boothId,
+            troopId,
+            splitRule,
+            totalSold: result.closeOut.totalSold
         });
 
-        res.status(201).json(result);
+        for (const sale of result.sales) {
+            webhooks.emitEvent(troopId, 'sale.created', { sale: saleWebhookPayload(sale) });
+        }
+        webhooks.emitEvent(troopId, 'booth.closed', { booth: result.booth });
+        res.json({ ...result.booth, closeOut: result.closeOut });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error closing booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to close booth event' });
+    }
+});
+
+// --- Booth Shifts CRUD ---
 
+app.get('/api/troop/:troopId/booths/:boothId/shifts', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const shifts = await db.getAll(`
+            SELECT bs.*, u."firstName" || ' ' || u."lastName" as "scoutName",
+                   p."firstName" || ' ' || p."lastName" as "parentName"
+            FROM booth_shifts bs
+            JOIN users u ON bs."scoutId" = u.id
+            LEFT JOIN users p ON bs."parentId" = p.id
+            WHERE bs."boothEventId" = $1
+            ORDER BY bs."startTime"
+        `, [boothId]);
+        res.json(shifts);
     } catch (error) {
-        logger.error('Error adding scout to troop', { error: error.message });
-        res.status(500).json({ error: 'Failed to add scout' });
+        logger.error('Error fetching shifts', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch shifts' });
     }
 });
 
-// Remove member from troop
-app.delete('/api/troop/:troopId/members/:userId', auth.isAuthenticated, auth.requirePrivilege('manage_members'), async (req, res) => {
+app.post('/api/troop/:troopId/booths/:boothId/shifts', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId, userId } = req.params;
-
-        // Verify target member is within scope
-        const inScope = await auth.isTargetInScope(req, userId);
-        if (!inScope) {
-            return res.status(403).json({ error: 'Target member is outside your access scope' });
-        }
-
-        // Set member as inactive (soft delete)
-        const result = await db.run(`
-            UPDATE troop_members SET status = 'inactive', "leaveDate" = NOW()
-            WHERE "troopId" = $1 AND "userId" = $2
-        `, [troopId, userId]);
-
-        if (result.rowCount === 0) {
-            return res.status(404).json({ error: 'Member not found in this troop' });
+        const { boothId } = req.params;
+        const { scoutId, parentId, startTime, endTime, role, notes } = req.body;
+        if (!scoutId || !startTime || !endTime) {
+            return res.status(400).json({ error: 'scoutId, startTime, and endTime are required' });
         }
+        const conflicts = await findShiftConflicts(db, { scoutId, adultId: parentId || null, boothEventId: boothId, startTime, endTime });
+        if (conflicts.length > 0) return shiftConflictResponse(res, conflicts);
 
-        logger.info('Member removed from troop', { troopId, userId, removedBy: req.session.userId });
-        res.json({ success: true });
+        const shift = await db.getOne(`
+            INSERT INTO booth_shifts ("boothEventId", "scoutId", "parentId", "startTime", "endTime", role, notes)
+            VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
+        `, [boothId, scoutId, parentId || null, startTime, endTime, role || 'seller', notes]);
+        res.status(201).json(shift);
     } catch (error) {
-        logger.error('Error removing troop member', { error: error.message });
-        res.status(500).json({ error: 'Failed to remove member' });
+        logger.error('Error creating shift', { error: error.message });
+        res.status(500).json({ error: 'Failed to create shift' });
     }
 });
 
-// Create troop goal
-app.post('/api/troop/:troopId/goals', auth.isAuthenticated, auth.requirePrivilege('manage_goals'), async (req, res) => {
+app.put('/api/troop/:troopId/booths/:boothId/shifts/:shiftId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const { goalType, targetAmount, startDate, endDate, description } = req.body;
+        const { shiftId } = req.params;
+        const { scoutId, parentId, startTime, endTime, role, status, boxesCredited, notes } = req.body;
 
-        const validGoalTypes = ['boxes_sold', 'revenue', 'participation', 'events', 'donations'];
-        if (!validGoalTypes.includes(goalType)) {
-            return res.status(400).json({ error: 'Invalid goal type' });
+        if (scoutId || parentId || startTime || endTime) {
+            const current = await db.getOne('SELECT * FROM booth_shifts WHERE id = $1', [shiftId]);
+            if (!current) return res.status(404).json({ error: 'Shift not found' });
+            const conflicts = await findShiftConflicts(db, {
+                scoutId: scoutId || current.scoutId,
+                adultId: parentId || current.parentId,
+                boothEventId: current.boothEventId,
+                startTime: startTime || current.startTime,
+                endTime: endTime || current.endTime,
+                excludeShiftId: shiftId
+            });
+            if (conflicts.length > 0) return shiftConflictResponse(res, conflicts);
         }
 
-        const newGoal = await db.getOne(`
-            INSERT INTO troop_goals ("troopId", "goalType", "targetAmount", "startDate", "endDate", description, status, "createdAt", "updatedAt")
-            VALUES ($1, $2, $3, $4, $5, $6, 'in_progress', NOW(), NOW())
-            RETURNING *
-        `, [troopId, goalType, targetAmount, startDate, endDate, description || null]);
-
-        logger.info('Troop goal created', { goalId: newGoal.id, troopId, goalType });
-        res.status(201).json(newGoal);
+        const shift = await db.getOne(`
+            UPDATE booth_shifts SET
+                "scoutId" = COALESCE($1, "scoutId"),
+                "parentId" = COALESCE($2, "parentId"),
+                "startTime" = COALESCE($3, "startTime"),
+                "endTime" = COALESCE($4, "endTime"),
+                role = COALESCE($5, role),
+                status = COALESCE($6, status),
+                "boxesCredited" = COALESCE($7, "boxesCredited"),
+                notes = COALESCE($8, notes)
+            WHERE id = $9 RETURNING *
+        `, [scoutId, parentId, startTime, endTime, role, status, boxesCredited, notes, shiftId]);
+        if (!shift) return res.status(404).json({ error: 'Shift not found' });
+        res.json(shift);
     } catch (error) {
-        logger.error('Error creating troop goal', { error: error.message });
-        res.status(500).json({ error: 'Failed to create goal' });
+        logger.error('Error updating shift', { error: error.message });
+        res.status(500).json({ error: 'Failed to update shift' });
     }
 });
 
-// Get all users (for adding members) - admin or troop_leader
-app.get('/api/users/search', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
+app.delete('/api/troop/:troopId/booths/:boothId/shifts/:shiftId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { query } = req.query;
-        if (!q || q.length < 2) {
-            return res.json([]);
-        }
-
-        const users = await db.getAll(`
-            SELECT id, email, "firstName", "lastName", role
-            FROM users
-            WHERE (email ILIKE $1 OR "firstName" ILIKE $1 OR "lastName" ILIKE $1)
-            AND "isActive" = true
-            LIMIT 10
-        `, [`%${q}%`]);
+        const { troopId, shiftId } = req.params;
+        const result = await db.transaction(async (client) => {
+            const shift = (await client.query('SELECT * FROM booth_shifts WHERE id = $1', [shiftId])).rows[0];
+            if (!shift) return null;
+            const slot = shift.slotId ? await lockBoothSlot(client, troopId, shift.slotId) : null;
+            await client.query('DELETE FROM booth_shifts WHERE id = $1', [shiftId]);
+            // A place opened up in a sign-up slot
+            const promoted = slot ? await promoteWaitlist(client, slot) : [];
+            return { slot, promoted };
+        });
+        if (!result) return res.status(404).json({ error: 'Shift not found' });
 
-        res.json(users);
+        if (result.promoted.length > 0) await notifyPromotedShifts(result.promoted, result.slot, result.slot.eventName);
+        res.json({ message: 'Shift deleted', promoted: result.promoted.length });
     } catch (error) {
-        logger.error('Error searching users', { error: error.message });
-        res.status(500).json({ error: 'Failed to search users' });
+        logger.error('Error deleting shift', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete shift' });
     }
 });
 
-// ============================================================================
-// Phase 3: Cookie Catalog and Season Management Routes
-// ============================================================================
-
-// Get active season
-app.get('/api/seasons/active', auth.isAuthenticated, async (req, res) => {
+// Shift check-in/check-out
+app.post('/api/troop/:troopId/booths/:boothId/shifts/:shiftId/checkin', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        res.json(season || null);
+        const { shiftId } = req.params;
+        const shift = await db.getOne(
+            'UPDATE booth_shifts SET "checkinTime" = CURRENT_TIMESTAMP, status = \'confirmed\' WHERE id = $1 RETURNING *',
+            [shiftId]
+        );
+        if (!shift) return res.status(404).json({ error: 'Shift not found' });
+        res.json(shift);
     } catch (error) {
-        logger.error('Error fetching active season', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch active season' });
+        logger.error('Error checking in', { error: error.message });
+        res.status(500).json({ error: 'Failed to check in' });
     }
 });
 
-// Get all seasons
-app.get('/api/seasons', auth.isAuthenticated, async (req, res) => {
+app.post('/api/troop/:troopId/booths/:boothId/shifts/:shiftId/checkout', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const seasons = await db.getAll(`
-            SELECT s.*,
-                   (SELECT COUNT(*) FROM cookie_products WHERE season = s.year) as "cookieCount"
-            FROM seasons s
-            ORDER BY s.year DESC
-        `);
-        res.json(seasons);
+        const { shiftId } = req.params;
+        const shift = await db.getOne(
+            'UPDATE booth_shifts SET "checkoutTime" = CURRENT_TIMESTAMP, status = \'completed\' WHERE id = $1 RETURNING *',
+            [shiftId]
+        );
+        if (!shift) return res.status(404).json({ error: 'Shift not found' });
+        res.json(shift);
     } catch (error) {
-        logger.error('Error fetching seasons', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch seasons' });
+        logger.error('Error checking out', { error: error.message });
+        res.status(500).json({ error: 'Failed to check out' });
     }
 });
 
-// Create new season
-app.post('/api/seasons', auth.isAuthenticated, auth.hasRole('admin'), async (req, res) => {
-    try {
-        const { year, name, startDate, endDate, pricePerBox, copyFromYear } = req.body;
+// --- Booth Shift Sign-up ---
 
-        if (!year || !name || !startDate || !endDate) {
-            return res.status(400).json({ error: 'Year, name, start date, and end date are required' });
-        }
+// Shifts that hold a place in a slot; waitlisted and no-show shifts do not
+const ACTIVE_SHIFT_STATUSES = ['scheduled', 'confirmed', 'completed'];
 
-        // Check if season already exists
-        const existing = await db.getOne('SELECT id FROM seasons WHERE year = $1', [year]);
-        if (existing) {
-            return res.status(409).json({ error: 'Season already exists' });
+/**
+ * Find booked shifts that overlap a time window for a scout, or for the adult
+ * going with them. An adult may accompany several scouts at the same booth.
+ * @param {Object} client - Database client (transaction client or db helpers)
+ * @param {Object} window
+ * @param {string} window.scoutId - Scout user ID
+ * @param {string} [window.adultId] - Accompanying adult user ID
+ * @param {string} window.boothEventId - Booth of the new shift
+ * @param {string|Date} window.startTime - Shift start
+ * @param {string|Date} window.endTime - Shift end
+ * @param {string} [window.excludeShiftId] - Shift being moved or promoted
+ * @returns {Promise<Array>} Overlapping shifts with their booth names
+ */
+async function findShiftConflicts(client, { scoutId, adultId = null, boothEventId, startTime, endTime, excludeShiftId = null }) {
+    const result = await client.query(`
+        SELECT bs.id, bs."scoutId", bs."parentId", bs."startTime", bs."endTime", be."eventName"
+        FROM booth_shifts bs
+        JOIN booth_events be ON be.id = bs."boothEventId"
+        WHERE bs.status = ANY($1) AND be.status <> 'cancelled'
+          AND bs."startTime" < $3 AND bs."endTime" > $2
+          AND bs.id IS DISTINCT FROM $4::uuid
+          AND (bs."scoutId" = $5
+               OR ($6::uuid IS NOT NULL AND bs."parentId" = $6::uuid AND bs."boothEventId" <> $7))
+        ORDER BY bs."startTime"
+    `, [ACTIVE_SHIFT_STATUSES, startTime, endTime, excludeShiftId, scoutId, adultId, boothEventId]);
+    return result.rows;
+}
+
+function shiftConflictResponse(res, conflicts) {
+    return res.status(409).json({
+        error: `Already booked at ${conflicts[0].eventName} at an overlapping time`,
+        code: 'SHIFT_CONFLICT',
+        conflicts
+    });
+}
+
+/**
+ * Check whether a sign-up fits in a slot right now
+ * @param {Object} client - Transaction client
+ * @param {Object} slot - booth_slots row
+ * @param {string|null} adultId - Accompanying adult, or null for a scout on their own
+ * @returns {Promise<{fits: boolean, reason: string|null}>}
+ */
+async function checkSlotFit(client, slot, adultId) {
+    const counts = (await client.query(`
+        SELECT COUNT(*)::int AS scouts, COUNT(DISTINCT "parentId")::int AS adults,
+               COALESCE(BOOL_OR("parentId" = $3::uuid), false) AS "adultAlreadyIn"
+        FROM booth_shifts WHERE "slotId" = $1 AND status = ANY($2)
+    `, [slot.id, ACTIVE_SHIFT_STATUSES, adultId])).rows[0];
+
+    if (counts.scouts >= slot.scoutCapacity) return { fits: false, reason: 'full' };
+    if (adultId && !counts.adultAlreadyIn && counts.adults >= slot.adultCapacity) return { fits: false, reason: 'full' };
+    if (!adultId && counts.adults < slot.minAdults) return { fits: false, reason: 'needs_adult' };
+    return { fits: true, reason: null };
+}
+
+/**
+ * Scouts of the same family: the scout and every scout linked to the same parent
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} scoutId - Scout user ID
+ * @returns {Promise<Array<string>>} User IDs
+ */
+async function getFamilyScoutIds(client, troopId, scoutId) {
+    const result = await client.query(`
+        SELECT DISTINCT tm2."userId"
+        FROM troop_members tm1
+        JOIN troop_members tm2 ON tm2."troopId" = tm1."troopId"
+        WHERE tm1."troopId" = $1 AND tm1."userId" = $2
+          AND (tm2."userId" = $2 OR (tm1."linkedParentId" IS NOT NULL AND tm2."linkedParentId" = tm1."linkedParentId"))
+    `, [troopId, scoutId]);
+    return result.rows.map(r => r.userId);
+}
+
+/**
+ * Lock a family's troop_members rows so two sign-ups for the same family, in
+ * different slots, cannot both pass the family limit or conflict checks
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Array<string>} scoutIds - Family scout IDs
+ */
+async function lockFamily(client, troopId, scoutIds) {
+    await client.query(`
+        SELECT 1 FROM troop_members
+        WHERE "troopId" = $1 AND "userId" = ANY($2::uuid[])
+        ORDER BY "userId"
+        FOR UPDATE
+    `, [troopId, scoutIds]);
+}
+
+/**
+ * Count a family's booth shifts (booked or waitlisted) in a season
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {Array<string>} scoutIds - Family scout IDs
+ * @param {string} season - Season year
+ * @returns {Promise<number>}
+ */
+async function countFamilyShifts(client, troopId, scoutIds, season) {
+    const result = await client.query(`
+        SELECT COUNT(*)::int AS count
+        FROM booth_shifts bs
+        JOIN booth_events be ON be.id = bs."boothEventId"
+        JOIN seasons se ON se.year = $3
+        WHERE be."troopId" = $1 AND bs."scoutId" = ANY($2::uuid[])
+          AND bs.status = ANY($4) AND be.status <> 'cancelled'
+          AND be."startDateTime"::date BETWEEN se."startDate" AND se."endDate"
+    `, [troopId, scoutIds, season, [...ACTIVE_SHIFT_STATUSES, 'waitlisted']]);
+    return result.rows[0].count;
+}
+
+/**
+ * Move waitlisted sign-ups into a slot, oldest first, while they fit. Sign-ups
+ * that would now double-book the scout or adult stay on the waitlist.
+ * @param {Object} client - Transaction client
+ * @param {Object} slot - booth_slots row, locked by the caller
+ * @returns {Promise<Array>} Promoted shifts
+ */
+async function promoteWaitlist(client, slot) {
+    const waiting = (await client.query(
+        'SELECT * FROM booth_shifts WHERE "slotId" = $1 AND status = \'waitlisted\' ORDER BY "signedUpAt", id',
+        [slot.id]
+    )).rows;
+
+    const promoted = [];
+    for (const shift of waiting) {
+        const fit = await checkSlotFit(client, slot, shift.parentId);
+        if (!fit.fits) continue;
+        const conflicts = await findShiftConflicts(client, {
+            scoutId: shift.scoutId, adultId: shift.parentId, boothEventId: slot.boothEventId,
+            startTime: slot.startTime, endTime: slot.endTime, excludeShiftId: shift.id
+        });
+        if (conflicts.length > 0) continue;
+
+        const row = (await client.query(
+            'UPDATE booth_shifts SET status = \'scheduled\' WHERE id = $1 RETURNING *',
+            [shift.id]
+        )).rows[0];
+        promoted.push(row);
+    }
+    return promoted;
+}
+
+// Tell the scout and whoever signed them up that they came off the waitlist
+async function notifyPromotedShifts(promoted, slot, eventName) {
+    const when = new Date(slot.startTime).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    for (const shift of promoted) {
+        const recipients = new Set([shift.scoutId, shift.parentId, shift.signedUpBy].filter(Boolean));
+        for (const userId of recipients) {
+            await auth.createNotification(db, userId, 'success',
+                'Off the booth waitlist',
+                `A place opened up at ${eventName} on ${when} and your sign-up is now confirmed.`,
+                '/#cookies');
         }
+    }
+}
 
-        // Create season
-        const newSeason = await db.getOne(`
-            INSERT INTO seasons (year, name, "startDate", "endDate", "pricePerBox", "isActive", "createdAt")
-            VALUES ($1, $2, $3, $4, $5, false, NOW())
+/**
+ * Lock a slot of an open booth in the troop
+ * @param {Object} client - Transaction client
+ * @param {string} troopId - Troop ID
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object|null>} Slot row with the booth's eventName, status and startDateTime
+ */
+async function lockBoothSlot(client, troopId, slotId) {
+    const result = await client.query(`
+        SELECT bsl.*, be."eventName", be.status AS "boothStatus", be."startDateTime"
+        FROM booth_slots bsl
+        JOIN booth_events be ON be.id = bsl."boothEventId"
+        WHERE bsl.id = $1 AND be."troopId" = $2
+        FOR UPDATE OF bsl
+    `, [slotId, troopId]);
+    return result.rows[0] || null;
+}
+
+function validateSlotBody(body, partial = false) {
+    const { startTime, endTime, scoutCapacity, adultCapacity, minAdults } = body;
+    if (!partial && (!startTime || !endTime)) return 'startTime and endTime are required';
+    if (startTime && endTime && new Date(endTime) <= new Date(startTime)) return 'endTime must be after startTime';
+    for (const [name, value, min] of [['scoutCapacity', scoutCapacity, 1], ['adultCapacity', adultCapacity, 0], ['minAdults', minAdults, 0]]) {
+        if (value !== undefined && (!Number.isInteger(value) || value < min)) return `${name} must be a whole number of at least ${min}`;
+    }
+    return null;
+}
+
+// Open a sign-up slot at a booth
+app.post('/api/troop/:troopId/booths/:boothId/slots', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const { startTime, endTime, scoutCapacity = 2, adultCapacity = 1, minAdults = 1, notes } = req.body;
+
+        const invalid = validateSlotBody({ startTime, endTime, scoutCapacity, adultCapacity, minAdults });
+        if (invalid) return res.status(400).json({ error: invalid });
+        if (minAdults > adultCapacity) return res.status(400).json({ error: 'minAdults cannot be more than adultCapacity' });
+
+        const booth = await db.getOne('SELECT id FROM booth_events WHERE id = $1 AND "troopId" = $2', [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+
+        const slot = await db.getOne(`
+            INSERT INTO booth_slots ("boothEventId", "startTime", "endTime", "scoutCapacity", "adultCapacity", "minAdults", notes, "createdBy")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
             RETURNING *
-        `, [year, name, startDate, endDate, pricePerBox || 6.00]);
+        `, [boothId, startTime, endTime, scoutCapacity, adultCapacity, minAdults, notes || null, req.session.userId]);
 
-        // Copy cookies from another season if specified
-        if (copyFromYear) {
-            const cookiesToCopy = await db.getAll(`
-                SELECT "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl"
-                FROM cookie_products WHERE season = $1
-            `, [copyFromYear]);
+        res.status(201).json(slot);
+    } catch (error) {
+        logger.error('Error creating booth slot', { error: error.message });
+        res.status(500).json({ error: 'Failed to create booth slot' });
+    }
+});
 
-            for (const cookie of cookiesToCopy) {
-                await db.run(`
-                    INSERT INTO cookie_products (season, "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl", "isActive")
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
-                `, [year, cookie.cookieName, cookie.shortName, cookie.description,
-                    cookie.pricePerBox, cookie.boxesPerCase, cookie.sortOrder, cookie.imageUrl]);
+// Change a slot. Sign-ups follow the new times, and extra capacity is filled from the waitlist.
+app.put('/api/troop/:troopId/booths/:boothId/slots/:slotId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, slotId } = req.params;
+        const { startTime, endTime, scoutCapacity, adultCapacity, minAdults, notes } = req.body;
+
+        const invalid = validateSlotBody({ startTime, endTime, scoutCapacity, adultCapacity, minAdults }, true);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const result = await db.transaction(async (client) => {
+            const current = await lockBoothSlot(client, troopId, slotId);
+            if (!current) throw Object.assign(new Error('Slot not found'), { status: 404 });
+
+            const next = {
+                startTime: startTime || current.startTime,
+                endTime: endTime || current.endTime,
+                scoutCapacity: scoutCapacity ?? current.scoutCapacity,
+                adultCapacity: adultCapacity ?? current.adultCapacity,
+                minAdults: minAdults ?? current.minAdults
+            };
+            if (new Date(next.endTime) <= new Date(next.startTime)) {
+                throw Object.assign(new Error('endTime must be after startTime'), { status: 400 });
+            }
+            if (next.minAdults > next.adultCapacity) {
+                throw Object.assign(new Error('minAdults cannot be more than adultCapacity'), { status: 400 });
+            }
+
+            // Booked sign-ups move with the slot, so they must not double-book anyone at the new times
+            const retimed = new Date(next.startTime).getTime() !== new Date(current.startTime).getTime()
+                || new Date(next.endTime).getTime() !== new Date(current.endTime).getTime();
+            if (retimed) {
+                const booked = (await client.query(
+                    'SELECT id, "scoutId", "parentId" FROM booth_shifts WHERE "slotId" = $1 AND status IN (\'scheduled\', \'confirmed\')',
+                    [slotId]
+                )).rows;
+                for (const shift of booked) {
+                    const conflicts = await findShiftConflicts(client, {
+                        scoutId: shift.scoutId, adultId: shift.parentId, boothEventId: current.boothEventId,
+                        startTime: next.startTime, endTime: next.endTime, excludeShiftId: shift.id
+                    });
+                    if (conflicts.length > 0) throw Object.assign(new Error('conflict'), { status: 409, conflicts });
+                }
             }
 
-            logger.info('Copied cookies from previous season', { fromYear: copyFromYear, toYear: year, count: cookiesToCopy.length });
+            const slot = (await client.query(`
+                UPDATE booth_slots SET "startTime" = $1, "endTime" = $2, "scoutCapacity" = $3, "adultCapacity" = $4,
+                    "minAdults" = $5, notes = COALESCE($6, notes)
+                WHERE id = $7
+                RETURNING *
+            `, [next.startTime, next.endTime, next.scoutCapacity, next.adultCapacity, next.minAdults, notes, slotId])).rows[0];
+            await client.query(
+                'UPDATE booth_shifts SET "startTime" = $1, "endTime" = $2 WHERE "slotId" = $3 AND status <> \'completed\'',
+                [slot.startTime, slot.endTime, slotId]
+            );
+
+            const promoted = await promoteWaitlist(client, slot);
+            return { slot, promoted, eventName: current.eventName };
+        });
+
+        await notifyPromotedShifts(result.promoted, result.slot, result.eventName);
+        res.json({ ...result.slot, promoted: result.promoted.length });
+    } catch (error) {
+        if (error.conflicts) return shiftConflictResponse(res, error.conflicts);
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error updating booth slot', { error: error.message });
+        res.status(500).json({ error: 'Failed to update booth slot' });
+    }
+});
+
+// Remove a slot and its sign-ups
+app.delete('/api/troop/:troopId/booths/:boothId/slots/:slotId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId, slotId } = req.params;
+        const slot = await db.getOne(`
+            SELECT bsl.*, be."eventName" FROM booth_slots bsl
+            JOIN booth_events be ON be.id = bsl."boothEventId"
+            WHERE bsl.id = $1 AND be."troopId" = $2
+        `, [slotId, troopId]);
+        if (!slot) return res.status(404).json({ error: 'Slot not found' });
+
+        const signups = await db.getAll(
+            'SELECT DISTINCT unnest(ARRAY["scoutId", "parentId", "signedUpBy"]) AS "userId" FROM booth_shifts WHERE "slotId" = $1',
+            [slotId]
+        );
+        await db.run('DELETE FROM booth_slots WHERE id = $1', [slotId]);
+
+        const when = new Date(slot.startTime).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+        for (const { userId } of signups) {
+            if (!userId || userId === req.session.userId) continue;
+            await auth.createNotification(db, userId, 'warning', 'Booth slot cancelled',
+                `The ${when} slot at ${slot.eventName} was cancelled, along with your sign-up.`, '/#cookies');
+        }
+
+        res.json({ message: 'Slot deleted' });
+    } catch (error) {
+        logger.error('Error deleting booth slot', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete booth slot' });
+    }
+});
+
+// Set the most booth shifts one family may sign up for in the active season (null for no limit)
+app.put('/api/troop/:troopId/booth-signup-settings', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { maxShiftsPerFamily } = req.body;
+        if (maxShiftsPerFamily !== null && (!Number.isInteger(maxShiftsPerFamily) || maxShiftsPerFamily < 1)) {
+            return res.status(400).json({ error: 'maxShiftsPerFamily must be a whole number of at least 1, or null' });
         }
 
-        logger.info('Season created', { year, name });
-        res.status(201).json(newSeason);
+        const season = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
+        if (!season) return res.status(400).json({ error: 'There is no active season' });
+
+        const config = await db.getOne(`
+            INSERT INTO troop_season_config ("troopId", season, "maxShiftsPerFamily")
+            VALUES ($1, $2, $3)
+            ON CONFLICT ("troopId", season) DO UPDATE SET "maxShiftsPerFamily" = EXCLUDED."maxShiftsPerFamily"
+            RETURNING season, "maxShiftsPerFamily"
+        `, [troopId, season.year, maxShiftsPerFamily]);
+
+        res.json(config);
     } catch (error) {
-        logger.error('Error creating season', { error: error.message });
-        res.status(500).json({ error: 'Failed to create season' });
+        logger.error('Error updating booth sign-up settings', { error: error.message });
+        res.status(500).json({ error: 'Failed to update booth sign-up settings' });
     }
 });
 
-// Activate a season
-app.put('/api/seasons/:year/activate', auth.isAuthenticated, auth.hasRole('admin'), async (req, res) => {
+// Sign-up board: upcoming booths with open slots, who is signed up, and the caller's household scouts
+app.get('/api/troop/:troopId/booth-signups', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { year } = req.params;
+        const { troopId } = req.params;
+        const userId = req.session.userId;
 
-        // Deactivate all seasons
-        await db.run('UPDATE seasons SET "isActive" = false');
+        const season = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
+        const config = season ? await db.getOne(
+            'SELECT "maxShiftsPerFamily" FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
+            [troopId, season.year]
+        ) : null;
+        const maxShiftsPerFamily = config?.maxShiftsPerFamily ?? null;
 
-        // Activate specified season
-        const result = await db.run('UPDATE seasons SET "isActive" = true, "updatedAt" = NOW() WHERE year = $1', [year]);
+        const booths = await db.getAll(`
+            SELECT be.id, be."eventName", be."eventType", be.location, be."locationAddress",
+                   be."startDateTime", be."endDateTime", be.status
+            FROM booth_events be
+            WHERE be."troopId" = $1 AND be.status IN ('planning', 'scheduled') AND be."endDateTime" > NOW()
+              AND EXISTS (SELECT 1 FROM booth_slots bsl WHERE bsl."boothEventId" = be.id)
+            ORDER BY be."startDateTime"
+        `, [troopId]);
+        const boothIds = booths.map(b => b.id);
+
+        const slots = boothIds.length ? await db.getAll(
+            'SELECT * FROM booth_slots WHERE "boothEventId" = ANY($1::uuid[]) ORDER BY "startTime"',
+            [boothIds]
+        ) : [];
+        const signups = slots.length ? await db.getAll(`
+            SELECT bs.id, bs."slotId", bs."scoutId", bs."parentId", bs."signedUpBy", bs.status, bs."signedUpAt",
+                   u."firstName" || ' ' || LEFT(u."lastName", 1) AS "scoutName",
+                   p."firstName" || ' ' || LEFT(p."lastName", 1) AS "adultName"
+            FROM booth_shifts bs
+            JOIN users u ON u.id = bs."scoutId"
+            LEFT JOIN users p ON p.id = bs."parentId"
+            WHERE bs."slotId" = ANY($1::uuid[]) AND bs.status <> 'no_show'
+            ORDER BY bs."signedUpAt", bs.id
+        `, [slots.map(s => s.id)]) : [];
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ error: 'Season not found' });
+        const householdIds = await auth.getHouseholdUserIds(troopId, userId);
+        const scouts = await db.getAll(`
+            SELECT u.id, u."firstName", u."lastName"
+            FROM troop_members tm JOIN users u ON u.id = tm."userId"
+            WHERE tm."troopId" = $1 AND tm.status = 'active' AND tm.role = 'member' AND tm."userId" = ANY($2::uuid[])
+            ORDER BY u."firstName"
+        `, [troopId, householdIds]);
+        if (maxShiftsPerFamily && season) {
+            for (const scout of scouts) {
+                const familyIds = await getFamilyScoutIds(db, troopId, scout.id);
+                scout.familyShiftCount = await countFamilyShifts(db, troopId, familyIds, season.year);
+            }
         }
 
-        logger.info('Season activated', { year });
-        res.json({ success: true, year });
+        const bySlot = new Map(slots.map(s => [s.id, []]));
+        for (const signup of signups) bySlot.get(signup.slotId).push(signup);
+
+        res.json({
+            season: season?.year || null,
+            maxShiftsPerFamily,
+            scouts,
+            booths: booths.map(booth => ({
+                ...booth,
+                slots: slots.filter(s => s.boothEventId === booth.id).map(slot => {
+                    const entries = bySlot.get(slot.id);
+                    const booked = entries.filter(e => e.status !== 'waitlisted');
+                    const adultCount = new Set(booked.filter(e => e.parentId).map(e => e.parentId)).size;
+                    let position = 0;
+                    return {
+                        ...slot,
+                        scoutCount: booked.length,
+                        adultCount,
+                        waitlistCount: entries.length - booked.length,
+                        adultsNeeded: Math.max(0, slot.minAdults - adultCount),
+                        signups: entries.map(e => ({
+                            id: e.id,
+                            scoutId: e.scoutId,
+                            scoutName: e.scoutName,
+                            adultName: e.adultName,
+                            status: e.status,
+                            waitlistPosition: e.status === 'waitlisted' ? ++position : null,
+                            mine: householdIds.includes(e.scoutId) || e.signedUpBy === userId
+                        }))
+                    };
+                })
+            }))
+        });
     } catch (error) {
-        logger.error('Error activating season', { error: error.message });
-        res.status(500).json({ error: 'Failed to activate season' });
+        logger.error('Error fetching booth sign-up board', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth sign-ups' });
     }
 });
 
-// Get all cookies for a season (or active season if not specified)
-app.get('/api/cookies', auth.isAuthenticated, async (req, res) => {
+// Sign a scout from the caller's household up for a slot, or join its waitlist when it is full
+app.post('/api/troop/:troopId/booth-slots/:slotId/signups', auth.isAuthenticated, auth.requirePrivilege('sign_up_shifts'), async (req, res) => {
     try {
-        const { season, includeInactive } = req.query;
+        const { troopId, slotId } = req.params;
+        const { scoutId, withAdult } = req.body;
+        const userId = req.session.userId;
+        if (!scoutId) return res.status(400).json({ error: 'scoutId is required' });
+
+        const householdIds = await auth.getHouseholdUserIds(troopId, userId);
+        const scout = await db.getOne(`
+            SELECT "userId" FROM troop_members
+            WHERE "troopId" = $1 AND "userId" = $2 AND status = 'active' AND role = 'member'
+        `, [troopId, scoutId]);
+        if (!scout || !householdIds.includes(scoutId)) {
+            return res.status(403).json({ error: 'You can only sign up scouts in your household' });
+        }
+        // The scout's own account cannot count as the accompanying adult
+        const adultId = withAdult && userId !== scoutId ? userId : null;
+
+        const shift = await db.transaction(async (client) => {
+            const slot = await lockBoothSlot(client, troopId, slotId);
+            if (!slot) throw Object.assign(new Error('Slot not found'), { status: 404 });
+            if (!['planning', 'scheduled'].includes(slot.boothStatus) || new Date(slot.startTime) <= new Date()) {
+                throw Object.assign(new Error('Sign-up for this slot is closed'), { status: 400 });
+            }
 
-        // Get season to query
-        let targetSeason = season;
-        if (!targetSeason) {
-            const active = await db.getOne('SELECT year FROM seasons WHERE "isActive" = true');
-            targetSeason = active?.year || '2026';
-        }
+            const existing = await client.query(
+                'SELECT id FROM booth_shifts WHERE "slotId" = $1 AND "scoutId" = $2 AND status <> \'no_show\'',
+                [slotId, scoutId]
+            );
+            if (existing.rows.length > 0) throw Object.assign(new Error('This scout is already signed up for this slot'), { status: 409 });
 
-        // Build query - using PostgreSQL json_agg instead of SQLite json_group_array
-        let query = `
-            SELECT cp.*,
-                   b."bakerName", b."bakerCode",
-                   COALESCE(
-                       json_agg(
-                           json_build_object('id', ca.id, 'type', ca."attributeType", 'value', ca."attributeValue", 'label', ca."displayLabel")
-                       ) FILTER (WHERE ca.id IS NOT NULL),
-                       '[]'::json
-                   ) as "attributesJson"
-            FROM cookie_products cp
-            LEFT JOIN cookie_attributes ca ON cp.id = ca."productId"
-            LEFT JOIN bakers b ON cp."bakerId" = b.id
-            WHERE cp.season = $1
-        `;
+            const familyIds = await getFamilyScoutIds(client, troopId, scoutId);
+            await lockFamily(client, troopId, familyIds);
 
-        if (!includeInactive) {
-            query += ' AND cp."isActive" = true';
-        }
+            const conflicts = await findShiftConflicts(client, {
+                scoutId, adultId, boothEventId: slot.boothEventId, startTime: slot.startTime, endTime: slot.endTime
+            });
+            if (conflicts.length > 0) throw Object.assign(new Error('conflict'), { status: 409, conflicts });
+
+            const season = await seasonForDate(slot.startDateTime);
+            const limit = season ? (await client.query(
+                'SELECT "maxShiftsPerFamily" FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
+                [troopId, season]
+            )).rows[0]?.maxShiftsPerFamily : null;
+            if (limit) {
+                if (await countFamilyShifts(client, troopId, familyIds, season) >= limit) {
+                    throw Object.assign(new Error(`Each family can sign up for at most ${limit} booth shifts this season`), { status: 400 });
+                }
+            }
 
-        query += ' GROUP BY cp.id, b."bakerName", b."bakerCode" ORDER BY cp."sortOrder", cp."cookieName"';
+            const fit = await checkSlotFit(client, slot, adultId);
+            if (fit.reason === 'needs_adult') {
+                throw Object.assign(new Error(`This slot needs ${slot.minAdults === 1 ? 'an adult' : `${slot.minAdults} adults`} first. Sign up as the adult or choose another slot.`), { status: 400 });
+            }
 
-        const cookies = await db.getAll(query, [targetSeason]);
+            return (await client.query(`
+                INSERT INTO booth_shifts ("boothEventId", "slotId", "scoutId", "parentId", "startTime", "endTime",
+                    role, status, "signedUpBy", "signedUpAt")
+                VALUES ($1, $2, $3, $4, $5, $6, 'seller', $7, $8, NOW())
+                RETURNING *
+            `, [slot.boothEventId, slotId, scoutId, adultId, slot.startTime, slot.endTime,
+                fit.fits ? 'scheduled' : 'waitlisted', userId])).rows[0];
+        });
 
-        // Parse attributes JSON
-        const result = cookies.map(cookie => {
-            let attributes = [];
-            try {
-                const parsed = typeof cookie.attributesJson === 'string' ? JSON.parse(cookie.attributesJson) : cookie.attributesJson;
-                attributes = Array.isArray(parsed) ? parsed.filter(a => a.id !== null) : [];
-            } catch (e) {
-                attributes = [];
+        await auth.logAuditEvent(db, userId, 'booth_shift_signup', req, {
+            resourceType: 'booth_shift',
+            resourceId: shift.id,
+            troopId,
+            slotId,
+            scoutId,
+            status: shift.status
+        });
+
+        res.status(201).json(shift);
+    } catch (error) {
+        if (error.conflicts) return shiftConflictResponse(res, error.conflicts);
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error signing up for booth slot', { error: error.message });
+        res.status(500).json({ error: 'Failed to sign up for booth slot' });
+    }
+});
+
+// Drop a sign-up from the caller's household; the first waitlisted sign-up that fits takes the place
+app.delete('/api/troop/:troopId/booth-slots/:slotId/signups/:shiftId', auth.isAuthenticated, auth.requirePrivilege('sign_up_shifts'), async (req, res) => {
+    try {
+        const { troopId, slotId, shiftId } = req.params;
+        const userId = req.session.userId;
+        const householdIds = await auth.getHouseholdUserIds(troopId, userId);
+
+        const result = await db.transaction(async (client) => {
+            const slot = await lockBoothSlot(client, troopId, slotId);
+            if (!slot) throw Object.assign(new Error('Slot not found'), { status: 404 });
+
+            const shift = (await client.query(
+                'SELECT * FROM booth_shifts WHERE id = $1 AND "slotId" = $2',
+                [shiftId, slotId]
+            )).rows[0];
+            if (!shift) throw Object.assign(new Error('Sign-up not found'), { status: 404 });
+            if (!householdIds.includes(shift.scoutId) && shift.signedUpBy !== userId) {
+                throw Object.assign(new Error('You can only cancel sign-ups in your household'), { status: 403 });
             }
-            delete cookie.attributesJson;
-            return { ...cookie, attributes };
+            if (!['scheduled', 'waitlisted'].includes(shift.status)) {
+                throw Object.assign(new Error('This shift has started and can no longer be cancelled here'), { status: 400 });
+            }
+
+            await client.query('DELETE FROM booth_shifts WHERE id = $1', [shiftId]);
+            const promoted = await promoteWaitlist(client, slot);
+            return { slot, shift, promoted };
         });
 
-        res.json(result);
+        await notifyPromotedShifts(result.promoted, result.slot, result.slot.eventName);
+        await auth.logAuditEvent(db, userId, 'booth_shift_cancelled', req, {
+            resourceType: 'booth_shift',
+            resourceId: shiftId,
+            troopId,
+            slotId,
+            scoutId: result.shift.scoutId,
+            promoted: result.promoted.map(p => p.id)
+        });
+
+        res.json({ message: 'Sign-up cancelled', promoted: result.promoted.length });
     } catch (error) {
-        logger.error('Error fetching cookies', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch cookies' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error cancelling booth sign-up', { error: error.message });
+        res.status(500).json({ error: 'Failed to cancel booth sign-up' });
     }
 });
 
-// Get single cookie with nutrition info
-app.get('/api/cookies/:id', auth.isAuthenticated, async (req, res) => {
+// --- Booth Inventory ---
+
+app.get('/api/troop/:troopId/booths/:boothId/inventory', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { boothId } = req.params;
+        const inventory = await db.getAll(`
+            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
+            FROM booth_inventory bi
+            JOIN cookie_products cp ON bi."productId" = cp.id
+            WHERE bi."boothEventId" = $1
+            ORDER BY cp."sortOrder"
+        `, [boothId]);
+        res.json(inventory);
+    } catch (error) {
+        logger.error('Error fetching booth inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth inventory' });
+    }
+});
 
-        const cookie = await db.getOne('SELECT * FROM cookie_products WHERE id = $1', [id]);
-        if (!cookie) {
-            return res.status(404).json({ error: 'Cookie not found' });
+// Set/update booth inventory (bulk upsert)
+app.put('/api/troop/:troopId/booths/:boothId/inventory', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const { items } = req.body; // [{productId, startingQty, endingQty, damagedQty, notes}]
+        if (!items || !Array.isArray(items)) {
+            return res.status(400).json({ error: 'items array is required' });
         }
+        if (await isBoothClosed(boothId)) return boothClosedResponse(res);
 
-        const attributes = await db.getAll('SELECT * FROM cookie_attributes WHERE "productId" = $1', [id]);
-        const nutrition = await db.getOne('SELECT * FROM cookie_nutrition WHERE "productId" = $1', [id]);
+        const results = [];
+        for (const item of items) {
+            const row = await db.getOne(`
+                INSERT INTO booth_inventory ("boothEventId", "productId", "startingQty", "endingQty", "damagedQty", notes)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT ("boothEventId", "productId") DO UPDATE SET
+                    "startingQty" = COALESCE(EXCLUDED."startingQty", booth_inventory."startingQty"),
+                    "endingQty" = COALESCE(EXCLUDED."endingQty", booth_inventory."endingQty"),
+                    "damagedQty" = COALESCE(EXCLUDED."damagedQty", booth_inventory."damagedQty"),
+                    notes = COALESCE(EXCLUDED.notes, booth_inventory.notes)
+                RETURNING *
+            `, [boothId, item.productId, item.startingQty || 0, item.endingQty ?? null, item.damagedQty || 0, item.notes]);
+            results.push(row);
+        }
+        res.json(results);
+    } catch (error) {
+        logger.error('Error updating booth inventory', { error: error.message });
+        res.status(500).json({ error: 'Failed to update booth inventory' });
+    }
+});
 
-        res.json({ ...cookie, attributes, nutrition });
+// Record ending count and auto-calculate soldQty
+app.post('/api/troop/:troopId/booths/:boothId/inventory/count', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const { items } = req.body; // [{productId, endingQty, damagedQty}]
+        if (!items || !Array.isArray(items)) {
+            return res.status(400).json({ error: 'items array is required' });
+        }
+        if (await isBoothClosed(boothId)) return boothClosedResponse(res);
+
+        const results = [];
+        for (const item of items) {
+            const row = await db.getOne(`
+                UPDATE booth_inventory SET
+                    "endingQty" = $1,
+                    "damagedQty" = COALESCE($2, "damagedQty"),
+                    "soldQty" = "startingQty" - $1 - COALESCE($2, "damagedQty", 0)
+                WHERE "boothEventId" = $3 AND "productId" = $4
+                RETURNING *
+            `, [item.endingQty, item.damagedQty || 0, boothId, item.productId]);
+            if (row) results.push(row);
+        }
+        res.json(results);
     } catch (error) {
-        logger.error('Error fetching cookie', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch cookie' });
+        logger.error('Error recording inventory count', { error: error.message });
+        res.status(500).json({ error: 'Failed to record inventory count' });
     }
 });
 
-// Add new cookie
-app.post('/api/cookies', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
+// --- Booth Payments ---
+
+app.get('/api/troop/:troopId/booths/:boothId/payments', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { season, cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, bakerId, organizationId, attributes, nutrition } = req.body;
+        const { boothId } = req.params;
+        const payments = await db.getAll(`
+            SELECT bp.*, u."firstName" || ' ' || u."lastName" as "recordedByName"
+            FROM booth_payments bp
+            LEFT JOIN users u ON bp."recordedBy" = u.id
+            WHERE bp."boothEventId" = $1
+            ORDER BY bp."recordedAt"
+        `, [boothId]);
+        res.json(payments);
+    } catch (error) {
+        logger.error('Error fetching payments', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch payments' });
+    }
+});
 
-        if (!season || !cookieName) {
-            return res.status(400).json({ error: 'Season and cookie name are required' });
+app.post('/api/troop/:troopId/booths/:boothId/payments', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { boothId } = req.params;
+        const { paymentType, amount, referenceNumber, notes } = req.body;
+        if (!paymentType || amount === undefined) {
+            return res.status(400).json({ error: 'paymentType and amount are required' });
+        }
+        const validTypes = ['cash', 'check', 'digital_cookie', 'venmo', 'paypal', 'square', 'zelle', 'other'];
+        if (!validTypes.includes(paymentType)) {
+            return res.status(400).json({ error: `Invalid payment type. Must be one of: ${validTypes.join(', ')}` });
         }
+        const payment = await db.getOne(`
+            INSERT INTO booth_payments ("boothEventId", "paymentType", amount, "referenceNumber", notes, "recordedBy")
+            VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+        `, [boothId, paymentType, amount, referenceNumber, notes, req.session.userId]);
+        res.status(201).json(payment);
+    } catch (error) {
+        logger.error('Error creating payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to create payment' });
+    }
+});
+
+app.put('/api/troop/:troopId/booths/:boothId/payments/:paymentId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const { paymentType, amount, referenceNumber, notes } = req.body;
+        const payment = await db.getOne(`
+            UPDATE booth_payments SET
+                "paymentType" = COALESCE($1, "paymentType"),
+                amount = COALESCE($2, amount),
+                "referenceNumber" = COALESCE($3, "referenceNumber"),
+                notes = COALESCE($4, notes)
+            WHERE id = $5 RETURNING *
+        `, [paymentType, amount, referenceNumber, notes, paymentId]);
+        if (!payment) return res.status(404).json({ error: 'Payment not found' });
+        res.json(payment);
+    } catch (error) {
+        logger.error('Error updating payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to update payment' });
+    }
+});
+
+app.delete('/api/troop/:troopId/booths/:boothId/payments/:paymentId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { paymentId } = req.params;
+        const result = await db.run('DELETE FROM booth_payments WHERE id = $1', [paymentId]);
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Payment not found' });
+        res.json({ message: 'Payment deleted' });
+    } catch (error) {
+        logger.error('Error deleting payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete payment' });
+    }
+});
 
-        // Insert cookie
-        const newCookie = await db.getOne(`
-            INSERT INTO cookie_products (season, "cookieName", "shortName", description, "pricePerBox", "boxesPerCase", "sortOrder", "imageUrl", "bakerId", "organizationId", "isActive", "createdAt")
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, NOW())
-            RETURNING *
-        `, [season, cookieName, shortName || null, description || null, pricePerBox || 6.00, boxesPerCase || 12, sortOrder || 0, imageUrl || null, bakerId || null, organizationId || null]);
+// --- Booth Cash ---
 
-        const productId = newCookie.id;
+// Denomination keys accepted in a drawer count, with their value in cents
+const CASH_DENOMINATIONS = {
+    '100': 10000, '50': 5000, '20': 2000, '10': 1000, '5': 500, '2': 200, '1': 100,
+    '0.50': 50, '0.25': 25, '0.10': 10, '0.05': 5, '0.01': 1
+};
 
-        // Insert attributes if provided
-        if (attributes && Array.isArray(attributes)) {
-            for (const attr of attributes) {
-                await db.run(`
-                    INSERT INTO cookie_attributes ("productId", "attributeType", "attributeValue", "displayLabel")
-                    VALUES ($1, $2, $3, $4)
-                `, [productId, attr.type, attr.value, attr.label || null]);
-            }
-        }
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
 
-        // Insert nutrition if provided
-        if (nutrition) {
-            await db.run(`
-                INSERT INTO cookie_nutrition ("productId", "servingSize", "servingsPerBox", calories, "totalFat", "saturatedFat", "transFat", cholesterol, sodium, "totalCarbs", "dietaryFiber", sugars, protein, ingredients)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-            `, [productId, nutrition.servingSize, nutrition.servingsPerBox, nutrition.calories, nutrition.totalFat, nutrition.saturatedFat, nutrition.transFat, nutrition.cholesterol, nutrition.sodium, nutrition.totalCarbs, nutrition.dietaryFiber, nutrition.sugars, nutrition.protein, nutrition.ingredients]);
+/**
+ * Validate a drawer count and total it
+ * @param {Object} denominations - { "20": 4, "0.25": 12, ... }
+ * @returns {{counts: Object, total: number}} Counts with zero entries dropped, total in dollars
+ * @throws {Error} With status 400 for unknown denominations or counts that are not whole numbers
+ */
+function parseCashCount(denominations) {
+    if (!denominations || typeof denominations !== 'object' || Array.isArray(denominations)) {
+        throw Object.assign(new Error('denominations must be an object of denomination to count'), { status: 400 });
+    }
+    const counts = {};
+    let cents = 0;
+    for (const [key, value] of Object.entries(denominations)) {
+        if (!(key in CASH_DENOMINATIONS)) {
+            throw Object.assign(new Error(`Unknown denomination ${key}. Use one of: ${Object.keys(CASH_DENOMINATIONS).join(', ')}`), { status: 400 });
+        }
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+            throw Object.assign(new Error(`Count for ${key} must be a whole number`), { status: 400 });
+        }
+        if (count > 0) {
+            counts[key] = count;
+            cents += count * CASH_DENOMINATIONS[key];
         }
+    }
+    return { counts, total: cents / 100 };
+}
 
-        logger.info('Cookie created', { productId, cookieName, season });
-        res.status(201).json(newCookie);
-    } catch (error) {
-        logger.error('Error creating cookie', { error: error.message });
-        res.status(500).json({ error: 'Failed to create cookie' });
+// Booth cash is counted and sealed by the adults working the booth, or by leaders who manage events or money.
+// Working a shift counts for signed-in adults only; an API token needs one of the two privileges in its scopes.
+async function canHandleBoothCash(req, troopId, boothId) {
+    if (!req.apiToken) {
+        const staffed = await db.getOne(
+            'SELECT 1 FROM booth_shifts WHERE "boothEventId" = $1 AND "parentId" = $2 AND status = ANY($3::text[])',
+            [boothId, req.session.userId, ACTIVE_SHIFT_STATUSES]
+        );
+        if (staffed) return true;
     }
-});
+    return await auth.hasPrivilege(req, troopId, 'manage_events') ||
+        await auth.hasPrivilege(req, troopId, 'manage_financials');
+}
 
-// Update cookie
-app.put('/api/cookies/:id', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, isActive, bakerId, organizationId, attributes, nutrition } = req.body;
+// Load an envelope of the troop with the booth name, locked for update when a client is given
+async function getCashEnvelope(client, troopId, envelopeId) {
+    const result = await client.query(`
+        SELECT e.*, be."eventName"
+        FROM booth_cash_envelopes e
+        JOIN booth_events be ON be.id = e."boothEventId"
+        WHERE e.id = $1 AND e."troopId" = $2
+        FOR UPDATE OF e
+    `, [envelopeId, troopId]);
+    return result.rows[0] || null;
+}
 
-        const existing = await db.getOne('SELECT id FROM cookie_products WHERE id = $1', [id]);
-        if (!existing) {
-            return res.status(404).json({ error: 'Cookie not found' });
-        }
+// Envelopes of the given booths with their custody trail, oldest first
+async function getCashEnvelopes(boothIds) {
+    if (boothIds.length === 0) return [];
+    const envelopes = await db.getAll(`
+        SELECT e.*,
+               h."firstName" || ' ' || h."lastName" AS "holderName",
+               p."firstName" || ' ' || p."lastName" AS "pendingHolderName",
+               d."slipReference", d."depositDate"
+        FROM booth_cash_envelopes e
+        LEFT JOIN users h ON h.id = e."holderId"
+        LEFT JOIN users p ON p.id = e."pendingHolderId"
+        LEFT JOIN cash_deposits d ON d.id = e."depositId"
+        WHERE e."boothEventId" = ANY($1::uuid[])
+        ORDER BY e."sealedAt"
+    `, [boothIds]);
+    const custody = envelopes.length ? await db.getAll(`
+        SELECT c.*,
+               f."firstName" || ' ' || f."lastName" AS "fromName",
+               t."firstName" || ' ' || t."lastName" AS "toName"
+        FROM booth_cash_custody c
+        LEFT JOIN users f ON f.id = c."fromUserId"
+        LEFT JOIN users t ON t.id = c."toUserId"
+        WHERE c."envelopeId" = ANY($1::uuid[])
+        ORDER BY c."recordedAt", c.id
+    `, [envelopes.map(e => e.id)]) : [];
+    return envelopes.map(e => ({ ...e, custody: custody.filter(c => c.envelopeId === e.id) }));
+}
 
-        // Update cookie
-        await db.run(`
-            UPDATE cookie_products SET
-                "cookieName" = COALESCE($1, "cookieName"),
-                "shortName" = COALESCE($2, "shortName"),
-                description = COALESCE($3, description),
-                "pricePerBox" = COALESCE($4, "pricePerBox"),
-                "boxesPerCase" = COALESCE($5, "boxesPerCase"),
-                "sortOrder" = COALESCE($6, "sortOrder"),
-                "imageUrl" = COALESCE($7, "imageUrl"),
-                "isActive" = COALESCE($8, "isActive"),
-                "bakerId" = COALESCE($9, "bakerId"),
-                "organizationId" = COALESCE($10, "organizationId"),
-                "updatedAt" = NOW()
-            WHERE id = $11
-        `, [cookieName, shortName, description, pricePerBox, boxesPerCase, sortOrder, imageUrl, isActive, bakerId, organizationId, id]);
+/**
+ * Follow a booth's cash from the drawer to the bank
+ * @param {Object} booth - booth_events row
+ * @param {Object[]} envelopes - The booth's envelopes from getCashEnvelopes
+ * @param {Object} counts - { start, end } booth_cash_counts rows
+ * @param {number} recordedCash - Cash payments recorded for the booth
+ * @returns {Object} Totals and a custody status
+ */
+function summarizeBoothCash(booth, envelopes, counts, recordedCash) {
+    const sum = (rows, field) => rows.reduce((total, row) => total + toCents(row[field]), 0) / 100;
+    const deposited = envelopes.filter(e => e.status === 'deposited');
+    const sealedTotal = sum(envelopes, 'cashAmount') + sum(envelopes, 'checkAmount');
+    const depositedTotal = sum(deposited, 'cashAmount') + sum(deposited, 'checkAmount');
+
+    let custodyStatus = 'not_sealed';
+    if (envelopes.length > 0) {
+        custodyStatus = deposited.length === envelopes.length ? 'deposited'
+            : deposited.length > 0 ? 'partially_deposited' : 'in_custody';
+    }
+
+    const startTotal = counts.start ? parseFloat(counts.start.total) : parseFloat(booth.startingBank || 0);
+    const endTotal = counts.end ? parseFloat(counts.end.total) : null;
+    return {
+        startCount: counts.start || null,
+        endCount: counts.end || null,
+        countedCash: endTotal === null ? null : (toCents(endTotal) - toCents(startTotal)) / 100,
+        recordedCash,
+        // Recorded cash payments include the starting bank, as in the revenue figures
+        drawerVariance: endTotal === null ? null : (toCents(endTotal) - toCents(recordedCash)) / 100,
+        sealedTotal,
+        depositedTotal,
+        undepositedTotal: (toCents(sealedTotal) - toCents(depositedTotal)) / 100,
+        envelopeCount: envelopes.length,
+        inTransitCount: envelopes.filter(e => e.status === 'in_transit').length,
+        custodyStatus,
+        reachedBank: custodyStatus === 'deposited'
+    };
+}
 
-        // Update attributes if provided (replace all)
-        if (attributes && Array.isArray(attributes)) {
-            await db.run('DELETE FROM cookie_attributes WHERE "productId" = $1', [id]);
-            for (const attr of attributes) {
-                await db.run(`
-                    INSERT INTO cookie_attributes ("productId", "attributeType", "attributeValue", "displayLabel")
-                    VALUES ($1, $2, $3, $4)
-                `, [id, attr.type, attr.value, attr.label || null]);
-            }
-        }
+async function getBoothCashCounts(boothId) {
+    const rows = await db.getAll(`
+        SELECT c.*, u."firstName" || ' ' || u."lastName" AS "countedByName"
+        FROM booth_cash_counts c LEFT JOIN users u ON u.id = c."countedBy"
+        WHERE c."boothEventId" = $1
+    `, [boothId]);
+    return {
+        start: rows.find(r => r.countType === 'start') || null,
+        end: rows.find(r => r.countType === 'end') || null
+    };
+}
 
-        // Update nutrition if provided
-        if (nutrition) {
-            await db.run('DELETE FROM cookie_nutrition WHERE "productId" = $1', [id]);
-            await db.run(`
-                INSERT INTO cookie_nutrition ("productId", "servingSize", "servingsPerBox", calories, "totalFat", "saturatedFat", "transFat", cholesterol, sodium, "totalCarbs", "dietaryFiber", sugars, protein, ingredients)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-            `, [id, nutrition.servingSize, nutrition.servingsPerBox, nutrition.calories, nutrition.totalFat, nutrition.saturatedFat, nutrition.transFat, nutrition.cholesterol, nutrition.sodium, nutrition.totalCarbs, nutrition.dietaryFiber, nutrition.sugars, nutrition.protein, nutrition.ingredients]);
+// Adults an envelope can be handed to: every active member of the troop who is not a scout
+async function getCashRecipients(troopId) {
+    return db.getAll(`
+        SELECT u.id, u."firstName" || ' ' || u."lastName" AS name, tm.role
+        FROM troop_members tm JOIN users u ON u.id = tm."userId"
+        WHERE tm."troopId" = $1 AND tm.status = 'active' AND tm.role <> 'member'
+        ORDER BY u."firstName", u."lastName"
+    `, [troopId]);
+}
+
+// Drawer counts, envelopes and custody for one booth
+app.get('/api/troop/:troopId/booths/:boothId/cash', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+    try {
+        const { troopId, boothId } = req.params;
+        const booth = await db.getOne('SELECT * FROM booth_events WHERE id = $1 AND "troopId" = $2', [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+
+        const counts = await getBoothCashCounts(boothId);
+        const envelopes = await getCashEnvelopes([boothId]);
+        const payments = await db.getOne(`
+            SELECT COALESCE(SUM(amount), 0) AS "totalCash"
+            FROM booth_payments WHERE "boothEventId" = $1 AND "paymentType" = 'cash'
+        `, [boothId]);
+        const summary = summarizeBoothCash(booth, envelopes, counts, parseFloat(payments.totalCash));
+
+        // Amounts, custody and the list of adults are for cash handlers and treasurers;
+        // everyone else who can see the booth only learns where the cash stands
+        const canHandleCash = await canHandleBoothCash(req, troopId, boothId);
+        if (!canHandleCash && !(await auth.hasPrivilege(req, troopId, 'view_financials'))) {
+            return res.json({
+                canHandleCash: false,
+                canViewCash: false,
+                summary: {
+                    custodyStatus: summary.custodyStatus,
+                    reachedBank: summary.reachedBank,
+                    envelopeCount: summary.envelopeCount,
+                    inTransitCount: summary.inTransitCount
+                }
+            });
         }
 
-        const updatedCookie = await db.getOne('SELECT * FROM cookie_products WHERE id = $1', [id]);
-        logger.info('Cookie updated', { id });
-        res.json(updatedCookie);
+        res.json({
+            denominations: Object.keys(CASH_DENOMINATIONS),
+            canHandleCash,
+            canViewCash: true,
+            recipients: await getCashRecipients(troopId),
+            counts,
+            envelopes,
+            summary
+        });
     } catch (error) {
-        logger.error('Error updating cookie', { error: error.message });
-        res.status(500).json({ error: 'Failed to update cookie' });
+        logger.error('Error fetching booth cash', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth cash' });
     }
 });
 
-// Delete cookie (soft delete)
-app.delete('/api/cookies/:id', auth.isAuthenticated, auth.hasRole('troop_leader', 'admin'), async (req, res) => {
+// Record the drawer count at booth start or end. A start count also becomes the booth's starting bank.
+app.put('/api/troop/:troopId/booths/:boothId/cash-counts/:countType', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { id } = req.params;
+        const { troopId, boothId, countType } = req.params;
+        const { denominations, notes } = req.body;
+        if (!['start', 'end'].includes(countType)) return res.status(400).json({ error: 'countType must be start or end' });
 
-        const result = await db.run('UPDATE cookie_products SET "isActive" = false, "updatedAt" = NOW() WHERE id = $1', [id]);
-
-        if (result.rowCount === 0) {
-            return res.status(404).json({ error: 'Cookie not found' });
+        const booth = await db.getOne('SELECT * FROM booth_events WHERE id = $1 AND "troopId" = $2', [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+        if (booth.status === 'completed') return boothClosedResponse(res);
+        if (!(await canHandleBoothCash(req, troopId, boothId))) {
+            return res.status(403).json({ error: 'Only adults working this booth or leaders can count its cash' });
         }
 
-        logger.info('Cookie deactivated', { id });
-        res.json({ success: true });
-    } catch (error) {
-        logger.error('Error deactivating cookie', { error: error.message });
-        res.status(500).json({ error: 'Failed to deactivate cookie' });
-    }
-});
+        const { counts, total } = parseCashCount(denominations);
+        const count = await db.transaction(async (client) => {
+            const saved = (await client.query(`
+                INSERT INTO booth_cash_counts ("boothEventId", "countType", denominations, total, notes, "countedBy")
+                VALUES ($1, $2, $3, $4, $5, $6)
+                ON CONFLICT ("boothEventId", "countType") DO UPDATE SET
+                    denominations = EXCLUDED.denominations, total = EXCLUDED.total, notes = EXCLUDED.notes,
+                    "countedBy" = EXCLUDED."countedBy", "countedAt" = NOW()
+                RETURNING *
+            `, [boothId, countType, JSON.stringify(counts), total, notes || null, req.session.userId])).rows[0];
+            if (countType === 'start') {
+                await client.query('UPDATE booth_events SET "startingBank" = $1, "updatedAt" = NOW() WHERE id = $2', [total, boothId]);
+            }
+            return saved;
+        });
 
-// ============================================================================
-// Baker & Troop Product Routes
-// ============================================================================
+        await auth.logAuditEvent(db, req.session.userId, 'booth_cash_counted', req, {
+            resourceType: 'booth_event',
+            resourceId: boothId,
+            troopId,
+            countType,
+            total
+        });
 
-// Get all bakers
-app.get('/api/bakers', auth.isAuthenticated, async (req, res) => {
-    try {
-        const bakers = await db.getAll(`
-            SELECT b.*,
-                   (SELECT COUNT(*) FROM cookie_products WHERE "bakerId" = b.id AND "isActive" = true) as "productCount"
-            FROM bakers b
-            WHERE b."isActive" = true
-            ORDER BY b."bakerName"
-        `);
-        res.json(bakers);
+        res.json(count);
     } catch (error) {
-        logger.error('Error fetching bakers', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch bakers' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error recording cash count', { error: error.message });
+        res.status(500).json({ error: 'Failed to record cash count' });
     }
 });
 
-// Get products available for a troop (based on troop's organization + active season)
-app.get('/api/troop/:troopId/products', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
+// Seal the booth's takings in an envelope; the person sealing it holds it until they hand it off
+app.post('/api/troop/:troopId/booths/:boothId/cash-envelopes', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const { baker, includeInactive } = req.query;
-
-        // Get the troop's organization
-        const troop = await db.getOne(`
-            SELECT t.id, t."organizationId", so."orgCode", so."orgName"
-            FROM troops t
-            LEFT JOIN scout_organizations so ON t."organizationId" = so.id
-            WHERE t.id = $1
-        `, [troopId]);
-        if (!troop) return res.status(404).json({ error: 'Troop not found' });
-
-        // Get active season
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
-
-        // Build product query
-        let query = `
-            SELECT cp.*, b."bakerName", b."bakerCode",
-                   COALESCE(
-                       json_agg(
-                           json_build_object('id', ca.id, 'type', ca."attributeType", 'value', ca."attributeValue", 'label', ca."displayLabel")
-                       ) FILTER (WHERE ca.id IS NOT NULL),
-                       '[]'::json
-                   ) as "attributesJson"
-            FROM cookie_products cp
-            LEFT JOIN cookie_attributes ca ON cp.id = ca."productId"
-            LEFT JOIN bakers b ON cp."bakerId" = b.id
-            WHERE cp.season = $1
-        `;
-        const params = [targetSeason];
-        let paramIdx = 2;
+        const { troopId, boothId } = req.params;
+        const { envelopeNumber, cashAmount = 0, checkAmount = 0, checkCount = 0, notes } = req.body;
+        const userId = req.session.userId;
 
-        // Filter by organization if troop has one
-        if (troop.organizationId) {
-            query += ` AND cp."organizationId" = $${paramIdx}`;
-            params.push(troop.organizationId);
-            paramIdx++;
+        const booth = await db.getOne('SELECT id, status FROM booth_events WHERE id = $1 AND "troopId" = $2', [boothId, troopId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+        if (!(await canHandleBoothCash(req, troopId, boothId))) {
+            return res.status(403).json({ error: 'Only adults working this booth or leaders can seal its cash' });
         }
-
-        // Optional baker filter
-        if (baker) {
-            query += ` AND b."bakerCode" = $${paramIdx}`;
-            params.push(baker);
-            paramIdx++;
+        const cash = Number(cashAmount);
+        const checks = Number(checkAmount);
+        if (!Number.isFinite(cash) || !Number.isFinite(checks) || cash < 0 || checks < 0 || cash + checks <= 0) {
+            return res.status(400).json({ error: 'Enter the cash and check amounts in the envelope' });
         }
-
-        if (!includeInactive) {
-            query += ' AND cp."isActive" = true';
+        if (!Number.isInteger(Number(checkCount)) || Number(checkCount) < 0) {
+            return res.status(400).json({ error: 'checkCount must be a whole number' });
         }
 
-        query += ' GROUP BY cp.id, b."bakerName", b."bakerCode" ORDER BY cp."sortOrder", cp."cookieName"';
-
-        const products = await db.getAll(query, params);
-
-        // Parse attributes
-        const result = products.map(p => {
-            let attributes = [];
-            try {
-                const parsed = typeof p.attributesJson === 'string' ? JSON.parse(p.attributesJson) : p.attributesJson;
-                attributes = Array.isArray(parsed) ? parsed.filter(a => a.id !== null) : [];
-            } catch (e) { attributes = []; }
-            delete p.attributesJson;
-            return { ...p, attributes };
+        const envelope = await db.transaction(async (client) => {
+            const created = (await client.query(`
+                INSERT INTO booth_cash_envelopes ("troopId", "boothEventId", "envelopeNumber", "cashAmount", "checkAmount",
+                    "checkCount", notes, "holderId", "sealedBy")
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+                RETURNING *
+            `, [troopId, boothId, envelopeNumber || null, cash, checks, Number(checkCount), notes || null, userId])).rows[0];
+            await client.query(`
+                INSERT INTO booth_cash_custody ("envelopeId", action, "toUserId", "countedCash", "countedChecks", "recordedBy")
+                VALUES ($1, 'sealed', $2, $3, $4, $2)
+            `, [created.id, userId, cash, checks]);
+            return created;
         });
 
-        res.json({
-            troop: { id: troop.id, orgCode: troop.orgCode, orgName: troop.orgName },
-            season: targetSeason,
-            products: result
+        await auth.logAuditEvent(db, userId, 'cash_envelope_sealed', req, {
+            resourceType: 'cash_envelope',
+            resourceId: envelope.id,
+            troopId,
+            boothEventId: boothId,
+            cashAmount: cash,
+            checkAmount: checks
         });
+
+        res.status(201).json(envelope);
     } catch (error) {
-        logger.error('Error fetching troop products', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troop products' });
+        logger.error('Error sealing cash envelope', { error: error.message });
+        res.status(500).json({ error: 'Failed to seal cash envelope' });
     }
 });
 
-// ============================================================================
-// Phase B: Cookie Dashboard Endpoints
-// ============================================================================
-
-// Cookie Dashboard - aggregated data for a troop member
-app.get('/api/troop/:troopId/cookie-dashboard', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
+// Hand an envelope to another adult. It stays with the current holder until the recipient confirms receipt.
+app.post('/api/troop/:troopId/cash-envelopes/:envelopeId/handoff', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { troopId } = req.params;
+        const { troopId, envelopeId } = req.params;
+        const { toUserId, notes } = req.body;
         const userId = req.session.userId;
+        if (!toUserId) return res.status(400).json({ error: 'toUserId is required' });
+
+        const recipient = (await getCashRecipients(troopId)).find(r => r.id === toUserId);
+        if (!recipient) return res.status(400).json({ error: 'Envelopes can only be handed to adult members of the troop' });
+        const canOverride = await auth.hasPrivilege(req, troopId, 'manage_financials');
+
+        const envelope = await db.transaction(async (client) => {
+            const current = await getCashEnvelope(client, troopId, envelopeId);
+            if (!current) throw Object.assign(new Error('Envelope not found'), { status: 404 });
+            if (current.status !== 'held') {
+                throw Object.assign(new Error(current.status === 'deposited'
+                    ? 'This envelope has been deposited'
+                    : 'This envelope is already waiting to be received'), { status: 409 });
+            }
+            // Handing off your own envelope is a signed-in act; tokens need manage_financials
+            if ((current.holderId !== userId || req.apiToken) && !canOverride) {
+                throw Object.assign(new Error('Only the person holding this envelope can hand it off'), { status: 403 });
+            }
+            if (current.holderId === toUserId) throw Object.assign(new Error('That person already holds this envelope'), { status: 400 });
 
-        // My sales summary
-        const mySales = await db.getOne(`
-            SELECT COALESCE(SUM(quantity), 0) as "totalBoxes",
-                   COALESCE(SUM("amountCollected"), 0) as "totalCollected",
-                   COALESCE(SUM("amountDue"), 0) as "totalDue",
-                   COUNT(*) as "saleCount"
-            FROM sales WHERE "userId" = $1
-        `, [userId]);
-
-        // My sales by product
-        const myProductBreakdown = await db.getAll(`
-            SELECT COALESCE(cp."cookieName", s."cookieType") as "cookieName",
-                   cp."shortName", cp."pricePerBox", s."productId",
-                   SUM(s.quantity) as "totalQuantity",
-                   SUM(s."amountCollected") as "totalCollected"
-            FROM sales s
-            LEFT JOIN cookie_products cp ON s."productId" = cp.id
-            WHERE s."userId" = $1
-            GROUP BY COALESCE(cp."cookieName", s."cookieType"), cp."shortName", cp."pricePerBox", s."productId"
-            ORDER BY "totalQuantity" DESC
-        `, [userId]);
-
-        // My recent sales (last 10)
-        const recentSales = await db.getAll(`
-            SELECT s.*, cp."cookieName" as "productName", cp."shortName" as "productShortName", cp."pricePerBox" as "productPrice"
-            FROM sales s
-            LEFT JOIN cookie_products cp ON s."productId" = cp.id
-            WHERE s."userId" = $1
-            ORDER BY s.date DESC
-            LIMIT 10
-        `, [userId]);
-
-        // My inventory
-        const myInventory = await db.getAll(`
-            SELECT si."productId", si.quantity, cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
-            FROM scout_inventory si
-            JOIN cookie_products cp ON si."productId" = cp.id
-            WHERE si."userId" = $1
-            ORDER BY cp."sortOrder"
-        `, [userId]);
-
-        // My goal progress
-        const profile = await db.getOne('SELECT "goalBoxes", "goalAmount" FROM profile WHERE "userId" = $1', [userId]);
+            await client.query(`
+                INSERT INTO booth_cash_custody ("envelopeId", action, "fromUserId", "toUserId", notes, "recordedBy")
+                VALUES ($1, 'handed_off', $2, $3, $4, $5)
+            `, [envelopeId, current.holderId, toUserId, notes || null, userId]);
+            return {
+                ...(await client.query(
+                    'UPDATE booth_cash_envelopes SET status = \'in_transit\', "pendingHolderId" = $1 WHERE id = $2 RETURNING *',
+                    [toUserId, envelopeId]
+                )).rows[0],
+                eventName: current.eventName
+            };
+        });
 
-        // Troop-level data (only if user has view_troop_sales privilege)
-        let troopData = null;
-        try {
-            const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 's."userId"', req, 1);
-            const troopTotals = await db.getOne(`
-                SELECT COALESCE(SUM(s.quantity), 0) as "totalBoxes",
-                       COALESCE(SUM(s."amountCollected"), 0) as "totalCollected",
-                       COUNT(DISTINCT s."userId") as "activeSellers"
-                FROM sales s
-                JOIN troop_members tm ON s."userId" = tm."userId"
-                WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}
-            `, [troopId, ...scopeFilter.params]);
+        const total = (toCents(envelope.cashAmount) + toCents(envelope.checkAmount)) / 100;
+        await auth.createNotification(db, toUserId, 'info', 'Cash envelope handed to you',
+            `An envelope of $${total.toFixed(2)} from ${envelope.eventName} was handed to you. Count it and confirm receipt.`,
+            '/#cookies');
+        await auth.logAuditEvent(db, userId, 'cash_envelope_handed_off', req, {
+            resourceType: 'cash_envelope',
+            resourceId: envelopeId,
+            troopId,
+            toUserId
+        });
 
-            const troopGoal = await db.getOne(`
-                SELECT * FROM troop_goals
-                WHERE "troopId" = $1 AND "goalType" = 'boxes_sold' AND status = 'in_progress'
-                ORDER BY "endDate" DESC LIMIT 1
-            `, [troopId]);
+        res.json(envelope);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error handing off cash envelope', { error: error.message });
+        res.status(500).json({ error: 'Failed to hand off cash envelope' });
+    }
+});
 
-            troopData = { totals: troopTotals, goal: troopGoal };
-        } catch (e) { /* user may not have troop sales privilege */ }
+// The recipient counts the envelope and takes custody of it
+app.post('/api/troop/:troopId/cash-envelopes/:envelopeId/receive', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+    try {
+        const { troopId, envelopeId } = req.params;
+        const { countedCash, countedChecks = 0, notes } = req.body;
+        const userId = req.session.userId;
+        const cash = Number(countedCash);
+        const checks = Number(countedChecks);
+        if (countedCash === undefined || !Number.isFinite(cash) || !Number.isFinite(checks) || cash < 0 || checks < 0) {
+            return res.status(400).json({ error: 'Enter the cash and check amounts you counted' });
+        }
+        if (req.apiToken && !(await auth.hasPrivilege(req, troopId, 'manage_financials'))) {
+            return res.status(403).json({ error: 'API tokens need manage_financials to receive booth cash' });
+        }
 
-        // Troop org info (for dynamic tab naming)
-        const troop = await db.getOne(`
-            SELECT t.id, so."orgCode", so."orgName"
-            FROM troops t
-            LEFT JOIN scout_organizations so ON t."organizationId" = so.id
-            WHERE t.id = $1
-        `, [troopId]);
+        const result = await db.transaction(async (client) => {
+            const current = await getCashEnvelope(client, troopId, envelopeId);
+            if (!current) throw Object.assign(new Error('Envelope not found'), { status: 404 });
+            if (current.status !== 'in_transit' || current.pendingHolderId !== userId) {
+                throw Object.assign(new Error('This envelope is not waiting for you to receive it'), { status: 409 });
+            }
 
-        res.json({
-            orgCode: troop?.orgCode || null,
-            orgName: troop?.orgName || null,
-            mySales,
-            myProductBreakdown,
-            recentSales,
-            myInventory,
-            myGoal: { goalBoxes: profile?.goalBoxes || 0, goalAmount: profile?.goalAmount || 0 },
-            troopData
+            await client.query(`
+                INSERT INTO booth_cash_custody ("envelopeId", action, "fromUserId", "toUserId", "countedCash", "countedChecks", notes, "recordedBy")
+                VALUES ($1, 'received', $2, $3, $4, $5, $6, $3)
+            `, [envelopeId, current.holderId, userId, cash, checks, notes || null]);
+            const envelope = (await client.query(`
+                UPDATE booth_cash_envelopes SET status = 'held', "holderId" = $1, "pendingHolderId" = NULL
+                WHERE id = $2 RETURNING *
+            `, [userId, envelopeId])).rows[0];
+            return { envelope, previousHolderId: current.holderId };
+        });
+
+        const discrepancy = (toCents(cash) + toCents(checks) - toCents(result.envelope.cashAmount) - toCents(result.envelope.checkAmount)) / 100;
+        if (discrepancy !== 0 && result.previousHolderId) {
+            await auth.createNotification(db, result.previousHolderId, 'warning', 'Cash envelope count differs',
+                `The envelope you handed off was counted at $${(cash + checks).toFixed(2)}, ${discrepancy > 0 ? 'over' : 'under'} the sealed amount by $${Math.abs(discrepancy).toFixed(2)}.`,
+                '/#cookies');
+        }
+        await auth.logAuditEvent(db, userId, 'cash_envelope_received', req, {
+            resourceType: 'cash_envelope',
+            resourceId: envelopeId,
+            troopId,
+            fromUserId: result.previousHolderId,
+            discrepancy
         });
+
+        res.json({ ...result.envelope, discrepancy });
     } catch (error) {
-        logger.error('Error fetching cookie dashboard', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch cookie dashboard' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error receiving cash envelope', { error: error.message });
+        res.status(500).json({ error: 'Failed to receive cash envelope' });
     }
 });
 
-// Troop aggregate inventory (sum of all scout inventories)
-app.get('/api/troop/:troopId/inventory', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+// Envelopes the caller is holding or has been asked to receive
+app.get('/api/troop/:troopId/my-cash-envelopes', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const inventory = await db.getAll(`
-            SELECT si."productId", SUM(si.quantity) as "totalQuantity",
-                   COUNT(DISTINCT si."userId") as "scoutCount",
-                   cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
-            FROM scout_inventory si
-            JOIN troop_members tm ON si."userId" = tm."userId"
-            JOIN cookie_products cp ON si."productId" = cp.id
-            WHERE tm."troopId" = $1 AND tm.status = 'active'
-            GROUP BY si."productId", cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
-            ORDER BY cp."sortOrder"
-        `, [troopId]);
-        res.json(inventory);
+        const userId = req.session.userId;
+        const boothIds = (await db.getAll(`
+            SELECT DISTINCT "boothEventId" FROM booth_cash_envelopes
+            WHERE "troopId" = $1 AND status <> 'deposited' AND ("holderId" = $2 OR "pendingHolderId" = $2)
+        `, [troopId, userId])).map(r => r.boothEventId);
+        const envelopes = (await getCashEnvelopes(boothIds))
+            .filter(e => e.status !== 'deposited' && (e.holderId === userId || e.pendingHolderId === userId));
+        const booths = boothIds.length
+            ? await db.getAll('SELECT id, "eventName" FROM booth_events WHERE id = ANY($1::uuid[])', [boothIds])
+            : [];
+
+        res.json({
+            recipients: envelopes.length ? await getCashRecipients(troopId) : [],
+            envelopes: envelopes.map(e => ({ ...e, eventName: booths.find(b => b.id === e.boothEventId).eventName }))
+        });
     } catch (error) {
-        logger.error('Error fetching troop inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch troop inventory' });
+        logger.error('Error fetching cash envelopes', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch cash envelopes' });
     }
 });
 
-// Get troop shared inventory (stock held by the troop, not individual scouts)
-app.get('/api/troop/:troopId/shared-inventory', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+// Every booth that took payments, with where its cash is now, plus envelopes ready to deposit
+app.get('/api/troop/:troopId/booth-cash', auth.isAuthenticated, auth.requirePrivilege('view_financials'), resolveSeasonParam, async (req, res) => {
     try {
         const { troopId } = req.params;
-        const inventory = await db.getAll(`
-            SELECT ib.*, cp."cookieName", cp."shortName", cp."pricePerBox"
-            FROM inventory_balances ib
-            JOIN cookie_products cp ON ib."productId" = cp.id
-            WHERE ib."troopId" = $1 AND ib."inventoryType" = 'troop' AND ib."userId" IS NULL
-            ORDER BY cp."sortOrder"
-        `, [troopId]);
-        res.json(inventory);
+
+        // Booths have no season column; a season covers the booths held between its dates
+        const params = [troopId];
+        let seasonClause = '';
+        if (req.season) {
+            params.push(req.season);
+            seasonClause = `AND EXISTS (SELECT 1 FROM seasons se WHERE se.year = $2
+                AND be."startDateTime"::date BETWEEN se."startDate" AND se."endDate")`;
+        }
+        const booths = await db.getAll(`
+            SELECT be.*, COALESCE(p."totalCash", 0) AS "recordedCash"
+            FROM booth_events be
+            LEFT JOIN (
+                SELECT "boothEventId", SUM(amount) AS "totalCash"
+                FROM booth_payments WHERE "paymentType" = 'cash' GROUP BY "boothEventId"
+            ) p ON p."boothEventId" = be.id
+            WHERE be."troopId" = $1 ${seasonClause}
+              AND (be.status IN ('in_progress', 'reconciling', 'completed')
+                   OR EXISTS (SELECT 1 FROM booth_cash_envelopes e WHERE e."boothEventId" = be.id))
+            ORDER BY be."startDateTime" DESC
+        `, params);
+
+        const boothIds = booths.map(b => b.id);
+        const envelopes = await getCashEnvelopes(boothIds);
+        const counts = boothIds.length ? await db.getAll(
+            'SELECT * FROM booth_cash_counts WHERE "boothEventId" = ANY($1::uuid[])',
+            [boothIds]
+        ) : [];
+
+        res.json({
+            season: req.season,
+            booths: booths.map(booth => {
+                const boothEnvelopes = envelopes.filter(e => e.boothEventId === booth.id);
+                const boothCounts = {
+                    start: counts.find(c => c.boothEventId === booth.id && c.countType === 'start'),
+                    end: counts.find(c => c.boothEventId === booth.id && c.countType === 'end')
+                };
+                return {
+                    id: booth.id,
+                    eventName: booth.eventName,
+                    startDateTime: booth.startDateTime,
+                    status: booth.status,
+                    ...summarizeBoothCash(booth, boothEnvelopes, boothCounts, parseFloat(booth.recordedCash))
+                };
+            }),
+            readyToDeposit: envelopes.filter(e => e.status === 'held').map(({ custody, ...e }) => ({
+                ...e,
+                eventName: booths.find(b => b.id === e.boothEventId).eventName
+            }))
+        });
     } catch (error) {
-        logger.error('Error fetching shared inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch shared inventory' });
+        logger.error('Error fetching booth cash status', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch booth cash status' });
     }
 });
 
-// --- Fulfillment Orders ---
-
-// List fulfillment orders for a troop
-app.get('/api/troop/:troopId/fulfillment', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+app.get('/api/troop/:troopId/cash-deposits', auth.isAuthenticated, auth.requirePrivilege('view_financials'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const orders = await db.getAll(`
-            SELECT fo.*, u."firstName" || ' ' || u."lastName" as "orderedByName"
-            FROM fulfillment_orders fo
-            JOIN users u ON fo."orderedBy" = u.id
-            WHERE fo."troopId" = $1
-            ORDER BY fo."orderDate" DESC
+        const deposits = await db.getAll(`
+            SELECT d.*, u."firstName" || ' ' || u."lastName" AS "depositedByName"
+            FROM cash_deposits d LEFT JOIN users u ON u.id = d."depositedBy"
+            WHERE d."troopId" = $1
+            ORDER BY d."depositDate" DESC, d."createdAt" DESC
         `, [troopId]);
-        res.json(orders);
+        const envelopes = deposits.length ? await db.getAll(`
+            SELECT e.id, e."depositId", e."envelopeNumber", e."cashAmount", e."checkAmount", e."boothEventId", be."eventName"
+            FROM booth_cash_envelopes e JOIN booth_events be ON be.id = e."boothEventId"
+            WHERE e."depositId" = ANY($1::uuid[])
+            ORDER BY be."startDateTime"
+        `, [deposits.map(d => d.id)]) : [];
+
+        res.json(deposits.map(d => ({ ...d, envelopes: envelopes.filter(e => e.depositId === d.id) })));
     } catch (error) {
-        logger.error('Error fetching fulfillment orders', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch fulfillment orders' });
+        logger.error('Error fetching cash deposits', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch cash deposits' });
     }
 });
 
-// Create new fulfillment order
-app.post('/api/troop/:troopId/fulfillment', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
-    const client = await pool.connect();
+// Group held envelopes from one or more booths into a bank deposit
+app.post('/api/troop/:troopId/cash-deposits', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const { items, notes, deliveryDate } = req.body;
-
-        if (!items || !items.length) {
-            return res.status(400).json({ error: 'Order must contain at least one item' });
+        const { envelopeIds, depositDate, slipReference, bankName, notes } = req.body;
+        const userId = req.session.userId;
+        if (!Array.isArray(envelopeIds) || envelopeIds.length === 0) {
+            return res.status(400).json({ error: 'Choose at least one envelope to deposit' });
+        }
+        if (!depositDate || !slipReference || !String(slipReference).trim()) {
+            return res.status(400).json({ error: 'depositDate and slipReference are required' });
         }
 
-        await client.query('BEGIN');
-
-        const orderId = crypto.randomUUID();
-        let totalBoxes = 0;
-        let totalAmount = 0;
+        const deposit = await db.transaction(async (client) => {
+            const envelopes = (await client.query(`
+                SELECT * FROM booth_cash_envelopes
+                WHERE id = ANY($1::uuid[]) AND "troopId" = $2
+                FOR UPDATE
+            `, [envelopeIds, troopId])).rows;
+            if (envelopes.length !== new Set(envelopeIds).size) {
+                throw Object.assign(new Error('One or more envelopes were not found'), { status: 404 });
+            }
+            const unavailable = envelopes.filter(e => e.status !== 'held');
+            if (unavailable.length > 0) {
+                throw Object.assign(new Error('Envelopes that are deposited or waiting to be received cannot be deposited'), { status: 409 });
+            }
 
-        // Create order record first
-        await client.query(`
-            INSERT INTO fulfillment_orders (id, "troopId", "orderedBy", notes, "deliveryDate")
-            VALUES ($1, $2, $3, $4, $5)
-        `, [orderId, troopId, req.session.userId, notes, deliveryDate]);
+            const cashAmount = envelopes.reduce((sum, e) => sum + toCents(e.cashAmount), 0) / 100;
+            const checkAmount = envelopes.reduce((sum, e) => sum + toCents(e.checkAmount), 0) / 100;
+            const created = (await client.query(`
+                INSERT INTO cash_deposits ("troopId", "depositDate", "slipReference", "bankName", "cashAmount", "checkAmount", notes, "depositedBy")
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [troopId, depositDate, String(slipReference).trim(), bankName || null, cashAmount, checkAmount, notes || null, userId])).rows[0];
 
-        // Add items
-        for (const item of items) {
-            const product = await db.getOne('SELECT "pricePerBox" FROM cookie_products WHERE id = $1', [item.productId]);
-            if (!product) throw new Error(`Product not found: ${item.productId}`);
+            for (const envelope of envelopes) {
+                await client.query(`
+                    INSERT INTO booth_cash_custody ("envelopeId", action, "fromUserId", "depositId", "recordedBy")
+                    VALUES ($1, 'deposited', $2, $3, $4)
+                `, [envelope.id, envelope.holderId, created.id, userId]);
+            }
+            await client.query(
+                'UPDATE booth_cash_envelopes SET status = \'deposited\', "depositId" = $1 WHERE id = ANY($2::uuid[])',
+                [created.id, envelopeIds]
+            );
+            return created;
+        });
 
-            const unitPrice = product.pricePerBox;
-            const itemTotal = unitPrice * item.quantity;
+        await auth.logAuditEvent(db, userId, 'cash_deposit_created', req, {
+            resourceType: 'cash_deposit',
+            resourceId: deposit.id,
+            troopId,
+            slipReference: deposit.slipReference,
+            envelopeIds
+        });
 
-            await client.query(`
-                INSERT INTO fulfillment_order_items ("orderId", "productId", quantity, "unitPrice")
-                VALUES ($1, $2, $3, $4)
-            `, [orderId, item.productId, item.quantity, unitPrice]);
+        res.status(201).json(deposit);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error creating cash deposit', { error: error.message });
+        res.status(500).json({ error: 'Failed to create cash deposit' });
+    }
+});
 
-            totalBoxes += item.quantity;
-            totalAmount += itemTotal;
-        }
+// Undo a deposit entered by mistake; its envelopes go back to their holders
+app.delete('/api/troop/:troopId/cash-deposits/:depositId', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
+    try {
+        const { troopId, depositId } = req.params;
+        const userId = req.session.userId;
 
-        // Update order totals
-        await client.query(`
-            UPDATE fulfillment_orders 
-            SET "totalBoxes" = $1, "totalAmount" = $2
-            WHERE id = $3
-        `, [totalBoxes, totalAmount, orderId]);
+        const deposit = await db.transaction(async (client) => {
+            const existing = (await client.query(
+                'SELECT * FROM cash_deposits WHERE id = $1 AND "troopId" = $2 FOR UPDATE',
+                [depositId, troopId]
+            )).rows[0];
+            if (!existing) throw Object.assign(new Error('Deposit not found'), { status: 404 });
+
+            const envelopes = (await client.query(
+                'SELECT id, "holderId" FROM booth_cash_envelopes WHERE "depositId" = $1 FOR UPDATE',
+                [depositId]
+            )).rows;
+            for (const envelope of envelopes) {
+                await client.query(`
+                    INSERT INTO booth_cash_custody ("envelopeId", action, "toUserId", notes, "recordedBy")
+                    VALUES ($1, 'deposit_voided', $2, $3, $4)
+                `, [envelope.id, envelope.holderId, `Deposit ${existing.slipReference} voided`, userId]);
+            }
+            await client.query(
+                'UPDATE booth_cash_envelopes SET status = \'held\', "depositId" = NULL WHERE "depositId" = $1',
+                [depositId]
+            );
+            await client.query('DELETE FROM cash_deposits WHERE id = $1', [depositId]);
+            return existing;
+        });
 
-        await auth.logAuditEvent(db, req.session.userId, 'create_fulfillment_order', req, {
-            resourceType: 'fulfillment_order',
-            resourceId: orderId,
-            details: { troopId, totalBoxes, totalAmount }
+        await auth.logAuditEvent(db, userId, 'cash_deposit_voided', req, {
+            resourceType: 'cash_deposit',
+            resourceId: depositId,
+            troopId,
+            slipReference: deposit.slipReference
         });
 
-        await client.query('COMMIT');
-        res.status(201).json({ success: true, orderId });
+        res.json({ message: 'Deposit voided' });
     } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error creating fulfillment order', { error: error.message });
-        res.status(500).json({ error: 'Failed to create fulfillment order' });
-    } finally {
-        client.release();
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error voiding cash deposit', { error: error.message });
+        res.status(500).json({ error: 'Failed to void cash deposit' });
     }
 });
 
-// Update order status
-app.put('/api/troop/:troopId/fulfillment/:orderId', auth.isAuthenticated, auth.requirePrivilege('manage_fundraisers'), async (req, res) => {
+// Booth reconciliation summary
+app.get('/api/troop/:troopId/booths/:boothId/reconcile', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
-        const { orderId } = req.params;
-        const { status, deliveryDate, notes } = req.body;
+        const { boothId } = req.params;
 
-        const updates = [];
-        const values = [];
-        let paramCount = 1;
+        // Get booth info
+        const booth = await db.getOne('SELECT * FROM booth_events WHERE id = $1', [boothId]);
+        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
 
-        if (status) {
-            updates.push(`status = $${paramCount++}`);
-            values.push(status);
-        }
-        if (deliveryDate !== undefined) {
-            updates.push(`"deliveryDate" = $${paramCount++}`);
-            values.push(deliveryDate);
-        }
-        if (notes !== undefined) {
-            updates.push(`notes = $${paramCount++}`);
-            values.push(notes);
-        }
+        // Get inventory totals
+        const inventoryTotals = await db.getOne(`
+            SELECT COALESCE(SUM("startingQty"), 0) as "totalStarting",
+                   COALESCE(SUM("endingQty"), 0) as "totalEnding",
+                   COALESCE(SUM("soldQty"), 0) as "totalSold",
+                   COALESCE(SUM("damagedQty"), 0) as "totalDamaged"
+            FROM booth_inventory WHERE "boothEventId" = $1
+        `, [boothId]);
 
-        if (updates.length === 0) return res.status(400).json({ error: 'No fields to update' });
+        // Get detailed inventory per product
+        const inventoryDetail = await db.getAll(`
+            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox"
+            FROM booth_inventory bi
+            JOIN cookie_products cp ON bi."productId" = cp.id
+            WHERE bi."boothEventId" = $1
+            ORDER BY cp."sortOrder"
+        `, [boothId]);
 
-        values.push(orderId);
-        await db.run(`
-            UPDATE fulfillment_orders 
-            SET ${updates.join(', ')}, "updatedAt" = CURRENT_TIMESTAMP
-            WHERE id = $${paramCount}
-        `, values);
-
-        // If order marked delivered, update troop inventory
-        if (status === 'delivered') {
-            const order = await db.getOne('SELECT "troopId" FROM fulfillment_orders WHERE id = $1', [orderId]);
-            const items = await db.getAll('SELECT "productId", quantity FROM fulfillment_order_items WHERE "orderId" = $1', [orderId]);
-            
-            for (const item of items) {
-                // For 'troop' type, userId is NULL
-                await db.run(`
-                    INSERT INTO inventory_balances ("troopId", "productId", "inventoryType", "userId", quantity)
-                    VALUES ($1, $2, 'troop', NULL, $3)
-                    ON CONFLICT ("troopId", "productId", "inventoryType") WHERE "userId" IS NULL
-                    DO UPDATE SET quantity = inventory_balances.quantity + EXCLUDED.quantity, "lastUpdated" = CURRENT_TIMESTAMP
-                `, [order.troopId, item.productId, item.quantity]);
-            }
+        // Calculate expected revenue from inventory
+        let expectedRevenue = 0;
+        for (const item of inventoryDetail) {
+            expectedRevenue += (item.soldQty || 0) * parseFloat(item.pricePerBox || 0);
         }
 
-        await auth.logAuditEvent(db, req.session.userId, 'update_fulfillment_order', req, {
-            resourceType: 'fulfillment_order',
-            resourceId: orderId,
-            details: { status }
+        // Get payment totals
+        const paymentTotals = await db.getOne(`
+            SELECT COALESCE(SUM(amount), 0) as "totalCollected",
+                   COALESCE(SUM(CASE WHEN "paymentType" = 'cash' THEN amount ELSE 0 END), 0) as "totalCash",
+                   COALESCE(SUM(CASE WHEN "paymentType" = 'check' THEN amount ELSE 0 END), 0) as "totalChecks",
+                   COALESCE(SUM(CASE WHEN "paymentType" NOT IN ('cash', 'check') THEN amount ELSE 0 END), 0) as "totalDigital"
+            FROM booth_payments WHERE "boothEventId" = $1
+        `, [boothId]);
+
+        const actualRevenue = parseFloat(paymentTotals.totalCollected) - parseFloat(booth.startingBank || 0);
+        const variance = actualRevenue - expectedRevenue;
+
+        // Drawer counts and whether the cash made it to the bank
+        const cashCounts = await getBoothCashCounts(boothId);
+        const envelopes = await getCashEnvelopes([boothId]);
+
+        res.json({
+            booth: { id: booth.id, eventName: booth.eventName, status: booth.status, startingBank: booth.startingBank },
+            inventory: {
+                ...inventoryTotals,
+                detail: inventoryDetail,
+                expectedRevenue
+            },
+            payments: {
+                ...paymentTotals,
+                startingBank: booth.startingBank,
+                actualRevenue
+            },
+            cash: {
+                ...summarizeBoothCash(booth, envelopes, cashCounts, parseFloat(paymentTotals.totalCash)),
+                envelopes
+            },
+            reconciliation: {
+                expectedRevenue,
+                actualRevenue,
+                variance,
+                status: Math.abs(variance) < 0.01 ? 'balanced' : variance > 0 ? 'overage' : 'shortage'
+            }
         });
-
-        res.json({ success: true });
     } catch (error) {
-        logger.error('Error updating fulfillment order', { error: error.message });
-        res.status(500).json({ error: 'Failed to update fulfillment order' });
+        logger.error('Error reconciling booth', { error: error.message });
+        res.status(500).json({ error: 'Failed to reconcile booth' });
     }
 });
 
-// Get order details
-app.get('/api/troop/:troopId/fulfillment/:orderId', auth.isAuthenticated, auth.requirePrivilege('view_troop_sales'), async (req, res) => {
+// ============================================================================
+// Phase D: Troop Proceeds & Season Management
+// ============================================================================
+
+// Get troop season config
+app.get('/api/troop/:troopId/season-config', auth.isAuthenticated, auth.requirePrivilege('view_financials'), async (req, res) => {
     try {
-        const { orderId } = req.params;
-        const order = await db.getOne(`
-            SELECT fo.*, u."firstName" || ' ' || u."lastName" as "orderedByName"
-            FROM fulfillment_orders fo
-            JOIN users u ON fo."orderedBy" = u.id
-            WHERE fo.id = $1
-        `, [orderId]);
+        const { troopId } = req.params;
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        const targetSeason = season?.year || '2026';
 
-        if (!order) return res.status(404).json({ error: 'Order not found' });
+        let config = await db.getOne(
+            'SELECT * FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
+            [troopId, targetSeason]
+        );
 
-        const items = await db.getAll(`
-            SELECT foi.*, cp."cookieName", cp."shortName"
-            FROM fulfillment_order_items foi
-            JOIN cookie_products cp ON foi."productId" = cp.id
-            WHERE foi."orderId" = $1
-            ORDER BY cp."sortOrder"
-        `, [orderId]);
+        // Auto-create default config if none exists
+        if (!config) {
+            config = await db.getOne(`
+                INSERT INTO troop_season_config ("troopId", season)
+                VALUES ($1, $2) RETURNING *
+            `, [troopId, targetSeason]);
+        }
 
-        res.json({ ...order, items });
+        res.json(config);
     } catch (error) {
-        logger.error('Error fetching order details', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch order details' });
+        logger.error('Error fetching season config', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch season config' });
     }
 });
 
-// ============================================================================
-// Phase C: Booth Sales System
-// ============================================================================
-
-// --- Booth Events CRUD ---
-
-// List booth events for a troop
-app.get('/api/troop/:troopId/booths', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+// Update troop season config
+app.put('/api/troop/:troopId/season-config', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const { status: filterStatus } = req.query;
+        const { baseProceedsRate, initialOrderBonus, fallProductBonus, optOutBonus,
+                initialOrderDate, initialOrderQty, notes, carryInventoryForward } = req.body;
 
-        let query = `
-            SELECT be.*,
-                   u."firstName" || ' ' || u."lastName" as "createdByName",
-                   (SELECT COUNT(*) FROM booth_shifts bs WHERE bs."boothEventId" = be.id) as "shiftCount",
-                   (SELECT COALESCE(SUM(bi."soldQty"), 0) FROM booth_inventory bi WHERE bi."boothEventId" = be.id) as "totalSold"
-            FROM booth_events be
-            LEFT JOIN users u ON be."createdBy" = u.id
-            WHERE be."troopId" = $1
-        `;
-        const params = [troopId];
-        if (filterStatus) {
-            query += ` AND be.status = $2`;
-            params.push(filterStatus);
-        }
-        query += ' ORDER BY be."startDateTime" DESC';
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        const targetSeason = season?.year || '2026';
 
-        const booths = await db.getAll(query, params);
-        res.json(booths);
+        // Calculate effective rate
+        let effectiveRate = parseFloat(baseProceedsRate || 0.75);
+        if (initialOrderBonus) effectiveRate += 0.10;
+        if (fallProductBonus) effectiveRate += 0.10;
+        if (optOutBonus) effectiveRate += 0.10;
+
+        const config = await db.getOne(`
+            INSERT INTO troop_season_config ("troopId", season, "baseProceedsRate", "initialOrderBonus",
+                "fallProductBonus", "optOutBonus", "effectiveProceedsRate", "initialOrderDate", "initialOrderQty", notes,
+                "carryInventoryForward")
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, false))
+            ON CONFLICT ("troopId", season) DO UPDATE SET
+                "baseProceedsRate" = EXCLUDED."baseProceedsRate",
+                "initialOrderBonus" = EXCLUDED."initialOrderBonus",
+                "fallProductBonus" = EXCLUDED."fallProductBonus",
+                "optOutBonus" = EXCLUDED."optOutBonus",
+                "effectiveProceedsRate" = EXCLUDED."effectiveProceedsRate",
+                "initialOrderDate" = EXCLUDED."initialOrderDate",
+                "initialOrderQty" = EXCLUDED."initialOrderQty",
+                notes = EXCLUDED.notes,
+                "carryInventoryForward" = COALESCE($11, troop_season_config."carryInventoryForward")
+            RETURNING *
+        `, [troopId, targetSeason, baseProceedsRate || 0.75, !!initialOrderBonus,
+            !!fallProductBonus, !!optOutBonus, effectiveRate,
+            initialOrderDate || null, initialOrderQty || null, notes,
+            carryInventoryForward === undefined ? null : !!carryInventoryForward]);
+
+        res.json(config);
     } catch (error) {
-        logger.error('Error fetching booths', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch booth events' });
+        logger.error('Error updating season config', { error: error.message });
+        res.status(500).json({ error: 'Failed to update season config' });
     }
 });
 
-// Get single booth event with full details
-app.get('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+// Calculate troop proceeds
+app.get('/api/troop/:troopId/proceeds', auth.isAuthenticated, auth.requirePrivilege('view_financials'), resolveSeasonParam, async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const booth = await db.getOne(`
-            SELECT be.*,
-                   u."firstName" || ' ' || u."lastName" as "createdByName"
-            FROM booth_events be
-            LEFT JOIN users u ON be."createdBy" = u.id
-            WHERE be.id = $1 AND be."troopId" = $2
-        `, [boothId, troopId]);
-        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+        const { troopId } = req.params;
+        // Proceeds rates are set per season, so there is no all-season total
+        if (req.query.season === 'all') {
+            return res.status(400).json({ error: 'Proceeds are calculated for one season at a time' });
+        }
+        const targetSeason = req.season || '2026';
 
-        // Include shifts, inventory, payments
-        const shifts = await db.getAll(`
-            SELECT bs.*, u."firstName" || ' ' || u."lastName" as "scoutName",
-                   p."firstName" || ' ' || p."lastName" as "parentName"
-            FROM booth_shifts bs
-            JOIN users u ON bs."scoutId" = u.id
-            LEFT JOIN users p ON bs."parentId" = p.id
-            WHERE bs."boothEventId" = $1
-            ORDER BY bs."startTime"
-        `, [boothId]);
+        // Get season config
+        const config = await db.getOne(
+            'SELECT * FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
+            [troopId, targetSeason]
+        );
+        const effectiveRate = parseFloat(config?.effectiveProceedsRate || 0.75);
 
-        const inventory = await db.getAll(`
-            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox"
-            FROM booth_inventory bi
-            JOIN cookie_products cp ON bi."productId" = cp.id
-            WHERE bi."boothEventId" = $1
-            ORDER BY cp."sortOrder"
-        `, [boothId]);
+        // Get total boxes sold by troop this season
+        const totals = await db.getOne(`
+            SELECT COALESCE(SUM(s.quantity), 0) as "totalBoxes",
+                   COALESCE(SUM(s."amountCollected"), 0) as "totalRevenue"
+            FROM sales s
+            JOIN troop_members tm ON s."userId" = tm."userId"
+            WHERE tm."troopId" = $1 AND tm.status = 'active' AND s.season = $2
+        `, [troopId, targetSeason]);
 
-        const payments = await db.getAll(`
-            SELECT bp.*, u."firstName" || ' ' || u."lastName" as "recordedByName"
-            FROM booth_payments bp
-            LEFT JOIN users u ON bp."recordedBy" = u.id
-            WHERE bp."boothEventId" = $1
-            ORDER BY bp."recordedAt"
-        `, [boothId]);
+        const totalBoxes = parseInt(totals.totalBoxes);
+        const totalProceeds = totalBoxes * effectiveRate;
 
-        res.json({ ...booth, shifts, inventory, payments });
+        res.json({
+            season: targetSeason,
+            effectiveRate,
+            totalBoxes,
+            totalRevenue: parseFloat(totals.totalRevenue),
+            totalProceeds,
+            bonuses: {
+                initialOrder: config?.initialOrderBonus || false,
+                fallProduct: config?.fallProductBonus || false,
+                optOut: config?.optOutBonus || false
+            }
+        });
     } catch (error) {
-        logger.error('Error fetching booth detail', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch booth event' });
+        logger.error('Error calculating proceeds', { error: error.message });
+        res.status(500).json({ error: 'Failed to calculate proceeds' });
     }
 });
 
-// Create booth event
-app.post('/api/troop/:troopId/booths', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// --- Season Milestones ---
+
+app.get('/api/troop/:troopId/milestones', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
     try {
         const { troopId } = req.params;
-        const { eventType, scoutId, eventName, location, locationAddress, locationNotes,
-                startDateTime, endDateTime, startingBank, notes } = req.body;
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        const targetSeason = season?.year || '2026';
 
-        if (!eventName || !startDateTime || !endDateTime) {
-            return res.status(400).json({ error: 'eventName, startDateTime, and endDateTime are required' });
-        }
-        if (eventType && !['troop', 'family', 'council'].includes(eventType)) {
-            return res.status(400).json({ error: 'Invalid event type' });
-        }
+        const milestones = await db.getAll(
+            'SELECT * FROM season_milestones WHERE "troopId" = $1 AND season = $2 ORDER BY "milestoneDate", "sortOrder"',
+            [troopId, targetSeason]
+        );
+        res.json(milestones);
+    } catch (error) {
+        logger.error('Error fetching milestones', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch milestones' });
+    }
+});
 
-        const booth = await db.getOne(`
-            INSERT INTO booth_events ("troopId", "eventType", "scoutId", "eventName", location, "locationAddress",
-                "locationNotes", "startDateTime", "endDateTime", "startingBank", notes, "createdBy")
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-            RETURNING *
-        `, [troopId, eventType || 'troop', scoutId || null, eventName, location, locationAddress,
-            locationNotes, startDateTime, endDateTime, startingBank || 0, notes, req.session.userId]);
+app.post('/api/troop/:troopId/milestones', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { milestoneName, milestoneDate, description, sortOrder } = req.body;
+        if (!milestoneName) return res.status(400).json({ error: 'milestoneName is required' });
 
-        res.status(201).json(booth);
+        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
+        const targetSeason = season?.year || '2026';
+
+        const milestone = await db.getOne(`
+            INSERT INTO season_milestones ("troopId", season, "milestoneName", "milestoneDate", description, "sortOrder")
+            VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+        `, [troopId, targetSeason, milestoneName, milestoneDate || null, description, sortOrder || 0]);
+        res.status(201).json(milestone);
     } catch (error) {
-        logger.error('Error creating booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to create booth event' });
+        logger.error('Error creating milestone', { error: error.message });
+        res.status(500).json({ error: 'Failed to create milestone' });
     }
 });
 
-// Update booth event
-app.put('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.put('/api/troop/:troopId/milestones/:milestoneId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const { eventType, eventName, location, locationAddress, locationNotes,
-                startDateTime, endDateTime, startingBank, weatherNotes, notes } = req.body;
+        const { troopId, milestoneId } = req.params;
+        const { milestoneName, milestoneDate, description, sortOrder } = req.body;
 
-        const booth = await db.getOne(`
-            UPDATE booth_events SET
-                "eventType" = COALESCE($1, "eventType"),
-                "eventName" = COALESCE($2, "eventName"),
-                location = COALESCE($3, location),
-                "locationAddress" = COALESCE($4, "locationAddress"),
-                "locationNotes" = COALESCE($5, "locationNotes"),
-                "startDateTime" = COALESCE($6, "startDateTime"),
-                "endDateTime" = COALESCE($7, "endDateTime"),
-                "startingBank" = COALESCE($8, "startingBank"),
-                "weatherNotes" = COALESCE($9, "weatherNotes"),
-                notes = COALESCE($10, notes),
-                "updatedAt" = CURRENT_TIMESTAMP
-            WHERE id = $11 AND "troopId" = $12
-            RETURNING *
-        `, [eventType, eventName, location, locationAddress, locationNotes,
-            startDateTime, endDateTime, startingBank, weatherNotes, notes, boothId, troopId]);
+        const existing = await db.getOne('SELECT season FROM season_milestones WHERE id = $1 AND "troopId" = $2', [milestoneId, troopId]);
+        if (!existing) return res.status(404).json({ error: 'Milestone not found' });
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
 
-        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
-        res.json(booth);
+        const milestone = await db.getOne(`
+            UPDATE season_milestones SET
+                "milestoneName" = COALESCE($1, "milestoneName"),
+                "milestoneDate" = COALESCE($2, "milestoneDate"),
+                description = COALESCE($3, description),
+                "sortOrder" = COALESCE($4, "sortOrder")
+            WHERE id = $5 RETURNING *
+        `, [milestoneName, milestoneDate, description, sortOrder, milestoneId]);
+        if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
+        res.json(milestone);
     } catch (error) {
-        logger.error('Error updating booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to update booth event' });
+        logger.error('Error updating milestone', { error: error.message });
+        res.status(500).json({ error: 'Failed to update milestone' });
     }
 });
 
-// Delete booth event
-app.delete('/api/troop/:troopId/booths/:boothId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.delete('/api/troop/:troopId/milestones/:milestoneId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const result = await db.run(
-            'DELETE FROM booth_events WHERE id = $1 AND "troopId" = $2',
-            [boothId, troopId]
-        );
-        if (result.rowCount === 0) return res.status(404).json({ error: 'Booth event not found' });
-        res.json({ message: 'Booth event deleted' });
+        const { troopId, milestoneId } = req.params;
+
+        const existing = await db.getOne('SELECT season FROM season_milestones WHERE id = $1 AND "troopId" = $2', [milestoneId, troopId]);
+        if (!existing) return res.status(404).json({ error: 'Milestone not found' });
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
+
+        const result = await db.run('DELETE FROM season_milestones WHERE id = $1', [milestoneId]);
+        if (result.rowCount === 0) return res.status(404).json({ error: 'Milestone not found' });
+        res.json({ message: 'Milestone deleted' });
     } catch (error) {
-        logger.error('Error deleting booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete booth event' });
+        logger.error('Error deleting milestone', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete milestone' });
     }
 });
 
-// Booth lifecycle transitions
-app.post('/api/troop/:troopId/booths/:boothId/start', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// ============================================================================
+// CUSTOMER ADDRESS BOOK
+// ============================================================================
+
+/**
+ * Load a customer for a request, checking that its address book belongs to a
+ * member of the troop within the caller's scope
+ * @param {Object} req - Express request with troopId and customerId params
+ * @param {string} [customerId] - Customer to load instead of req.params.customerId
+ * @returns {Promise<Object>} The customer; throws 403/404 errors with a status
+ */
+async function getScopedCustomer(req, customerId = req.params.customerId) {
+    const customer = await db.getOne(`
+        SELECT c.*, u."firstName" || ' ' || u."lastName" AS "ownerName"
+        FROM customers c
+        JOIN users u ON u.id = c."scoutId"
+        WHERE c.id = $1 AND EXISTS (SELECT 1 FROM troop_members tm WHERE tm."troopId" = $2 AND tm."userId" = c."scoutId")
+    `, [customerId, req.params.troopId]);
+    if (!customer) throw Object.assign(new Error('Customer not found'), { status: 404 });
+    if (!(await auth.isTargetInScope(req, customer.scoutId))) {
+        throw Object.assign(new Error('Customer is outside your access scope'), { status: 403 });
+    }
+    return customer;
+}
+
+function customerErrorResponse(res, error) {
+    return res.status(error.status).json({ error: error.message, code: error.code, customerId: error.customerId });
+}
+
+// Address books of the scouts in the caller's scope, with lifetime totals
+app.get('/api/troop/:troopId/customers', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const booth = await db.getOne(
-            'UPDATE booth_events SET status = \'in_progress\', "actualStartTime" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "troopId" = $2 AND status IN (\'planning\', \'scheduled\') RETURNING *',
-            [boothId, troopId]
-        );
-        if (!booth) return res.status(400).json({ error: 'Booth not found or cannot be started from current status' });
-        res.json(booth);
+        const { troopId } = req.params;
+        const { search, scoutId } = req.query;
+
+        const params = [troopId];
+        let filters = '';
+        if (scoutId) {
+            params.push(scoutId);
+            filters += ` AND c."scoutId" = $${params.length}`;
+        }
+        if (search && String(search).trim()) {
+            params.push(`%${String(search).trim()}%`);
+            filters += ` AND (c.name ILIKE $${params.length} OR c.phone ILIKE $${params.length}
+                OR c.email ILIKE $${params.length} OR c.address ILIKE $${params.length})`;
+        }
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'c."scoutId"', req, params.length);
+        params.push(...scopeFilter.params);
+
+        const rows = await db.getAll(`
+            SELECT c.*, u."firstName" || ' ' || u."lastName" AS "ownerName"
+            FROM customers c
+            JOIN users u ON u.id = c."scoutId"
+            WHERE c."scoutId" IN (SELECT "userId" FROM troop_members WHERE "troopId" = $1)${filters}${scopeFilter.clause}
+            ORDER BY lower(c.name)
+            LIMIT 1000
+        `, params);
+        const totals = await customers.getPurchaseTotals(db, rows.map(c => c.id));
+        res.json(rows.map(c => ({
+            ...c,
+            ...(totals.get(c.id) || { totalBoxes: 0, totalSpent: 0, saleCount: 0, firstPurchaseAt: null, lastPurchaseAt: null, seasons: [] })
+        })));
     } catch (error) {
-        logger.error('Error starting booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to start booth event' });
+        logger.error('Error fetching customers', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch customers' });
     }
 });
 
-app.post('/api/troop/:troopId/booths/:boothId/end', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Last season's customers who have not bought yet this season
+app.get('/api/troop/:troopId/customers/reconnect', auth.isAuthenticated, auth.requirePrivilege('view_sales'), resolveSeasonParam, async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const booth = await db.getOne(
-            'UPDATE booth_events SET status = \'reconciling\', "actualEndTime" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "troopId" = $2 AND status = \'in_progress\' RETURNING *',
-            [boothId, troopId]
+        const { troopId } = req.params;
+        const current = req.season && await db.getOne('SELECT year, "startDate" FROM seasons WHERE year = $1', [req.season]);
+        if (!current) return res.status(400).json({ error: 'Choose a season' });
+        const previous = await db.getOne(
+            'SELECT year FROM seasons WHERE "startDate" < $1 ORDER BY "startDate" DESC LIMIT 1',
+            [current.startDate]
         );
-        if (!booth) return res.status(400).json({ error: 'Booth not found or not in progress' });
-        res.json(booth);
+        if (!previous) return res.json({ season: current.year, previousSeason: null, customers: [] });
+
+        const params = [troopId, previous.year, current.year, current.startDate];
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'c."scoutId"', req, params.length);
+        params.push(...scopeFilter.params);
+        const rows = await db.getAll(`
+            SELECT c.id, c."scoutId", c.name, c.phone, c.email, c.address, c."contactPreference", c."lastContactedAt",
+                   u."firstName" || ' ' || u."lastName" AS "ownerName",
+                   COALESCE(c."lastContactedAt" >= $4::date, false) AS "contactedThisSeason",
+                   SUM(s.quantity)::int AS "previousBoxes",
+                   MAX(s.date) AS "lastPurchaseAt",
+                   json_agg(json_build_object('cookieType', s."cookieType", 'quantity', s.quantity)) AS purchases
+            FROM customers c
+            JOIN users u ON u.id = c."scoutId"
+            JOIN sales s ON s."customerId" = c.id AND s.season = $2
+            WHERE c."scoutId" IN (SELECT "userId" FROM troop_members WHERE "troopId" = $1 AND status = 'active')
+              AND c."doNotContact" = false
+              AND NOT EXISTS (SELECT 1 FROM sales cs WHERE cs."customerId" = c.id AND cs.season = $3)
+              AND NOT EXISTS (SELECT 1 FROM customer_orders co WHERE co."customerId" = c.id AND co.season = $3 AND co.status <> 'cancelled')
+              ${scopeFilter.clause}
+            GROUP BY c.id, u."firstName", u."lastName"
+            ORDER BY "contactedThisSeason", "previousBoxes" DESC, lower(c.name)
+        `, params);
+
+        res.json({
+            season: current.year,
+            previousSeason: previous.year,
+            customers: rows.map(({ purchases, ...row }) => {
+                const products = {};
+                for (const p of purchases) products[p.cookieType] = (products[p.cookieType] || 0) + p.quantity;
+                return {
+                    ...row,
+                    products: Object.entries(products)
+                        .map(([cookieType, quantity]) => ({ cookieType, quantity }))
+                        .sort((a, b) => b.quantity - a.quantity)
+                };
+            })
+        });
     } catch (error) {
-        logger.error('Error ending booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to end booth event' });
+        logger.error('Error fetching customers to reconnect with', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch last season\'s customers' });
     }
 });
 
-app.post('/api/troop/:troopId/booths/:boothId/close', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Pairs of customers in the same address book that look like the same person
+app.get('/api/troop/:troopId/customers/duplicates', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { troopId, boothId } = req.params;
-        const booth = await db.getOne(
-            'UPDATE booth_events SET status = \'completed\', "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "troopId" = $2 AND status = \'reconciling\' RETURNING *',
-            [boothId, troopId]
-        );
-        if (!booth) return res.status(400).json({ error: 'Booth not found or not in reconciling status' });
-        res.json(booth);
+        const { troopId } = req.params;
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'a."scoutId"', req, 1);
+        const pairs = await db.getAll(`
+            SELECT a.id AS "keepId", a.name AS "keepName", a.phone AS "keepPhone", a.email AS "keepEmail",
+                   b.id AS "duplicateId", b.name AS "duplicateName", b.phone AS "duplicatePhone", b.email AS "duplicateEmail",
+                   CASE
+                       WHEN regexp_replace(COALESCE(a.phone, ''), '\\D', '', 'g') <> ''
+                        AND regexp_replace(a.phone, '\\D', '', 'g') = regexp_replace(COALESCE(b.phone, ''), '\\D', '', 'g') THEN 'phone'
+                       WHEN a.email IS NOT NULL AND lower(a.email) = lower(b.email) THEN 'email'
+                       ELSE 'name'
+                   END AS reason
+            FROM customers a
+            JOIN customers b ON b."scoutId" = a."scoutId" AND (b."createdAt", b.id) > (a."createdAt", a.id)
+            WHERE a."scoutId" IN (SELECT "userId" FROM troop_members WHERE "troopId" = $1)${scopeFilter.clause}
+              AND (
+                  (regexp_replace(COALESCE(a.phone, ''), '\\D', '', 'g') <> ''
+                   AND regexp_replace(a.phone, '\\D', '', 'g') = regexp_replace(COALESCE(b.phone, ''), '\\D', '', 'g'))
+                  OR (a.email IS NOT NULL AND lower(a.email) = lower(b.email))
+                  OR lower(a.name) = lower(b.name)
+              )
+            ORDER BY lower(a.name)
+            LIMIT 200
+        `, [troopId, ...scopeFilter.params]);
+        res.json(pairs);
     } catch (error) {
-        logger.error('Error closing booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to close booth event' });
+        logger.error('Error finding duplicate customers', { error: error.message });
+        res.status(500).json({ error: 'Failed to find duplicate customers' });
     }
 });
 
-// --- Booth Shifts CRUD ---
-
-app.get('/api/troop/:troopId/booths/:boothId/shifts', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+// One customer with their lifetime purchase history
+app.get('/api/troop/:troopId/customers/:customerId', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const shifts = await db.getAll(`
-            SELECT bs.*, u."firstName" || ' ' || u."lastName" as "scoutName",
-                   p."firstName" || ' ' || p."lastName" as "parentName"
-            FROM booth_shifts bs
-            JOIN users u ON bs."scoutId" = u.id
-            LEFT JOIN users p ON bs."parentId" = p.id
-            WHERE bs."boothEventId" = $1
-            ORDER BY bs."startTime"
-        `, [boothId]);
-        res.json(shifts);
+        const customer = await getScopedCustomer(req);
+        const totals = (await customers.getPurchaseTotals(db, [customer.id])).get(customer.id);
+        const history = await customers.getPurchaseHistory(db, customer.id);
+        res.json({ ...customer, ...totals, ...history });
     } catch (error) {
-        logger.error('Error fetching shifts', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch shifts' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error fetching customer', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch customer' });
     }
 });
 
-app.post('/api/troop/:troopId/booths/:boothId/shifts', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.post('/api/troop/:troopId/customers', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const { scoutId, parentId, startTime, endTime, role, notes } = req.body;
-        if (!scoutId || !startTime || !endTime) {
-            return res.status(400).json({ error: 'scoutId, startTime, and endTime are required' });
+        const { troopId } = req.params;
+        const scoutId = req.body.scoutId || req.session.userId;
+        if (!(await auth.isTargetInScope(req, scoutId))) {
+            return res.status(403).json({ error: 'Scout is outside your access scope' });
         }
-        const shift = await db.getOne(`
-            INSERT INTO booth_shifts ("boothEventId", "scoutId", "parentId", "startTime", "endTime", role, notes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
-        `, [boothId, scoutId, parentId || null, startTime, endTime, role || 'seller', notes]);
-        res.status(201).json(shift);
+        const member = await db.getOne(
+            'SELECT id FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
+            [troopId, scoutId]
+        );
+        if (!member) return res.status(404).json({ error: 'Scout not found in this troop' });
+
+        const customer = await customers.createCustomer(db, scoutId, req.body);
+        res.status(201).json(customer);
     } catch (error) {
-        logger.error('Error creating shift', { error: error.message });
-        res.status(500).json({ error: 'Failed to create shift' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error creating customer', { error: error.message });
+        res.status(500).json({ error: 'Failed to create customer' });
     }
 });
 
-app.put('/api/troop/:troopId/booths/:boothId/shifts/:shiftId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.put('/api/troop/:troopId/customers/:customerId', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { shiftId } = req.params;
-        const { scoutId, parentId, startTime, endTime, role, status, boxesCredited, notes } = req.body;
-        const shift = await db.getOne(`
-            UPDATE booth_shifts SET
-                "scoutId" = COALESCE($1, "scoutId"),
-                "parentId" = COALESCE($2, "parentId"),
-                "startTime" = COALESCE($3, "startTime"),
-                "endTime" = COALESCE($4, "endTime"),
-                role = COALESCE($5, role),
-                status = COALESCE($6, status),
-                "boxesCredited" = COALESCE($7, "boxesCredited"),
-                notes = COALESCE($8, notes)
-            WHERE id = $9 RETURNING *
-        `, [scoutId, parentId, startTime, endTime, role, status, boxesCredited, notes, shiftId]);
-        if (!shift) return res.status(404).json({ error: 'Shift not found' });
-        res.json(shift);
+        const customer = await getScopedCustomer(req);
+        res.json(await customers.updateCustomer(db, customer, req.body));
     } catch (error) {
-        logger.error('Error updating shift', { error: error.message });
-        res.status(500).json({ error: 'Failed to update shift' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error updating customer', { error: error.message });
+        res.status(500).json({ error: 'Failed to update customer' });
     }
 });
 
-app.delete('/api/troop/:troopId/booths/:boothId/shifts/:shiftId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Record that the customer was contacted, e.g. from the reconnect list
+app.post('/api/troop/:troopId/customers/:customerId/contacted', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { shiftId } = req.params;
-        const result = await db.run('DELETE FROM booth_shifts WHERE id = $1', [shiftId]);
-        if (result.rowCount === 0) return res.status(404).json({ error: 'Shift not found' });
-        res.json({ message: 'Shift deleted' });
+        const customer = await getScopedCustomer(req);
+        res.json(await db.getOne(
+            'UPDATE customers SET "lastContactedAt" = NOW(), "updatedAt" = NOW() WHERE id = $1 RETURNING *',
+            [customer.id]
+        ));
     } catch (error) {
-        logger.error('Error deleting shift', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete shift' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error marking customer contacted', { error: error.message });
+        res.status(500).json({ error: 'Failed to update customer' });
     }
 });
 
-// Shift check-in/check-out
-app.post('/api/troop/:troopId/booths/:boothId/shifts/:shiftId/checkin', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Fold a duplicate into this customer
+app.post('/api/troop/:troopId/customers/:customerId/merge', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { shiftId } = req.params;
-        const shift = await db.getOne(
-            'UPDATE booth_shifts SET "checkinTime" = CURRENT_TIMESTAMP, status = \'confirmed\' WHERE id = $1 RETURNING *',
-            [shiftId]
-        );
-        if (!shift) return res.status(404).json({ error: 'Shift not found' });
-        res.json(shift);
+        const { troopId } = req.params;
+        if (!req.body.duplicateId) return res.status(400).json({ error: 'duplicateId is required' });
+        const keep = await getScopedCustomer(req);
+        const duplicate = await getScopedCustomer(req, req.body.duplicateId);
+
+        const merged = await db.transaction(client => customers.mergeCustomers(client, keep, duplicate));
+
+        await auth.logAuditEvent(db, req.session.userId, 'customer_merged', req, {
+            resourceType: 'customer',
+            resourceId: merged.id,
+            troopId,
+            mergedCustomerId: duplicate.id
+        });
+        res.json(merged);
     } catch (error) {
-        logger.error('Error checking in', { error: error.message });
-        res.status(500).json({ error: 'Failed to check in' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error merging customers', { error: error.message });
+        res.status(500).json({ error: 'Failed to merge customers' });
     }
 });
 
-app.post('/api/troop/:troopId/booths/:boothId/shifts/:shiftId/checkout', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.delete('/api/troop/:troopId/customers/:customerId', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { shiftId } = req.params;
-        const shift = await db.getOne(
-            'UPDATE booth_shifts SET "checkoutTime" = CURRENT_TIMESTAMP, status = \'completed\' WHERE id = $1 RETURNING *',
-            [shiftId]
-        );
-        if (!shift) return res.status(404).json({ error: 'Shift not found' });
-        res.json(shift);
+        const { troopId } = req.params;
+        const customer = await getScopedCustomer(req);
+        const linked = await db.getOne(`
+            SELECT EXISTS (SELECT 1 FROM sales WHERE "customerId" = $1)
+                OR EXISTS (SELECT 1 FROM customer_orders WHERE "customerId" = $1) AS linked
+        `, [customer.id]);
+        if (linked.linked) {
+            return res.status(409).json({ error: 'This customer has purchases; merge them into another customer or mark them do-not-contact instead' });
+        }
+
+        await db.run('DELETE FROM customers WHERE id = $1', [customer.id]);
+        await auth.logAuditEvent(db, req.session.userId, 'customer_deleted', req, {
+            resourceType: 'customer',
+            resourceId: customer.id,
+            troopId
+        });
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error checking out', { error: error.message });
-        res.status(500).json({ error: 'Failed to check out' });
+        if (error.status) return customerErrorResponse(res, error);
+        logger.error('Error deleting customer', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete customer' });
     }
 });
 
-// --- Booth Inventory ---
+// ============================================================================
+// CUSTOMER ORDERS
+// ============================================================================
 
-app.get('/api/troop/:troopId/booths/:boothId/inventory', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
-    try {
-        const { boothId } = req.params;
-        const inventory = await db.getAll(`
-            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox", cp."sortOrder"
-            FROM booth_inventory bi
-            JOIN cookie_products cp ON bi."productId" = cp.id
-            WHERE bi."boothEventId" = $1
-            ORDER BY cp."sortOrder"
-        `, [boothId]);
-        res.json(inventory);
-    } catch (error) {
-        logger.error('Error fetching booth inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch booth inventory' });
+/**
+ * Load an order for a request, checking that its scout is in the caller's scope
+ * @param {Object} req - Express request with troopId and orderId params
+ * @returns {Promise<Object>} The order; throws 403/404 errors with a status
+ */
+async function getScopedCustomerOrder(req) {
+    const order = await customerOrders.getOrder(db, req.params.troopId, req.params.orderId);
+    if (!(await auth.isTargetInScope(req, order.scoutId))) {
+        throw Object.assign(new Error('Order is outside your access scope'), { status: 403 });
     }
-});
+    return order;
+}
 
-// Set/update booth inventory (bulk upsert)
-app.put('/api/troop/:troopId/booths/:boothId/inventory', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// List orders of the scouts in the caller's scope
+app.get('/api/troop/:troopId/customer-orders', auth.isAuthenticated, auth.requirePrivilege('view_sales'), resolveSeasonParam, async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const { items } = req.body; // [{productId, startingQty, endingQty, damagedQty, notes}]
-        if (!items || !Array.isArray(items)) {
-            return res.status(400).json({ error: 'items array is required' });
-        }
+        const { troopId } = req.params;
+        const { status, scoutId } = req.query;
 
-        const results = [];
-        for (const item of items) {
-            const row = await db.getOne(`
-                INSERT INTO booth_inventory ("boothEventId", "productId", "startingQty", "endingQty", "damagedQty", notes)
-                VALUES ($1, $2, $3, $4, $5, $6)
-                ON CONFLICT ("boothEventId", "productId") DO UPDATE SET
-                    "startingQty" = COALESCE(EXCLUDED."startingQty", booth_inventory."startingQty"),
-                    "endingQty" = COALESCE(EXCLUDED."endingQty", booth_inventory."endingQty"),
-                    "damagedQty" = COALESCE(EXCLUDED."damagedQty", booth_inventory."damagedQty"),
-                    notes = COALESCE(EXCLUDED.notes, booth_inventory.notes)
-                RETURNING *
-            `, [boothId, item.productId, item.startingQty || 0, item.endingQty ?? null, item.damagedQty || 0, item.notes]);
-            results.push(row);
+        const params = [troopId];
+        let filters = '';
+        if (req.season) {
+            params.push(req.season);
+            filters += ` AND o.season = $${params.length}`;
         }
-        res.json(results);
+        if (status) {
+            params.push(status);
+            filters += ` AND o.status = $${params.length}`;
+        }
+        if (scoutId) {
+            params.push(scoutId);
+            filters += ` AND o."scoutId" = $${params.length}`;
+        }
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'o."scoutId"', req, params.length);
+        params.push(...scopeFilter.params);
+
+        const ids = await db.getAll(`
+            SELECT o.id FROM customer_orders o
+            WHERE o."troopId" = $1${filters}${scopeFilter.clause}
+            ORDER BY o."createdAt" DESC
+            LIMIT 500
+        `, params);
+        const orders = await customerOrders.getOrders(db, troopId, ids.map(r => r.id));
+
+        // Scouts the caller can take orders for
+        const scoutScope = await auth.buildScopeFilter(req.effectiveScope, 'tm."userId"', req, 1);
+        const scouts = await db.getAll(`
+            SELECT tm."userId" AS id, u."firstName" || ' ' || u."lastName" AS name
+            FROM troop_members tm JOIN users u ON u.id = tm."userId"
+            WHERE tm."troopId" = $1 AND tm.status = 'active' AND tm.role IN ('scout', 'member')${scoutScope.clause}
+            ORDER BY u."firstName", u."lastName"
+        `, [troopId, ...scoutScope.params]);
+
+        res.json({ season: req.season, orders, scouts });
     } catch (error) {
-        logger.error('Error updating booth inventory', { error: error.message });
-        res.status(500).json({ error: 'Failed to update booth inventory' });
+        logger.error('Error fetching customer orders', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch customer orders' });
     }
 });
 
-// Record ending count and auto-calculate soldQty
-app.post('/api/troop/:troopId/booths/:boothId/inventory/count', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Open orders due for delivery within the next few days, overdue ones included
+app.get('/api/troop/:troopId/customer-orders/deliveries-due', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const { items } = req.body; // [{productId, endingQty, damagedQty}]
-        if (!items || !Array.isArray(items)) {
-            return res.status(400).json({ error: 'items array is required' });
-        }
-
-        const results = [];
-        for (const item of items) {
-            const row = await db.getOne(`
-                UPDATE booth_inventory SET
-                    "endingQty" = $1,
-                    "damagedQty" = COALESCE($2, "damagedQty"),
-                    "soldQty" = "startingQty" - $1 - COALESCE($2, "damagedQty", 0)
-                WHERE "boothEventId" = $3 AND "productId" = $4
-                RETURNING *
-            `, [item.endingQty, item.damagedQty || 0, boothId, item.productId]);
-            if (row) results.push(row);
-        }
-        res.json(results);
+        const { troopId } = req.params;
+        const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 60);
+
+        const params = [troopId, days];
+        const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'o."scoutId"', req, params.length);
+        params.push(...scopeFilter.params);
+        const due = await db.getAll(`
+            SELECT o.id, o."deliveryDate" < CURRENT_DATE AS "isOverdue" FROM customer_orders o
+            WHERE o."troopId" = $1 AND o.status IN ('pending', 'ready')
+              AND o."deliveryDate" <= CURRENT_DATE + $2::int${scopeFilter.clause}
+            ORDER BY o."deliveryDate", o."orderNumber"
+        `, params);
+        const orders = await customerOrders.getOrders(db, troopId, due.map(r => r.id));
+        res.json({
+            days,
+            orders: orders.map((order, i) => ({ ...order, isOverdue: due[i].isOverdue }))
+        });
     } catch (error) {
-        logger.error('Error recording inventory count', { error: error.message });
-        res.status(500).json({ error: 'Failed to record inventory count' });
+        logger.error('Error fetching deliveries due', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch deliveries due' });
     }
 });
 
-// --- Booth Payments ---
-
-app.get('/api/troop/:troopId/booths/:boothId/payments', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+app.get('/api/troop/:troopId/customer-orders/:orderId', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const payments = await db.getAll(`
-            SELECT bp.*, u."firstName" || ' ' || u."lastName" as "recordedByName"
-            FROM booth_payments bp
-            LEFT JOIN users u ON bp."recordedBy" = u.id
-            WHERE bp."boothEventId" = $1
-            ORDER BY bp."recordedAt"
-        `, [boothId]);
-        res.json(payments);
+        res.json(await getScopedCustomerOrder(req));
     } catch (error) {
-        logger.error('Error fetching payments', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch payments' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error fetching customer order', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch customer order' });
     }
 });
 
-app.post('/api/troop/:troopId/booths/:boothId/payments', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Take a new order for a scout
+app.post('/api/troop/:troopId/customer-orders', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
-        const { paymentType, amount, referenceNumber, notes } = req.body;
-        if (!paymentType || amount === undefined) {
-            return res.status(400).json({ error: 'paymentType and amount are required' });
-        }
-        const validTypes = ['cash', 'check', 'digital_cookie', 'venmo', 'paypal', 'square', 'zelle', 'other'];
-        if (!validTypes.includes(paymentType)) {
-            return res.status(400).json({ error: `Invalid payment type. Must be one of: ${validTypes.join(', ')}` });
+        const { troopId } = req.params;
+        const userId = req.session.userId;
+        const scoutId = req.body.scoutId || userId;
+        if (!(await auth.isTargetInScope(req, scoutId))) {
+            return res.status(403).json({ error: 'Scout is outside your access scope' });
         }
-        const payment = await db.getOne(`
-            INSERT INTO booth_payments ("boothEventId", "paymentType", amount, "referenceNumber", notes, "recordedBy")
-            VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
-        `, [boothId, paymentType, amount, referenceNumber, notes, req.session.userId]);
-        res.status(201).json(payment);
+        const member = await db.getOne(
+            'SELECT id FROM troop_members WHERE "troopId" = $1 AND "userId" = $2 AND status = \'active\'',
+            [troopId, scoutId]
+        );
+        if (!member) return res.status(404).json({ error: 'Scout not found in this troop' });
+
+        const order = await db.transaction(client => customerOrders.createOrder(client, {
+            ...req.body,
+            troopId,
+            scoutId,
+            createdBy: userId
+        }));
+
+        await auth.logAuditEvent(db, userId, 'customer_order_created', req, {
+            resourceType: 'customer_order',
+            resourceId: order.id,
+            troopId,
+            scoutId,
+            orderNumber: order.orderNumber,
+            totalAmount: order.totalAmount
+        });
+        res.status(201).json(order);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error creating customer order', { error: error.message });
+        res.status(500).json({ error: 'Failed to create customer order' });
+    }
+});
+
+// Change the customer, delivery date or lines of an order not yet delivered
+app.put('/api/troop/:troopId/customer-orders/:orderId', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
+    try {
+        const { troopId, orderId } = req.params;
+        const existing = await getScopedCustomerOrder(req);
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
+
+        const order = await db.transaction(client => customerOrders.updateOrder(client, troopId, orderId, req.body));
+
+        await auth.logAuditEvent(db, req.session.userId, 'customer_order_updated', req, {
+            resourceType: 'customer_order',
+            resourceId: order.id,
+            troopId,
+            orderNumber: order.orderNumber
+        });
+        res.json(order);
     } catch (error) {
-        logger.error('Error creating payment', { error: error.message });
-        res.status(500).json({ error: 'Failed to create payment' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error updating customer order', { error: error.message });
+        res.status(500).json({ error: 'Failed to update customer order' });
     }
 });
 
-app.put('/api/troop/:troopId/booths/:boothId/payments/:paymentId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Move an order through pending, ready, delivered and paid
+app.post('/api/troop/:troopId/customer-orders/:orderId/status', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { paymentId } = req.params;
-        const { paymentType, amount, referenceNumber, notes } = req.body;
-        const payment = await db.getOne(`
-            UPDATE booth_payments SET
-                "paymentType" = COALESCE($1, "paymentType"),
-                amount = COALESCE($2, amount),
-                "referenceNumber" = COALESCE($3, "referenceNumber"),
-                notes = COALESCE($4, notes)
-            WHERE id = $5 RETURNING *
-        `, [paymentType, amount, referenceNumber, notes, paymentId]);
-        if (!payment) return res.status(404).json({ error: 'Payment not found' });
-        res.json(payment);
+        const { troopId, orderId } = req.params;
+        const userId = req.session.userId;
+        const existing = await getScopedCustomerOrder(req);
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
+
+        const { order, previousStatus, sales } = await db.transaction(client =>
+            customerOrders.changeStatus(client, troopId, orderId, req.body.status, userId));
+
+        if (order.status !== previousStatus) {
+            await auth.logAuditEvent(db, userId, 'customer_order_status_changed', req, {
+                resourceType: 'customer_order',
+                resourceId: order.id,
+                troopId,
+                orderNumber: order.orderNumber,
+                previousStatus,
+                status: order.status
+            });
+        }
+        for (const sale of sales) {
+            webhooks.emitEvent(troopId, 'sale.created', { sale: saleWebhookPayload(sale) });
+        }
+        res.json(order);
     } catch (error) {
-        logger.error('Error updating payment', { error: error.message });
-        res.status(500).json({ error: 'Failed to update payment' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error changing customer order status', { error: error.message });
+        res.status(500).json({ error: 'Failed to change order status' });
     }
 });
 
-app.delete('/api/troop/:troopId/booths/:boothId/payments/:paymentId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Record a full or partial payment from the customer
+app.post('/api/troop/:troopId/customer-orders/:orderId/payments', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { paymentId } = req.params;
-        const result = await db.run('DELETE FROM booth_payments WHERE id = $1', [paymentId]);
-        if (result.rowCount === 0) return res.status(404).json({ error: 'Payment not found' });
-        res.json({ message: 'Payment deleted' });
+        const { troopId, orderId } = req.params;
+        const userId = req.session.userId;
+        const existing = await getScopedCustomerOrder(req);
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
+
+        const order = await db.transaction(client => customerOrders.addPayment(client, troopId, orderId, req.body, userId));
+
+        await auth.logAuditEvent(db, userId, 'customer_order_payment_recorded', req, {
+            resourceType: 'customer_order',
+            resourceId: order.id,
+            troopId,
+            orderNumber: order.orderNumber,
+            amount: req.body.amount,
+            paymentMethod: req.body.paymentMethod || null
+        });
+        res.status(201).json(order);
     } catch (error) {
-        logger.error('Error deleting payment', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete payment' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error recording customer order payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to record payment' });
     }
 });
 
-// Booth reconciliation summary
-app.get('/api/troop/:troopId/booths/:boothId/reconcile', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+// Remove a payment recorded by mistake
+app.delete('/api/troop/:troopId/customer-orders/:orderId/payments/:paymentId', auth.isAuthenticated, auth.requirePrivilege('record_sales'), async (req, res) => {
     try {
-        const { boothId } = req.params;
+        const { troopId, orderId, paymentId } = req.params;
+        const existing = await getScopedCustomerOrder(req);
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
 
-        // Get booth info
-        const booth = await db.getOne('SELECT * FROM booth_events WHERE id = $1', [boothId]);
-        if (!booth) return res.status(404).json({ error: 'Booth event not found' });
+        const { order, payment } = await db.transaction(client =>
+            customerOrders.removePayment(client, troopId, orderId, paymentId));
 
-        // Get inventory totals
-        const inventoryTotals = await db.getOne(`
-            SELECT COALESCE(SUM("startingQty"), 0) as "totalStarting",
-                   COALESCE(SUM("endingQty"), 0) as "totalEnding",
-                   COALESCE(SUM("soldQty"), 0) as "totalSold",
-                   COALESCE(SUM("damagedQty"), 0) as "totalDamaged"
-            FROM booth_inventory WHERE "boothEventId" = $1
-        `, [boothId]);
+        await auth.logAuditEvent(db, req.session.userId, 'customer_order_payment_removed', req, {
+            resourceType: 'customer_order',
+            resourceId: order.id,
+            troopId,
+            orderNumber: order.orderNumber,
+            amount: payment.amount
+        });
+        res.json(order);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error removing customer order payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to remove payment' });
+    }
+});
 
-        // Get detailed inventory per product
-        const inventoryDetail = await db.getAll(`
-            SELECT bi.*, cp."cookieName", cp."shortName", cp."pricePerBox"
-            FROM booth_inventory bi
-            JOIN cookie_products cp ON bi."productId" = cp.id
-            WHERE bi."boothEventId" = $1
-            ORDER BY cp."sortOrder"
-        `, [boothId]);
+// ============================================================================
+// SCOUT ACCOUNTS
+// ============================================================================
 
-        // Calculate expected revenue from inventory
-        let expectedRevenue = 0;
-        for (const item of inventoryDetail) {
-            expectedRevenue += (item.soldQty || 0) * parseFloat(item.pricePerBox || 0);
-        }
+/**
+ * Find a scout's membership row in the troop, active or not; families who
+ * left the troop can still owe for boxes they took.
+ * @param {string} troopId - Troop ID
+ * @param {string} scoutId - Scout user ID
+ * @returns {Promise<Object|null>} { userId, name, status, parentName }
+ */
+async function getAccountScout(troopId, scoutId) {
+    return db.getOne(`
+        SELECT tm."userId", u."firstName" || ' ' || u."lastName" AS name, tm.status,
+               p."firstName" || ' ' || p."lastName" AS "parentName"
+        FROM troop_members tm
+        JOIN users u ON u.id = tm."userId"
+        LEFT JOIN users p ON p.id = tm."linkedParentId"
+        WHERE tm."troopId" = $1 AND tm."userId" = $2
+    `, [troopId, scoutId]);
+}
 
-        // Get payment totals
-        const paymentTotals = await db.getOne(`
-            SELECT COALESCE(SUM(amount), 0) as "totalCollected",
-                   COALESCE(SUM(CASE WHEN "paymentType" = 'cash' THEN amount ELSE 0 END), 0) as "totalCash",
-                   COALESCE(SUM(CASE WHEN "paymentType" = 'check' THEN amount ELSE 0 END), 0) as "totalChecks",
-                   COALESCE(SUM(CASE WHEN "paymentType" NOT IN ('cash', 'check') THEN amount ELSE 0 END), 0) as "totalDigital"
-            FROM booth_payments WHERE "boothEventId" = $1
-        `, [boothId]);
+// Payment methods a family can pay the troop through: those of the troop's adult members
+async function getTroopPaymentMethods(troopId) {
+    return db.getAll(`
+        SELECT pm.id, pm.name, u."firstName" || ' ' || u."lastName" AS "ownerName"
+        FROM payment_methods pm
+        JOIN troop_members tm ON tm."userId" = pm."userId" AND tm."troopId" = $1 AND tm.status = 'active'
+            AND tm.role NOT IN ('scout', 'member')
+        JOIN users u ON u.id = pm."userId"
+        WHERE pm."isEnabled" = true
+        ORDER BY pm.name, u."firstName"
+    `, [troopId]);
+}
 
-        const actualRevenue = parseFloat(paymentTotals.totalCollected) - parseFloat(booth.startingBank || 0);
-        const variance = actualRevenue - expectedRevenue;
+// One scout's statement, balance and aging
+app.get('/api/troop/:troopId/scouts/:scoutId/account', auth.isAuthenticated, auth.requirePrivilege('view_sales'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId, scoutId } = req.params;
+        if (!(await auth.isTargetInScope(req, scoutId))) {
+            return res.status(403).json({ error: 'Scout is outside your access scope' });
+        }
+        const scout = await getAccountScout(troopId, scoutId);
+        if (!scout) return res.status(404).json({ error: 'Scout not found in this troop' });
 
+        const charges = await scoutAccounts.getCharges(db, troopId, [scoutId], req.season);
+        const payments = await scoutAccounts.getPayments(db, troopId, [scoutId], req.season);
         res.json({
-            booth: { id: booth.id, eventName: booth.eventName, status: booth.status, startingBank: booth.startingBank },
-            inventory: {
-                ...inventoryTotals,
-                detail: inventoryDetail,
-                expectedRevenue
-            },
-            payments: {
-                ...paymentTotals,
-                startingBank: booth.startingBank,
-                actualRevenue
-            },
-            reconciliation: {
-                expectedRevenue,
-                actualRevenue,
-                variance,
-                status: Math.abs(variance) < 0.01 ? 'balanced' : variance > 0 ? 'overage' : 'shortage'
-            }
+            season: req.season,
+            scout: { id: scout.userId, name: scout.name, parentName: scout.parentName },
+            summary: scoutAccounts.summarizeAccount(charges, payments),
+            statement: scoutAccounts.buildStatement(charges, payments),
+            payments
         });
     } catch (error) {
-        logger.error('Error reconciling booth', { error: error.message });
-        res.status(500).json({ error: 'Failed to reconcile booth' });
+        logger.error('Error fetching scout account', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch scout account' });
     }
 });
 
-// ============================================================================
-// Phase D: Troop Proceeds & Season Management
-// ============================================================================
-
-// Get troop season config
-app.get('/api/troop/:troopId/season-config', auth.isAuthenticated, auth.requirePrivilege('view_financials'), async (req, res) => {
+// Accounts of the scouts in the current user's household
+app.get('/api/troop/:troopId/my-scout-accounts', auth.isAuthenticated, auth.requirePrivilege('view_sales'), resolveSeasonParam, async (req, res) => {
     try {
         const { troopId } = req.params;
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
+        const householdIds = await auth.getHouseholdUserIds(troopId, req.session.userId);
+        const charges = await scoutAccounts.getCharges(db, troopId, householdIds, req.season);
+        const payments = await scoutAccounts.getPayments(db, troopId, householdIds, req.season);
+
+        const accounts = [];
+        for (const scoutId of householdIds) {
+            const scoutCharges = charges.filter(c => c.scoutId === scoutId);
+            const scoutPayments = payments.filter(p => p.scoutId === scoutId);
+            if (scoutCharges.length === 0 && scoutPayments.length === 0) continue;
+            const scout = await getAccountScout(troopId, scoutId);
+            accounts.push({
+                scout: { id: scoutId, name: scout.name, parentName: scout.parentName },
+                summary: scoutAccounts.summarizeAccount(scoutCharges, scoutPayments),
+                statement: scoutAccounts.buildStatement(scoutCharges, scoutPayments)
+            });
+        }
+        res.json({ season: req.season, accounts });
+    } catch (error) {
+        logger.error('Error fetching household scout accounts', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch scout accounts' });
+    }
+});
 
-        let config = await db.getOne(
-            'SELECT * FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
-            [troopId, targetSeason]
-        );
+// Record money turned in for a scout
+app.post('/api/troop/:troopId/scouts/:scoutId/payments', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
+    try {
+        const { troopId, scoutId } = req.params;
+        const userId = req.session.userId;
+        const scout = await getAccountScout(troopId, scoutId);
+        if (!scout) return res.status(404).json({ error: 'Scout not found in this troop' });
 
-        // Auto-create default config if none exists
-        if (!config) {
-            config = await db.getOne(`
-                INSERT INTO troop_season_config ("troopId", season)
-                VALUES ($1, $2) RETURNING *
-            `, [troopId, targetSeason]);
+        const season = await seasonForDate(new Date());
+        if (!season) {
+            return res.status(409).json({ error: 'No season covers today and none is active. Activate a season before recording payments.', code: 'NO_ACTIVE_SEASON' });
         }
+        if (await isSeasonArchived(season)) return seasonArchivedResponse(res, season);
 
-        res.json(config);
+        const payment = await db.transaction(client => scoutAccounts.recordPayment(client, {
+            ...req.body,
+            troopId,
+            scoutId,
+            season,
+            receivedBy: userId
+        }));
+
+        await auth.logAuditEvent(db, userId, 'scout_payment_recorded', req, {
+            resourceType: 'scout_payment',
+            resourceId: payment.id,
+            troopId,
+            scoutId,
+            receiptNumber: payment.receiptNumber,
+            amount: payment.amount,
+            paymentType: payment.paymentType
+        });
+        const householdIds = await auth.getHouseholdUserIds(troopId, scoutId);
+        for (const memberId of householdIds.filter(id => id !== userId)) {
+            await auth.createNotification(db, memberId, 'success', 'Payment received',
+                `Receipt #${payment.receiptNumber}: $${parseFloat(payment.amount).toFixed(2)} (${payment.paymentType}) credited to ${scout.name}.`,
+                null);
+        }
+
+        res.status(201).json(payment);
     } catch (error) {
-        logger.error('Error fetching season config', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch season config' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error recording scout payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to record payment' });
     }
 });
 
-// Update troop season config
-app.put('/api/troop/:troopId/season-config', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
+// Void a payment recorded in error
+app.post('/api/troop/:troopId/scout-payments/:paymentId/void', auth.isAuthenticated, auth.requirePrivilege('manage_financials'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const { baseProceedsRate, initialOrderBonus, fallProductBonus, optOutBonus,
-                initialOrderDate, initialOrderQty, notes } = req.body;
-
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
+        const { troopId, paymentId } = req.params;
+        const userId = req.session.userId;
 
-        // Calculate effective rate
-        let effectiveRate = parseFloat(baseProceedsRate || 0.75);
-        if (initialOrderBonus) effectiveRate += 0.10;
-        if (fallProductBonus) effectiveRate += 0.10;
-        if (optOutBonus) effectiveRate += 0.10;
+        const existing = await db.getOne('SELECT season FROM scout_payments WHERE id = $1 AND "troopId" = $2', [paymentId, troopId]);
+        if (!existing) return res.status(404).json({ error: 'Payment not found' });
+        if (await isSeasonArchived(existing.season)) return seasonArchivedResponse(res, existing.season);
 
-        const config = await db.getOne(`
-            INSERT INTO troop_season_config ("troopId", season, "baseProceedsRate", "initialOrderBonus",
-                "fallProductBonus", "optOutBonus", "effectiveProceedsRate", "initialOrderDate", "initialOrderQty", notes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-            ON CONFLICT ("troopId", season) DO UPDATE SET
-                "baseProceedsRate" = EXCLUDED."baseProceedsRate",
-                "initialOrderBonus" = EXCLUDED."initialOrderBonus",
-                "fallProductBonus" = EXCLUDED."fallProductBonus",
-                "optOutBonus" = EXCLUDED."optOutBonus",
-                "effectiveProceedsRate" = EXCLUDED."effectiveProceedsRate",
-                "initialOrderDate" = EXCLUDED."initialOrderDate",
-                "initialOrderQty" = EXCLUDED."initialOrderQty",
-                notes = EXCLUDED.notes
-            RETURNING *
-        `, [troopId, targetSeason, baseProceedsRate || 0.75, !!initialOrderBonus,
-            !!fallProductBonus, !!optOutBonus, effectiveRate,
-            initialOrderDate || null, initialOrderQty || null, notes]);
+        const payment = await db.transaction(client =>
+            scoutAccounts.voidPayment(client, troopId, paymentId, req.body.reason, userId));
 
-        res.json(config);
+        await auth.logAuditEvent(db, userId, 'scout_payment_voided', req, {
+            resourceType: 'scout_payment',
+            resourceId: payment.id,
+            troopId,
+            scoutId: payment.scoutId,
+            receiptNumber: payment.receiptNumber,
+            reason: payment.voidReason
+        });
+        res.json(payment);
     } catch (error) {
-        logger.error('Error updating season config', { error: error.message });
-        res.status(500).json({ error: 'Failed to update season config' });
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error voiding scout payment', { error: error.message });
+        res.status(500).json({ error: 'Failed to void payment' });
     }
 });
 
-// Calculate troop proceeds
-app.get('/api/troop/:troopId/proceeds', auth.isAuthenticated, auth.requirePrivilege('view_financials'), async (req, res) => {
+// Receipt for one turn-in, with the balance left after it
+app.get('/api/troop/:troopId/scout-payments/:paymentId/receipt', auth.isAuthenticated, auth.requirePrivilege('view_sales'), async (req, res) => {
     try {
-        const { troopId } = req.params;
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
+        const { troopId, paymentId } = req.params;
+        const payment = await db.getOne(`
+            SELECT p.*, u."firstName" || ' ' || u."lastName" AS "receivedByName"
+            FROM scout_payments p
+            LEFT JOIN users u ON u.id = p."receivedBy"
+            WHERE p.id = $1 AND p."troopId" = $2
+        `, [paymentId, troopId]);
+        if (!payment) return res.status(404).json({ error: 'Payment not found' });
+        if (!(await auth.isTargetInScope(req, payment.scoutId))) {
+            return res.status(403).json({ error: 'Scout is outside your access scope' });
+        }
 
-        // Get season config
-        const config = await db.getOne(
-            'SELECT * FROM troop_season_config WHERE "troopId" = $1 AND season = $2',
-            [troopId, targetSeason]
-        );
-        const effectiveRate = parseFloat(config?.effectiveProceedsRate || 0.75);
+        const troop = await db.getOne('SELECT "troopNumber", "troopName" FROM troops WHERE id = $1', [troopId]);
+        const scout = await getAccountScout(troopId, payment.scoutId);
+        const charges = await scoutAccounts.getCharges(db, troopId, [payment.scoutId], payment.season);
+        const payments = await scoutAccounts.getPayments(db, troopId, [payment.scoutId], payment.season);
+        const line = scoutAccounts.buildStatement(charges, payments).find(l => l.paymentId === payment.id);
 
-        // Get total boxes sold by troop
-        const totals = await db.getOne(`
-            SELECT COALESCE(SUM(s.quantity), 0) as "totalBoxes",
-                   COALESCE(SUM(s."amountCollected"), 0) as "totalRevenue"
-            FROM sales s
-            JOIN troop_members tm ON s."userId" = tm."userId"
-            WHERE tm."troopId" = $1 AND tm.status = 'active'
-        `, [troopId]);
+        res.json({
+            troop,
+            scout: { id: payment.scoutId, name: scout ? scout.name : null, parentName: scout ? scout.parentName : null },
+            payment,
+            balanceAfter: line.balance
+        });
+    } catch (error) {
+        logger.error('Error fetching payment receipt', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch receipt' });
+    }
+});
 
-        const totalBoxes = parseInt(totals.totalBoxes);
-        const totalProceeds = totalBoxes * effectiveRate;
+// Troop-wide report of what each scout still owes
+app.get('/api/troop/:troopId/money-owed', auth.isAuthenticated, auth.requirePrivilege('view_financials'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const includePaid = req.query.includePaid === 'true';
 
+        const scouts = await db.getAll(`
+            SELECT tm."userId", u."firstName" || ' ' || u."lastName" AS name, tm.status,
+                   p."firstName" || ' ' || p."lastName" AS "parentName", p.email AS "parentEmail"
+            FROM troop_members tm
+            JOIN users u ON u.id = tm."userId"
+            LEFT JOIN users p ON p.id = tm."linkedParentId"
+            WHERE tm."troopId" = $1 AND (
+                EXISTS (SELECT 1 FROM inventory_ledger_entries e
+                        WHERE e."troopId" = $1 AND e."locationType" = 'scout' AND e."userId" = tm."userId")
+                OR EXISTS (SELECT 1 FROM scout_payments sp WHERE sp."troopId" = $1 AND sp."scoutId" = tm."userId")
+            )
+        `, [troopId]);
+        const scoutIds = scouts.map(s => s.userId);
+        const charges = await scoutAccounts.getCharges(db, troopId, scoutIds, req.season);
+        const payments = await scoutAccounts.getPayments(db, troopId, scoutIds, req.season);
+
+        const rows = scouts.map(scout => ({
+            scoutId: scout.userId,
+            name: scout.name,
+            memberStatus: scout.status,
+            parentName: scout.parentName,
+            parentEmail: scout.parentEmail,
+            ...scoutAccounts.summarizeAccount(
+                charges.filter(c => c.scoutId === scout.userId),
+                payments.filter(p => p.scoutId === scout.userId)
+            )
+        }))
+            .filter(row => includePaid || row.balance !== 0)
+            .sort((a, b) => b.balance - a.balance || a.name.localeCompare(b.name));
+
+        const totals = { charged: 0, paid: 0, balance: 0, aging: Object.fromEntries(scoutAccounts.AGING_BUCKETS.map(b => [b.key, 0])) };
+        for (const row of rows) {
+            totals.charged += row.charged;
+            totals.paid += row.paid;
+            totals.balance += row.balance;
+            for (const key of Object.keys(totals.aging)) totals.aging[key] += row.aging[key];
+        }
+        const round = (amount) => Math.round(amount * 100) / 100;
         res.json({
-            season: targetSeason,
-            effectiveRate,
-            totalBoxes,
-            totalRevenue: parseFloat(totals.totalRevenue),
-            totalProceeds,
-            bonuses: {
-                initialOrder: config?.initialOrderBonus || false,
-                fallProduct: config?.fallProductBonus || false,
-                optOut: config?.optOutBonus || false
+            season: req.season,
+            paymentMethods: await getTroopPaymentMethods(troopId),
+            scouts: rows,
+            totals: {
+                charged: round(totals.charged),
+                paid: round(totals.paid),
+                balance: round(totals.balance),
+                aging: Object.fromEntries(Object.entries(totals.aging).map(([key, amount]) => [key, round(amount)])),
+                owingCount: rows.filter(r => r.balance > 0).length
             }
         });
     } catch (error) {
-        logger.error('Error calculating proceeds', { error: error.message });
-        res.status(500).json({ error: 'Failed to calculate proceeds' });
+        logger.error('Error fetching money owed report', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch money owed report' });
     }
 });
 
-// --- Season Milestones ---
+// ============================================================================
+// COUNCIL SALES IMPORT
+// ============================================================================
 
-app.get('/api/troop/:troopId/milestones', auth.isAuthenticated, auth.requirePrivilege('view_events'), async (req, res) => {
+const parseImportMap = (value, name) => {
+    if (!value) return {};
+    if (typeof value === 'object' && !Array.isArray(value)) return value;
     try {
-        const { troopId } = req.params;
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (e) { /* reported below */ }
+    throw Object.assign(new Error(`${name} must be a JSON object`), { status: 400 });
+};
 
-        const milestones = await db.getAll(
-            'SELECT * FROM season_milestones WHERE "troopId" = $1 AND season = $2 ORDER BY "milestoneDate", "sortOrder"',
-            [troopId, targetSeason]
-        );
-        res.json(milestones);
+/**
+ * Read an uploaded council report and compare it with earlier imports
+ * @param {Object} client - pg client or query helpers
+ * @param {Object} req - Express request with file, season and body { format, productMap, scoutMap }
+ * @param {Object} options
+ * @param {string|null} options.troopId - Troop whose products, members and saved mappings are used
+ * @param {string|null} options.scoutId - Record every order for this scout instead of matching girl names
+ * @returns {Promise<Object>} { format, season, products, members, columns, scouts, rowErrors, plan, productMap, scoutMap }
+ */
+async function prepareSalesImport(client, req, { troopId, scoutId }) {
+    if (!req.file) throw Object.assign(new Error('No file uploaded'), { status: 400 });
+    const productMap = parseImportMap(req.body.productMap, 'productMap');
+    const scoutMap = parseImportMap(req.body.scoutMap, 'scoutMap');
+    const season = req.season;
+    if (!season) throw Object.assign(new Error('Choose a season'), { status: 400 });
+    if (await isSeasonArchived(season)) {
+        throw Object.assign(new Error(`The ${season} season is archived and read-only`), { status: 409, code: 'SEASON_ARCHIVED' });
+    }
+
+    const report = await salesImport.readReport(req.file.buffer, req.body.format || null);
+    const parsed = salesImport.parseOrders(report);
+
+    const troop = troopId ? (await client.query('SELECT "organizationId" FROM troops WHERE id = $1', [troopId])).rows[0] : null;
+    const products = (await client.query(`
+        SELECT cp.id, cp."cookieName", cp."shortName", cp."pricePerBox", cp."bakerId", b."bakerName"
+        FROM cookie_products cp
+        LEFT JOIN bakers b ON b.id = cp."bakerId"
+        WHERE cp.season = $1 AND cp."isActive" = true AND ($2::uuid IS NULL OR cp."organizationId" = $2)
+        ORDER BY cp."sortOrder", cp."cookieName"
+    `, [season, troop ? troop.organizationId : null])).rows;
+    const members = troopId ? (await client.query(`
+        SELECT u.id, u."firstName", u."lastName", tm.status
+        FROM troop_members tm
+        JOIN users u ON u.id = tm."userId"
+        WHERE tm."troopId" = $1
+        ORDER BY u."lastName", u."firstName"
+    `, [troopId])).rows : [];
+    const aliases = troopId ? await salesImport.getAliases(client, troopId) : { products: new Map(), scouts: new Map() };
+
+    const columns = salesImport.matchProducts(parsed.productColumns, products, { aliases: aliases.products, overrides: productMap });
+    const girlNames = [...new Set(parsed.orders.map(o => o.girlName).filter(Boolean))];
+    const scouts = scoutId
+        ? new Map()
+        : salesImport.matchScouts(girlNames, members.filter(m => m.status === 'active'), { aliases: aliases.scouts, overrides: scoutMap });
+
+    // Donated boxes are priced like the season's usual box
+    const priceCounts = new Map();
+    for (const p of products) priceCounts.set(p.pricePerBox, (priceCounts.get(p.pricePerBox) || 0) + 1);
+    const [donationPrice] = [...priceCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [0];
+
+    const plan = await salesImport.planImport(client, {
+        source: report.format,
+        orders: parsed.orders,
+        columns,
+        scouts,
+        ownerIds: scoutId ? [scoutId] : members.map(m => m.id),
+        season,
+        scoutId,
+        donationPrice: parseFloat(donationPrice)
+    });
+
+    return {
+        format: report.format,
+        season,
+        products,
+        members,
+        columns,
+        scouts: [...scouts.entries()].map(([name, match]) => ({ name, ...match })),
+        rowErrors: parsed.errors,
+        plan,
+        productMap,
+        scoutMap
+    };
+}
+
+// A leader with troop scope imports for every girl; anyone else only their own orders
+const importScoutId = (req) => (req.effectiveScope === 'T' ? null : req.session.userId);
+
+// Show what importing a report would change, without changing anything
+app.post('/api/troop/:troopId/sales-import/preview', auth.isAuthenticated, auth.requirePrivilege('import_data'), upload.single('file'), resolveSeasonParam, async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const prepared = await prepareSalesImport(db, req, { troopId, scoutId: importScoutId(req) });
+        res.json({
+            format: prepared.format,
+            formatName: salesImport.IMPORT_FORMATS[prepared.format],
+            season: prepared.season,
+            summary: prepared.plan.summary,
+            columns: prepared.columns,
+            scouts: prepared.scouts,
+            rowErrors: prepared.rowErrors,
+            orders: prepared.plan.orders,
+            products: prepared.products.map(p => ({ id: p.id, cookieName: p.cookieName, bakerName: p.bakerName })),
+            members: prepared.members
+                .filter(m => m.status === 'active')
+                .map(m => ({ id: m.id, name: `${m.firstName} ${m.lastName}` }))
+        });
     } catch (error) {
-        logger.error('Error fetching milestones', { error: error.message });
-        res.status(500).json({ error: 'Failed to fetch milestones' });
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error previewing sales import', { error: error.message });
+        res.status(500).json({ error: 'Failed to preview import' });
     }
 });
 
-app.post('/api/troop/:troopId/milestones', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Import a report: new orders are added, changed ones updated, cancelled ones removed
+app.post('/api/troop/:troopId/sales-import', auth.isAuthenticated, auth.requirePrivilege('import_data'), upload.single('file'), resolveSeasonParam, async (req, res) => {
     try {
         const { troopId } = req.params;
-        const { milestoneName, milestoneDate, description, sortOrder } = req.body;
-        if (!milestoneName) return res.status(400).json({ error: 'milestoneName is required' });
+        const { prepared, applied } = await db.transaction(async (client) => {
+            // One import per troop at a time, so two uploads of a report cannot both add its orders
+            await client.query('SELECT id FROM troops WHERE id = $1 FOR UPDATE', [troopId]);
+            const prepared = await prepareSalesImport(client, req, { troopId, scoutId: importScoutId(req) });
+            const applied = await salesImport.applyImport(client, prepared.plan, {
+                source: prepared.format,
+                season: prepared.season,
+                resolveCustomer: customers.resolveSaleCustomer
+            });
+            await salesImport.saveAliases(client, troopId, prepared.productMap, prepared.scoutMap, prepared.products, req.session.userId);
+            return { prepared, applied };
+        });
 
-        const season = await db.getOne('SELECT * FROM seasons WHERE "isActive" = true');
-        const targetSeason = season?.year || '2026';
+        for (const sale of applied.created) {
+            webhooks.emitEvent(troopId, 'sale.created', { sale: saleWebhookPayload(sale) });
+        }
+
+        const { summary } = prepared.plan;
+        await auth.logAuditEvent(db, req.session.userId, 'sales_imported', req, {
+            resourceType: 'troop',
+            resourceId: troopId,
+            troopId,
+            format: prepared.format,
+            filename: req.file.originalname,
+            season: prepared.season,
+            ...summary,
+            salesCreated: applied.created.length,
+            salesUpdated: applied.updated.length,
+            salesDeleted: applied.deleted
+        });
 
-        const milestone = await db.getOne(`
-            INSERT INTO season_milestones ("troopId", season, "milestoneName", "milestoneDate", description, "sortOrder")
-            VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
-        `, [troopId, targetSeason, milestoneName, milestoneDate || null, description, sortOrder || 0]);
-        res.status(201).json(milestone);
+        res.json({
+            format: prepared.format,
+            season: prepared.season,
+            summary,
+            salesCreated: applied.created.length,
+            salesUpdated: applied.updated.length,
+            salesDeleted: applied.deleted,
+            errors: prepared.plan.orders
+                .filter(o => o.status === 'error')
+                .map(o => ({ orderNumber: o.orderNumber, rowNumbers: o.rowNumbers, errors: o.errors }))
+        });
     } catch (error) {
-        logger.error('Error creating milestone', { error: error.message });
-        res.status(500).json({ error: 'Failed to create milestone' });
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error importing sales report', { error: error.message });
+        res.status(500).json({ error: 'Failed to import sales report' });
     }
 });
 
-app.put('/api/troop/:troopId/milestones/:milestoneId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+// Column and name mappings saved by earlier imports
+app.get('/api/troop/:troopId/sales-import/aliases', auth.isAuthenticated, auth.requirePrivilege('import_data'), async (req, res) => {
     try {
-        const { milestoneId } = req.params;
-        const { milestoneName, milestoneDate, description, sortOrder } = req.body;
-        const milestone = await db.getOne(`
-            UPDATE season_milestones SET
-                "milestoneName" = COALESCE($1, "milestoneName"),
-                "milestoneDate" = COALESCE($2, "milestoneDate"),
-                description = COALESCE($3, description),
-                "sortOrder" = COALESCE($4, "sortOrder")
-            WHERE id = $5 RETURNING *
-        `, [milestoneName, milestoneDate, description, sortOrder, milestoneId]);
-        if (!milestone) return res.status(404).json({ error: 'Milestone not found' });
-        res.json(milestone);
+        const aliases = await db.getAll(`
+            SELECT a.id, a.kind, a.label, a.target, a."createdAt",
+                   CASE WHEN a.kind = 'scout' THEN u."firstName" || ' ' || u."lastName" ELSE NULLIF(a.target, '') END AS "targetName"
+            FROM sales_import_aliases a
+            LEFT JOIN users u ON a.kind = 'scout' AND u.id::text = a.target
+            WHERE a."troopId" = $1
+            ORDER BY a.kind, lower(a.label)
+        `, [req.params.troopId]);
+        res.json({ formats: salesImport.IMPORT_FORMATS, aliases });
     } catch (error) {
-        logger.error('Error updating milestone', { error: error.message });
-        res.status(500).json({ error: 'Failed to update milestone' });
+        logger.error('Error fetching sales import mappings', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch import mappings' });
     }
 });
 
-app.delete('/api/troop/:troopId/milestones/:milestoneId', auth.isAuthenticated, auth.requirePrivilege('manage_events'), async (req, res) => {
+app.delete('/api/troop/:troopId/sales-import/aliases/:aliasId', auth.isAuthenticated, auth.requirePrivilege('import_data'), async (req, res) => {
     try {
-        const { milestoneId } = req.params;
-        const result = await db.run('DELETE FROM season_milestones WHERE id = $1', [milestoneId]);
-        if (result.rowCount === 0) return res.status(404).json({ error: 'Milestone not found' });
-        res.json({ message: 'Milestone deleted' });
+        const removed = await db.run(
+            'DELETE FROM sales_import_aliases WHERE id = $1 AND "troopId" = $2',
+            [req.params.aliasId, req.params.troopId]
+        );
+        if (!removed) return res.status(404).json({ error: 'Mapping not found' });
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error deleting milestone', { error: error.message });
-        res.status(500).json({ error: 'Failed to delete milestone' });
+        logger.error('Error deleting sales import mapping', { error: error.message });
+        res.status(500).json({ error: 'Failed to delete import mapping' });
     }
 });
 
@@ -4587,7 +9930,7 @@ app.get('/api/troop/:troopId/goals/progress', auth.isAuthenticated, auth.require
 // Phase 3: Leaderboard Route
 // ============================================================================
 
-app.get('/api/troop/:troopId/leaderboard', auth.isAuthenticated, auth.requirePrivilege('view_leaderboard'), async (req, res) => {
+app.get('/api/troop/:troopId/leaderboard', auth.isAuthenticated, auth.requirePrivilege('view_leaderboard'), resolveSeasonParam, async (req, res) => {
     try {
         const { troopId } = req.params;
         const { limit = 10, metric = 'boxes' } = req.query;
@@ -4596,6 +9939,7 @@ app.get('/api/troop/:troopId/leaderboard', auth.isAuthenticated, auth.requirePri
 
         // Build scope filter for leaderboard visibility
         const scopeFilter = await auth.buildScopeFilter(req.effectiveScope, 'u.id', req, 2);
+        const seasonFilter = buildSeasonFilter(req.season, 's.season', 2 + scopeFilter.params.length);
 
         const leaderboard = await db.getAll(`
             SELECT
@@ -4604,12 +9948,12 @@ app.get('/api/troop/:troopId/leaderboard', auth.isAuthenticated, auth.requirePri
                 COALESCE(SUM(s."amountCollected"), 0) as "totalRevenue"
             FROM troop_members tm
             JOIN users u ON tm."userId" = u.id
-            LEFT JOIN sales s ON s."userId" = u.id
+            LEFT JOIN sales s ON s."userId" = u.id${seasonFilter.clause}
             WHERE tm."troopId" = $1 AND tm.status = 'active'${scopeFilter.clause}
             GROUP BY u.id, u."firstName", u."lastName", u."photoUrl"
             ORDER BY ${orderBy} DESC
             LIMIT $2
-        `, [troopId, parseInt(limit), ...scopeFilter.params]);
+        `, [troopId, parseInt(limit), ...scopeFilter.params, ...seasonFilter.params]);
 
         // Add rank
         const rankedLeaderboard = leaderboard.map((member, index) => ({
@@ -4723,7 +10067,23 @@ app.post('/api/troop/:troopId/invite', auth.isAuthenticated, auth.requirePrivile
             RETURNING id
         `, [troopId, email.toLowerCase(), user?.id || null, inviteRole, req.session.userId, token, expiresAt]);
 
-        // Create notification for user if they exist
+        // Email the invitee whether or not they already have an account
+        const inviter = await db.getOne('SELECT "firstName", "lastName" FROM users WHERE id = $1', [req.session.userId]);
+        await mailer.queueEmail({
+            to: email.toLowerCase(),
+            userId: user?.id || null,
+            template: 'troop_invitation',
+            data: {
+                email: email.toLowerCase(),
+                hasAccount: !!user,
+                troopNumber: troop.troopNumber,
+                role: inviteRole,
+                inviterName: inviter ? `${inviter.firstName} ${inviter.lastName}`.trim() : 'A troop leader',
+                expiresOn: new Date(expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+            }
+        });
+
+        // Create in-app notification for user if they exist (the invitation email already went out)
         if (user) {
             auth.createNotification(
                 db,
@@ -4731,14 +10091,15 @@ app.post('/api/troop/:troopId/invite', auth.isAuthenticated, auth.requirePrivile
                 'info',
                 'Troop Invitation',
                 `You've been invited to join Troop ${troop.troopNumber} as a ${inviteRole}.`,
-                `/invitations`
+                `/invitations`,
+                { sendEmail: false }
             );
         }
 
         logger.info('Invitation sent', { troopId, email, invitedBy: req.session.userId });
         res.status(201).json({
             success: true,
-            message: user ? 'Invitation sent to existing user' : 'Invitation sent (user will receive it after registration)',
+            message: user ? 'Invitation emailed to existing user' : 'Invitation emailed (user can accept after registering)',
             invitationId: newInvite.id
         });
     } catch (error) {
@@ -4774,8 +10135,8 @@ app.get('/api/invitations', auth.isAuthenticated, async (req, res) => {
     }
 });
 
-// Accept invitation
-app.post('/api/invitations/:id/accept', auth.isAuthenticated, async (req, res) => {
+// Accept invitation (verified email required so leaders know the invitee owns the address)
+app.post('/api/invitations/:id/accept', auth.isAuthenticated, auth.requireVerifiedEmail, async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -5167,29 +10528,111 @@ app.put('/api/scouts/:userId/level', auth.isAuthenticated, auth.requirePrivilege
             return res.status(404).json({ error: 'Level not found' });
         }
 
-        // Verify the scout profile exists
-        const profile = await db.getOne(`SELECT id FROM scout_profiles WHERE "userId" = $1`, [userId]);
-        if (!profile) {
-            return res.status(404).json({ error: 'Scout profile not found' });
-        }
-
-        const updated = await db.getOne(`
-            UPDATE scout_profiles
-            SET "currentLevelId" = $1,
-                "levelSince" = $2,
-                "updatedAt" = CURRENT_TIMESTAMP
-            WHERE "userId" = $3
-            RETURNING *
-        `, [levelId, new Date().toISOString().split('T')[0], userId]);
+        // Close the current level in the history and start the new one
+        const updated = await db.transaction(client => scoutLevels.changeLevel(client, {
+            userId,
+            levelId,
+            effectiveDate: new Date().toISOString().split('T')[0],
+            source: 'manual',
+            changedBy: req.session.userId
+        }));
 
         logger.info('Scout level updated', { userId, levelId, updatedBy: req.session.userId });
         res.json(updated);
     } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
         logger.error('Error updating scout level', { error: error.message, userId: req.params.userId });
         res.status(500).json({ error: 'Failed to update scout level' });
     }
 });
 
+// GET /api/scouts/:userId/level-history
+// Every level the scout has held, most recent first
+app.get('/api/scouts/:userId/level-history', auth.isAuthenticated, auth.requirePrivilegeForUser('view_scout_profiles'), async (req, res) => {
+    try {
+        res.json(await scoutLevels.getLevelHistory(db, req.params.userId));
+    } catch (error) {
+        logger.error('Error fetching level history', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to fetch level history' });
+    }
+});
+
+// PUT /api/scouts/:userId/grade
+// Record the scout's school grade (0 = kindergarten), used for bridging by grade
+app.put('/api/scouts/:userId/grade', auth.isAuthenticated, auth.requirePrivilegeForUser('edit_scout_level'), async (req, res) => {
+    try {
+        const updated = await scoutLevels.setGrade(db, req.params.userId, req.body.grade, { asOf: req.body.asOf });
+        res.json(updated);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error updating scout grade', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to update grade' });
+    }
+});
+
+// GET /api/troop/:troopId/bridging/preview?basis=age|grade&ceremonyDate=
+// Who would move up a level at a bridging ceremony on that date
+app.get('/api/troop/:troopId/bridging/preview', auth.isAuthenticated, auth.requirePrivilege('edit_scout_level'), async (req, res) => {
+    try {
+        const preview = await scoutLevels.previewBridging(db, req.params.troopId, {
+            basis: req.query.basis || 'grade',
+            ceremonyDate: req.query.ceremonyDate
+        });
+        const scouts = [];
+        for (const scout of preview.scouts) {
+            if (await auth.isTargetInScope(req, scout.userId)) scouts.push(scout);
+        }
+        res.json({ ...preview, scouts });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error previewing bridging', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to preview bridging' });
+    }
+});
+
+// POST /api/troop/:troopId/bridging
+// Move eligible scouts up a level as of the ceremony date
+app.post('/api/troop/:troopId/bridging', auth.isAuthenticated, auth.requirePrivilege('edit_scout_level'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { basis, ceremonyDate, userIds } = req.body;
+
+        const preview = await scoutLevels.previewBridging(db, troopId, { basis, ceremonyDate });
+        const inScope = [];
+        for (const scout of preview.scouts) {
+            if (await auth.isTargetInScope(req, scout.userId)) inScope.push(scout.userId);
+        }
+        const selected = Array.isArray(userIds) ? userIds.filter(id => inScope.includes(id)) : inScope;
+
+        const result = await db.transaction(client => scoutLevels.applyBridging(client, troopId, {
+            basis,
+            ceremonyDate,
+            userIds: selected,
+            changedBy: req.session.userId
+        }));
+
+        for (const scout of result.bridged) {
+            await auth.createNotification(db, scout.userId, 'achievement', `Welcome to ${scout.toLevel.displayName}!`,
+                `You bridged from ${scout.currentLevel.displayName} to ${scout.toLevel.displayName}.`, '/profile');
+        }
+        await auth.logAuditEvent(db, req.session.userId, 'troop_bridging', req, {
+            resourceType: 'troop',
+            resourceId: troopId,
+            troopId,
+            basis,
+            ceremonyDate: result.ceremonyDate,
+            bridgedCount: result.bridged.length
+        });
+        logger.info('Troop bridging completed', { troopId, bridged: result.bridged.length, by: req.session.userId });
+
+        res.json(result);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error bridging scouts', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to bridge scouts' });
+    }
+});
+
 // GET /api/scouts/:userId/badges
 // Get badges earned by scout
 app.get('/api/scouts/:userId/badges', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
@@ -5204,10 +10647,12 @@ app.get('/api/scouts/:userId/badges', auth.isAuthenticated, auth.requirePrivileg
                 b."description",
                 b."imageUrl",
                 b."badgeCode",
-                verifier."firstName" || ' ' || verifier."lastName" as "verifiedByName"
+                verifier."firstName" || ' ' || verifier."lastName" as "verifiedByName",
+                e."eventName"
             FROM scout_badges sb
             JOIN badges b ON b.id = sb."badgeId"
             LEFT JOIN users verifier ON verifier.id = sb."verifiedBy"
+            LEFT JOIN events e ON e.id = sb."eventId"
             WHERE sb."userId" = $1
             ORDER BY sb."earnedDate" DESC
         `, [userId]);
@@ -5287,6 +10732,133 @@ app.post('/api/scouts/:userId/badges', auth.isAuthenticated, auth.requirePrivile
     }
 });
 
+// POST /api/troop/:troopId/badges/bulk-award
+// Award one badge to a group of scouts with the same earned date, optionally
+// linked to the calendar event where they earned it. Scouts who already have
+// the badge are skipped and reported rather than failing the batch.
+app.post('/api/troop/:troopId/badges/bulk-award', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { badgeId, userIds, earnedDate, eventId, notes } = req.body;
+
+        const inScope = [];
+        const outOfScope = [];
+        for (const userId of Array.isArray(userIds) ? userIds : []) {
+            if (await auth.isTargetInScope(req, userId)) inScope.push(userId);
+            else outOfScope.push({ userId, scoutName: null, reason: 'out_of_scope', earnedDate: null });
+        }
+        if (Array.isArray(userIds) && userIds.length > 0 && inScope.length === 0) {
+            return res.status(403).json({ error: 'None of the selected scouts are in your scope' });
+        }
+
+        const result = await db.transaction(client => badgeProgress.awardBadgeToScouts(client, {
+            troopId,
+            badgeId,
+            userIds: inScope.length > 0 ? inScope : userIds,
+            earnedDate,
+            eventId: eventId || null,
+            notes,
+            verifiedBy: req.session.userId
+        }));
+        result.skipped.push(...outOfScope);
+
+        for (const { userId } of result.awarded) {
+            await auth.createNotification(db, userId, 'achievement', 'New Badge Earned!',
+                `You've earned the ${result.badge.badgeName} badge!`, '/profile');
+        }
+
+        await auth.logAuditEvent(db, req.session.userId, 'badges_bulk_awarded', req, {
+            resourceType: 'badge',
+            resourceId: result.badge.id,
+            troopId,
+            eventId: result.event ? result.event.id : null,
+            awardedCount: result.awarded.length,
+            skippedCount: result.skipped.length
+        });
+        logger.info('Badge awarded to group', {
+            troopId,
+            badgeId: result.badge.id,
+            awarded: result.awarded.length,
+            skipped: result.skipped.length,
+            awardedBy: req.session.userId
+        });
+
+        res.json(result);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error bulk awarding badge', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to award badge' });
+    }
+});
+
+// Unrecognized badges of a troop for scouts in the caller's scope
+async function getUnrecognizedInScope(req) {
+    const rows = await badgeProgress.getUnrecognizedBadges(db, req.params.troopId);
+    const scope = new Map();
+    for (const row of rows) {
+        if (!scope.has(row.userId)) scope.set(row.userId, await auth.isTargetInScope(req, row.userId));
+    }
+    return rows.filter(row => scope.get(row.userId));
+}
+
+// GET /api/troop/:troopId/badges/unrecognized
+// Badges awarded but not yet handed out, grouped by badge with quantities
+app.get('/api/troop/:troopId/badges/unrecognized', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const list = badgeProgress.groupRecognitionList(await getUnrecognizedInScope(req));
+        res.json({ badges: list, totalQuantity: list.reduce((sum, entry) => sum + entry.quantity, 0) });
+    } catch (error) {
+        logger.error('Error fetching unrecognized badges', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to fetch badges to hand out' });
+    }
+});
+
+// GET /api/troop/:troopId/badges/unrecognized/export?format=csv|xlsx
+// The same list as a shopping list for the council shop
+app.get('/api/troop/:troopId/badges/unrecognized/export', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const list = badgeProgress.groupRecognitionList(await getUnrecognizedInScope(req));
+        const file = await badgeProgress.buildRecognitionExport(list, req.query.format || 'csv');
+        const date = new Date().toISOString().split('T')[0];
+        res.setHeader('Content-Disposition', `attachment; filename="badge-shopping-list-${date}.${file.extension}"`);
+        res.setHeader('Content-Type', file.contentType);
+        res.send(file.buffer);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error exporting badge shopping list', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to export badge shopping list' });
+    }
+});
+
+// POST /api/troop/:troopId/badges/recognize
+// Mark badges as handed out at a ceremony
+app.post('/api/troop/:troopId/badges/recognize', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const { troopId } = req.params;
+        const { scoutBadgeIds, recognizedDate } = req.body;
+
+        const requested = Array.isArray(scoutBadgeIds) ? scoutBadgeIds : [];
+        const waiting = new Set((await getUnrecognizedInScope(req)).map(row => row.scoutBadgeId));
+        const toRecognize = requested.filter(id => waiting.has(id));
+        if (requested.length > 0 && toRecognize.length === 0) {
+            return res.status(404).json({ error: 'None of the selected badges are waiting to be handed out' });
+        }
+        const recognized = await badgeProgress.markRecognized(db, troopId, { scoutBadgeIds: toRecognize, recognizedDate });
+
+        await auth.logAuditEvent(db, req.session.userId, 'badges_recognized', req, {
+            resourceType: 'troop',
+            resourceId: troopId,
+            troopId,
+            count: recognized.length
+        });
+        res.json({ recognized, skippedCount: requested.length - recognized.length });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error marking badges recognized', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to mark badges recognized' });
+    }
+});
+
 // GET /api/badge-catalogs
 // List all badge catalogs (optionally filtered by organization)
 app.get('/api/badge-catalogs', auth.isAuthenticated, async (req, res) => {
@@ -5350,56 +10922,398 @@ app.get('/api/badge-catalogs/:catalogId/badges', auth.isAuthenticated, async (re
             params.push(`%${search}%`);
         }
 
-        query += ` ORDER BY b."sortOrder", b."badgeName"`;
+        query += ` ORDER BY b."sortOrder", b."badgeName"`;
+
+        const badges = await db.getAll(query, params);
+        logger.info('Catalog badges fetched', { catalogId, count: badges.length, level, type });
+        res.json(badges);
+    } catch (error) {
+        logger.error('Error fetching catalog badges', { error: error.message, catalogId: req.params.catalogId });
+        res.status(500).json({ error: 'Failed to fetch catalog badges' });
+    }
+});
+
+// GET /api/scouts/:userId/available-badges
+// Get badges available for scout's current level (not yet earned)
+app.get('/api/scouts/:userId/available-badges', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        // Get scout profile with level and organization
+        const profile = await db.getOne(`
+            SELECT sp."currentLevelId", sl."levelCode", so.id as "orgId"
+            FROM scout_profiles sp
+            JOIN scout_levels sl ON sl.id = sp."currentLevelId"
+            JOIN level_systems ls ON ls.id = sl."levelSystemId"
+            JOIN scout_organizations so ON so.id = ls."organizationId"
+            WHERE sp."userId" = $1
+        `, [userId]);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Scout profile not found' });
+        }
+
+        // Get badges applicable to scout's level that they haven't earned yet
+        const availableBadges = await db.getAll(`
+            SELECT b.*
+            FROM badges b
+            JOIN badge_catalogs bc ON bc.id = b."badgeCatalogId"
+            WHERE bc."organizationId" = $1
+              AND b."applicableLevels" @> $2
+              AND b."isActive" = true
+              AND b.id NOT IN (
+                  SELECT "badgeId" FROM scout_badges WHERE "userId" = $3
+              )
+            ORDER BY b."sortOrder", b."badgeName"
+        `, [profile.orgId, JSON.stringify([profile.levelCode]), userId]);
+
+        logger.info('Available badges fetched', { userId, count: availableBadges.length, level: profile.levelCode });
+        res.json(availableBadges);
+    } catch (error) {
+        logger.error('Error fetching available badges', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to fetch available badges' });
+    }
+});
+
+// ============================================================================
+// Badge Requirement Steps
+// ============================================================================
+
+// Tell the troop's badge awarders about a badge waiting for them
+async function notifyBadgeAwarders(troopId, title, message) {
+    const roles = Object.keys(ROLE_PRIVILEGE_DEFAULTS).filter(role => ROLE_PRIVILEGE_DEFAULTS[role].award_badges !== 'none');
+    // A member's override wins over their role's default either way
+    const awarders = await db.getAll(`
+        SELECT tm."userId" FROM troop_members tm
+        LEFT JOIN privilege_overrides po
+            ON po."troopId" = tm."troopId" AND po."userId" = tm."userId" AND po."privilegeCode" = 'award_badges'
+        WHERE tm."troopId" = $1 AND tm.status = 'active'
+          AND CASE WHEN po.id IS NULL THEN tm.role = ANY($2) ELSE po.scope <> 'none' END
+    `, [troopId, roles]);
+    for (const awarder of awarders) {
+        await auth.createNotification(db, awarder.userId, 'info', title, message, '/profile');
+    }
+}
+
+// GET /api/badges/:badgeId/requirements
+// The numbered steps of a badge
+app.get('/api/badges/:badgeId/requirements', auth.isAuthenticated, async (req, res) => {
+    try {
+        const badge = await db.getOne('SELECT id, "badgeName", requirements FROM badges WHERE id = $1', [req.params.badgeId]);
+        if (!badge) return res.status(404).json({ error: 'Badge not found' });
+        const steps = await badgeProgress.getSteps(db, badge.id);
+        res.json({ badgeId: badge.id, badgeName: badge.badgeName, requirements: badge.requirements, steps });
+    } catch (error) {
+        logger.error('Error fetching badge requirements', { error: error.message, badgeId: req.params.badgeId });
+        res.status(500).json({ error: 'Failed to fetch badge requirements' });
+    }
+});
+
+// PUT /api/badges/:badgeId/requirements
+// Set the steps of a badge. Steps are part of the shared catalog.
+app.put('/api/badges/:badgeId/requirements', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const badge = await db.getOne('SELECT id, "badgeName" FROM badges WHERE id = $1', [req.params.badgeId]);
+        if (!badge) return res.status(404).json({ error: 'Badge not found' });
+
+        const steps = await db.transaction(client => badgeProgress.replaceSteps(client, badge.id, req.body.steps));
+
+        await auth.logAuditEvent(db, req.session.userId, 'badge_requirements_updated', req, {
+            resourceType: 'badge',
+            resourceId: badge.id,
+            stepCount: steps.length
+        });
+        res.json({ badgeId: badge.id, badgeName: badge.badgeName, steps });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error updating badge requirements', { error: error.message, badgeId: req.params.badgeId });
+        res.status(500).json({ error: 'Failed to update badge requirements' });
+    }
+});
+
+// GET /api/scouts/:userId/badge-progress
+// Step progress on the badges a scout has started or earned
+app.get('/api/scouts/:userId/badge-progress', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
+    try {
+        const progress = await badgeProgress.getProgress(db, req.params.userId, { badgeId: req.query.badgeId || null });
+        res.json(progress);
+    } catch (error) {
+        logger.error('Error fetching badge progress', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to fetch badge progress' });
+    }
+});
+
+// PUT /api/scouts/:userId/badge-progress/:requirementId
+// Check off a step (multipart, with an optional photo). Finishing the last step
+// awards the badge when the caller can award badges; otherwise leaders are told
+// it is ready for award.
+app.put('/api/scouts/:userId/badge-progress/:requirementId', auth.isAuthenticated, auth.requirePrivilegeForUser('record_badge_progress'), photoUpload.single('photo'), async (req, res) => {
+    try {
+        const { userId, requirementId } = req.params;
+        const requirement = await db.getOne(`
+            SELECT br.*, b."badgeName" FROM badge_requirements br
+            JOIN badges b ON b.id = br."badgeId"
+            WHERE br.id = $1
+        `, [requirementId]);
+        if (!requirement) return res.status(404).json({ error: 'Badge step not found' });
+
+        const profile = await db.getOne('SELECT "troopId" FROM scout_profiles WHERE "userId" = $1', [userId]);
+        const troopId = (profile && profile.troopId) || req.troopId || null;
+        const canAward = troopId ? await auth.hasPrivilege(req, troopId, 'award_badges') : req.session.userRole === 'admin';
+
+        const result = await db.transaction(async (client) => {
+            const step = await badgeProgress.recordStep(client, {
+                userId,
+                troopId,
+                requirement,
+                completedDate: req.body.completedDate,
+                notes: req.body.notes,
+                photo: req.file,
+                recordedBy: req.session.userId
+            });
+            const completion = await badgeProgress.checkCompletion(client, userId, requirement.badgeId);
+            let award = null;
+            if (completion.ready && canAward) {
+                award = await badgeProgress.awardBadge(client, {
+                    userId,
+                    badgeId: requirement.badgeId,
+                    troopId,
+                    earnedDate: completion.completedDate,
+                    verifiedBy: req.session.userId,
+                    notes: 'All requirement steps completed'
+                });
+            }
+            return { step, award, readyForAward: completion.ready && !award };
+        });
+
+        const scoutName = await db.getOne('SELECT "firstName" || \' \' || "lastName" AS name FROM users WHERE id = $1', [userId]);
+        if (result.award) {
+            logger.info('Badge awarded on completing its steps', { userId, badgeId: requirement.badgeId, awardedBy: req.session.userId });
+            await auth.createNotification(db, userId, 'achievement', 'New Badge Earned!',
+                `You've earned the ${requirement.badgeName} badge!`, '/profile');
+        } else if (result.readyForAward && troopId) {
+            await notifyBadgeAwarders(troopId, 'Badge ready to award',
+                `${scoutName.name} has finished every step of the ${requirement.badgeName} badge.`);
+        }
+
+        const [progress] = await badgeProgress.getProgress(db, userId, { badgeId: requirement.badgeId });
+        res.json({ ...result, progress });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error recording badge step', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to record badge step' });
+    }
+});
+
+// DELETE /api/scouts/:userId/badge-progress/:requirementId
+// Un-check a step of a badge that has not been awarded
+app.delete('/api/scouts/:userId/badge-progress/:requirementId', auth.isAuthenticated, auth.requirePrivilegeForUser('record_badge_progress'), async (req, res) => {
+    try {
+        const { userId, requirementId } = req.params;
+        const step = await db.getOne(
+            'SELECT id, "badgeId" FROM scout_badge_steps WHERE "userId" = $1 AND "requirementId" = $2',
+            [userId, requirementId]
+        );
+        if (!step) return res.status(404).json({ error: 'This step has not been checked off' });
+
+        const awarded = await db.getOne('SELECT id FROM scout_badges WHERE "userId" = $1 AND "badgeId" = $2', [userId, step.badgeId]);
+        if (awarded) return res.status(409).json({ error: 'The badge has already been awarded' });
+
+        await db.run('DELETE FROM scout_badge_steps WHERE id = $1', [step.id]);
+        const [progress] = await badgeProgress.getProgress(db, userId, { badgeId: step.badgeId });
+        res.json({ progress });
+    } catch (error) {
+        logger.error('Error clearing badge step', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to clear badge step' });
+    }
+});
+
+/**
+ * Send an uploaded image back to the browser. The content type comes from the
+ * bytes, never from what was stored with the upload, and the browser is told
+ * not to sniff it; anything that is not a known image is sent as a download.
+ * @param {Object} res - Express response
+ * @param {Buffer} data - Stored image bytes
+ * @param {string} name - File name without extension
+ */
+function sendStoredImage(res, data, name) {
+    const image = badgeProgress.detectImageType(data);
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (!image) {
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+        return res.type('application/octet-stream').send(data);
+    }
+    res.set('Content-Disposition', `inline; filename="${name}.${image.extension}"`);
+    res.type(image.type).send(data);
+}
+
+// GET /api/scouts/:userId/badge-progress/:requirementId/photo
+// The photo attached to a checked-off step
+app.get('/api/scouts/:userId/badge-progress/:requirementId/photo', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
+    try {
+        const photo = await db.getOne(
+            'SELECT "photoData", "photoType" FROM scout_badge_steps WHERE "userId" = $1 AND "requirementId" = $2 AND "photoData" IS NOT NULL',
+            [req.params.userId, req.params.requirementId]
+        );
+        if (!photo) return res.status(404).json({ error: 'No photo for this step' });
+        sendStoredImage(res, photo.photoData, 'badge-step-photo');
+    } catch (error) {
+        logger.error('Error fetching badge step photo', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to fetch photo' });
+    }
+});
+
+// GET /api/troop/:troopId/badge-progress/ready
+// Scouts who have finished every step of a badge that has not been awarded
+app.get('/api/troop/:troopId/badge-progress/ready', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const ready = await badgeProgress.getReadyForAward(db, req.params.troopId);
+        const inScope = [];
+        for (const entry of ready) {
+            if (await auth.isTargetInScope(req, entry.userId)) inScope.push(entry);
+        }
+        res.json(inScope);
+    } catch (error) {
+        logger.error('Error fetching badges ready to award', { error: error.message });
+        res.status(500).json({ error: 'Failed to fetch badges ready to award' });
+    }
+});
+
+// ============================================================================
+// Badge Claims
+// ============================================================================
+
+// POST /api/scouts/:userId/badge-claims
+// Claim that a scout has earned a badge (multipart, with an optional evidence photo)
+app.post('/api/scouts/:userId/badge-claims', auth.isAuthenticated, auth.requirePrivilegeForUser('record_badge_progress'), photoUpload.single('evidence'), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const profile = await db.getOne('SELECT "troopId" FROM scout_profiles WHERE "userId" = $1', [userId]);
+        const troopId = (profile && profile.troopId) || req.troopId;
+        if (!troopId) return res.status(404).json({ error: 'Scout profile not found' });
+
+        const claim = await db.transaction(client => badgeProgress.submitClaim(client, {
+            userId,
+            troopId,
+            badgeId: req.body.badgeId,
+            earnedDate: req.body.earnedDate,
+            notes: req.body.notes,
+            evidence: req.file,
+            submittedBy: req.session.userId
+        }));
+
+        await auth.logAuditEvent(db, req.session.userId, 'badge_claim_submitted', req, {
+            resourceType: 'badge_claim',
+            resourceId: claim.id,
+            troopId,
+            scoutId: userId,
+            badgeId: claim.badgeId
+        });
+        await notifyBadgeAwarders(troopId, 'Badge claim to review',
+            `${claim.submittedByName} says ${claim.scoutName} has earned the ${claim.badgeName} badge.`);
 
-        const badges = await db.getAll(query, params);
-        logger.info('Catalog badges fetched', { catalogId, count: badges.length, level, type });
-        res.json(badges);
+        res.status(201).json(claim);
     } catch (error) {
-        logger.error('Error fetching catalog badges', { error: error.message, catalogId: req.params.catalogId });
-        res.status(500).json({ error: 'Failed to fetch catalog badges' });
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error submitting badge claim', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to submit badge claim' });
     }
 });
 
-// GET /api/scouts/:userId/available-badges
-// Get badges available for scout's current level (not yet earned)
-app.get('/api/scouts/:userId/available-badges', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
+// GET /api/scouts/:userId/badge-claims
+// A scout's claims and how they were reviewed
+app.get('/api/scouts/:userId/badge-claims', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
     try {
-        const { userId } = req.params;
+        res.json(await badgeProgress.getScoutClaims(db, req.params.userId));
+    } catch (error) {
+        logger.error('Error fetching badge claims', { error: error.message, userId: req.params.userId });
+        res.status(500).json({ error: 'Failed to fetch badge claims' });
+    }
+});
 
-        // Get scout profile with level and organization
-        const profile = await db.getOne(`
-            SELECT sp."currentLevelId", sl."levelCode", so.id as "orgId"
-            FROM scout_profiles sp
-            JOIN scout_levels sl ON sl.id = sp."currentLevelId"
-            JOIN level_systems ls ON ls.id = sl."levelSystemId"
-            JOIN scout_organizations so ON so.id = ls."organizationId"
-            WHERE sp."userId" = $1
-        `, [userId]);
+// GET /api/scouts/:userId/badge-claims/:claimId/evidence
+// The photo attached to a claim
+app.get('/api/scouts/:userId/badge-claims/:claimId/evidence', auth.isAuthenticated, auth.requirePrivilegeForUser('view_badge_progress'), async (req, res) => {
+    try {
+        const evidence = await db.getOne(
+            'SELECT "evidenceData", "evidenceType" FROM badge_claims WHERE id = $1 AND "userId" = $2 AND "evidenceData" IS NOT NULL',
+            [req.params.claimId, req.params.userId]
+        );
+        if (!evidence) return res.status(404).json({ error: 'No photo for this claim' });
+        sendStoredImage(res, evidence.evidenceData, 'badge-claim-evidence');
+    } catch (error) {
+        logger.error('Error fetching badge claim evidence', { error: error.message, claimId: req.params.claimId });
+        res.status(500).json({ error: 'Failed to fetch photo' });
+    }
+});
 
-        if (!profile) {
-            return res.status(404).json({ error: 'Scout profile not found' });
+// GET /api/troop/:troopId/badge-claims?status=
+// The troop's review queue
+app.get('/api/troop/:troopId/badge-claims', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const claims = await badgeProgress.listClaims(db, req.params.troopId, { status: req.query.status || null });
+        const inScope = [];
+        for (const claim of claims) {
+            if (await auth.isTargetInScope(req, claim.userId)) inScope.push(claim);
         }
+        res.json(inScope);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error fetching badge claims', { error: error.message, troopId: req.params.troopId });
+        res.status(500).json({ error: 'Failed to fetch badge claims' });
+    }
+});
 
-        // Get badges applicable to scout's level that they haven't earned yet
-        const availableBadges = await db.getAll(`
-            SELECT b.*
-            FROM badges b
-            JOIN badge_catalogs bc ON bc.id = b."badgeCatalogId"
-            WHERE bc."organizationId" = $1
-              AND b."applicableLevels" @> $2
-              AND b."isActive" = true
-              AND b.id NOT IN (
-                  SELECT "badgeId" FROM scout_badges WHERE "userId" = $3
-              )
-            ORDER BY b."sortOrder", b."badgeName"
-        `, [profile.orgId, JSON.stringify([profile.levelCode]), userId]);
+// POST /api/troop/:troopId/badge-claims/:claimId/review
+// Approve a claim, awarding the badge, or reject it; a rejection reason is sent
+// to whoever submitted the claim
+app.post('/api/troop/:troopId/badge-claims/:claimId/review', auth.isAuthenticated, auth.requirePrivilege('award_badges'), async (req, res) => {
+    try {
+        const { troopId, claimId } = req.params;
+        const { decision, reason } = req.body;
+        if (!['approve', 'reject'].includes(decision)) {
+            return res.status(400).json({ error: 'decision must be approve or reject' });
+        }
+        const approve = decision === 'approve';
+        const existing = await badgeProgress.getClaim(db, claimId);
+        if (!existing || existing.troopId !== troopId || !(await auth.isTargetInScope(req, existing.userId))) {
+            return res.status(404).json({ error: 'Claim not found' });
+        }
 
-        logger.info('Available badges fetched', { userId, count: availableBadges.length, level: profile.levelCode });
-        res.json(availableBadges);
+        const { claim, award } = await db.transaction(client => badgeProgress.reviewClaim(client, {
+            claimId,
+            troopId,
+            approve,
+            reason,
+            reviewedBy: req.session.userId
+        }));
+
+        await auth.logAuditEvent(db, req.session.userId, approve ? 'badge_claim_approved' : 'badge_claim_rejected', req, {
+            resourceType: 'badge_claim',
+            resourceId: claim.id,
+            troopId,
+            scoutId: claim.userId,
+            badgeId: claim.badgeId
+        });
+
+        if (approve) {
+            logger.info('Badge awarded from claim', { userId: claim.userId, badgeId: claim.badgeId, awardedBy: req.session.userId });
+            await auth.createNotification(db, claim.userId, 'achievement', 'New Badge Earned!',
+                `You've earned the ${claim.badgeName} badge!`, '/profile');
+            if (claim.submittedBy && claim.submittedBy !== claim.userId) {
+                await auth.createNotification(db, claim.submittedBy, 'success', 'Badge claim approved',
+                    `${claim.scoutName} has been awarded the ${claim.badgeName} badge.`, '/profile');
+            }
+        } else if (claim.submittedBy) {
+            await auth.createNotification(db, claim.submittedBy, 'warning', 'Badge claim not approved',
+                `${claim.reviewedByName} did not approve the ${claim.badgeName} badge for ${claim.scoutName}: ${claim.rejectionReason}`, '/profile');
+        }
+
+        res.json({ claim, award });
     } catch (error) {
-        logger.error('Error fetching available badges', { error: error.message, userId: req.params.userId });
-        res.status(500).json({ error: 'Failed to fetch available badges' });
+        if (error.status) return res.status(error.status).json({ error: error.message, code: error.code });
+        logger.error('Error reviewing badge claim', { error: error.message, claimId: req.params.claimId });
+        res.status(500).json({ error: 'Failed to review badge claim' });
     }
 });
 
@@ -5842,6 +11756,15 @@ app.post('/api/system/settings', auth.isAuthenticated, auth.requireAdmin, async
         return res.status(400).json({ error: 'Invalid settings format' });
     }
 
+    if ('two_factor_required_roles' in settings) {
+        const roles = settings.two_factor_required_roles;
+        if (!Array.isArray(roles) || roles.some(r => !(r in ROLE_PRIVILEGE_DEFAULTS))) {
+            return res.status(400).json({ error: 'two_factor_required_roles must be a list of role names' });
+        }
+        // pg would send a JS array as a Postgres array literal, not JSON
+        settings.two_factor_required_roles = JSON.stringify(roles);
+    }
+
     try {
         await db.transaction(async (client) => {
             for (const [key, value] of Object.entries(settings)) {
@@ -5856,6 +11779,9 @@ app.post('/api/system/settings', auth.isAuthenticated, auth.requireAdmin, async
             }
         });
         
+        // SMTP settings may have changed - rebuild the mail transport on next send
+        mailer.resetTransport();
+
         await auth.logAuditEvent(db, req.session.userId, 'update_system_settings', req, { keys: Object.keys(settings) });
         res.json({ success: true, message: 'Settings updated' });
     } catch (error) {
@@ -5888,7 +11814,9 @@ app.get('/api/system/sessions', auth.isAuthenticated, auth.requireAdmin, async (
                         userId: sess.userId,
                         userEmail,
                         cookie: sess.cookie,
-                        ip: sess.ip // Assuming we stored IP in session at login, if not it will be undefined
+                        ip: sess.ip, // Stamped at login by auth.recordSuccessfulLogin
+                        userAgent: sess.userAgent,
+                        loginAt: sess.loginAt
                     });
                 } catch (e) {
                     // Ignore parse errors
@@ -5919,6 +11847,168 @@ app.delete('/api/system/sessions/:id', auth.isAuthenticated, auth.requireAdmin,
     }
 });
 
+/**
+ * GET /api/system/locked-accounts
+ * Accounts currently locked out after failed sign-ins
+ */
+app.get('/api/system/locked-accounts', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const accounts = await db.getAll(`
+            SELECT u.id, u.email, u."firstName", u."lastName", u."lockedUntil", u."lockoutCount",
+                   (SELECT lh."ipAddress" FROM login_history lh
+                    WHERE lh."userId" = u.id AND lh.success = false
+                    ORDER BY lh."createdAt" DESC LIMIT 1) as "lastFailedIp"
+            FROM users u
+            WHERE u."lockedUntil" > NOW()
+            ORDER BY u."lockedUntil" DESC
+        `);
+        res.json({ accounts });
+    } catch (error) {
+        logger.error('Error listing locked accounts', { error: error.message });
+        res.status(500).json({ error: 'Failed to list locked accounts' });
+    }
+});
+
+/**
+ * POST /api/system/users/:userId/unlock
+ * Clear a lockout and the failed-attempt counters
+ */
+app.post('/api/system/users/:userId/unlock', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const rowCount = await db.run(`
+            UPDATE users SET "failedLoginAttempts" = 0, "lockoutCount" = 0, "lockedUntil" = NULL
+            WHERE id = $1
+        `, [userId]);
+
+        if (rowCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await auth.logAuditEvent(db, req.session.userId, 'unlock_account', req, {
+            resourceType: 'user',
+            resourceId: userId
+        });
+
+        res.json({ success: true, message: 'Account unlocked' });
+    } catch (error) {
+        logger.error('Error unlocking account', { error: error.message });
+        res.status(500).json({ error: 'Failed to unlock account' });
+    }
+});
+
+/**
+ * GET /api/system/users/:userId/login-history
+ * Recent sign-in attempts for a user
+ */
+app.get('/api/system/users/:userId/login-history', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const history = await db.getAll(`
+            SELECT id, success, "failureReason", method, "ipAddress", "userAgent", "createdAt"
+            FROM login_history
+            WHERE "userId" = $1
+            ORDER BY "createdAt" DESC
+            LIMIT 50
+        `, [req.params.userId]);
+        res.json({ history });
+    } catch (error) {
+        logger.error('Error loading login history', { error: error.message });
+        res.status(500).json({ error: 'Failed to load login history' });
+    }
+});
+
+/**
+ * GET /api/system/email-log
+ * List recent outbound emails and their delivery status
+ * Query: ?status=pending|sending|sent|failed
+ */
+app.get('/api/system/email-log', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const params = [];
+        let query = `
+            SELECT id, "userId", "toAddress", template, subject, status, attempts, "maxAttempts",
+                   "nextAttemptAt", "lastError", "sentAt", "createdAt",
+                   ("bodyText" IS NOT NULL) AS retryable
+            FROM email_queue
+        `;
+        if (status) {
+            query += ' WHERE status = $1';
+            params.push(status);
+        }
+        query += ' ORDER BY "createdAt" DESC LIMIT 100';
+
+        const emails = await db.getAll(query, params);
+        res.json({ emails });
+    } catch (error) {
+        logger.error('Error loading email log', { error: error.message });
+        res.status(500).json({ error: 'Failed to load email log' });
+    }
+});
+
+/**
+ * GET /api/system/email-log/:id/attempts
+ * Delivery attempts for a single queued email
+ */
+app.get('/api/system/email-log/:id/attempts', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const attempts = await db.getAll(`
+            SELECT * FROM email_delivery_log
+            WHERE "queueId" = $1
+            ORDER BY "attemptedAt" ASC
+        `, [req.params.id]);
+        res.json({ attempts });
+    } catch (error) {
+        logger.error('Error loading email attempts', { error: error.message });
+        res.status(500).json({ error: 'Failed to load email attempts' });
+    }
+});
+
+/**
+ * POST /api/system/email-log/:id/retry
+ * Requeue a failed email
+ */
+app.post('/api/system/email-log/:id/retry', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const requeued = await mailer.retryEmail(req.params.id);
+        if (!requeued) {
+            return res.status(404).json({ error: 'Failed email not found or can no longer be retried' });
+        }
+
+        await auth.logAuditEvent(db, req.session.userId, 'retry_email', req, { resourceType: 'email', resourceId: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error retrying email', { error: error.message });
+        res.status(500).json({ error: 'Failed to retry email' });
+    }
+});
+
+/**
+ * POST /api/system/email-test
+ * Queue a test email
+ * Body: { to: string }
+ */
+app.post('/api/system/email-test', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    try {
+        const { to } = req.body;
+        if (!to || !auth.isValidEmail(to)) {
+            return res.status(400).json({ error: 'Valid recipient email required' });
+        }
+
+        const queued = await mailer.queueEmail({ to, template: 'test' });
+        if (!queued) {
+            return res.status(500).json({ error: 'Failed to queue test email' });
+        }
+
+        await auth.logAuditEvent(db, req.session.userId, 'send_test_email', req, { to });
+        res.status(201).json({ success: true, email: queued });
+    } catch (error) {
+        logger.error('Error sending test email', { error: error.message });
+        res.status(500).json({ error: 'Failed to send test email' });
+    }
+});
+
 /**
  * GET /api/system/backup
  * Download database backup
@@ -5979,22 +12069,7 @@ app.post('/api/system/anonymize/:userId', auth.isAuthenticated, auth.requireAdmi
             return res.status(400).json({ error: 'Cannot anonymize an active admin. Revoke admin access first.' });
         }
 
-        const anonymizedEmail = `deleted-${userId.substring(0,8)}@anonymized.local`;
-
-        await db.run(`
-            UPDATE users SET 
-                email = $1,
-                "firstName" = 'Deleted',
-                "lastName" = 'User',
-                "photoUrl" = NULL,
-                "googleId" = NULL,
-                "parentEmail" = NULL,
-                "isActive" = FALSE
-            WHERE id = $2
-        `, [anonymizedEmail, userId]);
-
-        // Also clean up sessions
-        await db.run('DELETE FROM sessions WHERE "userId" = $1', [userId]);
+        await auth.anonymizeUser(db, userId);
 
         await auth.logAuditEvent(db, req.session.userId, 'anonymize_user', req, { targetUserId: userId });
         
@@ -6005,6 +12080,48 @@ app.post('/api/system/anonymize/:userId', auth.isAuthenticated, auth.requireAdmi
     }
 });
 
+/**
+ * POST /api/system/users/:userId/2fa/reset
+ * Turn off two-factor authentication for a user who lost their device and recovery codes
+ */
+app.post('/api/system/users/:userId/2fa/reset', auth.isAuthenticated, auth.requireAdmin, async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const user = await db.getOne('SELECT id, "totpEnabled" FROM users WHERE id = $1', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.totpEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+        }
+
+        await db.run(`
+            UPDATE users
+            SET "totpSecret" = NULL, "totpEnabled" = false, "totpEnabledAt" = NULL, "totpLastStep" = NULL
+            WHERE id = $1
+        `, [userId]);
+        await db.run('DELETE FROM user_recovery_codes WHERE "userId" = $1', [userId]);
+
+        await auth.logAuditEvent(db, req.session.userId, 'two_factor_reset', req, {
+            resourceType: 'user',
+            resourceId: userId
+        });
+        await auth.createNotification(
+            db,
+            userId,
+            'warning',
+            'Two-Factor Authentication Reset',
+            'An administrator turned off two-factor authentication on your account. Set it up again under Settings.'
+        );
+
+        res.json({ success: true, message: 'Two-factor authentication reset' });
+    } catch (error) {
+        logger.error('Failed to reset 2FA', { error: error.message });
+        res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+});
+
 /**
  * GET /api/system/roles
  * Get role definitions and privileges
@@ -6313,7 +12430,7 @@ app.get('/api/system/members', auth.isAuthenticated, auth.requireAdmin, async (r
     try {
         const search = req.query.search ? `%${req.query.search}%` : null;
         let query = `
-            SELECT id, email, "firstName", "lastName", role, "isActive", "createdAt", "lastLogin",
+            SELECT id, email, "firstName", "lastName", role, "isActive", "totpEnabled", "createdAt", "lastLogin",
             (SELECT COUNT(*)::int FROM troop_members tm WHERE tm."userId" = users.id AND tm.status = 'active') as "troopCount"
             FROM users
         `;
@@ -6527,7 +12644,8 @@ app.get('/api/audit-log', auth.isAuthenticated, auth.requireAdmin, async (req, r
 app.get('/api/parents/scouts', auth.isAuthenticated, async (req, res) => {
     try {
         const scouts = await db.getAll(`
-            SELECT u.id, u."firstName", u."lastName", u."photoUrl", u."isActive", tm."scoutLevel", t."troopNumber"
+            SELECT u.id, u."firstName", u."lastName", u."photoUrl", u."isActive", u."isMinor",
+                   u."parentalConsentStatus", tm."scoutLevel", t."troopNumber"
             FROM users u
             JOIN troop_members tm ON u.id = tm."userId"
             JOIN troops t ON tm."troopId" = t.id
@@ -6556,17 +12674,21 @@ app.post('/api/parents/approve-scout/:scoutId', auth.isAuthenticated, async (req
             return res.status(403).json({ error: 'You are not authorized to approve this account' });
         }
 
-        await db.run(`
-            UPDATE users 
-            SET "isActive" = true, 
-                "parentConsentDate" = NOW(), 
-                "parentConsentIP" = $1 
-            WHERE id = $2
-        `, [req.ip, scoutId]);
+        const parent = await db.getOne('SELECT email, "firstName", "lastName" FROM users WHERE id = $1', [parentId]);
+
+        await auth.recordParentalConsent(db, scoutId, 'granted', {
+            method: 'parent_account',
+            parentUserId: parentId,
+            parentName: `${parent.firstName} ${parent.lastName}`.trim(),
+            parentEmail: parent.email,
+            recordedBy: parentId,
+            req
+        });
 
         await auth.logAuditEvent(db, parentId, 'parent_consent_provided', req, {
             resourceType: 'user',
-            resourceId: scoutId
+            resourceId: scoutId,
+            method: 'parent_account'
         });
 
         res.json({ success: true, message: 'Scout account approved' });
@@ -6576,6 +12698,189 @@ app.post('/api/parents/approve-scout/:scoutId', auth.isAuthenticated, async (req
     }
 });
 
+// Revoke consent for a linked minor scout; the scout's account is anonymized
+app.post('/api/parents/revoke-consent/:scoutId', auth.isAuthenticated, async (req, res) => {
+    try {
+        const { scoutId } = req.params;
+        const parentId = req.session.userId;
+
+        if (req.body.confirm !== true) {
+            return res.status(400).json({ error: 'Revocation must be confirmed' });
+        }
+
+        const linkage = await db.getOne(`
+            SELECT id FROM troop_members
+            WHERE "userId" = $1 AND "linkedParentId" = $2
+        `, [scoutId, parentId]);
+
+        if (!linkage) {
+            return res.status(403).json({ error: 'You are not authorized to revoke consent for this account' });
+        }
+
+        // Only accounts covered by parental consent can have it revoked
+        const scout = await db.getOne('SELECT "isMinor", "parentalConsentStatus" FROM users WHERE id = $1', [scoutId]);
+        if (!scout) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!scout.isMinor && scout.parentalConsentStatus !== 'granted') {
+            return res.status(400).json({ error: 'Parental consent is only required for scouts under 13' });
+        }
+        if (scout.parentalConsentStatus === 'revoked') {
+            return res.status(400).json({ error: 'Consent has already been revoked' });
+        }
+
+        const parent = await db.getOne('SELECT email, "firstName", "lastName" FROM users WHERE id = $1', [parentId]);
+
+        await auth.revokeParentalConsent(db, scoutId, {
+            method: 'parent_account',
+            parentUserId: parentId,
+            parentName: `${parent.firstName} ${parent.lastName}`.trim(),
+            parentEmail: parent.email,
+            notes: req.body.reason || null,
+            recordedBy: parentId,
+            req
+        });
+
+        await auth.logAuditEvent(db, parentId, 'parent_consent_revoked', req, {
+            resourceType: 'user',
+            resourceId: scoutId
+        });
+
+        res.json({ success: true, message: 'Consent revoked and scout account anonymized' });
+    } catch (error) {
+        logger.error('Error revoking consent', { error: error.message });
+        res.status(500).json({ error: 'Failed to revoke consent' });
+    }
+});
+
+// ============================================================================
+// Parental Consent Links (public, token-authenticated)
+// ============================================================================
+
+/**
+ * Look up an open consent request by its emailed token
+ * @param {string} token - Raw token from the consent link
+ * @returns {Promise<Object|null>}
+ */
+async function findConsentRequest(token) {
+    if (!token) return null;
+    return db.getOne(`
+        SELECT pcr.id, pcr."userId", pcr."parentEmail", u."firstName", u."parentalConsentStatus"
+        FROM parental_consent_requests pcr
+        JOIN users u ON u.id = pcr."userId"
+        WHERE pcr."tokenHash" = $1 AND pcr."respondedAt" IS NULL AND pcr."expiresAt" > NOW()
+    `, [auth.hashToken(token)]);
+}
+
+// Show who the consent link is for
+app.get('/api/consent/:token', async (req, res) => {
+    try {
+        const request = await findConsentRequest(req.params.token);
+        if (!request) {
+            return res.status(404).json({ error: 'This consent link is invalid or has expired' });
+        }
+        res.json({
+            scoutFirstName: request.firstName,
+            parentEmail: request.parentEmail,
+            consentStatus: request.parentalConsentStatus
+        });
+    } catch (error) {
+        logger.error('Error loading consent request', { error: error.message });
+        res.status(500).json({ error: 'Failed to load consent request' });
+    }
+});
+
+// Parent grants consent from the emailed link
+app.post('/api/consent/:token', async (req, res) => {
+    try {
+        const { parentName, attest } = req.body;
+        if (!parentName || !parentName.trim()) {
+            return res.status(400).json({ error: 'Parent/guardian name is required' });
+        }
+        if (attest !== true) {
+            return res.status(400).json({ error: 'You must confirm you are the parent or legal guardian' });
+        }
+
+        const request = await findConsentRequest(req.params.token);
+        if (!request) {
+            return res.status(404).json({ error: 'This consent link is invalid or has expired' });
+        }
+
+        const parentUser = await db.getOne('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [request.parentEmail]);
+
+        // Close the link and record consent together; only the first use of a link counts
+        await db.transaction(async (client) => {
+            const claimed = await client.query(
+                'UPDATE parental_consent_requests SET "respondedAt" = NOW() WHERE id = $1 AND "respondedAt" IS NULL RETURNING id',
+                [request.id]
+            );
+            if (claimed.rows.length === 0) {
+                throw Object.assign(new Error('This consent link is invalid or has expired'), { status: 404 });
+            }
+            await auth.recordParentalConsent(client, request.userId, 'granted', {
+                method: 'email_link',
+                parentUserId: parentUser ? parentUser.id : null,
+                parentName: parentName.trim(),
+                parentEmail: request.parentEmail,
+                req
+            });
+        });
+
+        await auth.logAuditEvent(db, parentUser ? parentUser.id : null, 'parent_consent_provided', req, {
+            resourceType: 'user',
+            resourceId: request.userId,
+            method: 'email_link'
+        });
+
+        await auth.createNotification(
+            db,
+            request.userId,
+            'success',
+            'Account Approved',
+            'Your parent/guardian has provided consent. You can now use all features of your account.'
+        );
+
+        res.json({ success: true, message: 'Thank you. Consent has been recorded.' });
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        logger.error('Error recording consent', { error: error.message });
+        res.status(500).json({ error: 'Failed to record consent' });
+    }
+});
+
+const consentResendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3,
+    keyGenerator: (req) => String(req.session.userId),
+    message: { error: 'Too many consent requests sent. Please try again later.' }
+});
+
+// Minor asks for the consent email to be sent again
+app.post('/api/auth/consent/resend', auth.isAuthenticated, consentResendLimiter, async (req, res) => {
+    try {
+        const user = await db.getOne(
+            'SELECT "isMinor", "parentEmail", "parentalConsentStatus" FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+        if (!user || !user.isMinor || user.parentalConsentStatus === 'granted') {
+            return res.status(400).json({ error: 'Parental consent is not required for this account' });
+        }
+        if (!user.parentEmail) {
+            return res.status(400).json({ error: 'No parent/guardian email on file. Ask your troop leader for help.' });
+        }
+
+        await auth.requestParentalConsent(db, req.session.userId, user.parentEmail, {
+            requestedBy: req.session.userId,
+            req
+        });
+
+        res.json({ message: 'Consent request sent to your parent/guardian' });
+    } catch (error) {
+        logger.error('Error resending consent request', { error: error.message });
+        res.status(500).json({ error: 'Failed to send consent request' });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', database: 'connected' });
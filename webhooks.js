@@ -0,0 +1,428 @@
+/**
+ * Outbound webhooks for Apex Scout Manager
+ *
+ * Troops subscribe an HTTP(S) endpoint to a set of event types. Each event is
+ * written to webhook_deliveries (one row per subscription) and POSTed as JSON by
+ * a background worker with retries. Every attempt is recorded in
+ * webhook_delivery_attempts.
+ *
+ * Requests are signed with the subscription secret:
+ *   X-ASM-Signature: sha256=HMAC_SHA256(secret, `${X-ASM-Timestamp}.${body}`)
+ *
+ * Endpoints that resolve to private, loopback or link-local addresses are
+ * refused, both when a subscription is saved and on every delivery, unless
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS=true (self-hosted installs posting to their
+ * own network). Only the response status is kept, never the response body.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('./logger');
+const db = require('./database/query-helpers');
+
+const WEBHOOK_EVENTS = [
+    'sale.created',
+    'fulfillment.status_changed',
+    'booth.started',
+    'booth.ended',
+    'booth.closed'
+];
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+const BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+let workerTimer = null;
+let processing = false;
+
+// ============================================================================
+// Subscriptions
+// ============================================================================
+
+// Addresses a webhook may not reach: private, loopback, link-local, CGNAT,
+// unspecified, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function webhookError(message, code) {
+    return Object.assign(new Error(message), { status: 400, code });
+}
+
+/**
+ * Whether an IP address is one webhooks may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Throw unless every address is allowed
+ * @param {string} hostname - Host being checked, for the error message
+ * @param {string[]} addresses - Resolved addresses
+ */
+function assertPublicAddresses(hostname, addresses) {
+    if (ALLOW_PRIVATE_TARGETS) return;
+    if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+        throw webhookError(`${hostname} resolves to a private or local address`, 'PRIVATE_ADDRESS');
+    }
+}
+
+/**
+ * dns.lookup replacement for outgoing requests: the addresses the socket
+ * connects to are the ones checked, so a hostname cannot pass the check and
+ * then re-resolve to an internal address
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        try {
+            assertPublicAddresses(hostname, addresses.map(entry => entry.address));
+        } catch (error) {
+            return callback(error);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Generate a signing secret for a new subscription
+ * @returns {string}
+ */
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Validate a subscription endpoint URL
+ * @param {string} url - Endpoint URL
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+function isValidEndpoint(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Resolve an endpoint's host and refuse private, loopback and link-local
+ * targets (see WEBHOOK_ALLOW_PRIVATE_TARGETS)
+ * @param {string} url - Endpoint URL, already checked with isValidEndpoint
+ * @throws {Error} status 400 with code PRIVATE_ADDRESS or UNRESOLVABLE_HOST
+ */
+async function assertAllowedEndpoint(url) {
+    if (ALLOW_PRIVATE_TARGETS) return;
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [hostname]
+            : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+        throw webhookError(`${hostname} could not be resolved`, 'UNRESOLVABLE_HOST');
+    }
+    assertPublicAddresses(hostname, addresses);
+}
+
+/**
+ * Sign a payload
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix seconds, as sent in X-ASM-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+// ============================================================================
+// Events
+// ============================================================================
+
+/**
+ * Queue an event for every active subscription in a troop that listens for it
+ * @param {string} troopId - Troop ID
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Object} [options]
+ * @param {string} [options.subscriptionId] - Only deliver to this subscription (test events)
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitEvent(troopId, eventType, data, { subscriptionId = null } = {}) {
+    if (!troopId) return 0;
+
+    try {
+        const subscriptions = subscriptionId
+            ? await db.getAll('SELECT id FROM webhook_subscriptions WHERE id = $1 AND "troopId" = $2', [subscriptionId, troopId])
+            : await db.getAll(`
+                SELECT id FROM webhook_subscriptions
+                WHERE "troopId" = $1 AND "isActive" = true AND $2 = ANY(events)
+            `, [troopId, eventType]);
+        if (subscriptions.length === 0) return 0;
+
+        const eventId = crypto.randomUUID();
+        const payload = {
+            id: eventId,
+            type: eventType,
+            troopId,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        for (const subscription of subscriptions) {
+            await db.run(`
+                INSERT INTO webhook_deliveries ("subscriptionId", "eventId", "eventType", payload, "maxAttempts")
+                VALUES ($1, $2, $3, $4, $5)
+            `, [subscription.id, eventId, eventType, JSON.stringify(payload), subscriptionId ? 1 : MAX_ATTEMPTS]);
+        }
+
+        // Deliver promptly rather than waiting for the next worker tick
+        setImmediate(() => processQueue());
+
+        return subscriptions.length;
+    } catch (error) {
+        logger.error('Failed to queue webhook event', { error: error.message, troopId, eventType });
+        return 0;
+    }
+}
+
+/**
+ * Queue an event for every troop the user is an active member of
+ * @param {string} userId - User ID
+ * @param {string} eventType - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitUserEvent(userId, eventType, data) {
+    try {
+        const troops = await db.getAll(
+            'SELECT "troopId" FROM troop_members WHERE "userId" = $1 AND status = \'active\'',
+            [userId]
+        );
+        let queued = 0;
+        for (const t of troops) {
+            queued += await emitEvent(t.troopId, eventType, data);
+        }
+        return queued;
+    } catch (error) {
+        logger.error('Failed to queue webhook event for user', { error: error.message, eventType });
+        return 0;
+    }
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+/**
+ * POST one delivery to its endpoint. The response body is drained and
+ * discarded; only the status is recorded.
+ * @param {Object} delivery - webhook_deliveries row joined with url and secret
+ * @returns {Promise<{responseStatus: number, durationMs: number}>}
+ * @throws {Error} On blocked targets, network errors, timeouts and non-2xx responses (with the response attached)
+ */
+async function deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+
+    const url = new URL(delivery.url);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    // IP literals never go through the lookup, so check them here
+    if (net.isIP(hostname)) assertPublicAddresses(hostname, [hostname]);
+
+    const responseStatus = await new Promise((resolve, reject) => {
+        const request = (url.protocol === 'https:' ? https : http).request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'ApexScoutManager-Webhooks/1.0',
+                'X-ASM-Event': delivery.eventType,
+                'X-ASM-Delivery': delivery.id,
+                'X-ASM-Timestamp': timestamp,
+                'X-ASM-Signature': signPayload(delivery.secret, timestamp, body)
+            },
+            lookup: guardedLookup,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+
+    const result = { responseStatus, durationMs: Date.now() - started };
+
+    if (responseStatus < 200 || responseStatus >= 300) {
+        const error = new Error(`Endpoint responded with HTTP ${responseStatus}`);
+        error.result = result;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * Record a delivery attempt
+ * @param {Object} delivery - webhook_deliveries row
+ * @param {string} status - delivered | failed
+ * @param {Object} details - { responseStatus, durationMs, error }
+ */
+async function logAttempt(delivery, status, details = {}) {
+    await db.run(`
+        INSERT INTO webhook_delivery_attempts
+            ("deliveryId", "attemptNumber", status, "responseStatus", "durationMs", error)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [
+        delivery.id, delivery.attempts + 1, status,
+        details.responseStatus || null, details.durationMs || null, details.error || null
+    ]);
+}
+
+/**
+ * Send every due delivery. Failed deliveries are retried with exponential
+ * backoff (1, 2, 4, 8... minutes) until maxAttempts is reached.
+ * @returns {Promise<number>} Number of deliveries processed
+ */
+async function processQueue() {
+    if (processing) return 0;
+    processing = true;
+
+    try {
+        const batch = await db.getAll(`
+            UPDATE webhook_deliveries SET status = 'sending', "updatedAt" = NOW()
+            WHERE id IN (
+                SELECT id FROM webhook_deliveries
+                WHERE status = 'pending' AND "nextAttemptAt" <= NOW()
+                ORDER BY "createdAt"
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [BATCH_SIZE]);
+
+        for (const delivery of batch) {
+            const subscription = await db.getOne(
+                'SELECT url, secret FROM webhook_subscriptions WHERE id = $1',
+                [delivery.subscriptionId]
+            );
+            const target = { ...delivery, ...subscription };
+
+            try {
+                const result = await deliver(target);
+                await db.run(`
+                    UPDATE webhook_deliveries
+                    SET status = 'delivered', attempts = attempts + 1, "responseStatus" = $1,
+                        "deliveredAt" = NOW(), "lastError" = NULL, "updatedAt" = NOW()
+                    WHERE id = $2
+                `, [result.responseStatus, delivery.id]);
+                await logAttempt(delivery, 'delivered', result);
+            } catch (error) {
+                const result = error.result || {};
+                const attempts = delivery.attempts + 1;
+                const exhausted = attempts >= delivery.maxAttempts;
+                const delayMinutes = Math.pow(2, attempts - 1);
+                await db.run(`
+                    UPDATE webhook_deliveries
+                    SET status = $1, attempts = $2, "responseStatus" = $3, "lastError" = $4,
+                        "nextAttemptAt" = NOW() + ($5 || ' minutes')::interval, "updatedAt" = NOW()
+                    WHERE id = $6
+                `, [exhausted ? 'failed' : 'pending', attempts, result.responseStatus || null, error.message, String(delayMinutes), delivery.id]);
+                await logAttempt(delivery, 'failed', { ...result, error: error.message });
+                logger.warn('Webhook delivery failed', {
+                    deliveryId: delivery.id, eventType: delivery.eventType, attempts, exhausted, error: error.message
+                });
+            }
+        }
+
+        return batch.length;
+    } catch (error) {
+        logger.error('Webhook queue processing failed', { error: error.message });
+        return 0;
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Put a failed delivery back on the queue for immediate delivery
+ * @param {string} deliveryId - webhook_deliveries ID
+ * @returns {Promise<boolean>} True if the delivery was requeued
+ */
+async function retryDelivery(deliveryId) {
+    const rowCount = await db.run(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, "nextAttemptAt" = NOW(), "updatedAt" = NOW()
+        WHERE id = $1 AND status = 'failed'
+    `, [deliveryId]);
+    if (rowCount > 0) {
+        setImmediate(() => processQueue());
+    }
+    return rowCount > 0;
+}
+
+/**
+ * Start the background delivery worker
+ */
+function startWorker() {
+    if (workerTimer) return;
+
+    // Deliveries left in 'sending' by a crashed process go back on the queue
+    db.run(`
+        UPDATE webhook_deliveries SET status = 'pending'
+        WHERE status = 'sending' AND "updatedAt" < NOW() - INTERVAL '10 minutes'
+    `).catch(() => {});
+
+    workerTimer = setInterval(processQueue, WORKER_INTERVAL_MS);
+    workerTimer.unref();
+    logger.info('Webhook delivery worker started');
+}
+
+/**
+ * Stop the background delivery worker
+ */
+function stopWorker() {
+    if (workerTimer) {
+        clearInterval(workerTimer);
+        workerTimer = null;
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    generateSecret,
+    isValidEndpoint,
+    assertAllowedEndpoint,
+    signPayload,
+    emitEvent,
+    emitUserEvent,
+    processQueue,
+    retryDelivery,
+    startWorker,
+    stopWorker
+};